@@ -0,0 +1,3 @@
+// -------- Re-export Shim --------
+
+export { registerExportCommand } from './export/index.js';
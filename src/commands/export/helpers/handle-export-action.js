@@ -0,0 +1,37 @@
+// -------- Handle Export Action --------
+
+import { loadMigrateConfig } from '../../../shared/config/loader.js';
+import { exportBundle } from '../../../shared/bundle/export-pipeline.js';
+import { logSystemInfo, ensureHeapSize } from '../../../shared/utils/concurrency.js';
+import logger, { enableFileLogging } from '../../../shared/utils/logger.js';
+import { buildMigratePerfConfig } from '../../migrate/helpers/build-migrate-perf-config.js';
+
+export async function handleExportAction(options) {
+  const config = await loadMigrateConfig(options.config);
+  const migrateConfig = config.migrate || {};
+  const transferConfig = config.transfer || { mode: 'full', batchSize: 100 };
+  if (options.skipAllBranchSync) transferConfig.syncAllBranches = false;
+
+  const perfConfig = buildMigratePerfConfig(config, options);
+  ensureHeapSize(perfConfig.maxMemoryMB);
+  enableFileLogging('export');
+  logSystemInfo(perfConfig);
+
+  const results = await exportBundle({
+    sonarqubeConfig: config.sonarqube,
+    sonarcloudOrgs: config.sonarcloud.organizations,
+    enterpriseConfig: config.sonarcloud.enterprise,
+    migrateConfig,
+    transferConfig,
+    rateLimitConfig: config.rateLimit,
+    performanceConfig: perfConfig,
+    bundleDir: options.bundle,
+    skipIssueSync: Boolean(options.skipIssueMetadataSync || migrateConfig.skipIssueMetadataSync),
+    skipHotspotSync: Boolean(options.skipHotspotMetadataSync || migrateConfig.skipHotspotMetadataSync),
+  });
+
+  if (results.summary.failed > 0) {
+    logger.error(`${results.summary.failed} project(s) could not be exported -- import will fail for them`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,38 @@
+// -------- Export Command --------
+
+import logger from '../../shared/utils/logger.js';
+import { enableEventStream, parseEventsTarget } from '../../shared/utils/events.js';
+import { handleExportAction } from './helpers/handle-export-action.js';
+import { handleCommandError } from '../transfer/helpers/handle-command-error.js';
+
+export function registerExportCommand(program) {
+  program
+    .command('export')
+    .description('Capture everything a migration reads from SonarQube into a checksummed bundle for an air-gapped import')
+    .requiredOption('-c, --config <path>', 'Path to migration configuration file')
+    .requiredOption('--bundle <dir>', 'New or empty directory to write the bundle to')
+    .option('-v, --verbose', 'Enable verbose logging')
+    .option('--skip-issue-metadata-sync', 'Do not capture issue metadata')
+    .option('--skip-hotspot-metadata-sync', 'Do not capture hotspot metadata')
+    .option('--skip-all-branch-sync', 'Only capture the main branch of each project')
+    .option('--concurrency <n>', 'Override max concurrency', (val) => {
+      const n = Number.parseInt(val, 10);
+      if (Number.isNaN(n) || n < 1) throw new Error(`--concurrency must be a positive integer, got: "${val}"`);
+      return n;
+    })
+    .option('--max-memory <mb>', 'Max heap size in MB', Number.parseInt)
+    .option('--auto-tune', 'Auto-detect hardware and set optimal performance values')
+    .option('--events <path|fd>', 'Write NDJSON progress events to a file or an open file descriptor', parseEventsTarget)
+    .action(async (options) => {
+      try {
+        if (options.verbose) logger.level = 'debug';
+        if (options.events !== undefined) enableEventStream(options.events, 'export');
+        logger.info('=== CloudVoyager - Export Bundle ===');
+        await handleExportAction(options);
+        logger.info('=== Export completed successfully ===');
+        process.exit(0);
+      } catch (error) {
+        handleCommandError(error, 'Export');
+      }
+    });
+}
@@ -0,0 +1,3 @@
+// -------- Re-export Shim --------
+
+export { registerImportCommand } from './import/index.js';
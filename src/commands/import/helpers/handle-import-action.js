@@ -0,0 +1,48 @@
+// -------- Handle Import Action --------
+
+import { loadMigrateConfig } from '../../../shared/config/loader.js';
+import { importBundle } from '../../../shared/bundle/import-pipeline.js';
+import { logSystemInfo, ensureHeapSize } from '../../../shared/utils/concurrency.js';
+import logger, { enableFileLogging } from '../../../shared/utils/logger.js';
+import { applyMigrateOptions } from '../../migrate/helpers/apply-migrate-options.js';
+import { buildMigratePerfConfig } from '../../migrate/helpers/build-migrate-perf-config.js';
+
+export async function handleImportAction(options, shutdownCoordinator) {
+  const config = await loadMigrateConfig(options.config);
+  const migrateConfig = config.migrate || {};
+  const transferConfig = config.transfer || { mode: 'full', batchSize: 100 };
+
+  applyMigrateOptions(migrateConfig, transferConfig, options);
+
+  const perfConfig = buildMigratePerfConfig(config, options);
+  ensureHeapSize(perfConfig.maxMemoryMB);
+  enableFileLogging('import');
+  logSystemInfo(perfConfig);
+
+  const results = await importBundle({
+    bundleDir: options.bundle,
+    sonarqubeConfig: config.sonarqube,
+    sonarcloudOrgs: config.sonarcloud.organizations,
+    enterpriseConfig: config.sonarcloud.enterprise,
+    migrateConfig,
+    transferConfig,
+    rateLimitConfig: config.rateLimit,
+    performanceConfig: perfConfig,
+    wait: options.wait || false,
+    shutdownCoordinator
+  });
+
+  const partial = results.projects.filter(p => p.status === 'partial').length;
+  const failed = results.projects.filter(p => p.status === 'failed').length;
+  if (failed > 0 || partial > 0) {
+    logger.error(`${failed} project(s) failed, ${partial} project(s) partially migrated -- see migration report for details`);
+    process.exit(1);
+  }
+
+  // A miss was answered as not found, so whatever it fed was migrated as if SonarQube had nothing
+  const misses = results.replayMisses?.length || 0;
+  if (misses > 0) {
+    logger.error(`${misses} SonarQube request(s) were missing from the bundle -- re-export with the same transfer settings and skip flags`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,55 @@
+// -------- Import Command --------
+
+import logger from '../../shared/utils/logger.js';
+import { enableEventStream, parseEventsTarget } from '../../shared/utils/events.js';
+import { enableReportArchive } from '../../shared/scanner-report/report-archive.js';
+import { ShutdownCoordinator } from '../../shared/utils/shutdown.js';
+import { handleImportAction } from './helpers/handle-import-action.js';
+import { handleCommandError } from '../transfer/helpers/handle-command-error.js';
+
+export function registerImportCommand(program) {
+  program
+    .command('import')
+    .description('Migrate to SonarCloud from an export bundle, without access to SonarQube')
+    .requiredOption('-c, --config <path>', 'Path to migration configuration file')
+    .requiredOption('--bundle <dir>', 'Bundle directory written by export')
+    .option('-v, --verbose', 'Enable verbose logging')
+    .option('--wait', 'Wait for analysis to complete before returning')
+    .option('--dry-run', 'Regenerate the mapping CSVs from the bundle without migrating')
+    .option('--skip-issue-metadata-sync', 'Skip syncing issue metadata')
+    .option('--skip-hotspot-metadata-sync', 'Skip syncing hotspot metadata')
+    .option('--skip-quality-profile-sync', 'Skip syncing quality profiles')
+    .option('--only <components>', 'Only migrate specific components (comma-separated)')
+    .option('--strict-quality-gates', 'Fail quality gates with conditions SonarCloud cannot represent')
+    .option('--webhook-secrets <mode>', 'How to supply webhook secrets: prompt, env or skip')
+    .option('--concurrency <n>', 'Override max concurrency', (val) => {
+      const n = Number.parseInt(val, 10);
+      if (Number.isNaN(n) || n < 1) throw new Error(`--concurrency must be a positive integer, got: "${val}"`);
+      return n;
+    })
+    .option('--max-memory <mb>', 'Max heap size in MB', Number.parseInt)
+    .option('--project-concurrency <n>', 'Max concurrent project migrations', (val) => Math.max(1, Number.parseInt(val, 10) || 1))
+    .option('--auto-tune', 'Auto-detect hardware and set optimal performance values')
+    .option('--skip-all-branch-sync', 'Only sync main branch of each project')
+    .option('--events <path|fd>', 'Write NDJSON progress events to a file or an open file descriptor', parseEventsTarget)
+    .option('--save-reports <dir>', 'Save each scanner report zip to a directory before it is uploaded')
+    .option('--strict-report-validation', 'Abort the upload when a scanner report fails structural validation instead of repairing it')
+    .option('--force-restart', 'Discard migration journal and start from scratch')
+    .option('--force-unlock', 'Force release a stale lock file')
+    .action(async (options) => {
+      const shutdownCoordinator = new ShutdownCoordinator();
+      shutdownCoordinator.bind();
+
+      try {
+        if (options.verbose) logger.level = 'debug';
+        if (options.events !== undefined) enableEventStream(options.events, 'import');
+        if (options.saveReports) enableReportArchive(options.saveReports);
+        logger.info('=== CloudVoyager - Import Bundle ===');
+        await handleImportAction(options, shutdownCoordinator);
+        logger.info('=== Import completed successfully ===');
+        process.exit(0);
+      } catch (error) {
+        handleCommandError(error, 'Import');
+      }
+    });
+}
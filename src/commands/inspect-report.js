@@ -0,0 +1,3 @@
+// -------- Re-export Shim --------
+
+export { registerInspectReportCommand } from './inspect-report/index.js';
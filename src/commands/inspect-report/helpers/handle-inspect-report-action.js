@@ -0,0 +1,35 @@
+// -------- Handle Inspect Report Action --------
+
+import { writeFile } from 'node:fs/promises';
+import logger from '../../../shared/utils/logger.js';
+import { decodeReport, summarizeReport } from '../../../shared/scanner-report/decode-report.js';
+import { diffReports } from '../../../shared/scanner-report/diff-reports.js';
+
+async function decodeAndLog(reportPath) {
+  const report = await decodeReport(reportPath);
+  const summary = summarizeReport(report);
+  logger.info(`${reportPath}: ${summary.files} file(s), ${summary.components} component(s), ${summary.issues} issue(s), ${summary.externalIssues} external issue(s), ${summary.measures} measure(s), ${summary.changesets} changeset(s), ${summary.duplications} duplication(s)`);
+  if (report.unknownFiles.length > 0) logger.warn(`${reportPath}: files outside the report format: ${report.unknownFiles.join(', ')}`);
+  report.errors.forEach(({ file, error }) => logger.warn(`${reportPath}: could not decode ${file}: ${error}`));
+  return report;
+}
+
+export async function handleInspectReportAction(reportPath, options) {
+  const report = await decodeAndLog(reportPath);
+
+  let result = report;
+  if (options.diff) {
+    result = diffReports(report, await decodeAndLog(options.diff));
+    const { added, removed, changed, unchanged } = result.summary;
+    logger.info(`Components: ${added} added, ${removed} removed, ${changed} changed, ${unchanged} unchanged; ${result.metadata.length} metadata field(s) differ`);
+  }
+
+  const json = JSON.stringify(result, null, 2);
+  if (options.output) {
+    await writeFile(options.output, `${json}\n`);
+    logger.info(`Wrote ${options.diff ? 'report diff' : 'decoded report'} to ${options.output}`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+  return result;
+}
@@ -0,0 +1,25 @@
+// -------- Inspect Report Command --------
+
+import logger from '../../shared/utils/logger.js';
+import { handleInspectReportAction } from './helpers/handle-inspect-report-action.js';
+import { handleCommandError } from '../transfer/helpers/handle-command-error.js';
+
+export function registerInspectReportCommand(program) {
+  program
+    .command('inspect-report <report>')
+    .description('Decode a scanner report zip (or extracted report directory) to JSON, or diff it against another')
+    .option('--diff <other>', 'Compare against a second report, component by component')
+    .option('-o, --output <path>', 'Write the JSON to a file instead of standard output')
+    .option('-v, --verbose', 'Enable verbose logging')
+    .action(async (report, options) => {
+      try {
+        // Logs share standard output with the JSON unless it goes to a file
+        if (options.verbose) logger.level = 'debug';
+        else if (!options.output) logger.level = 'error';
+        await handleInspectReportAction(report, options);
+        process.exit(0);
+      } catch (error) {
+        handleCommandError(error, 'Inspect report');
+      }
+    });
+}
@@ -2,6 +2,7 @@
 
 import logger from '../../../shared/utils/logger.js';
 import { VALID_ONLY_COMPONENTS } from './valid-only-components.js';
+import { WEBHOOK_SECRET_MODES } from '../../../shared/utils/webhook-secrets.js';
 
 export function applyMigrateOptions(migrateConfig, transferConfig, options) {
   if (options.dryRun) migrateConfig.dryRun = true;
@@ -10,6 +11,17 @@ export function applyMigrateOptions(migrateConfig, transferConfig, options) {
   if (options.skipHotspotMetadataSync) migrateConfig.skipHotspotMetadataSync = true;
   if (options.skipQualityProfileSync) migrateConfig.skipQualityProfileSync = true;
   if (options.skipAllBranchSync) transferConfig.syncAllBranches = false;
+  if (options.strictReportValidation) transferConfig.reportValidation = 'strict';
+  if (options.strictQualityGates) migrateConfig.strictQualityGates = true;
+
+  if (options.webhookSecrets) {
+    if (!WEBHOOK_SECRET_MODES.includes(options.webhookSecrets)) {
+      logger.error(`Invalid --webhook-secrets mode: ${options.webhookSecrets}`);
+      logger.error(`Valid modes: ${WEBHOOK_SECRET_MODES.join(', ')}`);
+      process.exit(1);
+    }
+    migrateConfig.webhookSecrets = options.webhookSecrets;
+  }
 
   if (options.only) {
     const onlyComponents = options.only.split(',').map(s => s.trim()).filter(Boolean);
@@ -1,7 +1,7 @@
 // -------- Valid Only Components --------
 
 export const VALID_ONLY_COMPONENTS = [
-  'scan-data', 'scan-data-all-branches', 'portfolios', 'quality-gates',
+  'scan-data', 'scan-data-all-branches', 'portfolios', 'applications', 'quality-gates',
   'quality-profiles', 'permission-templates', 'permissions',
-  'issue-metadata', 'hotspot-metadata', 'project-settings'
+  'issue-metadata', 'hotspot-metadata', 'project-settings', 'webhooks'
 ];
@@ -1,6 +1,8 @@
 // -------- Migrate Command --------
 
 import logger from '../../shared/utils/logger.js';
+import { enableEventStream, parseEventsTarget } from '../../shared/utils/events.js';
+import { enableReportArchive } from '../../shared/scanner-report/report-archive.js';
 import { ShutdownCoordinator } from '../../shared/utils/shutdown.js';
 import { handleMigrateAction } from './helpers/handle-migrate-action.js';
 import { handleCommandError } from '../transfer/helpers/handle-command-error.js';
@@ -19,6 +21,8 @@ export function registerMigrateCommand(program) {
     .option('--skip-hotspot-metadata-sync', 'Skip syncing hotspot metadata')
     .option('--skip-quality-profile-sync', 'Skip syncing quality profiles')
     .option('--only <components>', 'Only migrate specific components (comma-separated)')
+    .option('--strict-quality-gates', 'Fail quality gates with conditions SonarCloud cannot represent')
+    .option('--webhook-secrets <mode>', 'How to supply webhook secrets: prompt, env or skip')
     .option('--concurrency <n>', 'Override max concurrency', (val) => {
       const n = Number.parseInt(val, 10);
       if (Number.isNaN(n) || n < 1) throw new Error(`--concurrency must be a positive integer, got: "${val}"`);
@@ -28,6 +32,9 @@ export function registerMigrateCommand(program) {
     .option('--project-concurrency <n>', 'Max concurrent project migrations', (val) => Math.max(1, Number.parseInt(val, 10) || 1))
     .option('--auto-tune', 'Auto-detect hardware and set optimal performance values')
     .option('--skip-all-branch-sync', 'Only sync main branch of each project')
+    .option('--events <path|fd>', 'Write NDJSON progress events to a file or an open file descriptor', parseEventsTarget)
+    .option('--save-reports <dir>', 'Save each scanner report zip to a directory before it is uploaded')
+    .option('--strict-report-validation', 'Abort the upload when a scanner report fails structural validation instead of repairing it')
     .option('--force-restart', 'Discard migration journal and start from scratch')
     .option('--force-unlock', 'Force release a stale lock file')
     .action(async (options) => {
@@ -36,6 +43,8 @@ export function registerMigrateCommand(program) {
 
       try {
         if (options.verbose) logger.level = 'debug';
+        if (options.events !== undefined) enableEventStream(options.events, 'migrate');
+        if (options.saveReports) enableReportArchive(options.saveReports);
         logger.info('=== CloudVoyager - Full Organization Migration ===');
         await handleMigrateAction(options, shutdownCoordinator);
         logger.info('=== Migration completed successfully ===');
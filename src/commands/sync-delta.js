@@ -0,0 +1,3 @@
+// -------- Re-export Shim --------
+
+export { registerSyncDeltaCommand } from './sync-delta/index.js';
@@ -0,0 +1,44 @@
+// -------- Handle Sync Delta Action --------
+
+import { loadMigrateConfig } from '../../../shared/config/loader.js';
+import { syncDeltaAll } from '../../../shared/delta-sync/sync-delta-pipeline.js';
+import { resolvePerformanceConfig, logSystemInfo, ensureHeapSize } from '../../../shared/utils/concurrency.js';
+import logger, { enableFileLogging } from '../../../shared/utils/logger.js';
+import { loadUserMappings } from '../../verify/helpers/load-user-mappings.js';
+
+export async function handleSyncDeltaAction(options) {
+  const config = await loadMigrateConfig(options.config);
+  const migrateConfig = config.migrate || {};
+  const outputDir = migrateConfig.outputDir || './migration-output';
+
+  const perfConfig = resolvePerformanceConfig({
+    ...config.performance,
+    ...(options.autoTune && { autoTune: true }),
+    ...(options.concurrency && { issueSync: { concurrency: options.concurrency }, hotspotSync: { concurrency: Math.min(options.concurrency, 3) }, hotspotExtraction: { concurrency: options.concurrency } }),
+    ...(options.maxMemory && { maxMemoryMB: options.maxMemory })
+  });
+  ensureHeapSize(perfConfig.maxMemoryMB);
+  enableFileLogging('sync-delta');
+  logSystemInfo(perfConfig);
+
+  const results = await syncDeltaAll({
+    sonarqubeConfig: config.sonarqube,
+    sonarcloudOrgs: config.sonarcloud.organizations,
+    rateLimitConfig: config.rateLimit,
+    performanceConfig: perfConfig,
+    outputDir,
+    since: options.since || null,
+    forceUnlock: Boolean(options.forceUnlock),
+    skipIssueSync: Boolean(options.skipIssueMetadataSync || migrateConfig.skipIssueMetadataSync),
+    skipHotspotSync: Boolean(options.skipHotspotMetadataSync || migrateConfig.skipHotspotMetadataSync),
+    projectFilters: migrateConfig.projects || null,
+    routingRules: migrateConfig.routingRules || null,
+    projectKeyTransform: migrateConfig.projectKeyTransform || null,
+    userMappings: await loadUserMappings(outputDir)
+  });
+
+  if (results.summary.failed > 0) {
+    logger.error(`${results.summary.failed} project(s) failed delta sync`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,41 @@
+// -------- Sync Delta Command --------
+
+import logger from '../../shared/utils/logger.js';
+import { enableEventStream, parseEventsTarget } from '../../shared/utils/events.js';
+import { handleSyncDeltaAction } from './helpers/handle-sync-delta-action.js';
+import { handleCommandError } from '../transfer/helpers/handle-command-error.js';
+
+export function registerSyncDeltaCommand(program) {
+  program
+    .command('sync-delta')
+    .description('Re-sync issues and hotspots changed in SonarQube since the last recorded sync of each migrated project')
+    .requiredOption('-c, --config <path>', 'Path to migration configuration file')
+    .option('-v, --verbose', 'Enable verbose logging')
+    .option('--since <timestamp>', 'Sync changes after this ISO 8601 timestamp instead of each project\'s recorded high-water mark', (val) => {
+      if (Number.isNaN(Date.parse(val))) throw new Error(`--since must be an ISO 8601 timestamp, got: "${val}"`);
+      return new Date(val).toISOString();
+    })
+    .option('--skip-issue-metadata-sync', 'Skip syncing issue metadata')
+    .option('--skip-hotspot-metadata-sync', 'Skip syncing hotspot metadata')
+    .option('--force-unlock', 'Force release stale state locks')
+    .option('--concurrency <n>', 'Override max concurrency', (val) => {
+      const n = Number.parseInt(val, 10);
+      if (Number.isNaN(n) || n < 1) throw new Error(`--concurrency must be a positive integer, got: "${val}"`);
+      return n;
+    })
+    .option('--max-memory <mb>', 'Max heap size in MB', Number.parseInt)
+    .option('--events <path|fd>', 'Write NDJSON progress events to a file or an open file descriptor', parseEventsTarget)
+    .option('--auto-tune', 'Auto-detect hardware and set optimal performance values')
+    .action(async (options) => {
+      try {
+        if (options.verbose) logger.level = 'debug';
+        if (options.events !== undefined) enableEventStream(options.events, 'sync-delta');
+        logger.info('=== CloudVoyager - Delta Sync ===');
+        await handleSyncDeltaAction(options);
+        logger.info('=== Delta sync completed successfully ===');
+        process.exit(0);
+      } catch (error) {
+        handleCommandError(error, 'Delta sync');
+      }
+    });
+}
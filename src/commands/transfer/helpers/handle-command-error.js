@@ -2,8 +2,10 @@
 
 import logger from '../../../shared/utils/logger.js';
 import { CloudVoyagerError, GracefulShutdownError } from '../../../shared/utils/errors.js';
+import { emitEvent } from '../../../shared/utils/events.js';
 
 export function handleCommandError(error, commandName) {
+  emitEvent(error instanceof GracefulShutdownError ? 'run.interrupted' : 'run.error', { message: error.message });
   if (error instanceof GracefulShutdownError) {
     logger.info(`${commandName} interrupted gracefully. Resume by running the same command again.`);
     process.exit(0);
@@ -22,6 +22,7 @@ export async function handleTransferAction(options, shutdownCoordinator) {
 
   const transferConfig = config.transfer || {};
   if (options.skipAllBranchSync) transferConfig.syncAllBranches = false;
+  if (options.strictReportValidation) transferConfig.reportValidation = 'strict';
 
   const perfConfig = resolvePerformanceConfig({
     ...config.performance,
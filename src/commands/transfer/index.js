@@ -1,6 +1,8 @@
 // -------- Transfer Command --------
 
 import logger from '../../shared/utils/logger.js';
+import { enableEventStream, parseEventsTarget } from '../../shared/utils/events.js';
+import { enableReportArchive } from '../../shared/scanner-report/report-archive.js';
 import { ShutdownCoordinator } from '../../shared/utils/shutdown.js';
 import { handleTransferAction } from './helpers/handle-transfer-action.js';
 import { handleCommandError } from './helpers/handle-command-error.js';
@@ -20,6 +22,9 @@ export function registerTransferCommand(program) {
     .option('--max-memory <mb>', 'Max heap size in MB (auto-restarts with increased heap if needed)', Number.parseInt)
     .option('--auto-tune', 'Auto-detect hardware and set optimal performance values')
     .option('--skip-all-branch-sync', 'Only sync the main branch (skip non-main branches)')
+    .option('--events <path|fd>', 'Write NDJSON progress events to a file or an open file descriptor', parseEventsTarget)
+    .option('--save-reports <dir>', 'Save each scanner report zip to a directory before it is uploaded')
+    .option('--strict-report-validation', 'Abort the upload when a scanner report fails structural validation instead of repairing it')
     .option('--force-restart', 'Discard checkpoint journal and start from scratch')
     .option('--force-fresh-extract', 'Discard extraction caches and re-extract everything')
     .option('--force-unlock', 'Force release a stale lock file from a previous run')
@@ -30,6 +35,8 @@ export function registerTransferCommand(program) {
 
       try {
         if (options.verbose) logger.level = 'debug';
+        if (options.events !== undefined) enableEventStream(options.events, 'transfer');
+        if (options.saveReports) enableReportArchive(options.saveReports);
         await handleTransferAction(options, shutdownCoordinator);
         logger.info('=== Transfer completed successfully ===');
         process.exit(0);
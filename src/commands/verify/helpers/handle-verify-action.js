@@ -5,6 +5,7 @@ import { verifyAll } from '../../../shared/verification/verify-pipeline.js';
 import { resolvePerformanceConfig, logSystemInfo, ensureHeapSize } from '../../../shared/utils/concurrency.js';
 import logger, { enableFileLogging } from '../../../shared/utils/logger.js';
 import { parseOnlyComponents } from './parse-only-components.js';
+import { loadUserMappings } from './load-user-mappings.js';
 
 export async function handleVerifyAction(options) {
   const config = await loadMigrateConfig(options.config);
@@ -30,7 +31,12 @@ export async function handleVerifyAction(options) {
     rateLimitConfig: config.rateLimit,
     performanceConfig: perfConfig,
     outputDir: options.outputDir,
-    onlyComponents
+    onlyComponents,
+    projectFilters: config.migrate?.projects || null,
+    routingRules: config.migrate?.routingRules || null,
+    projectKeyTransform: config.migrate?.projectKeyTransform || null,
+    enterpriseConfig: config.sonarcloud.enterprise || null,
+    userMappings: await loadUserMappings(config.migrate?.outputDir || './migration-output')
   });
 
   if (results.summary.failed > 0 || results.summary.errors > 0) {
@@ -0,0 +1,11 @@
+// -------- Load User Mappings --------
+
+import { join } from 'node:path';
+import { loadMappingCsvs } from '../../../shared/mapping/csv-reader.js';
+import { applyUserMappingsCsv } from '../../../shared/mapping/csv-entity-filters.js';
+
+/** Load user-mappings.csv from the migration output so user permission checks compare mapped logins. */
+export async function loadUserMappings(migrateOutputDir) {
+  const csvs = await loadMappingCsvs(join(migrateOutputDir, 'mappings'));
+  return csvs.has('user-mappings.csv') ? applyUserMappingsCsv(csvs.get('user-mappings.csv')) : null;
+}
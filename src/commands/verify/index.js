@@ -1,6 +1,7 @@
 // -------- Verify Command --------
 
 import logger from '../../shared/utils/logger.js';
+import { enableEventStream, emitEvent, parseEventsTarget } from '../../shared/utils/events.js';
 import { CloudVoyagerError } from '../../shared/utils/errors.js';
 import { handleVerifyAction } from './helpers/handle-verify-action.js';
 
@@ -18,15 +19,18 @@ export function registerVerifyCommand(program) {
       return n;
     })
     .option('--max-memory <mb>', 'Max heap size in MB', Number.parseInt)
+    .option('--events <path|fd>', 'Write NDJSON progress events to a file or an open file descriptor', parseEventsTarget)
     .option('--auto-tune', 'Auto-detect hardware and set optimal performance values')
     .action(async (options) => {
       try {
         if (options.verbose) logger.level = 'debug';
+        if (options.events !== undefined) enableEventStream(options.events, 'verify');
         logger.info('=== CloudVoyager - Migration Verification ===');
         await handleVerifyAction(options);
         logger.info('=== Verification completed successfully — all checks passed ===');
         process.exit(0);
       } catch (error) {
+        emitEvent('run.error', { message: error.message });
         if (error instanceof CloudVoyagerError) {
           logger.error(`Verification failed: ${error.message}`);
         } else {
@@ -7,6 +7,10 @@ import { Command } from 'commander';
 import { registerTransferCommand } from './commands/transfer.js';
 import { registerMigrateCommand } from './commands/migrate.js';
 import { registerSyncMetadataCommand } from './commands/sync-metadata.js';
+import { registerSyncDeltaCommand } from './commands/sync-delta.js';
+import { registerExportCommand } from './commands/export.js';
+import { registerImportCommand } from './commands/import.js';
+import { registerInspectReportCommand } from './commands/inspect-report.js';
 import { registerVerifyCommand } from './commands/verify.js';
 import { registerValidateCommand } from './commands/validate/index.js';
 import { registerStatusCommand } from './commands/status/index.js';
@@ -27,6 +31,10 @@ program
 registerTransferCommand(program);
 registerMigrateCommand(program);
 registerSyncMetadataCommand(program);
+registerSyncDeltaCommand(program);
+registerExportCommand(program);
+registerImportCommand(program);
+registerInspectReportCommand(program);
 registerVerifyCommand(program);
 registerValidateCommand(program);
 registerStatusCommand(program);
@@ -8,7 +8,8 @@ export function buildContext(opts, journal) {
     outputDir: opts.outputDir, dryRun: opts.dryRun, wait: opts.wait,
     skipIssueSync: opts.skipIssueSync, skipHotspotSync: opts.skipHotspotSync,
     skipQualityProfileSync: opts.skipQualityProfileSync, skipProjectConfig: opts.skipProjectConfig,
-    onlyComponents: opts.onlyComponents, projectBranchIncludes: new Map(),
+    webhookSecrets: opts.webhookSecrets, strictQualityGates: opts.strictQualityGates,
+    onlyComponents: opts.onlyComponents, projectFilters: opts.projectFilters, projectKeyTransform: opts.projectKeyTransform, projectBranchIncludes: new Map(),
     migrationJournal: opts.dryRun ? null : journal,
   };
 }
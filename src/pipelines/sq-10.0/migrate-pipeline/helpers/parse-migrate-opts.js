@@ -18,7 +18,12 @@ export function parseMigrateOpts(options) {
     skipHotspotSync: migrateConfig.skipHotspotMetadataSync || migrateConfig.skipHotspotSync || false,
     skipQualityProfileSync: migrateConfig.skipQualityProfileSync || false,
     skipProjectConfig: migrateConfig.skipProjectConfig || false,
+    webhookSecrets: migrateConfig.webhookSecrets || 'skip',
+    strictQualityGates: migrateConfig.strictQualityGates || false,
     onlyComponents: migrateConfig.onlyComponents || null,
+    projectFilters: migrateConfig.projects || null,
+    routingRules: migrateConfig.routingRules || null,
+    projectKeyTransform: migrateConfig.projectKeyTransform || null,
     forceRestart: migrateConfig.forceRestart || false,
   };
 }
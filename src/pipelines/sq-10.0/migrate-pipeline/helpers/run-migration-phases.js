@@ -1,6 +1,6 @@
 import logger from '../../../../shared/utils/logger.js';
 import { mapConcurrent } from '../../../../shared/utils/concurrency.js';
-import { migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterprisePortfolios } from '../../pipeline/org-migration.js';
+import { migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterpriseViews } from '../../pipeline/org-migration.js';
 
 // -------- Run Migration Phases --------
 
@@ -25,9 +25,7 @@ export async function runPhase1(orgAssignments, extractedData, resourceMappings,
 
 export async function runPhase2(extractedData, mergedProjectKeyMap, orgPhase2Contexts, results, ctx) {
   await Promise.all([
-    (!ctx.onlyComponents || ctx.onlyComponents.includes('portfolios'))
-      ? migrateEnterprisePortfolios(extractedData, mergedProjectKeyMap, results, ctx)
-      : Promise.resolve(),
+    migrateEnterpriseViews(extractedData, mergedProjectKeyMap, results, ctx),
     ...orgPhase2Contexts.map(phase2Ctx => migrateOneOrganizationMetadata(phase2Ctx)),
   ]);
 }
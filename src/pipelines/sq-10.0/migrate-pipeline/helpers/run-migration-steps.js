@@ -2,6 +2,7 @@ import logger from '../../../../shared/utils/logger.js';
 import { SonarQubeClient } from '../../sonarqube/api-client.js';
 import { runFatalStep, logMigrationSummary } from '../../pipeline/results.js';
 import { generateOrgMappings, saveServerInfo } from '../../pipeline/org-migration.js';
+import { compileRoutingRules } from '../../../../shared/mapping/routing-rules.js';
 import { extractOrLoadServerData } from './extract-server-data.js';
 import { handleDryRun } from './handle-dry-run.js';
 import { applyOverrides } from './apply-csv-overrides.js';
@@ -16,12 +17,13 @@ export async function runMigrationSteps(opts, ctx, results, preExistingCsvs, cac
   await runFatalStep(results, 'Connect to SonarQube', () => sqClient.testConnection());
 
   logger.info('=== Step 2: Extracting server-wide data from SonarQube ===');
-  const { allProjects, extractedData } = await extractOrLoadServerData(sqClient, cachedServerData, results, opts.perfConfig, opts.outputDir);
+  const { allProjects, extractedData } = await extractOrLoadServerData(sqClient, cachedServerData, results, opts.perfConfig, opts.outputDir, opts.projectFilters);
 
   logger.info('=== Step 3: Generating organization mappings ===');
   const extraMappingData = await collectAssignees(sqClient, allProjects, opts.dryRun);
+  const routingRules = await compileRoutingRules(sqClient, opts.routingRules, opts.sonarcloudOrgs, extractedData.portfolios);
   const { orgMapping, resourceMappings } = await generateOrgMappings(
-    allProjects, extractedData, opts.sonarcloudOrgs, opts.outputDir, extraMappingData,
+    allProjects, extractedData, opts.sonarcloudOrgs, opts.outputDir, extraMappingData, routingRules, opts.projectKeyTransform,
   );
   if (opts.dryRun) return handleDryRun(results, mappingsDir);
 
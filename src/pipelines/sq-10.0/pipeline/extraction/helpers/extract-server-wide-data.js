@@ -1,8 +1,9 @@
 import { extractQualityGates } from '../../../sonarqube/extractors/quality-gates.js';
-import { extractQualityProfiles } from '../../../sonarqube/extractors/quality-profiles.js';
+import { extractQualityProfiles, extractCustomRules } from '../../../sonarqube/extractors/quality-profiles.js';
 import { extractGroups } from '../../../sonarqube/extractors/groups.js';
-import { extractGlobalPermissions, extractPermissionTemplates } from '../../../sonarqube/extractors/permissions.js';
+import { extractGlobalPermissions, extractGlobalUserPermissions, extractPermissionTemplates } from '../../../sonarqube/extractors/permissions.js';
 import { extractPortfolios } from '../../../sonarqube/extractors/portfolios.js';
+import { extractApplications } from '../../../sonarqube/extractors/applications.js';
 import { extractServerInfo } from '../../../sonarqube/extractors/server-info.js';
 import { extractWebhooks } from '../../../sonarqube/extractors/webhooks.js';
 import { extractAlmSettings, extractAllProjectBindings } from '../../../sonarqube/extractors/devops-bindings.js';
@@ -12,13 +13,16 @@ import { extractAllProjectBranches } from './extract-all-project-branches.js';
 // -------- Extract Server-Wide Data --------
 
 export async function extractServerWideData(sqClient, allProjects, results, perfConfig) {
-  const [qualityGates, qualityProfiles, groups, globalPermissions, permissionTemplates, portfolios, serverInfo, serverWebhooks] = await Promise.all([
+  const [qualityGates, qualityProfiles, customRules, groups, globalPermissions, globalUserPermissions, permissionTemplates, portfolios, applications, serverInfo, serverWebhooks] = await Promise.all([
     runNonFatalExtraction(results, 'quality gates', () => extractQualityGates(sqClient), d => `${d.length} found`).then(d => d || []),
     runNonFatalExtraction(results, 'quality profiles', () => extractQualityProfiles(sqClient), d => `${d.length} found`).then(d => d || []),
+    runNonFatalExtraction(results, 'custom rules', () => extractCustomRules(sqClient), d => `${d.length} found`).then(d => d || []),
     runNonFatalExtraction(results, 'groups', () => extractGroups(sqClient), d => `${d.length} found`).then(d => d || []),
     runNonFatalExtraction(results, 'global permissions', () => extractGlobalPermissions(sqClient)).then(d => d || []),
+    runNonFatalExtraction(results, 'global user permissions', () => extractGlobalUserPermissions(sqClient)).then(d => d || []),
     runNonFatalExtraction(results, 'permission templates', () => extractPermissionTemplates(sqClient)).then(d => d || { templates: [], defaultTemplates: [] }),
     runNonFatalExtraction(results, 'portfolios', () => extractPortfolios(sqClient), d => `${d.length} found`).then(d => d || []),
+    runNonFatalExtraction(results, 'applications', () => extractApplications(sqClient), d => `${d.length} found`).then(d => d || []),
     runNonFatalExtraction(results, 'server info', () => extractServerInfo(sqClient)).then(d => d || { system: {}, plugins: [], settings: [] }),
     runNonFatalExtraction(results, 'webhooks', () => extractWebhooks(sqClient)).then(d => d || []),
   ]);
@@ -33,5 +37,5 @@ export async function extractServerWideData(sqClient, allProjects, results, perf
 
   const projectBranches = await runNonFatalExtraction(results, 'project branches', () => extractAllProjectBranches(sqClient, allProjects, perfConfig), d => `branches for ${d.size} projects`) || new Map();
 
-  return { projects: allProjects, qualityGates, qualityProfiles, groups, globalPermissions, permissionTemplates, portfolios, almSettings, projectBindings, projectBranches, serverInfo, serverWebhooks };
+  return { projects: allProjects, qualityGates, qualityProfiles, customRules, groups, globalPermissions, globalUserPermissions, permissionTemplates, portfolios, applications, almSettings, projectBindings, projectBranches, serverInfo, serverWebhooks };
 }
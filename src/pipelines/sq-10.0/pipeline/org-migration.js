@@ -5,4 +5,6 @@ export {
   migrateOrgWideResources, migrateOneOrganization,
   migrateOneOrganizationCore, migrateOneOrganizationMetadata,
   migrateEnterprisePortfolios,
+  migrateEnterpriseApplications,
+  migrateEnterpriseViews,
 } from './org-migration/index.js';
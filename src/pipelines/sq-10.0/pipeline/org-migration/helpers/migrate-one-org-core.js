@@ -1,5 +1,6 @@
 import { SonarQubeClient } from '../../../sonarqube/api-client.js';
 import { SonarCloudClient } from '../../../sonarcloud/api-client.js';
+import { loadRuleKeyTranslator } from '../../../../../shared/utils/rule-keys.js';
 import logger from '../../../../../shared/utils/logger.js';
 import { loadOrMigrateOrgWide } from './load-or-migrate-org-wide.js';
 import { runProjectPhase } from './run-project-phase.js';
@@ -19,6 +20,7 @@ export async function migrateOneOrganizationCore(assignment, extractedData, reso
   try { await scClient.testConnection(); orgResult.steps.push({ step: 'Connect to SonarCloud', status: 'success' }); }
   catch (error) { orgResult.steps.push({ step: 'Connect to SonarCloud', status: 'failed', error: error.message }); logger.error(`Failed to connect to SonarCloud org ${org.key}: ${error.message}`); return null; }
   const sqClient = new SonarQubeClient({ url: ctx.sonarqubeConfig.url, token: ctx.sonarqubeConfig.token });
+  if (!ctx.ruleKeys) ctx.ruleKeys = await loadRuleKeyTranslator(sqClient, scClient);
   const { gateMapping, builtInProfileMapping } = await loadOrMigrateOrgWide(extractedData, scClient, sqClient, orgResult, results, ctx, { orgKey: org.key, migrationJournal });
   const { projectKeyMap, projectKeyWarnings, projectPhase2Contexts } = await runProjectPhase(projects, org, scClient, gateMapping, extractedData, results, ctx, builtInProfileMapping);
   results.projectKeyWarnings.push(...projectKeyWarnings);
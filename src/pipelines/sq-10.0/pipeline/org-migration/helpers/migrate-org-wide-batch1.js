@@ -1,7 +1,7 @@
 import logger from '../../../../../shared/utils/logger.js';
 import { migrateQualityGates } from '../../../sonarcloud/migrators/quality-gates.js';
-import { migrateQualityProfiles } from '../../../sonarcloud/migrators/quality-profiles.js';
-import { migrateGroups } from '../../../sonarcloud/migrators/groups.js';
+import { migrateQualityProfiles, migrateCustomRules } from '../../../sonarcloud/migrators/quality-profiles.js';
+import { migrateGroups, migrateGroupMemberships } from '../../../sonarcloud/migrators/groups.js';
 import { migratePermissionTemplates } from '../../../sonarcloud/migrators/permissions.js';
 import { runOrgStep } from './run-org-step.js';
 
@@ -16,25 +16,41 @@ export async function runBatch1(extractedData, scClient, orgResult, results, ctx
     shouldRun('permissions') ? runOrgStep(orgResult, 'Create groups', async () => {
       logger.info('Creating groups...');
       const gm = await migrateGroups(extractedData.groups, scClient);
+      const ms = await migrateGroupMemberships(extractedData.groups, gm, scClient, ctx.userMappings);
       results.groups += gm.size;
-      return `${gm.size} created`;
+      results.groupMemberships += ms.added;
+      results.groupMembershipWarnings.push(...ms.warnings.map(w => ({ organization: orgResult.key, ...w })));
+      return `${gm.size} created, ${ms.added} member(s) added`;
     }) : null,
     shouldRun('quality-gates') ? runOrgStep(orgResult, 'Create quality gates', async () => {
       logger.info('Creating quality gates...');
-      gateMapping = await migrateQualityGates(extractedData.qualityGates, scClient);
+      const compatibility = [];
+      const outcomes = [];
+      gateMapping = await migrateQualityGates(extractedData.qualityGates, scClient, { strict: ctx.strictQualityGates, compatibility, outcomes });
       results.qualityGates += gateMapping.size;
-      return `${gateMapping.size} created`;
+      results.qualityGateCompatibility.push(...compatibility.map(c => ({ organization: orgResult.key, ...c })));
+      results.qualityGateOutcomes.push(...outcomes.map(o => ({ organization: orgResult.key, ...o })));
+      return `${gateMapping.size} migrated`;
     }) : null,
-    (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : runOrgStep(orgResult, 'Restore quality profiles', async () => {
-      logger.info('Restoring quality profiles...');
-      const mr = await migrateQualityProfiles(extractedData.qualityProfiles, scClient);
-      builtInProfileMapping = mr.builtInProfileMapping;
-      results.qualityProfiles += mr.profileMapping.size;
-      return `${mr.profileMapping.size} restored (${builtInProfileMapping.size} built-in migrated)`;
-    }),
+    (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : (async () => {
+      // Custom rules must exist before the profiles that activate them are restored
+      if (extractedData.customRules?.length > 0) await runOrgStep(orgResult, 'Create custom rules', async () => {
+        const cr = await migrateCustomRules(extractedData.customRules, scClient);
+        results.customRules += cr.created;
+        results.customRuleFailures.push(...cr.failures.map(f => ({ organization: orgResult.key, ...f })));
+        return `${cr.created} created, ${cr.alreadyPresent} already present, ${cr.failures.length} failed`;
+      });
+      await runOrgStep(orgResult, 'Restore quality profiles', async () => {
+        logger.info('Restoring quality profiles...');
+        const mr = await migrateQualityProfiles(extractedData.qualityProfiles, scClient);
+        builtInProfileMapping = mr.builtInProfileMapping;
+        results.qualityProfiles += mr.profileMapping.size;
+        return `${mr.profileMapping.size} restored (${builtInProfileMapping.size} built-in migrated)`;
+      });
+    })(),
     shouldRun('permission-templates') ? runOrgStep(orgResult, 'Create permission templates', async () => {
       logger.info('Creating permission templates...');
-      await migratePermissionTemplates(extractedData.permissionTemplates, scClient);
+      await migratePermissionTemplates(extractedData.permissionTemplates, scClient, ctx.userMappings);
     }) : null,
   ].filter(Boolean));
   return { gateMapping, builtInProfileMapping };
@@ -1,27 +1,37 @@
 import { writeFile } from 'node:fs/promises';
 import { join } from 'node:path';
 import logger from '../../../../../shared/utils/logger.js';
-import { migrateGlobalPermissions } from '../../../sonarcloud/migrators/permissions.js';
+import { listTuningFindings } from '../../../../../shared/utils/quality-profile-tuning.js';
+import { migrateGlobalPermissions, migrateGlobalUserPermissions } from '../../../sonarcloud/migrators/permissions.js';
 import { generateQualityProfileDiff } from '../../../sonarcloud/migrators/quality-profile-diff.js';
+import { migrateWebhooks } from '../../../sonarcloud/migrators/webhooks.js';
 import { runOrgStep } from './run-org-step.js';
 
 // -------- Batch 2: Dependent Org-Wide Steps --------
 
-export async function runBatch2(extractedData, scClient, sqClient, orgResult, ctx) {
+export async function runBatch2(extractedData, scClient, sqClient, orgResult, results, ctx) {
   const only = ctx.onlyComponents;
   const shouldRun = (comp) => !only || only.includes(comp);
   await Promise.all([
     shouldRun('permissions') ? runOrgStep(orgResult, 'Set global permissions', async () => {
       logger.info('Setting global permissions...');
       await migrateGlobalPermissions(extractedData.globalPermissions, scClient);
+      const users = await migrateGlobalUserPermissions(extractedData.globalUserPermissions || [], scClient, ctx.userMappings);
+      return `${users.granted} user permission(s) granted`;
     }) : null,
     (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : runOrgStep(orgResult, 'Compare quality profiles', async () => {
       logger.info('Comparing quality profiles between SonarQube and SonarCloud...');
-      const diffReport = await generateQualityProfileDiff(extractedData.qualityProfiles, sqClient, scClient);
+      const diffReport = await generateQualityProfileDiff(extractedData.qualityProfiles, sqClient, scClient, ctx.ruleKeys);
       const diffPath = join(ctx.outputDir, 'quality-profiles', 'quality-profile-diff.json');
       await writeFile(diffPath, JSON.stringify(diffReport, null, 2));
       logger.info(`Quality profile diff report written to ${diffPath}`);
-      return `${diffReport.summary.languagesCompared} languages compared, ${diffReport.summary.totalMissingRules} missing rules, ${diffReport.summary.totalAddedRules} added rules`;
+      results.qualityProfileTuning.push(...listTuningFindings(diffReport, orgResult.key));
+      return `${diffReport.summary.languagesCompared} languages compared, ${diffReport.summary.totalMissingRules} missing rules, ${diffReport.summary.totalAddedRules} added rules, ${diffReport.summary.totalRuleDifferences} tuned differently`;
     }),
+    shouldRun('webhooks') ? runOrgStep(orgResult, 'Create webhooks', async () => {
+      logger.info('Creating organization webhooks...');
+      const r = await migrateWebhooks(extractedData.serverWebhooks || [], scClient, { secretMode: ctx.webhookSecrets });
+      return `${r.created} created, ${r.skipped} already present, ${r.failed} failed`;
+    }) : null,
   ].filter(Boolean));
 }
@@ -9,7 +9,7 @@ export async function migrateOrgWideResources(extractedData, scClient, sqClient,
   const shouldRun = (comp) => !only || only.includes(comp);
   pushSkippedSteps(orgResult, shouldRun, ctx);
   const { gateMapping, builtInProfileMapping } = await runBatch1(extractedData, scClient, orgResult, results, ctx);
-  await runBatch2(extractedData, scClient, sqClient, orgResult, ctx);
+  await runBatch2(extractedData, scClient, sqClient, orgResult, results, ctx);
   return { gateMapping, builtInProfileMapping };
 }
 
@@ -32,4 +32,7 @@ function pushSkippedSteps(orgResult, shouldRun, ctx) {
   if (!shouldRun('permission-templates')) {
     orgResult.steps.push({ step: 'Create permission templates', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
   }
+  if (!shouldRun('webhooks')) {
+    orgResult.steps.push({ step: 'Create webhooks', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
+  }
 }
@@ -5,12 +5,12 @@ import { migrateOrgProjectsCorePhase, resolveProjectKey } from '../../project-mi
 
 export async function runProjectPhase(projects, org, scClient, gateMapping, extractedData, results, ctx, builtInProfileMapping) {
   const only = ctx.onlyComponents;
-  const PROJECT_COMPONENTS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings'];
+  const PROJECT_COMPONENTS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings', 'webhooks'];
   const hasProjectWork = !only || PROJECT_COMPONENTS.some(c => only.includes(c));
   if (!hasProjectWork) {
     const projectKeyMap = new Map();
     for (const project of projects) {
-      const { scProjectKey } = await resolveProjectKey(project, org, scClient);
+      const { scProjectKey } = await resolveProjectKey(project, org, scClient, ctx.projectKeyTransform);
       projectKeyMap.set(project.key, scProjectKey);
     }
     logger.info(`Skipping project migration (no project-level components in --only). Resolved ${projectKeyMap.size} project key(s).`);
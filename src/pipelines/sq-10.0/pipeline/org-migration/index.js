@@ -8,3 +8,5 @@ export { migrateOneOrganization } from './helpers/migrate-one-org.js';
 export { migrateOneOrganizationCore } from './helpers/migrate-one-org-core.js';
 export { migrateOneOrganizationMetadata } from './helpers/migrate-one-org-metadata.js';
 export { migrateEnterprisePortfolios } from './helpers/migrate-enterprise-portfolios.js';
+export { migrateEnterpriseApplications } from './helpers/migrate-enterprise-applications.js';
+export { migrateEnterpriseViews } from './helpers/migrate-enterprise-views.js';
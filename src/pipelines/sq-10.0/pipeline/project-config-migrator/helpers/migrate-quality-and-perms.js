@@ -1,11 +1,11 @@
-import { extractProjectPermissions } from '../../../sonarqube/extractors/permissions.js';
+import { extractProjectPermissions, extractProjectUserPermissions } from '../../../sonarqube/extractors/permissions.js';
 import { assignQualityGatesToProjects } from '../../../sonarcloud/migrators/quality-gates.js';
-import { migrateProjectPermissions } from '../../../sonarcloud/migrators/permissions.js';
+import { migrateProjectPermissions, migrateProjectUserPermissions } from '../../../sonarcloud/migrators/permissions.js';
 import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Migrate Quality Gates, Profiles, and Permissions --------
 
-export async function migrateQualityAndPerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guardedStep) {
+export async function migrateQualityAndPerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guardedStep, userMappings = null) {
   const shouldRun = (comp) => !onlyComponents || onlyComponents.includes(comp);
 
   await Promise.all([
@@ -40,6 +40,9 @@ export async function migrateQualityAndPerms(project, scProjectKey, projectSqCli
         await guardedStep('Project permissions', 'project_permissions', async () => {
           const projectPerms = await extractProjectPermissions(projectSqClient, project.key);
           await migrateProjectPermissions(scProjectKey, projectPerms, projectScClient);
+          const userPerms = await extractProjectUserPermissions(projectSqClient, project.key);
+          const users = await migrateProjectUserPermissions(scProjectKey, userPerms, projectScClient, userMappings);
+          return `${users.granted} user permission(s) granted`;
         });
       } else if (onlyComponents) {
         projectResult.steps.push({ step: 'Project permissions', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
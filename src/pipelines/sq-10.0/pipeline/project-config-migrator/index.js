@@ -2,6 +2,7 @@ import logger from '../../../../shared/utils/logger.js';
 import { runProjectStep } from './helpers/run-project-step.js';
 import { migrateProjectSettingsGroup } from './helpers/migrate-project-settings-group.js';
 import { migrateQualityAndPerms } from './helpers/migrate-quality-and-perms.js';
+import { migrateProjectWebhooks } from './helpers/migrate-project-webhooks.js';
 
 // -------- Re-exports --------
 
@@ -10,7 +11,7 @@ export { runProjectStep } from './helpers/run-project-step.js';
 
 // -------- Migrate Project Config --------
 
-export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}) {
+export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}, userMappings = null, webhookSecrets = 'skip') {
   const shouldRun = (comp) => !onlyComponents || onlyComponents.includes(comp);
   const { isStepDone: stepDone, recordStep: recStep } = journal;
 
@@ -33,5 +34,6 @@ export async function migrateProjectConfig(project, scProjectKey, projectSqClien
     }
   }
 
-  await migrateQualityAndPerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guardedStep);
+  await migrateQualityAndPerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guardedStep, userMappings);
+  await migrateProjectWebhooks(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, guardedStep, webhookSecrets);
 }
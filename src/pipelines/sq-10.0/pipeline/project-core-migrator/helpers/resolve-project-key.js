@@ -1,14 +1,16 @@
 import logger from '../../../../../shared/utils/logger.js';
+import { transformProjectKey } from '../../../../../shared/mapping/project-key-transform.js';
 
 // -------- Resolve Project Key --------
 
-export async function resolveProjectKey(project, org, scClient) {
-  let scProjectKey = project.key;
+export async function resolveProjectKey(project, org, scClient, keyTransform = null) {
+  const baseKey = transformProjectKey(project.key, keyTransform, org.key);
+  let scProjectKey = baseKey;
   let warning = null;
-  const globalCheck = await scClient.isProjectKeyTakenGlobally(project.key);
+  const globalCheck = await scClient.isProjectKeyTakenGlobally(baseKey);
   if (globalCheck.taken && globalCheck.owner !== org.key) {
-    scProjectKey = `${org.key}_${project.key}`;
-    logger.warn(`Project key "${project.key}" is already taken by organization "${globalCheck.owner}". Using prefixed key "${scProjectKey}" instead.`);
+    scProjectKey = `${org.key}_${baseKey}`;
+    logger.warn(`Project key "${baseKey}" is already taken by organization "${globalCheck.owner}". Using prefixed key "${scProjectKey}" instead.`);
     warning = { sqKey: project.key, scKey: scProjectKey, owner: globalCheck.owner };
   }
   return { scProjectKey, warning };
@@ -12,11 +12,13 @@ export async function syncProjectHotspots(projectResult, results, reportUploadOk
   try {
     logger.info(`[${projectKey}] Syncing hotspot metadata...`);
     const sqHotspots = await extractHotspots(projectSqClient, null, { concurrency: ctx.perfConfig.hotspotExtraction.concurrency });
-    const hotspotStats = await syncHotspots(scProjectKey, sqHotspots, projectScClient, { concurrency: ctx.perfConfig.hotspotSync.concurrency, sonarqubeUrl: projectSqClient.baseURL, sonarqubeProjectKey: projectSqClient.projectKey, sqClient: projectSqClient });
+    const hotspotStats = await syncHotspots(scProjectKey, sqHotspots, projectScClient, { concurrency: ctx.perfConfig.hotspotSync.concurrency, sonarqubeUrl: projectSqClient.baseURL, sonarqubeProjectKey: projectSqClient.projectKey, sqClient: projectSqClient, userMappings: ctx.userMappings, ruleKeys: ctx.ruleKeys });
     logger.info(`[${projectKey}] Hotspot sync: ${hotspotStats.matched} matched, ${hotspotStats.statusChanged} status changed`);
     results.hotspotSyncStats.matched += hotspotStats.matched;
     results.hotspotSyncStats.statusChanged += hotspotStats.statusChanged;
-    projectResult.steps.push({ step: 'Sync hotspots', status: 'success', detail: `${hotspotStats.matched} matched, ${hotspotStats.statusChanged} status changed`, durationMs: Date.now() - start });
+    results.hotspotSyncStats.assigned += hotspotStats.assigned;
+    results.hotspotSyncStats.assignmentFailed += hotspotStats.assignmentFailed;
+    projectResult.steps.push({ step: 'Sync hotspots', status: 'success', detail: `${hotspotStats.matched} matched, ${hotspotStats.statusChanged} status changed${hotspotStats.assigned > 0 ? `, ${hotspotStats.assigned} assigned` : ''}`, durationMs: Date.now() - start });
   } catch (error) {
     projectResult.steps.push({ step: 'Sync hotspots', status: 'failed', error: error.message, durationMs: Date.now() - start });
     projectResult.errors.push(error.message);
@@ -11,12 +11,13 @@ export async function syncProjectIssues(projectResult, results, reportUploadOk,
   try {
     logger.info(`[${projectKey}] Syncing issue metadata...`);
     const sqIssues = await projectSqClient.getIssuesWithComments();
-    const issueStats = await syncIssues(scProjectKey, sqIssues, projectScClient, { concurrency: ctx.perfConfig.issueSync.concurrency, sqClient: projectSqClient, userMappings: ctx.userMappings });
+    const issueStats = await syncIssues(scProjectKey, sqIssues, projectScClient, { concurrency: ctx.perfConfig.issueSync.concurrency, sqClient: projectSqClient, userMappings: ctx.userMappings, ruleKeys: ctx.ruleKeys });
     logger.info(`[${projectKey}] Issue sync: ${issueStats.matched} matched, ${issueStats.transitioned} transitioned`);
     results.issueSyncStats.matched += issueStats.matched;
     results.issueSyncStats.transitioned += issueStats.transitioned;
     results.issueSyncStats.assigned += issueStats.assigned;
     results.issueSyncStats.assignmentFailed += issueStats.assignmentFailed;
+    results.issueSyncStats.overridden += issueStats.severityOverridden + issueStats.typeOverridden + issueStats.impactOverridden;
     results.issueSyncStats.failedAssignments.push(...issueStats.failedAssignments);
     const assignDetail = issueStats.assigned > 0 ? `, ${issueStats.assigned} assigned` + (issueStats.assignmentFailed > 0 ? `, ${issueStats.assignmentFailed} assignment-failed` : '') : '';
     projectResult.steps.push({ step: 'Sync issues', status: 'success', detail: `${issueStats.matched} matched, ${issueStats.transitioned} transitioned${assignDetail}`, durationMs: Date.now() - start });
@@ -43,7 +43,7 @@ export async function migrateOneProjectCore({ project, scProjectKey, org, gateMa
     }
   }
   if (reportUploadOk && !ctx.skipProjectConfig) {
-    await migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, only, { isStepDone, recordStep });
+    await migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, only, { isStepDone, recordStep }, ctx.userMappings, ctx.webhookSecrets);
   }
   return { project, scProjectKey, org, ctx, projectResult, projectStart, reportUploadOk, projectSqClient, projectScClient, isStepDone, recordStep, shouldRun, only };
 }
@@ -1,11 +1,11 @@
 import logger from '../../../../../shared/utils/logger.js';
 import { assignQualityGatesToProjects } from '../../../sonarcloud/migrators/quality-gates.js';
-import { extractProjectPermissions } from '../../../sonarqube/extractors/permissions.js';
-import { migrateProjectPermissions } from '../../../sonarcloud/migrators/permissions.js';
+import { extractProjectPermissions, extractProjectUserPermissions } from '../../../sonarqube/extractors/permissions.js';
+import { migrateProjectPermissions, migrateProjectUserPermissions } from '../../../sonarcloud/migrators/permissions.js';
 
 // -------- Migrate Project Config: Gates, Profiles, Permissions --------
 
-export async function migrateProjectConfigGates(project, scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, runGuardedStep) {
+export async function migrateProjectConfigGates(project, scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, runGuardedStep, userMappings = null) {
   const shouldRun = (comp) => !onlyComponents || onlyComponents.includes(comp);
   await Promise.all([
     (async () => {
@@ -39,6 +39,9 @@ export async function migrateProjectConfigGates(project, scProjectKey, projectSq
         await runGuardedStep('Project permissions', 'project_permissions', async () => {
           const perms = await extractProjectPermissions(projectSqClient, project.key);
           await migrateProjectPermissions(scProjectKey, perms, projectScClient);
+          const userPerms = await extractProjectUserPermissions(projectSqClient, project.key);
+          const users = await migrateProjectUserPermissions(scProjectKey, userPerms, projectScClient, userMappings);
+          return `${users.granted} user permission(s) granted`;
         });
       } else if (onlyComponents) {
         projectResult.steps.push({ step: 'Project permissions', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
@@ -2,10 +2,11 @@ import logger from '../../../../../shared/utils/logger.js';
 import { runProjectStep } from './run-project-step.js';
 import { migrateProjectConfigSettings } from './migrate-project-config-settings.js';
 import { migrateProjectConfigGates } from './migrate-project-config-gates.js';
+import { migrateProjectWebhooks } from './migrate-project-webhooks.js';
 
 // -------- Migrate Full Project Config --------
 
-export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}) {
+export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}, userMappings = null, webhookSecrets = 'skip') {
   const { isStepDone: stepDone, recordStep: recStep } = journal;
 
   async function runGuardedStep(stepName, journalKey, fn) {
@@ -20,5 +21,6 @@ export async function migrateProjectConfig(project, scProjectKey, projectSqClien
   }
 
   await migrateProjectConfigSettings(project, scProjectKey, projectSqClient, projectScClient, extractedData, projectResult, onlyComponents, runGuardedStep);
-  await migrateProjectConfigGates(project, scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, runGuardedStep);
+  await migrateProjectConfigGates(project, scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, runGuardedStep, userMappings);
+  await migrateProjectWebhooks(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, runGuardedStep, webhookSecrets);
 }
@@ -0,0 +1,16 @@
+// -------- Migrate Project Webhooks --------
+
+import { extractWebhooks } from '../../../sonarqube/extractors/webhooks.js';
+import { migrateWebhooks } from '../../../sonarcloud/migrators/webhooks.js';
+
+export async function migrateProjectWebhooks(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, runGuardedStep, webhookSecrets) {
+  if (onlyComponents && !onlyComponents.includes('webhooks')) {
+    projectResult.steps.push({ step: 'Project webhooks', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
+    return;
+  }
+  await runGuardedStep('Project webhooks', 'project_webhooks', async () => {
+    const webhooks = await extractWebhooks(projectSqClient, project.key);
+    const r = await migrateWebhooks(webhooks, projectScClient, { projectKey: scProjectKey, secretMode: webhookSecrets });
+    return `${r.created} created, ${r.skipped} already present, ${r.failed} failed`;
+  });
+}
@@ -1,5 +1,5 @@
 import logger from '../../../../../shared/utils/logger.js';
-import { getNewCodePeriodSkippedProjects } from '../../../../../shared/reports/shared.js';
+import { getNewCodePeriodSkippedProjects, describeGateOutcomes } from '../../../../../shared/reports/shared.js';
 
 // -------- Log Migration Summary --------
 
@@ -13,12 +13,13 @@ export function logMigrationSummary(results, outputDir) {
   logger.info(`Duration: ${duration}s`);
   if (results.totalLinesOfCode > 0) logger.info(`Lines of Code: ${results.totalLinesOfCode.toLocaleString()}`);
   logger.info(`Projects: ${succeeded} succeeded, ${partial} partial, ${failed} failed, ${results.projects.length} total`);
-  logger.info(`Quality Gates: ${results.qualityGates} migrated`);
-  logger.info(`Quality Profiles: ${results.qualityProfiles} migrated`);
-  logger.info(`Groups: ${results.groups} created`);
+  logger.info(`Quality Gates: ${results.qualityGates} migrated${describeGateOutcomes(results.qualityGateOutcomes)}`);
+  logger.info(`Quality Profiles: ${results.qualityProfiles} migrated, ${results.customRules} custom rule(s) created`);
+  logger.info(`Groups: ${results.groups} created, ${results.groupMemberships} member(s) added`);
   logger.info(`Portfolios: ${results.portfolios} created`);
-  logger.info(`Issues synced: ${results.issueSyncStats.matched} matched, ${results.issueSyncStats.transitioned} transitioned, ${results.issueSyncStats.assigned} assigned, ${results.issueSyncStats.assignmentFailed} assignment-failed`);
-  logger.info(`Hotspots synced: ${results.hotspotSyncStats.matched} matched, ${results.hotspotSyncStats.statusChanged} status changed`);
+  if (results.applications > 0) logger.info(`Applications: ${results.applications} recreated as portfolios`);
+  logger.info(`Issues synced: ${results.issueSyncStats.matched} matched, ${results.issueSyncStats.transitioned} transitioned, ${results.issueSyncStats.assigned} assigned, ${results.issueSyncStats.assignmentFailed} assignment-failed, ${results.issueSyncStats.overridden || 0} overridden`);
+  logger.info(`Hotspots synced: ${results.hotspotSyncStats.matched} matched, ${results.hotspotSyncStats.statusChanged} status changed, ${results.hotspotSyncStats.assigned} assigned, ${results.hotspotSyncStats.assignmentFailed} assignment-failed`);
 
   if (results.projectKeyWarnings.length > 0) {
     logger.warn(`Project key conflicts: ${results.projectKeyWarnings.length} project(s) could not use the original SonarQube key on SonarCloud`);
@@ -31,10 +32,39 @@ export function logMigrationSummary(results, outputDir) {
     for (const { projectKey, detail } of ncpSkipped) logger.warn(`  ${projectKey}: ${detail}`);
   }
 
+  if (results.groupMembershipWarnings.length > 0) {
+    logger.warn(`Group memberships NOT migrated: ${results.groupMembershipWarnings.length} user(s) are unmapped or not organization members — see the migration report`);
+  }
+
+  if (results.customRuleFailures.length > 0) {
+    logger.warn(`Custom rules NOT created: ${results.customRuleFailures.length} rule(s) could not be recreated from their templates — see the migration report`);
+  }
+
+  if (results.qualityGateCompatibility.length > 0) {
+    const notMigrated = results.qualityGateCompatibility.filter(g => !g.migrated).length;
+    logger.warn(`Quality gate conditions changed: ${results.qualityGateCompatibility.length} gate(s) had conditions translated, dropped or rejected${notMigrated > 0 ? `, ${notMigrated} not migrated (strict mode)` : ''} — see the migration report`);
+  }
+
+  if (results.qualityProfileTuning.length > 0) {
+    logger.warn(`Quality profile tuning differs: ${results.qualityProfileTuning.length} profile(s) have different rule severities, parameters, impacts or parent profiles in SonarCloud — see the migration report`);
+  }
+
+  if (results.portfolioMembershipChanges.length > 0) {
+    logger.warn(`Portfolio membership changed: ${results.portfolioMembershipChanges.length} portfolio(s) differ from SonarQube (renamed, missing or out-of-scope projects, flattened sub-portfolios) — see the migration report`);
+  }
+
+  if (results.applicationBranchSelections.length > 0) {
+    logger.warn(`Application branch selections NOT migrated: ${results.applicationBranchSelections.length} selection(s) — SonarCloud portfolios track main branches only`);
+  }
+
   if (results.portfoliosSkipped > 0) {
     logger.warn(`Portfolios NOT migrated: ${results.portfoliosSkipped} portfolio(s) found in source but skipped — no enterprise key was provided`);
   }
 
+  if (results.applicationsSkipped > 0) {
+    logger.warn(`Applications NOT migrated: ${results.applicationsSkipped} application(s) found in source but skipped — no enterprise key was provided`);
+  }
+
   logger.info(`Output: ${outputDir}`);
   logger.info('========================');
 }
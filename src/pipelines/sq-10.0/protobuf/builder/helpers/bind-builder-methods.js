@@ -8,6 +8,8 @@ import { buildSourceFiles } from './build-source-files.js';
 import { buildActiveRules } from './build-active-rules.js';
 import { buildQProfiles } from './build-qprofiles.js';
 import { buildChangesets } from './build-changesets.js';
+import { buildSyntaxHighlightings, buildSymbols } from './build-source-markup.js';
+import { buildLineCoverages } from './build-line-coverage.js';
 import { buildFileCountsByType } from './build-file-counts.js';
 import { buildAll } from './build-all.js';
 import { mapSeverity } from './map-severity.js';
@@ -31,6 +33,9 @@ export function bindBuilderMethods(ctx) {
   ctx.buildActiveRules = () => buildActiveRules(ctx);
   ctx.buildQProfiles = () => buildQProfiles(ctx);
   ctx.buildChangesets = () => buildChangesets(ctx);
+  ctx.buildSyntaxHighlightings = () => buildSyntaxHighlightings(ctx);
+  ctx.buildSymbols = () => buildSymbols(ctx);
+  ctx.buildLineCoverages = () => buildLineCoverages(ctx);
   ctx.buildFileCountsByType = () => buildFileCountsByType(ctx);
   ctx.buildAll = () => buildAll(ctx);
   ctx.mapSeverity = (s) => mapSeverity(s);
@@ -0,0 +1,35 @@
+import logger from '../../../../../shared/utils/logger.js';
+import { filterRangesToSource } from '../../../../../shared/utils/source-markup.js';
+
+// -------- Syntax Highlighting and Symbol Builders --------
+
+function buildByComponent(ctx, extracted, field, rangesOf) {
+  const byComponent = new Map();
+  if (!extracted) return byComponent;
+  const linesByKey = new Map((ctx.data.sources || []).map(source => [source.key, source.lines]));
+  let dropped = 0;
+
+  extracted.forEach((fileData, componentKey) => {
+    if (!ctx.componentRefMap.has(componentKey) || !linesByKey.has(componentKey)) return;
+    const items = filterRangesToSource(fileData[field], rangesOf, linesByKey.get(componentKey));
+    dropped += fileData[field].length - items.length;
+    if (items.length > 0) byComponent.set(ctx.componentRefMap.get(componentKey), items);
+  });
+
+  if (dropped > 0) logger.warn(`Dropped ${dropped} ${field} whose ranges fall outside the report source`);
+  return byComponent;
+}
+
+export function buildSyntaxHighlightings(ctx) {
+  logger.info('Building syntax highlighting messages...');
+  const highlightingsByComponent = buildByComponent(ctx, ctx.data.syntaxHighlightings, 'rules', rule => [rule.range]);
+  logger.info(`Built syntax highlighting for ${highlightingsByComponent.size} files`);
+  return highlightingsByComponent;
+}
+
+export function buildSymbols(ctx) {
+  logger.info('Building symbol table messages...');
+  const symbolsByComponent = buildByComponent(ctx, ctx.data.symbols, 'symbols', symbol => [symbol.declaration, ...symbol.reference]);
+  logger.info(`Built symbol tables for ${symbolsByComponent.size} files`);
+  return symbolsByComponent;
+}
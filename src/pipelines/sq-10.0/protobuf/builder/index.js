@@ -11,6 +11,7 @@ export function createProtobufBuilder(extractedData, scConfig = {}, scProfiles =
     sonarCloudRepos: options.sonarCloudRepos || new Set(),
     ruleEnrichmentMap: options.ruleEnrichmentMap || new Map(),
     sourceProjectVersion: options.sourceProjectVersion || null,
+    pullRequest: options.pullRequest || null,
   };
   bindBuilderMethods(ctx);
   return ctx;
@@ -22,6 +22,9 @@ export function encodeAll(encoder, messages) {
       externalIssues: ext.encodeExternalIssues(encoder, messages),
       adHocRules: ext.encodeAdHocRulesBuffer(encoder, messages),
       duplications: ext.encodeDuplications(encoder, messages),
+      syntaxHighlightings: ext.encodeSyntaxHighlightings(encoder, messages),
+      symbols: ext.encodeSymbols(encoder, messages),
+      coverages: ext.encodeCoverages(encoder, messages),
     };
     logger.info('All messages encoded successfully');
     return encoded;
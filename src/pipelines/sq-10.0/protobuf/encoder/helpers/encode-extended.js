@@ -39,3 +39,36 @@ export function encodeDuplications(encoder, messages) {
   }
   return duplications;
 }
+
+export function encodeSyntaxHighlightings(encoder, messages) {
+  const syntaxHighlightings = new Map();
+  if (messages.syntaxHighlightingsByComponent?.size > 0) {
+    logger.debug(`Encoding syntax highlighting for ${messages.syntaxHighlightingsByComponent.size} components...`);
+    messages.syntaxHighlightingsByComponent.forEach((rules, ref) => {
+      syntaxHighlightings.set(ref, Buffer.concat(rules.map(r => encoder.encodeSyntaxHighlightingRuleDelimited(r))));
+    });
+  }
+  return syntaxHighlightings;
+}
+
+export function encodeSymbols(encoder, messages) {
+  const symbols = new Map();
+  if (messages.symbolsByComponent?.size > 0) {
+    logger.debug(`Encoding symbols for ${messages.symbolsByComponent.size} components...`);
+    messages.symbolsByComponent.forEach((syms, ref) => {
+      symbols.set(ref, Buffer.concat(syms.map(s => encoder.encodeSymbolDelimited(s))));
+    });
+  }
+  return symbols;
+}
+
+export function encodeCoverages(encoder, messages) {
+  const coverages = new Map();
+  if (messages.coveragesByComponent?.size > 0) {
+    logger.debug(`Encoding line coverage for ${messages.coveragesByComponent.size} components...`);
+    messages.coveragesByComponent.forEach((lines, ref) => {
+      coverages.set(ref, Buffer.concat(lines.map(c => encoder.encodeLineCoverageDelimited(c))));
+    });
+  }
+  return coverages;
+}
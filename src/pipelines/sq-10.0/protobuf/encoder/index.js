@@ -16,6 +16,9 @@ export function createProtobufEncoder() {
   ctx.encodeExternalIssueDelimited = (i) => encodeMessageDelimited(ctx.root, 'ExternalIssue', i);
   ctx.encodeAdHocRuleDelimited = (r) => encodeMessageDelimited(ctx.root, 'AdHocRule', r);
   ctx.encodeDuplicationDelimited = (d) => encodeMessageDelimited(ctx.root, 'Duplication', d);
+  ctx.encodeSyntaxHighlightingRuleDelimited = (r) => encodeMessageDelimited(ctx.root, 'SyntaxHighlightingRule', r);
+  ctx.encodeSymbolDelimited = (s) => encodeMessageDelimited(ctx.root, 'Symbol', s);
+  ctx.encodeLineCoverageDelimited = (c) => encodeMessageDelimited(ctx.root, 'LineCoverage', c);
   ctx.encodeAll = (messages) => encodeAll(ctx, messages);
   return ctx;
 }
@@ -20,8 +20,12 @@ export function bindQueryMethods(c, o, pk) {
     getHotspotDetails: (h) => pqm.getHotspotDetails(c, h),
     listProjects: () => perm.listProjects(c, o),
     getGroups: () => perm.getGroups(c, o),
+    getOrganizationMembers: () => perm.getOrganizationMembers(c, o),
     getGlobalPermissions: () => perm.getGlobalPermissions(c, o),
     getProjectPermissions: (p) => perm.getProjectPermissions(c, p, o),
+    getGlobalUserPermissions: () => perm.getGlobalUserPermissions(c, o),
+    getProjectUserPermissions: (p) => perm.getProjectUserPermissions(c, p, o),
+    getTemplateUserPermissions: (t) => perm.getTemplateUserPermissions(c, t, o),
     getPermissionTemplates: () => perm.getPermissionTemplates(c, o),
     searchIssuesWithComments: (p, f) => perm.searchIssuesWithComments(c, o, p, f),
     getRuleRepositories: () => perm.getRuleRepositories(c),
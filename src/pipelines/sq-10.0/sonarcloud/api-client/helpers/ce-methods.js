@@ -11,6 +11,23 @@ export async function getMostRecentCeTask(client, projectKey) {
   return tasks.length > 0 ? tasks[0] : null;
 }
 
+export async function getLatestAnalysis(client, projectKey) {
+  try {
+    const response = await client.get('/api/project_analyses/search', { params: { project: projectKey, ps: 1 } });
+    const analyses = response.data.analyses || [];
+    return analyses.length > 0 ? analyses[0] : null;
+  } catch (error) {
+    logger.debug(`No analyses found for ${projectKey}: ${error.message}`);
+    return null;
+  }
+}
+
+export async function createProjectEvent(client, analysisKey, name, category = 'OTHER') {
+  logger.debug(`Creating ${category} event '${name}' on analysis ${analysisKey}`);
+  const response = await client.post('/api/project_analyses/create_event', null, { params: { analysis: analysisKey, name, category } });
+  return response.data.event;
+}
+
 export async function getAnalysisStatus(client, ceTaskId) {
   try {
     const response = await client.get('/api/ce/task', { params: { id: ceTaskId } });
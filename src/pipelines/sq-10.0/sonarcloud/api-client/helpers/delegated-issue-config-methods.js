@@ -12,15 +12,23 @@ export function bindIssueConfigMethods(c, o, pk) {
     assignIssue: (i, a) => iss.assignIssue(c, i, a),
     addIssueComment: (i, t) => iss.addIssueComment(c, i, t),
     setIssueTags: (i, t) => iss.setIssueTags(c, i, t),
+    setIssueSeverity: (i, s) => iss.setIssueSeverity(c, i, s),
+    setIssueType: (i, t) => iss.setIssueType(c, i, t),
+    setIssueImpactSeverity: (i, q, s) => iss.setIssueImpactSeverity(c, i, q, s),
     searchIssues: (p, f = {}) => iss.searchIssues(c, o, p, f),
     changeHotspotStatus: (h, s, r = null) => hs.changeHotspotStatus(c, h, s, r),
     searchHotspots: (p, f = {}) => hs.searchHotspots(c, p, f),
     addHotspotComment: (h, t) => hs.addHotspotComment(c, h, t),
+    assignHotspot: (h, a) => hs.assignHotspot(c, h, a),
     createGroup: (n, d = '') => perms.createGroup(c, o, n, d),
+    addGroupMember: (g, l) => perms.addGroupMember(c, o, g, l),
     addGroupPermission: (g, p) => perms.addGroupPermission(c, o, g, p),
     addProjectGroupPermission: (g, p, perm) => perms.addProjectGroupPermission(c, o, g, p, perm),
+    addUserPermission: (l, p) => perms.addUserPermission(c, o, l, p),
+    addProjectUserPermission: (l, p, perm) => perms.addProjectUserPermission(c, o, l, p, perm),
     createPermissionTemplate: (n, d = '', p = '') => perms.createPermissionTemplate(c, o, n, d, p),
     addGroupToTemplate: (t, g, p) => perms.addGroupToTemplate(c, o, t, g, p),
+    addUserToTemplate: (t, l, p) => perms.addUserToTemplate(c, o, t, l, p),
     setDefaultTemplate: (t, q = 'TRK') => perms.setDefaultTemplate(c, o, t, q),
     setProjectSetting: (k, v, comp = null) => pc.setProjectSetting(c, k, v, comp || pk),
     setProjectTags: (p, t) => pc.setProjectTags(c, p, t),
@@ -29,5 +37,7 @@ export function bindIssueConfigMethods(c, o, pk) {
     setGitlabBinding: (p, a, r) => pc.setGitlabBinding(c, p, a, r),
     setAzureBinding: (p, a, pr, r) => pc.setAzureBinding(c, p, a, pr, r),
     setBitbucketBinding: (p, a, r, s) => pc.setBitbucketBinding(c, p, a, r, s),
+    createWebhook: (n, u, s = null, p = null) => pc.createWebhook(c, o, n, u, s, p),
+    listWebhooks: (p = null) => pc.listWebhooks(c, o, p),
   };
 }
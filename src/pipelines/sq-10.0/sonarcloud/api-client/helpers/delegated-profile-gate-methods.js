@@ -15,9 +15,15 @@ export function bindProfileGateMethods(c, o, pk) {
     getActiveRules: (p) => qp.getActiveRules(c, o, p),
     getActiveRulesWithCleanCodeFields: (p) => qp.getActiveRulesWithCleanCodeFields(c, o, p),
     addQualityProfileToProject: (l, q, p) => qp.addQualityProfileToProject(c, o, l, q, p),
+    createRule: (p) => qp.createRule(c, o, p),
+    getDeprecatedRuleKeys: () => qp.getDeprecatedRuleKeys(c, o),
+    getRuleActivations: (pk) => qp.getRuleActivations(c, o, pk),
     createQualityGate: (n) => qg.createQualityGate(c, o, n),
     createQualityGateCondition: (g, m, op, e) => qg.createQualityGateCondition(c, o, g, m, op, e),
     setDefaultQualityGate: (id) => qg.setDefaultQualityGate(c, o, id),
+    deleteQualityGate: (id) => qg.deleteQualityGate(c, o, id),
+    updateQualityGateCondition: (id, m, op, e) => qg.updateQualityGateCondition(c, o, id, m, op, e),
+    deleteQualityGateCondition: (id) => qg.deleteQualityGateCondition(c, o, id),
     assignQualityGateToProject: (g, p) => qg.assignQualityGateToProject(c, o, g, p),
   };
 }
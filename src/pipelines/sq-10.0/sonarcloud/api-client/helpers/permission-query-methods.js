@@ -12,6 +12,11 @@ export async function getGroups(client, organization) {
   return getPaginated(client, '/api/user_groups/search', { organization }, 'groups');
 }
 
+export async function getOrganizationMembers(client, organization) {
+  const users = await getPaginated(client, '/api/organizations/search_members', { organization }, 'users');
+  return users.map(u => u.login);
+}
+
 export async function getGlobalPermissions(client, organization) {
   return getPaginated(client, '/api/permissions/groups', { organization, ps: 100 }, 'groups');
 }
@@ -20,6 +25,18 @@ export async function getProjectPermissions(client, projectKey, organization) {
   return getPaginated(client, '/api/permissions/groups', { projectKey, organization, ps: 100 }, 'groups');
 }
 
+export async function getGlobalUserPermissions(client, organization) {
+  return getPaginated(client, '/api/permissions/users', { organization, ps: 100 }, 'users');
+}
+
+export async function getProjectUserPermissions(client, projectKey, organization) {
+  return getPaginated(client, '/api/permissions/users', { projectKey, organization, ps: 100 }, 'users');
+}
+
+export async function getTemplateUserPermissions(client, templateId, organization) {
+  return getPaginated(client, '/api/permissions/template_users', { templateId, organization, ps: 100 }, 'users');
+}
+
 export async function getPermissionTemplates(client, organization) {
   const response = await client.get('/api/permissions/search_templates', { params: { organization } });
   return response.data;
@@ -27,6 +27,8 @@ export function createSonarCloudClient(config) {
     isProjectKeyTakenGlobally: (key) => conn.isProjectKeyTakenGlobally(c, key),
     ensureProject: (name) => conn.ensureProject(c, pk, o, name),
     getMostRecentCeTask: () => ce.getMostRecentCeTask(c, pk),
+    getLatestAnalysis: () => ce.getLatestAnalysis(c, pk),
+    createProjectEvent: (ak, name, cat) => ce.createProjectEvent(c, ak, name, cat),
     getAnalysisStatus: (id) => ce.getAnalysisStatus(c, id),
     waitForAnalysis: (id, max) => ce.waitForAnalysis(c, id, max),
     ...bindQueryMethods(c, o, pk),
@@ -5,6 +5,9 @@ export {
   assignIssue,
   addIssueComment,
   setIssueTags,
+  setIssueSeverity,
+  setIssueImpactSeverity,
+  setIssueType,
   getIssueChangelog,
   searchIssues,
 } from './issues/index.js';
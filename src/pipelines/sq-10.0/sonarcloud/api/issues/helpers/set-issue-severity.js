@@ -0,0 +1,13 @@
+// -------- Set Issue Severity --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function setIssueSeverity(client, issue, severity) {
+  logger.debug(`Setting severity on issue ${issue}: ${severity}`);
+  await client.post('/api/issues/set_severity', null, { params: { issue, severity } });
+}
+
+export async function setIssueImpactSeverity(client, issue, softwareQuality, severity) {
+  logger.debug(`Setting ${softwareQuality} impact severity on issue ${issue}: ${severity}`);
+  await client.post('/api/issues/set_severity', null, { params: { issue, impact: `${softwareQuality}=${severity}` } });
+}
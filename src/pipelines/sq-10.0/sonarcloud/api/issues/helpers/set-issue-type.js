@@ -0,0 +1,8 @@
+// -------- Set Issue Type --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function setIssueType(client, issue, type) {
+  logger.debug(`Setting type on issue ${issue}: ${type}`);
+  await client.post('/api/issues/set_type', null, { params: { issue, type } });
+}
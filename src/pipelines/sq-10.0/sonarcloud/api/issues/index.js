@@ -4,5 +4,7 @@ export { transitionIssue } from './helpers/transition-issue.js';
 export { assignIssue } from './helpers/assign-issue.js';
 export { addIssueComment } from './helpers/add-issue-comment.js';
 export { setIssueTags } from './helpers/set-issue-tags.js';
+export { setIssueSeverity, setIssueImpactSeverity } from './helpers/set-issue-severity.js';
+export { setIssueType } from './helpers/set-issue-type.js';
 export { getIssueChangelog } from './helpers/get-issue-changelog.js';
 export { searchIssues } from './helpers/search-issues.js';
@@ -2,9 +2,13 @@
 
 export {
   createGroup,
+  addGroupMember,
   addGroupPermission,
   addProjectGroupPermission,
   createPermissionTemplate,
   addGroupToTemplate,
   setDefaultTemplate,
+  addUserPermission,
+  addProjectUserPermission,
+  addUserToTemplate,
 } from './permissions/index.js';
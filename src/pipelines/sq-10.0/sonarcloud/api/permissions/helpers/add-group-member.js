@@ -0,0 +1,10 @@
+// -------- Add Group Member --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function addGroupMember(client, organization, groupName, login) {
+  logger.debug(`Adding user ${login} to group ${groupName}`);
+  await client.post('/api/user_groups/add_user', null, {
+    params: { name: groupName, login, organization }
+  });
+}
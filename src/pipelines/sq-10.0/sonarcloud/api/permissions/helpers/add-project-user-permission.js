@@ -0,0 +1,10 @@
+// -------- Add Project User Permission --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function addProjectUserPermission(client, organization, login, projectKey, permission) {
+  logger.debug(`Adding ${permission} to user ${login} on project ${projectKey}`);
+  await client.post('/api/permissions/add_user', null, {
+    params: { login, projectKey, permission, organization }
+  });
+}
@@ -0,0 +1,10 @@
+// -------- Add User Permission --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function addUserPermission(client, organization, login, permission) {
+  logger.debug(`Adding ${permission} permission to user ${login}`);
+  await client.post('/api/permissions/add_user', null, {
+    params: { login, permission, organization }
+  });
+}
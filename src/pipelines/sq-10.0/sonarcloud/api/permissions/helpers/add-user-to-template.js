@@ -0,0 +1,10 @@
+// -------- Add User To Template --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function addUserToTemplate(client, organization, templateId, login, permission) {
+  logger.debug(`Adding user ${login} with ${permission} to template ${templateId}`);
+  await client.post('/api/permissions/add_user_to_template', null, {
+    params: { templateId, login, permission, organization }
+  });
+}
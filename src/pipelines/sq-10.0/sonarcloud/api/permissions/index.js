@@ -1,8 +1,12 @@
 // -------- Permissions API --------
 
 export { createGroup } from './helpers/create-group.js';
+export { addGroupMember } from './helpers/add-group-member.js';
 export { addGroupPermission } from './helpers/add-group-permission.js';
 export { addProjectGroupPermission } from './helpers/add-project-group-permission.js';
 export { createPermissionTemplate } from './helpers/create-permission-template.js';
 export { addGroupToTemplate } from './helpers/add-group-to-template.js';
 export { setDefaultTemplate } from './helpers/set-default-template.js';
+export { addUserPermission } from './helpers/add-user-permission.js';
+export { addProjectUserPermission } from './helpers/add-project-user-permission.js';
+export { addUserToTemplate } from './helpers/add-user-to-template.js';
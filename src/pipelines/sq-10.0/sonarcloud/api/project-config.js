@@ -8,4 +8,6 @@ export {
   setGitlabBinding,
   setAzureBinding,
   setBitbucketBinding,
+  createWebhook,
+  listWebhooks,
 } from './project-config/index.js';
@@ -0,0 +1,12 @@
+// -------- Create Webhook --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function createWebhook(client, organization, name, url, secret = null, projectKey = null) {
+  logger.debug(`Creating webhook ${name} -> ${url}${projectKey ? ` on project ${projectKey}` : ''}`);
+  const params = { organization, name, url };
+  if (projectKey) params.project = projectKey;
+  if (secret) params.secret = secret;
+  const response = await client.post('/api/webhooks/create', null, { params });
+  return response.data.webhook;
+}
@@ -0,0 +1,8 @@
+// -------- List Webhooks --------
+
+export async function listWebhooks(client, organization, projectKey = null) {
+  const params = { organization };
+  if (projectKey) params.project = projectKey;
+  const response = await client.get('/api/webhooks/list', { params });
+  return response.data.webhooks || [];
+}
@@ -7,3 +7,5 @@ export { setGithubBinding } from './helpers/set-github-binding.js';
 export { setGitlabBinding } from './helpers/set-gitlab-binding.js';
 export { setAzureBinding } from './helpers/set-azure-binding.js';
 export { setBitbucketBinding } from './helpers/set-bitbucket-binding.js';
+export { createWebhook } from './helpers/create-webhook.js';
+export { listWebhooks } from './helpers/list-webhooks.js';
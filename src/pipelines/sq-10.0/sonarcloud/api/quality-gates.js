@@ -20,6 +20,22 @@ export async function createQualityGateCondition(client, organization, gateId, m
   return response.data;
 }
 
+export async function updateQualityGateCondition(client, organization, id, metric, op, error) {
+  logger.debug(`Updating gate condition ${id}: ${metric} ${op} ${error}`);
+
+  await client.post('/api/qualitygates/update_condition', null, {
+    params: { id, metric, op, error, organization }
+  });
+}
+
+export async function deleteQualityGateCondition(client, organization, id) {
+  logger.debug(`Deleting gate condition ${id}`);
+
+  await client.post('/api/qualitygates/delete_condition', null, {
+    params: { id, organization }
+  });
+}
+
 export async function setDefaultQualityGate(client, organization, id) {
   logger.info(`Setting default quality gate: ${id}`);
 
@@ -28,6 +44,14 @@ export async function setDefaultQualityGate(client, organization, id) {
   });
 }
 
+export async function deleteQualityGate(client, organization, id) {
+  logger.info(`Deleting quality gate: ${id}`);
+
+  await client.post('/api/qualitygates/destroy', null, {
+    params: { id, organization }
+  });
+}
+
 export async function assignQualityGateToProject(client, organization, gateId, projectKey) {
   logger.debug(`Assigning gate ${gateId} to project ${projectKey}`);
 
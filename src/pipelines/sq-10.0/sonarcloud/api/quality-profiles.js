@@ -5,5 +5,5 @@ export {
   setDefaultQualityProfile, addQualityProfileGroupPermission,
   addQualityProfileUserPermission, searchQualityProfiles,
   getActiveRules, getActiveRulesWithCleanCodeFields,
-  addQualityProfileToProject,
+  addQualityProfileToProject, createRule, getDeprecatedRuleKeys, getRuleActivations,
 } from './quality-profiles/index.js';
@@ -1,14 +1,16 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { buildHotspotSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Add Hotspot Source Link --------
 
-export async function addHotspotSourceLink(sqHotspot, scHotspot, client, options) {
+export async function addHotspotSourceLink(sqHotspot, scHotspot, client, options, existingComments = []) {
   const { sonarqubeUrl, sonarqubeProjectKey } = options;
   if (!sonarqubeUrl || !sonarqubeProjectKey) return false;
 
   try {
     const text = buildHotspotSourceComment(sonarqubeUrl, sonarqubeProjectKey, sqHotspot.key);
+    if (hasComment(existingComments, text)) return false;
     await client.addHotspotComment(scHotspot.key, text);
     return true;
   } catch (error) {
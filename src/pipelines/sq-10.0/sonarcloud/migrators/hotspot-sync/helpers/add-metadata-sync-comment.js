@@ -1,10 +1,14 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
+
+const METADATA_SYNC_COMMENT = '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.';
 
 // -------- Add Metadata Sync Comment --------
 
-export async function addMetadataSyncComment(scHotspot, client) {
+export async function addMetadataSyncComment(scHotspot, client, existingComments = []) {
+  if (hasComment(existingComments, METADATA_SYNC_COMMENT)) return false;
   try {
-    await client.addHotspotComment(scHotspot.key, '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.');
+    await client.addHotspotComment(scHotspot.key, METADATA_SYNC_COMMENT);
     return true;
   } catch (error) {
     logger.debug(`Failed to add metadata-synchronized comment to hotspot ${scHotspot.key}: ${error.message}`);
@@ -1,10 +1,12 @@
+import { canonicalRuleKey } from '../../../../../../shared/utils/rule-keys.js';
+
 // -------- Build Hotspot Match Key --------
 
 /**
  * Build a match key for hotspots: rule + file + line.
  */
-export function buildHotspotMatchKey(hotspot) {
-  const ruleKey = hotspot.ruleKey || hotspot.rule?.key || '';
+export function buildHotspotMatchKey(hotspot, ruleKeys = null) {
+  const ruleKey = canonicalRuleKey(hotspot.ruleKey || hotspot.rule?.key || '', ruleKeys);
   const component = hotspot.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = hotspot.line ?? hotspot.textRange?.startLine ?? 0;
@@ -1,5 +1,5 @@
 // -------- Create Empty Hotspot Stats --------
 
 export function createEmptyHotspotStats() {
-  return { matched: 0, statusChanged: 0, commented: 0, metadataSyncCommented: 0, sourceLinked: 0, failed: 0 };
+  return { matched: 0, statusChanged: 0, assigned: 0, assignmentMapped: 0, assignmentSkipped: 0, assignmentFailed: 0, commented: 0, commentsAlreadyPresent: 0, metadataSyncCommented: 0, sourceLinked: 0, failed: 0 };
 }
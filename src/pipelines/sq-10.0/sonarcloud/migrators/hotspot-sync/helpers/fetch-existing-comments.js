@@ -0,0 +1,13 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Fetch Existing Comments --------
+
+export async function fetchExistingComments(scHotspot, client) {
+  try {
+    const details = await client.getHotspotDetails(scHotspot.key);
+    return details?.comment || [];
+  } catch (error) {
+    logger.debug(`Failed to fetch comments of hotspot ${scHotspot.key}: ${error.message}`);
+    return [];
+  }
+}
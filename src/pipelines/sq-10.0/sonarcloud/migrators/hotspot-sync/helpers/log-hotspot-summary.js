@@ -3,5 +3,5 @@ import logger from '../../../../../../shared/utils/logger.js';
 // -------- Log Hotspot Summary --------
 
 export function logHotspotSummary(stats) {
-  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.commented} comments, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
+  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.assigned} assigned${stats.assignmentMapped > 0 ? ` (${stats.assignmentMapped} mapped)` : ''}, ${stats.assignmentFailed} assignment-failed, ${stats.commented} comments added, ${stats.commentsAlreadyPresent} already present, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
 }
@@ -6,10 +6,10 @@ import { buildHotspotMatchKey } from './build-hotspot-match-key.js';
 /**
  * Build SC hotspot lookup map and match against SQ hotspots.
  */
-export function matchHotspots(scHotspots, sqHotspots) {
+export function matchHotspots(scHotspots, sqHotspots, ruleKeys = null) {
   const scHotspotMap = new Map();
   for (const hotspot of scHotspots) {
-    const key = buildHotspotMatchKey(hotspot);
+    const key = buildHotspotMatchKey(hotspot, ruleKeys);
     if (!key) continue;
     if (!scHotspotMap.has(key)) scHotspotMap.set(key, []);
     scHotspotMap.get(key).push(hotspot);
@@ -17,7 +17,7 @@ export function matchHotspots(scHotspots, sqHotspots) {
 
   const matchedPairs = [];
   for (const sqHotspot of sqHotspots) {
-    const matchKey = buildHotspotMatchKey(sqHotspot);
+    const matchKey = buildHotspotMatchKey(sqHotspot, ruleKeys);
     if (!matchKey) continue;
     const candidates = scHotspotMap.get(matchKey);
     if (!candidates || candidates.length === 0) continue;
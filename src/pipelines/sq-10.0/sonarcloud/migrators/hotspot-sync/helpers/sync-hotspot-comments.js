@@ -1,12 +1,14 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { planCommentSync } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Sync Hotspot Comments --------
 
-export async function syncHotspotComments(sqHotspot, scHotspot, client) {
+export async function syncHotspotComments(sqHotspot, scHotspot, client, stats, existingComments = []) {
+  const { toAdd, alreadyPresent } = planCommentSync(sqHotspot.comments, existingComments);
+  stats.commentsAlreadyPresent += alreadyPresent;
   let count = 0;
-  for (const comment of (sqHotspot.comments || [])) {
+  for (const text of toAdd) {
     try {
-      const text = `[Migrated from SonarQube] ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
       await client.addHotspotComment(scHotspot.key, text);
       count++;
     } catch (error) {
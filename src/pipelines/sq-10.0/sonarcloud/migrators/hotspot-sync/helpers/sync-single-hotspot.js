@@ -1,8 +1,10 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { syncHotspotStatus } from './sync-hotspot-status.js';
+import { syncHotspotAssignment } from './sync-hotspot-assignment.js';
 import { syncHotspotComments } from './sync-hotspot-comments.js';
 import { addHotspotSourceLink } from './add-hotspot-source-link.js';
 import { addMetadataSyncComment } from './add-metadata-sync-comment.js';
+import { fetchExistingComments } from './fetch-existing-comments.js';
 
 // -------- Sync Single Hotspot --------
 
@@ -10,10 +12,12 @@ export async function syncSingleHotspot(sqHotspot, scHotspot, client, options, s
   try {
     const changed = await syncHotspotStatus(scHotspot, sqHotspot, client);
     if (changed) stats.statusChanged++;
+    await syncHotspotAssignment(sqHotspot, scHotspot, client, options.userMappings, stats);
 
-    stats.commented += await syncHotspotComments(sqHotspot, scHotspot, client);
-    if (await addMetadataSyncComment(scHotspot, client)) stats.metadataSyncCommented++;
-    if (await addHotspotSourceLink(sqHotspot, scHotspot, client, options)) stats.sourceLinked++;
+    const existingComments = await fetchExistingComments(scHotspot, client);
+    stats.commented += await syncHotspotComments(sqHotspot, scHotspot, client, stats, existingComments);
+    if (await addMetadataSyncComment(scHotspot, client, existingComments)) stats.metadataSyncCommented++;
+    if (await addHotspotSourceLink(sqHotspot, scHotspot, client, options, existingComments)) stats.sourceLinked++;
   } catch (error) {
     stats.failed++;
     logger.debug(`Failed to sync hotspot ${sqHotspot.key}: ${error.message}`);
@@ -31,7 +31,7 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
   }
   logger.info(`Found ${scHotspots.length} hotspots in SonarCloud, matching against ${sqHotspots.length} SonarQube hotspots`);
 
-  const matchedPairs = matchHotspots(scHotspots, sqHotspots);
+  const matchedPairs = matchHotspots(scHotspots, sqHotspots, options.ruleKeys);
   stats.matched = matchedPairs.length;
 
   if (matchedPairs.length === 0) { logHotspotSummary(stats); return stats; }
@@ -1,6 +1,7 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { resolveSourceBaseURL } from '../../../../../../shared/utils/source-link/resolve-source-base-url.js';
 import { buildIssueSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Add Source Link Comment --------
 
@@ -9,6 +10,7 @@ export async function addSourceLink(sqIssue, scIssue, client, sqClient, stats) {
   try {
     const baseURL = await resolveSourceBaseURL(sqClient);
     const text = buildIssueSourceComment(baseURL, sqClient.projectKey, sqIssue.key);
+    if (hasComment(scIssue.comments, text)) return;
     await client.addIssueComment(scIssue.key, text);
     stats.sourceLinked++;
   } catch (error) {
@@ -5,7 +5,8 @@ export function createEmptyStats() {
     filtered: 0,
     matched: 0, transitioned: 0, assigned: 0,
     assignmentFailed: 0, assignmentSkipped: 0, assignmentMapped: 0,
-    failedAssignments: [], commented: 0, tagged: 0,
+    severityOverridden: 0, typeOverridden: 0, impactOverridden: 0, overrideFailed: 0,
+    failedAssignments: [], commented: 0, commentsAlreadyPresent: 0, tagged: 0,
     metadataSyncTagged: 0, sourceLinked: 0, failed: 0,
   };
 }
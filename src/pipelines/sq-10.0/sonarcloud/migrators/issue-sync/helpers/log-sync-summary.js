@@ -6,9 +6,14 @@ export function logSyncSummary(stats) {
   const filtered = stats.filtered > 0 ? `${stats.filtered} filtered, ` : '';
   const mappingDetail = stats.assignmentMapped > 0 ? `, ${stats.assignmentMapped} mapped` : '';
   const skipDetail = stats.assignmentSkipped > 0 ? `, ${stats.assignmentSkipped} assignment-skipped` : '';
+  const overridden = stats.severityOverridden + stats.typeOverridden + stats.impactOverridden;
+  const overrideDetail = overridden + stats.overrideFailed > 0
+    ? `, ${stats.severityOverridden} severity / ${stats.typeOverridden} type / ${stats.impactOverridden} impact overridden, ${stats.overrideFailed} override-failed`
+    : '';
   logger.info(
     `Issue sync: ${filtered}${stats.matched} matched, ${stats.transitioned} transitioned, ${stats.assigned} assigned${mappingDetail}, ` +
-    `${stats.assignmentFailed} assignment-failed${skipDetail}, ${stats.commented} comments, ${stats.tagged} tagged, ` +
+    `${stats.assignmentFailed} assignment-failed${skipDetail}${overrideDetail}, ${stats.commented} comments added, ` +
+    `${stats.commentsAlreadyPresent} already present, ${stats.tagged} tagged, ` +
     `${stats.metadataSyncTagged} metadata-sync-tagged, ${stats.sourceLinked} source-linked, ${stats.failed} failed`,
   );
 }
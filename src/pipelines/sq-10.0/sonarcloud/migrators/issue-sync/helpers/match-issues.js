@@ -1,7 +1,9 @@
 // -------- Issue Matching --------
 
-export function buildMatchKey(issue) {
-  const rule = issue.rule;
+import { canonicalRuleKey } from '../../../../../../shared/utils/rule-keys.js';
+
+export function buildMatchKey(issue, ruleKeys = null) {
+  const rule = canonicalRuleKey(issue.rule, ruleKeys);
   const component = issue.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = issue.line || issue.textRange?.startLine || 0;
@@ -9,10 +11,10 @@ export function buildMatchKey(issue) {
   return `${rule}|${filePath}|${line}`;
 }
 
-export function matchIssues(sqIssues, scIssues) {
+export function matchIssues(sqIssues, scIssues, ruleKeys = null) {
   const scIssueMap = new Map();
   for (const issue of scIssues) {
-    const key = buildMatchKey(issue);
+    const key = buildMatchKey(issue, ruleKeys);
     if (key) {
       if (!scIssueMap.has(key)) scIssueMap.set(key, []);
       scIssueMap.get(key).push(issue);
@@ -20,7 +22,7 @@ export function matchIssues(sqIssues, scIssues) {
   }
   const matchedPairs = [];
   for (const sqIssue of sqIssues) {
-    const matchKey = buildMatchKey(sqIssue);
+    const matchKey = buildMatchKey(sqIssue, ruleKeys);
     if (!matchKey) continue;
     const candidates = scIssueMap.get(matchKey);
     if (!candidates || candidates.length === 0) continue;
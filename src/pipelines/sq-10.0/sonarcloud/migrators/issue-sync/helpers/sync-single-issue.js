@@ -1,6 +1,7 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { syncIssueStatus } from './sync-issue-status.js';
 import { syncIssueAssignment } from './sync-issue-assignment.js';
+import { syncIssueOverrides } from './sync-issue-overrides.js';
 import { syncIssueComments } from './sync-issue-comments.js';
 import { syncIssueTags } from './sync-issue-tags.js';
 import { addSourceLink } from './add-source-link.js';
@@ -11,6 +12,7 @@ export async function syncSingleIssue(sqIssue, scIssue, client, sqClient, userMa
   const transitioned = await syncIssueStatus(scIssue, sqIssue, client);
   if (transitioned) stats.transitioned++;
   await syncIssueAssignment(sqIssue, scIssue, client, userMappings, stats);
+  await syncIssueOverrides(sqIssue, scIssue, client, changelogMap.get(sqIssue.key), stats);
   await syncIssueComments(sqIssue, scIssue, client, stats);
   await syncIssueTags(sqIssue, scIssue, client, stats);
   await addSourceLink(sqIssue, scIssue, client, sqClient, stats);
@@ -28,20 +28,21 @@ export async function syncIssues(projectKey, sqIssues, client, options = {}) {
   let changelogMap = new Map();
 
   if (sqClient) {
-    ({ issuesToSync, changelogMap } = await applyManualChangesPreFilter(issuesToSync, sqClient, stats, concurrency));
+    ({ issuesToSync, changelogMap } = await applyManualChangesPreFilter(issuesToSync, sqClient, stats, concurrency, options.changedSince));
     if (issuesToSync.length === 0) { logSyncSummary(stats); return stats; }
   }
 
-  let scIssues = await client.searchIssues(projectKey);
+  // Existing comments let the sync skip those migrated by an earlier run
+  let scIssues = await client.searchIssuesWithComments(projectKey);
   if (scIssues.length === 0 && issuesToSync.length > 0) {
     scIssues = await waitForScIndexing(
-      () => client.searchIssues(projectKey),
+      () => client.searchIssuesWithComments(projectKey),
       issuesToSync.length,
       { label: 'issues', projectKey },
     );
   }
   logger.info(`Found ${scIssues.length} issues in SonarCloud, matching against ${issuesToSync.length} SonarQube issues`);
-  const matchedPairs = matchIssues(issuesToSync, scIssues);
+  const matchedPairs = matchIssues(issuesToSync, scIssues, options.ruleKeys);
   stats.matched = matchedPairs.length;
   logger.info(`Matched ${matchedPairs.length} issues, syncing with concurrency=${concurrency}`);
   if (matchedPairs.length === 0) { logSyncSummary(stats); return stats; }
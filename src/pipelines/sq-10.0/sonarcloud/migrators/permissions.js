@@ -1,3 +1,3 @@
 // -------- Re-export for backward compatibility --------
 
-export { migrateGlobalPermissions, migrateProjectPermissions, migratePermissionTemplates } from './permissions/index.js';
+export { migrateGlobalPermissions, migrateProjectPermissions, migratePermissionTemplates, migrateGlobalUserPermissions, migrateProjectUserPermissions } from './permissions/index.js';
@@ -1,21 +1,22 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { translateUserPermissions } from '../../../../../../shared/mapping/user-permissions.js';
 
 // -------- Migrate Permission Templates --------
 
-export async function migratePermissionTemplates(templateData, client) {
+export async function migratePermissionTemplates(templateData, client, userMappings = null) {
   const templateMapping = new Map();
   const { templates, defaultTemplates } = templateData;
   logger.info(`Migrating ${templates.length} permission templates`);
 
   for (const template of templates) {
-    await migrateOneTemplate(template, templateMapping, client);
+    await migrateOneTemplate(template, templateMapping, client, userMappings);
   }
 
   await applyDefaultTemplates(defaultTemplates, templateMapping, client);
   return templateMapping;
 }
 
-async function migrateOneTemplate(template, templateMapping, client) {
+async function migrateOneTemplate(template, templateMapping, client, userMappings) {
   try {
     const created = await client.createPermissionTemplate(template.name, template.description, template.projectKeyPattern);
     const scTemplateId = created.id;
@@ -27,10 +28,21 @@ async function migrateOneTemplate(template, templateMapping, client) {
         catch (error) { logger.debug(`Failed to add group ${groupName} to template: ${error.message}`); }
       }
     }
+    await addTemplateUsers(scTemplateId, template.users, client, userMappings);
     logger.info(`Migrated permission template: ${template.name}`);
   } catch (error) { logger.warn(`Failed to migrate template ${template.name}: ${error.message}`); }
 }
 
+async function addTemplateUsers(scTemplateId, templateUsers, client, userMappings) {
+  const { users } = translateUserPermissions(templateUsers, userMappings);
+  for (const user of users) {
+    for (const permission of user.permissions) {
+      try { await client.addUserToTemplate(scTemplateId, user.login, permission); }
+      catch (error) { logger.debug(`Failed to add user ${user.login} to template: ${error.message}`); }
+    }
+  }
+}
+
 async function applyDefaultTemplates(defaultTemplates, templateMapping, client) {
   for (const dt of defaultTemplates) {
     const scTemplateId = templateMapping.get(dt.templateId);
@@ -2,10 +2,11 @@ import logger from '../../../../../shared/utils/logger.js';
 import { EnterpriseClient } from '../../../sonarcloud/enterprise-client.js';
 import { buildProjectUuidMap } from './helpers/build-project-uuid-map.js';
 import { resolvePortfolioProjects } from './helpers/resolve-portfolio-projects.js';
+import { describeMembershipChange } from '../../../../../shared/utils/portfolio-membership.js';
 
 // -------- Migrate Portfolios --------
 
-export async function migratePortfolios(allPortfolios, projectKeyMapping, enterpriseConfig, orgConfig, rateLimitConfig) {
+export async function migratePortfolios(allPortfolios, projectKeyMapping, enterpriseConfig, orgConfig, rateLimitConfig, membershipChanges = null) {
   if (!enterpriseConfig?.key) { logger.warn('No enterprise key configured — skipping portfolio migration'); return 0; }
   if (allPortfolios.length === 0) { logger.info('No portfolios to migrate'); return 0; }
 
@@ -20,6 +21,8 @@ export async function migratePortfolios(allPortfolios, projectKeyMapping, enterp
   let created = 0;
   let updated = 0;
   for (const portfolio of allPortfolios) {
+    const change = describeMembershipChange(portfolio, projectKeyMapping, projectUuidMap);
+    if (change) membershipChanges?.push(change);
     try {
       const resolvedProjects = resolvePortfolioProjects(portfolio, projectKeyMapping, projectUuidMap);
       const existing = existingByName.get(portfolio.name);
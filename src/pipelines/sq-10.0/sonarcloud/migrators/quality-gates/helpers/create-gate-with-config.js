@@ -1,14 +1,19 @@
 // -------- Create Gate With Config --------
 
+import logger from '../../../../../../shared/utils/logger.js';
 import { createGateConditions } from './create-gate-conditions.js';
 import { setGateDefault } from './set-gate-default.js';
 import { setGatePermissions } from './set-gate-permissions.js';
 
-export async function createGateWithConfig(gate, client) {
+export async function createGateWithConfig(gate, client, { strict = false, rejected = [] } = {}) {
   const created = await client.createQualityGate(gate.name);
   const scGateId = created.id;
 
-  await createGateConditions(scGateId, gate, client);
+  rejected.push(...await createGateConditions(scGateId, gate, client));
+  if (strict && rejected.length > 0) {
+    await client.deleteQualityGate(scGateId).catch(error => logger.warn(`Failed to delete quality gate ${gate.name}: ${error.message}`));
+    throw new Error(`SonarCloud rejected ${rejected.length} condition(s) (strict mode)`);
+  }
   await setGateDefault(scGateId, gate, client);
   await setGatePermissions(gate, client);
 
@@ -0,0 +1,13 @@
+// -------- List Existing Gates --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function listExistingGates(client) {
+  try {
+    const { qualitygates = [] } = await client.listQualityGates();
+    return new Map(qualitygates.map(g => [g.name, g]));
+  } catch (error) {
+    logger.warn(`Failed to list existing SonarCloud quality gates, creating all gates: ${error.message}`);
+    return new Map();
+  }
+}
@@ -1,36 +1,52 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { createRuleKeyTranslator } from '../../../../../../shared/utils/rule-keys.js';
+import { diffRuleTuning, loadRuleActivations } from '../../../../../../shared/utils/quality-profile-tuning.js';
 
 // -------- Diff Profile Rules --------
 
-export async function diffProfileRules(sqProfile, scProfile, sqClient, scClient) {
+export async function diffProfileRules(sqProfile, scProfile, sqClient, scClient, ruleKeys = null) {
   logger.debug(`Comparing rules: SQ "${sqProfile.name}" vs SC "${scProfile.name}" (${sqProfile.language})`);
 
-  const [sqRules, scRules] = await Promise.all([
+  const [sqRules, scRules, sqActivations, scActivations] = await Promise.all([
     sqClient.getActiveRules(sqProfile.key),
     scClient.getActiveRules(scProfile.key),
+    loadRuleActivations(sqClient, sqProfile.key, 'SonarQube'),
+    loadRuleActivations(scClient, scProfile.key, 'SonarCloud'),
   ]);
 
+  // Keyed by canonical rule key so renamed rules are compared as one
+  const keys = ruleKeys || createRuleKeyTranslator({ sonarqube: sqRules, sonarcloud: scRules });
   const sqRuleMap = new Map();
   for (const rule of sqRules) {
-    sqRuleMap.set(rule.key || `${rule.repo}:${rule.params?.[0]?.key || rule.name}`, rule);
+    const key = rule.key || `${rule.repo}:${rule.params?.[0]?.key || rule.name}`;
+    sqRuleMap.set(keys.canonical(key), { key, rule });
   }
 
   const scRuleMap = new Map();
   for (const rule of scRules) {
-    scRuleMap.set(rule.key || `${rule.repo}:${rule.name}`, rule);
+    const key = rule.key || `${rule.repo}:${rule.name}`;
+    scRuleMap.set(keys.canonical(key), { key, rule });
   }
 
-  const missingRules = [...sqRuleMap].filter(([k]) => !scRuleMap.has(k)).map(([k, r]) => formatRule(k, r));
-  const addedRules = [...scRuleMap].filter(([k]) => !sqRuleMap.has(k)).map(([k, r]) => formatRule(k, r));
+  const missingRules = [...sqRuleMap].filter(([id]) => !scRuleMap.has(id)).map(([, { key, rule }]) => formatRule(key, rule));
+  const addedRules = [...scRuleMap].filter(([id]) => !sqRuleMap.has(id)).map(([, { key, rule }]) => formatRule(key, rule));
+  const renamedRules = [...sqRuleMap]
+    .filter(([id, { key }]) => scRuleMap.has(id) && scRuleMap.get(id).key !== key)
+    .map(([id, { key, rule }]) => ({ sonarqubeKey: key, sonarcloudKey: scRuleMap.get(id).key, name: rule.name || '' }));
 
+  const tuningCompared = Boolean(sqActivations && scActivations);
+  const ruleDifferences = tuningCompared ? diffRuleTuning(sqActivations, scActivations, keys.canonical) : [];
+
+  if (renamedRules.length > 0) logger.info(`  ${sqProfile.language}: ${renamedRules.length} rules matched under a renamed key`);
   if (missingRules.length > 0) logger.warn(`  ${sqProfile.language}: ${missingRules.length} rules missing from SonarCloud`);
   if (addedRules.length > 0) logger.info(`  ${sqProfile.language}: ${addedRules.length} rules added in SonarCloud`);
-  if (missingRules.length === 0 && addedRules.length === 0) logger.info(`  ${sqProfile.language}: profiles match perfectly (${sqRules.length} rules)`);
+  if (ruleDifferences.length > 0) logger.warn(`  ${sqProfile.language}: ${ruleDifferences.length} rules tuned differently (severity, parameters or impacts)`);
+  if (missingRules.length === 0 && addedRules.length === 0 && ruleDifferences.length === 0) logger.info(`  ${sqProfile.language}: profiles match perfectly (${sqRules.length} rules)`);
 
   return {
     sonarqubeProfile: sqProfile.name, sonarcloudProfile: scProfile.name,
     sonarqubeRuleCount: sqRules.length, sonarcloudRuleCount: scRules.length,
-    missingRules, addedRules,
+    missingRules, addedRules, renamedRules, tuningCompared, ruleDifferences,
   };
 }
 
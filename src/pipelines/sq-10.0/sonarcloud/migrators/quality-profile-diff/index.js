@@ -1,11 +1,12 @@
 import logger from '../../../../../shared/utils/logger.js';
+import { compareProfileInheritance, addTuningTotals } from '../../../../../shared/utils/quality-profile-tuning.js';
 import { diffProfileRules } from './helpers/diff-profile-rules.js';
 
 // -------- Generate Quality Profile Diff --------
 
 const MIGRATED_SUFFIX = ' (SonarQube Migrated)';
 
-export async function generateQualityProfileDiff(extractedProfiles, sqClient, scClient) {
+export async function generateQualityProfileDiff(extractedProfiles, sqClient, scClient, ruleKeys = null) {
   logger.info('Generating quality profile diff report...');
 
   const scProfiles = await scClient.searchQualityProfiles();
@@ -13,7 +14,7 @@ export async function generateQualityProfileDiff(extractedProfiles, sqClient, sc
 
   const report = {
     generatedAt: new Date().toISOString(),
-    summary: { languagesCompared: 0, totalMissingRules: 0, totalAddedRules: 0 },
+    summary: { languagesCompared: 0, totalMissingRules: 0, totalAddedRules: 0, totalRenamedRules: 0, totalRuleDifferences: 0, totalSeverityDifferences: 0, totalParameterDifferences: 0, totalImpactDifferences: 0, inheritanceMismatches: 0 },
     languages: {},
   };
 
@@ -22,19 +23,25 @@ export async function generateQualityProfileDiff(extractedProfiles, sqClient, sc
     if (!scProfile) { logger.debug(`No SC profile found for ${sqProfile.name} (${sqProfile.language}), skipping diff`); continue; }
 
     try {
-      const langDiff = await diffProfileRules(sqProfile, scProfile, sqClient, scClient);
+      const langDiff = await diffProfileRules(sqProfile, scProfile, sqClient, scClient, ruleKeys);
       if (!langDiff) continue;
+      langDiff.inheritance = compareProfileInheritance(sqProfile, scProfile, extractedProfiles, scProfiles, MIGRATED_SUFFIX);
       const langKey = report.languages[sqProfile.language] ? `${sqProfile.language}:${sqProfile.name}` : sqProfile.language;
       report.languages[langKey] = langDiff;
       report.summary.languagesCompared++;
       report.summary.totalMissingRules += langDiff.missingRules.length;
       report.summary.totalAddedRules += langDiff.addedRules.length;
+      report.summary.totalRenamedRules += langDiff.renamedRules.length;
+      addTuningTotals(report.summary, langDiff);
     } catch (error) { logger.warn(`Failed to diff profile ${sqProfile.name} (${sqProfile.language}): ${error.message}`); }
   }
 
   logger.info(`Quality profile diff complete: ${report.summary.languagesCompared} languages compared`);
   if (report.summary.totalMissingRules > 0) logger.warn(`${report.summary.totalMissingRules} rules in SonarQube but NOT in SonarCloud`);
   if (report.summary.totalAddedRules > 0) logger.info(`${report.summary.totalAddedRules} rules in SonarCloud but NOT in SonarQube`);
+  if (report.summary.totalRenamedRules > 0) logger.info(`${report.summary.totalRenamedRules} rules matched under a renamed key`);
+  if (report.summary.totalRuleDifferences > 0) logger.warn(`${report.summary.totalRuleDifferences} rules active on both sides but tuned differently`);
+  if (report.summary.inheritanceMismatches > 0) logger.warn(`${report.summary.inheritanceMismatches} profiles with a different parent chain in SonarCloud`);
 
   return report;
 }
@@ -1,3 +1,3 @@
 // -------- Re-export for backward compatibility --------
 
-export { migrateQualityProfiles } from './quality-profiles/index.js';
+export { migrateQualityProfiles, migrateCustomRules } from './quality-profiles/index.js';
@@ -0,0 +1,3 @@
+// -------- Re-export for backward compatibility --------
+
+export { migrateWebhooks } from './webhooks/index.js';
@@ -0,0 +1,3 @@
+// -------- Webhooks Migrators --------
+
+export { migrateWebhooks } from './helpers/migrate-webhooks.js';
@@ -21,6 +21,21 @@ export function addOptionalFiles(zip, encodedReport) {
     encodedReport.duplications.forEach((buf, ref) => { zip.addFile(`duplications-${ref}.pb`, Buffer.from(buf)); count++; });
     logger.debug(`Added ${count} duplication files`);
   }
+  if (encodedReport.syntaxHighlightings?.size > 0) {
+    let count = 0;
+    encodedReport.syntaxHighlightings.forEach((buf, ref) => { zip.addFile(`syntax-highlighting-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} syntax highlighting files`);
+  }
+  if (encodedReport.symbols?.size > 0) {
+    let count = 0;
+    encodedReport.symbols.forEach((buf, ref) => { zip.addFile(`symbols-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} symbol files`);
+  }
+  if (encodedReport.coverages?.size > 0) {
+    let count = 0;
+    encodedReport.coverages.forEach((buf, ref) => { zip.addFile(`coverages-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} coverage files`);
+  }
   if (encodedReport.externalIssues?.size > 0) {
     let count = 0;
     encodedReport.externalIssues.forEach((buf, ref) => { zip.addFile(`external-issues-${ref}.pb`, Buffer.from(buf)); count++; });
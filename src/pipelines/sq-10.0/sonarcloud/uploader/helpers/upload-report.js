@@ -1,4 +1,5 @@
 import logger from '../../../../../shared/utils/logger.js';
+import { archiveReport } from '../../../../../shared/scanner-report/report-archive.js';
 import { prepareReportData } from './prepare-report-data.js';
 import { submitToComputeEngine } from './submit-to-compute-engine.js';
 
@@ -9,6 +10,7 @@ export async function uploadReport(client, encodedReport, metadata) {
   try {
     await client.ensureProject();
     const reportData = prepareReportData(encodedReport, metadata);
+    await archiveReport(reportData, { projectKey: client.projectKey, ...metadata });
     const ceTask = await submitToComputeEngine(client, reportData, metadata);
     logger.info(`Report uploaded successfully (CE Task: ${ceTask.id})`);
     return ceTask;
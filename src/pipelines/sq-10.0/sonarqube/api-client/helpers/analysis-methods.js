@@ -1,4 +1,5 @@
 import logger from '../../../../../shared/utils/logger.js';
+import { getPaginated } from './get-paginated.js';
 
 // -------- Analysis & Quality Gate Methods --------
 
@@ -30,6 +31,11 @@ export async function getLatestAnalysisRevision(client, projectKey) {
   }
 }
 
+export async function getProjectAnalyses(client, projectKey) {
+  logger.info(`Fetching analysis history for project: ${projectKey}`);
+  return await getPaginated(client, '/api/project_analyses/search', { project: projectKey }, 'analyses');
+}
+
 export async function getDuplications(client, componentKey, branch = null) {
   logger.debug(`Fetching duplications for: ${componentKey}`);
   const params = { key: componentKey };
@@ -20,12 +20,21 @@ export function bindDelegatedMethods(client, paginate, pk) {
     getAllQualityProfiles: () => qual.getAllQualityProfiles(client),
     getQualityProfileBackup: (l, q) => qual.getQualityProfileBackup(client, l, q),
     getQualityProfilePermissions: (l, q) => qual.getQualityProfilePermissions(client, l, q),
+    getCustomRules: () => qual.getCustomRules(paginate),
+    getDeprecatedRuleKeys: () => qual.getDeprecatedRuleKeys(paginate),
+    getRuleActivations: (k) => qual.getRuleActivations(client, k),
     getGroups: () => perm.getGroups(paginate),
+    getGroupMembers: (n) => perm.getGroupMembers(paginate, n),
     getGlobalPermissions: () => perm.getGlobalPermissions(paginate),
     getProjectPermissions: (p) => perm.getProjectPermissions(paginate, p),
+    getGlobalUserPermissions: () => perm.getGlobalUserPermissions(paginate),
+    getProjectUserPermissions: (p) => perm.getProjectUserPermissions(paginate, p),
+    getTemplateUserPermissions: (t) => perm.getTemplateUserPermissions(paginate, t),
     getPermissionTemplates: () => perm.getPermissionTemplates(client),
     getPortfolios: () => perm.getPortfolios(client),
     getPortfolioDetails: (k) => perm.getPortfolioDetails(client, k),
+    getApplications: () => perm.getApplications(paginate),
+    getApplicationDetails: (k, b = null) => perm.getApplicationDetails(client, k, b),
     getProjectSettings: (p = null) => sc.getProjectSettings(client, p || pk),
     getServerSettings: () => sc.getServerSettings(client),
     getProjectTags: (p = null) => sc.getProjectTags(client, p),
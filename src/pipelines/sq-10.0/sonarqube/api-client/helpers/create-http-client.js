@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { applySonarQubeTransport } from '../../../../../shared/bundle/sonarqube-transport.js';
 
 // -------- Create Axios HTTP Client --------
 
@@ -13,5 +14,5 @@ export function createHttpClient(baseURL, token, handleError) {
     response => response,
     error => handleError(error),
   );
-  return client;
+  return applySonarQubeTransport(client);
 }
@@ -18,6 +18,11 @@ export async function getMeasures(client, projectKey, branch = null, metricKeys
   return response.data.component || {};
 }
 
+export async function getMeasuresHistory(client, projectKey, metricKeys = []) {
+  logger.info(`Fetching measure history for project: ${projectKey}`);
+  return await getPaginated(client, '/api/measures/search_history', { component: projectKey, metrics: metricKeys.join(',') }, 'measures');
+}
+
 async function fetchBatchedMeasures(client, projectKey, branch, metricKeys, max) {
   let merged = [];
   for (let i = 0; i < metricKeys.length; i += max) {
@@ -17,14 +17,29 @@ export async function getBranches(client, projectKey) {
   return response.data.branches || [];
 }
 
-export async function getSourceCode(client, fileKey, branch = null) {
+export async function getPullRequests(client, projectKey) {
+  logger.debug(`Fetching pull requests for project: ${projectKey}`);
+  const response = await client.get('/api/project_pull_requests/list', { params: { project: projectKey } });
+  return response.data.pullRequests || [];
+}
+
+export async function getSourceCode(client, fileKey, branch = null, pullRequest = null) {
   logger.debug(`Fetching source code for: ${fileKey}`);
   const params = { key: fileKey };
   if (branch) params.branch = branch;
+  if (pullRequest) params.pullRequest = pullRequest;
   const response = await client.get('/api/sources/raw', { params, responseType: 'text' });
   return response.data;
 }
 
+export async function getSourceLines(client, fileKey, branch = null) {
+  logger.debug(`Fetching highlighted source lines for: ${fileKey}`);
+  const params = { key: fileKey };
+  if (branch) params.branch = branch;
+  const response = await client.get('/api/sources/lines', { params });
+  return response.data.sources || [];
+}
+
 export async function getSourceFiles(client, projectKey, branch = null) {
   logger.info(`Fetching source files for project: ${projectKey}`);
   const params = { component: projectKey, qualifiers: 'FIL' };
@@ -23,14 +23,18 @@ export function createSonarQubeClient(config) {
     getPaginated: paginate,
     getProject: () => proj.getProject(client, pk),
     getBranches: (p = null) => proj.getBranches(client, p || pk),
-    getSourceCode: (f, b = null) => proj.getSourceCode(client, f, b),
+    getPullRequests: (p = null) => proj.getPullRequests(client, p || pk),
+    getSourceCode: (f, b = null, pr = null) => proj.getSourceCode(client, f, b, pr),
+    getSourceLines: (f, b = null) => proj.getSourceLines(client, f, b),
     getSourceFiles: (b = null) => proj.getSourceFiles(client, pk, b),
     listAllProjects: () => proj.listAllProjects(client),
     getMetrics: () => meas.getMetrics(client),
     getMeasures: (b = null, mk = []) => meas.getMeasures(client, pk, b, mk),
+    getMeasuresHistory: (mk = [], p = null) => meas.getMeasuresHistory(client, p || pk, mk),
     getComponentTree: (b = null, mk = []) => tree.getComponentTree(client, pk, b, mk),
     getQualityGate: () => anal.getQualityGate(client, pk),
     getLatestAnalysisRevision: () => anal.getLatestAnalysisRevision(client, pk),
+    getProjectAnalyses: (p = null) => anal.getProjectAnalyses(client, p || pk),
     getDuplications: (ck, b = null) => anal.getDuplications(client, ck, b),
     testConnection: () => conn.testConnection(client),
     getServerVersion: () => conn.getServerVersion(client),
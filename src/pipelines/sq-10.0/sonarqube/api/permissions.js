@@ -5,6 +5,12 @@ export async function getGroups(getPaginated) {
   return await getPaginated('/api/user_groups/search', {}, 'groups');
 }
 
+export async function getGroupMembers(getPaginated, groupName) {
+  logger.debug(`Fetching members of group: ${groupName}`);
+  const users = await getPaginated('/api/user_groups/users', { name: groupName, ps: 100 }, 'users');
+  return users.map(u => u.login);
+}
+
 export async function getGlobalPermissions(getPaginated) {
   logger.info('Fetching global permissions');
   return await getPaginated('/api/permissions/groups', { ps: 100 }, 'groups');
@@ -15,6 +21,21 @@ export async function getProjectPermissions(getPaginated, projectKey) {
   return await getPaginated('/api/permissions/groups', { projectKey, ps: 100 }, 'groups');
 }
 
+export async function getGlobalUserPermissions(getPaginated) {
+  logger.info('Fetching global user permissions');
+  return await getPaginated('/api/permissions/users', { ps: 100 }, 'users');
+}
+
+export async function getProjectUserPermissions(getPaginated, projectKey) {
+  logger.debug(`Fetching project user permissions for: ${projectKey}`);
+  return await getPaginated('/api/permissions/users', { projectKey, ps: 100 }, 'users');
+}
+
+export async function getTemplateUserPermissions(getPaginated, templateId) {
+  logger.debug(`Fetching user permissions for template: ${templateId}`);
+  return await getPaginated('/api/permissions/template_users', { templateId, ps: 100 }, 'users');
+}
+
 export async function getPermissionTemplates(client) {
   logger.info('Fetching permission templates');
   const response = await client.get('/api/permissions/search_templates');
@@ -42,3 +63,24 @@ export async function getPortfolioDetails(client, key) {
     return null;
   }
 }
+
+export async function getApplications(getPaginated) {
+  logger.info('Fetching applications');
+  try {
+    return await getPaginated('/api/components/search', { qualifiers: 'APP' }, 'components');
+  } catch (error) {
+    logger.warn(`Failed to get applications (may require Developer edition or above): ${error.message}`);
+    return [];
+  }
+}
+
+export async function getApplicationDetails(client, key, branch = null) {
+  logger.debug(`Fetching application details: ${key}${branch ? ` (branch ${branch})` : ''}`);
+  try {
+    const response = await client.get('/api/applications/show', { params: { application: key, ...(branch && { branch }) } });
+    return response.data.application || null;
+  } catch (error) {
+    logger.warn(`Failed to get application details: ${error.message}`);
+    return null;
+  }
+}
@@ -7,4 +7,7 @@ export {
   getAllQualityProfiles,
   getQualityProfileBackup,
   getQualityProfilePermissions,
+  getCustomRules,
+  getDeprecatedRuleKeys,
+  getRuleActivations,
 } from './quality/index.js';
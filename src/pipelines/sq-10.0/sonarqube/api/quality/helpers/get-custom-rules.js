@@ -0,0 +1,13 @@
+// -------- Get Custom Rules --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function getCustomRules(getPaginated) {
+  logger.info('Fetching custom rules created from templates');
+  const templates = await getPaginated('/api/rules/search', { is_template: 'true', f: 'name' }, 'rules');
+  const rules = [];
+  for (const template of templates) {
+    rules.push(...await getPaginated('/api/rules/search', { template_key: template.key, f: 'templateKey,name,mdDesc,htmlDesc,severity,status,lang,params' }, 'rules'));
+  }
+  return rules;
+}
@@ -0,0 +1,9 @@
+// -------- Get Deprecated Rule Keys --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function getDeprecatedRuleKeys(getPaginated) {
+  logger.info('Fetching deprecated rule keys');
+  const rules = await getPaginated('/api/rules/search', { f: 'deprecatedKeys', ps: 500 }, 'rules');
+  return rules.filter(r => r.deprecatedKeys);
+}
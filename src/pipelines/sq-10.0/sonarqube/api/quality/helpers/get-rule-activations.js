@@ -0,0 +1,22 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { collectRuleActivations } from '../../../../../../shared/utils/quality-profile-tuning.js';
+
+// -------- Get Rule Activations --------
+
+export async function getRuleActivations(client, profileKey) {
+  logger.debug(`Fetching rule activations for profile: ${profileKey}`);
+  const activations = [];
+  let page = 1;
+  const pageSize = 500;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const response = await client.get('/api/rules/search', { params: { qprofile: profileKey, activation: 'true', f: 'actives', ps: pageSize, p: page } });
+    const rules = response.data.rules || [];
+    activations.push(...collectRuleActivations(response.data.actives, profileKey));
+    if (page * pageSize >= (response.data.total || 0) || rules.length < pageSize) break;
+    page++;
+  }
+
+  return activations;
+}
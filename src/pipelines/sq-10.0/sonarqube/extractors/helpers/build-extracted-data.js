@@ -13,6 +13,7 @@ export function buildExtractedData(ctx, mode) {
     activeRules: ctx.activeRules, duplications: ctx.duplications,
     changesets: ctx.changesets, symbols: ctx.symbols,
     syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: {
       extractedAt: new Date().toISOString(), mode,
       ...(ctx.scmRevisionId ? { scmRevisionId: ctx.scmRevisionId } : {}),
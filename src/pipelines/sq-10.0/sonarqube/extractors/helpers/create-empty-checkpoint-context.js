@@ -9,6 +9,6 @@ export function createEmptyCheckpointContext() {
     project: null, metrics: [], metricKeys: [], components: [],
     sourceFilesList: [], activeRules: [], issues: [], hotspotIssues: [],
     measures: {}, sources: [], duplications: new Map(), changesets: new Map(),
-    symbols: new Map(), syntaxHighlightings: new Map(), scmRevisionId: null,
+    symbols: new Map(), syntaxHighlightings: new Map(), lineCoverage: new Map(), scmRevisionId: null,
   };
 }
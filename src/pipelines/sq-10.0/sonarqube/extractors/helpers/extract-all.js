@@ -8,6 +8,7 @@ import { extractActiveRules } from '../rules.js';
 import { extractChangesets } from '../changesets.js';
 import { extractSymbols } from '../symbols.js';
 import { extractSyntaxHighlighting } from '../syntax-highlighting.js';
+import { extractLineCoverage } from '../line-coverage.js';
 import { extractHotspotsAsIssues } from '../hotspots-to-issues.js';
 import { extractDuplications } from '../duplications.js';
 import { createEmptyExtractedData, parseMaxSourceFiles } from './extraction-utils.js';
@@ -37,8 +38,9 @@ export async function extractAll(extractor) {
   const dupConc = extractor.performanceConfig.sourceExtraction?.concurrency || 5;
   data.duplications = await extractDuplications(extractor.client, data.components, null, { concurrency: dupConc });
   data.changesets = await extractChangesets(extractor.client, sourceFilesList, data.components);
-  data.symbols = await extractSymbols(extractor.client, sourceFilesList);
-  data.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList);
+  data.symbols = await extractSymbols(extractor.client, sourceFilesList, null, { concurrency: conc });
+  data.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList, null, { concurrency: conc });
+  data.lineCoverage = await extractLineCoverage(extractor.client, sourceFilesList, null, { concurrency: conc });
   logger.info(`Data extraction completed in ${((Date.now() - startTime) / 1000).toFixed(2)}s`);
   return data;
 }
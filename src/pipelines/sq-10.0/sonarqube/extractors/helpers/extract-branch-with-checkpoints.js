@@ -14,7 +14,7 @@ export async function extractBranchWithCheckpoints(extractor, branch, mainData,
     components: [], sourceFilesList: [], issues: [],
     hotspotIssues: [], measures: {}, sources: [],
     duplications: new Map(), changesets: new Map(),
-    symbols: new Map(), syntaxHighlightings: new Map(),
+    symbols: new Map(), syntaxHighlightings: new Map(), lineCoverage: new Map(),
   };
   const opts = {
     maxFiles: parseMaxSourceFiles(),
@@ -36,6 +36,7 @@ export async function extractBranchWithCheckpoints(extractor, branch, mainData,
     sources: ctx.sources, duplications: ctx.duplications,
     changesets: ctx.changesets, symbols: ctx.symbols,
     syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: { extractedAt: new Date().toISOString(), mode: extractor.config.transfer.mode },
   };
 }
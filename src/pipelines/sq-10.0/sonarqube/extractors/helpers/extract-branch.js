@@ -6,6 +6,7 @@ import { extractSources } from '../sources.js';
 import { extractChangesets } from '../changesets.js';
 import { extractSymbols } from '../symbols.js';
 import { extractSyntaxHighlighting } from '../syntax-highlighting.js';
+import { extractLineCoverage } from '../line-coverage.js';
 import { extractHotspotsAsIssues } from '../hotspots-to-issues.js';
 import { extractDuplications } from '../duplications.js';
 import { parseMaxSourceFiles } from './extraction-utils.js';
@@ -31,14 +32,15 @@ export async function extractBranch(extractor, branch, mainData) {
   const dupConc = extractor.performanceConfig.sourceExtraction?.concurrency || 5;
   const duplications = await extractDuplications(extractor.client, components, branch, { concurrency: dupConc });
   const changesets = await extractChangesets(extractor.client, sourceFilesList, components);
-  const symbols = await extractSymbols(extractor.client, sourceFilesList);
-  const syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList);
+  const symbols = await extractSymbols(extractor.client, sourceFilesList, branch, { concurrency: srcConc });
+  const syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList, branch, { concurrency: srcConc });
+  const lineCoverage = await extractLineCoverage(extractor.client, sourceFilesList, branch, { concurrency: srcConc });
   const duration = ((Date.now() - startTime) / 1000).toFixed(2);
   logger.info(`  [${branch}] Branch extraction completed in ${duration}s`);
   return {
     project: mainData.project, metrics: mainData.metrics,
     activeRules: mainData.activeRules, issues, measures, components,
-    sources, duplications, changesets, symbols, syntaxHighlightings,
+    sources, duplications, changesets, symbols, syntaxHighlightings, lineCoverage,
     metadata: { extractedAt: new Date().toISOString(), mode: extractor.config.transfer.mode },
   };
 }
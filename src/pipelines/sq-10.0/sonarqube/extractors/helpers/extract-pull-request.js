@@ -0,0 +1,42 @@
+import logger from '../../../../../shared/utils/logger.js';
+import { mapConcurrent } from '../../../../../shared/utils/concurrency.js';
+import { pullRequestLabel } from '../../../../../shared/utils/pull-requests.js';
+import { createIssueData, SourceFileData } from '../../models.js';
+
+// -------- Extract Pull Request Data --------
+
+// SonarQube only keeps issues for the files a PR touches, so the report carries
+// those issues plus the PR version of each affected file.
+export async function extractPullRequest(extractor, pullRequest, mainData) {
+  const label = pullRequestLabel(pullRequest);
+  logger.info(`Extracting data for ${label} (${pullRequest.branch} → ${pullRequest.base})`);
+  const startTime = Date.now();
+  const concurrency = extractor.performanceConfig.sourceExtraction?.concurrency || 10;
+
+  const issues = (await extractor.client.getIssues({ pullRequest: pullRequest.key })).map(createIssueData);
+  const fileKeys = [...new Set(issues.map(i => i.component).filter(Boolean))];
+  const fileKeySet = new Set(fileKeys);
+  const components = mainData.components.filter(c => fileKeySet.has(c.key));
+  const languages = new Map(components.map(c => [c.key, c.language || '']));
+
+  const results = await mapConcurrent(
+    fileKeys,
+    async (key) => new SourceFileData(key, await extractor.client.getSourceCode(key, null, pullRequest.key), languages.get(key) || ''),
+    { concurrency, settled: true }
+  );
+  const sources = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+  const failed = results.length - sources.length;
+  if (failed > 0) logger.warn(`  [${label}] Failed to fetch ${failed} source files`);
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+  logger.info(`  [${label}] Pull request extraction completed in ${duration}s — ${issues.length} issues, ${sources.length} sources`);
+
+  return {
+    project: mainData.project, metrics: mainData.metrics,
+    activeRules: mainData.activeRules, issues,
+    measures: {}, components, sources,
+    duplications: new Map(), changesets: new Map(), symbols: new Map(),
+    syntaxHighlightings: new Map(), lineCoverage: new Map(),
+    metadata: { extractedAt: new Date().toISOString(), mode: extractor.config.transfer.mode },
+  };
+}
@@ -2,6 +2,7 @@
 
 import logger from '../../../../../shared/utils/logger.js';
 import { mapConcurrent, createProgressLogger } from '../../../../../shared/utils/concurrency.js';
+import { wasUpdatedSince } from '../../../../../shared/utils/issue-sync/has-changes-since.js';
 import { buildDetailedHotspot } from './helpers/build-detailed-hotspot.js';
 import { buildFallbackHotspot } from './helpers/build-fallback-hotspot.js';
 
@@ -10,7 +11,12 @@ export async function extractHotspots(client, branch = null, options = {}) {
   const filters = {};
   if (branch) filters.branch = branch;
 
-  const hotspots = await client.getHotspots(filters);
+  let hotspots = await client.getHotspots(filters);
+  if (options.updatedAfter) {
+    const total = hotspots.length;
+    hotspots = hotspots.filter(h => wasUpdatedSince(h, options.updatedAfter));
+    logger.info(`${total - hotspots.length} hotspots unchanged since ${options.updatedAfter}`);
+  }
   logger.info(`Found ${hotspots.length} hotspots, fetching details with concurrency=${concurrency}`);
   if (hotspots.length === 0) return [];
 
@@ -1,8 +1,10 @@
 import { extractAll } from './helpers/extract-all.js';
 import { extractBranch } from './helpers/extract-branch.js';
+import { extractPullRequest } from './helpers/extract-pull-request.js';
 import { logExtractionSummary } from './helpers/log-extraction-summary.js';
 import { extractAllWithCheckpoints } from './helpers/extract-all-with-checkpoints.js';
 import { extractBranchWithCheckpoints } from './helpers/extract-branch-with-checkpoints.js';
+import { applyBundledExtractions } from '../../../../shared/bundle/bundled-extractions.js';
 
 // -------- Factory Function --------
 
@@ -10,10 +12,11 @@ export function createDataExtractor(client, config, state = null, performanceCon
   const ext = { client, config, state, performanceConfig };
   ext.extractAll = async () => { const data = await extractAll(ext); logExtractionSummary(data); return data; };
   ext.extractBranch = (branch, mainData) => extractBranch(ext, branch, mainData);
+  ext.extractPullRequest = (pullRequest, mainData) => extractPullRequest(ext, pullRequest, mainData);
   ext.logExtractionSummary = (data) => logExtractionSummary(data);
   ext.extractAllWithCheckpoints = async (j, c, s) => { const data = await extractAllWithCheckpoints(ext, j, c, s); logExtractionSummary(data); return data; };
   ext.extractBranchWithCheckpoints = (branch, mainData, j, c, s) => extractBranchWithCheckpoints(ext, branch, mainData, j, c, s);
-  return ext;
+  return applyBundledExtractions(ext);
 }
 
 // -------- Class Wrapper (backward compat) --------
@@ -0,0 +1,31 @@
+import logger from '../../../../shared/utils/logger.js';
+import { fetchSourceMarkup } from '../../../../shared/utils/source-markup.js';
+
+/**
+ * Extract per-line coverage from SonarQube
+ * Hits and conditions are read from /api/sources/lines (shared with symbols and highlighting)
+ * @param {SonarQubeClient} client - SonarQube client
+ * @param {Array} sourceFiles - List of source files with component keys
+ * @param {string|null} branch - Branch name (null for the main branch)
+ * @param {Object} options - { concurrency }
+ * @returns {Promise<Map<string, Object>>} Map of component key to line coverage data
+ */
+export async function extractLineCoverage(client, sourceFiles, branch = null, options = {}) {
+  logger.info('Extracting per-line coverage...');
+
+  const markup = await fetchSourceMarkup(client, sourceFiles, branch, options);
+  const lineCoverage = new Map();
+  let total = 0;
+
+  markup.forEach(({ coverage }, key) => {
+    if (coverage.length === 0) return;
+    lineCoverage.set(key, {
+      fileRef: null, // Will be set by builder
+      lines: coverage
+    });
+    total += coverage.length;
+  });
+
+  logger.info(`Extracted coverage for ${total} lines across ${lineCoverage.size} files`);
+  return lineCoverage;
+}
@@ -4,4 +4,7 @@ export {
   extractGlobalPermissions,
   extractProjectPermissions,
   extractPermissionTemplates,
+  extractGlobalUserPermissions,
+  extractProjectUserPermissions,
+  extractTemplateUserPermissions,
 } from './permissions/index.js';
@@ -0,0 +1,13 @@
+// -------- Extract Global User Permissions --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function extractGlobalUserPermissions(client) {
+  const users = await client.getGlobalUserPermissions();
+  logger.info(`Found ${users.length} users with global permissions`);
+
+  return users.map(u => ({
+    login: u.login,
+    permissions: u.permissions || []
+  }));
+}
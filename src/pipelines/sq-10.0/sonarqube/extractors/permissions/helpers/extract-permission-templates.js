@@ -1,6 +1,7 @@
 // -------- Extract Permission Templates --------
 
 import logger from '../../../../../../shared/utils/logger.js';
+import { extractTemplateUserPermissions } from './extract-template-user-permissions.js';
 
 export async function extractPermissionTemplates(client) {
   const data = await client.getPermissionTemplates();
@@ -9,13 +10,19 @@ export async function extractPermissionTemplates(client) {
 
   logger.info(`Found ${templates.length} permission templates`);
 
+  const templateUsers = new Map();
+  for (const t of templates) {
+    templateUsers.set(t.id, await extractTemplateUserPermissions(client, t.id));
+  }
+
   return {
     templates: templates.map(t => ({
       id: t.id,
       name: t.name,
       description: t.description || '',
       projectKeyPattern: t.projectKeyPattern || '',
-      permissions: t.permissions || []
+      permissions: t.permissions || [],
+      users: templateUsers.get(t.id)
     })),
     defaultTemplates: defaultTemplates.map(d => ({
       templateId: d.templateId,
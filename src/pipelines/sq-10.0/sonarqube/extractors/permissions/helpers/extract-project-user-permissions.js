@@ -0,0 +1,13 @@
+// -------- Extract Project User Permissions --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function extractProjectUserPermissions(client, projectKey) {
+  const users = await client.getProjectUserPermissions(projectKey);
+  logger.debug(`Found ${users.length} users with permissions for project: ${projectKey}`);
+
+  return users.map(u => ({
+    login: u.login,
+    permissions: u.permissions || []
+  }));
+}
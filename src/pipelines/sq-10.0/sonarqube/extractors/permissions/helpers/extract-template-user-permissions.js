@@ -0,0 +1,16 @@
+// -------- Extract Template User Permissions --------
+
+import logger from '../../../../../../shared/utils/logger.js';
+
+export async function extractTemplateUserPermissions(client, templateId) {
+  try {
+    const users = await client.getTemplateUserPermissions(templateId);
+    return users.map(u => ({
+      login: u.login,
+      permissions: u.permissions || []
+    }));
+  } catch (error) {
+    logger.warn(`Failed to extract user permissions for template ${templateId}: ${error.message}`);
+    return [];
+  }
+}
@@ -1,3 +1,3 @@
 // -------- Re-export for backward compatibility --------
 
-export { extractQualityProfiles, buildInheritanceChains } from './quality-profiles/index.js';
+export { extractQualityProfiles, buildInheritanceChains, extractCustomRules } from './quality-profiles/index.js';
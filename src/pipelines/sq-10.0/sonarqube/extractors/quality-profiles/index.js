@@ -2,3 +2,4 @@
 
 export { extractQualityProfiles } from './helpers/extract-quality-profiles.js';
 export { buildInheritanceChains } from './helpers/build-inheritance-chains.js';
+export { extractCustomRules } from './helpers/extract-custom-rules.js';
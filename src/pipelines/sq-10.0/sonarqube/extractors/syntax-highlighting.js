@@ -1,32 +1,31 @@
 import logger from '../../../../shared/utils/logger.js';
+import { fetchSourceMarkup } from '../../../../shared/utils/source-markup.js';
 
 /**
  * Extract syntax highlighting data from SonarQube
- * Creates empty syntax highlighting data for each source file (minimal stub)
+ * Highlighting rules are read from the decorated source returned by /api/sources/lines
  * @param {SonarQubeClient} client - SonarQube client
  * @param {Array} sourceFiles - List of source files with component keys
- * @returns {Promise<Map<string, Object>>} Map of component key to syntax highlighting data
+ * @param {string|null} branch - Branch name (null for the main branch)
+ * @param {Object} options - { concurrency }
+ * @returns {Promise<Map<string, Object>>} Map of component key to highlighting data
  */
-export async function extractSyntaxHighlighting(client, sourceFiles) {
+export async function extractSyntaxHighlighting(client, sourceFiles, branch = null, options = {}) {
   logger.info('Extracting syntax highlighting data...');
 
-  const syntaxHighlightings = new Map();
+  const markup = await fetchSourceMarkup(client, sourceFiles, branch, options);
+  const highlighting = new Map();
+  let total = 0;
 
-  // Create empty syntax highlighting data for each source file
-  for (const file of sourceFiles) {
-    try {
-      // Create empty syntax highlighting rules (minimal valid structure)
-      const highlightingData = {
-        fileRef: null, // Will be set by builder
-        rules: [] // Empty rules array
-      };
+  markup.forEach(({ rules }, key) => {
+    if (rules.length === 0) return;
+    highlighting.set(key, {
+      fileRef: null, // Will be set by builder
+      rules
+    });
+    total += rules.length;
+  });
 
-      syntaxHighlightings.set(file.key, highlightingData);
-    } catch (error) {
-      logger.warn(`Failed to create syntax highlighting for ${file.key}: ${error.message}`);
-    }
-  }
-
-  logger.info(`Created ${syntaxHighlightings.size} syntax highlighting entries (empty)`);
-  return syntaxHighlightings;
+  logger.info(`Extracted ${total} highlighting rules across ${highlighting.size} files`);
+  return highlighting;
 }
@@ -1,3 +1,5 @@
+import { recordValidationStats } from '../../../../shared/scanner-report/validate-report-messages.js';
+
 // -------- Aggregate Branch Stats --------
 
 /**
@@ -21,6 +23,31 @@ export function aggregateBranchStats(aggregatedStats, branchResults) {
       aggregatedStats.sourcesTransferred += val.branchResult.stats.sourcesTransferred || 0;
       aggregatedStats.linesOfCode += val.branchResult.stats.linesOfCode || 0;
       aggregatedStats.branchesTransferred.push(val.branchName);
+      recordValidationStats(aggregatedStats, val.branchName, val.branchResult.stats);
+    }
+  }
+}
+
+/**
+ * Aggregate pull request transfer results; PRs count towards issues but not branches.
+ * @param {object} aggregatedStats - Mutable stats accumulator
+ * @param {Array} pullRequestResults - Results from mapConcurrent (settled)
+ */
+export function aggregatePullRequestStats(aggregatedStats, pullRequestResults) {
+  aggregatedStats.pullRequestsTransferred = [];
+  for (const r of pullRequestResults) {
+    if (r.status !== 'fulfilled') continue;
+    const val = r.value;
+    if (!val) continue;
+    if (val.skipped) {
+      if (val.addToTransferred) aggregatedStats.pullRequestsTransferred.push(val.branchName);
+      continue;
+    }
+    if (val.branchResult) {
+      aggregatedStats.issuesTransferred += val.branchResult.stats.issuesTransferred || 0;
+      aggregatedStats.hotspotsTransferred += val.branchResult.stats.hotspotsTransferred || 0;
+      aggregatedStats.pullRequestsTransferred.push(val.branchName);
+      recordValidationStats(aggregatedStats, val.branchName, val.branchResult.stats);
     }
   }
 }
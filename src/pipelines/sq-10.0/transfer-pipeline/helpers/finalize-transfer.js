@@ -2,11 +2,13 @@ import logger from '../../../../shared/utils/logger.js';
 import { checkShutdown } from '../../../../shared/utils/shutdown.js';
 import { transferNonMainBranches } from './transfer-non-main-branches.js';
 import { waitForMainAnalysis } from './wait-for-main-analysis.js';
+import { transferPullRequests } from './transfer-pull-requests.js';
 import { syncTransferMetadata } from './sync-transfer-metadata/index.js';
+import { recordValidationStats } from '../../../../shared/scanner-report/validate-report-messages.js';
 
-// -------- Finalize Transfer (non-main branches + cleanup) --------
+// -------- Finalize Transfer (non-main branches, pull requests + cleanup) --------
 
-export async function finalizeTransfer({ mainResult, sonarCloudMainBranch, syncAllBranches, excludeBranches, includeBranches, extractedData, extractor, sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, isIncremental, shutdownCheck, performanceConfig, sonarCloudRepos, ruleEnrichmentMap, projectKey, lockFile, transferConfig }) {
+export async function finalizeTransfer({ mainResult, historyStats = null, sonarCloudMainBranch, syncAllBranches, excludeBranches, includeBranches, extractedData, extractor, sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, isIncremental, shutdownCheck, performanceConfig, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys = null, projectKey, lockFile, transferConfig }) {
   const aggregatedStats = {
     issuesTransferred: mainResult.stats.issuesTransferred || 0,
     hotspotsTransferred: mainResult.stats.hotspotsTransferred || 0,
@@ -15,6 +17,8 @@ export async function finalizeTransfer({ mainResult, sonarCloudMainBranch, syncA
     linesOfCode: mainResult.stats.linesOfCode || 0,
     branchesTransferred: [sonarCloudMainBranch],
   };
+  recordValidationStats(aggregatedStats, sonarCloudMainBranch, mainResult.stats);
+  if (historyStats) aggregatedStats.history = historyStats;
   if (isIncremental) { stateTracker.markBranchCompleted(sonarCloudMainBranch); await stateTracker.save(); }
   checkShutdown(shutdownCheck);
   if (syncAllBranches) {
@@ -23,14 +27,18 @@ export async function finalizeTransfer({ mainResult, sonarCloudMainBranch, syncA
     if (nonMainBranches.length > 0) {
       await waitForMainAnalysis(sonarCloudClient, mainResult.ceTask?.id, wait);
       logger.info(`Syncing ${nonMainBranches.length} additional branch(es): ${nonMainBranches.map(b => b.name).join(', ')}`);
-      await transferNonMainBranches({ nonMainBranches, extractedData, extractor, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, isIncremental, shutdownCheck, performanceConfig, sonarCloudRepos, ruleEnrichmentMap, aggregatedStats });
+      await transferNonMainBranches({ nonMainBranches, extractedData, extractor, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, isIncremental, shutdownCheck, performanceConfig, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys, aggregatedStats });
     } else {
       logger.info('No additional branches to sync (only the main branch exists)');
     }
   }
+  if (transferConfig.pullRequests?.enabled) {
+    checkShutdown(shutdownCheck);
+    await transferPullRequests({ pullRequestsConfig: transferConfig.pullRequests, mainResult, extractedData, extractor, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, stateTracker, isIncremental, shutdownCheck, performanceConfig, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys, aggregatedStats });
+  }
   // -------- Phase 2: Metadata Sync --------
   const metadataStats = await syncTransferMetadata({
-    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig,
+    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig, ruleKeys,
   });
 
   if (isIncremental) await stateTracker.recordTransfer(aggregatedStats);
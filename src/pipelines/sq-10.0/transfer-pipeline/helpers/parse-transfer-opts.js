@@ -7,10 +7,10 @@
  */
 export function parseTransferOpts(opts) {
   const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig = {}, wait = false, skipConnectionTest = false, shutdownCoordinator = null, forceRestart = false, forceFreshExtract = false, forceUnlock = false } = opts;
-  const { projectName = null, ruleEnrichmentMap: prebuiltEnrichmentMap = null } = opts;
+  const { projectName = null, ruleEnrichmentMap: prebuiltEnrichmentMap = null, ruleKeys: prebuiltRuleKeys = null } = opts;
   return {
     sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, skipConnectionTest,
-    shutdownCoordinator, forceRestart, forceFreshExtract, forceUnlock, projectName, prebuiltEnrichmentMap,
+    shutdownCoordinator, forceRestart, forceFreshExtract, forceUnlock, projectName, prebuiltEnrichmentMap, prebuiltRuleKeys,
     projectKey: sonarqubeConfig.projectKey,
     shutdownCheck: shutdownCoordinator ? shutdownCoordinator.shutdownCheck() : () => false,
     checkpointEnabled: transferConfig.checkpoint?.enabled !== false,
@@ -18,5 +18,6 @@ export function parseTransferOpts(opts) {
     syncAllBranches: transferConfig.syncAllBranches !== false,
     excludeBranches: new Set(transferConfig.excludeBranches || []),
     includeBranches: transferConfig.includeBranches || null,
+    reportValidation: transferConfig.reportValidation || 'lenient',
   };
 }
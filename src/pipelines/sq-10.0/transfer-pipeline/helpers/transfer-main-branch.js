@@ -6,7 +6,7 @@ import { transferBranch } from './transfer-branch.js';
 
 const ZERO_STATS = { issuesTransferred: 0, hotspotsTransferred: 0, componentsTransferred: 0, sourcesTransferred: 0, linesOfCode: 0 };
 
-export async function transferMainBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, sonarCloudRepos, ruleEnrichmentMap }) {
+export async function transferMainBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, sonarCloudRepos, ruleEnrichmentMap, reportValidation }) {
   const alreadyCompleted = journal?.getBranchStatus(sonarCloudMainBranch) === 'completed';
 
   if (alreadyCompleted) {
@@ -27,7 +27,7 @@ export async function transferMainBranch({ extractedData, sonarcloudConfig, sona
     extractedData, sonarcloudConfig, sonarCloudProfiles,
     branchName: sonarCloudMainBranch, referenceBranchName: sonarCloudMainBranch,
     wait, sonarCloudClient, sonarQubeClient, label: 'main', isMainBranch: true,
-    sonarCloudRepos, ruleEnrichmentMap,
+    sonarCloudRepos, ruleEnrichmentMap, reportValidation,
   });
 
   if (journal) {
@@ -1,11 +1,13 @@
 import logger from '../../../../shared/utils/logger.js';
 import { checkShutdown } from '../../../../shared/utils/shutdown.js';
 import { GracefulShutdownError } from '../../../../shared/utils/errors.js';
+import { loadRuleKeyTranslator, translateExtractedRuleKeys } from '../../../../shared/utils/rule-keys.js';
 import { parseTransferOpts } from './parse-transfer-opts.js';
 import { initState } from './init-state.js';
 import { initCheckpoints } from './init-checkpoints.js';
 import { extractMainData, runExtraction } from './extract-main-data.js';
 import { checkMainBranchExcluded } from './resolve-branch-config.js';
+import { replayAnalysisHistory } from './replay-analysis-history.js';
 import { transferMainBranch } from './transfer-main-branch.js';
 import { finalizeTransfer } from './finalize-transfer.js';
 
@@ -31,15 +33,21 @@ export async function transferProject(opts) {
     const earlyReturn = await checkMainBranchExcluded({ ...p, sonarQubeClient, stateTracker, journal, lockFile });
     if (earlyReturn) return earlyReturn;
     checkShutdown(p.shutdownCheck);
-    const { extractor, extractedData } = await runExtraction({ sonarQubeClient, ...p, journal, cache, stateTracker });
+    const { extractor, extractedData: sourceData } = await runExtraction({ sonarQubeClient, ...p, journal, cache, stateTracker });
     checkShutdown(p.shutdownCheck);
     const sonarCloudProfiles = await sonarCloudClient.getQualityProfiles();
     const sonarCloudMainBranch = await sonarCloudClient.getMainBranchName();
     const sonarCloudRepos = await sonarCloudClient.getRuleRepositories();
     const ruleEnrichmentMap = p.prebuiltEnrichmentMap || new Map();
+    const ruleKeys = p.prebuiltRuleKeys || await loadRuleKeyTranslator(sonarQubeClient, sonarCloudClient);
+    const extractedData = translateExtractedRuleKeys(sourceData, ruleKeys);
     checkShutdown(p.shutdownCheck);
-    const mainResult = await transferMainBranch({ extractedData, sonarcloudConfig: p.sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait: p.wait, sonarCloudClient, sonarQubeClient, journal, sonarCloudRepos, ruleEnrichmentMap });
-    return await finalizeTransfer({ mainResult, sonarCloudMainBranch, ...p, extractedData, extractor, sonarCloudProfiles, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, sonarCloudRepos, ruleEnrichmentMap, lockFile });
+    const historyStats = p.transferConfig.history?.enabled
+      ? await replayAnalysisHistory({ extractedData, sonarcloudConfig: p.sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, journal, historyConfig: p.transferConfig.history, sonarCloudRepos, ruleEnrichmentMap, reportValidation: p.reportValidation })
+      : null;
+    checkShutdown(p.shutdownCheck);
+    const mainResult = await transferMainBranch({ extractedData, sonarcloudConfig: p.sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait: p.wait, sonarCloudClient, sonarQubeClient, journal, sonarCloudRepos, ruleEnrichmentMap, reportValidation: p.reportValidation });
+    return await finalizeTransfer({ mainResult, historyStats, sonarCloudMainBranch, ...p, extractedData, extractor, sonarCloudProfiles, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, sonarCloudRepos, ruleEnrichmentMap, ruleKeys, lockFile });
   } catch (error) {
     if (!(error instanceof GracefulShutdownError) && journal) { await journal.markInterrupted().catch(() => {}); }
     await lockFile.release();
@@ -0,0 +1,29 @@
+import logger from '../../../../shared/utils/logger.js';
+import { mapConcurrent } from '../../../../shared/utils/concurrency.js';
+import { filterPullRequests, pullRequestLabel } from '../../../../shared/utils/pull-requests.js';
+import { transferSinglePullRequest } from './transfer-single-pull-request.js';
+import { waitForMainAnalysis } from './wait-for-main-analysis.js';
+import { aggregatePullRequestStats } from './aggregate-branch-stats.js';
+
+// -------- Transfer Pull Requests --------
+
+/**
+ * Transfer open pull request analyses (`transfer.pullRequests`).
+ * Runs after the branches so each PR's target branch already exists in SonarCloud.
+ */
+export async function transferPullRequests({ pullRequestsConfig, mainResult, wait, sonarCloudClient, sonarQubeClient, performanceConfig, aggregatedStats, ...rest }) {
+  const pullRequests = filterPullRequests(await sonarQubeClient.getPullRequests(), pullRequestsConfig);
+  if (pullRequests.length === 0) {
+    aggregatedStats.pullRequestsTransferred = [];
+    logger.info('No pull requests to sync');
+    return;
+  }
+  await waitForMainAnalysis(sonarCloudClient, mainResult.ceTask?.id, wait);
+  logger.info(`Syncing ${pullRequests.length} pull request(s): ${pullRequests.map(pullRequestLabel).join(', ')}`);
+  const results = await mapConcurrent(
+    pullRequests,
+    async (pullRequest) => transferSinglePullRequest({ ...rest, pullRequest, wait, sonarCloudClient, sonarQubeClient }),
+    { concurrency: performanceConfig?.maxConcurrency || 4, settled: true }
+  );
+  aggregatePullRequestStats(aggregatedStats, results);
+}
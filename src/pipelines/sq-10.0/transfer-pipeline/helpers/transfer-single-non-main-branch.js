@@ -1,10 +1,11 @@
 import logger from '../../../../shared/utils/logger.js';
 import { GracefulShutdownError } from '../../../../shared/utils/errors.js';
+import { translateExtractedRuleKeys } from '../../../../shared/utils/rule-keys.js';
 import { transferBranch } from './transfer-branch.js';
 
 // -------- Transfer Single Non-Main Branch --------
 
-export async function transferSingleNonMainBranch({ branch, extractedData, extractor, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, isIncremental, shutdownCheck, sonarCloudRepos, ruleEnrichmentMap }) {
+export async function transferSingleNonMainBranch({ branch, extractedData, extractor, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, cache, stateTracker, isIncremental, shutdownCheck, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys = null }) {
   const branchName = branch.name;
   if (shutdownCheck()) return { skipped: true, branchName, reason: 'shutdown' };
   if (isIncremental && stateTracker.isBranchCompleted(branchName)) {
@@ -22,9 +23,9 @@ export async function transferSingleNonMainBranch({ branch, extractedData, extra
       ? await extractor.extractBranchWithCheckpoints(branchName, extractedData, journal, cache, shutdownCheck)
       : await extractor.extractBranch(branchName, extractedData);
     const branchResult = await transferBranch({
-      extractedData: branchData, sonarcloudConfig, sonarCloudProfiles,
+      extractedData: translateExtractedRuleKeys(branchData, ruleKeys), sonarcloudConfig, sonarCloudProfiles,
       branchName, referenceBranchName: sonarCloudMainBranch, wait,
-      sonarCloudClient, sonarQubeClient, label: branchName, sonarCloudRepos, ruleEnrichmentMap,
+      sonarCloudClient, sonarQubeClient, label: branchName, sonarCloudRepos, ruleEnrichmentMap, reportValidation,
     });
     if (journal) {
       await journal.recordUpload(branchName, branchResult.ceTask?.id);
@@ -0,0 +1,15 @@
+// -------- Upload Scope --------
+
+/**
+ * Upload characteristics for a report: the pull request key, the branch name
+ * for non-main branches, or nothing for the main branch.
+ *
+ * @param {string} branchName - Branch name
+ * @param {boolean} isMainBranch - Whether the report is for the main branch
+ * @param {object|null} pullRequest - Pull request the report belongs to
+ * @returns {object} Fields to merge into the upload metadata
+ */
+export function uploadScope(branchName, isMainBranch, pullRequest) {
+  if (pullRequest) return { pullRequestKey: String(pullRequest.key) };
+  return !isMainBranch && branchName ? { branchName } : {};
+}
@@ -35,7 +35,10 @@ export function buildMigrateContext(options) {
     skipHotspotSync: migrateConfig.skipHotspotMetadataSync || migrateConfig.skipHotspotSync || false,
     skipQualityProfileSync: migrateConfig.skipQualityProfileSync || false,
     skipProjectConfig: migrateConfig.skipProjectConfig || false,
-    wait, onlyComponents: migrateConfig.onlyComponents || null,
+    webhookSecrets: migrateConfig.webhookSecrets || 'skip',
+    strictQualityGates: migrateConfig.strictQualityGates || false,
+    wait, onlyComponents: migrateConfig.onlyComponents || null, projectFilters: migrateConfig.projects || null,
+    routingRules: migrateConfig.routingRules || null, projectKeyTransform: migrateConfig.projectKeyTransform || null,
     projectBranchIncludes: new Map(), migrationJournal: null,
   };
 
@@ -1,6 +1,7 @@
 import { mkdir, writeFile } from 'node:fs/promises';
 import { join } from 'node:path';
 import { extractAllProjects, extractServerWideData } from '../../pipeline/extraction.js';
+import { sameProjectFilters } from '../../../../shared/mapping/project-filter.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
@@ -8,14 +9,16 @@ import logger from '../../../../shared/utils/logger.js';
 /**
  * Extract server-wide data from SonarQube (or use cache).
  */
-export async function extractServerData(sqClient, results, perfConfig, outputDir, cachedServerData) {
-  if (cachedServerData) {
+export async function extractServerData(sqClient, results, perfConfig, outputDir, cachedServerData, projectFilters = null) {
+  if (cachedServerData && !sameProjectFilters(cachedServerData.projectFilters, projectFilters)) {
+    logger.info('Project filters changed since the cached run — re-extracting server-wide data');
+  } else if (cachedServerData) {
     logger.info('Using cached server-wide data (skipping re-extraction)');
     results.serverSteps.push({ step: 'Server-wide data', status: 'cached', detail: 'Loaded from previous run' });
     return { allProjects: cachedServerData.allProjects, extractedData: cachedServerData.extractedData };
   }
 
-  const allProjects = await extractAllProjects(sqClient, results);
+  const allProjects = await extractAllProjects(sqClient, results, projectFilters);
   const extractedData = await extractServerWideData(sqClient, allProjects, results, perfConfig);
 
   // Save cache for subsequent runs
@@ -24,6 +27,7 @@ export async function extractServerData(sqClient, results, perfConfig, outputDir
     await mkdir(cacheDir, { recursive: true });
     const serializable = {
       allProjects,
+      projectFilters,
       extractedData: {
         ...extractedData,
         projectBindings: [...extractedData.projectBindings.entries()],
@@ -1,13 +1,15 @@
 import { generateOrgMappings } from '../../pipeline/org-migration.js';
 import { extractUniqueAssignees, enrichAssigneeDetails } from '../../sonarqube/extractors/users.js';
+import { compileRoutingRules } from '../../../../shared/mapping/routing-rules.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
 
 /**
  * Generate org mappings, collecting assignee data in dry-run mode.
+ * Projects are routed by `ctx.routingRules` and keys planned with `ctx.projectKeyTransform`.
  */
-export async function generateMappings(sqClient, allProjects, extractedData, sonarcloudOrgs, outputDir, dryRun) {
+export async function generateMappings(sqClient, allProjects, extractedData, sonarcloudOrgs, outputDir, dryRun, ctx = {}) {
   logger.info('=== Step 3: Generating organization mappings ===');
   let extraMappingData = {};
 
@@ -22,5 +24,6 @@ export async function generateMappings(sqClient, allProjects, extractedData, son
     extraMappingData = { assigneeCounts, assigneeDetails };
   }
 
-  return generateOrgMappings(allProjects, extractedData, sonarcloudOrgs, outputDir, extraMappingData);
+  const compiledRules = await compileRoutingRules(sqClient, ctx.routingRules, sonarcloudOrgs, extractedData.portfolios);
+  return generateOrgMappings(allProjects, extractedData, sonarcloudOrgs, outputDir, extraMappingData, compiledRules, ctx.projectKeyTransform);
 }
@@ -31,8 +31,8 @@ export async function migrateAll(options) {
     const sqClient = new SonarQubeClient({ url: ctx.sonarqubeConfig.url, token: ctx.sonarqubeConfig.token });
     await runFatalStep(results, 'Connect to SonarQube', () => sqClient.testConnection());
     logger.info('=== Step 2: Extracting server-wide data from SonarQube ===');
-    const { allProjects, extractedData } = await extractServerData(sqClient, results, perfConfig, outputDir, cachedServerData);
-    const { orgMapping, resourceMappings } = await generateMappings(sqClient, allProjects, extractedData, ctx.sonarcloudOrgs, outputDir, ctx.dryRun);
+    const { allProjects, extractedData } = await extractServerData(sqClient, results, perfConfig, outputDir, cachedServerData, ctx.projectFilters);
+    const { orgMapping, resourceMappings } = await generateMappings(sqClient, allProjects, extractedData, ctx.sonarcloudOrgs, outputDir, ctx.dryRun, ctx);
     if (ctx.dryRun) return handleDryRun(results, outputDir);
 
     const effective = applyPreExistingCsvOverrides(preExistingCsvs, extractedData, resourceMappings, orgMapping.orgAssignments, ctx);
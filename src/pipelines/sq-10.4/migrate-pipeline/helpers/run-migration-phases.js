@@ -1,11 +1,11 @@
 import { mapConcurrent } from '../../../../shared/utils/concurrency.js';
-import { migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterprisePortfolios } from '../../pipeline/org-migration.js';
+import { migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterpriseViews } from '../../pipeline/org-migration.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
 
 /**
- * Run Phase 1 (upload+config) and Phase 2 (portfolios + metadata) for all orgs.
+ * Run Phase 1 (upload+config) and Phase 2 (portfolios, applications + metadata) for all orgs.
  */
 export async function runMigrationPhases(orgAssignments, extractedData, resourceMappings, results, ctx) {
   // Phase 1: upload + config for all orgs
@@ -26,12 +26,9 @@ export async function runMigrationPhases(orgAssignments, extractedData, resource
     }
   }
 
-  // Phase 2: portfolios + metadata sync in parallel
-  const onlyComponents = ctx.onlyComponents;
+  // Phase 2: portfolios/applications + metadata sync in parallel
   await Promise.all([
-    (!onlyComponents || onlyComponents.includes('portfolios'))
-      ? migrateEnterprisePortfolios(extractedData, mergedProjectKeyMap, results, ctx)
-      : Promise.resolve(),
+    migrateEnterpriseViews(extractedData, mergedProjectKeyMap, results, ctx),
     ...orgPhase2Contexts.map(phase2Ctx => migrateOneOrganizationMetadata(phase2Ctx)),
   ]);
 }
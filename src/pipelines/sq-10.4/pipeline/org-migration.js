@@ -2,5 +2,5 @@ export {
   generateOrgMappings, saveServerInfo, runOrgStep,
   migrateOrgWideResources, migrateOneOrganization,
   migrateOneOrganizationCore, migrateOneOrganizationMetadata,
-  migrateEnterprisePortfolios,
+  migrateEnterprisePortfolios, migrateEnterpriseApplications, migrateEnterpriseViews,
 } from './org-migration/index.js';
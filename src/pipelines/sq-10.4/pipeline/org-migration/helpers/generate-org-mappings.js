@@ -1,19 +1,23 @@
 import { join } from 'node:path';
 import { mapProjectsToOrganizations, mapResourcesToOrganizations } from '../../../../../shared/mapping/org-mapper.js';
 import { generateMappingCsvs } from '../../../../../shared/mapping/csv-generator.js';
+import { planProjectKeys } from '../../../../../shared/mapping/project-key-transform.js';
 
 // -------- Main Logic --------
 
 /**
  * Generate org mappings and CSV files for dry-run review.
  */
-export async function generateOrgMappings(allProjects, extractedData, sonarcloudOrgs, outputDir, extraMappingData = {}) {
-  const orgMapping = mapProjectsToOrganizations(allProjects, extractedData.projectBindings, sonarcloudOrgs);
+export async function generateOrgMappings(allProjects, extractedData, sonarcloudOrgs, outputDir, extraMappingData = {}, routingRules = null, projectKeyTransform = null) {
+  const orgMapping = mapProjectsToOrganizations(allProjects, extractedData.projectBindings, sonarcloudOrgs, routingRules);
   const resourceMappings = mapResourcesToOrganizations(extractedData, orgMapping.orgAssignments);
+  const plannedProjectKeys = planProjectKeys(orgMapping.orgAssignments, projectKeyTransform);
 
   await generateMappingCsvs({
     orgAssignments: orgMapping.orgAssignments,
     bindingGroups: orgMapping.bindingGroups,
+    projectRouting: orgMapping.projectRouting,
+    plannedProjectKeys,
     projectBindings: extractedData.projectBindings,
     projectMetadata: new Map(allProjects.map(p => [p.key, p])),
     projectBranches: extractedData.projectBranches || new Map(),
@@ -0,0 +1,14 @@
+import { migrateEnterprisePortfolios } from './migrate-enterprise-portfolios.js';
+import { migrateEnterpriseApplications } from './migrate-enterprise-applications.js';
+
+// -------- Main Logic --------
+
+/**
+ * Migrate portfolios, then applications, at the enterprise level.
+ * Sequential so both share one view of the enterprise's existing portfolios.
+ */
+export async function migrateEnterpriseViews(extractedData, mergedProjectKeyMap, results, ctx) {
+  const only = ctx.onlyComponents;
+  if (!only || only.includes('portfolios')) await migrateEnterprisePortfolios(extractedData, mergedProjectKeyMap, results, ctx);
+  if (!only || only.includes('applications')) await migrateEnterpriseApplications(extractedData, mergedProjectKeyMap, results, ctx);
+}
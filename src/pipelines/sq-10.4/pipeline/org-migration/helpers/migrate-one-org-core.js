@@ -2,6 +2,7 @@ import { SonarQubeClient } from '../../../sonarqube/api-client.js';
 import { SonarCloudClient } from '../../../sonarcloud/api-client.js';
 import { migrateOrgProjectsCorePhase, resolveProjectKey } from '../../project-migration.js';
 import { loadOrMigrateOrgWide } from './load-or-migrate-org-wide.js';
+import { loadRuleKeyTranslator } from '../../../../../shared/utils/rule-keys.js';
 import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
@@ -22,18 +23,19 @@ export async function migrateOneOrganizationCore(assignment, extractedData, reso
   catch (e) { orgResult.steps.push({ step: 'Connect to SonarCloud', status: 'failed', error: e.message }); return null; }
 
   const sqClient = new SonarQubeClient({ url: ctx.sonarqubeConfig.url, token: ctx.sonarqubeConfig.token });
+  if (!ctx.ruleKeys) ctx.ruleKeys = await loadRuleKeyTranslator(sqClient, scClient);
   const { gateMapping, builtInProfileMapping } = await loadOrMigrateOrgWide(org, extractedData, scClient, sqClient, orgResult, results, ctx, migrationJournal);
 
   const sharedThrottler = { _lastPostTime: 0 };
   const only = ctx.onlyComponents;
-  const PROJECT_COMPS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings'];
+  const PROJECT_COMPS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings', 'webhooks'];
   let projectKeyMap = new Map(), projectKeyWarnings = [], projectPhase2Contexts = [];
 
   if (!only || PROJECT_COMPS.some(c => only.includes(c))) {
     const r = await migrateOrgProjectsCorePhase(projects, org, scClient, gateMapping, extractedData, results, { ...ctx, sharedThrottler }, builtInProfileMapping);
     projectKeyMap = r.projectKeyMap; projectKeyWarnings = r.projectKeyWarnings; projectPhase2Contexts = r.projectPhase2Contexts;
   } else {
-    for (const p of projects) { const { scProjectKey } = await resolveProjectKey(p, org, scClient); projectKeyMap.set(p.key, scProjectKey); }
+    for (const p of projects) { const { scProjectKey } = await resolveProjectKey(p, org, scClient, ctx.projectKeyTransform); projectKeyMap.set(p.key, scProjectKey); }
     logger.info(`Skipping project migration. Resolved ${projectKeyMap.size} project key(s).`);
   }
   results.projectKeyWarnings.push(...projectKeyWarnings);
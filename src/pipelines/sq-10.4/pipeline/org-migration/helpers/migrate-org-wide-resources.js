@@ -1,10 +1,12 @@
 import { writeFile } from 'node:fs/promises';
 import { join } from 'node:path';
 import { migrateQualityGates } from '../../../sonarcloud/migrators/quality-gates.js';
-import { migrateQualityProfiles } from '../../../sonarcloud/migrators/quality-profiles.js';
+import { migrateQualityProfiles, migrateCustomRules } from '../../../sonarcloud/migrators/quality-profiles.js';
 import { generateQualityProfileDiff } from '../../../sonarcloud/migrators/quality-profile-diff.js';
-import { migrateGroups } from '../../../sonarcloud/migrators/groups.js';
-import { migrateGlobalPermissions, migratePermissionTemplates } from '../../../sonarcloud/migrators/permissions.js';
+import { migrateGroups, migrateGroupMemberships } from '../../../sonarcloud/migrators/groups.js';
+import { migrateGlobalPermissions, migrateGlobalUserPermissions, migratePermissionTemplates } from '../../../sonarcloud/migrators/permissions.js';
+import { migrateWebhooks } from '../../../sonarcloud/migrators/webhooks.js';
+import { listTuningFindings } from '../../../../../shared/utils/quality-profile-tuning.js';
 import { runOrgStep } from './run-org-step.js';
 import { pushSkippedSteps } from './migrate-org-wide-skips.js';
 
@@ -19,31 +21,55 @@ export async function migrateOrgWideResources(extractedData, scClient, sqClient,
   await Promise.all([
     shouldRun('permissions') ? runOrgStep(orgResult, 'Create groups', async () => {
       const gm = await migrateGroups(extractedData.groups, scClient);
-      results.groups += gm.size; return `${gm.size} created`;
+      const ms = await migrateGroupMemberships(extractedData.groups, gm, scClient, ctx.userMappings);
+      results.groups += gm.size; results.groupMemberships += ms.added;
+      results.groupMembershipWarnings.push(...ms.warnings.map(w => ({ organization: orgResult.key, ...w })));
+      return `${gm.size} created, ${ms.added} member(s) added`;
     }) : null,
     shouldRun('quality-gates') ? runOrgStep(orgResult, 'Create quality gates', async () => {
-      gateMapping = await migrateQualityGates(extractedData.qualityGates, scClient);
-      results.qualityGates += gateMapping.size; return `${gateMapping.size} created`;
+      const compatibility = [];
+      const outcomes = [];
+      gateMapping = await migrateQualityGates(extractedData.qualityGates, scClient, { strict: ctx.strictQualityGates, compatibility, outcomes });
+      results.qualityGates += gateMapping.size;
+      results.qualityGateCompatibility.push(...compatibility.map(c => ({ organization: orgResult.key, ...c })));
+      results.qualityGateOutcomes.push(...outcomes.map(o => ({ organization: orgResult.key, ...o })));
+      return `${gateMapping.size} migrated`;
     }) : null,
-    (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : runOrgStep(orgResult, 'Restore quality profiles', async () => {
-      const r = await migrateQualityProfiles(extractedData.qualityProfiles, scClient);
-      builtInProfileMapping = r.builtInProfileMapping; results.qualityProfiles += r.profileMapping.size;
-      return `${r.profileMapping.size} restored (${builtInProfileMapping.size} built-in)`;
-    }),
+    (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : (async () => {
+      // Custom rules must exist before the profiles that activate them are restored
+      if (extractedData.customRules?.length > 0) await runOrgStep(orgResult, 'Create custom rules', async () => {
+        const cr = await migrateCustomRules(extractedData.customRules, scClient);
+        results.customRules += cr.created;
+        results.customRuleFailures.push(...cr.failures.map(f => ({ organization: orgResult.key, ...f })));
+        return `${cr.created} created, ${cr.alreadyPresent} already present, ${cr.failures.length} failed`;
+      });
+      await runOrgStep(orgResult, 'Restore quality profiles', async () => {
+        const r = await migrateQualityProfiles(extractedData.qualityProfiles, scClient);
+        builtInProfileMapping = r.builtInProfileMapping; results.qualityProfiles += r.profileMapping.size;
+        return `${r.profileMapping.size} restored (${builtInProfileMapping.size} built-in)`;
+      });
+    })(),
     shouldRun('permission-templates') ? runOrgStep(orgResult, 'Create permission templates', async () => {
-      await migratePermissionTemplates(extractedData.permissionTemplates, scClient);
+      await migratePermissionTemplates(extractedData.permissionTemplates, scClient, ctx.userMappings);
     }) : null,
   ].filter(Boolean));
 
   await Promise.all([
     shouldRun('permissions') ? runOrgStep(orgResult, 'Set global permissions', async () => {
       await migrateGlobalPermissions(extractedData.globalPermissions, scClient);
+      const users = await migrateGlobalUserPermissions(extractedData.globalUserPermissions || [], scClient, ctx.userMappings);
+      return `${users.granted} user permission(s) granted`;
     }) : null,
     (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : runOrgStep(orgResult, 'Compare quality profiles', async () => {
-      const diff = await generateQualityProfileDiff(extractedData.qualityProfiles, sqClient, scClient);
+      const diff = await generateQualityProfileDiff(extractedData.qualityProfiles, sqClient, scClient, ctx.ruleKeys);
       await writeFile(join(ctx.outputDir, 'quality-profiles', 'quality-profile-diff.json'), JSON.stringify(diff, null, 2));
-      return `${diff.summary.languagesCompared} languages, ${diff.summary.totalMissingRules} missing, ${diff.summary.totalAddedRules} added`;
+      results.qualityProfileTuning.push(...listTuningFindings(diff, orgResult.key));
+      return `${diff.summary.languagesCompared} languages, ${diff.summary.totalMissingRules} missing, ${diff.summary.totalAddedRules} added, ${diff.summary.totalRuleDifferences} tuned differently`;
     }),
+    shouldRun('webhooks') ? runOrgStep(orgResult, 'Create webhooks', async () => {
+      const r = await migrateWebhooks(extractedData.serverWebhooks || [], scClient, { secretMode: ctx.webhookSecrets });
+      return `${r.created} created, ${r.skipped} already present, ${r.failed} failed`;
+    }) : null,
   ].filter(Boolean));
 
   return { gateMapping, builtInProfileMapping };
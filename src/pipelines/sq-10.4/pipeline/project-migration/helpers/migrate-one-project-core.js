@@ -33,7 +33,7 @@ export async function migrateOneProjectCore({ project, scProjectKey, org, gateMa
   // Project config — skip if project doesn't exist or skipProjectConfig is set
   if (reportUploadOk && !ctx.skipProjectConfig) {
     logger.info(`[${project.key}] Configuring project`);
-    await migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, only, { isStepDone, recordStep });
+    await migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, only, { isStepDone, recordStep }, ctx.userMappings, ctx.webhookSecrets);
     logger.info(`[${project.key}] Project configuration complete`);
   } else if (ctx.skipProjectConfig) {
     logger.debug(`Skipping project config for ${scProjectKey} (already applied by migrate)`);
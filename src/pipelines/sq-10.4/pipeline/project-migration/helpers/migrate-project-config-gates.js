@@ -7,10 +7,10 @@ import { migrateProjectPermissionsStep } from './migrate-project-permissions.js'
 /**
  * Migrate quality gates, quality profiles, and permissions for a project.
  */
-export async function migrateProjectConfigGates(scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, shouldRun, runGuardedStep) {
+export async function migrateProjectConfigGates(scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, shouldRun, runGuardedStep, userMappings = null) {
   await Promise.all([
     migrateQualityGate(scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, onlyComponents, shouldRun, runGuardedStep),
     migrateQualityProfiles(scProjectKey, projectScClient, projectResult, builtInProfileMapping, onlyComponents, shouldRun, runGuardedStep),
-    migrateProjectPermissionsStep(scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, shouldRun, runGuardedStep),
+    migrateProjectPermissionsStep(scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, shouldRun, runGuardedStep, userMappings),
   ]);
 }
@@ -1,14 +1,15 @@
 import logger from '../../../../../shared/utils/logger.js';
 import { migrateProjectConfigSettings } from './migrate-project-config-settings.js';
 import { migrateProjectConfigGates } from './migrate-project-config-gates.js';
+import { migrateProjectWebhooksStep } from './migrate-project-webhooks.js';
 import { runProjectStep } from './run-project-step.js';
 
 // -------- Main Logic --------
 
 /**
- * Migrate all project config: settings, quality gates, profiles, permissions.
+ * Migrate all project config: settings, quality gates, profiles, permissions, webhooks.
  */
-export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}) {
+export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}, userMappings = null, webhookSecrets = 'skip') {
   const shouldRun = (comp) => !onlyComponents || onlyComponents.includes(comp);
   const { isStepDone: stepDone, recordStep: recStep } = journal;
 
@@ -28,5 +29,8 @@ export async function migrateProjectConfig(project, scProjectKey, projectSqClien
   await migrateProjectConfigSettings(project, scProjectKey, projectSqClient, projectScClient, extractedData, projectResult, onlyComponents, shouldRun, runGuardedStep);
 
   // Quality gates, profiles, permissions
-  await migrateProjectConfigGates(scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, shouldRun, runGuardedStep);
+  await migrateProjectConfigGates(scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, builtInProfileMapping, onlyComponents, shouldRun, runGuardedStep, userMappings);
+
+  // Project-level webhooks
+  await migrateProjectWebhooksStep(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, shouldRun, runGuardedStep, webhookSecrets);
 }
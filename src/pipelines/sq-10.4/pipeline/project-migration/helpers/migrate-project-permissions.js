@@ -1,12 +1,12 @@
-import { extractProjectPermissions } from '../../../sonarqube/extractors/permissions.js';
-import { migrateProjectPermissions } from '../../../sonarcloud/migrators/permissions.js';
+import { extractProjectPermissions, extractProjectUserPermissions } from '../../../sonarqube/extractors/permissions.js';
+import { migrateProjectPermissions, migrateProjectUserPermissions } from '../../../sonarcloud/migrators/permissions.js';
 
 // -------- Main Logic --------
 
 /**
- * Migrate project permissions from SonarQube to SonarCloud.
+ * Migrate project group and user permissions from SonarQube to SonarCloud.
  */
-export async function migrateProjectPermissionsStep(scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, shouldRun, runGuardedStep) {
+export async function migrateProjectPermissionsStep(scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, shouldRun, runGuardedStep, userMappings = null) {
   if (!shouldRun('permissions')) {
     if (onlyComponents) projectResult.steps.push({ step: 'Project permissions', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
     return;
@@ -14,5 +14,8 @@ export async function migrateProjectPermissionsStep(scProjectKey, projectSqClien
   await runGuardedStep('Project permissions', 'project_permissions', async () => {
     const perms = await extractProjectPermissions(projectSqClient, projectSqClient.projectKey);
     await migrateProjectPermissions(scProjectKey, perms, projectScClient);
+    const userPerms = await extractProjectUserPermissions(projectSqClient, projectSqClient.projectKey);
+    const users = await migrateProjectUserPermissions(scProjectKey, userPerms, projectScClient, userMappings);
+    return `${users.granted} user permission(s) granted`;
   });
 }
@@ -21,12 +21,14 @@ export async function syncProjectHotspots(projectResult, results, reportUploadOk
   try {
     logger.info(`[${projectKey}] Syncing hotspot metadata...`);
     const sqHotspots = await extractHotspots(projectSqClient, null, { concurrency: ctx.perfConfig.hotspotExtraction.concurrency });
-    const stats = await syncHotspots(scProjectKey, sqHotspots, projectScClient, { concurrency: ctx.perfConfig.hotspotSync.concurrency, sonarqubeUrl: projectSqClient.baseURL, sonarqubeProjectKey: projectSqClient.projectKey, sqClient: projectSqClient });
+    const stats = await syncHotspots(scProjectKey, sqHotspots, projectScClient, { concurrency: ctx.perfConfig.hotspotSync.concurrency, sonarqubeUrl: projectSqClient.baseURL, sonarqubeProjectKey: projectSqClient.projectKey, sqClient: projectSqClient, userMappings: ctx.userMappings, ruleKeys: ctx.ruleKeys });
 
     logger.info(`[${projectKey}] Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed`);
     results.hotspotSyncStats.matched += stats.matched;
     results.hotspotSyncStats.statusChanged += stats.statusChanged;
-    projectResult.steps.push({ step: 'Sync hotspots', status: 'success', detail: `${stats.matched} matched, ${stats.statusChanged} status changed`, durationMs: Date.now() - start });
+    results.hotspotSyncStats.assigned += stats.assigned;
+    results.hotspotSyncStats.assignmentFailed += stats.assignmentFailed;
+    projectResult.steps.push({ step: 'Sync hotspots', status: 'success', detail: `${stats.matched} matched, ${stats.statusChanged} status changed${stats.assigned > 0 ? `, ${stats.assigned} assigned` : ''}`, durationMs: Date.now() - start });
   } catch (error) {
     projectResult.steps.push({ step: 'Sync hotspots', status: 'failed', error: error.message, durationMs: Date.now() - start });
     projectResult.errors.push(error.message);
@@ -20,13 +20,14 @@ export async function syncProjectIssues(projectResult, results, reportUploadOk,
   try {
     logger.info(`[${projectKey}] Syncing issue metadata...`);
     const sqIssues = await projectSqClient.getIssuesWithComments();
-    const stats = await syncIssues(scProjectKey, sqIssues, projectScClient, { concurrency: ctx.perfConfig.issueSync.concurrency, sqClient: projectSqClient, userMappings: ctx.userMappings });
+    const stats = await syncIssues(scProjectKey, sqIssues, projectScClient, { concurrency: ctx.perfConfig.issueSync.concurrency, sqClient: projectSqClient, userMappings: ctx.userMappings, ruleKeys: ctx.ruleKeys });
 
     logger.info(`[${projectKey}] Issue sync: ${stats.matched} matched, ${stats.transitioned} transitioned`);
     results.issueSyncStats.matched += stats.matched;
     results.issueSyncStats.transitioned += stats.transitioned;
     results.issueSyncStats.assigned += stats.assigned;
     results.issueSyncStats.assignmentFailed += stats.assignmentFailed;
+    results.issueSyncStats.overridden += stats.severityOverridden + stats.typeOverridden + stats.impactOverridden;
     results.issueSyncStats.failedAssignments.push(...stats.failedAssignments);
 
     const assignDetail = stats.assigned > 0 ? `, ${stats.assigned} assigned${stats.assignmentFailed > 0 ? `, ${stats.assignmentFailed} failed` : ''}` : '';
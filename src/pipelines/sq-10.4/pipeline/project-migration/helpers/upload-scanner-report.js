@@ -19,9 +19,10 @@ export async function uploadScannerReport(project, scProjectKey, org, projectRes
     const transferResult = await transferProject({
       sonarqubeConfig: { url: ctx.sonarqubeConfig.url, token: ctx.sonarqubeConfig.token, projectKey: project.key },
       sonarcloudConfig: { url: org.url || 'https://sonarcloud.io', token: org.token, organization: org.key, projectKey: scProjectKey, rateLimit: ctx.rateLimitConfig },
-      transferConfig: { mode: ctx.transferConfig.mode, stateFile, batchSize: ctx.transferConfig.batchSize, syncAllBranches, excludeBranches: ctx.transferConfig.excludeBranches, includeBranches },
+      transferConfig: { mode: ctx.transferConfig.mode, stateFile, batchSize: ctx.transferConfig.batchSize, syncAllBranches, excludeBranches: ctx.transferConfig.excludeBranches, includeBranches, pullRequests: ctx.transferConfig.pullRequests, history: ctx.transferConfig.history, reportValidation: ctx.transferConfig.reportValidation },
       performanceConfig: ctx.perfConfig, wait: ctx.wait, skipConnectionTest: true, projectName: project.name,
       ruleEnrichmentMap: ctx.ruleEnrichmentMap || null,
+      ruleKeys: ctx.ruleKeys || null,
     });
 
     projectResult.linesOfCode = transferResult.stats.linesOfCode || 0;
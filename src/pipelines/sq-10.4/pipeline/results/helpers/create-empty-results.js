@@ -11,12 +11,23 @@ export function createEmptyResults() {
     projects: [],
     qualityGates: 0,
     qualityProfiles: 0,
+    customRules: 0,
     groups: 0,
+    groupMemberships: 0,
     portfolios: 0,
     portfoliosSkipped: 0,
-    issueSyncStats: { matched: 0, transitioned: 0, assigned: 0, assignmentFailed: 0, failedAssignments: [] },
-    hotspotSyncStats: { matched: 0, statusChanged: 0 },
+    portfolioMembershipChanges: [],
+    applications: 0,
+    applicationsSkipped: 0,
+    applicationBranchSelections: [],
+    qualityGateCompatibility: [],
+    qualityGateOutcomes: [],
+    issueSyncStats: { matched: 0, transitioned: 0, assigned: 0, assignmentFailed: 0, overridden: 0, failedAssignments: [] },
+    hotspotSyncStats: { matched: 0, statusChanged: 0, assigned: 0, assignmentFailed: 0 },
     projectKeyWarnings: [],
+    groupMembershipWarnings: [],
+    customRuleFailures: [],
+    qualityProfileTuning: [],
     errors: [],
     totalLinesOfCode: 0,
     projectLinesOfCode: [],
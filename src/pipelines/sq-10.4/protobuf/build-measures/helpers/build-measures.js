@@ -19,6 +19,12 @@ export function buildMeasures(builder) {
     if (measures.length > 0) measuresByComponent.set(componentRef, measures);
   });
 
+  // Replayed historical analyses carry the project measures recorded at the time
+  const projectMeasures = builder.data.projectMeasures || [];
+  if (projectMeasures.length > 0) {
+    measuresByComponent.set(builder.componentRefMap.get(builder.data.project.project.key), projectMeasures.map(m => buildMeasure(m)));
+  }
+
   let totalMeasures = 0;
   measuresByComponent.forEach(measures => { totalMeasures += measures.length; });
 
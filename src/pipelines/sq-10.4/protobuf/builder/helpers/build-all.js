@@ -17,6 +17,9 @@ export function buildAll(instance) {
       sourceFiles: instance.buildSourceFiles(),
       activeRules: instance.buildActiveRules(),
       changesetsByComponent: instance.buildChangesets(),
+      syntaxHighlightingsByComponent: instance.buildSyntaxHighlightings(),
+      symbolsByComponent: instance.buildSymbols(),
+      coveragesByComponent: instance.buildLineCoverages(),
       duplicationsByComponent: instance.buildDuplications(),
       externalIssuesByComponent: externalResult.externalIssuesByComponent,
       adHocRules: externalResult.adHocRules,
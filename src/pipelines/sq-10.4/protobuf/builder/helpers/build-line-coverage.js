@@ -0,0 +1,23 @@
+import logger from '../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+// Build LineCoverage messages per component, keyed by component ref.
+// Only files whose source ships in the report are included; lines past the end of the source are dropped.
+
+export function buildLineCoverages(instance) {
+  logger.info('Building line coverage messages...');
+  const coveragesByComponent = new Map();
+  if (!instance.data.lineCoverage) return coveragesByComponent;
+  const lineCountByKey = new Map((instance.data.sources || []).map(source => [source.key, source.lines.length]));
+
+  instance.data.lineCoverage.forEach((coverageData, componentKey) => {
+    if (!instance.componentRefMap.has(componentKey) || !lineCountByKey.has(componentKey)) return;
+    const lineCount = lineCountByKey.get(componentKey);
+    const lines = coverageData.lines.filter(entry => entry.line >= 1 && entry.line <= lineCount);
+    if (lines.length > 0) coveragesByComponent.set(instance.componentRefMap.get(componentKey), lines);
+  });
+
+  logger.info(`Built line coverage for ${coveragesByComponent.size} files`);
+  return coveragesByComponent;
+}
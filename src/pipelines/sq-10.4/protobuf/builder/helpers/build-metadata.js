@@ -1,4 +1,5 @@
 import logger from '../../../../../shared/utils/logger.js';
+import { buildPullRequestMetadata } from '../../../../../shared/utils/pull-requests.js';
 
 // -------- Main Logic --------
 
@@ -20,6 +21,8 @@ export function buildMetadata(instance) {
     projectVersion: instance.sourceProjectVersion || '1.0.0',
     analyzedIndexedFileCountPerType: instance.buildFileCountsByType(),
   };
+  // Pull request analyses replace the branch fields
+  if (instance.pullRequest) Object.assign(metadata, buildPullRequestMetadata(instance.pullRequest, referenceBranch));
   logger.debug(`Metadata built: projectKey=${metadata.projectKey}, branch=${metadata.branchName}, scmRevisionId=${metadata.scmRevisionId}`);
   return metadata;
 }
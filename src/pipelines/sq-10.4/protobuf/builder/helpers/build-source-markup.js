@@ -0,0 +1,38 @@
+import logger from '../../../../../shared/utils/logger.js';
+import { filterRangesToSource } from '../../../../../shared/utils/source-markup.js';
+
+// -------- Main Logic --------
+
+// Build syntax highlighting rules and symbol tables per component, keyed by component ref.
+// Only files whose source ships in the report are included.
+
+function buildByComponent(instance, extracted, field, rangesOf) {
+  const byComponent = new Map();
+  if (!extracted) return byComponent;
+  const linesByKey = new Map((instance.data.sources || []).map(source => [source.key, source.lines]));
+  let dropped = 0;
+
+  extracted.forEach((fileData, componentKey) => {
+    if (!instance.componentRefMap.has(componentKey) || !linesByKey.has(componentKey)) return;
+    const items = filterRangesToSource(fileData[field], rangesOf, linesByKey.get(componentKey));
+    dropped += fileData[field].length - items.length;
+    if (items.length > 0) byComponent.set(instance.componentRefMap.get(componentKey), items);
+  });
+
+  if (dropped > 0) logger.warn(`Dropped ${dropped} ${field} whose ranges fall outside the report source`);
+  return byComponent;
+}
+
+export function buildSyntaxHighlightings(instance) {
+  logger.info('Building syntax highlighting messages...');
+  const highlightingsByComponent = buildByComponent(instance, instance.data.syntaxHighlightings, 'rules', rule => [rule.range]);
+  logger.info(`Built syntax highlighting for ${highlightingsByComponent.size} files`);
+  return highlightingsByComponent;
+}
+
+export function buildSymbols(instance) {
+  logger.info('Building symbol table messages...');
+  const symbolsByComponent = buildByComponent(instance, instance.data.symbols, 'symbols', symbol => [symbol.declaration, ...symbol.reference]);
+  logger.info(`Built symbol tables for ${symbolsByComponent.size} files`);
+  return symbolsByComponent;
+}
@@ -8,6 +8,8 @@ import { buildSourceFiles } from './build-source-files.js';
 import { buildActiveRules } from './build-active-rules.js';
 import { buildQProfiles } from './build-qprofiles.js';
 import { buildChangesets } from './build-changesets.js';
+import { buildSyntaxHighlightings, buildSymbols } from './build-source-markup.js';
+import { buildLineCoverages } from './build-line-coverage.js';
 import { buildFileCountsByType } from './build-file-counts.js';
 import { buildAll } from './build-all.js';
 import { attachUtilityMethods } from './utility-methods.js';
@@ -24,6 +26,7 @@ export function createProtobufBuilder(extractedData, sonarCloudConfig = {}, sona
     sonarCloudRepos: options.sonarCloudRepos || new Set(),
     ruleEnrichmentMap: options.ruleEnrichmentMap || new Map(),
     sourceProjectVersion: options.sourceProjectVersion || null,
+    pullRequest: options.pullRequest || null,
   };
 
   attachUtilityMethods(instance);
@@ -39,6 +42,9 @@ export function createProtobufBuilder(extractedData, sonarCloudConfig = {}, sona
   instance.buildActiveRules = () => buildActiveRules(instance);
   instance.buildQProfiles = () => buildQProfiles(instance);
   instance.buildChangesets = () => buildChangesets(instance);
+  instance.buildSyntaxHighlightings = () => buildSyntaxHighlightings(instance);
+  instance.buildSymbols = () => buildSymbols(instance);
+  instance.buildLineCoverages = () => buildLineCoverages(instance);
   instance.buildFileCountsByType = () => buildFileCountsByType(instance);
   instance.buildAll = () => buildAll(instance);
   return instance;
@@ -29,5 +29,8 @@ export class ProtobufBuilder {
   buildActiveRules() {}
   buildQProfiles() {}
   buildChangesets() {}
+  buildSyntaxHighlightings() {}
+  buildSymbols() {}
+  buildLineCoverages() {}
   buildFileCountsByType() {}
 }
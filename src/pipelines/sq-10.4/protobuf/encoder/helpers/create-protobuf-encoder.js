@@ -34,6 +34,9 @@ export function createProtobufEncoder() {
   instance.encodeExternalIssueDelimited = (i) => encodeMessageDelimited(instance.root, 'ExternalIssue', i);
   instance.encodeAdHocRuleDelimited = (r) => encodeMessageDelimited(instance.root, 'AdHocRule', r);
   instance.encodeDuplicationDelimited = (d) => encodeMessageDelimited(instance.root, 'Duplication', d);
+  instance.encodeSyntaxHighlightingRuleDelimited = (r) => encodeMessageDelimited(instance.root, 'SyntaxHighlightingRule', r);
+  instance.encodeSymbolDelimited = (s) => encodeMessageDelimited(instance.root, 'Symbol', s);
+  instance.encodeLineCoverageDelimited = (c) => encodeMessageDelimited(instance.root, 'LineCoverage', c);
   instance.encodeAll = (messages) => encodeAll(instance, messages);
 
   return instance;
@@ -2,7 +2,7 @@ import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
 
-// Encode issues, measures, external issues, duplications, and changesets maps.
+// Encode issues, measures, external issues, duplications, changesets, highlighting, symbol, and coverage maps.
 export function encodeDelimitedMaps(encoder, messages) {
   const issues = encodeMap(messages.issuesByComponent, i => encoder.encodeIssueDelimited(i), 'issues');
   const measures = encodeMap(messages.measuresByComponent, m => encoder.encodeMeasureDelimited(m), 'measures');
@@ -14,7 +14,12 @@ export function encodeDelimitedMaps(encoder, messages) {
   const externalIssues = encodeMap(messages.externalIssuesByComponent, i => encoder.encodeExternalIssueDelimited(i), 'external issues');
   const duplications = encodeMap(messages.duplicationsByComponent, d => encoder.encodeDuplicationDelimited(d), 'duplications');
 
-  return { issues, measures, changesets, externalIssues, duplications };
+  const syntaxHighlightings = encodeMap(messages.syntaxHighlightingsByComponent, r => encoder.encodeSyntaxHighlightingRuleDelimited(r), 'syntax highlighting');
+  const symbols = encodeMap(messages.symbolsByComponent, s => encoder.encodeSymbolDelimited(s), 'symbols');
+
+  const coverages = encodeMap(messages.coveragesByComponent, c => encoder.encodeLineCoverageDelimited(c), 'line coverage');
+
+  return { issues, measures, changesets, externalIssues, duplications, syntaxHighlightings, symbols, coverages };
 }
 
 function encodeMap(map, encodeFn, label) {
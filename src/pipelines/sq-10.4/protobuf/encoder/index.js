@@ -29,4 +29,7 @@ export class ProtobufEncoder {
   encodeExternalIssueDelimited() {}
   encodeAdHocRuleDelimited() {}
   encodeDuplicationDelimited() {}
+  encodeSyntaxHighlightingRuleDelimited() {}
+  encodeSymbolDelimited() {}
+  encodeLineCoverageDelimited() {}
 }
@@ -13,6 +13,22 @@ export function buildCeMethods(client, projectKey) {
       return (response.data.tasks || [])[0] || null;
     },
 
+    async getLatestAnalysis() {
+      try {
+        const response = await client.get('/api/project_analyses/search', { params: { project: projectKey, ps: 1 } });
+        return (response.data.analyses || [])[0] || null;
+      } catch (error) {
+        logger.debug(`No analyses found for ${projectKey}: ${error.message}`);
+        return null;
+      }
+    },
+
+    async createProjectEvent(analysisKey, name, category = 'OTHER') {
+      logger.debug(`Creating ${category} event '${name}' on analysis ${analysisKey}`);
+      const response = await client.post('/api/project_analyses/create_event', null, { params: { analysis: analysisKey, name, category } });
+      return response.data.event;
+    },
+
     async getAnalysisStatus(ceTaskId) {
       const response = await client.get('/api/ce/task', { params: { id: ceTaskId } });
       return response.data.task;
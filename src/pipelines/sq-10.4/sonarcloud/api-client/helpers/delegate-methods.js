@@ -19,24 +19,38 @@ export function buildDelegateMethods(client, organization, projectKey) {
     async getActiveRules(pk) { return qp.getActiveRules(client, organization, pk); },
     async getActiveRulesWithCleanCodeFields(pk) { return qp.getActiveRulesWithCleanCodeFields(client, organization, pk); },
     async addQualityProfileToProject(l, q, pk) { return qp.addQualityProfileToProject(client, organization, l, q, pk); },
+    async createRule(p) { return qp.createRule(client, organization, p); },
+    async getDeprecatedRuleKeys() { return qp.getDeprecatedRuleKeys(client, organization); },
+    async getRuleActivations(pk) { return qp.getRuleActivations(client, organization, pk); },
     async createQualityGate(n) { return qg.createQualityGate(client, organization, n); },
     async createQualityGateCondition(g, m, o, e) { return qg.createQualityGateCondition(client, organization, g, m, o, e); },
     async setDefaultQualityGate(id) { return qg.setDefaultQualityGate(client, organization, id); },
+    async deleteQualityGate(id) { return qg.deleteQualityGate(client, organization, id); },
+    async updateQualityGateCondition(id, m, o, e) { return qg.updateQualityGateCondition(client, organization, id, m, o, e); },
+    async deleteQualityGateCondition(id) { return qg.deleteQualityGateCondition(client, organization, id); },
     async assignQualityGateToProject(g, pk) { return qg.assignQualityGateToProject(client, organization, g, pk); },
     async getIssueChangelog(k) { return iss.getIssueChangelog(client, k); },
     async transitionIssue(i, t) { return iss.transitionIssue(client, i, t); },
     async assignIssue(i, a) { return iss.assignIssue(client, i, a); },
     async addIssueComment(i, t) { return iss.addIssueComment(client, i, t); },
     async setIssueTags(i, t) { return iss.setIssueTags(client, i, t); },
+    async setIssueSeverity(i, s) { return iss.setIssueSeverity(client, i, s); },
+    async setIssueType(i, t) { return iss.setIssueType(client, i, t); },
+    async setIssueImpactSeverity(i, q, s) { return iss.setIssueImpactSeverity(client, i, q, s); },
     async searchIssues(pk, f = {}) { return iss.searchIssues(client, organization, pk, f); },
     async changeHotspotStatus(h, s, r = null) { return hs.changeHotspotStatus(client, h, s, r); },
     async searchHotspots(pk, f = {}) { return hs.searchHotspots(client, pk, f); },
     async addHotspotComment(h, t) { return hs.addHotspotComment(client, h, t); },
+    async assignHotspot(h, a) { return hs.assignHotspot(client, h, a); },
     async createGroup(n, d = '') { return perms.createGroup(client, organization, n, d); },
+    async addGroupMember(g, l) { return perms.addGroupMember(client, organization, g, l); },
     async addGroupPermission(g, p) { return perms.addGroupPermission(client, organization, g, p); },
     async addProjectGroupPermission(g, pk, p) { return perms.addProjectGroupPermission(client, organization, g, pk, p); },
+    async addUserPermission(l, p) { return perms.addUserPermission(client, organization, l, p); },
+    async addProjectUserPermission(l, pk, p) { return perms.addProjectUserPermission(client, organization, l, pk, p); },
     async createPermissionTemplate(n, d = '', p = '') { return perms.createPermissionTemplate(client, organization, n, d, p); },
     async addGroupToTemplate(t, g, p) { return perms.addGroupToTemplate(client, organization, t, g, p); },
+    async addUserToTemplate(t, l, p) { return perms.addUserToTemplate(client, organization, t, l, p); },
     async setDefaultTemplate(t, q = 'TRK') { return perms.setDefaultTemplate(client, organization, t, q); },
     async setProjectSetting(k, v, c = null) { return pc.setProjectSetting(client, k, v, c || projectKey); },
     async setProjectTags(pk, t) { return pc.setProjectTags(client, pk, t); },
@@ -45,6 +59,8 @@ export function buildDelegateMethods(client, organization, projectKey) {
     async setGitlabBinding(pk, a, r) { return pc.setGitlabBinding(client, pk, a, r); },
     async setAzureBinding(pk, a, p, r) { return pc.setAzureBinding(client, pk, a, p, r); },
     async setBitbucketBinding(pk, a, r, s) { return pc.setBitbucketBinding(client, pk, a, r, s); },
+    async createWebhook(n, u, s = null, pk = null) { return pc.createWebhook(client, organization, n, u, s, pk); },
+    async listWebhooks(pk = null) { return pc.listWebhooks(client, organization, pk); },
     async searchIssuesWithComments(pk, filters = {}) { return iss.searchIssues(client, organization, pk, { additionalFields: 'comments', ...filters }); },
   };
 }
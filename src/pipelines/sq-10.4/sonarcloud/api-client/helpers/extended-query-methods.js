@@ -22,8 +22,12 @@ export function buildExtendedQueryMethods(client, organization, projectKey) {
       catch (e) { logger.debug(`No binding found for project ${pk}: ${e.message}`); return null; }
     },
     async getGroups() { return this.getPaginated('/api/user_groups/search', { organization }, 'groups'); },
+    async getOrganizationMembers() { return (await this.getPaginated('/api/organizations/search_members', { organization }, 'users')).map(u => u.login); },
     async getGlobalPermissions() { return this.getPaginated('/api/permissions/groups', { organization, ps: 100 }, 'groups'); },
     async getProjectPermissions(pk) { return this.getPaginated('/api/permissions/groups', { projectKey: pk, organization, ps: 100 }, 'groups'); },
+    async getGlobalUserPermissions() { return this.getPaginated('/api/permissions/users', { organization, ps: 100 }, 'users'); },
+    async getProjectUserPermissions(pk) { return this.getPaginated('/api/permissions/users', { projectKey: pk, organization, ps: 100 }, 'users'); },
+    async getTemplateUserPermissions(t) { return this.getPaginated('/api/permissions/template_users', { templateId: t, organization, ps: 100 }, 'users'); },
     async getPermissionTemplates() { return (await client.get('/api/permissions/search_templates', { params: { organization } })).data; },
     async getHotspotDetails(hk) { return (await client.get('/api/hotspots/show', { params: { hotspot: hk } })).data; },
     async getRuleRepositories() {
@@ -23,35 +23,53 @@ export class SonarCloudClient {
   isProjectKeyTakenGlobally() {}
   ensureProject() {}
   getMostRecentCeTask() {}
+  getLatestAnalysis() {}
+  createProjectEvent() {}
   getAnalysisStatus() {}
   waitForAnalysis() {}
   getQualityProfiles() {}
   getMainBranchName() {}
   createGroup() {}
+  addGroupMember() {}
+  getOrganizationMembers() {}
   addGroupPermission() {}
+  addUserPermission() {}
   createQualityGate() {}
   createQualityGateCondition() {}
   setDefaultQualityGate() {}
+  deleteQualityGate() {}
+  updateQualityGateCondition() {}
+  deleteQualityGateCondition() {}
   assignQualityGateToProject() {}
   restoreQualityProfile() {}
   setDefaultQualityProfile() {}
   addQualityProfileGroupPermission() {}
   addQualityProfileUserPermission() {}
   addQualityProfileToProject() {}
+  createRule() {}
+  getDeprecatedRuleKeys() {}
+  getRuleActivations() {}
   createPermissionTemplate() {}
   addGroupToTemplate() {}
+  addUserToTemplate() {}
   setDefaultTemplate() {}
   addProjectGroupPermission() {}
+  addProjectUserPermission() {}
   getActiveRules() {}
   searchQualityProfiles() {}
   searchIssues() {}
+  searchIssuesWithComments() {}
   searchHotspots() {}
   transitionIssue() {}
   addIssueComment() {}
   assignIssue() {}
   setIssueTags() {}
+  setIssueSeverity() {}
+  setIssueType() {}
+  setIssueImpactSeverity() {}
   changeHotspotStatus() {}
   addHotspotComment() {}
+  assignHotspot() {}
   setProjectSetting() {}
   setProjectTags() {}
   createProjectLink() {}
@@ -59,4 +77,6 @@ export class SonarCloudClient {
   setGitlabBinding() {}
   setAzureBinding() {}
   setBitbucketBinding() {}
+  createWebhook() {}
+  listWebhooks() {}
 }
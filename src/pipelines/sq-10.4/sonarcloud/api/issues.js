@@ -1 +1 @@
-export { transitionIssue, assignIssue, addIssueComment, setIssueTags, getIssueChangelog, searchIssues } from './issues/index.js';
+export { transitionIssue, assignIssue, addIssueComment, setIssueTags, setIssueSeverity, setIssueType, setIssueImpactSeverity, getIssueChangelog, searchIssues } from './issues/index.js';
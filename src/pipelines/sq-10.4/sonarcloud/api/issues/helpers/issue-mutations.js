@@ -2,7 +2,7 @@ import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
 
-// Transition, assign, comment on, and tag issues in SonarCloud.
+// Transition, assign, comment on, tag, and re-classify issues in SonarCloud.
 
 export async function transitionIssue(client, issue, transition) {
   logger.debug(`Transitioning issue ${issue}: ${transition}`);
@@ -23,3 +23,18 @@ export async function setIssueTags(client, issue, tags) {
   logger.debug(`Setting tags on issue ${issue}: ${tags.join(', ')}`);
   await client.post('/api/issues/set_tags', null, { params: { issue, tags: tags.join(',') } });
 }
+
+export async function setIssueSeverity(client, issue, severity) {
+  logger.debug(`Setting severity on issue ${issue}: ${severity}`);
+  await client.post('/api/issues/set_severity', null, { params: { issue, severity } });
+}
+
+export async function setIssueType(client, issue, type) {
+  logger.debug(`Setting type on issue ${issue}: ${type}`);
+  await client.post('/api/issues/set_type', null, { params: { issue, type } });
+}
+
+export async function setIssueImpactSeverity(client, issue, softwareQuality, severity) {
+  logger.debug(`Setting ${softwareQuality} impact severity on issue ${issue}: ${severity}`);
+  await client.post('/api/issues/set_severity', null, { params: { issue, impact: `${softwareQuality}=${severity}` } });
+}
@@ -1,3 +1,3 @@
-export { transitionIssue, assignIssue, addIssueComment, setIssueTags } from './helpers/issue-mutations.js';
+export { transitionIssue, assignIssue, addIssueComment, setIssueTags, setIssueSeverity, setIssueType, setIssueImpactSeverity } from './helpers/issue-mutations.js';
 export { getIssueChangelog } from './helpers/get-issue-changelog.js';
 export { searchIssues } from './helpers/search-issues.js';
@@ -1 +1 @@
-export { createGroup, addGroupPermission, addProjectGroupPermission, createPermissionTemplate, addGroupToTemplate, setDefaultTemplate } from './permissions/index.js';
+export { createGroup, addGroupMember, addGroupPermission, addProjectGroupPermission, createPermissionTemplate, addGroupToTemplate, setDefaultTemplate, addUserPermission, addProjectUserPermission, addUserToTemplate } from './permissions/index.js';
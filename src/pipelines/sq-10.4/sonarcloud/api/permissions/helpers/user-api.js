@@ -0,0 +1,26 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+// SonarCloud user permission API calls.
+
+export async function addUserPermission(client, organization, login, permission) {
+  logger.debug(`Adding ${permission} permission to user ${login}`);
+  await client.post('/api/permissions/add_user', null, {
+    params: { login, permission, organization }
+  });
+}
+
+export async function addProjectUserPermission(client, organization, login, projectKey, permission) {
+  logger.debug(`Adding ${permission} to user ${login} on project ${projectKey}`);
+  await client.post('/api/permissions/add_user', null, {
+    params: { login, projectKey, permission, organization }
+  });
+}
+
+export async function addUserToTemplate(client, organization, templateId, login, permission) {
+  logger.debug(`Adding user ${login} with ${permission} to template ${templateId}`);
+  await client.post('/api/permissions/add_user_to_template', null, {
+    params: { templateId, login, permission, organization }
+  });
+}
@@ -1,2 +1,3 @@
-export { createGroup, addGroupPermission, addProjectGroupPermission } from './helpers/group-api.js';
+export { createGroup, addGroupMember, addGroupPermission, addProjectGroupPermission } from './helpers/group-api.js';
 export { createPermissionTemplate, addGroupToTemplate, setDefaultTemplate } from './helpers/template-api.js';
+export { addUserPermission, addProjectUserPermission, addUserToTemplate } from './helpers/user-api.js';
@@ -1,2 +1,3 @@
 export { setProjectSetting, setProjectTags, createProjectLink } from './helpers/project-settings-api.js';
 export { setGithubBinding, setGitlabBinding, setAzureBinding, setBitbucketBinding } from './helpers/devops-binding-api.js';
+export { createWebhook, listWebhooks } from './helpers/webhooks-api.js';
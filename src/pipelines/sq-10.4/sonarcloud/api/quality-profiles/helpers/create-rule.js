@@ -0,0 +1,10 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+// Create a custom rule from a rule template (params from buildCreateRuleParams).
+export async function createRule(client, organization, params) {
+  logger.info(`Creating custom rule ${params.custom_key} from template ${params.template_key}`);
+  const response = await client.post('/api/rules/create', null, { params: { ...params, organization } });
+  return response.data.rule;
+}
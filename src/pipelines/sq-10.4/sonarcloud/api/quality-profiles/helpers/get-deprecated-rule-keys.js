@@ -0,0 +1,22 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+// Fetch the rules that carry deprecated (pre-rename) keys.
+export async function getDeprecatedRuleKeys(client, organization) {
+  logger.info('Fetching deprecated rule keys from SonarCloud');
+  let rules = [];
+  let page = 1;
+  const pageSize = 500;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const response = await client.get('/api/rules/search', { params: { organization, f: 'deprecatedKeys', ps: pageSize, p: page } });
+    const pageRules = response.data.rules || [];
+    rules = rules.concat(pageRules.filter(r => r.deprecatedKeys));
+    if (page * pageSize >= (response.data.total || 0) || pageRules.length < pageSize) break;
+    page++;
+  }
+
+  return rules;
+}
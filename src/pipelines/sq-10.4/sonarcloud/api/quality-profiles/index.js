@@ -5,3 +5,6 @@ export { setDefaultQualityProfile, addQualityProfileGroupPermission, addQualityP
 export { searchQualityProfiles } from './helpers/search-quality-profiles.js';
 export { getActiveRules } from './helpers/get-active-rules.js';
 export { getActiveRulesWithCleanCodeFields } from './helpers/get-active-rules-with-clean-code.js';
+export { createRule } from './helpers/create-rule.js';
+export { getDeprecatedRuleKeys } from './helpers/get-deprecated-rule-keys.js';
+export { getRuleActivations } from './helpers/get-rule-activations.js';
@@ -1,11 +1,17 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
+
+// -------- Configuration --------
+
+const METADATA_SYNC_COMMENT = '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.';
 
 // -------- Main Logic --------
 
-// Mark hotspot as metadata-synchronized via comment.
-export async function addMetadataSyncComment(scHotspot, client, stats) {
+// Mark hotspot as metadata-synchronized via comment (once).
+export async function addMetadataSyncComment(scHotspot, client, stats, existingComments = []) {
+  if (hasComment(existingComments, METADATA_SYNC_COMMENT)) return;
   try {
-    await client.addHotspotComment(scHotspot.key, '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.');
+    await client.addHotspotComment(scHotspot.key, METADATA_SYNC_COMMENT);
     stats.metadataSyncCommented++;
   } catch (error) {
     logger.debug(`Failed to add metadata-synchronized comment to hotspot ${scHotspot.key}: ${error.message}`);
@@ -1,15 +1,17 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { buildHotspotSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Main Logic --------
 
 // Add comment with link back to original SonarQube hotspot.
-export async function addSourceLinkComment(sqHotspot, scHotspot, client, stats, options) {
+export async function addSourceLinkComment(sqHotspot, scHotspot, client, stats, options, existingComments = []) {
   const { sonarqubeUrl, sonarqubeProjectKey } = options;
   if (!sonarqubeUrl || !sonarqubeProjectKey) return;
 
   try {
     const text = buildHotspotSourceComment(sonarqubeUrl, sonarqubeProjectKey, sqHotspot.key);
+    if (hasComment(existingComments, text)) return;
     await client.addHotspotComment(scHotspot.key, text);
     stats.sourceLinked++;
   } catch (error) {
@@ -0,0 +1,14 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+// Comments already on a SC hotspot (hotspot search results do not include them).
+export async function fetchExistingComments(scHotspot, client) {
+  try {
+    const details = await client.getHotspotDetails(scHotspot.key);
+    return details?.comment || [];
+  } catch (error) {
+    logger.debug(`Failed to fetch comments of hotspot ${scHotspot.key}: ${error.message}`);
+    return [];
+  }
+}
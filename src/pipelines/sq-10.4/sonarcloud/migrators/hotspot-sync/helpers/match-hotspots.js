@@ -3,10 +3,10 @@ import { buildHotspotMatchKey } from './build-hotspot-match-key.js';
 // -------- Main Logic --------
 
 // Match SQ hotspots to SC hotspots by rule + file + line.
-export function matchHotspots(sqHotspots, scHotspots) {
+export function matchHotspots(sqHotspots, scHotspots, ruleKeys = null) {
   const scHotspotMap = new Map();
   for (const hotspot of scHotspots) {
-    const key = buildHotspotMatchKey(hotspot);
+    const key = buildHotspotMatchKey(hotspot, ruleKeys);
     if (!key) continue;
     if (!scHotspotMap.has(key)) scHotspotMap.set(key, []);
     scHotspotMap.get(key).push(hotspot);
@@ -14,7 +14,7 @@ export function matchHotspots(sqHotspots, scHotspots) {
 
   const matchedPairs = [];
   for (const sqHotspot of sqHotspots) {
-    const matchKey = buildHotspotMatchKey(sqHotspot);
+    const matchKey = buildHotspotMatchKey(sqHotspot, ruleKeys);
     if (!matchKey) continue;
     const candidates = scHotspotMap.get(matchKey);
     if (!candidates?.length) continue;
@@ -0,0 +1,33 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+/**
+ * Sync a single hotspot's assignee from SQ to SC, applying user mappings
+ * the same way as issue assignment.
+ */
+export async function syncHotspotAssignment(sqHotspot, scHotspot, client, userMappings, stats) {
+  if (!sqHotspot.assignee) return;
+
+  const mapping = userMappings?.get(sqHotspot.assignee);
+  if (mapping && !mapping.include) {
+    stats.assignmentSkipped++;
+    logger.debug(`Skipping hotspot assignment for "${sqHotspot.assignee}" (excluded in user-mappings.csv)`);
+    return;
+  }
+
+  const targetAssignee = mapping?.scLogin || sqHotspot.assignee;
+  if (targetAssignee === scHotspot.assignee) return;
+  if (mapping?.scLogin) {
+    stats.assignmentMapped++;
+    logger.debug(`Mapping hotspot assignee "${sqHotspot.assignee}" -> "${targetAssignee}"`);
+  }
+
+  try {
+    await client.assignHotspot(scHotspot.key, targetAssignee);
+    stats.assigned++;
+  } catch (error) {
+    stats.assignmentFailed++;
+    logger.warn(`Failed to assign hotspot ${scHotspot.key} to "${targetAssignee}": ${error.message}`);
+  }
+}
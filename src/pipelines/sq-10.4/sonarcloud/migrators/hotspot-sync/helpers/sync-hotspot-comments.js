@@ -1,12 +1,14 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { planCommentSync } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Main Logic --------
 
-// Sync all comments from a SQ hotspot to the matched SC hotspot.
-export async function syncHotspotComments(sqHotspot, scHotspot, client, stats) {
-  for (const comment of (sqHotspot.comments || [])) {
+// Sync comments from a SQ hotspot to the matched SC hotspot, skipping those already migrated.
+export async function syncHotspotComments(sqHotspot, scHotspot, client, stats, existingComments = []) {
+  const { toAdd, alreadyPresent } = planCommentSync(sqHotspot.comments, existingComments);
+  stats.commentsAlreadyPresent += alreadyPresent;
+  for (const text of toAdd) {
     try {
-      const text = `[Migrated from SonarQube] ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
       await client.addHotspotComment(scHotspot.key, text);
       stats.commented++;
     } catch (error) {
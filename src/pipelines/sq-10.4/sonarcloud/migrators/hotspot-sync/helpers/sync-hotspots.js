@@ -27,7 +27,7 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
   }
   logger.info(`Found ${scHotspots.length} hotspots in SonarCloud, matching against ${sqHotspots.length} SonarQube hotspots`);
 
-  const matchedPairs = matchHotspots(sqHotspots, scHotspots);
+  const matchedPairs = matchHotspots(sqHotspots, scHotspots, options.ruleKeys);
   stats.matched = matchedPairs.length;
   logger.info(`Matched ${matchedPairs.length} hotspots, syncing with concurrency=${concurrency}`);
 
@@ -36,6 +36,6 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
     await mapConcurrent(matchedPairs, (pair) => syncSingleHotspot(pair, client, stats, options), { concurrency, settled: true, onProgress: progressLogger });
   }
 
-  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.commented} comments, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
+  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.assigned} assigned${stats.assignmentMapped > 0 ? ` (${stats.assignmentMapped} mapped)` : ''}, ${stats.assignmentFailed} assignment-failed, ${stats.commented} comments added, ${stats.commentsAlreadyPresent} already present, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
   return stats;
 }
@@ -1,8 +1,10 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { syncHotspotStatus } from './sync-hotspot-status.js';
+import { syncHotspotAssignment } from './sync-hotspot-assignment.js';
 import { syncHotspotComments } from './sync-hotspot-comments.js';
 import { addMetadataSyncComment } from './add-metadata-sync-comment.js';
 import { addSourceLinkComment } from './add-source-link-comment.js';
+import { fetchExistingComments } from './fetch-existing-comments.js';
 
 // -------- Main Logic --------
 
@@ -11,10 +13,12 @@ export async function syncSingleHotspot({ sqHotspot, scHotspot }, client, stats,
   try {
     const changed = await syncHotspotStatus(scHotspot, sqHotspot, client);
     if (changed) stats.statusChanged++;
+    await syncHotspotAssignment(sqHotspot, scHotspot, client, options.userMappings, stats);
 
-    await syncHotspotComments(sqHotspot, scHotspot, client, stats);
-    await addMetadataSyncComment(scHotspot, client, stats);
-    await addSourceLinkComment(sqHotspot, scHotspot, client, stats, options);
+    const existingComments = await fetchExistingComments(scHotspot, client);
+    await syncHotspotComments(sqHotspot, scHotspot, client, stats, existingComments);
+    await addMetadataSyncComment(scHotspot, client, stats, existingComments);
+    await addSourceLinkComment(sqHotspot, scHotspot, client, stats, options, existingComments);
   } catch (error) {
     stats.failed++;
     logger.debug(`Failed to sync hotspot ${sqHotspot.key}: ${error.message}`);
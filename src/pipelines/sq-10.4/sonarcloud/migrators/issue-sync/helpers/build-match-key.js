@@ -1,10 +1,13 @@
+import { canonicalRuleKey } from '../../../../../../shared/utils/rule-keys.js';
+
 // -------- Main Logic --------
 
 /**
  * Build a match key from rule + file component + line number.
+ * The rule is reduced to its canonical key so renamed rules still match.
  */
-export function buildMatchKey(issue) {
-  const rule = issue.rule;
+export function buildMatchKey(issue, ruleKeys = null) {
+  const rule = canonicalRuleKey(issue.rule, ruleKeys);
   const component = issue.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = issue.line ?? issue.textRange?.startLine ?? 0;
@@ -1,17 +1,20 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { resolveSourceBaseURL } from '../../../../../../shared/utils/source-link/resolve-source-base-url.js';
 import { buildIssueSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { planCommentSync, hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Main Logic --------
 
 /**
  * Sync comments, tags, and source link for a single issue.
+ * Comments and the source link already on the SonarCloud issue are not posted again.
  */
 export async function syncIssueMetadata(sqIssue, scIssue, client, sqClient, stats) {
   // Sync comments
-  for (const comment of (sqIssue.comments || [])) {
+  const { toAdd, alreadyPresent } = planCommentSync(sqIssue.comments, scIssue.comments);
+  stats.commentsAlreadyPresent += alreadyPresent;
+  for (const text of toAdd) {
     try {
-      const text = `[Migrated from SonarQube] ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
       await client.addIssueComment(scIssue.key, text);
       stats.commented++;
     } catch (e) { logger.debug(`Failed to add comment to issue ${scIssue.key}: ${e.message}`); }
@@ -37,6 +40,7 @@ export async function syncIssueMetadata(sqIssue, scIssue, client, sqClient, stat
     try {
       const baseURL = await resolveSourceBaseURL(sqClient);
       const text = buildIssueSourceComment(baseURL, sqClient.projectKey, sqIssue.key);
+      if (hasComment(scIssue.comments, text)) return;
       await client.addIssueComment(scIssue.key, text);
       stats.sourceLinked++;
     } catch (e) { logger.debug(`Failed to add source link comment to issue ${scIssue.key}: ${e.message}`); }
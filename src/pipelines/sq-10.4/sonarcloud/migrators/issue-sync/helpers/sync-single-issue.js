@@ -1,12 +1,13 @@
 import { syncIssueStatus } from './sync-issue-status.js';
 import { syncIssueAssignment } from './sync-issue-assignment.js';
 import { syncIssueMetadata } from './sync-issue-metadata.js';
+import { syncIssueOverrides } from './sync-issue-overrides.js';
 import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
 
 /**
- * Sync all aspects of a single matched issue pair (status, assignment, comments, tags).
+ * Sync all aspects of a single matched issue pair (status, assignment, overrides, comments, tags).
  */
 export async function syncSingleIssue(sqIssue, scIssue, client, sqClient, userMappings, stats, changelogMap = new Map()) {
   try {
@@ -14,6 +15,7 @@ export async function syncSingleIssue(sqIssue, scIssue, client, sqClient, userMa
     if (transitioned) stats.transitioned++;
 
     await syncIssueAssignment(sqIssue, scIssue, client, userMappings, stats);
+    await syncIssueOverrides(sqIssue, scIssue, client, changelogMap.get(sqIssue.key), stats);
     await syncIssueMetadata(sqIssue, scIssue, client, sqClient, stats);
   } catch (error) {
     stats.failed++;
@@ -1,3 +1,5 @@
 export { migrateGlobalPermissions } from './permissions/index.js';
 export { migrateProjectPermissions } from './permissions/index.js';
 export { migratePermissionTemplates } from './permissions/index.js';
+export { migrateGlobalUserPermissions } from './permissions/index.js';
+export { migrateProjectUserPermissions } from './permissions/index.js';
@@ -0,0 +1,18 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { translateUserPermissions } from '../../../../../../shared/mapping/user-permissions.js';
+
+// -------- Main Logic --------
+
+// Add user permissions to a SC permission template, translating logins via user-mappings.csv.
+export async function addTemplateUserPermissions(scTemplateId, templateUsers, client, userMappings = null) {
+  const { users } = translateUserPermissions(templateUsers, userMappings);
+  for (const user of users) {
+    for (const permission of user.permissions) {
+      try {
+        await client.addUserToTemplate(scTemplateId, user.login, permission);
+      } catch (error) {
+        logger.debug(`Failed to add user ${user.login} to template: ${error.message}`);
+      }
+    }
+  }
+}
@@ -5,14 +5,14 @@ import { applyDefaultTemplates } from './apply-default-templates.js';
 // -------- Main Logic --------
 
 // Migrate all permission templates from SQ to SC.
-export async function migratePermissionTemplates(templateData, client) {
+export async function migratePermissionTemplates(templateData, client, userMappings = null) {
   const templateMapping = new Map();
   const { templates, defaultTemplates } = templateData;
 
   logger.info(`Migrating ${templates.length} permission templates`);
 
   for (const template of templates) {
-    await migrateOneTemplate(template, templateMapping, client);
+    await migrateOneTemplate(template, templateMapping, client, userMappings);
   }
 
   await applyDefaultTemplates(defaultTemplates, templateMapping, client);
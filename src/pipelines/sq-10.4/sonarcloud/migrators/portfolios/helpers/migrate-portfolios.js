@@ -3,11 +3,12 @@ import { EnterpriseClient } from '../../../enterprise-client.js';
 import { buildProjectUuidMap } from './build-project-uuid-map.js';
 import { resolvePortfolioProjects } from './resolve-portfolio-projects.js';
 import { createOrUpdatePortfolio } from './create-or-update-portfolio.js';
+import { describeMembershipChange } from '../../../../../../shared/utils/portfolio-membership.js';
 
 // -------- Main Logic --------
 
 // Migrate portfolios from SonarQube to SonarCloud using the V2 Enterprise API.
-export async function migratePortfolios(allPortfolios, projectKeyMapping, enterpriseConfig, orgConfig, rateLimitConfig) {
+export async function migratePortfolios(allPortfolios, projectKeyMapping, enterpriseConfig, orgConfig, rateLimitConfig, membershipChanges = null) {
   if (!enterpriseConfig?.key) { logger.warn('No enterprise key configured — skipping portfolio migration'); return 0; }
   if (allPortfolios.length === 0) { logger.info('No portfolios to migrate'); return 0; }
 
@@ -21,6 +22,8 @@ export async function migratePortfolios(allPortfolios, projectKeyMapping, enterp
 
   let created = 0, updated = 0;
   for (const portfolio of allPortfolios) {
+    const change = describeMembershipChange(portfolio, projectKeyMapping, projectUuidMap);
+    if (change) membershipChanges?.push(change);
     const result = await createOrUpdatePortfolio(portfolio, client, existingByName, projectKeyMapping, projectUuidMap, enterpriseId);
     if (result === 'created') created++;
     else if (result === 'updated') updated++;
@@ -1,3 +1,4 @@
+import logger from '../../../../../../shared/utils/logger.js';
 import { createGateConditions } from './create-gate-conditions.js';
 import { setGateDefault } from './set-gate-default.js';
 import { setGatePermissions } from './set-gate-permissions.js';
@@ -5,11 +6,16 @@ import { setGatePermissions } from './set-gate-permissions.js';
 // -------- Main Logic --------
 
 // Create a quality gate in SC and configure its conditions, default, and permissions.
-export async function createGateWithConfig(gate, client) {
+// In strict mode a gate with a rejected condition is deleted rather than left weaker than in SQ.
+export async function createGateWithConfig(gate, client, { strict = false, rejected = [] } = {}) {
   const created = await client.createQualityGate(gate.name);
   const scGateId = created.id;
 
-  await createGateConditions(scGateId, gate, client);
+  rejected.push(...await createGateConditions(scGateId, gate, client));
+  if (strict && rejected.length > 0) {
+    await client.deleteQualityGate(scGateId).catch(error => logger.warn(`Failed to delete quality gate ${gate.name}: ${error.message}`));
+    throw new Error(`SonarCloud rejected ${rejected.length} condition(s) (strict mode)`);
+  }
   await setGateDefault(scGateId, gate, client);
   await setGatePermissions(gate, client);
 
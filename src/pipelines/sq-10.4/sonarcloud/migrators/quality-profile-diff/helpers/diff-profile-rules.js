@@ -1,33 +1,47 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { createRuleKeyTranslator } from '../../../../../../shared/utils/rule-keys.js';
+import { diffRuleTuning, loadRuleActivations } from '../../../../../../shared/utils/quality-profile-tuning.js';
 import { formatRule } from './format-rule.js';
 
 // -------- Main Logic --------
 
-// Compare active rules between a SQ profile and its SC counterpart.
-export async function diffProfileRules(sqProfile, scProfile, sqClient, scClient) {
+// Compare active rules between a SQ profile and its SC counterpart. Rules are
+// matched on their canonical key, so a renamed rule is not reported as both missing and added.
+export async function diffProfileRules(sqProfile, scProfile, sqClient, scClient, ruleKeys = null) {
   logger.debug(`Comparing rules: SQ "${sqProfile.name}" vs SC "${scProfile.name}" (${sqProfile.language})`);
 
-  const [sqRules, scRules] = await Promise.all([
+  const [sqRules, scRules, sqActivations, scActivations] = await Promise.all([
     sqClient.getActiveRules(sqProfile.key),
-    scClient.getActiveRules(scProfile.key)
+    scClient.getActiveRules(scProfile.key),
+    loadRuleActivations(sqClient, sqProfile.key, 'SonarQube'),
+    loadRuleActivations(scClient, scProfile.key, 'SonarCloud')
   ]);
 
+  const keys = ruleKeys || createRuleKeyTranslator({ sonarqube: sqRules, sonarcloud: scRules });
   const sqRuleMap = new Map();
-  for (const rule of sqRules) { sqRuleMap.set(rule.key || `${rule.repo}:${rule.params?.[0]?.key || rule.name}`, rule); }
+  for (const rule of sqRules) { const key = rule.key || `${rule.repo}:${rule.params?.[0]?.key || rule.name}`; sqRuleMap.set(keys.canonical(key), { key, rule }); }
   const scRuleMap = new Map();
-  for (const rule of scRules) { scRuleMap.set(rule.key || `${rule.repo}:${rule.name}`, rule); }
+  for (const rule of scRules) { const key = rule.key || `${rule.repo}:${rule.name}`; scRuleMap.set(keys.canonical(key), { key, rule }); }
 
-  const missingRules = [], addedRules = [];
-  for (const [key, rule] of sqRuleMap) { if (!scRuleMap.has(key)) missingRules.push(formatRule(key, rule)); }
-  for (const [key, rule] of scRuleMap) { if (!sqRuleMap.has(key)) addedRules.push(formatRule(key, rule)); }
+  const missingRules = [], addedRules = [], renamedRules = [];
+  for (const [id, { key, rule }] of sqRuleMap) {
+    const sc = scRuleMap.get(id);
+    if (!sc) missingRules.push(formatRule(key, rule));
+    else if (sc.key !== key) renamedRules.push({ sonarqubeKey: key, sonarcloudKey: sc.key, name: rule.name || '' });
+  }
+  for (const [id, { key, rule }] of scRuleMap) { if (!sqRuleMap.has(id)) addedRules.push(formatRule(key, rule)); }
 
+  const tuningCompared = Boolean(sqActivations && scActivations);
+  const ruleDifferences = tuningCompared ? diffRuleTuning(sqActivations, scActivations, keys.canonical) : [];
+  if (renamedRules.length > 0) logger.info(`  ${sqProfile.language}: ${renamedRules.length} rules matched under a renamed key`);
   if (missingRules.length > 0) logger.warn(`  ${sqProfile.language}: ${missingRules.length} rules missing from SonarCloud`);
   if (addedRules.length > 0) logger.info(`  ${sqProfile.language}: ${addedRules.length} rules added in SonarCloud`);
-  if (missingRules.length === 0 && addedRules.length === 0) logger.info(`  ${sqProfile.language}: profiles match perfectly (${sqRules.length} rules)`);
+  if (ruleDifferences.length > 0) logger.warn(`  ${sqProfile.language}: ${ruleDifferences.length} rules tuned differently (severity, parameters or impacts)`);
+  if (missingRules.length === 0 && addedRules.length === 0 && ruleDifferences.length === 0) logger.info(`  ${sqProfile.language}: profiles match perfectly (${sqRules.length} rules)`);
 
   return {
     sonarqubeProfile: sqProfile.name, sonarcloudProfile: scProfile.name,
     sonarqubeRuleCount: sqRules.length, sonarcloudRuleCount: scRules.length,
-    missingRules, addedRules
+    missingRules, addedRules, renamedRules, tuningCompared, ruleDifferences
   };
 }
@@ -1 +1,2 @@
 export { migrateQualityProfiles } from './helpers/migrate-quality-profiles.js';
+export { migrateCustomRules } from './helpers/migrate-custom-rules.js';
@@ -0,0 +1 @@
+export { migrateWebhooks } from './helpers/migrate-webhooks.js';
@@ -3,7 +3,8 @@ import logger from '../../../../../shared/utils/logger.js';
 // -------- Main Logic --------
 
 /**
- * Add optional files to the report zip (sources, rules, changesets, duplications, external issues, ad-hoc rules).
+ * Add optional files to the report zip (sources, rules, changesets, duplications, syntax highlighting,
+ * symbols, coverage, external issues, ad-hoc rules).
  *
  * @param {object} zip - AdmZip instance
  * @param {object} encodedReport - Encoded protobuf report
@@ -31,6 +32,24 @@ export function addReportOptionalFiles(zip, encodedReport) {
     logger.debug(`Added ${count} duplication files`);
   }
 
+  if (encodedReport.syntaxHighlightings?.size > 0) {
+    let count = 0;
+    encodedReport.syntaxHighlightings.forEach((buf, ref) => { zip.addFile(`syntax-highlighting-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} syntax highlighting files`);
+  }
+
+  if (encodedReport.symbols?.size > 0) {
+    let count = 0;
+    encodedReport.symbols.forEach((buf, ref) => { zip.addFile(`symbols-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} symbol files`);
+  }
+
+  if (encodedReport.coverages?.size > 0) {
+    let count = 0;
+    encodedReport.coverages.forEach((buf, ref) => { zip.addFile(`coverages-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} coverage files`);
+  }
+
   if (encodedReport.externalIssues?.size > 0) {
     let count = 0;
     encodedReport.externalIssues.forEach((buf, ref) => { zip.addFile(`external-issues-${ref}.pb`, Buffer.from(buf)); count++; });
@@ -18,8 +18,11 @@ export function buildSubmitForm(client, reportData, metadata) {
   form.append('projectKey', client.projectKey);
   form.append('organization', client.organization);
 
-  // Branch characteristics for non-main branches
-  if (metadata.branchName) {
+  // Pull request or branch characteristics for non-main analyses
+  if (metadata.pullRequestKey) {
+    form.append('characteristic', `pullRequest=${metadata.pullRequestKey}`);
+    logger.info(`Pull request characteristics: pullRequest=${metadata.pullRequestKey}`);
+  } else if (metadata.branchName) {
     const branchType = metadata.branchType || 'LONG';
     form.append('characteristic', `branch=${metadata.branchName}`);
     form.append('characteristic', `branchType=${branchType}`);
@@ -4,6 +4,7 @@ import { findTaskFromActivity } from './find-task-from-activity.js';
 import { checkExistingUpload } from './check-existing-upload.js';
 import { validateReport } from './validate-report.js';
 import logger from '../../../../../shared/utils/logger.js';
+import { archiveReport } from '../../../../../shared/scanner-report/report-archive.js';
 
 // -------- Main Logic --------
 
@@ -21,6 +22,7 @@ export function createReportUploader(client) {
       try {
         await client.ensureProject();
         const reportData = prepareReportData(encodedReport, metadata);
+        await archiveReport(reportData, { projectKey: client.projectKey, ...metadata });
         const ceTask = await submitToComputeEngine(client, reportData, metadata);
         logger.info(`Report uploaded successfully (CE Task: ${ceTask.id})`);
         return ceTask;
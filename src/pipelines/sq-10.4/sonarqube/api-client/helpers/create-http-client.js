@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { handleApiError } from './handle-api-error.js';
+import { applySonarQubeTransport } from '../../../../../shared/bundle/sonarqube-transport.js';
 
 // -------- Main Logic --------
 
@@ -15,5 +16,5 @@ export function createHttpClient(baseURL, token) {
     response => response,
     error => handleApiError(error, baseURL)
   );
-  return client;
+  return applySonarQubeTransport(client);
 }
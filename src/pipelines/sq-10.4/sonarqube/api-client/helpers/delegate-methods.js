@@ -22,12 +22,21 @@ export function buildDelegateMethods(client, projectKey, getPaginatedFn) {
     async getAllQualityProfiles() { return qual.getAllQualityProfiles(client); },
     async getQualityProfileBackup(l, q) { return qual.getQualityProfileBackup(client, l, q); },
     async getQualityProfilePermissions(l, q) { return qual.getQualityProfilePermissions(client, l, q); },
+    async getCustomRules() { return qual.getCustomRules(gp); },
+    async getDeprecatedRuleKeys() { return qual.getDeprecatedRuleKeys(gp); },
+    async getRuleActivations(pk) { return qual.getRuleActivations(client, pk); },
     async getGroups() { return perm.getGroups(gp); },
+    async getGroupMembers(n) { return perm.getGroupMembers(gp, n); },
     async getGlobalPermissions() { return perm.getGlobalPermissions(gp); },
     async getProjectPermissions(pk) { return perm.getProjectPermissions(gp, pk); },
+    async getGlobalUserPermissions() { return perm.getGlobalUserPermissions(gp); },
+    async getProjectUserPermissions(pk) { return perm.getProjectUserPermissions(gp, pk); },
+    async getTemplateUserPermissions(t) { return perm.getTemplateUserPermissions(gp, t); },
     async getPermissionTemplates() { return perm.getPermissionTemplates(client); },
     async getPortfolios() { return perm.getPortfolios(client); },
     async getPortfolioDetails(k) { return perm.getPortfolioDetails(client, k); },
+    async getApplications() { return perm.getApplications(gp); },
+    async getApplicationDetails(k, b = null) { return perm.getApplicationDetails(client, k, b); },
     async getProjectSettings(pk = null) { return sc.getProjectSettings(client, pk || projectKey); },
     async getServerSettings() { return sc.getServerSettings(client); },
     async getProjectTags(pk = null) { return sc.getProjectTags(client, pk); },
@@ -19,5 +19,15 @@ export function buildMeasureMethods(client, projectKey, getPaginatedFn) {
       logger.info(`Fetching component tree for project: ${projectKey}`);
       return await fetchComponentTreeBatched(client, projectKey, branch, metricKeys, getPaginatedFn);
     },
+    async getProjectAnalyses(pk = null) {
+      const key = pk || projectKey;
+      logger.info(`Fetching analysis history for project: ${key}`);
+      return await getPaginatedFn('/api/project_analyses/search', { project: key }, 'analyses');
+    },
+    async getMeasuresHistory(metricKeys = [], pk = null) {
+      const key = pk || projectKey;
+      logger.info(`Fetching measure history for project: ${key}`);
+      return await getPaginatedFn('/api/measures/search_history', { component: key, metrics: metricKeys.join(',') }, 'measures');
+    },
   };
 }
@@ -19,6 +19,12 @@ export function buildProjectMethods(client, projectKey) {
       const response = await client.get('/api/project_branches/list', { params: { project: key } });
       return response.data.branches || [];
     },
+    async getPullRequests(pk = null) {
+      const key = pk || projectKey;
+      logger.debug(`Fetching pull requests for project: ${key}`);
+      const response = await client.get('/api/project_pull_requests/list', { params: { project: key } });
+      return response.data.pullRequests || [];
+    },
     async listAllProjects() {
       logger.info('Fetching all projects from SonarQube...');
       return await this.getPaginatedFn('/api/projects/search', {}, 'components');
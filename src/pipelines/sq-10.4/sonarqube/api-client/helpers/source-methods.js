@@ -5,13 +5,21 @@ import logger from '../../../../../shared/utils/logger.js';
 // Build source code and file methods for the SQ client.
 export function buildSourceMethods(client, projectKey, getPaginatedFn) {
   return {
-    async getSourceCode(fileKey, branch = null) {
+    async getSourceCode(fileKey, branch = null, pullRequest = null) {
       logger.debug(`Fetching source code for: ${fileKey}`);
       const params = { key: fileKey };
       if (branch) params.branch = branch;
+      if (pullRequest) params.pullRequest = pullRequest;
       const response = await client.get('/api/sources/raw', { params, responseType: 'text' });
       return response.data;
     },
+    async getSourceLines(fileKey, branch = null) {
+      logger.debug(`Fetching highlighted source lines for: ${fileKey}`);
+      const params = { key: fileKey };
+      if (branch) params.branch = branch;
+      const response = await client.get('/api/sources/lines', { params });
+      return response.data.sources || [];
+    },
     async getSourceFiles(branch = null) {
       logger.info(`Fetching source files for project: ${projectKey}`);
       const params = { component: projectKey, qualifiers: 'FIL' };
@@ -24,15 +24,19 @@ export class SonarQubeClient {
   getServerVersion() {}
   getProject() {}
   getBranches() {}
+  getPullRequests() {}
   getQualityGate() {}
   getMetrics() {}
   getSourceCode() {}
+  getSourceLines() {}
   getSourceFiles() {}
   getQualityProfiles() {}
   getActiveRules() {}
   getDuplications() {}
   getMeasures() {}
   getComponentTree() {}
+  getProjectAnalyses() {}
+  getMeasuresHistory() {}
   getLatestAnalysisRevision() {}
   listAllProjects() {}
   getIssues() {}
@@ -46,12 +50,21 @@ export class SonarQubeClient {
   getAllQualityProfiles() {}
   getQualityProfileBackup() {}
   getQualityProfilePermissions() {}
+  getCustomRules() {}
+  getDeprecatedRuleKeys() {}
+  getRuleActivations() {}
   getGroups() {}
+  getGroupMembers() {}
   getGlobalPermissions() {}
   getProjectPermissions() {}
+  getGlobalUserPermissions() {}
+  getProjectUserPermissions() {}
+  getTemplateUserPermissions() {}
   getPermissionTemplates() {}
   getPortfolios() {}
   getPortfolioDetails() {}
+  getApplications() {}
+  getApplicationDetails() {}
   getProjectSettings() {}
   getServerSettings() {}
   getProjectTags() {}
@@ -1 +1 @@
-export { getQualityGates, getQualityGateDetails, getQualityGatePermissions, getAllQualityProfiles, getQualityProfileBackup, getQualityProfilePermissions } from './quality/index.js';
+export { getQualityGates, getQualityGateDetails, getQualityGatePermissions, getAllQualityProfiles, getQualityProfileBackup, getQualityProfilePermissions, getCustomRules, getDeprecatedRuleKeys, getRuleActivations } from './quality/index.js';
@@ -1,4 +1,5 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { collectRuleActivations } from '../../../../../../shared/utils/quality-profile-tuning.js';
 
 // -------- Main Logic --------
 
@@ -40,3 +41,40 @@ export async function getQualityProfilePermissions(client, language, qualityProf
   }
   return permissions;
 }
+
+// Rules created from rule templates, found by searching each template's instances.
+export async function getCustomRules(getPaginated) {
+  logger.info('Fetching custom rules created from templates');
+  const templates = await getPaginated('/api/rules/search', { is_template: 'true', f: 'name' }, 'rules');
+  const rules = [];
+  for (const template of templates) {
+    rules.push(...await getPaginated('/api/rules/search', { template_key: template.key, f: 'templateKey,name,mdDesc,htmlDesc,severity,status,lang,params' }, 'rules'));
+  }
+  return rules;
+}
+
+// Rules that were renamed, with the keys they were previously known under.
+export async function getDeprecatedRuleKeys(getPaginated) {
+  logger.info('Fetching deprecated rule keys');
+  const rules = await getPaginated('/api/rules/search', { f: 'deprecatedKeys', ps: 500 }, 'rules');
+  return rules.filter(r => r.deprecatedKeys);
+}
+
+// How each rule is activated in a profile (severity, parameters, impacts, inheritance).
+export async function getRuleActivations(client, profileKey) {
+  logger.debug(`Fetching rule activations for profile: ${profileKey}`);
+  const activations = [];
+  let page = 1;
+  const pageSize = 500;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const response = await client.get('/api/rules/search', { params: { qprofile: profileKey, activation: 'true', f: 'actives', ps: pageSize, p: page } });
+    const rules = response.data.rules || [];
+    activations.push(...collectRuleActivations(response.data.actives, profileKey));
+    if (page * pageSize >= (response.data.total || 0) || rules.length < pageSize) break;
+    page++;
+  }
+
+  return activations;
+}
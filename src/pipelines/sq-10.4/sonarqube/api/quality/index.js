@@ -1,2 +1,2 @@
 export { getQualityGates, getQualityGateDetails, getQualityGatePermissions } from './helpers/quality-gate-api.js';
-export { getAllQualityProfiles, getQualityProfileBackup, getQualityProfilePermissions } from './helpers/quality-profile-api.js';
+export { getAllQualityProfiles, getQualityProfileBackup, getQualityProfilePermissions, getCustomRules, getDeprecatedRuleKeys, getRuleActivations } from './helpers/quality-profile-api.js';
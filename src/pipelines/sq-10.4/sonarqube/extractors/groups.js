@@ -1,7 +1,7 @@
 import logger from '../../../../shared/utils/logger.js';
 
 /**
- * Extract all user groups
+ * Extract all user groups, including the logins of their members
  * @param {import('../api-client.js').SonarQubeClient} client
  * @returns {Promise<Array>} User groups
  */
@@ -9,11 +9,33 @@ export async function extractGroups(client) {
   const groups = await client.getGroups();
   logger.info(`Found ${groups.length} user groups`);
 
-  return groups.map(group => ({
-    id: group.id,
-    name: group.name,
-    description: group.description || '',
-    membersCount: group.membersCount || 0,
-    default: group.default || false
-  }));
+  const extracted = [];
+  for (const group of groups) {
+    extracted.push({
+      id: group.id,
+      name: group.name,
+      description: group.description || '',
+      membersCount: group.membersCount || 0,
+      default: group.default || false,
+      members: await extractGroupMembers(client, group)
+    });
+  }
+  return extracted;
+}
+
+/**
+ * Fetch member logins for a group. The default group implicitly contains
+ * every user, so its membership is not extracted.
+ * @param {import('../api-client.js').SonarQubeClient} client
+ * @param {object} group - Group as returned by the SonarQube API
+ * @returns {Promise<string[]>} Member logins
+ */
+async function extractGroupMembers(client, group) {
+  if (group.default || group.membersCount === 0) return [];
+  try {
+    return await client.getGroupMembers(group.name, group.id);
+  } catch (error) {
+    logger.warn(`Failed to fetch members of group ${group.name}: ${error.message}`);
+    return [];
+  }
 }
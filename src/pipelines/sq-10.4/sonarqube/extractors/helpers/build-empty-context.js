@@ -22,6 +22,7 @@ export function buildEmptyContext() {
     changesets: new Map(),
     symbols: new Map(),
     syntaxHighlightings: new Map(),
+    lineCoverage: new Map(),
     scmRevisionId: null,
   };
 }
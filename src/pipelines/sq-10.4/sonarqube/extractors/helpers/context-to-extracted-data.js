@@ -20,6 +20,7 @@ export function contextToExtractedData(ctx, mode) {
     changesets: ctx.changesets,
     symbols: ctx.symbols,
     syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: {
       extractedAt: new Date().toISOString(),
       mode,
@@ -1,8 +1,10 @@
 import { extractAll } from './extract-all.js';
 import { extractBranch } from './extract-branch.js';
+import { extractPullRequest } from './extract-pull-request.js';
 import { logExtractionSummary } from './log-extraction-summary.js';
 import { extractAllWithCheckpoints } from './extract-all-with-checkpoints.js';
 import { extractBranchWithCheckpoints } from './extract-branch-with-checkpoints.js';
+import { applyBundledExtractions } from '../../../../../shared/bundle/bundled-extractions.js';
 
 // -------- Main Logic --------
 
@@ -18,14 +20,15 @@ import { extractBranchWithCheckpoints } from './extract-branch-with-checkpoints.
 export function createDataExtractor(client, config, state = null, performanceConfig = {}) {
   const extractor = { client, config, state, performanceConfig };
 
-  return {
+  return applyBundledExtractions({
     ...extractor,
     extractAll: () => extractAll(extractor),
     extractBranch: (branch, mainData) => extractBranch(extractor, branch, mainData),
+    extractPullRequest: (pullRequest, mainData) => extractPullRequest(extractor, pullRequest, mainData),
     logExtractionSummary,
     extractAllWithCheckpoints: (journal, cache, shutdownCheck) =>
       extractAllWithCheckpoints(extractor, journal, cache, shutdownCheck),
     extractBranchWithCheckpoints: (branch, mainData, journal, cache, shutdownCheck) =>
       extractBranchWithCheckpoints(extractor, branch, mainData, journal, cache, shutdownCheck),
-  };
+  });
 }
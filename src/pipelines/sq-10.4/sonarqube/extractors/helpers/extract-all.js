@@ -21,6 +21,7 @@ export async function extractAll(extractor) {
     activeRules: [], duplications: new Map(),
     changesets: new Map(), symbols: new Map(),
     syntaxHighlightings: new Map(),
+    lineCoverage: new Map(),
     metadata: { extractedAt: new Date().toISOString(), mode: extractor.config.transfer.mode },
   };
 
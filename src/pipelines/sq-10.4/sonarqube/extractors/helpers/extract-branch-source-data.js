@@ -4,6 +4,7 @@ import { extractSources } from '../sources.js';
 import { extractChangesets } from '../changesets.js';
 import { extractSymbols } from '../symbols.js';
 import { extractSyntaxHighlighting } from '../syntax-highlighting.js';
+import { extractLineCoverage } from '../line-coverage.js';
 import { extractDuplications } from '../duplications.js';
 
 // -------- Main Logic --------
@@ -36,10 +37,13 @@ export async function extractBranchSourceData(extractor, branch, metricKeys, com
   const changesets = await extractChangesets(extractor.client, sourceFilesList, components);
 
   logger.info(`  [${branch}] Extracting symbols...`);
-  const symbols = await extractSymbols(extractor.client, sourceFilesList);
+  const symbols = await extractSymbols(extractor.client, sourceFilesList, branch, { concurrency: srcConc });
 
   logger.info(`  [${branch}] Extracting syntax highlighting...`);
-  const syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList);
+  const syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList, branch, { concurrency: srcConc });
 
-  return { measures, sources, duplications, changesets, symbols, syntaxHighlightings };
+  logger.info(`  [${branch}] Extracting line coverage...`);
+  const lineCoverage = await extractLineCoverage(extractor.client, sourceFilesList, branch, { concurrency: srcConc });
+
+  return { measures, sources, duplications, changesets, symbols, syntaxHighlightings, lineCoverage };
 }
@@ -25,7 +25,7 @@ export async function extractBranchWithCheckpoints(extractor, branch, mainData,
   const sourceConcurrency = extractor.performanceConfig.sourceExtraction?.concurrency || 10;
   const dupConcurrency = extractor.performanceConfig.sourceExtraction?.concurrency || 5;
 
-  const ctx = { components: [], sourceFilesList: [], issues: [], hotspotIssues: [], measures: {}, sources: [], duplications: new Map(), changesets: new Map(), symbols: new Map(), syntaxHighlightings: new Map() };
+  const ctx = { components: [], sourceFilesList: [], issues: [], hotspotIssues: [], measures: {}, sources: [], duplications: new Map(), changesets: new Map(), symbols: new Map(), syntaxHighlightings: new Map(), lineCoverage: new Map() };
   const phases = buildBranchPhases(extractor, branch, ctx, { metricKeys, maxFiles, sourceConcurrency, dupConcurrency });
 
   await runBranchPhases(phases, branch, journal, cache, shutdownCheck);
@@ -43,6 +43,7 @@ export async function extractBranchWithCheckpoints(extractor, branch, mainData,
     issues: ctx.issues, measures: ctx.measures, components: ctx.components,
     sources: ctx.sources, duplications: ctx.duplications, changesets: ctx.changesets,
     symbols: ctx.symbols, syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: { extractedAt: new Date().toISOString(), mode: extractor.config.transfer.mode },
   };
 }
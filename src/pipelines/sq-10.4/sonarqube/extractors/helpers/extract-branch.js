@@ -30,6 +30,7 @@ export async function extractBranch(extractor, branch, mainData) {
     sources: ctx.sources, duplications: ctx.duplications,
     changesets: ctx.changesets, symbols: ctx.symbols,
     syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: { extractedAt: new Date().toISOString(), mode: extractor.config.transfer.mode },
   };
 }
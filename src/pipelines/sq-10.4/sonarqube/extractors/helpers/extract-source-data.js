@@ -4,6 +4,7 @@ import { extractSources } from '../sources.js';
 import { extractChangesets } from '../changesets.js';
 import { extractSymbols } from '../symbols.js';
 import { extractSyntaxHighlighting } from '../syntax-highlighting.js';
+import { extractLineCoverage } from '../line-coverage.js';
 import { extractDuplications } from '../duplications.js';
 import { getCommonMetricKeys } from '../metrics.js';
 
@@ -36,8 +37,11 @@ export async function extractSourceData(extractor, data, sourceFilesList) {
   data.changesets = await extractChangesets(extractor.client, sourceFilesList, data.components);
 
   logger.info('Step 9/10: Extracting symbols...');
-  data.symbols = await extractSymbols(extractor.client, sourceFilesList);
+  data.symbols = await extractSymbols(extractor.client, sourceFilesList, null, { concurrency: srcConc });
 
   logger.info('Step 10/10: Extracting syntax highlighting...');
-  data.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList);
+  data.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, sourceFilesList, null, { concurrency: srcConc });
+
+  logger.info('Step 10b: Extracting line coverage...');
+  data.lineCoverage = await extractLineCoverage(extractor.client, sourceFilesList, null, { concurrency: srcConc });
 }
@@ -1,16 +1,22 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { mapConcurrent, createProgressLogger } from '../../../../../../shared/utils/concurrency.js';
+import { wasUpdatedSince } from '../../../../../../shared/utils/issue-sync/has-changes-since.js';
 import { buildDetailedHotspot } from './build-detailed-hotspot.js';
 
 // -------- Main Logic --------
 
-// Extract security hotspots from SonarQube with full details.
+// Extract security hotspots from SonarQube with full details (only those updated after options.updatedAfter, when set).
 export async function extractHotspots(client, branch = null, options = {}) {
   const concurrency = options.concurrency || 10;
   const filters = {};
   if (branch) filters.branch = branch;
 
-  const hotspots = await client.getHotspots(filters);
+  let hotspots = await client.getHotspots(filters);
+  if (options.updatedAfter) {
+    const total = hotspots.length;
+    hotspots = hotspots.filter(h => wasUpdatedSince(h, options.updatedAfter));
+    logger.info(`${total - hotspots.length} hotspots unchanged since ${options.updatedAfter}`);
+  }
   logger.info(`Found ${hotspots.length} hotspots, fetching details with concurrency=${concurrency}`);
   if (hotspots.length === 0) return [];
 
@@ -28,6 +28,10 @@ export class DataExtractor {
     return this._instance.extractBranch(branch, mainData);
   }
 
+  extractPullRequest(pullRequest, mainData) {
+    return this._instance.extractPullRequest(pullRequest, mainData);
+  }
+
   logExtractionSummary(data) {
     return this._instance.logExtractionSummary(data);
   }
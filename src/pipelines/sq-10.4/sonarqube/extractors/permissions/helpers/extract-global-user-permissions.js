@@ -0,0 +1,14 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+// Extract organization-level permissions held directly by users.
+export async function extractGlobalUserPermissions(client) {
+  const users = await client.getGlobalUserPermissions();
+  logger.info(`Found ${users.length} users with global permissions`);
+
+  return users.map(u => ({
+    login: u.login,
+    permissions: u.permissions || []
+  }));
+}
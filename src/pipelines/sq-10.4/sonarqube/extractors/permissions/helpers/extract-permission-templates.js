@@ -1,4 +1,5 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { extractTemplateUserPermissions } from './extract-template-user-permissions.js';
 
 // -------- Main Logic --------
 
@@ -10,13 +11,19 @@ export async function extractPermissionTemplates(client) {
 
   logger.info(`Found ${templates.length} permission templates`);
 
+  const templateUsers = new Map();
+  for (const t of templates) {
+    templateUsers.set(t.id, await extractTemplateUserPermissions(client, t.id));
+  }
+
   return {
     templates: templates.map(t => ({
       id: t.id,
       name: t.name,
       description: t.description || '',
       projectKeyPattern: t.projectKeyPattern || '',
-      permissions: t.permissions || []
+      permissions: t.permissions || [],
+      users: templateUsers.get(t.id)
     })),
     defaultTemplates: defaultTemplates.map(d => ({
       templateId: d.templateId,
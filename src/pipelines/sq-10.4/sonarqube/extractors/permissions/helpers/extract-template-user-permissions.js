@@ -0,0 +1,17 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+// Extract the users granted permissions by a template. Non-fatal: returns [] on failure.
+export async function extractTemplateUserPermissions(client, templateId) {
+  try {
+    const users = await client.getTemplateUserPermissions(templateId);
+    return users.map(u => ({
+      login: u.login,
+      permissions: u.permissions || []
+    }));
+  } catch (error) {
+    logger.warn(`Failed to extract user permissions for template ${templateId}: ${error.message}`);
+    return [];
+  }
+}
@@ -0,0 +1,11 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { toCustomRule } from '../../../../../../shared/utils/custom-rules.js';
+
+// -------- Main Logic --------
+
+// Extract the rules created from rule templates, which SonarCloud does not have until they are recreated.
+export async function extractCustomRules(client) {
+  const rules = (await client.getCustomRules()).map(toCustomRule).filter(Boolean);
+  logger.info(`Found ${rules.length} custom rules created from templates`);
+  return rules;
+}
@@ -1,2 +1,3 @@
 export { extractQualityProfiles } from './helpers/extract-quality-profiles.js';
 export { buildInheritanceChains } from './helpers/build-inheritance-chains.js';
+export { extractCustomRules } from './helpers/extract-custom-rules.js';
@@ -1,32 +1,31 @@
 import logger from '../../../../shared/utils/logger.js';
+import { fetchSourceMarkup } from '../../../../shared/utils/source-markup.js';
 
 /**
  * Extract symbol table data from SonarQube
- * Creates empty symbol data for each source file (minimal stub)
+ * Symbols are read from the decorated source returned by /api/sources/lines
  * @param {SonarQubeClient} client - SonarQube client
  * @param {Array} sourceFiles - List of source files with component keys
+ * @param {string|null} branch - Branch name (null for the main branch)
+ * @param {Object} options - { concurrency }
  * @returns {Promise<Map<string, Object>>} Map of component key to symbols data
  */
-export async function extractSymbols(client, sourceFiles) {
+export async function extractSymbols(client, sourceFiles, branch = null, options = {}) {
   logger.info('Extracting symbol table data...');
 
+  const markup = await fetchSourceMarkup(client, sourceFiles, branch, options);
   const symbols = new Map();
+  let total = 0;
 
-  // Create empty symbol data for each source file
-  for (const file of sourceFiles) {
-    try {
-      // Create empty symbols array (minimal valid structure)
-      const symbolsData = {
-        fileRef: null, // Will be set by builder
-        symbols: [] // Empty symbols array
-      };
+  markup.forEach(({ symbols: fileSymbols }, key) => {
+    if (fileSymbols.length === 0) return;
+    symbols.set(key, {
+      fileRef: null, // Will be set by builder
+      symbols: fileSymbols
+    });
+    total += fileSymbols.length;
+  });
 
-      symbols.set(file.key, symbolsData);
-    } catch (error) {
-      logger.warn(`Failed to create symbols for ${file.key}: ${error.message}`);
-    }
-  }
-
-  logger.info(`Created ${symbols.size} symbol entries (empty)`);
+  logger.info(`Extracted ${total} symbols across ${symbols.size} files`);
   return symbols;
 }
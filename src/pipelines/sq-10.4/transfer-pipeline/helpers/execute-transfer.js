@@ -2,9 +2,12 @@ import { checkShutdown } from '../../../../shared/utils/shutdown.js';
 import { prepareProjectTransfer } from './prepare-project-transfer.js';
 import { validateMainBranchIncluded } from './validate-main-branch.js';
 import { extractAndFetchMetadata } from './extract-and-fetch-metadata.js';
+import { replayAnalysisHistory } from './replay-analysis-history.js';
 import { transferMainBranch } from './transfer-main-branch.js';
 import { transferNonMainBranches } from './transfer-non-main-branches.js';
+import { transferPullRequests } from './transfer-pull-requests.js';
 import { syncTransferMetadata } from './sync-transfer-metadata/index.js';
+import { recordValidationStats } from '../../../../shared/scanner-report/validate-report-messages.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
@@ -13,11 +16,12 @@ import logger from '../../../../shared/utils/logger.js';
  * Core transfer logic: extract, build, upload for all branches.
  */
 export async function executeTransfer(opts) {
-  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig = {}, wait = false, skipConnectionTest = false, projectName = null, ruleEnrichmentMap: prebuiltEnrichmentMap = null, projectKey, shutdownCheck, isIncremental, stateTracker, journal, cache, lockFile } = opts;
+  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig = {}, wait = false, skipConnectionTest = false, projectName = null, ruleEnrichmentMap: prebuiltEnrichmentMap = null, ruleKeys: prebuiltRuleKeys = null, projectKey, shutdownCheck, isIncremental, stateTracker, journal, cache, lockFile } = opts;
 
   const syncAllBranches = transferConfig.syncAllBranches !== false;
   const excludeBranches = new Set(transferConfig.excludeBranches || []);
   const includeBranches = transferConfig.includeBranches || null;
+  const reportValidation = transferConfig.reportValidation || 'lenient';
 
   const { sonarQubeClient, sonarCloudClient } = await prepareProjectTransfer({ sonarqubeConfig, sonarcloudConfig, skipConnectionTest, journal, projectKey, shutdownCheck, projectName });
 
@@ -26,24 +30,37 @@ export async function executeTransfer(opts) {
 
   checkShutdown(shutdownCheck);
 
-  const { extractor, extractedData, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap } = await extractAndFetchMetadata({ sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, sonarQubeClient, sonarCloudClient, isIncremental, stateTracker, journal, cache, shutdownCheck, prebuiltEnrichmentMap });
+  const { extractor, extractedData, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap, ruleKeys } = await extractAndFetchMetadata({ sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, sonarQubeClient, sonarCloudClient, isIncremental, stateTracker, journal, cache, shutdownCheck, prebuiltEnrichmentMap, prebuiltRuleKeys });
 
   checkShutdown(shutdownCheck);
 
-  const mainBranchResult = await transferMainBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName: sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, sonarCloudRepos, ruleEnrichmentMap });
+  // Past analyses must reach SonarCloud before the current snapshot
+  const historyStats = transferConfig.history?.enabled
+    ? await replayAnalysisHistory({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName: sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, journal, historyConfig: transferConfig.history, sonarCloudRepos, ruleEnrichmentMap, reportValidation })
+    : null;
+  checkShutdown(shutdownCheck);
+
+  const mainBranchResult = await transferMainBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName: sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, journal, sonarCloudRepos, ruleEnrichmentMap, reportValidation });
   const aggregatedStats = { issuesTransferred: mainBranchResult.stats.issuesTransferred || 0, hotspotsTransferred: mainBranchResult.stats.hotspotsTransferred || 0, componentsTransferred: mainBranchResult.stats.componentsTransferred || 0, sourcesTransferred: mainBranchResult.stats.sourcesTransferred || 0, linesOfCode: mainBranchResult.stats.linesOfCode || 0, branchesTransferred: [sonarCloudMainBranch] };
+  recordValidationStats(aggregatedStats, sonarCloudMainBranch, mainBranchResult.stats);
+  if (historyStats) aggregatedStats.history = historyStats;
 
   if (isIncremental) { stateTracker.markBranchCompleted(sonarCloudMainBranch); await stateTracker.save(); }
   checkShutdown(shutdownCheck);
 
   if (syncAllBranches) {
-    await transferNonMainBranches({ extractedData, sonarcloudConfig, sonarCloudProfiles, mainBranchResult, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, extractor, journal, cache, stateTracker, isIncremental, shutdownCheck, excludeBranches, includeBranches, performanceConfig, aggregatedStats, sonarCloudRepos, ruleEnrichmentMap });
+    await transferNonMainBranches({ extractedData, sonarcloudConfig, sonarCloudProfiles, mainBranchResult, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, extractor, journal, cache, stateTracker, isIncremental, shutdownCheck, excludeBranches, includeBranches, performanceConfig, aggregatedStats, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys });
+  }
+
+  if (transferConfig.pullRequests?.enabled) {
+    checkShutdown(shutdownCheck);
+    await transferPullRequests({ extractedData, sonarcloudConfig, sonarCloudProfiles, mainBranchResult, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, extractor, journal, stateTracker, isIncremental, shutdownCheck, pullRequestsConfig: transferConfig.pullRequests, performanceConfig, aggregatedStats, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys });
   }
 
   // -------- Phase 2: Metadata Sync --------
   checkShutdown(shutdownCheck);
   const metadataStats = await syncTransferMetadata({
-    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig,
+    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig, ruleKeys,
   });
 
   if (isIncremental) await stateTracker.recordTransfer(aggregatedStats);
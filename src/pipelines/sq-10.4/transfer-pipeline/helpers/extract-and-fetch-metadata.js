@@ -1,17 +1,19 @@
 import { DataExtractor } from '../../sonarqube/extractors/index.js';
 import { checkShutdown } from '../../../../shared/utils/shutdown.js';
+import { loadRuleKeyTranslator, translateExtractedRuleKeys } from '../../../../shared/utils/rule-keys.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
 
 /**
- * Extract data from SonarQube and fetch SonarCloud metadata.
+ * Extract data from SonarQube and fetch SonarCloud metadata. Rule keys of the
+ * extracted active rules and issues are translated to the keys SonarCloud uses.
  *
  * @param {object} opts - Options
- * @returns {Promise<object>} { extractor, extractedData, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap }
+ * @returns {Promise<object>} { extractor, extractedData, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap, ruleKeys }
  */
 export async function extractAndFetchMetadata(opts) {
-  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, sonarQubeClient, sonarCloudClient, isIncremental, stateTracker, journal, cache, shutdownCheck, prebuiltEnrichmentMap } = opts;
+  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, sonarQubeClient, sonarCloudClient, isIncremental, stateTracker, journal, cache, shutdownCheck, prebuiltEnrichmentMap, prebuiltRuleKeys } = opts;
 
   logger.info('Starting data extraction from SonarQube (main branch)...');
   const config = { sonarqube: sonarqubeConfig, sonarcloud: sonarcloudConfig, transfer: transferConfig };
@@ -30,6 +32,7 @@ export async function extractAndFetchMetadata(opts) {
   logger.info('Fetching SonarCloud rule repositories...');
   const sonarCloudRepos = await sonarCloudClient.getRuleRepositories();
   const ruleEnrichmentMap = prebuiltEnrichmentMap || new Map();
+  const ruleKeys = prebuiltRuleKeys || await loadRuleKeyTranslator(sonarQubeClient, sonarCloudClient);
 
-  return { extractor, extractedData, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap };
+  return { extractor, extractedData: translateExtractedRuleKeys(extractedData, ruleKeys), sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap, ruleKeys };
 }
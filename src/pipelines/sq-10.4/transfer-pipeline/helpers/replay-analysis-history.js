@@ -0,0 +1,81 @@
+import { ProtobufBuilder } from '../../protobuf/builder.js';
+import { ProtobufEncoder } from '../../protobuf/encoder.js';
+import { ReportUploader } from '../../sonarcloud/uploader.js';
+import { buildHistorySnapshots, buildHistoryData } from '../../../../shared/utils/analysis-history.js';
+import { validateReportMessages } from '../../../../shared/scanner-report/validate-report-messages.js';
+import logger from '../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+/**
+ * Replay past main branch analyses (`transfer.history`) as backdated reports,
+ * ahead of the current snapshot, so SonarCloud keeps the activity graph,
+ * measure trends and version events.
+ *
+ * SonarCloud refuses reports older than a project's latest analysis, so
+ * projects that already have one are left alone, every report is awaited
+ * before the next is sent, and the first failure ends the replay.
+ *
+ * @param {object} opts - Transfer options
+ * @returns {Promise<object>} { analysesReplayed, eventsCreated }
+ */
+export async function replayAnalysisHistory({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, sonarCloudClient, sonarQubeClient, journal, historyConfig, sonarCloudRepos, ruleEnrichmentMap, reportValidation = 'lenient' }) {
+  const stats = { analysesReplayed: 0, eventsCreated: 0 };
+  if (journal?.getBranchStatus(branchName) === 'completed') return stats;
+
+  if (await sonarCloudClient.getLatestAnalysis()) {
+    logger.info('SonarCloud project already has analyses — skipping history replay');
+    return stats;
+  }
+
+  const analyses = await sonarQubeClient.getProjectAnalyses();
+  const measureHistory = await sonarQubeClient.getMeasuresHistory(historyConfig.metrics || []);
+  const snapshots = buildHistorySnapshots(analyses, measureHistory, historyConfig);
+  if (snapshots.length === 0) {
+    logger.info('No past analyses to replay');
+    return stats;
+  }
+
+  logger.info(`Replaying ${snapshots.length} past analysis(es) before the current snapshot`);
+  const encoder = new ProtobufEncoder();
+  await encoder.loadSchemas();
+  const uploader = new ReportUploader(sonarCloudClient);
+
+  for (const snapshot of snapshots) {
+    const label = `history ${snapshot.date}`;
+    try {
+      const builder = new ProtobufBuilder(buildHistoryData(extractedData, snapshot), sonarcloudConfig, sonarCloudProfiles, {
+        sonarCloudBranchName: branchName, referenceBranchName: branchName, sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion: snapshot.projectVersion,
+      });
+      const messages = builder.buildAll();
+      validateReportMessages(messages, { mode: reportValidation, label });
+      const task = await uploader.uploadAndWait(encoder.encodeAll(messages), {
+        projectKey: sonarcloudConfig.projectKey, organization: sonarcloudConfig.organization, version: snapshot.projectVersion || '1.0.0',
+      });
+      stats.analysesReplayed++;
+      stats.eventsCreated += await createHistoryEvents(sonarCloudClient, task?.analysisId, snapshot.events, label);
+    } catch (error) {
+      logger.warn(`[${label}] Replay failed, continuing with the current snapshot: ${error.message}`);
+      break;
+    }
+  }
+
+  logger.info(`Replayed ${stats.analysesReplayed}/${snapshots.length} past analysis(es), ${stats.eventsCreated} event(s)`);
+  return stats;
+}
+
+// -------- Helper Functions --------
+
+async function createHistoryEvents(sonarCloudClient, analysisKey, events, label) {
+  if (!analysisKey) return 0;
+  let created = 0;
+  for (const name of events) {
+    try {
+      await sonarCloudClient.createProjectEvent(analysisKey, name);
+      created++;
+    } catch (error) {
+      logger.warn(`[${label}] Failed to create event '${name}': ${error.message}`);
+    }
+  }
+  return created;
+}
@@ -7,7 +7,7 @@ import { syncHotspots } from '../../../../sonarcloud/migrators/hotspot-sync.js';
 /** Fetch hotspots with details from SQ and sync metadata to SC. */
 export async function fetchAndSyncHotspots(opts) {
   const { sonarQubeClient, sonarCloudClient, projectKey,
-    performanceConfig = {} } = opts;
+    performanceConfig = {}, ruleKeys = null } = opts;
 
   const extractConcurrency = performanceConfig?.hotspotExtraction?.concurrency || 10;
   const syncConcurrency = performanceConfig?.hotspotSync?.concurrency || 50;
@@ -28,5 +28,6 @@ export async function fetchAndSyncHotspots(opts) {
     sonarqubeUrl: sonarQubeClient.baseURL,
     sonarqubeProjectKey: sonarQubeClient.projectKey,
     sqClient: sonarQubeClient,
+    ruleKeys,
   });
 }
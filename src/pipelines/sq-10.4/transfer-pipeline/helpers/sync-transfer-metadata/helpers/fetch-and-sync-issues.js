@@ -6,7 +6,7 @@ import { syncIssues } from '../../../../sonarcloud/migrators/issue-sync.js';
 /** Fetch issues with comments from SQ and sync metadata to SC. */
 export async function fetchAndSyncIssues(opts) {
   const { sonarQubeClient, sonarCloudClient, projectKey,
-    performanceConfig = {} } = opts;
+    performanceConfig = {}, ruleKeys = null } = opts;
 
   const concurrency = performanceConfig?.issueSync?.concurrency || 50;
 
@@ -20,6 +20,6 @@ export async function fetchAndSyncIssues(opts) {
   }
 
   return syncIssues(projectKey, sqIssues, sonarCloudClient, {
-    concurrency, sqClient: sonarQubeClient,
+    concurrency, sqClient: sonarQubeClient, ruleKeys,
   });
 }
@@ -3,6 +3,8 @@ import { computeBatchPlan, computeBatchDate, createBatchExtractedData } from '..
 import { ProtobufBuilder } from '../../protobuf/builder.js';
 import { ProtobufEncoder } from '../../protobuf/encoder.js';
 import { ReportUploader } from '../../sonarcloud/uploader.js';
+import { validateReportMessages, createValidationLog } from '../../../../shared/scanner-report/validate-report-messages.js';
+import { uploadScope } from './upload-scope.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Batched Branch Transfer --------
@@ -11,7 +13,7 @@ import logger from '../../../../shared/utils/logger.js';
 export async function transferBranchBatched(opts) {
   const { extractedData, sonarcloudConfig, sonarCloudProfiles, branchName,
     referenceBranchName, sonarCloudClient, label, isMainBranch,
-    sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion } = opts;
+    sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest = null, validationLog = createValidationLog() } = opts;
 
   extractedData.issues.sort((a, b) => (a.component || '').localeCompare(b.component || ''));
 
@@ -29,16 +31,17 @@ export async function transferBranchBatched(opts) {
     logger.info(`[${batchLabel}] Issues ${batch.startIndex + 1}-${batch.endIndex} | date=${batchDate}`);
 
     const builder = new ProtobufBuilder(batchData, sonarcloudConfig, sonarCloudProfiles, {
-      sonarCloudBranchName: branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion,
+      sonarCloudBranchName: branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest,
     });
     const messages = builder.buildAll();
+    validateReportMessages(messages, { mode: validationLog.mode, label: batchLabel, log: validationLog });
     const encoder = new ProtobufEncoder();
     await encoder.loadSchemas();
     const encodedReport = encoder.encodeAll(messages);
     const uploader = new ReportUploader(sonarCloudClient);
     const metadata = {
       projectKey: sonarcloudConfig.projectKey, organization: sonarcloudConfig.organization,
-      version: sourceProjectVersion || '1.0.0', ...(!isMainBranch && branchName ? { branchName } : {}),
+      version: sourceProjectVersion || '1.0.0', ...uploadScope(branchName, isMainBranch, pullRequest),
     };
 
     lastCeTask = await uploader.uploadAndWait(encodedReport, metadata);
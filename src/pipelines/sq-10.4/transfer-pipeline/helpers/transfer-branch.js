@@ -3,7 +3,9 @@ import { ProtobufEncoder } from '../../protobuf/encoder.js';
 import { ReportUploader } from '../../sonarcloud/uploader.js';
 import { computeBranchStats } from './compute-branch-stats.js';
 import { transferBranchBatched } from './transfer-branch-batched.js';
+import { uploadScope } from './upload-scope.js';
 import { shouldBatch, backdateChangesets } from '../../../../shared/utils/batch-distributor.js';
+import { validateReportMessages, createValidationLog, reportValidationStats } from '../../../../shared/scanner-report/validate-report-messages.js';
 import { resolveSourceProjectVersion } from '../../../../shared/utils/source-version/resolve-source-project-version.js';
 import logger from '../../../../shared/utils/logger.js';
 
@@ -11,26 +13,29 @@ import logger from '../../../../shared/utils/logger.js';
 
 /**
  * Build, encode, and upload a single branch report to SonarCloud.
+ * Passing `pullRequest` uploads the report as that pull request's analysis instead.
  */
-export async function transferBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, wait, sonarCloudClient, sonarQubeClient, label, isMainBranch = false, sonarCloudRepos = new Set(), ruleEnrichmentMap = new Map() }) {
-  const sourceProjectVersion = await resolveSourceProjectVersion(sonarQubeClient, sonarQubeClient?.projectKey, isMainBranch ? null : branchName);
+export async function transferBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, wait, sonarCloudClient, sonarQubeClient, label, isMainBranch = false, sonarCloudRepos = new Set(), ruleEnrichmentMap = new Map(), pullRequest = null, reportValidation = 'lenient' }) {
+  const validationLog = createValidationLog(reportValidation);
+  const sourceProjectVersion = await resolveSourceProjectVersion(sonarQubeClient, sonarQubeClient?.projectKey, isMainBranch ? null : (pullRequest?.base || branchName));
 
   if (shouldBatch(extractedData)) {
     const ceTask = await transferBranchBatched({
       extractedData, sonarcloudConfig, sonarCloudProfiles, branchName,
       referenceBranchName, sonarCloudClient, label, isMainBranch,
-      sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion,
+      sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest, validationLog,
     });
-    return { stats: computeBranchStats(extractedData), ceTask };
+    return { stats: { ...computeBranchStats(extractedData), ...reportValidationStats(validationLog) }, ceTask };
   }
 
   backdateChangesets(extractedData);
 
   logger.info(`[${label}] Building protobuf messages...`);
   const builder = new ProtobufBuilder(extractedData, sonarcloudConfig, sonarCloudProfiles, {
-    sonarCloudBranchName: branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion,
+    sonarCloudBranchName: branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest,
   });
   const messages = builder.buildAll();
+  validateReportMessages(messages, { mode: reportValidation, label, log: validationLog });
 
   logger.info(`[${label}] Encoding to protobuf format...`);
   const encoder = new ProtobufEncoder();
@@ -41,7 +46,7 @@ export async function transferBranch({ extractedData, sonarcloudConfig, sonarClo
   const uploader = new ReportUploader(sonarCloudClient);
   const metadata = {
     projectKey: sonarcloudConfig.projectKey, organization: sonarcloudConfig.organization,
-    version: sourceProjectVersion || '1.0.0', ...(!isMainBranch && branchName ? { branchName } : {}),
+    version: sourceProjectVersion || '1.0.0', ...uploadScope(branchName, isMainBranch, pullRequest),
   };
 
   let ceTask;
@@ -53,5 +58,5 @@ export async function transferBranch({ extractedData, sonarcloudConfig, sonarClo
     logger.info(`[${label}] Upload complete. CE Task ID: ${ceTask.id}`);
   }
 
-  return { stats: computeBranchStats(extractedData), ceTask };
+  return { stats: { ...computeBranchStats(extractedData), ...reportValidationStats(validationLog) }, ceTask };
 }
@@ -0,0 +1,42 @@
+import { mapConcurrent } from '../../../../shared/utils/concurrency.js';
+import { filterPullRequests, pullRequestLabel } from '../../../../shared/utils/pull-requests.js';
+import { transferSinglePullRequest } from './transfer-single-pull-request.js';
+import { aggregatePullRequestResults } from './aggregate-branch-results.js';
+import logger from '../../../../shared/utils/logger.js';
+
+// -------- Main Logic --------
+
+/**
+ * Transfer open pull request analyses to SonarCloud (`transfer.pullRequests`).
+ * Runs after the branches so each PR's target branch already exists.
+ * Updates aggregatedStats in-place.
+ */
+export async function transferPullRequests(opts) {
+  const { sonarQubeClient, pullRequestsConfig, mainBranchResult, wait, sonarCloudClient, performanceConfig, aggregatedStats } = opts;
+
+  const pullRequests = filterPullRequests(await sonarQubeClient.getPullRequests(), pullRequestsConfig);
+
+  if (pullRequests.length === 0) {
+    aggregatedStats.pullRequestsTransferred = [];
+    logger.info('No pull requests to sync');
+    return;
+  }
+
+  if (!wait && mainBranchResult.ceTask?.id) {
+    try {
+      await sonarCloudClient.waitForAnalysis(mainBranchResult.ceTask.id, 600);
+    } catch (error) {
+      logger.warn(`Main branch analysis did not complete: ${error.message} — attempting pull request transfers anyway...`);
+    }
+  }
+
+  logger.info(`Syncing ${pullRequests.length} pull request(s): ${pullRequests.map(pullRequestLabel).join(', ')}`);
+
+  const results = await mapConcurrent(
+    pullRequests,
+    (pullRequest) => transferSinglePullRequest({ ...opts, pullRequest }),
+    { concurrency: performanceConfig?.maxConcurrency || 4, settled: true },
+  );
+
+  aggregatePullRequestResults(results, aggregatedStats);
+}
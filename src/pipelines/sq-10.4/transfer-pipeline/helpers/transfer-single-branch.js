@@ -1,6 +1,7 @@
 import { GracefulShutdownError } from '../../../../shared/utils/errors.js';
 import { transferBranch } from './transfer-branch.js';
 import { checkBranchSkip } from './check-branch-skip.js';
+import { translateExtractedRuleKeys } from '../../../../shared/utils/rule-keys.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Main Logic --------
@@ -12,7 +13,7 @@ import logger from '../../../../shared/utils/logger.js';
  * @returns {Promise<object>} { branchName, branchResult } or { skipped, branchName }
  */
 export async function transferSingleBranch(opts) {
-  const { branch, extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, extractor, journal, cache, stateTracker, isIncremental, shutdownCheck, sonarCloudRepos, ruleEnrichmentMap } = opts;
+  const { branch, extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, extractor, journal, cache, stateTracker, isIncremental, shutdownCheck, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys = null } = opts;
   const branchName = branch.name;
 
   const skipResult = checkBranchSkip(branchName, { shutdownCheck, isIncremental, stateTracker, journal });
@@ -27,9 +28,9 @@ export async function transferSingleBranch(opts) {
       : await extractor.extractBranch(branchName, extractedData);
 
     const branchResult = await transferBranch({
-      extractedData: branchData, sonarcloudConfig, sonarCloudProfiles, branchName,
+      extractedData: translateExtractedRuleKeys(branchData, ruleKeys), sonarcloudConfig, sonarCloudProfiles, branchName,
       referenceBranchName: sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, label: branchName,
-      sonarCloudRepos, ruleEnrichmentMap,
+      sonarCloudRepos, ruleEnrichmentMap, reportValidation,
     });
 
     if (journal) { await journal.recordUpload(branchName, branchResult.ceTask?.id); await journal.markBranchCompleted(branchName, branchResult.ceTask?.id); }
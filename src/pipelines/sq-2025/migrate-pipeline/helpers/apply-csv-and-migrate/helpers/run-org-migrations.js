@@ -1,11 +1,11 @@
 import { mapConcurrent } from '../../../../../../shared/utils/concurrency.js';
-import { migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterprisePortfolios } from '../../../../pipeline/org-migration.js';
+import { migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterpriseViews } from '../../../../pipeline/org-migration.js';
 import { logMigrationSummary } from '../../../../pipeline/results.js';
 import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Run Org Migrations --------
 
-/** Execute org core migrations, portfolios, and metadata sync. */
+/** Execute org core migrations, portfolios/applications, and metadata sync. */
 export async function runOrgMigrations(effectiveOrgAssignments, effectiveExtractedData, effectiveResourceMappings, results, ctx) {
   const orgCoreResults = await mapConcurrent(effectiveOrgAssignments,
     async (assignment) => migrateOneOrganizationCore(assignment, effectiveExtractedData, effectiveResourceMappings, results, ctx),
@@ -23,9 +23,8 @@ export async function runOrgMigrations(effectiveOrgAssignments, effectiveExtract
     }
   }
 
-  const only = ctx.onlyComponents;
   await Promise.all([
-    (!only || only.includes('portfolios')) ? migrateEnterprisePortfolios(effectiveExtractedData, mergedProjectKeyMap, results, ctx) : Promise.resolve(),
+    migrateEnterpriseViews(effectiveExtractedData, mergedProjectKeyMap, results, ctx),
     ...orgPhase2Contexts.map(p2 => migrateOneOrganizationMetadata(p2)),
   ]);
 
@@ -38,8 +38,13 @@ export function buildMigrationContext(options, migrationJournal) {
     skipHotspotSync: migrateConfig.skipHotspotMetadataSync || migrateConfig.skipHotspotSync || false,
     skipQualityProfileSync: migrateConfig.skipQualityProfileSync || false,
     skipProjectConfig: migrateConfig.skipProjectConfig || false,
+    webhookSecrets: migrateConfig.webhookSecrets || 'skip',
+    strictQualityGates: migrateConfig.strictQualityGates || false,
     wait: options.wait || false,
     onlyComponents: migrateConfig.onlyComponents || null,
+    projectFilters: migrateConfig.projects || null,
+    routingRules: migrateConfig.routingRules || null,
+    projectKeyTransform: migrateConfig.projectKeyTransform || null,
     projectBranchIncludes: new Map(),
     migrationJournal: dryRun ? null : migrationJournal,
   };
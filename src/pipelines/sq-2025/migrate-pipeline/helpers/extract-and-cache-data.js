@@ -3,6 +3,7 @@ import { join } from 'node:path';
 import { SonarQubeClient } from '../../sonarqube/api-client.js';
 import { extractAllProjects, extractServerWideData } from '../../pipeline/extraction.js';
 import { runFatalStep } from '../../pipeline/results.js';
+import { sameProjectFilters } from '../../../../shared/mapping/project-filter.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Extract and Cache Server-Wide Data --------
@@ -15,13 +16,15 @@ export async function extractAndCacheData(ctx, results, perfConfig, cachedServer
 
   logger.info('=== Step 2: Extracting server-wide data from SonarQube ===');
 
-  if (cachedServerData) {
+  if (cachedServerData && !sameProjectFilters(cachedServerData.projectFilters, ctx.projectFilters)) {
+    logger.info('Project filters changed since the cached run — re-extracting server-wide data');
+  } else if (cachedServerData) {
     logger.info('Using cached server-wide data (skipping re-extraction)');
     results.serverSteps.push({ step: 'Server-wide data', status: 'cached', detail: 'Loaded from previous run' });
-    return { allProjects: cachedServerData.allProjects, extractedData: cachedServerData.extractedData };
+    return { sqClient, allProjects: cachedServerData.allProjects, extractedData: cachedServerData.extractedData };
   }
 
-  const allProjects = await extractAllProjects(sqClient, results);
+  const allProjects = await extractAllProjects(sqClient, results, ctx.projectFilters);
   const extractedData = await extractServerWideData(sqClient, allProjects, results, perfConfig);
 
   try {
@@ -29,6 +32,7 @@ export async function extractAndCacheData(ctx, results, perfConfig, cachedServer
     await mkdir(cacheDir, { recursive: true });
     const serializable = {
       allProjects,
+      projectFilters: ctx.projectFilters,
       extractedData: {
         ...extractedData,
         projectBindings: [...extractedData.projectBindings.entries()],
@@ -39,5 +43,5 @@ export async function extractAndCacheData(ctx, results, perfConfig, cachedServer
     logger.info('Server-wide data cached for subsequent runs');
   } catch (e) { logger.warn(`Failed to write cache: ${e.message}`); }
 
-  return { allProjects, extractedData };
+  return { sqClient, allProjects, extractedData };
 }
@@ -2,6 +2,7 @@ import { join } from 'node:path';
 import logger from '../../../shared/utils/logger.js';
 import { writeAllReports } from '../../../shared/reports/index.js';
 import { generateOrgMappings } from '../pipeline/org-migration.js';
+import { compileRoutingRules } from '../../../shared/mapping/routing-rules.js';
 import { loadPreExistingData } from './helpers/load-pre-existing-data.js';
 import { handleResumePrompt, setupOutputDir } from './helpers/handle-resume-prompt.js';
 import { buildMigrationContext } from './helpers/build-migration-context.js';
@@ -26,10 +27,11 @@ export async function migrateAll(options) {
   const { results, perfConfig, ctx } = buildMigrationContext(options, migrationJournal);
 
   try {
-    const { allProjects, extractedData } = await extractAndCacheData(ctx, results, perfConfig, cachedServerData);
+    const { sqClient, allProjects, extractedData } = await extractAndCacheData(ctx, results, perfConfig, cachedServerData);
     logger.info('=== Step 3: Generating organization mappings ===');
     const extraMappingData = dryRun ? await collectAssigneeData(options.sonarqubeConfig, allProjects) : {};
-    const { orgMapping, resourceMappings } = await generateOrgMappings(allProjects, extractedData, options.sonarcloudOrgs, outputDir, extraMappingData);
+    const routingRules = await compileRoutingRules(sqClient, ctx.routingRules, options.sonarcloudOrgs, extractedData.portfolios);
+    const { orgMapping, resourceMappings } = await generateOrgMappings(allProjects, extractedData, options.sonarcloudOrgs, outputDir, extraMappingData, routingRules, ctx.projectKeyTransform);
     if (dryRun) return handleDryRun(results, outputDir);
 
     await applyCsvAndMigrate(orgMapping, resourceMappings, extractedData, preExistingCsvs, results, ctx);
@@ -1,8 +1,9 @@
 import { extractQualityGates } from '../../../sonarqube/extractors/quality-gates.js';
-import { extractQualityProfiles } from '../../../sonarqube/extractors/quality-profiles.js';
+import { extractQualityProfiles, extractCustomRules } from '../../../sonarqube/extractors/quality-profiles.js';
 import { extractGroups } from '../../../sonarqube/extractors/groups.js';
-import { extractGlobalPermissions, extractPermissionTemplates } from '../../../sonarqube/extractors/permissions.js';
+import { extractGlobalPermissions, extractGlobalUserPermissions, extractPermissionTemplates } from '../../../sonarqube/extractors/permissions.js';
 import { extractPortfolios } from '../../../sonarqube/extractors/portfolios.js';
+import { extractApplications } from '../../../sonarqube/extractors/applications.js';
 import { extractServerInfo } from '../../../sonarqube/extractors/server-info.js';
 import { extractWebhooks } from '../../../sonarqube/extractors/webhooks.js';
 import { extractAlmSettings, extractAllProjectBindings } from '../../../sonarqube/extractors/devops-bindings.js';
@@ -15,7 +16,7 @@ import { extractAllProjectBranches } from './extract-all-project-branches.js';
 
 /** Orchestrate extraction of all server-wide data. */
 export async function extractServerWideData(sqClient, allProjects, results, perfConfig) {
-  const extractors = { extractQualityGates, extractQualityProfiles, extractGroups, extractGlobalPermissions, extractPermissionTemplates, extractPortfolios, extractServerInfo, extractWebhooks };
+  const extractors = { extractQualityGates, extractQualityProfiles, extractCustomRules, extractGroups, extractGlobalPermissions, extractGlobalUserPermissions, extractPermissionTemplates, extractPortfolios, extractApplications, extractServerInfo, extractWebhooks };
   const core = await extractCoreServerData(sqClient, results, extractors);
 
   const { almSettings, projectBindings } = await extractDevOpsBindings(sqClient, allProjects, results, perfConfig, { extractAlmSettings, extractAllProjectBindings });
@@ -8,4 +8,6 @@ export {
   migrateOneOrganizationCore,
   migrateOneOrganizationMetadata,
   migrateEnterprisePortfolios,
+  migrateEnterpriseApplications,
+  migrateEnterpriseViews,
 } from './org-migration/index.js';
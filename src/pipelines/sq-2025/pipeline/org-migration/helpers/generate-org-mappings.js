@@ -1,17 +1,21 @@
 import { join } from 'node:path';
 import { mapProjectsToOrganizations, mapResourcesToOrganizations } from '../../../../../shared/mapping/org-mapper.js';
 import { generateMappingCsvs } from '../../../../../shared/mapping/csv-generator.js';
+import { planProjectKeys } from '../../../../../shared/mapping/project-key-transform.js';
 
 // -------- Generate Org Mappings --------
 
 /** Generate CSV mappings for org-level project assignments. */
-export async function generateOrgMappings(allProjects, extractedData, sonarcloudOrgs, outputDir, extraMappingData = {}) {
-  const orgMapping = mapProjectsToOrganizations(allProjects, extractedData.projectBindings, sonarcloudOrgs);
+export async function generateOrgMappings(allProjects, extractedData, sonarcloudOrgs, outputDir, extraMappingData = {}, routingRules = null, projectKeyTransform = null) {
+  const orgMapping = mapProjectsToOrganizations(allProjects, extractedData.projectBindings, sonarcloudOrgs, routingRules);
   const resourceMappings = mapResourcesToOrganizations(extractedData, orgMapping.orgAssignments);
+  const plannedProjectKeys = planProjectKeys(orgMapping.orgAssignments, projectKeyTransform);
 
   await generateMappingCsvs({
     orgAssignments: orgMapping.orgAssignments,
     bindingGroups: orgMapping.bindingGroups,
+    projectRouting: orgMapping.projectRouting,
+    plannedProjectKeys,
     projectBindings: extractedData.projectBindings,
     projectMetadata: new Map(allProjects.map(p => [p.key, p])),
     projectBranches: extractedData.projectBranches || new Map(),
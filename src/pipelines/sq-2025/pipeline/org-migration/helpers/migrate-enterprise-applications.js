@@ -0,0 +1,34 @@
+import { migratePortfolios } from '../../../sonarcloud/migrators/portfolios.js';
+import logger from '../../../../../shared/utils/logger.js';
+import { completePortfolioKeyMap } from '../../../../../shared/mapping/project-key-transform.js';
+import { handleMissingEnterpriseKey } from '../../../../../shared/utils/portfolio-skip.js';
+import { planApplicationPortfolios, listBranchSelections } from '../../../../../shared/utils/applications.js';
+
+// -------- Migrate Enterprise Applications --------
+
+/** Recreate applications as enterprise portfolios (V2 Enterprise API). */
+export async function migrateEnterpriseApplications(extractedData, mergedProjectKeyMap, results, ctx) {
+  const enterpriseConfig = ctx.enterpriseConfig;
+  const applications = extractedData.applications || [];
+  if (applications.length === 0) { logger.info('No applications to migrate'); return; }
+  if (!enterpriseConfig?.key) { handleMissingEnterpriseKey(applications, results, 'application'); return; }
+
+  if (ctx.onlyComponents?.includes('applications')) {
+    logger.warn('Note: --only applications requires that the application projects are already migrated to SonarCloud.');
+  }
+
+  const start = Date.now();
+  try {
+    logger.info('Creating application portfolios via Enterprise V2 API...');
+    const orgConfig = ctx.sonarcloudOrgs[0];
+    const portfolios = planApplicationPortfolios(applications, extractedData.portfolios || []);
+    const projectKeyMap = completePortfolioKeyMap(portfolios, mergedProjectKeyMap, ctx.projectKeyTransform);
+    const created = await migratePortfolios(portfolios, projectKeyMap, enterpriseConfig, orgConfig, ctx.rateLimitConfig, results.portfolioMembershipChanges);
+    results.applications += created;
+    results.applicationBranchSelections.push(...listBranchSelections(applications));
+    logger.info(`Enterprise application portfolios: ${created} created`);
+  } catch (error) {
+    logger.error(`Failed to create application portfolios: ${error.message}`);
+  }
+  logger.debug(`Application migration took ${Date.now() - start}ms`);
+}
@@ -0,0 +1,11 @@
+import { migrateEnterprisePortfolios } from './migrate-enterprise-portfolios.js';
+import { migrateEnterpriseApplications } from './migrate-enterprise-applications.js';
+
+// -------- Migrate Enterprise Views --------
+
+/** Migrate portfolios, then applications (both become enterprise portfolios). */
+export async function migrateEnterpriseViews(extractedData, mergedProjectKeyMap, results, ctx) {
+  const only = ctx.onlyComponents;
+  if (!only || only.includes('portfolios')) await migrateEnterprisePortfolios(extractedData, mergedProjectKeyMap, results, ctx);
+  if (!only || only.includes('applications')) await migrateEnterpriseApplications(extractedData, mergedProjectKeyMap, results, ctx);
+}
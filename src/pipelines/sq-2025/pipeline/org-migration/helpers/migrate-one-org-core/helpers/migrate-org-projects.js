@@ -6,13 +6,13 @@ import logger from '../../../../../../../shared/utils/logger.js';
 /** Resolve project keys or run full project core migration. */
 export async function migrateOrgProjects(projects, org, scClient, gateMapping, extractedData, results, ctx, builtInProfileMapping) {
   const only = ctx.onlyComponents;
-  const PROJECT_COMPONENTS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings'];
+  const PROJECT_COMPONENTS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings', 'webhooks'];
   const hasProjectWork = !only || PROJECT_COMPONENTS.some(c => only.includes(c));
 
   if (!hasProjectWork) {
     const projectKeyMap = new Map();
     for (const project of projects) {
-      const { scProjectKey } = await resolveProjectKey(project, org, scClient);
+      const { scProjectKey } = await resolveProjectKey(project, org, scClient, ctx.projectKeyTransform);
       projectKeyMap.set(project.key, scProjectKey);
     }
     logger.info(`Skipping project migration. Resolved ${projectKeyMap.size} project key(s).`);
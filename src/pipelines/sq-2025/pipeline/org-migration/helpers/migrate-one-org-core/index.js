@@ -2,6 +2,7 @@ import { SonarQubeClient } from '../../../../sonarqube/api-client.js';
 import { SonarCloudClient } from '../../../../sonarcloud/api-client.js';
 import { loadCachedMappings } from '../load-cached-mappings.js';
 import { migrateOrgProjects } from './helpers/migrate-org-projects.js';
+import { loadRuleKeyTranslator } from '../../../../../../shared/utils/rule-keys.js';
 import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Migrate One Organization Core --------
@@ -25,6 +26,7 @@ export async function migrateOneOrganizationCore(assignment, extractedData, reso
   catch (error) { orgResult.steps.push({ step: 'Connect to SonarCloud', status: 'failed', error: error.message }); logger.error(`Failed to connect to SC org ${org.key}: ${error.message}`); return null; }
 
   const sqClient = new SonarQubeClient({ url: ctx.sonarqubeConfig.url, token: ctx.sonarqubeConfig.token });
+  if (!ctx.ruleKeys) ctx.ruleKeys = await loadRuleKeyTranslator(sqClient, scClient);
 
   const { gateMapping, builtInProfileMapping } = await loadCachedMappings(org, migrationJournal, ctx, orgResult, results, extractedData, scClient, sqClient);
 
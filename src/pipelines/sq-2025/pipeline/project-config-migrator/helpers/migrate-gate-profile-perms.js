@@ -1,12 +1,12 @@
-import { extractProjectPermissions } from '../../../sonarqube/extractors/permissions.js';
+import { extractProjectPermissions, extractProjectUserPermissions } from '../../../sonarqube/extractors/permissions.js';
 import { assignQualityGatesToProjects } from '../../../sonarcloud/migrators/quality-gates.js';
-import { migrateProjectPermissions } from '../../../sonarcloud/migrators/permissions.js';
+import { migrateProjectPermissions, migrateProjectUserPermissions } from '../../../sonarcloud/migrators/permissions.js';
 import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Migrate Gate, Profile, Permissions Block --------
 
 /** Run the parallel quality gate, profiles, and permissions block. */
-export async function migrateGateProfilePerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guard) {
+export async function migrateGateProfilePerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guard, userMappings = null) {
   const shouldRun = (c) => !onlyComponents || onlyComponents.includes(c);
 
   await Promise.all([
@@ -39,6 +39,9 @@ export async function migrateGateProfilePerms(project, scProjectKey, projectSqCl
         await guard('Project permissions', 'project_permissions', async () => {
           const perms = await extractProjectPermissions(projectSqClient, project.key);
           await migrateProjectPermissions(scProjectKey, perms, projectScClient);
+          const userPerms = await extractProjectUserPermissions(projectSqClient, project.key);
+          const users = await migrateProjectUserPermissions(scProjectKey, userPerms, projectScClient, userMappings);
+          return `${users.granted} user permission(s) granted`;
         });
       } else if (onlyComponents) {
         projectResult.steps.push({ step: 'Project permissions', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
@@ -2,11 +2,12 @@ import logger from '../../../../../shared/utils/logger.js';
 import { runProjectStep } from './run-project-step.js';
 import { migrateProjectSettingsBlock } from './migrate-project-settings-block.js';
 import { migrateGateProfilePerms } from './migrate-gate-profile-perms.js';
+import { migrateProjectWebhooks } from './migrate-project-webhooks.js';
 
 // -------- Migrate Project Config --------
 
-/** Orchestrate project config migration (settings, gates, profiles, permissions). */
-export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}) {
+/** Orchestrate project config migration (settings, gates, profiles, permissions, webhooks). */
+export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}, userMappings = null, webhookSecrets = 'skip') {
   const shouldRun = (c) => !onlyComponents || onlyComponents.includes(c);
   const { isStepDone: stepDone, recordStep: recStep } = journal;
 
@@ -29,5 +30,6 @@ export async function migrateProjectConfig(project, scProjectKey, projectSqClien
     }
   }
 
-  await migrateGateProfilePerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guard);
+  await migrateGateProfilePerms(project, scProjectKey, projectSqClient, projectScClient, gateMapping, builtInProfileMapping, projectResult, onlyComponents, guard, userMappings);
+  await migrateProjectWebhooks(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, guard, webhookSecrets);
 }
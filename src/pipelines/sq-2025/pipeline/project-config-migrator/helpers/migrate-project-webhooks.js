@@ -0,0 +1,17 @@
+import { extractWebhooks } from '../../../sonarqube/extractors/webhooks.js';
+import { migrateWebhooks } from '../../../sonarcloud/migrators/webhooks.js';
+
+// -------- Migrate Project Webhooks --------
+
+/** Recreate the project's SonarQube webhooks on the SonarCloud project. */
+export async function migrateProjectWebhooks(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, guard, webhookSecrets) {
+  if (onlyComponents && !onlyComponents.includes('webhooks')) {
+    projectResult.steps.push({ step: 'Project webhooks', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
+    return;
+  }
+  await guard('Project webhooks', 'project_webhooks', async () => {
+    const webhooks = await extractWebhooks(projectSqClient, project.key);
+    const r = await migrateWebhooks(webhooks, projectScClient, { projectKey: scProjectKey, secretMode: webhookSecrets });
+    return `${r.created} created, ${r.skipped} already present, ${r.failed} failed`;
+  });
+}
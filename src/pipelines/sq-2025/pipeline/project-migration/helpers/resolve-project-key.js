@@ -1,4 +1,5 @@
 import logger from '../../../../../shared/utils/logger.js';
+import { transformProjectKey } from '../../../../../shared/mapping/project-key-transform.js';
 
 // -------- Project Key Resolution --------
 
@@ -9,16 +10,18 @@ import logger from '../../../../../shared/utils/logger.js';
  * @param {object} project - SonarQube project
  * @param {object} org - SonarCloud organization
  * @param {object} scClient - SonarCloud client
+ * @param {object} [keyTransform] - `migrate.projectKeyTransform`, applied before the conflict check
  * @returns {Promise<{scProjectKey: string, warning: object|null}>}
  */
-export async function resolveProjectKey(project, org, scClient) {
-  let scProjectKey = project.key;
+export async function resolveProjectKey(project, org, scClient, keyTransform = null) {
+  const baseKey = transformProjectKey(project.key, keyTransform, org.key);
+  let scProjectKey = baseKey;
   let warning = null;
 
-  const globalCheck = await scClient.isProjectKeyTakenGlobally(project.key);
+  const globalCheck = await scClient.isProjectKeyTakenGlobally(baseKey);
   if (globalCheck.taken && globalCheck.owner !== org.key) {
-    scProjectKey = `${org.key}_${project.key}`;
-    logger.warn(`Project key "${project.key}" taken by "${globalCheck.owner}". Using "${scProjectKey}" instead.`);
+    scProjectKey = `${org.key}_${baseKey}`;
+    logger.warn(`Project key "${baseKey}" taken by "${globalCheck.owner}". Using "${scProjectKey}" instead.`);
     warning = { sqKey: project.key, scKey: scProjectKey, owner: globalCheck.owner };
   }
 
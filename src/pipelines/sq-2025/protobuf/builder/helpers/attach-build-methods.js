@@ -9,6 +9,8 @@ import { buildActiveRules } from './build-active-rules.js';
 import { buildQProfiles } from './build-qprofiles.js';
 import { buildFileCountsByType, buildPlugins } from './build-file-counts.js';
 import { buildChangesets } from './build-changesets.js';
+import { buildSyntaxHighlightings, buildSymbols } from './build-source-markup.js';
+import { buildLineCoverages } from './build-line-coverage.js';
 import { buildAll } from './build-all-messages.js';
 
 // -------- Attach Build Methods --------
@@ -29,5 +31,8 @@ export function attachBuildMethods(inst) {
   inst.buildFileCountsByType = () => buildFileCountsByType(inst);
   inst.buildPlugins = () => buildPlugins();
   inst.buildChangesets = () => buildChangesets(inst);
+  inst.buildSyntaxHighlightings = () => buildSyntaxHighlightings(inst);
+  inst.buildSymbols = () => buildSymbols(inst);
+  inst.buildLineCoverages = () => buildLineCoverages(inst);
   inst.buildAll = () => buildAll(inst);
 }
@@ -18,6 +18,9 @@ export function buildAll(inst) {
       sourceFiles: inst.buildSourceFiles(),
       activeRules: inst.buildActiveRules(),
       changesetsByComponent: inst.buildChangesets(),
+      syntaxHighlightingsByComponent: inst.buildSyntaxHighlightings(),
+      symbolsByComponent: inst.buildSymbols(),
+      coveragesByComponent: inst.buildLineCoverages(),
       duplicationsByComponent: inst.buildDuplications(),
       externalIssuesByComponent: externalResult.externalIssuesByComponent,
       adHocRules: externalResult.adHocRules,
@@ -0,0 +1,22 @@
+import logger from '../../../../../shared/utils/logger.js';
+
+// -------- Build Line Coverage --------
+
+// Only files whose source ships in the report get coverage; lines past the end of the source are dropped.
+
+export function buildLineCoverages(inst) {
+  logger.info('Building line coverage messages...');
+  const coveragesByComponent = new Map();
+  if (!inst.data.lineCoverage) return coveragesByComponent;
+  const lineCountByKey = new Map((inst.data.sources || []).map(source => [source.key, source.lines.length]));
+
+  inst.data.lineCoverage.forEach((coverageData, componentKey) => {
+    if (!inst.componentRefMap.has(componentKey) || !lineCountByKey.has(componentKey)) return;
+    const lineCount = lineCountByKey.get(componentKey);
+    const lines = coverageData.lines.filter(entry => entry.line >= 1 && entry.line <= lineCount);
+    if (lines.length > 0) coveragesByComponent.set(inst.componentRefMap.get(componentKey), lines);
+  });
+
+  logger.info(`Built line coverage for ${coveragesByComponent.size} files`);
+  return coveragesByComponent;
+}
@@ -1,5 +1,6 @@
 import { randomBytes } from 'node:crypto';
 import logger from '../../../../../shared/utils/logger.js';
+import { buildPullRequestMetadata } from '../../../../../shared/utils/pull-requests.js';
 
 // -------- Build Metadata --------
 
@@ -22,6 +23,7 @@ export function buildMetadata(inst) {
     projectVersion: inst.sourceProjectVersion || '1.0.0',
     analyzedIndexedFileCountPerType: inst.buildFileCountsByType(),
   };
+  if (inst.pullRequest) Object.assign(metadata, buildPullRequestMetadata(inst.pullRequest, referenceBranch));
 
   logger.debug(`Metadata built: projectKey=${metadata.projectKey}, branch=${metadata.branchName}, scmRevisionId=${metadata.scmRevisionId}`);
   return metadata;
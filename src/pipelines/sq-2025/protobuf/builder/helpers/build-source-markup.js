@@ -0,0 +1,38 @@
+import logger from '../../../../../shared/utils/logger.js';
+import { filterRangesToSource } from '../../../../../shared/utils/source-markup.js';
+
+// -------- Build Source Markup --------
+
+// Only files whose source ships in the report get highlighting or symbols;
+// each value is the list of delimited SyntaxHighlightingRule / Symbol messages for that file.
+
+function buildByComponent(inst, extracted, field, rangesOf) {
+  const byComponent = new Map();
+  if (!extracted) return byComponent;
+  const linesByKey = new Map((inst.data.sources || []).map(source => [source.key, source.lines]));
+  let dropped = 0;
+
+  extracted.forEach((fileData, componentKey) => {
+    if (!inst.componentRefMap.has(componentKey) || !linesByKey.has(componentKey)) return;
+    const items = filterRangesToSource(fileData[field], rangesOf, linesByKey.get(componentKey));
+    dropped += fileData[field].length - items.length;
+    if (items.length > 0) byComponent.set(inst.componentRefMap.get(componentKey), items);
+  });
+
+  if (dropped > 0) logger.warn(`Dropped ${dropped} ${field} whose ranges fall outside the report source`);
+  return byComponent;
+}
+
+export function buildSyntaxHighlightings(inst) {
+  logger.info('Building syntax highlighting messages...');
+  const highlightingsByComponent = buildByComponent(inst, inst.data.syntaxHighlightings, 'rules', rule => [rule.range]);
+  logger.info(`Built syntax highlighting for ${highlightingsByComponent.size} files`);
+  return highlightingsByComponent;
+}
+
+export function buildSymbols(inst) {
+  logger.info('Building symbol table messages...');
+  const symbolsByComponent = buildByComponent(inst, inst.data.symbols, 'symbols', symbol => [symbol.declaration, ...symbol.reference]);
+  logger.info(`Built symbol tables for ${symbolsByComponent.size} files`);
+  return symbolsByComponent;
+}
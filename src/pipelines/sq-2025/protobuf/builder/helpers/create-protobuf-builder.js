@@ -15,6 +15,7 @@ export function createProtobufBuilder(extractedData, sonarCloudConfig = {}, sona
     sonarCloudRepos: options.sonarCloudRepos || new Set(),
     ruleEnrichmentMap: options.ruleEnrichmentMap || new Map(),
     sourceProjectVersion: options.sourceProjectVersion || null,
+    pullRequest: options.pullRequest || null,
   };
 
   inst.getComponentRef = (key) => {
@@ -19,6 +19,9 @@ export function createProtobufEncoder() {
   inst.encodeExternalIssueDelimited = (i) => encodeMessageDelimited(inst.root, 'ExternalIssue', i);
   inst.encodeAdHocRuleDelimited = (r) => encodeMessageDelimited(inst.root, 'AdHocRule', r);
   inst.encodeDuplicationDelimited = (d) => encodeMessageDelimited(inst.root, 'Duplication', d);
+  inst.encodeSyntaxHighlightingRuleDelimited = (r) => encodeMessageDelimited(inst.root, 'SyntaxHighlightingRule', r);
+  inst.encodeSymbolDelimited = (s) => encodeMessageDelimited(inst.root, 'Symbol', s);
+  inst.encodeLineCoverageDelimited = (c) => encodeMessageDelimited(inst.root, 'LineCoverage', c);
   inst.encodeAll = (messages) => encodeAllMessages(inst, messages);
 
   return inst;
@@ -20,6 +20,9 @@ export function encodeAllMessages(inst, messages) {
       externalIssues: encodeComponentMap(messages.externalIssuesByComponent, i => inst.encodeExternalIssueDelimited(i)),
       adHocRules: messages.adHocRules?.length > 0 ? Buffer.concat(messages.adHocRules.map(r => inst.encodeAdHocRuleDelimited(r))) : Buffer.alloc(0),
       duplications: encodeComponentMap(messages.duplicationsByComponent, d => inst.encodeDuplicationDelimited(d)),
+      syntaxHighlightings: encodeComponentMap(messages.syntaxHighlightingsByComponent, r => inst.encodeSyntaxHighlightingRuleDelimited(r)),
+      symbols: encodeComponentMap(messages.symbolsByComponent, s => inst.encodeSymbolDelimited(s)),
+      coverages: encodeComponentMap(messages.coveragesByComponent, c => inst.encodeLineCoverageDelimited(c)),
     };
 
     logger.info('All messages encoded successfully');
@@ -7,5 +7,8 @@ export function attachGateMethods(inst, client, org) {
   inst.createQualityGate = (n) => qg.createQualityGate(client, org, n);
   inst.createQualityGateCondition = (g, m, o, e) => qg.createQualityGateCondition(client, org, g, m, o, e);
   inst.setDefaultQualityGate = (id) => qg.setDefaultQualityGate(client, org, id);
+  inst.deleteQualityGate = (id) => qg.deleteQualityGate(client, org, id);
+  inst.updateQualityGateCondition = (id, m, op, e) => qg.updateQualityGateCondition(client, org, id, m, op, e);
+  inst.deleteQualityGateCondition = (id) => qg.deleteQualityGateCondition(client, org, id);
   inst.assignQualityGateToProject = (g, pk) => qg.assignQualityGateToProject(client, org, g, pk);
 }
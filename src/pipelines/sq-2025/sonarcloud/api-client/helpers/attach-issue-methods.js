@@ -10,8 +10,12 @@ export function attachIssueMethods(inst, client, org) {
   inst.assignIssue = (i, a) => iss.assignIssue(client, i, a);
   inst.addIssueComment = (i, t) => iss.addIssueComment(client, i, t);
   inst.setIssueTags = (i, t) => iss.setIssueTags(client, i, t);
+  inst.setIssueSeverity = (i, s) => iss.setIssueSeverity(client, i, s);
+  inst.setIssueType = (i, t) => iss.setIssueType(client, i, t);
+  inst.setIssueImpactSeverity = (i, q, s) => iss.setIssueImpactSeverity(client, i, q, s);
   inst.searchIssues = (pk, f = {}) => iss.searchIssues(client, org, pk, f);
   inst.changeHotspotStatus = (h, s, r = null) => hs.changeHotspotStatus(client, h, s, r);
   inst.searchHotspots = (pk, f = {}) => hs.searchHotspots(client, pk, f);
   inst.addHotspotComment = (h, t) => hs.addHotspotComment(client, h, t);
+  inst.assignHotspot = (h, a) => hs.assignHotspot(client, h, a);
 }
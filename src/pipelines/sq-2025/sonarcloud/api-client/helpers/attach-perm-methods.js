@@ -6,11 +6,15 @@ import * as pc from '../../api/project-config.js';
 /** Attach permission and project config API methods to the client instance. */
 export function attachPermMethods(inst, client, org, pk) {
   inst.createGroup = (n, d = '') => perms.createGroup(client, org, n, d);
+  inst.addGroupMember = (g, l) => perms.addGroupMember(client, org, g, l);
   inst.addGroupPermission = (g, p) => perms.addGroupPermission(client, org, g, p);
   inst.addProjectGroupPermission = (g, projKey, p) => perms.addProjectGroupPermission(client, org, g, projKey, p);
+  inst.addUserPermission = (l, p) => perms.addUserPermission(client, org, l, p);
+  inst.addProjectUserPermission = (l, projKey, p) => perms.addProjectUserPermission(client, org, l, projKey, p);
   inst.grantAllPermissionsOnAllProjects = (g) => perms.grantAllPermissionsOnAllProjects(client, org, g);
   inst.createPermissionTemplate = (n, d = '', p = '') => perms.createPermissionTemplate(client, org, n, d, p);
   inst.addGroupToTemplate = (t, g, p) => perms.addGroupToTemplate(client, org, t, g, p);
+  inst.addUserToTemplate = (t, l, p) => perms.addUserToTemplate(client, org, t, l, p);
   inst.setDefaultTemplate = (t, q = 'TRK') => perms.setDefaultTemplate(client, org, t, q);
   inst.setProjectSetting = (k, v, c = null) => pc.setProjectSetting(client, k, v, c || pk);
   inst.setProjectTags = (projKey, t) => pc.setProjectTags(client, projKey, t);
@@ -19,4 +23,6 @@ export function attachPermMethods(inst, client, org, pk) {
   inst.setGitlabBinding = (projKey, a, r) => pc.setGitlabBinding(client, projKey, a, r);
   inst.setAzureBinding = (projKey, a, p, r) => pc.setAzureBinding(client, projKey, a, p, r);
   inst.setBitbucketBinding = (projKey, a, r, s) => pc.setBitbucketBinding(client, projKey, a, r, s);
+  inst.createWebhook = (n, u, s = null, projKey = null) => pc.createWebhook(client, org, n, u, s, projKey);
+  inst.listWebhooks = (projKey = null) => pc.listWebhooks(client, org, projKey);
 }
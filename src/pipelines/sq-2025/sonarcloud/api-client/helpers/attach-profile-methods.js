@@ -14,4 +14,7 @@ export function attachProfileMethods(inst, client, org, pk) {
   inst.getActiveRules = (profileKey) => qp.getActiveRules(client, org, profileKey);
   inst.getActiveRulesWithCleanCodeFields = (profileKey) => qp.getActiveRulesWithCleanCodeFields(client, org, profileKey);
   inst.addQualityProfileToProject = (l, q, projKey) => qp.addQualityProfileToProject(client, org, l, q, projKey);
+  inst.createRule = (p) => qp.createRule(client, org, p);
+  inst.getDeprecatedRuleKeys = () => qp.getDeprecatedRuleKeys(client, org);
+  inst.getRuleActivations = (pk) => qp.getRuleActivations(client, org, pk);
 }
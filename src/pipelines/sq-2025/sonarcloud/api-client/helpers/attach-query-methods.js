@@ -20,8 +20,12 @@ export function attachQueryMethods(inst, client, org, pk) {
   inst.getNewCodePeriods = (projKey) => qm2.getNewCodePeriods(client, projKey);
   inst.getProjectBinding = (projKey) => qm3.getProjectBinding(client, projKey);
   inst.getGroups = () => qm3.getGroups(client, org);
+  inst.getOrganizationMembers = () => qm3.getOrganizationMembers(client, org);
   inst.getGlobalPermissions = () => qm3.getGlobalPermissions(client, org);
   inst.getProjectPermissions = (projKey) => qm3.getProjectPermissions(client, projKey, org);
+  inst.getGlobalUserPermissions = () => qm3.getGlobalUserPermissions(client, org);
+  inst.getProjectUserPermissions = (projKey) => qm3.getProjectUserPermissions(client, projKey, org);
+  inst.getTemplateUserPermissions = (t) => qm3.getTemplateUserPermissions(client, t, org);
   inst.getPermissionTemplates = () => qm3.getPermissionTemplates(client, org);
   inst.searchIssuesWithComments = (projKey, f = {}) => qm4.searchIssuesWithComments(client, org, projKey, f);
   inst.getHotspotDetails = (hk) => qm4.getHotspotDetails(client, hk);
@@ -1,7 +1,7 @@
 import { createAxiosClient } from './create-axios-client.js';
 import { testConnection, projectExists, ensureProject } from './project-methods.js';
 import { isProjectKeyTakenGlobally } from './project-key-check.js';
-import { getMostRecentCeTask, getAnalysisStatus, waitForAnalysis } from './ce-task-methods.js';
+import { getMostRecentCeTask, getLatestAnalysis, createProjectEvent, getAnalysisStatus, waitForAnalysis } from './ce-task-methods.js';
 import { attachProfileMethods } from './attach-profile-methods.js';
 import { attachGateMethods } from './attach-gate-methods.js';
 import { attachIssueMethods } from './attach-issue-methods.js';
@@ -31,6 +31,8 @@ export function createSonarCloudClient(config) {
     isProjectKeyTakenGlobally: (pk) => isProjectKeyTakenGlobally(client, pk),
     ensureProject: (name = null) => ensureProject(client, config.projectKey, config.organization, name),
     getMostRecentCeTask: () => getMostRecentCeTask(client, config.projectKey),
+    getLatestAnalysis: () => getLatestAnalysis(client, config.projectKey),
+    createProjectEvent: (analysisKey, name, category) => createProjectEvent(client, analysisKey, name, category),
     getAnalysisStatus: (id) => getAnalysisStatus(client, id),
     waitForAnalysis: (id, max = 300) => waitForAnalysis(client, id, max),
   };
@@ -19,6 +19,12 @@ export async function getGroups(client, organization) {
   return getPaginated(client, '/api/user_groups/search', { organization }, 'groups');
 }
 
+/** Get the logins of all organization members. */
+export async function getOrganizationMembers(client, organization) {
+  const users = await getPaginated(client, '/api/organizations/search_members', { organization }, 'users');
+  return users.map(u => u.login);
+}
+
 /** Get global permission groups. */
 export async function getGlobalPermissions(client, organization) {
   return getPaginated(client, '/api/permissions/groups', { organization, ps: 100 }, 'groups');
@@ -29,6 +35,21 @@ export async function getProjectPermissions(client, projectKey, organization) {
   return getPaginated(client, '/api/permissions/groups', { projectKey, organization, ps: 100 }, 'groups');
 }
 
+/** Get global user permissions. */
+export async function getGlobalUserPermissions(client, organization) {
+  return getPaginated(client, '/api/permissions/users', { organization, ps: 100 }, 'users');
+}
+
+/** Get project-level user permissions. */
+export async function getProjectUserPermissions(client, projectKey, organization) {
+  return getPaginated(client, '/api/permissions/users', { projectKey, organization, ps: 100 }, 'users');
+}
+
+/** Get the users granted permissions by a permission template. */
+export async function getTemplateUserPermissions(client, templateId, organization) {
+  return getPaginated(client, '/api/permissions/template_users', { templateId, organization, ps: 100 }, 'users');
+}
+
 /** Get permission templates. */
 export async function getPermissionTemplates(client, organization) {
   const response = await client.get('/api/permissions/search_templates', { params: { organization } });
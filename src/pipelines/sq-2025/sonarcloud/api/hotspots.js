@@ -47,3 +47,11 @@ export async function addHotspotComment(client, hotspot, text) {
     params: { hotspot, comment: text }
   });
 }
+
+export async function assignHotspot(client, hotspot, assignee) {
+  logger.debug(`Assigning hotspot ${hotspot} to ${assignee}`);
+
+  await client.post('/api/hotspots/assign', null, {
+    params: { hotspot, assignee }
+  });
+}
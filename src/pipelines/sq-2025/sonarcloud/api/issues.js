@@ -1,4 +1,4 @@
 // -------- Re-export: Issues API --------
 
-export { transitionIssue, assignIssue, addIssueComment, setIssueTags, getIssueChangelog } from './issues/index.js';
+export { transitionIssue, assignIssue, addIssueComment, setIssueTags, setIssueSeverity, setIssueType, setIssueImpactSeverity, getIssueChangelog } from './issues/index.js';
 export { searchIssues } from './issues/index.js';
@@ -1,4 +1,4 @@
 // -------- Issues API --------
 
-export { transitionIssue, assignIssue, addIssueComment, setIssueTags, getIssueChangelog } from './helpers/issue-actions.js';
+export { transitionIssue, assignIssue, addIssueComment, setIssueTags, setIssueSeverity, setIssueType, setIssueImpactSeverity, getIssueChangelog } from './helpers/issue-actions.js';
 export { searchIssues } from './helpers/search-issues.js';
@@ -1,4 +1,5 @@
 // -------- Re-export: Permissions --------
 
-export { createGroup, addGroupPermission, addProjectGroupPermission, grantAllPermissionsOnAllProjects } from './permissions/helpers/group-permissions.js';
+export { createGroup, addGroupMember, addGroupPermission, addProjectGroupPermission, grantAllPermissionsOnAllProjects } from './permissions/helpers/group-permissions.js';
 export { createPermissionTemplate, addGroupToTemplate, setDefaultTemplate } from './permissions/helpers/template-permissions.js';
+export { addUserPermission, addProjectUserPermission, addUserToTemplate } from './permissions/helpers/user-permissions.js';
@@ -11,6 +11,14 @@ export async function createGroup(client, organization, name, description = '')
   return response.data.group;
 }
 
+/** Add an organization member to a group. */
+export async function addGroupMember(client, organization, groupName, login) {
+  logger.debug(`Adding user ${login} to group ${groupName}`);
+  await client.post('/api/user_groups/add_user', null, {
+    params: { name: groupName, login, organization }
+  });
+}
+
 /** Add a global permission to a group. */
 export async function addGroupPermission(client, organization, groupName, permission) {
   logger.debug(`Adding ${permission} permission to group ${groupName}`);
@@ -1,4 +1,5 @@
 // -------- Permissions API --------
 
-export { createGroup, addGroupPermission, addProjectGroupPermission, grantAllPermissionsOnAllProjects } from './helpers/group-permissions.js';
+export { createGroup, addGroupMember, addGroupPermission, addProjectGroupPermission, grantAllPermissionsOnAllProjects } from './helpers/group-permissions.js';
 export { createPermissionTemplate, addGroupToTemplate, setDefaultTemplate } from './helpers/template-permissions.js';
+export { addUserPermission, addProjectUserPermission, addUserToTemplate } from './helpers/user-permissions.js';
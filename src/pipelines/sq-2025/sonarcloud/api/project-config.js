@@ -4,3 +4,4 @@ export { setProjectSetting } from './project-config/index.js';
 export { setProjectTags } from './project-config/index.js';
 export { createProjectLink } from './project-config/index.js';
 export { setGithubBinding, setGitlabBinding, setAzureBinding, setBitbucketBinding } from './project-config/index.js';
+export { createWebhook, listWebhooks } from './project-config/index.js';
@@ -4,3 +4,4 @@ export { setProjectSetting } from './helpers/set-project-setting.js';
 export { setProjectTags } from './helpers/set-project-tags.js';
 export { createProjectLink } from './helpers/create-project-link.js';
 export { setGithubBinding, setGitlabBinding, setAzureBinding, setBitbucketBinding } from './helpers/set-alm-bindings.js';
+export { createWebhook, listWebhooks } from './helpers/webhooks.js';
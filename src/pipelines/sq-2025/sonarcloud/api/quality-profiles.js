@@ -7,3 +7,6 @@ export { setDefaultQualityProfile, addQualityProfileGroupPermission, addQualityP
 export { searchQualityProfiles } from './quality-profiles/index.js';
 export { getActiveRules } from './quality-profiles/index.js';
 export { getActiveRulesWithCleanCodeFields } from './quality-profiles/index.js';
+export { createRule } from './quality-profiles/index.js';
+export { getDeprecatedRuleKeys } from './quality-profiles/index.js';
+export { getRuleActivations } from './quality-profiles/index.js';
@@ -0,0 +1,23 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { collectRuleActivations } from '../../../../../../shared/utils/quality-profile-tuning.js';
+
+// -------- Get Rule Activations --------
+
+/** Fetch how each rule is activated in a profile (severity, parameters, impacts, inheritance). */
+export async function getRuleActivations(client, organization, profileKey) {
+  logger.debug(`Fetching rule activations for SC profile: ${profileKey}`);
+  const activations = [];
+  let page = 1;
+  const pageSize = 500;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const response = await client.get('/api/rules/search', { params: { organization, qprofile: profileKey, activation: 'true', f: 'actives', ps: pageSize, p: page } });
+    const rules = response.data.rules || [];
+    activations.push(...collectRuleActivations(response.data.actives, profileKey));
+    if (page * pageSize >= (response.data.total || 0) || rules.length < pageSize) break;
+    page++;
+  }
+
+  return activations;
+}
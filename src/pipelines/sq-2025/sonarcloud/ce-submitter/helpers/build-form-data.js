@@ -11,7 +11,10 @@ export async function buildFormData(client, reportData, metadata) {
   form.append('projectKey', client.projectKey);
   form.append('organization', client.organization);
 
-  if (metadata.branchName) {
+  if (metadata.pullRequestKey) {
+    form.append('characteristic', `pullRequest=${metadata.pullRequestKey}`);
+    logger.info(`Pull request characteristics: pullRequest=${metadata.pullRequestKey}`);
+  } else if (metadata.branchName) {
     form.append('characteristic', `branch=${metadata.branchName}`);
     form.append('characteristic', 'branchType=LONG');
     logger.info(`Branch characteristics: branch=${metadata.branchName}, branchType=LONG`);
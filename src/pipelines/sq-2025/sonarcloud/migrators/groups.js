@@ -1,4 +1,5 @@
 import logger from '../../../../shared/utils/logger.js';
+import { planGroupMemberships } from '../../../../shared/mapping/group-memberships.js';
 
 /**
  * Migrate user groups from SonarQube to SonarCloud
@@ -32,3 +33,45 @@ export async function migrateGroups(extractedGroups, client) {
 
   return groupMapping;
 }
+
+/**
+ * Add the SonarQube members of each migrated group to its SonarCloud counterpart
+ * @param {Array} extractedGroups - Groups extracted from SonarQube, with member logins
+ * @param {Map<string, object>} groupMapping - Groups created by migrateGroups()
+ * @param {import('../api-client.js').SonarCloudClient} client - SonarCloud client
+ * @param {Map|null} userMappings - SonarQube login -> SonarCloud login mappings from user-mappings.csv
+ * @returns {Promise<{added: number, excluded: number, warnings: Array}>} Membership stats and the users that were not added
+ */
+export async function migrateGroupMemberships(extractedGroups, groupMapping, client, userMappings = null) {
+  const groups = extractedGroups.filter(g => groupMapping.has(g.name) && g.members?.length > 0);
+  if (groups.length === 0) return { added: 0, excluded: 0, warnings: [] };
+
+  let orgMembers = null;
+  try {
+    orgMembers = new Set(await client.getOrganizationMembers());
+  } catch (error) {
+    logger.warn(`Failed to list organization members, adding group members without checking membership: ${error.message}`);
+  }
+
+  const plan = planGroupMemberships(groups, userMappings, orgMembers);
+  const warnings = [...plan.warnings];
+  let added = 0;
+
+  for (const { group, sqLogin, scLogin } of plan.additions) {
+    try {
+      await client.addGroupMember(group, scLogin);
+      added++;
+    } catch (error) {
+      warnings.push({ group, sqLogin, scLogin, reason: 'failed', error: error.message });
+      logger.warn(`Failed to add ${scLogin} to group ${group}: ${error.message}`);
+    }
+  }
+
+  for (const w of plan.warnings) {
+    logger.warn(w.reason === 'unmapped'
+      ? `Skipping ${w.sqLogin} in group ${w.group}: not an organization member and no mapping in user-mappings.csv`
+      : `Skipping ${w.sqLogin} in group ${w.group}: mapped login ${w.scLogin} is not an organization member`);
+  }
+  logger.info(`Added ${added} group membership(s) (${plan.excluded} excluded, ${warnings.length} not migrated)`);
+  return { added, excluded: plan.excluded, warnings };
+}
@@ -4,10 +4,10 @@ import { buildHotspotMatchKey } from './build-hotspot-match-key.js';
 // -------- Match Hotspots --------
 
 /** Build a lookup map and match SQ hotspots to SC hotspots by rule + file + line. */
-export function matchHotspots(sqHotspots, scHotspots) {
+export function matchHotspots(sqHotspots, scHotspots, ruleKeys = null) {
   const scMap = new Map();
   for (const hs of scHotspots) {
-    const key = buildHotspotMatchKey(hs);
+    const key = buildHotspotMatchKey(hs, ruleKeys);
     if (key) {
       if (!scMap.has(key)) scMap.set(key, []);
       scMap.get(key).push(hs);
@@ -16,7 +16,7 @@ export function matchHotspots(sqHotspots, scHotspots) {
 
   const matchedPairs = [];
   for (const sqHs of sqHotspots) {
-    const matchKey = buildHotspotMatchKey(sqHs);
+    const matchKey = buildHotspotMatchKey(sqHs, ruleKeys);
     if (!matchKey) continue;
     const candidates = scMap.get(matchKey);
     if (!candidates || candidates.length === 0) continue;
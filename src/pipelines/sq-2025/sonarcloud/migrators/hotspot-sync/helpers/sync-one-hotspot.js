@@ -1,31 +1,41 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { buildHotspotSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { planCommentSync, hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 import { syncHotspotStatus } from './sync-hotspot-status.js';
+import { syncHotspotAssignment } from './sync-hotspot-assignment.js';
+
+const METADATA_SYNC_COMMENT = '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.';
 
 // -------- Sync One Hotspot --------
 
-/** Sync a single matched hotspot pair (status, comments, source link). */
+/** Sync a single matched hotspot pair (status, assignee, comments, source link), skipping comments already posted. */
 export async function syncOneHotspot({ sqHotspot, scHotspot }, client, options, stats) {
   try {
     const changed = await syncHotspotStatus(scHotspot, sqHotspot, client);
     if (changed) stats.statusChanged++;
+    await syncHotspotAssignment(sqHotspot, scHotspot, client, options.userMappings, stats);
 
-    for (const comment of (sqHotspot.comments || [])) {
+    const existingComments = await fetchExistingComments(scHotspot, client);
+    const { toAdd, alreadyPresent } = planCommentSync(sqHotspot.comments, existingComments);
+    stats.commentsAlreadyPresent += alreadyPresent;
+    for (const text of toAdd) {
       try {
-        const text = `[Migrated from SonarQube] ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
         await client.addHotspotComment(scHotspot.key, text);
         stats.commented++;
       } catch (error) { logger.debug(`Failed to add comment to hotspot ${scHotspot.key}: ${error.message}`); }
     }
 
-    try {
-      await client.addHotspotComment(scHotspot.key, '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.');
-      stats.metadataSyncCommented++;
-    } catch (error) { logger.debug(`Failed to add metadata comment to hotspot ${scHotspot.key}: ${error.message}`); }
+    if (!hasComment(existingComments, METADATA_SYNC_COMMENT)) {
+      try {
+        await client.addHotspotComment(scHotspot.key, METADATA_SYNC_COMMENT);
+        stats.metadataSyncCommented++;
+      } catch (error) { logger.debug(`Failed to add metadata comment to hotspot ${scHotspot.key}: ${error.message}`); }
+    }
 
     if (options.sonarqubeUrl && options.sonarqubeProjectKey) {
       try {
         const text = buildHotspotSourceComment(options.sonarqubeUrl, options.sonarqubeProjectKey, sqHotspot.key);
+        if (hasComment(existingComments, text)) return;
         await client.addHotspotComment(scHotspot.key, text);
         stats.sourceLinked++;
       } catch (error) { logger.debug(`Failed to add source link to hotspot ${scHotspot.key}: ${error.message}`); }
@@ -35,3 +45,14 @@ export async function syncOneHotspot({ sqHotspot, scHotspot }, client, options,
     logger.debug(`Failed to sync hotspot ${sqHotspot.key}: ${error.message}`);
   }
 }
+
+/** Comments already on the SC hotspot (search results do not include them). */
+async function fetchExistingComments(scHotspot, client) {
+  try {
+    const details = await client.getHotspotDetails(scHotspot.key);
+    return details?.comment || [];
+  } catch (error) {
+    logger.debug(`Failed to fetch comments of hotspot ${scHotspot.key}: ${error.message}`);
+    return [];
+  }
+}
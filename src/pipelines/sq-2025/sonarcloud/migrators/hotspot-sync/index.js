@@ -11,10 +11,10 @@ export { mapHotspotChangelogDiffToAction, extractHotspotTransitionsFromChangelog
 
 // -------- Sync Hotspots --------
 
-/** Sync hotspot statuses, comments, and source links from SQ to SC. */
+/** Sync hotspot statuses, assignees, comments, and source links from SQ to SC. */
 export async function syncHotspots(projectKey, sqHotspots, client, options = {}) {
   const concurrency = options.concurrency || 50;
-  const stats = { matched: 0, statusChanged: 0, commented: 0, metadataSyncCommented: 0, sourceLinked: 0, failed: 0 };
+  const stats = { matched: 0, statusChanged: 0, assigned: 0, assignmentMapped: 0, assignmentSkipped: 0, assignmentFailed: 0, commented: 0, commentsAlreadyPresent: 0, metadataSyncCommented: 0, sourceLinked: 0, failed: 0 };
 
   if (options.sqClient && options.sonarqubeProjectKey) {
     options.sonarqubeUrl = await resolveSourceBaseURL(options.sqClient);
@@ -30,7 +30,7 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
   }
   logger.info(`Found ${scHotspots.length} SC hotspots, matching against ${sqHotspots.length} SQ hotspots`);
 
-  const matchedPairs = matchHotspots(sqHotspots, scHotspots);
+  const matchedPairs = matchHotspots(sqHotspots, scHotspots, options.ruleKeys);
   stats.matched = matchedPairs.length;
 
   if (matchedPairs.length === 0) {
@@ -50,5 +50,5 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
 }
 
 function logSyncSummary(stats) {
-  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.commented} comments, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
+  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.assigned} assigned${stats.assignmentMapped > 0 ? ` (${stats.assignmentMapped} mapped)` : ''}, ${stats.assignmentFailed} assignment-failed, ${stats.commented} comments added, ${stats.commentsAlreadyPresent} already present, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
 }
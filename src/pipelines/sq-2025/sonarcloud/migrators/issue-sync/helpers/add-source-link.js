@@ -1,16 +1,18 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { resolveSourceBaseURL } from '../../../../../../shared/utils/source-link/resolve-source-base-url.js';
 import { buildIssueSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Add Source Link --------
 
-/** Add a comment linking back to the original SonarQube issue. */
+/** Add a comment linking back to the original SonarQube issue, unless already there. */
 export async function addSourceLink(sqIssue, scIssue, client, sqClient, stats) {
   if (!sqClient || !sqClient.baseURL || !sqClient.projectKey) return;
 
   try {
     const baseURL = await resolveSourceBaseURL(sqClient);
     const text = buildIssueSourceComment(baseURL, sqClient.projectKey, sqIssue.key);
+    if (hasComment(scIssue.comments, text)) return;
     await client.addIssueComment(scIssue.key, text);
     stats.sourceLinked++;
   } catch (error) {
@@ -1,8 +1,10 @@
+import { canonicalRuleKey } from '../../../../../../shared/utils/rule-keys.js';
+
 // -------- Build Issue Match Key --------
 
-/** Build a match key from rule + file component + line number. */
-export function buildMatchKey(issue) {
-  const rule = issue.rule;
+/** Build a match key from canonical rule key + file component + line number. */
+export function buildMatchKey(issue, ruleKeys = null) {
+  const rule = canonicalRuleKey(issue.rule, ruleKeys);
   const component = issue.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = issue.line ?? issue.textRange?.startLine ?? 0;
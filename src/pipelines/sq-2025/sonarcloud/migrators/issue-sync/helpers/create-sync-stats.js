@@ -11,7 +11,12 @@ export function createSyncStats() {
     assignmentSkipped: 0,
     assignmentMapped: 0,
     failedAssignments: [],
+    severityOverridden: 0,
+    typeOverridden: 0,
+    impactOverridden: 0,
+    overrideFailed: 0,
     commented: 0,
+    commentsAlreadyPresent: 0,
     tagged: 0,
     metadataSyncTagged: 0,
     sourceLinked: 0,
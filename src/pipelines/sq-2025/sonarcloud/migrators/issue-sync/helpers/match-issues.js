@@ -4,10 +4,10 @@ import { buildMatchKey } from './build-match-key.js';
 // -------- Match Issues --------
 
 /** Build a lookup map and match SQ issues to SC issues by rule + file + line. */
-export function matchIssues(sqIssues, scIssues) {
+export function matchIssues(sqIssues, scIssues, ruleKeys = null) {
   const scIssueMap = new Map();
   for (const issue of scIssues) {
-    const key = buildMatchKey(issue);
+    const key = buildMatchKey(issue, ruleKeys);
     if (key) {
       if (!scIssueMap.has(key)) scIssueMap.set(key, []);
       scIssueMap.get(key).push(issue);
@@ -16,7 +16,7 @@ export function matchIssues(sqIssues, scIssues) {
 
   const matchedPairs = [];
   for (const sqIssue of sqIssues) {
-    const matchKey = buildMatchKey(sqIssue);
+    const matchKey = buildMatchKey(sqIssue, ruleKeys);
     if (!matchKey) continue;
     const candidates = scIssueMap.get(matchKey);
     if (!candidates || candidates.length === 0) continue;
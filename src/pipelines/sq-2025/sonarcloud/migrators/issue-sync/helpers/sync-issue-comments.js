@@ -1,13 +1,14 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { planCommentSync } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Sync Issue Comments --------
 
-/** Sync comments from SQ issue to SC issue. */
+/** Sync comments from SQ issue to SC issue, skipping those already migrated. */
 export async function syncIssueComments(sqIssue, scIssue, client, stats) {
-  const comments = sqIssue.comments || [];
-  for (const comment of comments) {
+  const { toAdd, alreadyPresent } = planCommentSync(sqIssue.comments, scIssue.comments);
+  stats.commentsAlreadyPresent += alreadyPresent;
+  for (const text of toAdd) {
     try {
-      const text = `[Migrated from SonarQube] ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
       await client.addIssueComment(scIssue.key, text);
       stats.commented++;
     } catch (error) {
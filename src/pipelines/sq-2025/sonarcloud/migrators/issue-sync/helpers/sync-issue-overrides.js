@@ -0,0 +1,28 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { planOverrideSync } from '../../../../../../shared/utils/issue-sync/plan-override-sync.js';
+
+// -------- Sync Issue Overrides --------
+
+/** Re-apply severity, type and impact severity overrides a human made on the SQ issue. */
+export async function syncIssueOverrides(sqIssue, scIssue, client, changelog, stats) {
+  const plan = planOverrideSync(sqIssue, scIssue, changelog);
+  if (plan.type) {
+    await applyOverride(scIssue, 'type', () => client.setIssueType(scIssue.key, plan.type), 'typeOverridden', stats);
+  }
+  if (plan.severity) {
+    await applyOverride(scIssue, 'severity', () => client.setIssueSeverity(scIssue.key, plan.severity), 'severityOverridden', stats);
+  }
+  for (const { softwareQuality, severity } of plan.impacts) {
+    await applyOverride(scIssue, `${softwareQuality} impact`, () => client.setIssueImpactSeverity(scIssue.key, softwareQuality, severity), 'impactOverridden', stats);
+  }
+}
+
+async function applyOverride(scIssue, label, apply, counter, stats) {
+  try {
+    await apply();
+    stats[counter]++;
+  } catch (error) {
+    stats.overrideFailed++;
+    logger.debug(`Failed to set ${label} on issue ${scIssue.key}: ${error.message}`);
+  }
+}
@@ -1,19 +1,21 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { syncIssueStatus } from './sync-issue-status.js';
 import { syncIssueAssignment } from './sync-issue-assignment.js';
+import { syncIssueOverrides } from './sync-issue-overrides.js';
 import { syncIssueComments } from './sync-issue-comments.js';
 import { syncIssueTags } from './sync-issue-tags.js';
 import { addSourceLink } from './add-source-link.js';
 
 // -------- Sync One Issue --------
 
-/** Sync a single matched issue pair (status, assignment, comments, tags, source link). */
+/** Sync a single matched issue pair (status, assignment, overrides, comments, tags, source link). */
 export async function syncOneIssue({ sqIssue, scIssue }, client, sqClient, userMappings, stats, changelogMap = new Map()) {
   try {
     const transitioned = await syncIssueStatus(scIssue, sqIssue, client);
     if (transitioned) stats.transitioned++;
 
     await syncIssueAssignment(sqIssue, scIssue, client, userMappings, stats);
+    await syncIssueOverrides(sqIssue, scIssue, client, changelogMap.get(sqIssue.key), stats);
     await syncIssueComments(sqIssue, scIssue, client, stats);
     await syncIssueTags(sqIssue, scIssue, client, stats);
     await addSourceLink(sqIssue, scIssue, client, sqClient, stats);
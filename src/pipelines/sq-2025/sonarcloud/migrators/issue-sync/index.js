@@ -18,7 +18,8 @@ export { extractTransitionsFromChangelog } from './helpers/extract-transitions.j
 
 /**
  * Sync issue statuses, assignments, comments, and tags from SQ to SC.
- * Pre-filters SQ issues to only those with manual changes for efficiency.
+ * Pre-filters SQ issues to only those with manual changes for efficiency, or, with
+ * options.changedSince, to those changed after that timestamp.
  */
 export async function syncIssues(projectKey, sqIssues, client, options = {}) {
   const concurrency = options.concurrency || 50;
@@ -34,21 +35,22 @@ export async function syncIssues(projectKey, sqIssues, client, options = {}) {
   let changelogMap = new Map();
 
   if (sqClient) {
-    ({ issuesToSync, changelogMap } = await applyManualChangesPreFilter(issuesToSync, sqClient, stats, concurrency));
+    ({ issuesToSync, changelogMap } = await applyManualChangesPreFilter(issuesToSync, sqClient, stats, concurrency, options.changedSince));
     if (issuesToSync.length === 0) { logSyncSummary(stats); return stats; }
   }
 
-  let scIssues = await client.searchIssues(projectKey);
+  // Existing comments let the sync skip those migrated by an earlier run
+  let scIssues = await client.searchIssuesWithComments(projectKey);
   if (scIssues.length === 0 && issuesToSync.length > 0) {
     scIssues = await waitForScIndexing(
-      () => client.searchIssues(projectKey),
+      () => client.searchIssuesWithComments(projectKey),
       issuesToSync.length,
       { label: 'issues', projectKey },
     );
   }
   logger.info(`Found ${scIssues.length} SC issues, matching against ${issuesToSync.length} SQ issues`);
 
-  const matchedPairs = matchIssues(issuesToSync, scIssues);
+  const matchedPairs = matchIssues(issuesToSync, scIssues, options.ruleKeys);
   stats.matched = matchedPairs.length;
 
   if (matchedPairs.length === 0) {
@@ -64,7 +66,7 @@ export async function syncIssues(projectKey, sqIssues, client, options = {}) {
       const resolvedBaseURL = await resolveSourceBaseURL(sqClient);
       sqClientConfig = { baseURL: resolvedBaseURL, token: sqClient.token, projectKey: sqClient.projectKey };
     }
-    const mergedStats = await parallelSyncIssues(matchedPairs, scConfig, sqClientConfig, userMappings);
+    const mergedStats = await parallelSyncIssues(matchedPairs, scConfig, sqClientConfig, userMappings, { changelogMap });
     Object.assign(stats, mergedStats);
   } else {
     logger.info(`Syncing ${matchedPairs.length} issues with concurrency=${concurrency}`);
@@ -85,5 +87,9 @@ function logSyncSummary(stats) {
   const mapped = stats.assignmentMapped > 0 ? `, ${stats.assignmentMapped} mapped` : '';
   const skipped = stats.assignmentSkipped > 0 ? `, ${stats.assignmentSkipped} assignment-skipped` : '';
   const apiErr = stats.apiErrors > 0 ? `, ${stats.apiErrors} api-errors` : '';
-  logger.info(`Issue sync: ${filtered}${stats.matched} matched, ${stats.transitioned} transitioned, ${stats.assigned} assigned${mapped}, ${stats.assignmentFailed} assignment-failed${skipped}, ${stats.commented} comments, ${stats.tagged} tagged, ${stats.metadataSyncTagged} metadata-sync-tagged, ${stats.sourceLinked} source-linked, ${stats.failed} failed${apiErr}`);
+  const overridden = stats.severityOverridden + stats.typeOverridden + stats.impactOverridden;
+  const overrideDetail = overridden + stats.overrideFailed > 0
+    ? `, ${stats.severityOverridden} severity / ${stats.typeOverridden} type / ${stats.impactOverridden} impact overridden, ${stats.overrideFailed} override-failed`
+    : '';
+  logger.info(`Issue sync: ${filtered}${stats.matched} matched, ${stats.transitioned} transitioned, ${stats.assigned} assigned${mapped}, ${stats.assignmentFailed} assignment-failed${skipped}${overrideDetail}, ${stats.commented} comments added, ${stats.commentsAlreadyPresent} already present, ${stats.tagged} tagged, ${stats.metadataSyncTagged} metadata-sync-tagged, ${stats.sourceLinked} source-linked, ${stats.failed} failed${apiErr}`);
 }
@@ -1,10 +1,11 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { addTemplateGroupPermissions } from './add-template-group-permissions.js';
+import { addTemplateUserPermissions } from './add-template-user-permissions.js';
 
 // -------- Migrate One Template --------
 
-/** Create a single permission template in SonarCloud and apply its group permissions. */
-export async function migrateOneTemplate(template, templateMapping, client) {
+/** Create a single permission template in SonarCloud and apply its group and user permissions. */
+export async function migrateOneTemplate(template, templateMapping, client, userMappings = null) {
   try {
     const created = await client.createPermissionTemplate(
       template.name,
@@ -16,6 +17,7 @@ export async function migrateOneTemplate(template, templateMapping, client) {
     templateMapping.set(template.id, scTemplateId);
 
     await addTemplateGroupPermissions(scTemplateId, template.permissions, client);
+    await addTemplateUserPermissions(scTemplateId, template.users, client, userMappings);
     logger.info(`Migrated permission template: ${template.name}`);
   } catch (error) {
     logger.warn(`Failed to migrate template ${template.name}: ${error.message}`);
@@ -0,0 +1,27 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { translateUserPermissions } from '../../../../../../shared/mapping/user-permissions.js';
+
+// -------- Migrate Project User Permissions --------
+
+/** Migrate project-level permissions held directly by users, translating logins via user-mappings.csv. */
+export async function migrateProjectUserPermissions(projectKey, userPermissions, client, userMappings = null) {
+  const { users, excluded } = translateUserPermissions(userPermissions, userMappings);
+  logger.debug(`Migrating project user permissions for ${projectKey}: ${users.length} users`);
+
+  let granted = 0;
+  let failed = 0;
+  for (const user of users) {
+    for (const permission of user.permissions) {
+      try {
+        await client.addProjectUserPermission(user.login, projectKey, permission);
+        granted++;
+      } catch (error) {
+        failed++;
+        logger.debug(`Failed to add ${permission} for user ${user.login} on ${projectKey}: ${error.message}`);
+      }
+    }
+  }
+  if (failed > 0) logger.warn(`${failed} user permission(s) could not be granted on ${projectKey}`);
+
+  return { granted, failed, excluded };
+}
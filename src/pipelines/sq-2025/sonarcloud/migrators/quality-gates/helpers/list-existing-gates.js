@@ -0,0 +1,14 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- List Existing Gates --------
+
+/** Index the organization's SonarCloud quality gates by name (empty when they cannot be listed). */
+export async function listExistingGates(client) {
+  try {
+    const { qualitygates = [] } = await client.listQualityGates();
+    return new Map(qualitygates.map(g => [g.name, g]));
+  } catch (error) {
+    logger.warn(`Failed to list existing SonarCloud quality gates, creating all gates: ${error.message}`);
+    return new Map();
+  }
+}
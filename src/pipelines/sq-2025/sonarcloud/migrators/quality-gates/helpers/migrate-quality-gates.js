@@ -1,22 +1,41 @@
 import { createGateWithConfig } from './create-gate-with-config.js';
+import { updateGateWithConfig } from './update-gate-with-config.js';
+import { listExistingGates } from './list-existing-gates.js';
 import logger from '../../../../../../shared/utils/logger.js';
+import { translateGateConditions, hasCompatibilityFindings } from '../../../../../../shared/utils/quality-gate-conditions.js';
 
 // -------- Migrate Quality Gates --------
 
-/** Migrate quality gates from SonarQube to SonarCloud. */
-export async function migrateQualityGates(extractedGates, client) {
+/** Migrate quality gates from SonarQube to SonarCloud, reconciling gates that already exist and collecting compatibility findings and outcomes. */
+export async function migrateQualityGates(extractedGates, client, { strict = false, compatibility = null, outcomes = null } = {}) {
   const gateMapping = new Map();
   const customGates = extractedGates.filter(g => !g.isBuiltIn);
   logger.info(`Migrating ${customGates.length} custom quality gates (skipping ${extractedGates.length - customGates.length} built-in)`);
+  const existingByName = customGates.length > 0 ? await listExistingGates(client) : new Map();
 
   for (const gate of customGates) {
+    const plan = translateGateConditions(gate.conditions);
+    const entry = { gate: gate.name, migrated: false, translated: plan.translated, dropped: plan.dropped, rejected: [] };
+    const existing = existingByName.get(gate.name);
+    let outcome = 'failed';
     try {
-      const scGateId = await createGateWithConfig(gate, client);
-      gateMapping.set(gate.name, String(scGateId));
-      logger.info(`Migrated quality gate: ${gate.name} (${gate.conditions.length} conditions)`);
+      if (strict && plan.dropped.length > 0) throw new Error(`${plan.dropped.length} condition(s) have no SonarCloud equivalent (strict mode)`);
+      if (existing?.isBuiltIn) throw new Error('a built-in SonarCloud gate has the same name');
+      const translatedGate = { ...gate, conditions: plan.conditions };
+      if (existing) {
+        outcome = await updateGateWithConfig(existing, translatedGate, client, { strict, rejected: entry.rejected });
+        gateMapping.set(gate.name, String(existing.id));
+      } else {
+        gateMapping.set(gate.name, String(await createGateWithConfig(translatedGate, client, { strict, rejected: entry.rejected })));
+        outcome = 'created';
+      }
+      entry.migrated = true;
+      logger.info(`Migrated quality gate: ${gate.name} (${outcome}, ${plan.conditions.length - entry.rejected.length} conditions)`);
     } catch (error) {
       logger.error(`Failed to migrate quality gate ${gate.name}: ${error.message}`);
     }
+    if (hasCompatibilityFindings(entry)) compatibility?.push(entry);
+    outcomes?.push({ gate: gate.name, outcome });
   }
 
   return gateMapping;
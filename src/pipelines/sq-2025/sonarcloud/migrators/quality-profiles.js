@@ -1,3 +1,4 @@
 // -------- Re-export --------
 
 export { migrateQualityProfiles } from './quality-profiles/index.js';
+export { migrateCustomRules } from './quality-profiles/index.js';
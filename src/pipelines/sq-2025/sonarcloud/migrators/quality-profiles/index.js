@@ -1,3 +1,4 @@
 // -------- Quality Profiles Migrator --------
 
 export { migrateQualityProfiles } from './helpers/migrate-quality-profiles.js';
+export { migrateCustomRules } from './helpers/migrate-custom-rules.js';
@@ -0,0 +1,3 @@
+// -------- Re-export: Webhooks Migrators --------
+
+export { migrateWebhooks } from './webhooks/index.js';
@@ -2,7 +2,7 @@ import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Add Optional Files --------
 
-/** Add changesets, duplications, external issues, ad-hoc rules, and context-props. */
+/** Add changesets, duplications, highlighting, symbols, coverage, external issues, ad-hoc rules, and context-props. */
 export function addOptionalFiles(zip, encodedReport) {
   if (encodedReport.changesets && encodedReport.changesets.size > 0) {
     let count = 0;
@@ -16,6 +16,24 @@ export function addOptionalFiles(zip, encodedReport) {
     logger.debug(`Added ${count} duplication files`);
   }
 
+  if (encodedReport.syntaxHighlightings && encodedReport.syntaxHighlightings.size > 0) {
+    let count = 0;
+    encodedReport.syntaxHighlightings.forEach((buf, ref) => { zip.addFile(`syntax-highlighting-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} syntax highlighting files`);
+  }
+
+  if (encodedReport.symbols && encodedReport.symbols.size > 0) {
+    let count = 0;
+    encodedReport.symbols.forEach((buf, ref) => { zip.addFile(`symbols-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} symbol files`);
+  }
+
+  if (encodedReport.coverages && encodedReport.coverages.size > 0) {
+    let count = 0;
+    encodedReport.coverages.forEach((buf, ref) => { zip.addFile(`coverages-${ref}.pb`, Buffer.from(buf)); count++; });
+    logger.debug(`Added ${count} coverage files`);
+  }
+
   if (encodedReport.externalIssues && encodedReport.externalIssues.size > 0) {
     let count = 0;
     encodedReport.externalIssues.forEach((buf, ref) => { zip.addFile(`external-issues-${ref}.pb`, Buffer.from(buf)); count++; });
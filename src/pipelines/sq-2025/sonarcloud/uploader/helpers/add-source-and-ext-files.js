@@ -2,7 +2,7 @@ import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Add Source, Changeset, Duplication, and External Files to Zip --------
 
-/** Add source text, changeset, duplication, external issue, and ad-hoc rule files. */
+/** Add source text, changeset, duplication, highlighting, symbol, coverage, external issue, and ad-hoc rule files. */
 export function addSourceAndExtFiles(zip, encodedReport) {
   // Source text files (source-{ref}.txt)
   if (encodedReport.sourceFilesText && encodedReport.sourceFilesText.length > 0) {
@@ -32,6 +32,36 @@ export function addSourceAndExtFiles(zip, encodedReport) {
     logger.debug(`Added ${count} duplication files`);
   }
 
+  // Syntax highlighting (syntax-highlighting-{ref}.pb)
+  if (encodedReport.syntaxHighlightings && encodedReport.syntaxHighlightings.size > 0) {
+    let count = 0;
+    encodedReport.syntaxHighlightings.forEach((buf, ref) => {
+      zip.addFile(`syntax-highlighting-${ref}.pb`, Buffer.from(buf));
+      count++;
+    });
+    logger.debug(`Added ${count} syntax highlighting files`);
+  }
+
+  // Symbols (symbols-{ref}.pb)
+  if (encodedReport.symbols && encodedReport.symbols.size > 0) {
+    let count = 0;
+    encodedReport.symbols.forEach((buf, ref) => {
+      zip.addFile(`symbols-${ref}.pb`, Buffer.from(buf));
+      count++;
+    });
+    logger.debug(`Added ${count} symbol files`);
+  }
+
+  // Line coverage (coverages-{ref}.pb)
+  if (encodedReport.coverages && encodedReport.coverages.size > 0) {
+    let count = 0;
+    encodedReport.coverages.forEach((buf, ref) => {
+      zip.addFile(`coverages-${ref}.pb`, Buffer.from(buf));
+      count++;
+    });
+    logger.debug(`Added ${count} coverage files`);
+  }
+
   // External issues (external-issues-{ref}.pb)
   if (encodedReport.externalIssues && encodedReport.externalIssues.size > 0) {
     let count = 0;
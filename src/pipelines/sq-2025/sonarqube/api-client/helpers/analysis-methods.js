@@ -21,6 +21,12 @@ export function attachAnalysisMethods(inst) {
     }
   };
 
+  inst.getProjectAnalyses = async (pk = null) => {
+    const key = pk || inst.projectKey;
+    logger.info(`Fetching analysis history for project: ${key}`);
+    return await inst.getPaginated('/api/project_analyses/search', { project: key }, 'analyses');
+  };
+
   inst.listAllProjects = async () => {
     logger.info('Fetching all projects from SonarQube...');
     return await inst.getPaginated('/api/projects/search', {}, 'components');
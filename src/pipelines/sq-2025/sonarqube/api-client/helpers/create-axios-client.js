@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { handleApiError } from './handle-api-error.js';
+import { applySonarQubeTransport } from '../../../../../shared/bundle/sonarqube-transport.js';
 
 // -------- Create Axios Client --------
 
@@ -17,5 +18,5 @@ export function createAxiosClient(baseURL, token) {
     error => handleApiError(error, baseURL),
   );
 
-  return client;
+  return applySonarQubeTransport(client);
 }
@@ -20,16 +20,25 @@ export function attachDelegateMethods(inst) {
   inst.getAllQualityProfiles = async () => qual.getAllQualityProfiles(inst.client);
   inst.getQualityProfileBackup = async (l, q) => qual.getQualityProfileBackup(inst.client, l, q);
   inst.getQualityProfilePermissions = async (l, q) => qual.getQualityProfilePermissions(inst.client, l, q);
+  inst.getCustomRules = async () => qual.getCustomRules(inst.getPaginated.bind(inst));
+  inst.getDeprecatedRuleKeys = async () => qual.getDeprecatedRuleKeys(inst.getPaginated.bind(inst));
+  inst.getRuleActivations = async (k) => qual.getRuleActivations(inst.client, k);
 
   inst.getGroups = async () => {
     try { return await perm.getGroups(inst.getPaginated.bind(inst)); }
     catch (error) { logger.warn(`Failed to fetch user groups: ${error.message}`); return []; }
   };
+  inst.getGroupMembers = async (n, id = null) => perm.getGroupMembers(inst.client, inst.getPaginated.bind(inst), n, id);
   inst.getGlobalPermissions = async () => perm.getGlobalPermissions(inst.getPaginated.bind(inst));
   inst.getProjectPermissions = async (pk) => perm.getProjectPermissions(inst.getPaginated.bind(inst), pk);
+  inst.getGlobalUserPermissions = async () => perm.getGlobalUserPermissions(inst.getPaginated.bind(inst));
+  inst.getProjectUserPermissions = async (pk) => perm.getProjectUserPermissions(inst.getPaginated.bind(inst), pk);
+  inst.getTemplateUserPermissions = async (t) => perm.getTemplateUserPermissions(inst.getPaginated.bind(inst), t);
   inst.getPermissionTemplates = async () => perm.getPermissionTemplates(inst.client);
   inst.getPortfolios = async () => perm.getPortfolios(inst.client);
   inst.getPortfolioDetails = async (k) => perm.getPortfolioDetails(inst.client, k);
+  inst.getApplications = async () => perm.getApplications(inst.getPaginated.bind(inst));
+  inst.getApplicationDetails = async (k, b = null) => perm.getApplicationDetails(inst.client, k, b);
 
   inst.getProjectSettings = async (pk = null) => sc.getProjectSettings(inst.client, pk || inst.projectKey);
   inst.getServerSettings = async () => sc.getServerSettings(inst.client);
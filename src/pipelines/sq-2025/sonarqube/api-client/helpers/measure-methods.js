@@ -18,4 +18,10 @@ export function attachMeasureMethods(inst) {
     if (branch) params.branch = branch;
     return await inst.getPaginated('/api/measures/component_tree', params, 'components');
   };
+
+  inst.getMeasuresHistory = async (metricKeys = [], pk = null) => {
+    const key = pk || inst.projectKey;
+    logger.info(`Fetching measure history for project: ${key}`);
+    return await inst.getPaginated('/api/measures/search_history', { component: key, metrics: metricKeys.join(',') }, 'measures');
+  };
 }
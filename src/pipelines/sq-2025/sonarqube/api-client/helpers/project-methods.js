@@ -20,6 +20,13 @@ export function attachProjectMethods(inst) {
     return response.data.branches || [];
   };
 
+  inst.getPullRequests = async (pk = null) => {
+    const projectKey = pk || inst.projectKey;
+    logger.debug(`Fetching pull requests for project: ${projectKey}`);
+    const response = await inst.client.get('/api/project_pull_requests/list', { params: { project: projectKey } });
+    return response.data.pullRequests || [];
+  };
+
   inst.getQualityGate = async () => {
     logger.info(`Fetching quality gate for project: ${inst.projectKey}`);
     try {
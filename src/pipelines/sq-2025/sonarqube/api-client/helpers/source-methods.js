@@ -4,14 +4,23 @@ import logger from '../../../../../shared/utils/logger.js';
 
 /** Attach source-related methods to the client instance. */
 export function attachSourceMethods(inst) {
-  inst.getSourceCode = async (fileKey, branch = null) => {
+  inst.getSourceCode = async (fileKey, branch = null, pullRequest = null) => {
     logger.debug(`Fetching source code for: ${fileKey}`);
     const params = { key: fileKey };
     if (branch) params.branch = branch;
+    if (pullRequest) params.pullRequest = pullRequest;
     const response = await inst.client.get('/api/sources/raw', { params, responseType: 'text' });
     return response.data;
   };
 
+  inst.getSourceLines = async (fileKey, branch = null) => {
+    logger.debug(`Fetching highlighted source lines for: ${fileKey}`);
+    const params = { key: fileKey };
+    if (branch) params.branch = branch;
+    const response = await inst.client.get('/api/sources/lines', { params });
+    return response.data.sources || [];
+  };
+
   inst.getSourceFiles = async (branch = null) => {
     logger.info(`Fetching source files for project: ${inst.projectKey}`);
     const params = { component: inst.projectKey, qualifiers: 'FIL,UTS' };
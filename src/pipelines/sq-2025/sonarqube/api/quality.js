@@ -6,3 +6,6 @@ export { getQualityGatePermissions } from './quality/index.js';
 export { getAllQualityProfiles } from './quality/index.js';
 export { getQualityProfileBackup } from './quality/index.js';
 export { getQualityProfilePermissions } from './quality/index.js';
+export { getCustomRules } from './quality/index.js';
+export { getDeprecatedRuleKeys } from './quality/index.js';
+export { getRuleActivations } from './quality/index.js';
@@ -0,0 +1,10 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Get Deprecated Rule Keys --------
+
+/** Fetch the rules that carry deprecated (pre-rename) keys. */
+export async function getDeprecatedRuleKeys(getPaginated) {
+  logger.info('Fetching deprecated rule keys');
+  const rules = await getPaginated('/api/rules/search', { f: 'deprecatedKeys', ps: 500 }, 'rules');
+  return rules.filter(r => r.deprecatedKeys);
+}
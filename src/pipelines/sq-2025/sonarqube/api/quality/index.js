@@ -6,3 +6,6 @@ export { getQualityGatePermissions } from './helpers/get-quality-gate-permission
 export { getAllQualityProfiles } from './helpers/get-all-quality-profiles.js';
 export { getQualityProfileBackup } from './helpers/get-quality-profile-backup.js';
 export { getQualityProfilePermissions } from './helpers/get-quality-profile-permissions.js';
+export { getCustomRules } from './helpers/get-custom-rules.js';
+export { getDeprecatedRuleKeys } from './helpers/get-deprecated-rule-keys.js';
+export { getRuleActivations } from './helpers/get-rule-activations.js';
@@ -0,0 +1,33 @@
+import logger from '../../../../shared/utils/logger.js';
+import { normalizeApplicationProjects } from '../../../../shared/utils/applications.js';
+
+/**
+ * Extract all applications with the projects selected by each application branch
+ * @param {import('../api-client.js').SonarQubeClient} client
+ * @returns {Promise<Array>} Applications with details
+ */
+export async function extractApplications(client) {
+  const applications = await client.getApplications();
+  logger.info(`Found ${applications.length} applications`);
+
+  const detailed = [];
+  for (const application of applications) {
+    const details = await client.getApplicationDetails(application.key);
+    const branches = [];
+    for (const branch of (details?.branches || []).filter(b => !b.isMain)) {
+      const branchDetails = await client.getApplicationDetails(application.key, branch.name);
+      branches.push({ name: branch.name, projects: normalizeApplicationProjects(branchDetails?.projects) });
+    }
+
+    detailed.push({
+      key: application.key,
+      name: application.name,
+      description: details?.description || '',
+      visibility: details?.visibility || application.visibility || 'public',
+      projects: normalizeApplicationProjects(details?.projects),
+      branches
+    });
+  }
+
+  return detailed;
+}
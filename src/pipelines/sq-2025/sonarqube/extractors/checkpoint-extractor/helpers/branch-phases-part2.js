@@ -3,6 +3,7 @@ import { extractSources } from '../../sources.js';
 import { extractChangesets } from '../../changesets.js';
 import { extractSymbols } from '../../symbols.js';
 import { extractSyntaxHighlighting } from '../../syntax-highlighting.js';
+import { extractLineCoverage } from '../../line-coverage.js';
 import { extractDuplications } from '../../duplications.js';
 
 // -------- Branch Phases Part 2 (measures, sources, dups, scm, symbols, highlighting) --------
@@ -23,10 +24,13 @@ export function buildBranchPhasesPart2(extractor, ctx, branch, maxFiles, sourceC
       fn: async () => { ctx.changesets = await extractChangesets(extractor.client, ctx.sourceFilesList, ctx.components); return ctx.changesets; },
       restore: (d) => { ctx.changesets = d; } },
     { name: 'extract:symbols', label: `[${branch}] Extracting symbols`,
-      fn: async () => { ctx.symbols = await extractSymbols(extractor.client, ctx.sourceFilesList); return ctx.symbols; },
+      fn: async () => { ctx.symbols = await extractSymbols(extractor.client, ctx.sourceFilesList, branch, { concurrency: sourceConcurrency }); return ctx.symbols; },
       restore: (d) => { ctx.symbols = d; } },
     { name: 'extract:syntax_highlighting', label: `[${branch}] Extracting syntax highlighting`,
-      fn: async () => { ctx.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, ctx.sourceFilesList); return ctx.syntaxHighlightings; },
+      fn: async () => { ctx.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, ctx.sourceFilesList, branch, { concurrency: sourceConcurrency }); return ctx.syntaxHighlightings; },
       restore: (d) => { ctx.syntaxHighlightings = d; } },
+    { name: 'extract:line_coverage', label: `[${branch}] Extracting line coverage`,
+      fn: async () => { ctx.lineCoverage = await extractLineCoverage(extractor.client, ctx.sourceFilesList, branch, { concurrency: sourceConcurrency }); return ctx.lineCoverage; },
+      restore: (d) => { ctx.lineCoverage = d; } },
   ];
 }
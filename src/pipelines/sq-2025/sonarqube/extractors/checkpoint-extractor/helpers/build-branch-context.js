@@ -13,5 +13,6 @@ export function buildBranchContext() {
     changesets: new Map(),
     symbols: new Map(),
     syntaxHighlightings: new Map(),
+    lineCoverage: new Map(),
   };
 }
@@ -21,6 +21,7 @@ export function buildBranchResult(ctx, extractor, branch, mainData) {
     changesets: ctx.changesets,
     symbols: ctx.symbols,
     syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: {
       extractedAt: new Date().toISOString(),
       mode: extractor.config.transfer.mode,
@@ -17,6 +17,7 @@ export function buildMainContext() {
     changesets: new Map(),
     symbols: new Map(),
     syntaxHighlightings: new Map(),
+    lineCoverage: new Map(),
     scmRevisionId: null,
   };
 }
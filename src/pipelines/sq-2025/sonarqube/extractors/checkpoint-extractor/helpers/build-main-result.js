@@ -22,6 +22,7 @@ export function buildMainResult(ctx, extractor) {
     changesets: ctx.changesets,
     symbols: ctx.symbols,
     syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: {
       extractedAt: new Date().toISOString(),
       mode: extractor.config.transfer.mode,
@@ -1,7 +1,9 @@
 import { extractAll } from './extract-all.js';
 import { extractBranch } from './extract-branch.js';
+import { extractPullRequest } from './extract-pull-request.js';
 import { logExtractionSummary } from './log-extraction-summary.js';
 import { extractAllWithCheckpoints, extractBranchWithCheckpoints } from '../checkpoint-extractor.js';
+import { applyBundledExtractions } from '../../../../../shared/bundle/bundled-extractions.js';
 
 // -------- Factory --------
 
@@ -25,11 +27,14 @@ export function createDataExtractor(client, config, state = null, performanceCon
   extractor.extractBranch = (branch, mainData) =>
     extractBranch(extractor, branch, mainData);
 
+  extractor.extractPullRequest = (pullRequest, mainData) =>
+    extractPullRequest(extractor, pullRequest, mainData);
+
   extractor.extractAllWithCheckpoints = (journal, cache, shutdownCheck) =>
     extractAllWithCheckpoints(extractor, journal, cache, shutdownCheck);
 
   extractor.extractBranchWithCheckpoints = (branch, mainData, journal, cache, shutdownCheck) =>
     extractBranchWithCheckpoints(extractor, branch, mainData, journal, cache, shutdownCheck);
 
-  return extractor;
+  return applyBundledExtractions(extractor);
 }
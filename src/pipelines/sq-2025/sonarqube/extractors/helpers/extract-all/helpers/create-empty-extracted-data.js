@@ -6,7 +6,7 @@ export function createEmptyExtractedData(extractor) {
     project: null, metrics: [], issues: [], measures: {},
     components: [], sources: [], activeRules: [],
     duplications: new Map(), changesets: new Map(),
-    symbols: new Map(), syntaxHighlightings: new Map(),
+    symbols: new Map(), syntaxHighlightings: new Map(), lineCoverage: new Map(),
     metadata: { extractedAt: new Date().toISOString(), mode: extractor.config.transfer.mode },
   };
 }
@@ -1,20 +1,25 @@
 import { extractChangesets } from '../../../changesets.js';
 import { extractSymbols } from '../../../symbols.js';
 import { extractSyntaxHighlighting } from '../../../syntax-highlighting.js';
+import { extractLineCoverage } from '../../../line-coverage.js';
 import logger from '../../../../../../../shared/utils/logger.js';
 
 // -------- Extract Branch SCM --------
 
 /** Extract changesets, symbols, and syntax highlighting for a branch. */
 export async function extractBranchScm(ext, branch, sourceFilesList, components) {
+  const concurrency = ext.performanceConfig.sourceExtraction?.concurrency || 10;
   logger.info(`  [${branch}] Extracting changesets...`);
   const changesets = await extractChangesets(ext.client, sourceFilesList, components);
 
   logger.info(`  [${branch}] Extracting symbols...`);
-  const symbols = await extractSymbols(ext.client, sourceFilesList);
+  const symbols = await extractSymbols(ext.client, sourceFilesList, branch, { concurrency });
 
   logger.info(`  [${branch}] Extracting syntax highlighting...`);
-  const syntaxHighlightings = await extractSyntaxHighlighting(ext.client, sourceFilesList);
+  const syntaxHighlightings = await extractSyntaxHighlighting(ext.client, sourceFilesList, branch, { concurrency });
 
-  return { changesets, symbols, syntaxHighlightings };
+  logger.info(`  [${branch}] Extracting line coverage...`);
+  const lineCoverage = await extractLineCoverage(ext.client, sourceFilesList, branch, { concurrency });
+
+  return { changesets, symbols, syntaxHighlightings, lineCoverage };
 }
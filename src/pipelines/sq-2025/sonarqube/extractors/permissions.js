@@ -3,3 +3,6 @@
 export { extractGlobalPermissions } from './permissions/index.js';
 export { extractProjectPermissions } from './permissions/index.js';
 export { extractPermissionTemplates } from './permissions/index.js';
+export { extractGlobalUserPermissions } from './permissions/index.js';
+export { extractProjectUserPermissions } from './permissions/index.js';
+export { extractTemplateUserPermissions } from './permissions/index.js';
@@ -1,4 +1,5 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { extractTemplateUserPermissions } from './extract-template-user-permissions.js';
 
 // -------- Extract Permission Templates --------
 
@@ -10,6 +11,11 @@ export async function extractPermissionTemplates(client) {
 
   logger.info(`Found ${templates.length} permission templates`);
 
+  const templateUsers = new Map();
+  for (const t of templates) {
+    templateUsers.set(t.id, await extractTemplateUserPermissions(client, t.id));
+  }
+
   return {
     templates: templates.map(t => ({
       id: t.id,
@@ -17,6 +23,7 @@ export async function extractPermissionTemplates(client) {
       description: t.description || '',
       projectKeyPattern: t.projectKeyPattern || '',
       permissions: t.permissions || [],
+      users: templateUsers.get(t.id),
     })),
     defaultTemplates: defaultTemplates.map(d => ({
       templateId: d.templateId,
@@ -0,0 +1,14 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Extract Project User Permissions --------
+
+/** Extract project-level permissions held directly by users. */
+export async function extractProjectUserPermissions(client, projectKey) {
+  const users = await client.getProjectUserPermissions(projectKey);
+  logger.debug(`Found ${users.length} users with permissions for project: ${projectKey}`);
+
+  return users.map(u => ({
+    login: u.login,
+    permissions: u.permissions || [],
+  }));
+}
@@ -2,3 +2,4 @@
 
 export { extractQualityProfiles } from './quality-profiles/index.js';
 export { buildInheritanceChains } from './quality-profiles/index.js';
+export { extractCustomRules } from './quality-profiles/index.js';
@@ -0,0 +1,11 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { toCustomRule } from '../../../../../../shared/utils/custom-rules.js';
+
+// -------- Extract Custom Rules --------
+
+/** Extract the rules created from rule templates, so they can be recreated before profiles are restored. */
+export async function extractCustomRules(client) {
+  const rules = (await client.getCustomRules()).map(toCustomRule).filter(Boolean);
+  logger.info(`Found ${rules.length} custom rules created from templates`);
+  return rules;
+}
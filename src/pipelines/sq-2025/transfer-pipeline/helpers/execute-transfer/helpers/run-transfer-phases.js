@@ -1,33 +1,47 @@
 import { checkShutdown } from '../../../../../../shared/utils/shutdown.js';
+import { replayAnalysisHistory } from '../../replay-analysis-history.js';
 import { transferMainBranch } from '../../transfer-main-branch.js';
 import { transferNonMainBranches } from '../../transfer-non-main-branches.js';
+import { transferPullRequests } from '../../transfer-pull-requests.js';
 import { syncTransferMetadata } from '../../sync-transfer-metadata/index.js';
 import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Run Transfer Phases --------
 
-/** Execute main + non-main branch transfers, metadata sync, and finalize. */
+/** Execute history replay, main + non-main branch and pull request transfers, metadata sync, and finalize. */
 export async function runTransferPhases(opts) {
   const { sonarqubeConfig, sonarcloudConfig, transferConfig, sonarCloudProfiles, wait, shutdownCheck,
     isIncremental, syncAllBranches, excludeBranches, includeBranches,
-    lockFile, stateTracker, journal, cache, ruleEnrichmentMap,
+    lockFile, stateTracker, journal, cache, ruleEnrichmentMap, ruleKeys,
     sonarQubeClient, sonarCloudClient, sonarCloudMainBranch, sonarCloudRepos,
     extractedData, extractor, projectKey, performanceConfig } = opts;
 
+  const reportValidation = transferConfig.reportValidation || 'lenient';
+  const historyStats = transferConfig.history?.enabled
+    ? await replayAnalysisHistory({ extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, journal, historyConfig: transferConfig.history, sonarCloudRepos, ruleEnrichmentMap, reportValidation })
+    : null;
+  checkShutdown(shutdownCheck);
+
   const { mainBranchResult, aggregatedStats } = await transferMainBranch({
     journal, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, extractedData,
-    sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudRepos, ruleEnrichmentMap, stateTracker, isIncremental,
+    sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudRepos, ruleEnrichmentMap, reportValidation, stateTracker, isIncremental,
   });
+  if (historyStats) aggregatedStats.history = historyStats;
   checkShutdown(shutdownCheck);
 
   if (syncAllBranches) {
-    await transferNonMainBranches({ extractedData, excludeBranches, includeBranches, mainBranchResult, sonarCloudClient, sonarQubeClient, sonarCloudMainBranch, wait, aggregatedStats, extractor, journal, cache, shutdownCheck, stateTracker, isIncremental, sonarcloudConfig, sonarCloudProfiles, sonarCloudRepos, ruleEnrichmentMap, performanceConfig });
+    await transferNonMainBranches({ extractedData, excludeBranches, includeBranches, mainBranchResult, sonarCloudClient, sonarQubeClient, sonarCloudMainBranch, wait, aggregatedStats, extractor, journal, cache, shutdownCheck, stateTracker, isIncremental, sonarcloudConfig, sonarCloudProfiles, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys, performanceConfig });
+  }
+
+  if (transferConfig.pullRequests?.enabled) {
+    checkShutdown(shutdownCheck);
+    await transferPullRequests({ pullRequestsConfig: transferConfig.pullRequests, extractedData, mainBranchResult, sonarCloudClient, sonarQubeClient, sonarCloudMainBranch, wait, aggregatedStats, extractor, journal, shutdownCheck, stateTracker, isIncremental, sonarcloudConfig, sonarCloudProfiles, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys, performanceConfig });
   }
 
   // -------- Phase 2: Metadata Sync --------
   checkShutdown(shutdownCheck);
   const metadataStats = await syncTransferMetadata({
-    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig,
+    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig, ruleKeys,
   });
 
   if (isIncremental) await stateTracker.recordTransfer(aggregatedStats);
@@ -1,4 +1,5 @@
 import { checkShutdown } from '../../../../../shared/utils/shutdown.js';
+import { loadRuleKeyTranslator, translateExtractedRuleKeys } from '../../../../../shared/utils/rule-keys.js';
 import { connectAndVerify } from './helpers/connect-and-verify.js';
 import { initializeJournal } from './helpers/initialize-journal.js';
 import { checkMainBranchIncluded } from './helpers/check-main-branch-included.js';
@@ -13,7 +14,7 @@ export async function executeTransfer(opts) {
   const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig,
     wait, skipConnectionTest, projectKey, shutdownCheck, isIncremental,
     syncAllBranches, excludeBranches, includeBranches, lockFile,
-    stateTracker, journal, cache, prebuiltEnrichmentMap, initialProjectName } = opts;
+    stateTracker, journal, cache, prebuiltEnrichmentMap, prebuiltRuleKeys, initialProjectName } = opts;
 
   const { sonarQubeClient, sonarCloudClient, sqVersionRaw } = await connectAndVerify(sonarqubeConfig, sonarcloudConfig, skipConnectionTest);
   await initializeJournal(journal, sqVersionRaw, sonarqubeConfig, projectKey, sonarCloudClient);
@@ -25,17 +26,19 @@ export async function executeTransfer(opts) {
   }
   checkShutdown(shutdownCheck);
 
-  const { extractedData, extractor } = await extractData(sonarQubeClient, sonarqubeConfig, sonarcloudConfig, transferConfig, isIncremental, stateTracker, performanceConfig, journal, cache, shutdownCheck);
+  const { extractedData: sourceData, extractor } = await extractData(sonarQubeClient, sonarqubeConfig, sonarcloudConfig, transferConfig, isIncremental, stateTracker, performanceConfig, journal, cache, shutdownCheck);
   checkShutdown(shutdownCheck);
 
   const { sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos } = await fetchCloudContext(sonarQubeClient, sonarCloudClient, initialProjectName);
   const ruleEnrichmentMap = prebuiltEnrichmentMap || new Map();
+  const ruleKeys = prebuiltRuleKeys || await loadRuleKeyTranslator(sonarQubeClient, sonarCloudClient);
+  const extractedData = translateExtractedRuleKeys(sourceData, ruleKeys);
   checkShutdown(shutdownCheck);
 
   return runTransferPhases({
     sonarqubeConfig, sonarcloudConfig, transferConfig, sonarCloudProfiles, wait, shutdownCheck,
     isIncremental, syncAllBranches, excludeBranches, includeBranches,
-    lockFile, stateTracker, journal, cache, ruleEnrichmentMap,
+    lockFile, stateTracker, journal, cache, ruleEnrichmentMap, ruleKeys,
     sonarQubeClient, sonarCloudClient, sonarCloudMainBranch, sonarCloudRepos,
     extractedData, extractor, projectKey, performanceConfig,
   });
@@ -0,0 +1,3 @@
+// -------- Re-export: Replay Analysis History --------
+
+export { replayAnalysisHistory } from './replay-analysis-history/index.js';
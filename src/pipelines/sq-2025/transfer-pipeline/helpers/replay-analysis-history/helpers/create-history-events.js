@@ -0,0 +1,18 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Create History Events --------
+
+/** Recreate a replayed analysis's custom events; returns how many were created. */
+export async function createHistoryEvents(sonarCloudClient, analysisKey, events, label) {
+  if (!analysisKey) return 0;
+  let created = 0;
+  for (const name of events) {
+    try {
+      await sonarCloudClient.createProjectEvent(analysisKey, name);
+      created++;
+    } catch (error) {
+      logger.warn(`[${label}] Failed to create event '${name}': ${error.message}`);
+    }
+  }
+  return created;
+}
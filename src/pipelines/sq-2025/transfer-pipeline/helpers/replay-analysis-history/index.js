@@ -0,0 +1,51 @@
+import { buildProtobufMessages, encodeMessages } from '../transfer-branch/helpers/build-and-encode.js';
+import { validateReportMessages } from '../../../../../shared/scanner-report/validate-report-messages.js';
+import { uploadReport } from '../transfer-branch/helpers/upload-report.js';
+import { createHistoryEvents } from './helpers/create-history-events.js';
+import { buildHistorySnapshots, buildHistoryData } from '../../../../../shared/utils/analysis-history.js';
+import logger from '../../../../../shared/utils/logger.js';
+
+// -------- Replay Analysis History --------
+
+/**
+ * Upload past main branch analyses (`transfer.history`) as backdated reports before the current snapshot.
+ * SonarCloud refuses reports older than the latest analysis, so projects that already have one are skipped
+ * and the first failed report ends the replay.
+ */
+export async function replayAnalysisHistory(opts) {
+  const { extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, journal, historyConfig, sonarCloudRepos, ruleEnrichmentMap, reportValidation = 'lenient' } = opts;
+  const stats = { analysesReplayed: 0, eventsCreated: 0 };
+  if (journal?.getBranchStatus(sonarCloudMainBranch) === 'completed') return stats;
+
+  if (await sonarCloudClient.getLatestAnalysis()) {
+    logger.info('SonarCloud project already has analyses — skipping history replay');
+    return stats;
+  }
+
+  const analyses = await sonarQubeClient.getProjectAnalyses();
+  const measureHistory = await sonarQubeClient.getMeasuresHistory(historyConfig.metrics || []);
+  const snapshots = buildHistorySnapshots(analyses, measureHistory, historyConfig);
+  if (snapshots.length === 0) {
+    logger.info('No past analyses to replay');
+    return stats;
+  }
+
+  logger.info(`Replaying ${snapshots.length} past analysis(es) before the current snapshot`);
+  for (const snapshot of snapshots) {
+    const label = `history ${snapshot.date}`;
+    try {
+      const messages = buildProtobufMessages(buildHistoryData(extractedData, snapshot), sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap, label, snapshot.projectVersion);
+      validateReportMessages(messages, { mode: reportValidation, label });
+      const encodedReport = await encodeMessages(messages, label);
+      const task = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, sonarCloudMainBranch, true, true, label, snapshot.projectVersion);
+      stats.analysesReplayed++;
+      stats.eventsCreated += await createHistoryEvents(sonarCloudClient, task?.analysisId, snapshot.events, label);
+    } catch (error) {
+      logger.warn(`[${label}] Replay failed, continuing with the current snapshot: ${error.message}`);
+      break;
+    }
+  }
+
+  logger.info(`Replayed ${stats.analysesReplayed}/${snapshots.length} past analysis(es), ${stats.eventsCreated} event(s)`);
+  return stats;
+}
@@ -1,6 +1,7 @@
 import { randomBytes } from 'node:crypto';
 import { computeBatchPlan, computeBatchDate, createBatchExtractedData } from '../../../../../../shared/utils/batch-distributor.js';
 import { buildProtobufMessages, encodeMessages } from './build-and-encode.js';
+import { validateReportMessages, createValidationLog } from '../../../../../../shared/scanner-report/validate-report-messages.js';
 import { uploadReport } from './upload-report.js';
 import logger from '../../../../../../shared/utils/logger.js';
 
@@ -10,7 +11,7 @@ import logger from '../../../../../../shared/utils/logger.js';
 export async function transferBatched(opts) {
   const { extractedData, sonarcloudConfig, sonarCloudProfiles, branchName,
     referenceBranchName, sonarCloudClient, label, isMainBranch,
-    sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion } = opts;
+    sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest = null, validationLog = createValidationLog() } = opts;
 
   // Sort issues by component key so cumulative batches add issues from NEW
   // files each time. This prevents the CE's fuzzy issue tracker from matching
@@ -30,9 +31,10 @@ export async function transferBatched(opts) {
 
     logger.info(`[${batchLabel}] Issues ${batch.startIndex + 1}-${batch.endIndex} | date=${batchDate}`);
 
-    const messages = buildProtobufMessages(batchData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, batchLabel, sourceProjectVersion);
+    const messages = buildProtobufMessages(batchData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, batchLabel, sourceProjectVersion, pullRequest);
+    validateReportMessages(messages, { mode: validationLog.mode, label: batchLabel, log: validationLog });
     const encodedReport = await encodeMessages(messages, batchLabel);
-    lastCeTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, true, batchLabel, sourceProjectVersion);
+    lastCeTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, true, batchLabel, sourceProjectVersion, pullRequest);
     logger.info(`[${batchLabel}] CE task completed: ${lastCeTask.id}`);
   }
 
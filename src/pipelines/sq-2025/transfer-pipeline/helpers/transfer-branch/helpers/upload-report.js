@@ -3,15 +3,16 @@ import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Upload Report --------
 
-/** Upload an encoded report to SonarCloud. */
-export async function uploadReport(encodedReport, scConfig, scClient, branchName, isMainBranch, wait, label, sourceProjectVersion) {
+/** Upload an encoded report to SonarCloud as the main branch, a branch, or a pull request. */
+export async function uploadReport(encodedReport, scConfig, scClient, branchName, isMainBranch, wait, label, sourceProjectVersion, pullRequest = null) {
   logger.info(`[${label}] Uploading to SonarCloud...`);
   const uploader = new ReportUploader(scClient);
   const metadata = {
     projectKey: scConfig.projectKey,
     organization: scConfig.organization,
     version: sourceProjectVersion || '1.0.0',
-    ...(!isMainBranch && branchName ? { branchName } : {}),
+    ...(pullRequest ? { pullRequestKey: String(pullRequest.key) } : {}),
+    ...(!pullRequest && !isMainBranch && branchName ? { branchName } : {}),
   };
 
   if (wait) {
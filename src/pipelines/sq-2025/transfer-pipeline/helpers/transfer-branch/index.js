@@ -2,37 +2,40 @@ import { buildProtobufMessages, encodeMessages } from './helpers/build-and-encod
 import { uploadReport } from './helpers/upload-report.js';
 import { transferBatched } from './helpers/transfer-batched.js';
 import { shouldBatch, backdateChangesets } from '../../../../../shared/utils/batch-distributor.js';
+import { validateReportMessages, createValidationLog, reportValidationStats } from '../../../../../shared/scanner-report/validate-report-messages.js';
 import { resolveSourceProjectVersion } from '../../../../../shared/utils/source-version/resolve-source-project-version.js';
 
 // -------- Branch Transfer --------
 
-/** Build, encode, and upload a single branch report to SonarCloud. */
+/** Build, encode, and upload a single branch report (or pull request analysis) to SonarCloud. */
 export async function transferBranch(options) {
   const {
     extractedData, sonarcloudConfig, sonarCloudProfiles, branchName,
     referenceBranchName, wait, sonarCloudClient, sonarQubeClient, label,
     isMainBranch = false, sonarCloudRepos = new Set(),
-    ruleEnrichmentMap = new Map(),
+    ruleEnrichmentMap = new Map(), pullRequest = null, reportValidation = 'lenient',
   } = options;
+  const validationLog = createValidationLog(reportValidation);
 
-  const sourceProjectVersion = await resolveSourceProjectVersion(sonarQubeClient, sonarQubeClient?.projectKey, isMainBranch ? null : branchName);
+  const sourceProjectVersion = await resolveSourceProjectVersion(sonarQubeClient, sonarQubeClient?.projectKey, isMainBranch ? null : (pullRequest?.base || branchName));
 
   if (shouldBatch(extractedData)) {
     const ceTask = await transferBatched({
       extractedData, sonarcloudConfig, sonarCloudProfiles, branchName,
       referenceBranchName, sonarCloudClient, label, isMainBranch,
-      sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion,
+      sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest, validationLog,
     });
-    return { stats: computeBranchStats(extractedData), ceTask };
+    return { stats: { ...computeBranchStats(extractedData), ...reportValidationStats(validationLog) }, ceTask };
   }
 
   backdateChangesets(extractedData);
 
-  const messages = buildProtobufMessages(extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, label, sourceProjectVersion);
+  const messages = buildProtobufMessages(extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, label, sourceProjectVersion, pullRequest);
+  validateReportMessages(messages, { mode: reportValidation, label, log: validationLog });
   const encodedReport = await encodeMessages(messages, label);
-  const ceTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, wait, label, sourceProjectVersion);
+  const ceTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, wait, label, sourceProjectVersion, pullRequest);
 
-  return { stats: computeBranchStats(extractedData), ceTask };
+  return { stats: { ...computeBranchStats(extractedData), ...reportValidationStats(validationLog) }, ceTask };
 }
 
 function computeBranchStats(extractedData) {
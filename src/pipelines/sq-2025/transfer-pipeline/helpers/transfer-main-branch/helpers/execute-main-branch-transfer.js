@@ -6,7 +6,7 @@ import logger from '../../../../../../shared/utils/logger.js';
 
 /** Execute the actual main branch transfer (build, encode, upload). */
 export async function executeMainBranchTransfer(opts) {
-  const { journal, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, extractedData, sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudRepos, ruleEnrichmentMap } = opts;
+  const { journal, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, extractedData, sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudRepos, ruleEnrichmentMap, reportValidation } = opts;
 
   if (journal) await journal.startBranch(sonarCloudMainBranch);
 
@@ -24,7 +24,7 @@ export async function executeMainBranchTransfer(opts) {
       extractedData, sonarcloudConfig, sonarCloudProfiles,
       branchName: sonarCloudMainBranch, referenceBranchName: sonarCloudMainBranch,
       wait, sonarCloudClient, sonarQubeClient, label: 'main', isMainBranch: true,
-      sonarCloudRepos, ruleEnrichmentMap,
+      sonarCloudRepos, ruleEnrichmentMap, reportValidation,
     });
   }
 
@@ -1,4 +1,5 @@
 import { executeMainBranchTransfer } from './helpers/execute-main-branch-transfer.js';
+import { recordValidationStats } from '../../../../../shared/scanner-report/validate-report-messages.js';
 import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Main Branch Transfer --------
@@ -29,6 +30,7 @@ export async function transferMainBranch(opts) {
     linesOfCode: mainBranchResult.stats.linesOfCode || 0,
     branchesTransferred: [sonarCloudMainBranch],
   };
+  recordValidationStats(aggregatedStats, sonarCloudMainBranch, mainBranchResult.stats);
 
   if (isIncremental) {
     stateTracker.markBranchCompleted(sonarCloudMainBranch);
@@ -1,3 +1,5 @@
+import { recordValidationStats } from '../../../../../../shared/scanner-report/validate-report-messages.js';
+
 // -------- Aggregate Branch Results --------
 
 /** Aggregate stats from settled branch transfer results. */
@@ -17,6 +19,7 @@ export function aggregateBranchResults(branchResults, aggregatedStats) {
       aggregatedStats.sourcesTransferred += val.branchResult.stats.sourcesTransferred || 0;
       aggregatedStats.linesOfCode += val.branchResult.stats.linesOfCode || 0;
       aggregatedStats.branchesTransferred.push(val.branchName);
+      recordValidationStats(aggregatedStats, val.branchName, val.branchResult.stats);
     }
   }
 }
@@ -1,6 +1,7 @@
 import { GracefulShutdownError } from '../../../../../../../shared/utils/errors.js';
 import { transferBranch } from '../../../transfer-branch.js';
 import { checkBranchSkip } from './helpers/check-branch-skip.js';
+import { translateExtractedRuleKeys } from '../../../../../../../shared/utils/rule-keys.js';
 import logger from '../../../../../../../shared/utils/logger.js';
 
 // -------- Transfer One Branch --------
@@ -10,7 +11,7 @@ export async function transferOneBranch(branch, opts) {
   const { shutdownCheck, isIncremental, stateTracker, journal, cache,
     extractor, extractedData, sonarcloudConfig, sonarCloudProfiles,
     sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient,
-    sonarCloudRepos, ruleEnrichmentMap } = opts;
+    sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys = null } = opts;
   const branchName = branch.name;
 
   const skipResult = checkBranchSkip(branchName, shutdownCheck, isIncremental, stateTracker, journal);
@@ -24,10 +25,10 @@ export async function transferOneBranch(branch, opts) {
       : await extractor.extractBranch(branchName, extractedData);
 
     const branchResult = await transferBranch({
-      extractedData: branchData, sonarcloudConfig, sonarCloudProfiles,
+      extractedData: translateExtractedRuleKeys(branchData, ruleKeys), sonarcloudConfig, sonarCloudProfiles,
       branchName, referenceBranchName: sonarCloudMainBranch,
       wait, sonarCloudClient, sonarQubeClient, label: branchName,
-      sonarCloudRepos, ruleEnrichmentMap,
+      sonarCloudRepos, ruleEnrichmentMap, reportValidation,
     });
 
     if (journal) {
@@ -0,0 +1,3 @@
+// -------- Re-export: Transfer Pull Requests --------
+
+export { transferPullRequests } from './transfer-pull-requests/index.js';
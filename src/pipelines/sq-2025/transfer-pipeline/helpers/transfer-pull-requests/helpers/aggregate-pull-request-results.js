@@ -0,0 +1,23 @@
+import { recordValidationStats } from '../../../../../../shared/scanner-report/validate-report-messages.js';
+
+// -------- Aggregate Pull Request Results --------
+
+/** Aggregate stats from settled pull request transfer results; PRs count towards issues but not branches. */
+export function aggregatePullRequestResults(results, aggregatedStats) {
+  aggregatedStats.pullRequestsTransferred = [];
+  for (const r of results) {
+    if (r.status !== 'fulfilled') continue;
+    const val = r.value;
+    if (!val) continue;
+    if (val.skipped) {
+      if (val.addToTransferred) aggregatedStats.pullRequestsTransferred.push(val.branchName);
+      continue;
+    }
+    if (val.branchResult) {
+      aggregatedStats.issuesTransferred += val.branchResult.stats.issuesTransferred || 0;
+      aggregatedStats.hotspotsTransferred += val.branchResult.stats.hotspotsTransferred || 0;
+      aggregatedStats.pullRequestsTransferred.push(val.branchName);
+      recordValidationStats(aggregatedStats, val.branchName, val.branchResult.stats);
+    }
+  }
+}
@@ -0,0 +1,46 @@
+import { GracefulShutdownError } from '../../../../../../shared/utils/errors.js';
+import { pullRequestLabel } from '../../../../../../shared/utils/pull-requests.js';
+import { transferBranch } from '../../transfer-branch.js';
+import { checkBranchSkip } from '../../transfer-non-main-branches/helpers/transfer-one-branch/helpers/check-branch-skip.js';
+import { translateExtractedRuleKeys } from '../../../../../../shared/utils/rule-keys.js';
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Transfer One Pull Request --------
+
+/** Transfer a single pull request; the journal and state file track it under its label ("PR #42"). */
+export async function transferOnePullRequest(pullRequest, opts) {
+  const { shutdownCheck, isIncremental, stateTracker, journal,
+    extractor, extractedData, sonarcloudConfig, sonarCloudProfiles,
+    sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient,
+    sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys = null } = opts;
+  const label = pullRequestLabel(pullRequest);
+
+  const skipResult = checkBranchSkip(label, shutdownCheck, isIncremental, stateTracker, journal);
+  if (skipResult) return skipResult;
+
+  try {
+    if (journal) await journal.startBranch(label);
+    logger.info(`--- Extracting ${label}: ${pullRequest.title || pullRequest.branch} ---`);
+    const prData = await extractor.extractPullRequest(pullRequest, extractedData);
+
+    const branchResult = await transferBranch({
+      extractedData: translateExtractedRuleKeys(prData, ruleKeys), sonarcloudConfig, sonarCloudProfiles,
+      branchName: pullRequest.branch, referenceBranchName: pullRequest.target || pullRequest.base || sonarCloudMainBranch,
+      wait, sonarCloudClient, sonarQubeClient, label,
+      sonarCloudRepos, ruleEnrichmentMap, reportValidation, pullRequest,
+    });
+
+    if (journal) {
+      await journal.recordUpload(label, branchResult.ceTask?.id);
+      await journal.markBranchCompleted(label, branchResult.ceTask?.id);
+    }
+    if (isIncremental) { stateTracker.markBranchCompleted(label); await stateTracker.save(); }
+    return { branchName: label, branchResult };
+  } catch (error) {
+    if (error instanceof GracefulShutdownError) throw error;
+    if (journal) await journal.markBranchFailed(label, error.message);
+    logger.error(`Failed to transfer ${label}: ${error.message}`);
+    logger.warn('Continuing with remaining pull requests...');
+    return { branchName: label, error: error.message };
+  }
+}
@@ -0,0 +1,34 @@
+import { mapConcurrent } from '../../../../../shared/utils/concurrency.js';
+import { filterPullRequests, pullRequestLabel } from '../../../../../shared/utils/pull-requests.js';
+import { waitForMainBranchIfNeeded } from '../transfer-non-main-branches/helpers/wait-for-main-branch.js';
+import { transferOnePullRequest } from './helpers/transfer-one-pull-request.js';
+import { aggregatePullRequestResults } from './helpers/aggregate-pull-request-results.js';
+import logger from '../../../../../shared/utils/logger.js';
+
+// -------- Pull Request Transfer --------
+
+/**
+ * Transfer open pull request analyses (`transfer.pullRequests`) in parallel.
+ * Runs after the branches so each PR's target branch already exists in SonarCloud.
+ */
+export async function transferPullRequests(opts) {
+  const { pullRequestsConfig, sonarQubeClient, mainBranchResult, sonarCloudClient, wait, aggregatedStats, performanceConfig } = opts;
+
+  const pullRequests = filterPullRequests(await sonarQubeClient.getPullRequests(), pullRequestsConfig);
+  if (pullRequests.length === 0) {
+    aggregatedStats.pullRequestsTransferred = [];
+    logger.info('No pull requests to sync');
+    return;
+  }
+
+  await waitForMainBranchIfNeeded(mainBranchResult, wait, sonarCloudClient);
+  logger.info(`Syncing ${pullRequests.length} pull request(s): ${pullRequests.map(pullRequestLabel).join(', ')}`);
+
+  const results = await mapConcurrent(
+    pullRequests,
+    (pullRequest) => transferOnePullRequest(pullRequest, opts),
+    { concurrency: performanceConfig?.maxConcurrency || 4, settled: true },
+  );
+
+  aggregatePullRequestResults(results, aggregatedStats);
+}
@@ -11,7 +11,7 @@ export async function transferProject(options) {
   const {
     sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig = {},
     wait = false, skipConnectionTest = false, projectName: initialProjectName = null,
-    ruleEnrichmentMap: prebuiltEnrichmentMap = null, shutdownCoordinator = null,
+    ruleEnrichmentMap: prebuiltEnrichmentMap = null, ruleKeys: prebuiltRuleKeys = null, shutdownCoordinator = null,
     forceRestart = false, forceFreshExtract = false, forceUnlock = false,
   } = options;
 
@@ -33,7 +33,7 @@ export async function transferProject(options) {
       sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig,
       wait, skipConnectionTest, projectKey, shutdownCheck, isIncremental,
       syncAllBranches, excludeBranches, includeBranches, lockFile,
-      stateTracker, journal, cache, prebuiltEnrichmentMap, initialProjectName,
+      stateTracker, journal, cache, prebuiltEnrichmentMap, prebuiltRuleKeys, initialProjectName,
     });
   } catch (error) {
     if (!(error instanceof GracefulShutdownError) && journal) {
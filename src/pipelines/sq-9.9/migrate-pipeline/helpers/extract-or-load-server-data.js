@@ -2,29 +2,33 @@ import { mkdir } from 'node:fs/promises';
 import { join } from 'node:path';
 import { writeFile } from 'node:fs/promises';
 import logger from '../../../../shared/utils/logger.js';
+import { sameProjectFilters } from '../../../../shared/mapping/project-filter.js';
 import { extractAllProjects, extractServerWideData } from '../../pipeline/extraction.js';
 
 // -------- Extract Server Data or Use Cache --------
 
-export async function extractOrLoadServerData(sqClient, cachedServerData, results, perfConfig, outputDir) {
-  if (cachedServerData) {
+export async function extractOrLoadServerData(sqClient, cachedServerData, results, perfConfig, outputDir, projectFilters = null) {
+  if (cachedServerData && !sameProjectFilters(cachedServerData.projectFilters, projectFilters)) {
+    logger.info('Project filters changed since the cached run — re-extracting server-wide data');
+  } else if (cachedServerData) {
     logger.info('Using cached server-wide data (skipping re-extraction)');
     results.serverSteps.push({ step: 'Server-wide data', status: 'cached', detail: 'Loaded from previous run' });
     return { allProjects: cachedServerData.allProjects, extractedData: cachedServerData.extractedData };
   }
 
-  const allProjects = await extractAllProjects(sqClient, results);
+  const allProjects = await extractAllProjects(sqClient, results, projectFilters);
   const extractedData = await extractServerWideData(sqClient, allProjects, results, perfConfig);
-  await cacheServerData(outputDir, allProjects, extractedData);
+  await cacheServerData(outputDir, allProjects, extractedData, projectFilters);
   return { allProjects, extractedData };
 }
 
-async function cacheServerData(outputDir, allProjects, extractedData) {
+async function cacheServerData(outputDir, allProjects, extractedData, projectFilters) {
   try {
     const cacheDir = join(outputDir, 'cache');
     await mkdir(cacheDir, { recursive: true });
     const serializable = {
       allProjects,
+      projectFilters,
       extractedData: {
         ...extractedData,
         projectBindings: [...extractedData.projectBindings.entries()],
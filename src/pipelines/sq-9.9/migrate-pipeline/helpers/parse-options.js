@@ -20,7 +20,12 @@ export function parseOptions(options) {
     skipHotspotSync: migrateConfig.skipHotspotMetadataSync || migrateConfig.skipHotspotSync || false,
     skipQualityProfileSync: migrateConfig.skipQualityProfileSync || false,
     skipProjectConfig: migrateConfig.skipProjectConfig || false,
+    webhookSecrets: migrateConfig.webhookSecrets || 'skip',
+    strictQualityGates: migrateConfig.strictQualityGates || false,
     onlyComponents: migrateConfig.onlyComponents || null,
+    projectFilters: migrateConfig.projects || null,
+    routingRules: migrateConfig.routingRules || null,
+    projectKeyTransform: migrateConfig.projectKeyTransform || null,
     forceRestart: migrateConfig.forceRestart || false,
   };
 }
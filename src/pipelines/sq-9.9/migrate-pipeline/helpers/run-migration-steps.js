@@ -2,6 +2,7 @@ import logger from '../../../../shared/utils/logger.js';
 import { SonarQubeClient } from '../../sonarqube/api-client.js';
 import { runFatalStep, logMigrationSummary } from '../../pipeline/results.js';
 import { generateOrgMappings, saveServerInfo } from '../../pipeline/org-migration.js';
+import { compileRoutingRules } from '../../../../shared/mapping/routing-rules.js';
 import { extractOrLoadServerData } from './extract-or-load-server-data.js';
 import { collectAssignees } from './collect-assignees.js';
 import { logDryRunComplete } from './log-dry-run-complete.js';
@@ -17,11 +18,12 @@ export async function runMigrationSteps(opts, ctx, results, preExistingCsvs, cac
   await runFatalStep(results, 'Connect to SonarQube', () => sqClient.testConnection());
 
   logger.info('=== Step 2: Extracting server-wide data from SonarQube ===');
-  const { allProjects, extractedData } = await extractOrLoadServerData(sqClient, cachedServerData, results, opts.perfConfig, opts.outputDir);
+  const { allProjects, extractedData } = await extractOrLoadServerData(sqClient, cachedServerData, results, opts.perfConfig, opts.outputDir, opts.projectFilters);
 
   logger.info('=== Step 3: Generating organization mappings ===');
   const extraMappingData = opts.dryRun ? await collectAssignees(sqClient, allProjects) : {};
-  const { orgMapping, resourceMappings } = await generateOrgMappings(allProjects, extractedData, opts.sonarcloudOrgs, opts.outputDir, extraMappingData);
+  const routingRules = await compileRoutingRules(sqClient, opts.routingRules, opts.sonarcloudOrgs, extractedData.portfolios);
+  const { orgMapping, resourceMappings } = await generateOrgMappings(allProjects, extractedData, opts.sonarcloudOrgs, opts.outputDir, extraMappingData, routingRules, opts.projectKeyTransform);
 
   if (opts.dryRun) { logDryRunComplete(opts.outputDir); results.dryRun = true; return; }
 
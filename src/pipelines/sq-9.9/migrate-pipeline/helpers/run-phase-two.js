@@ -1,14 +1,10 @@
-import { migrateOneOrganizationMetadata, migrateEnterprisePortfolios } from '../../pipeline/org-migration.js';
+import { migrateOneOrganizationMetadata, migrateEnterpriseViews } from '../../pipeline/org-migration.js';
 
-// -------- Phase 2: Portfolios + Metadata Sync in Parallel --------
+// -------- Phase 2: Portfolios/Applications + Metadata Sync in Parallel --------
 
 export async function runPhaseTwo(effectiveExtractedData, mergedProjectKeyMap, orgPhase2Contexts, results, ctx) {
-  const shouldMigratePortfolios = !ctx.onlyComponents || ctx.onlyComponents.includes('portfolios');
-
   await Promise.all([
-    shouldMigratePortfolios
-      ? migrateEnterprisePortfolios(effectiveExtractedData, mergedProjectKeyMap, results, ctx)
-      : Promise.resolve(),
+    migrateEnterpriseViews(effectiveExtractedData, mergedProjectKeyMap, results, ctx),
     ...orgPhase2Contexts.map(phase2Ctx => migrateOneOrganizationMetadata(phase2Ctx)),
   ]);
 }
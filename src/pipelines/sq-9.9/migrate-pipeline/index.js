@@ -36,6 +36,8 @@ function buildContext(opts, journal) {
     transferConfig: opts.transferConfig, rateLimitConfig: opts.rateLimitConfig, perfConfig: opts.perfConfig,
     outputDir: opts.outputDir, dryRun: opts.dryRun, skipIssueSync: opts.skipIssueSync, skipHotspotSync: opts.skipHotspotSync,
     skipQualityProfileSync: opts.skipQualityProfileSync, skipProjectConfig: opts.skipProjectConfig, wait: opts.wait,
-    onlyComponents: opts.onlyComponents, projectBranchIncludes: new Map(), migrationJournal: opts.dryRun ? null : journal,
+    webhookSecrets: opts.webhookSecrets, strictQualityGates: opts.strictQualityGates,
+    onlyComponents: opts.onlyComponents, projectFilters: opts.projectFilters, projectKeyTransform: opts.projectKeyTransform,
+    projectBranchIncludes: new Map(), migrationJournal: opts.dryRun ? null : journal,
   };
 }
@@ -1,14 +1,17 @@
 import logger from '../../../../../shared/utils/logger.js';
+import { selectProjects } from '../../../../../shared/mapping/project-filter.js';
 
 // -------- Extract All Projects from SonarQube --------
 
-export async function extractAllProjects(sqClient, results) {
+export async function extractAllProjects(sqClient, results, projectFilters = null) {
   try {
     logger.info('Extracting all projects...');
     const allProjects = await sqClient.listAllProjects();
     logger.info(`Found ${allProjects.length} projects`);
-    results.serverSteps.push({ step: 'Extract projects', status: 'success', detail: `${allProjects.length} found` });
-    return allProjects;
+    const selected = await selectProjects(sqClient, allProjects, projectFilters);
+    const detail = selected.length === allProjects.length ? `${allProjects.length} found` : `${selected.length}/${allProjects.length} selected by project filters`;
+    results.serverSteps.push({ step: 'Extract projects', status: 'success', detail });
+    return selected;
   } catch (error) {
     results.serverSteps.push({ step: 'Extract projects', status: 'failed', error: error.message });
     throw error;
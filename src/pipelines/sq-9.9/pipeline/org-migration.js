@@ -1 +1 @@
-export { generateOrgMappings, saveServerInfo, runOrgStep, migrateOrgWideResources, migrateOneOrganization, migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterprisePortfolios } from './org-migration/index.js';
+export { generateOrgMappings, saveServerInfo, runOrgStep, migrateOrgWideResources, migrateOneOrganization, migrateOneOrganizationCore, migrateOneOrganizationMetadata, migrateEnterprisePortfolios, migrateEnterpriseApplications, migrateEnterpriseViews } from './org-migration/index.js';
@@ -1,6 +1,8 @@
 import { migratePortfolios } from '../../../sonarcloud/migrators/portfolios.js';
 import logger from '../../../../../shared/utils/logger.js';
+import { completePortfolioKeyMap } from '../../../../../shared/mapping/project-key-transform.js';
 import { handleMissingEnterpriseKey } from '../../../../../shared/utils/portfolio-skip.js';
+import { planPortfolios } from '../../../../../shared/utils/portfolio-membership.js';
 
 // -------- Migrate Enterprise Portfolios --------
 
@@ -19,7 +21,10 @@ export async function migrateEnterprisePortfolios(extractedData, mergedProjectKe
   try {
     logger.info('Creating portfolios via Enterprise V2 API...');
     const orgConfig = ctx.sonarcloudOrgs[0];
-    const created = await migratePortfolios(allPortfolios, mergedProjectKeyMap, enterpriseConfig, orgConfig, ctx.rateLimitConfig);
+    const migratedKeys = mergedProjectKeyMap.size > 0 ? [...mergedProjectKeyMap.keys()] : (extractedData.projects || []).map(p => p.key);
+    const portfolios = planPortfolios(allPortfolios, migratedKeys, enterpriseConfig.subPortfolios);
+    const projectKeyMap = completePortfolioKeyMap(portfolios, mergedProjectKeyMap, ctx.projectKeyTransform);
+    const created = await migratePortfolios(portfolios, projectKeyMap, enterpriseConfig, orgConfig, ctx.rateLimitConfig, results.portfolioMembershipChanges);
     results.portfolios += created;
     logger.info(`Enterprise portfolios: ${created} created`);
   } catch (error) {
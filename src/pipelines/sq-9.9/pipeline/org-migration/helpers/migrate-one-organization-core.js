@@ -2,6 +2,7 @@ import { initOrgClients } from './init-org-clients.js';
 import { ensureRuleEnrichment } from './ensure-rule-enrichment.js';
 import { loadOrRunOrgWide } from './load-or-run-org-wide.js';
 import { runProjectCorePhase } from './run-project-core-phase.js';
+import { loadRuleKeyTranslator } from '../../../../../shared/utils/rule-keys.js';
 import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Phase 1: Org-Wide Resources + Project Upload/Config --------
@@ -24,6 +25,7 @@ export async function migrateOneOrganizationCore(assignment, extractedData, reso
   const { scClient, sqClient } = clients;
 
   await ensureRuleEnrichment(ctx, scClient);
+  if (!ctx.ruleKeys) ctx.ruleKeys = await loadRuleKeyTranslator(sqClient, scClient);
   const { gateMapping, builtInProfileMapping } = await loadOrRunOrgWide(org, extractedData, scClient, sqClient, orgResult, results, ctx);
 
   const coreResult = await runProjectCorePhase(projects, org, scClient, gateMapping, extractedData, results, ctx, builtInProfileMapping);
@@ -16,7 +16,7 @@ export async function migrateOrgWideResources(extractedData, scClient, sqClient,
   }
 
   const { gateMapping, builtInProfileMapping } = await runOrgWideBatchOne(extractedData, scClient, orgResult, results, shouldRun, ctx);
-  await runOrgWideBatchTwo(extractedData, scClient, sqClient, orgResult, ctx, shouldRun);
+  await runOrgWideBatchTwo(extractedData, scClient, sqClient, orgResult, results, ctx, shouldRun);
 
   return { gateMapping, builtInProfileMapping };
 }
@@ -16,4 +16,7 @@ export function pushSkippedSteps(orgResult, shouldRun, ctx) {
   if (!shouldRun('permission-templates')) {
     orgResult.steps.push({ step: 'Create permission templates', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
   }
+  if (!shouldRun('webhooks')) {
+    orgResult.steps.push({ step: 'Create webhooks', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
+  }
 }
@@ -1,6 +1,6 @@
 import { migrateQualityGates } from '../../../sonarcloud/migrators/quality-gates.js';
-import { migrateQualityProfiles } from '../../../sonarcloud/migrators/quality-profiles.js';
-import { migrateGroups } from '../../../sonarcloud/migrators/groups.js';
+import { migrateQualityProfiles, migrateCustomRules } from '../../../sonarcloud/migrators/quality-profiles.js';
+import { migrateGroups, migrateGroupMemberships } from '../../../sonarcloud/migrators/groups.js';
 import { migratePermissionTemplates } from '../../../sonarcloud/migrators/permissions.js';
 import { runOrgStep } from './run-org-step.js';
 import logger from '../../../../../shared/utils/logger.js';
@@ -15,25 +15,41 @@ export async function runOrgWideBatchOne(extractedData, scClient, orgResult, res
     shouldRun('permissions') ? runOrgStep(orgResult, 'Create groups', async () => {
       logger.info('Creating groups...');
       const groupMapping = await migrateGroups(extractedData.groups, scClient);
+      const membershipStats = await migrateGroupMemberships(extractedData.groups, groupMapping, scClient, ctx.userMappings);
       results.groups += groupMapping.size;
-      return `${groupMapping.size} created`;
+      results.groupMemberships += membershipStats.added;
+      results.groupMembershipWarnings.push(...membershipStats.warnings.map(w => ({ organization: orgResult.key, ...w })));
+      return `${groupMapping.size} created, ${membershipStats.added} member(s) added`;
     }) : null,
     shouldRun('quality-gates') ? runOrgStep(orgResult, 'Create quality gates', async () => {
       logger.info('Creating quality gates...');
-      gateMapping = await migrateQualityGates(extractedData.qualityGates, scClient);
+      const compatibility = [];
+      const outcomes = [];
+      gateMapping = await migrateQualityGates(extractedData.qualityGates, scClient, { strict: ctx.strictQualityGates, compatibility, outcomes });
       results.qualityGates += gateMapping.size;
-      return `${gateMapping.size} created`;
+      results.qualityGateCompatibility.push(...compatibility.map(c => ({ organization: orgResult.key, ...c })));
+      results.qualityGateOutcomes.push(...outcomes.map(o => ({ organization: orgResult.key, ...o })));
+      return `${gateMapping.size} migrated`;
     }) : null,
-    (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : runOrgStep(orgResult, 'Restore quality profiles', async () => {
-      logger.info('Restoring quality profiles...');
-      const r = await migrateQualityProfiles(extractedData.qualityProfiles, scClient);
-      builtInProfileMapping = r.builtInProfileMapping;
-      results.qualityProfiles += r.profileMapping.size;
-      return `${r.profileMapping.size} restored (${builtInProfileMapping.size} built-in migrated)`;
-    }),
+    (!shouldRun('quality-profiles') || ctx.skipQualityProfileSync) ? null : (async () => {
+      // Custom rules must exist before the profiles that activate them are restored
+      if (extractedData.customRules?.length > 0) await runOrgStep(orgResult, 'Create custom rules', async () => {
+        const cr = await migrateCustomRules(extractedData.customRules, scClient);
+        results.customRules += cr.created;
+        results.customRuleFailures.push(...cr.failures.map(f => ({ organization: orgResult.key, ...f })));
+        return `${cr.created} created, ${cr.alreadyPresent} already present, ${cr.failures.length} failed`;
+      });
+      await runOrgStep(orgResult, 'Restore quality profiles', async () => {
+        logger.info('Restoring quality profiles...');
+        const r = await migrateQualityProfiles(extractedData.qualityProfiles, scClient);
+        builtInProfileMapping = r.builtInProfileMapping;
+        results.qualityProfiles += r.profileMapping.size;
+        return `${r.profileMapping.size} restored (${builtInProfileMapping.size} built-in migrated)`;
+      });
+    })(),
     shouldRun('permission-templates') ? runOrgStep(orgResult, 'Create permission templates', async () => {
       logger.info('Creating permission templates...');
-      await migratePermissionTemplates(extractedData.permissionTemplates, scClient);
+      await migratePermissionTemplates(extractedData.permissionTemplates, scClient, ctx.userMappings);
     }) : null,
   ].filter(Boolean));
 
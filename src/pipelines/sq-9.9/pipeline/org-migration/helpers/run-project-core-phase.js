@@ -3,7 +3,7 @@ import logger from '../../../../../shared/utils/logger.js';
 
 // -------- Run Project Core Phase or Resolve Keys Only --------
 
-const PROJECT_COMPONENTS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings'];
+const PROJECT_COMPONENTS = ['scan-data', 'scan-data-all-branches', 'quality-gates', 'quality-profiles', 'permissions', 'issue-metadata', 'hotspot-metadata', 'project-settings', 'webhooks'];
 
 export async function runProjectCorePhase(projects, org, scClient, gateMapping, extractedData, results, ctx, builtInProfileMapping) {
   const only = ctx.onlyComponents;
@@ -17,7 +17,7 @@ export async function runProjectCorePhase(projects, org, scClient, gateMapping,
   // Fast path: only resolve project keys (needed for portfolio mapping)
   const projectKeyMap = new Map();
   for (const project of projects) {
-    const { scProjectKey } = await resolveProjectKey(project, org, scClient);
+    const { scProjectKey } = await resolveProjectKey(project, org, scClient, ctx.projectKeyTransform);
     projectKeyMap.set(project.key, scProjectKey);
   }
   logger.info(`Skipping project migration (no project-level components in --only). Resolved ${projectKeyMap.size} project key(s).`);
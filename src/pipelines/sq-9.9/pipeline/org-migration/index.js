@@ -6,3 +6,5 @@ export { migrateOneOrganization } from './helpers/migrate-one-organization.js';
 export { migrateOneOrganizationCore } from './helpers/migrate-one-organization-core.js';
 export { migrateOneOrganizationMetadata } from './helpers/migrate-one-organization-metadata.js';
 export { migrateEnterprisePortfolios } from './helpers/migrate-enterprise-portfolios.js';
+export { migrateEnterpriseApplications } from './helpers/migrate-enterprise-applications.js';
+export { migrateEnterpriseViews } from './helpers/migrate-enterprise-views.js';
@@ -24,7 +24,7 @@ export async function migrateOneProjectCore({ project, scProjectKey, org, gateMa
 
   if (reportUploadOk && !ctx.skipProjectConfig) {
     logger.info(`[${project.key}] Configuring project`);
-    await migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, only, { isStepDone, recordStep });
+    await migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, only, { isStepDone, recordStep }, ctx.userMappings, ctx.webhookSecrets);
     logger.info(`[${project.key}] Project configuration complete`);
   } else if (ctx.skipProjectConfig) {
     logger.debug(`Skipping project config for ${scProjectKey}`);
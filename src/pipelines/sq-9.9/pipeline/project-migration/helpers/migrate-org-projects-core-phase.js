@@ -17,17 +17,18 @@ export async function migrateOrgProjectsCorePhase(projects, org, scClient, gateM
     async (project, i) => {
       if (migrationJournal && migrationJournal.getProjectStatus(org.key, project.key) === 'completed') {
         logger.info(`\n--- Project ${i + 1}/${projects.length}: ${project.key} — already completed, skipping ---`);
-        const { scProjectKey } = await resolveProjectKey(project, org, scClient);
+        const scProjectKey = migrationJournal.getProjectScKey(org.key, project.key)
+          || (await resolveProjectKey(project, org, scClient, ctx.projectKeyTransform)).scProjectKey;
         projectKeyMap.set(project.key, scProjectKey);
         return null;
       }
 
-      const { scProjectKey, warning } = await resolveProjectKey(project, org, scClient);
+      const { scProjectKey, warning } = await resolveProjectKey(project, org, scClient, ctx.projectKeyTransform);
       if (warning) projectKeyWarnings.push(warning);
       projectKeyMap.set(project.key, scProjectKey);
       logger.info(`\n--- Project ${i + 1}/${projects.length}: ${project.key} -> ${scProjectKey} ---`);
 
-      if (migrationJournal) await migrationJournal.startProject(org.key, project.key);
+      if (migrationJournal) await migrationJournal.startProject(org.key, project.key, scProjectKey);
 
       const phase2Ctx = await migrateOneProjectCore({ project, scProjectKey, org, gateMapping, extractedData, results, ctx, builtInProfileMapping });
       projectPhase2Contexts.push(phase2Ctx);
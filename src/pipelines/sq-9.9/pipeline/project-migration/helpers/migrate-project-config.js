@@ -7,10 +7,11 @@ import { runGuardedStep } from './run-guarded-step.js';
 import { migrateGateIfNeeded } from './migrate-quality-gate.js';
 import { migrateProfilesIfNeeded } from './migrate-quality-profiles.js';
 import { migratePermsIfNeeded } from './migrate-project-perms.js';
+import { migrateWebhooksIfNeeded } from './migrate-project-webhooks.js';
 
 // -------- Migrate Project Config --------
 
-export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}) {
+export async function migrateProjectConfig(project, scProjectKey, projectSqClient, projectScClient, gateMapping, extractedData, projectResult, builtInProfileMapping, onlyComponents, journal = {}, userMappings = null, webhookSecrets = 'skip') {
   const shouldRun = (comp) => !onlyComponents || onlyComponents.includes(comp);
   const { isStepDone: stepDone, recordStep: recStep } = journal;
 
@@ -31,6 +32,7 @@ export async function migrateProjectConfig(project, scProjectKey, projectSqClien
   await Promise.all([
     migrateGateIfNeeded(scProjectKey, projectSqClient, projectScClient, gateMapping, projectResult, onlyComponents, stepDone, recStep, shouldRun),
     migrateProfilesIfNeeded(scProjectKey, projectScClient, projectResult, builtInProfileMapping, onlyComponents, stepDone, recStep, shouldRun),
-    migratePermsIfNeeded(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, stepDone, recStep, shouldRun),
+    migratePermsIfNeeded(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, stepDone, recStep, shouldRun, userMappings),
+    migrateWebhooksIfNeeded(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, stepDone, recStep, shouldRun, webhookSecrets),
   ]);
 }
@@ -0,0 +1,17 @@
+import { extractWebhooks } from '../../../sonarqube/extractors/webhooks.js';
+import { migrateWebhooks } from '../../../sonarcloud/migrators/webhooks.js';
+import { runGuardedStep } from './run-guarded-step.js';
+
+// -------- Migrate Project Webhooks (if needed) --------
+
+export async function migrateWebhooksIfNeeded(project, scProjectKey, projectSqClient, projectScClient, projectResult, onlyComponents, stepDone, recStep, shouldRun, webhookSecrets) {
+  if (!shouldRun('webhooks')) {
+    if (onlyComponents) projectResult.steps.push({ step: 'Project webhooks', status: 'skipped', detail: 'Not included in --only', durationMs: 0 });
+    return;
+  }
+  await runGuardedStep(projectResult, 'Project webhooks', 'project_webhooks', stepDone, recStep, async () => {
+    const webhooks = await extractWebhooks(projectSqClient, project.key);
+    const r = await migrateWebhooks(webhooks, projectScClient, { projectKey: scProjectKey, secretMode: webhookSecrets });
+    return `${r.created} created, ${r.skipped} already present, ${r.failed} failed`;
+  });
+}
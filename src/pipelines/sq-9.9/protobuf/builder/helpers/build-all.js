@@ -16,6 +16,9 @@ export function buildAll(ctx) {
       sourceFiles: ctx.buildSourceFiles(),
       activeRules: ctx.buildActiveRules(),
       changesetsByComponent: ctx.buildChangesets(),
+      syntaxHighlightingsByComponent: ctx.buildSyntaxHighlightings(),
+      symbolsByComponent: ctx.buildSymbols(),
+      coveragesByComponent: ctx.buildLineCoverages(),
       duplicationsByComponent: ctx.buildDuplications(),
       externalIssuesByComponent: externalResult.externalIssuesByComponent,
       adHocRules: externalResult.adHocRules,
@@ -0,0 +1,20 @@
+import logger from '../../../../../shared/utils/logger.js';
+
+// -------- Build Line Coverage Messages --------
+
+export function buildLineCoverages(ctx) {
+  logger.info('Building line coverage messages...');
+  const coveragesByComponent = new Map();
+  if (!ctx.data.lineCoverage) return coveragesByComponent;
+  const lineCountByKey = new Map((ctx.data.sources || []).map(source => [source.key, source.lines.length]));
+
+  ctx.data.lineCoverage.forEach((coverageData, componentKey) => {
+    if (!ctx.componentRefMap.has(componentKey) || !lineCountByKey.has(componentKey)) return;
+    const lineCount = lineCountByKey.get(componentKey);
+    const lines = coverageData.lines.filter(entry => entry.line >= 1 && entry.line <= lineCount);
+    if (lines.length > 0) coveragesByComponent.set(ctx.componentRefMap.get(componentKey), lines);
+  });
+
+  logger.info(`Built line coverage for ${coveragesByComponent.size} files`);
+  return coveragesByComponent;
+}
@@ -1,5 +1,6 @@
 import { randomBytes } from 'node:crypto';
 import logger from '../../../../../shared/utils/logger.js';
+import { buildPullRequestMetadata } from '../../../../../shared/utils/pull-requests.js';
 
 // -------- Build Scanner Report Metadata --------
 
@@ -21,6 +22,7 @@ export function buildMetadata(ctx) {
     projectVersion: ctx.sourceProjectVersion || '1.0.0',
     analyzedIndexedFileCountPerType: ctx.buildFileCountsByType(),
   };
+  if (ctx.pullRequest) Object.assign(metadata, buildPullRequestMetadata(ctx.pullRequest, referenceBranch));
 
   logger.debug(`Metadata built: projectKey=${metadata.projectKey}, branch=${metadata.branchName}`);
   return metadata;
@@ -8,6 +8,8 @@ import { buildSourceFiles } from './helpers/build-source-files.js';
 import { buildActiveRules } from './helpers/build-active-rules.js';
 import { buildQProfiles } from './helpers/build-qprofiles.js';
 import { buildChangesets } from './helpers/build-changesets.js';
+import { buildSyntaxHighlightings, buildSymbols } from './helpers/build-source-markup.js';
+import { buildLineCoverages } from './helpers/build-line-coverage.js';
 import { buildFileCountsByType } from './helpers/build-file-counts.js';
 import { buildAll } from './helpers/build-all.js';
 import { mapSeverity } from './helpers/map-severity.js';
@@ -23,6 +25,7 @@ export function createProtobufBuilder(extractedData, scConfig = {}, scProfiles =
     sonarCloudRepos: options.sonarCloudRepos || new Set(),
     ruleEnrichmentMap: options.ruleEnrichmentMap || new Map(),
     sourceProjectVersion: options.sourceProjectVersion || null,
+    pullRequest: options.pullRequest || null,
     getComponentRef(key) { if (!this.componentRefMap.has(key)) this.componentRefMap.set(key, this.nextRef++); return this.componentRefMap.get(key); },
     mapSeverity, buildQProfiles() { return buildQProfiles(this); }, buildFileCountsByType() { return buildFileCountsByType(this); },
     buildMetadata() { return buildMetadata(this); }, buildComponents() { return buildComponents(this); },
@@ -31,6 +34,8 @@ export function createProtobufBuilder(extractedData, scConfig = {}, scProfiles =
     buildMeasure(m) { return buildMeasure(m); }, parseMeasureValue(v) { return parseMeasureValue(v); },
     buildSourceFiles() { return buildSourceFiles(this); }, buildActiveRules() { return buildActiveRules(this); },
     buildChangesets() { return buildChangesets(this); }, buildAll() { return buildAll(this); },
+    buildSyntaxHighlightings() { return buildSyntaxHighlightings(this); }, buildSymbols() { return buildSymbols(this); },
+    buildLineCoverages() { return buildLineCoverages(this); },
   };
   return ctx;
 }
@@ -1,6 +1,6 @@
 import logger from '../../../../../shared/utils/logger.js';
 
-// -------- Encode Active Rules, Changesets, External Issues, Ad-Hoc Rules, Duplications --------
+// -------- Encode Active Rules, Changesets, External Issues, Ad-Hoc Rules, Duplications, Highlighting, Symbols, Coverage --------
 
 export function encodeRulesAndChangesets(encoder, messages) {
   logger.debug(`Encoding ${(messages.activeRules || []).length} active rules...`);
@@ -32,5 +32,29 @@ export function encodeRulesAndChangesets(encoder, messages) {
     });
   }
 
-  return { activeRules, changesets, externalIssues, adHocRules, duplications };
+  const syntaxHighlightings = new Map();
+  if (messages.syntaxHighlightingsByComponent?.size > 0) {
+    logger.debug(`Encoding syntax highlighting for ${messages.syntaxHighlightingsByComponent.size} components...`);
+    messages.syntaxHighlightingsByComponent.forEach((rules, ref) => {
+      syntaxHighlightings.set(ref, Buffer.concat(rules.map(r => encoder.encodeSyntaxHighlightingRuleDelimited(r))));
+    });
+  }
+
+  const symbols = new Map();
+  if (messages.symbolsByComponent?.size > 0) {
+    logger.debug(`Encoding symbols for ${messages.symbolsByComponent.size} components...`);
+    messages.symbolsByComponent.forEach((syms, ref) => {
+      symbols.set(ref, Buffer.concat(syms.map(s => encoder.encodeSymbolDelimited(s))));
+    });
+  }
+
+  const coverages = new Map();
+  if (messages.coveragesByComponent?.size > 0) {
+    logger.debug(`Encoding line coverage for ${messages.coveragesByComponent.size} components...`);
+    messages.coveragesByComponent.forEach((lines, ref) => {
+      coverages.set(ref, Buffer.concat(lines.map(c => encoder.encodeLineCoverageDelimited(c))));
+    });
+  }
+
+  return { activeRules, changesets, externalIssues, adHocRules, duplications, syntaxHighlightings, symbols, coverages };
 }
@@ -17,6 +17,9 @@ export function createProtobufEncoder() {
     encodeExternalIssueDelimited(i) { return encodeMessageDelimited(encoder.root, 'ExternalIssue', i); },
     encodeAdHocRuleDelimited(r) { return encodeMessageDelimited(encoder.root, 'AdHocRule', r); },
     encodeDuplicationDelimited(d) { return encodeMessageDelimited(encoder.root, 'Duplication', d); },
+    encodeSyntaxHighlightingRuleDelimited(r) { return encodeMessageDelimited(encoder.root, 'SyntaxHighlightingRule', r); },
+    encodeSymbolDelimited(s) { return encodeMessageDelimited(encoder.root, 'Symbol', s); },
+    encodeLineCoverageDelimited(c) { return encodeMessageDelimited(encoder.root, 'LineCoverage', c); },
     encodeAll(messages) { return encodeAll(encoder, messages); },
   };
   return encoder;
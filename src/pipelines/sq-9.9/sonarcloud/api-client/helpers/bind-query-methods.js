@@ -19,8 +19,12 @@ export function bindQueryMethods(ctx) {
     getNewCodePeriods: (pk) => qmx.getNewCodePeriods(ctx, pk),
     getProjectBinding: (pk) => qmx.getProjectBinding(ctx, pk),
     getGroups: () => qmx.getGroups(ctx),
+    getOrganizationMembers: () => qmx.getOrganizationMembers(ctx),
     getGlobalPermissions: () => qmx.getGlobalPermissions(ctx),
     getProjectPermissions: (pk) => qmx.getProjectPermissions(ctx, pk),
+    getGlobalUserPermissions: () => qmx.getGlobalUserPermissions(ctx),
+    getProjectUserPermissions: (pk) => qmx.getProjectUserPermissions(ctx, pk),
+    getTemplateUserPermissions: (t) => qmx.getTemplateUserPermissions(ctx, t),
     getPermissionTemplates: () => qmx.getPermissionTemplates(ctx),
     searchIssuesWithComments: (pk, f) => qmx.searchIssuesWithComments(ctx, pk, f),
     getHotspotDetails: (hk) => qmx.getHotspotDetails(ctx, hk),
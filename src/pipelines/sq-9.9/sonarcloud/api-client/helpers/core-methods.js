@@ -48,3 +48,20 @@ export async function getMostRecentCeTask(ctx) {
   const tasks = response.data.tasks || [];
   return tasks.length > 0 ? tasks[0] : null;
 }
+
+export async function getLatestAnalysis(ctx) {
+  try {
+    const response = await ctx.client.get('/api/project_analyses/search', { params: { project: ctx.projectKey, ps: 1 } });
+    const analyses = response.data.analyses || [];
+    return analyses.length > 0 ? analyses[0] : null;
+  } catch (error) {
+    logger.debug(`No analyses found for ${ctx.projectKey}: ${error.message}`);
+    return null;
+  }
+}
+
+export async function createProjectEvent(ctx, analysisKey, name, category = 'OTHER') {
+  logger.debug(`Creating ${category} event '${name}' on analysis ${analysisKey}`);
+  const response = await ctx.client.post('/api/project_analyses/create_event', null, { params: { analysis: analysisKey, name, category } });
+  return response.data.event;
+}
@@ -19,24 +19,37 @@ export function bindDelegateMethods(ctx) {
     getActiveRules: (pk) => qp.getActiveRules(ctx.client, ctx.organization, pk),
     getActiveRulesWithCleanCodeFields: (pk) => qp.getActiveRulesWithCleanCodeFields(ctx.client, ctx.organization, pk),
     addQualityProfileToProject: (l, q, pk) => qp.addQualityProfileToProject(ctx.client, ctx.organization, l, q, pk),
+    createRule: (p) => qp.createRule(ctx.client, ctx.organization, p),
+    getDeprecatedRuleKeys: () => qp.getDeprecatedRuleKeys(ctx.client, ctx.organization),
+    getRuleActivations: (pk) => qp.getRuleActivations(ctx.client, ctx.organization, pk),
     createQualityGate: (n) => qg.createQualityGate(ctx.client, ctx.organization, n),
     createQualityGateCondition: (g, m, o, e) => qg.createQualityGateCondition(ctx.client, ctx.organization, g, m, o, e),
     setDefaultQualityGate: (id) => qg.setDefaultQualityGate(ctx.client, ctx.organization, id),
+    deleteQualityGate: (id) => qg.deleteQualityGate(ctx.client, ctx.organization, id),
+    updateQualityGateCondition: (id, m, op, e) => qg.updateQualityGateCondition(ctx.client, ctx.organization, id, m, op, e),
+    deleteQualityGateCondition: (id) => qg.deleteQualityGateCondition(ctx.client, ctx.organization, id),
     assignQualityGateToProject: (g, pk) => qg.assignQualityGateToProject(ctx.client, ctx.organization, g, pk),
     getIssueChangelog: (k) => iss.getIssueChangelog(ctx.client, k),
     transitionIssue: (i, t) => iss.transitionIssue(ctx.client, i, t),
     assignIssue: (i, a) => iss.assignIssue(ctx.client, i, a),
     addIssueComment: (i, t) => iss.addIssueComment(ctx.client, i, t),
     setIssueTags: (i, t) => iss.setIssueTags(ctx.client, i, t),
+    setIssueSeverity: (i, s) => iss.setIssueSeverity(ctx.client, i, s),
+    setIssueType: (i, t) => iss.setIssueType(ctx.client, i, t),
     searchIssues: (pk, f) => iss.searchIssues(ctx.client, ctx.organization, pk, f),
     changeHotspotStatus: (h, s, r) => hs.changeHotspotStatus(ctx.client, h, s, r),
     searchHotspots: (pk, f) => hs.searchHotspots(ctx.client, pk, f),
     addHotspotComment: (h, t) => hs.addHotspotComment(ctx.client, h, t),
+    assignHotspot: (h, a) => hs.assignHotspot(ctx.client, h, a),
     createGroup: (n, d) => perms.createGroup(ctx.client, ctx.organization, n, d),
+    addGroupMember: (g, l) => perms.addGroupMember(ctx.client, ctx.organization, g, l),
     addGroupPermission: (g, p) => perms.addGroupPermission(ctx.client, ctx.organization, g, p),
     addProjectGroupPermission: (g, pk, p) => perms.addProjectGroupPermission(ctx.client, ctx.organization, g, pk, p),
+    addUserPermission: (l, p) => perms.addUserPermission(ctx.client, ctx.organization, l, p),
+    addProjectUserPermission: (l, pk, p) => perms.addProjectUserPermission(ctx.client, ctx.organization, l, pk, p),
     createPermissionTemplate: (n, d, p) => perms.createPermissionTemplate(ctx.client, ctx.organization, n, d, p),
     addGroupToTemplate: (t, g, p) => perms.addGroupToTemplate(ctx.client, ctx.organization, t, g, p),
+    addUserToTemplate: (t, l, p) => perms.addUserToTemplate(ctx.client, ctx.organization, t, l, p),
     setDefaultTemplate: (t, q) => perms.setDefaultTemplate(ctx.client, ctx.organization, t, q),
     setProjectSetting: (k, v, c) => pc.setProjectSetting(ctx.client, k, v, c || ctx.projectKey),
     setProjectTags: (pk, t) => pc.setProjectTags(ctx.client, pk, t),
@@ -45,5 +58,7 @@ export function bindDelegateMethods(ctx) {
     setGitlabBinding: (pk, a, r) => pc.setGitlabBinding(ctx.client, pk, a, r),
     setAzureBinding: (pk, a, p, r) => pc.setAzureBinding(ctx.client, pk, a, p, r),
     setBitbucketBinding: (pk, a, r, s) => pc.setBitbucketBinding(ctx.client, pk, a, r, s),
+    createWebhook: (n, u, s, pk) => pc.createWebhook(ctx.client, ctx.organization, n, u, s, pk),
+    listWebhooks: (pk) => pc.listWebhooks(ctx.client, ctx.organization, pk),
   };
 }
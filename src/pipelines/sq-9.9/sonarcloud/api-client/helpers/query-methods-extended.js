@@ -18,8 +18,12 @@ export async function getProjectBinding(ctx, pk) {
 }
 
 export async function getGroups(ctx) { return getPaginated(ctx.client, '/api/user_groups/search', { organization: ctx.organization }, 'groups'); }
+export async function getOrganizationMembers(ctx) { const users = await getPaginated(ctx.client, '/api/organizations/search_members', { organization: ctx.organization }, 'users'); return users.map(u => u.login); }
 export async function getGlobalPermissions(ctx) { return getPaginated(ctx.client, '/api/permissions/groups', { organization: ctx.organization, ps: 100 }, 'groups'); }
 export async function getProjectPermissions(ctx, pk) { return getPaginated(ctx.client, '/api/permissions/groups', { projectKey: pk, organization: ctx.organization, ps: 100 }, 'groups'); }
+export async function getGlobalUserPermissions(ctx) { return getPaginated(ctx.client, '/api/permissions/users', { organization: ctx.organization, ps: 100 }, 'users'); }
+export async function getProjectUserPermissions(ctx, pk) { return getPaginated(ctx.client, '/api/permissions/users', { projectKey: pk, organization: ctx.organization, ps: 100 }, 'users'); }
+export async function getTemplateUserPermissions(ctx, templateId) { return getPaginated(ctx.client, '/api/permissions/template_users', { templateId, organization: ctx.organization, ps: 100 }, 'users'); }
 export async function getPermissionTemplates(ctx) { const r = await ctx.client.get('/api/permissions/search_templates', { params: { organization: ctx.organization } }); return r.data; }
 export async function searchIssuesWithComments(ctx, pk, filters = {}) { return iss.searchIssues(ctx.client, ctx.organization, pk, { additionalFields: 'comments', ...filters }); }
 export async function getHotspotDetails(ctx, hk) { const r = await ctx.client.get('/api/hotspots/show', { params: { hotspot: hk } }); return r.data; }
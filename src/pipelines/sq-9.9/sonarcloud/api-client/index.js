@@ -23,6 +23,8 @@ export function createSonarCloudClient(config) {
     isProjectKeyTakenGlobally: (pk) => core.isProjectKeyTakenGlobally(ctx, pk),
     ensureProject: (name) => core.ensureProject(ctx, name),
     getMostRecentCeTask: () => core.getMostRecentCeTask(ctx),
+    getLatestAnalysis: () => core.getLatestAnalysis(ctx),
+    createProjectEvent: (ak, name, cat) => core.createProjectEvent(ctx, ak, name, cat),
     getAnalysisStatus: (id) => analysis.getAnalysisStatus(ctx, id),
     waitForAnalysis: (id, max) => analysis.waitForAnalysis(ctx, id, max),
     ...bindQueryMethods(ctx),
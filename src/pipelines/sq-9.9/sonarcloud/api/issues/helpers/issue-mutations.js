@@ -22,6 +22,16 @@ export async function setIssueTags(client, issue, tags) {
   await client.post('/api/issues/set_tags', null, { params: { issue, tags: tags.join(',') } });
 }
 
+export async function setIssueSeverity(client, issue, severity) {
+  logger.debug(`Setting severity on issue ${issue}: ${severity}`);
+  await client.post('/api/issues/set_severity', null, { params: { issue, severity } });
+}
+
+export async function setIssueType(client, issue, type) {
+  logger.debug(`Setting type on issue ${issue}: ${type}`);
+  await client.post('/api/issues/set_type', null, { params: { issue, type } });
+}
+
 export async function getIssueChangelog(client, issueKey) {
   logger.debug(`Fetching changelog for issue: ${issueKey}`);
   const response = await client.get('/api/issues/changelog', { params: { issue: issueKey } });
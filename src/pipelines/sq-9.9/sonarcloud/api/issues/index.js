@@ -1,4 +1,4 @@
 // -------- Issues API — Public API --------
 
-export { transitionIssue, assignIssue, addIssueComment, setIssueTags, getIssueChangelog } from './helpers/issue-mutations.js';
+export { transitionIssue, assignIssue, addIssueComment, setIssueTags, setIssueSeverity, setIssueType, getIssueChangelog } from './helpers/issue-mutations.js';
 export { searchIssues } from './helpers/search-issues.js';
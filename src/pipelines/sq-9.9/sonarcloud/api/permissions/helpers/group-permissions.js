@@ -8,6 +8,11 @@ export async function createGroup(client, organization, name, description = '')
   return response.data.group;
 }
 
+export async function addGroupMember(client, organization, groupName, login) {
+  logger.debug(`Adding user ${login} to group ${groupName}`);
+  await client.post('/api/user_groups/add_user', null, { params: { name: groupName, login, organization } });
+}
+
 export async function addGroupPermission(client, organization, groupName, permission) {
   logger.debug(`Adding ${permission} permission to group ${groupName}`);
   await client.post('/api/permissions/add_group', null, { params: { groupName, permission, organization } });
@@ -1 +1 @@
-export { setProjectSetting, setProjectTags, createProjectLink, setGithubBinding, setGitlabBinding, setAzureBinding, setBitbucketBinding } from './project-config/index.js';
+export { setProjectSetting, setProjectTags, createProjectLink, setGithubBinding, setGitlabBinding, setAzureBinding, setBitbucketBinding, createWebhook, listWebhooks } from './project-config/index.js';
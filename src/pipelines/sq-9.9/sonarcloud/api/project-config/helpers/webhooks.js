@@ -0,0 +1,19 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Webhooks API Methods --------
+
+export async function createWebhook(client, organization, name, url, secret = null, projectKey = null) {
+  logger.debug(`Creating webhook ${name} -> ${url}${projectKey ? ` on project ${projectKey}` : ''}`);
+  const params = { organization, name, url };
+  if (projectKey) params.project = projectKey;
+  if (secret) params.secret = secret;
+  const response = await client.post('/api/webhooks/create', null, { params });
+  return response.data.webhook;
+}
+
+export async function listWebhooks(client, organization, projectKey = null) {
+  const params = { organization };
+  if (projectKey) params.project = projectKey;
+  const response = await client.get('/api/webhooks/list', { params });
+  return response.data.webhooks || [];
+}
@@ -2,3 +2,4 @@
 
 export { setProjectSetting, setProjectTags, createProjectLink } from './helpers/project-settings.js';
 export { setGithubBinding, setGitlabBinding, setAzureBinding, setBitbucketBinding } from './helpers/alm-bindings.js';
+export { createWebhook, listWebhooks } from './helpers/webhooks.js';
@@ -1 +1 @@
-export { getQualityProfiles, getMainBranchName, restoreQualityProfile, setDefaultQualityProfile, addQualityProfileGroupPermission, addQualityProfileUserPermission, searchQualityProfiles, getActiveRules, getActiveRulesWithCleanCodeFields, addQualityProfileToProject } from './quality-profiles/index.js';
+export { getQualityProfiles, getMainBranchName, restoreQualityProfile, setDefaultQualityProfile, addQualityProfileGroupPermission, addQualityProfileUserPermission, searchQualityProfiles, getActiveRules, getActiveRulesWithCleanCodeFields, addQualityProfileToProject, createRule, getDeprecatedRuleKeys, getRuleActivations } from './quality-profiles/index.js';
@@ -5,6 +5,9 @@ export { getMainBranchName } from './helpers/get-main-branch-name.js';
 export { restoreQualityProfile } from './helpers/restore-quality-profile.js';
 export { searchQualityProfiles } from './helpers/search-quality-profiles.js';
 export { getActiveRules, getActiveRulesWithCleanCodeFields } from './helpers/get-active-rules.js';
+export { createRule } from './helpers/create-rule.js';
+export { getDeprecatedRuleKeys } from './helpers/get-deprecated-rule-keys.js';
+export { getRuleActivations } from './helpers/get-rule-activations.js';
 export {
   setDefaultQualityProfile,
   addQualityProfileGroupPermission,
@@ -1,7 +1,9 @@
+import { canonicalRuleKey } from '../../../../../../shared/utils/rule-keys.js';
+
 // -------- Build Match Key for Hotspots: rule + file + line --------
 
-export function buildHotspotMatchKey(hotspot) {
-  const ruleKey = hotspot.ruleKey || hotspot.rule?.key || '';
+export function buildHotspotMatchKey(hotspot, ruleKeys = null) {
+  const ruleKey = canonicalRuleKey(hotspot.ruleKey || hotspot.rule?.key || '', ruleKeys);
   const component = hotspot.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = hotspot.line ?? hotspot.textRange?.startLine ?? 0;
@@ -2,10 +2,10 @@ import { buildHotspotMatchKey } from './build-hotspot-match-key.js';
 
 // -------- Build Match Map and Pre-Match SQ <-> SC Hotspots --------
 
-export function matchHotspots(sqHotspots, scHotspots) {
+export function matchHotspots(sqHotspots, scHotspots, ruleKeys = null) {
   const scMap = new Map();
   for (const hs of scHotspots) {
-    const key = buildHotspotMatchKey(hs);
+    const key = buildHotspotMatchKey(hs, ruleKeys);
     if (key) {
       if (!scMap.has(key)) scMap.set(key, []);
       scMap.get(key).push(hs);
@@ -14,7 +14,7 @@ export function matchHotspots(sqHotspots, scHotspots) {
 
   const matchedPairs = [];
   for (const sqHs of sqHotspots) {
-    const key = buildHotspotMatchKey(sqHs);
+    const key = buildHotspotMatchKey(sqHs, ruleKeys);
     if (!key) continue;
     const candidates = scMap.get(key);
     if (!candidates?.length) continue;
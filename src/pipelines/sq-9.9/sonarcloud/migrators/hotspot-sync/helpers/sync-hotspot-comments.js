@@ -1,25 +1,38 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { buildHotspotSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { planCommentSync, hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
+
+const METADATA_SYNC_COMMENT = '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.';
 
 // -------- Sync Hotspot Comments, Metadata Marker, and Source Link --------
 
+async function fetchExistingComments(scHotspot, client) {
+  try { return (await client.getHotspotDetails(scHotspot.key))?.comment || []; }
+  catch (e) { logger.debug(`Failed to fetch comments of hotspot ${scHotspot.key}: ${e.message}`); return []; }
+}
+
 export async function syncHotspotComments(scHotspot, sqHotspot, client, stats, options) {
-  for (const comment of (sqHotspot.comments || [])) {
+  const existingComments = await fetchExistingComments(scHotspot, client);
+  const { toAdd, alreadyPresent } = planCommentSync(sqHotspot.comments, existingComments);
+  stats.commentsAlreadyPresent += alreadyPresent;
+  for (const text of toAdd) {
     try {
-      const text = `[Migrated from SonarQube] ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
       await client.addHotspotComment(scHotspot.key, text);
       stats.commented++;
     } catch (e) { logger.debug(`Failed to add comment to hotspot ${scHotspot.key}: ${e.message}`); }
   }
 
-  try {
-    await client.addHotspotComment(scHotspot.key, '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.');
-    stats.metadataSyncCommented++;
-  } catch (e) { logger.debug(`Failed to add metadata comment to hotspot ${scHotspot.key}: ${e.message}`); }
+  if (!hasComment(existingComments, METADATA_SYNC_COMMENT)) {
+    try {
+      await client.addHotspotComment(scHotspot.key, METADATA_SYNC_COMMENT);
+      stats.metadataSyncCommented++;
+    } catch (e) { logger.debug(`Failed to add metadata comment to hotspot ${scHotspot.key}: ${e.message}`); }
+  }
 
   if (options.sonarqubeUrl && options.sonarqubeProjectKey) {
     try {
       const text = buildHotspotSourceComment(options.sonarqubeUrl, options.sonarqubeProjectKey, sqHotspot.key);
+      if (hasComment(existingComments, text)) return;
       await client.addHotspotComment(scHotspot.key, text);
       stats.sourceLinked++;
     } catch (e) { logger.debug(`Failed to add source link to hotspot ${scHotspot.key}: ${e.message}`); }
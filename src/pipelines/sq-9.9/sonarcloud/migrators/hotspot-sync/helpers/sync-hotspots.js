@@ -5,12 +5,13 @@ import { resolveSourceBaseURL } from '../../../../../../shared/utils/source-link
 import { matchHotspots } from './match-hotspots.js';
 import { syncHotspotStatus } from './sync-hotspot-status.js';
 import { syncHotspotComments } from './sync-hotspot-comments.js';
+import { syncHotspotAssignment } from './sync-hotspot-assignment.js';
 
 // -------- Sync Hotspots from SonarQube to SonarCloud --------
 
 export async function syncHotspots(projectKey, sqHotspots, client, options = {}) {
   const concurrency = options.concurrency || 50;
-  const stats = { matched: 0, statusChanged: 0, commented: 0, metadataSyncCommented: 0, sourceLinked: 0, failed: 0 };
+  const stats = { matched: 0, statusChanged: 0, assigned: 0, assignmentMapped: 0, assignmentSkipped: 0, assignmentFailed: 0, commented: 0, commentsAlreadyPresent: 0, metadataSyncCommented: 0, sourceLinked: 0, failed: 0 };
 
   if (options.sqClient && options.sonarqubeProjectKey) {
     options.sonarqubeUrl = await resolveSourceBaseURL(options.sqClient);
@@ -26,7 +27,7 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
   }
   logger.info(`Found ${scHotspots.length} SC hotspots, matching against ${sqHotspots.length} SQ hotspots`);
 
-  const matchedPairs = matchHotspots(sqHotspots, scHotspots);
+  const matchedPairs = matchHotspots(sqHotspots, scHotspots, options.ruleKeys);
   stats.matched = matchedPairs.length;
   logger.info(`Matched ${matchedPairs.length} hotspots, syncing with concurrency=${concurrency}`);
 
@@ -38,6 +39,7 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
       try {
         const changed = await syncHotspotStatus(scHotspot, sqHotspot, client);
         if (changed) stats.statusChanged++;
+        await syncHotspotAssignment(sqHotspot, scHotspot, client, options.userMappings, stats);
         await syncHotspotComments(scHotspot, sqHotspot, client, stats, options);
       } catch (e) { stats.failed++; logger.debug(`Failed to sync hotspot ${sqHotspot.key}: ${e.message}`); }
     },
@@ -49,5 +51,5 @@ export async function syncHotspots(projectKey, sqHotspots, client, options = {})
 }
 
 function logHotspotStats(stats) {
-  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.commented} comments, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
+  logger.info(`Hotspot sync: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.assigned} assigned${stats.assignmentMapped > 0 ? ` (${stats.assignmentMapped} mapped)` : ''}, ${stats.assignmentFailed} assignment-failed, ${stats.commented} comments added, ${stats.commentsAlreadyPresent} already present, ${stats.metadataSyncCommented} metadata-sync-commented, ${stats.sourceLinked} source-linked, ${stats.failed} failed`);
 }
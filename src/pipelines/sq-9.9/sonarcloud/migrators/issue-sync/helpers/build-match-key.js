@@ -1,7 +1,9 @@
+import { canonicalRuleKey } from '../../../../../../shared/utils/rule-keys.js';
+
 // -------- Build Match Key from Rule + File Component + Line --------
 
-export function buildMatchKey(issue) {
-  const rule = issue.rule;
+export function buildMatchKey(issue, ruleKeys = null) {
+  const rule = canonicalRuleKey(issue.rule, ruleKeys);
   const component = issue.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = issue.line ?? issue.textRange?.startLine ?? 0;
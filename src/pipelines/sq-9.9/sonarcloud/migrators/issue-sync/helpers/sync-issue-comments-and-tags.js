@@ -1,14 +1,16 @@
 import logger from '../../../../../../shared/utils/logger.js';
 import { resolveSourceBaseURL } from '../../../../../../shared/utils/source-link/resolve-source-base-url.js';
 import { buildIssueSourceComment } from '../../../../../../shared/utils/source-link/build-source-comments.js';
+import { planCommentSync, hasComment } from '../../../../../../shared/utils/issue-sync/plan-comment-sync.js';
 
 // -------- Sync Issue Comments, Tags, and Source Link --------
 
 export async function syncIssueCommentsAndTags(scIssue, sqIssue, client, stats, sqClient) {
-  // Sync comments
-  for (const comment of (sqIssue.comments || [])) {
+  // Sync comments not yet migrated by an earlier run
+  const { toAdd, alreadyPresent } = planCommentSync(sqIssue.comments, scIssue.comments);
+  stats.commentsAlreadyPresent += alreadyPresent;
+  for (const text of toAdd) {
     try {
-      const text = `[Migrated from SonarQube] ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
       await client.addIssueComment(scIssue.key, text);
       stats.commented++;
     } catch (error) {
@@ -38,6 +40,7 @@ export async function syncIssueCommentsAndTags(scIssue, sqIssue, client, stats,
     try {
       const baseURL = await resolveSourceBaseURL(sqClient);
       const text = buildIssueSourceComment(baseURL, sqClient.projectKey, sqIssue.key);
+      if (hasComment(scIssue.comments, text)) return;
       await client.addIssueComment(scIssue.key, text);
       stats.sourceLinked++;
     } catch (error) {
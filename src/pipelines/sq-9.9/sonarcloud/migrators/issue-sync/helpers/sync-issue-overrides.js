@@ -0,0 +1,25 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { planOverrideSync } from '../../../../../../shared/utils/issue-sync/plan-override-sync.js';
+
+// -------- Sync Manual Severity and Type Overrides --------
+
+// SonarQube 9.9 has no software-quality impacts, so only severity and type are replayed.
+export async function syncIssueOverrides(scIssue, sqIssue, client, stats, changelog) {
+  const plan = planOverrideSync(sqIssue, scIssue, changelog);
+  if (plan.type) {
+    await applyOverride(scIssue, 'type', () => client.setIssueType(scIssue.key, plan.type), 'typeOverridden', stats);
+  }
+  if (plan.severity) {
+    await applyOverride(scIssue, 'severity', () => client.setIssueSeverity(scIssue.key, plan.severity), 'severityOverridden', stats);
+  }
+}
+
+async function applyOverride(scIssue, label, apply, counter, stats) {
+  try {
+    await apply();
+    stats[counter]++;
+  } catch (error) {
+    stats.overrideFailed++;
+    logger.debug(`Failed to set ${label} on issue ${scIssue.key}: ${error.message}`);
+  }
+}
@@ -8,6 +8,7 @@ import { createEmptyStats } from './create-empty-stats.js';
 import { logSyncStats } from './log-sync-stats.js';
 import { syncIssueStatus } from './sync-issue-status.js';
 import { syncIssueAssignment } from './sync-issue-assignment.js';
+import { syncIssueOverrides } from './sync-issue-overrides.js';
 import { syncIssueCommentsAndTags } from './sync-issue-comments-and-tags.js';
 
 // -------- Sync Issues from SonarQube to SonarCloud --------
@@ -26,21 +27,22 @@ export async function syncIssues(projectKey, sqIssues, client, options = {}) {
   let changelogMap = new Map();
 
   if (sqClient) {
-    ({ issuesToSync, changelogMap } = await applyManualChangesPreFilter(issuesToSync, sqClient, stats, concurrency));
+    ({ issuesToSync, changelogMap } = await applyManualChangesPreFilter(issuesToSync, sqClient, stats, concurrency, options.changedSince));
     if (issuesToSync.length === 0) { logSyncStats(stats); return stats; }
   }
 
-  let scIssues = await client.searchIssues(projectKey);
+  // Existing comments let the sync skip those migrated by an earlier run
+  let scIssues = await client.searchIssuesWithComments(projectKey);
   if (scIssues.length === 0 && issuesToSync.length > 0) {
     scIssues = await waitForScIndexing(
-      () => client.searchIssues(projectKey),
+      () => client.searchIssuesWithComments(projectKey),
       issuesToSync.length,
       { label: 'issues', projectKey },
     );
   }
   logger.info(`Found ${scIssues.length} SC issues, matching against ${issuesToSync.length} SQ issues`);
 
-  const matchedPairs = matchIssues(issuesToSync, scIssues);
+  const matchedPairs = matchIssues(issuesToSync, scIssues, options.ruleKeys);
   stats.matched = matchedPairs.length;
   logger.info(`Matched ${matchedPairs.length} issues, syncing with concurrency=${concurrency}`);
 
@@ -53,6 +55,7 @@ export async function syncIssues(projectKey, sqIssues, client, options = {}) {
         const transitioned = await syncIssueStatus(scIssue, sqIssue, client);
         if (transitioned) stats.transitioned++;
         await syncIssueAssignment(scIssue, sqIssue, client, stats, userMappings);
+        await syncIssueOverrides(scIssue, sqIssue, client, stats, changelogMap.get(sqIssue.key));
         await syncIssueCommentsAndTags(scIssue, sqIssue, client, stats, sqClient);
       } catch (error) {
         stats.failed++;
@@ -1 +1 @@
-export { migrateGlobalPermissions, migrateProjectPermissions, migratePermissionTemplates } from './permissions/index.js';
+export { migrateGlobalPermissions, migrateProjectPermissions, migratePermissionTemplates, migrateGlobalUserPermissions, migrateProjectUserPermissions } from './permissions/index.js';
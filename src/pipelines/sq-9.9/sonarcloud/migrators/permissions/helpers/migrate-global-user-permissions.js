@@ -0,0 +1,27 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { translateUserPermissions } from '../../../../../../shared/mapping/user-permissions.js';
+
+// -------- Migrate Global User Permissions --------
+
+export async function migrateGlobalUserPermissions(userPermissions, client, userMappings = null) {
+  const { users, excluded } = translateUserPermissions(userPermissions, userMappings);
+  logger.info(`Migrating global permissions for ${users.length} users`);
+
+  let granted = 0;
+  let failed = 0;
+  for (const user of users) {
+    for (const permission of user.permissions) {
+      try {
+        await client.addUserPermission(user.login, permission);
+        granted++;
+        logger.debug(`Added ${permission} to user ${user.login}`);
+      } catch (error) {
+        failed++;
+        logger.debug(`Failed to add ${permission} to user ${user.login}: ${error.message}`);
+      }
+    }
+  }
+  if (failed > 0) logger.warn(`${failed} global user permission(s) could not be granted (is the user a member of the organization?)`);
+
+  return { granted, failed, excluded };
+}
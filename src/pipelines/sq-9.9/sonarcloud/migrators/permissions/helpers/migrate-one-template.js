@@ -1,8 +1,9 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { addTemplateUserPermissions } from './add-template-user-permissions.js';
 
 // -------- Migrate a Single Permission Template --------
 
-export async function migrateOneTemplate(template, templateMapping, client) {
+export async function migrateOneTemplate(template, templateMapping, client, userMappings = null) {
   try {
     const created = await client.createPermissionTemplate(template.name, template.description, template.projectKeyPattern);
     templateMapping.set(template.id, created.id);
@@ -17,6 +18,7 @@ export async function migrateOneTemplate(template, templateMapping, client) {
         }
       }
     }
+    await addTemplateUserPermissions(created.id, template.users, client, userMappings);
     logger.info(`Migrated permission template: ${template.name}`);
   } catch (error) {
     logger.warn(`Failed to migrate template ${template.name}: ${error.message}`);
@@ -3,3 +3,5 @@
 export { migrateGlobalPermissions } from './helpers/migrate-global-permissions.js';
 export { migrateProjectPermissions } from './helpers/migrate-project-permissions.js';
 export { migratePermissionTemplates } from './helpers/migrate-permission-templates.js';
+export { migrateGlobalUserPermissions } from './helpers/migrate-global-user-permissions.js';
+export { migrateProjectUserPermissions } from './helpers/migrate-project-user-permissions.js';
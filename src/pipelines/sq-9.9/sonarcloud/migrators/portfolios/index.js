@@ -3,10 +3,11 @@ import { EnterpriseClient } from '../../enterprise-client.js';
 import { buildProjectUuidMap } from './helpers/build-project-uuid-map.js';
 import { resolvePortfolioProjects } from './helpers/resolve-portfolio-projects.js';
 import { applyPortfolio } from './helpers/apply-portfolio.js';
+import { describeMembershipChange } from '../../../../../shared/utils/portfolio-membership.js';
 
 // -------- Migrate Portfolios via Enterprise V2 API --------
 
-export async function migratePortfolios(allPortfolios, projectKeyMapping, enterpriseConfig, orgConfig, rateLimitConfig) {
+export async function migratePortfolios(allPortfolios, projectKeyMapping, enterpriseConfig, orgConfig, rateLimitConfig, membershipChanges = null) {
   if (!enterpriseConfig?.key) {
     logger.warn('No enterprise key configured — skipping portfolio migration');
     return 0;
@@ -32,6 +33,8 @@ export async function migratePortfolios(allPortfolios, projectKeyMapping, enterp
   let created = 0;
   let updated = 0;
   for (const portfolio of allPortfolios) {
+    const change = describeMembershipChange(portfolio, projectKeyMapping, projectUuidMap);
+    if (change) membershipChanges?.push(change);
     try {
       const resolved = resolvePortfolioProjects(portfolio, projectKeyMapping, projectUuidMap);
       const existing = existingByName.get(portfolio.name);
@@ -2,7 +2,7 @@ import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Create a Quality Gate with Conditions, Default, and Permissions --------
 
-export async function createGateWithConfig(gate, client) {
+export async function createGateWithConfig(gate, client, { strict = false, rejected = [] } = {}) {
   const created = await client.createQualityGate(gate.name);
   const scGateId = created.id;
 
@@ -11,8 +11,13 @@ export async function createGateWithConfig(gate, client) {
       await client.createQualityGateCondition(scGateId, condition.metric, condition.op, condition.error);
     } catch (error) {
       logger.warn(`Failed to create condition ${condition.metric} on gate ${gate.name}: ${error.message}`);
+      rejected.push({ metric: condition.metric, op: condition.op, error: condition.error, reason: error.message });
     }
   }
+  if (strict && rejected.length > 0) {
+    await client.deleteQualityGate(scGateId).catch(error => logger.warn(`Failed to delete quality gate ${gate.name}: ${error.message}`));
+    throw new Error(`SonarCloud rejected ${rejected.length} condition(s) (strict mode)`);
+  }
 
   if (gate.isDefault) {
     try {
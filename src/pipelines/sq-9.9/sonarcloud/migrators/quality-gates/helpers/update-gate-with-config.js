@@ -0,0 +1,52 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { planConditionChanges } from '../../../../../../shared/utils/quality-gate-conditions.js';
+
+// -------- Reconcile an Existing Quality Gate with Conditions, Default, and Permissions --------
+
+export async function updateGateWithConfig(existing, gate, client, { strict = false, rejected = [] } = {}) {
+  const details = await client.getQualityGateDetails(existing.id);
+  const changes = planConditionChanges(gate.conditions, details.conditions);
+  let changed = 0;
+
+  for (const condition of [...changes.toCreate, ...changes.toUpdate]) {
+    try {
+      if (condition.action === 'update') await client.updateQualityGateCondition(condition.id, condition.metric, condition.op, condition.error);
+      else await client.createQualityGateCondition(existing.id, condition.metric, condition.op, condition.error);
+      changed++;
+    } catch (error) {
+      logger.warn(`Failed to ${condition.action} condition ${condition.metric} on gate ${gate.name}: ${error.message}`);
+      rejected.push({ metric: condition.metric, op: condition.op, error: condition.error, reason: error.message });
+    }
+  }
+  // Checked before deleting anything, so a rejected reconcile leaves the gate's other conditions alone
+  if (strict && rejected.length > 0) throw new Error(`SonarCloud rejected ${rejected.length} condition(s) (strict mode)`);
+
+  for (const condition of changes.toDelete) {
+    try {
+      await client.deleteQualityGateCondition(condition.id);
+      changed++;
+    } catch (error) {
+      logger.warn(`Failed to delete condition ${condition.metric} on gate ${gate.name}: ${error.message}`);
+    }
+  }
+
+  if (gate.isDefault && !existing.isDefault) {
+    try {
+      await client.setDefaultQualityGate(existing.id);
+      changed++;
+    } catch (error) {
+      logger.warn(`Failed to set gate ${gate.name} as default: ${error.message}`);
+    }
+  }
+
+  for (const group of (gate.permissions.groups || [])) {
+    if (!group.selected) continue;
+    try {
+      await client.addGroupPermission(group.name, 'gateadmin');
+    } catch (error) {
+      logger.debug(`Failed to set gate permission for group ${group.name}: ${error.message}`);
+    }
+  }
+
+  return changed > 0 ? 'updated' : 'unchanged';
+}
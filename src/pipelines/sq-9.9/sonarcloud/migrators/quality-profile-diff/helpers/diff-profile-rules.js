@@ -1,44 +1,62 @@
 import logger from '../../../../../../shared/utils/logger.js';
+import { createRuleKeyTranslator } from '../../../../../../shared/utils/rule-keys.js';
+import { diffRuleTuning, loadRuleActivations } from '../../../../../../shared/utils/quality-profile-tuning.js';
 import { formatRule } from './format-rule.js';
 import { logDiffResults } from './log-diff-results.js';
 
 // -------- Compare Active Rules Between SQ and SC Profiles --------
 
-export async function diffProfileRules(sqProfile, scProfile, sqClient, scClient) {
+export async function diffProfileRules(sqProfile, scProfile, sqClient, scClient, ruleKeys = null) {
   logger.debug(`Comparing rules: SQ "${sqProfile.name}" vs SC "${scProfile.name}" (${sqProfile.language})`);
 
-  const [sqRules, scRules] = await Promise.all([
+  const [sqRules, scRules, sqActivations, scActivations] = await Promise.all([
     sqClient.getActiveRules(sqProfile.key),
-    scClient.getActiveRules(scProfile.key)
+    scClient.getActiveRules(scProfile.key),
+    loadRuleActivations(sqClient, sqProfile.key, 'SonarQube'),
+    loadRuleActivations(scClient, scProfile.key, 'SonarCloud')
   ]);
 
-  const sqRuleMap = buildRuleMap(sqRules);
-  const scRuleMap = buildRuleMap(scRules);
+  const keys = ruleKeys || createRuleKeyTranslator({ sonarqube: sqRules, sonarcloud: scRules });
+  const sqRuleMap = buildRuleMap(sqRules, keys);
+  const scRuleMap = buildRuleMap(scRules, keys);
   const missingRules = findMissingRules(sqRuleMap, scRuleMap);
   const addedRules = findMissingRules(scRuleMap, sqRuleMap);
+  const renamedRules = findRenamedRules(sqRuleMap, scRuleMap);
+  const tuningCompared = Boolean(sqActivations && scActivations);
+  const ruleDifferences = tuningCompared ? diffRuleTuning(sqActivations, scActivations, keys.canonical) : [];
 
-  logDiffResults(sqProfile.language, missingRules, addedRules, sqRules.length);
+  logDiffResults(sqProfile.language, missingRules, addedRules, sqRules.length, renamedRules, ruleDifferences);
 
   return {
     sonarqubeProfile: sqProfile.name, sonarcloudProfile: scProfile.name,
     sonarqubeRuleCount: sqRules.length, sonarcloudRuleCount: scRules.length,
-    missingRules, addedRules
+    missingRules, addedRules, renamedRules, tuningCompared, ruleDifferences
   };
 }
 
-function buildRuleMap(rules) {
+// Keyed by canonical rule key so renamed rules are compared as one
+function buildRuleMap(rules, keys) {
   const map = new Map();
   for (const rule of rules) {
     const key = rule.key || `${rule.repo}:${rule.params?.[0]?.key || rule.name}`;
-    map.set(key, rule);
+    map.set(keys.canonical(key), { key, rule });
   }
   return map;
 }
 
 function findMissingRules(sourceMap, targetMap) {
   const missing = [];
-  for (const [key, rule] of sourceMap) {
-    if (!targetMap.has(key)) missing.push(formatRule(key, rule));
+  for (const [id, { key, rule }] of sourceMap) {
+    if (!targetMap.has(id)) missing.push(formatRule(key, rule));
   }
   return missing;
 }
+
+function findRenamedRules(sqRuleMap, scRuleMap) {
+  const renamed = [];
+  for (const [id, { key, rule }] of sqRuleMap) {
+    const sc = scRuleMap.get(id);
+    if (sc && sc.key !== key) renamed.push({ sonarqubeKey: key, sonarcloudKey: sc.key, name: rule.name || '' });
+  }
+  return renamed;
+}
@@ -2,10 +2,12 @@ import logger from '../../../../../../shared/utils/logger.js';
 
 // -------- Log Rule Diff Results --------
 
-export function logDiffResults(language, missingRules, addedRules, totalRules) {
+export function logDiffResults(language, missingRules, addedRules, totalRules, renamedRules = [], ruleDifferences = []) {
+  if (renamedRules.length > 0) logger.info(`  ${language}: ${renamedRules.length} rules matched under a renamed key`);
   if (missingRules.length > 0) {
     logger.warn(`  ${language}: ${missingRules.length} rules missing from SonarCloud: ${missingRules.map(r => r.key).join(', ')}`);
   }
   if (addedRules.length > 0) logger.info(`  ${language}: ${addedRules.length} rules added in SonarCloud`);
-  if (missingRules.length === 0 && addedRules.length === 0) logger.info(`  ${language}: profiles match perfectly (${totalRules} rules)`);
+  if (ruleDifferences.length > 0) logger.warn(`  ${language}: ${ruleDifferences.length} rules tuned differently (severity, parameters or impacts)`);
+  if (missingRules.length === 0 && addedRules.length === 0 && ruleDifferences.length === 0) logger.info(`  ${language}: profiles match perfectly (${totalRules} rules)`);
 }
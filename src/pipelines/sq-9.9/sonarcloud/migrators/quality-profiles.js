@@ -1 +1 @@
-export { migrateQualityProfiles } from './quality-profiles/index.js';
+export { migrateQualityProfiles, migrateCustomRules } from './quality-profiles/index.js';
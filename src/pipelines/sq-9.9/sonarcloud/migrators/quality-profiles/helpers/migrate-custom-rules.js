@@ -0,0 +1,28 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { buildCreateRuleParams } from '../../../../../../shared/utils/custom-rules.js';
+
+// -------- Recreate Custom Rules from Templates --------
+
+export async function migrateCustomRules(customRules, client) {
+  const result = { created: 0, alreadyPresent: 0, failures: [] };
+  if (customRules.length === 0) return result;
+  logger.info(`Recreating ${customRules.length} custom rules from their templates`);
+
+  for (const rule of customRules) {
+    try {
+      await client.createRule(buildCreateRuleParams(rule));
+      result.created++;
+    } catch (error) {
+      if (error.message?.includes('already exists')) {
+        logger.debug(`Custom rule ${rule.key} already exists in SonarCloud`);
+        result.alreadyPresent++;
+        continue;
+      }
+      result.failures.push({ ruleKey: rule.key, templateKey: rule.templateKey, name: rule.name, language: rule.language, error: error.message });
+      logger.warn(`Failed to create custom rule ${rule.key} from template ${rule.templateKey}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Custom rules: ${result.created} created, ${result.alreadyPresent} already present, ${result.failures.length} failed`);
+  return result;
+}
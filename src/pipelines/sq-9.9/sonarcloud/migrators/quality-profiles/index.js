@@ -4,6 +4,8 @@ import { restoreBuiltInProfiles } from './helpers/restore-built-in-profiles.js';
 import { setDefaultProfiles } from './helpers/set-default-profiles.js';
 import { setProfilePermissions } from './helpers/set-profile-permissions.js';
 
+export { migrateCustomRules } from './helpers/migrate-custom-rules.js';
+
 // -------- Migrate Quality Profiles --------
 
 export async function migrateQualityProfiles(extractedProfiles, client) {
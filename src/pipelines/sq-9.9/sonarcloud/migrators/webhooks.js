@@ -0,0 +1 @@
+export { migrateWebhooks } from './webhooks/index.js';
@@ -0,0 +1,33 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { resolveWebhookSecret } from '../../../../../../shared/utils/webhook-secrets.js';
+
+// -------- Migrate Webhooks --------
+
+export async function migrateWebhooks(webhooks, client, { projectKey = null, secretMode = 'skip' } = {}) {
+  const scope = projectKey ? `project ${projectKey}` : 'organization';
+  const result = { created: 0, skipped: 0, failed: 0, withoutSecret: 0 };
+  if (webhooks.length === 0) return result;
+
+  const existing = new Set((await client.listWebhooks(projectKey)).map(w => `${w.name}|${w.url}`));
+
+  for (const webhook of webhooks) {
+    if (existing.has(`${webhook.name}|${webhook.url}`)) {
+      result.skipped++;
+      logger.debug(`Webhook ${webhook.name} already exists on ${scope}, skipping`);
+      continue;
+    }
+    try {
+      const secret = await resolveWebhookSecret(webhook, secretMode, { scope });
+      await client.createWebhook(webhook.name, webhook.url, secret, projectKey);
+      result.created++;
+      if (webhook.hasSecret && !secret) result.withoutSecret++;
+      logger.debug(`Created webhook ${webhook.name} -> ${webhook.url} on ${scope}`);
+    } catch (error) {
+      result.failed++;
+      logger.warn(`Failed to create webhook ${webhook.name} on ${scope}: ${error.message}`);
+    }
+  }
+  if (result.withoutSecret > 0) logger.warn(`${result.withoutSecret} webhook(s) on ${scope} were created without their SonarQube secret`);
+
+  return result;
+}
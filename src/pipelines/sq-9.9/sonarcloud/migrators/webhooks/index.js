@@ -0,0 +1,3 @@
+// -------- Webhooks — Public API --------
+
+export { migrateWebhooks } from './helpers/migrate-webhooks.js';
@@ -1,6 +1,6 @@
 import logger from '../../../../../shared/utils/logger.js';
 
-// -------- Add Optional Files to Zip (sources, rules, changesets, dups, external) --------
+// -------- Add Optional Files to Zip (sources, rules, changesets, dups, highlighting, symbols, coverage, external) --------
 
 export function addOptionalFilesToZip(zip, encodedReport) {
   if (encodedReport.sourceFilesText?.length > 0) {
@@ -25,6 +25,24 @@ export function addOptionalFilesToZip(zip, encodedReport) {
     logger.debug(`Added ${n} duplication files`);
   }
 
+  if (encodedReport.syntaxHighlightings?.size > 0) {
+    let n = 0;
+    encodedReport.syntaxHighlightings.forEach((buf, ref) => { zip.addFile(`syntax-highlighting-${ref}.pb`, Buffer.from(buf)); n++; });
+    logger.debug(`Added ${n} syntax highlighting files`);
+  }
+
+  if (encodedReport.symbols?.size > 0) {
+    let n = 0;
+    encodedReport.symbols.forEach((buf, ref) => { zip.addFile(`symbols-${ref}.pb`, Buffer.from(buf)); n++; });
+    logger.debug(`Added ${n} symbol files`);
+  }
+
+  if (encodedReport.coverages?.size > 0) {
+    let n = 0;
+    encodedReport.coverages.forEach((buf, ref) => { zip.addFile(`coverages-${ref}.pb`, Buffer.from(buf)); n++; });
+    logger.debug(`Added ${n} coverage files`);
+  }
+
   if (encodedReport.externalIssues?.size > 0) {
     let n = 0;
     encodedReport.externalIssues.forEach((buf, ref) => { zip.addFile(`external-issues-${ref}.pb`, Buffer.from(buf)); n++; });
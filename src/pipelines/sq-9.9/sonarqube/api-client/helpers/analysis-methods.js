@@ -16,6 +16,11 @@ export async function getLatestAnalysisRevision(client, projectKey) {
   } catch (error) { logger.warn(`Failed to get analysis revision: ${error.message}`); return null; }
 }
 
+export async function getProjectAnalyses(getPaginated, projectKey) {
+  logger.info(`Fetching analysis history for project: ${projectKey}`);
+  return await getPaginated('/api/project_analyses/search', { project: projectKey }, 'analyses');
+}
+
 export async function listAllProjects(getPaginated) {
   logger.info('Fetching all projects from SonarQube...');
   return await getPaginated('/api/projects/search', {}, 'components');
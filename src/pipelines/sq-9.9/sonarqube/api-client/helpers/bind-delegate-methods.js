@@ -20,12 +20,21 @@ export function bindDelegateMethods(client, getPaginatedFn, projectKey) {
     getAllQualityProfiles: () => qual.getAllQualityProfiles(client),
     getQualityProfileBackup: (l, q) => qual.getQualityProfileBackup(client, l, q),
     getQualityProfilePermissions: (l, q) => qual.getQualityProfilePermissions(client, l, q),
+    getCustomRules: () => qual.getCustomRules(getPaginatedFn),
+    getDeprecatedRuleKeys: () => qual.getDeprecatedRuleKeys(getPaginatedFn),
+    getRuleActivations: (k) => qual.getRuleActivations(client, k),
     getGroups: () => perm.getGroups(getPaginatedFn),
+    getGroupMembers: (n) => perm.getGroupMembers(getPaginatedFn, n),
     getGlobalPermissions: () => perm.getGlobalPermissions(getPaginatedFn),
     getProjectPermissions: (pk) => perm.getProjectPermissions(getPaginatedFn, pk),
+    getGlobalUserPermissions: () => perm.getGlobalUserPermissions(getPaginatedFn),
+    getProjectUserPermissions: (pk) => perm.getProjectUserPermissions(getPaginatedFn, pk),
+    getTemplateUserPermissions: (t) => perm.getTemplateUserPermissions(getPaginatedFn, t),
     getPermissionTemplates: () => perm.getPermissionTemplates(client),
     getPortfolios: () => perm.getPortfolios(client),
     getPortfolioDetails: (k) => perm.getPortfolioDetails(client, k),
+    getApplications: () => perm.getApplications(getPaginatedFn),
+    getApplicationDetails: (k, b = null) => perm.getApplicationDetails(client, k, b),
     getProjectSettings: (pk = null) => sc.getProjectSettings(client, pk || projectKey),
     getServerSettings: () => sc.getServerSettings(client),
     getProjectTags: (pk = null) => sc.getProjectTags(client, pk),
@@ -33,6 +33,12 @@ export async function getBranches(client, projectKey) {
   return response.data.branches || [];
 }
 
+export async function getPullRequests(client, projectKey) {
+  logger.debug(`Fetching pull requests for project: ${projectKey}`);
+  const response = await client.get('/api/project_pull_requests/list', { params: { project: projectKey } });
+  return response.data.pullRequests || [];
+}
+
 export async function getQualityGate(client, projectKey) {
   logger.info(`Fetching quality gate for project: ${projectKey}`);
   try {
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { handleSonarQubeError } from './handle-error.js';
+import { applySonarQubeTransport } from '../../../../../shared/bundle/sonarqube-transport.js';
 
 // -------- Create Configured Axios Client for SonarQube --------
 
@@ -17,5 +18,6 @@ export function createAxiosClient(config) {
     error => handleSonarQubeError(error, baseURL),
   );
 
+  applySonarQubeTransport(client);
   return { client, baseURL, token: config.token, projectKey: config.projectKey };
 }
@@ -7,14 +7,23 @@ export async function getMetrics(getPaginated) {
   return await getPaginated('/api/metrics/search', {}, 'metrics');
 }
 
-export async function getSourceCode(client, fileKey, branch) {
+export async function getSourceCode(client, fileKey, branch, pullRequest) {
   logger.debug(`Fetching source code for: ${fileKey}`);
   const params = { key: fileKey };
   if (branch) params.branch = branch;
+  if (pullRequest) params.pullRequest = pullRequest;
   const response = await client.get('/api/sources/raw', { params, responseType: 'text' });
   return response.data;
 }
 
+export async function getSourceLines(client, fileKey, branch) {
+  logger.debug(`Fetching highlighted source lines for: ${fileKey}`);
+  const params = { key: fileKey };
+  if (branch) params.branch = branch;
+  const response = await client.get('/api/sources/lines', { params });
+  return response.data.sources || [];
+}
+
 export async function getSourceFiles(getPaginated, projectKey, branch) {
   logger.info(`Fetching source files for project: ${projectKey}`);
   const params = { component: projectKey, qualifiers: 'FIL' };
@@ -44,3 +44,8 @@ export async function getComponentTree(getPaginated, client, projectKey, branch,
   if (branch) params.branch = branch;
   return await getPaginated('/api/measures/component_tree', params, 'components');
 }
+
+export async function getMeasuresHistory(getPaginated, projectKey, metricKeys) {
+  logger.info(`Fetching measure history for project: ${projectKey}`);
+  return await getPaginated('/api/measures/search_history', { component: projectKey, metrics: metricKeys.join(',') }, 'measures');
+}
@@ -19,16 +19,20 @@ export function createSonarQubeClient(config) {
     getServerVersion: () => core.getServerVersion(client),
     getProject: () => core.getProject(client, projectKey),
     getBranches: (pk) => core.getBranches(client, pk || projectKey),
+    getPullRequests: (pk) => core.getPullRequests(client, pk || projectKey),
     getQualityGate: () => core.getQualityGate(client, projectKey),
     getMetrics: () => data.getMetrics(paginate),
-    getSourceCode: (fk, br) => data.getSourceCode(client, fk, br),
+    getSourceCode: (fk, br, pr) => data.getSourceCode(client, fk, br, pr),
+    getSourceLines: (fk, br) => data.getSourceLines(client, fk, br),
     getSourceFiles: (br) => data.getSourceFiles(paginate, projectKey, br),
     getQualityProfiles: () => data.getQualityProfiles(client, projectKey),
     getActiveRules: (pk) => data.getActiveRules(paginate, pk),
     getDuplications: (ck, br) => data.getDuplications(client, ck, br),
     getMeasures: (br, mk) => measures.getMeasures(client, projectKey, br, mk),
     getComponentTree: (br, mk) => measures.getComponentTree(paginate, client, projectKey, br, mk),
+    getMeasuresHistory: (mk, pk) => measures.getMeasuresHistory(paginate, pk || projectKey, mk || []),
     getLatestAnalysisRevision: () => analysis.getLatestAnalysisRevision(client, projectKey),
+    getProjectAnalyses: (pk) => analysis.getProjectAnalyses(paginate, pk || projectKey),
     listAllProjects: () => analysis.listAllProjects(paginate),
     ...bindDelegateMethods(client, paginate, projectKey),
   };
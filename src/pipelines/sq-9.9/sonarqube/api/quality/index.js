@@ -1,4 +1,4 @@
 // -------- Quality API — Public API --------
 
 export { getQualityGates, getQualityGateDetails, getQualityGatePermissions } from './helpers/quality-gates.js';
-export { getAllQualityProfiles, getQualityProfileBackup, getQualityProfilePermissions } from './helpers/quality-profiles.js';
+export { getAllQualityProfiles, getQualityProfileBackup, getQualityProfilePermissions, getCustomRules, getDeprecatedRuleKeys, getRuleActivations } from './helpers/quality-profiles.js';
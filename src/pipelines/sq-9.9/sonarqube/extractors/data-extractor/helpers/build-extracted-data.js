@@ -7,6 +7,7 @@ export function buildExtractedData(ctx, config) {
     activeRules: ctx.activeRules, duplications: ctx.duplications,
     changesets: ctx.changesets, symbols: ctx.symbols,
     syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: {
       extractedAt: new Date().toISOString(),
       mode: config.transfer.mode,
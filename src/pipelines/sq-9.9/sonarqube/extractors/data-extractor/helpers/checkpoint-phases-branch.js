@@ -1,4 +1,4 @@
-import { extractIssues, getCommonMetricKeys, extractMeasures, extractComponentMeasures, extractSources, extractChangesets, extractSymbols, extractSyntaxHighlighting, extractHotspotsAsIssues, extractDuplications } from './extractor-apis.js';
+import { extractIssues, getCommonMetricKeys, extractMeasures, extractComponentMeasures, extractSources, extractChangesets, extractSymbols, extractSyntaxHighlighting, extractLineCoverage, extractHotspotsAsIssues, extractDuplications } from './extractor-apis.js';
 
 // -------- Checkpoint Phase Definitions (Branch) --------
 
@@ -37,10 +37,13 @@ export function buildBranchPhases(extractor, branch, mainData, ctx) {
       fn: async () => { ctx.changesets = await extractChangesets(extractor.client, ctx.sourceFilesList, ctx.components); return ctx.changesets; },
       restore: (d) => { ctx.changesets = d; } },
     { name: 'extract:symbols', label: `[${branch}] Extracting symbols`,
-      fn: async () => { ctx.symbols = await extractSymbols(extractor.client, ctx.sourceFilesList); return ctx.symbols; },
+      fn: async () => { ctx.symbols = await extractSymbols(extractor.client, ctx.sourceFilesList, branch, { concurrency: srcConc }); return ctx.symbols; },
       restore: (d) => { ctx.symbols = d; } },
     { name: 'extract:syntax_highlighting', label: `[${branch}] Extracting syntax highlighting`,
-      fn: async () => { ctx.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, ctx.sourceFilesList); return ctx.syntaxHighlightings; },
+      fn: async () => { ctx.syntaxHighlightings = await extractSyntaxHighlighting(extractor.client, ctx.sourceFilesList, branch, { concurrency: srcConc }); return ctx.syntaxHighlightings; },
       restore: (d) => { ctx.syntaxHighlightings = d; } },
+    { name: 'extract:line_coverage', label: `[${branch}] Extracting line coverage`,
+      fn: async () => { ctx.lineCoverage = await extractLineCoverage(extractor.client, ctx.sourceFilesList, branch, { concurrency: srcConc }); return ctx.lineCoverage; },
+      restore: (d) => { ctx.lineCoverage = d; } },
   ];
 }
@@ -41,10 +41,13 @@ export function buildMainBranchPhases(extractor, ctx) {
       fn: async () => { ctx.changesets = await api.extractChangesets(extractor.client, ctx.sourceFilesList, ctx.components); return ctx.changesets; },
       restore: (d) => { ctx.changesets = d; } },
     { name: 'extract:symbols', label: 'Step 9: Extracting symbols',
-      fn: async () => { ctx.symbols = await api.extractSymbols(extractor.client, ctx.sourceFilesList); return ctx.symbols; },
+      fn: async () => { ctx.symbols = await api.extractSymbols(extractor.client, ctx.sourceFilesList, null, { concurrency: srcConc }); return ctx.symbols; },
       restore: (d) => { ctx.symbols = d; } },
     { name: 'extract:syntax_highlighting', label: 'Step 10: Extracting syntax highlighting',
-      fn: async () => { ctx.syntaxHighlightings = await api.extractSyntaxHighlighting(extractor.client, ctx.sourceFilesList); return ctx.syntaxHighlightings; },
+      fn: async () => { ctx.syntaxHighlightings = await api.extractSyntaxHighlighting(extractor.client, ctx.sourceFilesList, null, { concurrency: srcConc }); return ctx.syntaxHighlightings; },
       restore: (d) => { ctx.syntaxHighlightings = d; } },
+    { name: 'extract:line_coverage', label: 'Step 10b: Extracting line coverage',
+      fn: async () => { ctx.lineCoverage = await api.extractLineCoverage(extractor.client, ctx.sourceFilesList, null, { concurrency: srcConc }); return ctx.lineCoverage; },
+      restore: (d) => { ctx.lineCoverage = d; } },
   ];
 }
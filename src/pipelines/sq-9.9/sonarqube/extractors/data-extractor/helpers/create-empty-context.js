@@ -6,6 +6,6 @@ export function createEmptyContext() {
     sourceFilesList: [], activeRules: [], issues: [], hotspotIssues: [],
     measures: {}, sources: [], duplications: new Map(),
     changesets: new Map(), symbols: new Map(),
-    syntaxHighlightings: new Map(), scmRevisionId: null,
+    syntaxHighlightings: new Map(), lineCoverage: new Map(), scmRevisionId: null,
   };
 }
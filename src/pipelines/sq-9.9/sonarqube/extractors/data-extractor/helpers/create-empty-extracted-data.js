@@ -5,7 +5,7 @@ export function createEmptyExtractedData(config) {
     project: null, metrics: [], issues: [], measures: {},
     components: [], sources: [], activeRules: [],
     duplications: new Map(), changesets: new Map(),
-    symbols: new Map(), syntaxHighlightings: new Map(),
+    symbols: new Map(), syntaxHighlightings: new Map(), lineCoverage: new Map(),
     metadata: { extractedAt: new Date().toISOString(), mode: config.transfer.mode },
   };
 }
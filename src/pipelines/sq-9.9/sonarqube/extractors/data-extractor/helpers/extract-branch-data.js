@@ -5,6 +5,7 @@ import { extractSources } from '../../sources.js';
 import { extractChangesets } from '../../changesets.js';
 import { extractSymbols } from '../../symbols.js';
 import { extractSyntaxHighlighting } from '../../syntax-highlighting.js';
+import { extractLineCoverage } from '../../line-coverage.js';
 import { extractHotspotsAsIssues } from '../../hotspots-to-issues.js';
 import { extractDuplications } from '../../duplications.js';
 
@@ -31,8 +32,15 @@ export async function extractBranchData(extractor, branch, metricKeys, maxFiles)
     concurrency: performanceConfig.sourceExtraction?.concurrency || 5,
   });
   const changesets = await extractChangesets(client, sourceFilesList, components);
-  const symbols = await extractSymbols(client, sourceFilesList);
-  const syntaxHighlightings = await extractSyntaxHighlighting(client, sourceFilesList);
+  const symbols = await extractSymbols(client, sourceFilesList, branch, {
+    concurrency: performanceConfig.sourceExtraction?.concurrency || 10,
+  });
+  const syntaxHighlightings = await extractSyntaxHighlighting(client, sourceFilesList, branch, {
+    concurrency: performanceConfig.sourceExtraction?.concurrency || 10,
+  });
+  const lineCoverage = await extractLineCoverage(client, sourceFilesList, branch, {
+    concurrency: performanceConfig.sourceExtraction?.concurrency || 10,
+  });
 
-  return { components, issues, measures, sources, duplications, changesets, symbols, syntaxHighlightings };
+  return { components, issues, measures, sources, duplications, changesets, symbols, syntaxHighlightings, lineCoverage };
 }
@@ -29,6 +29,7 @@ export async function extractBranchWithCheckpoints(extractor, branch, mainData,
     components: ctx.components, sources: ctx.sources,
     duplications: ctx.duplications, changesets: ctx.changesets,
     symbols: ctx.symbols, syntaxHighlightings: ctx.syntaxHighlightings,
+    lineCoverage: ctx.lineCoverage,
     metadata: {
       extractedAt: new Date().toISOString(),
       mode: extractor.config.transfer.mode,
@@ -44,6 +45,6 @@ function createEmptyBranchContext() {
     components: [], sourceFilesList: [], issues: [], hotspotIssues: [],
     measures: {}, sources: [], duplications: new Map(),
     changesets: new Map(), symbols: new Map(),
-    syntaxHighlightings: new Map(), scmRevisionId: null,
+    syntaxHighlightings: new Map(), lineCoverage: new Map(), scmRevisionId: null,
   };
 }
@@ -23,6 +23,7 @@ export async function extractBranch(extractor, branch, mainData) {
     components: branchData.components, sources: branchData.sources,
     duplications: branchData.duplications, changesets: branchData.changesets,
     symbols: branchData.symbols, syntaxHighlightings: branchData.syntaxHighlightings,
+    lineCoverage: branchData.lineCoverage,
     metadata: {
       extractedAt: new Date().toISOString(),
       mode: extractor.config.transfer.mode,
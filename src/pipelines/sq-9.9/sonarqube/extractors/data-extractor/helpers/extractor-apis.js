@@ -9,5 +9,6 @@ export { extractActiveRules } from '../../rules.js';
 export { extractChangesets } from '../../changesets.js';
 export { extractSymbols } from '../../symbols.js';
 export { extractSyntaxHighlighting } from '../../syntax-highlighting.js';
+export { extractLineCoverage } from '../../line-coverage.js';
 export { extractHotspotsAsIssues } from '../../hotspots-to-issues.js';
 export { extractDuplications } from '../../duplications.js';
@@ -8,6 +8,7 @@ import { extractActiveRules } from '../../rules.js';
 import { extractChangesets } from '../../changesets.js';
 import { extractSymbols } from '../../symbols.js';
 import { extractSyntaxHighlighting } from '../../syntax-highlighting.js';
+import { extractLineCoverage } from '../../line-coverage.js';
 import { extractHotspotsAsIssues } from '../../hotspots-to-issues.js';
 import { extractDuplications } from '../../duplications.js';
 
@@ -43,6 +44,13 @@ export async function runAllExtractionSteps(extractor, data) {
     concurrency: performanceConfig.sourceExtraction?.concurrency || 5,
   });
   data.changesets = await extractChangesets(client, sourceFilesList, data.components);
-  data.symbols = await extractSymbols(client, sourceFilesList);
-  data.syntaxHighlightings = await extractSyntaxHighlighting(client, sourceFilesList);
+  data.symbols = await extractSymbols(client, sourceFilesList, null, {
+    concurrency: performanceConfig.sourceExtraction?.concurrency || 10,
+  });
+  data.syntaxHighlightings = await extractSyntaxHighlighting(client, sourceFilesList, null, {
+    concurrency: performanceConfig.sourceExtraction?.concurrency || 10,
+  });
+  data.lineCoverage = await extractLineCoverage(client, sourceFilesList, null, {
+    concurrency: performanceConfig.sourceExtraction?.concurrency || 10,
+  });
 }
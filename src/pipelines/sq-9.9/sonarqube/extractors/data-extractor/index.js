@@ -1,8 +1,10 @@
 import { extractAll } from './helpers/extract-all.js';
 import { extractBranch } from './helpers/extract-branch.js';
+import { extractPullRequest } from './helpers/extract-pull-request.js';
 import { logExtractionSummary } from './helpers/log-extraction-summary.js';
 import { extractAllWithCheckpoints } from './helpers/extract-all-with-checkpoints.js';
 import { extractBranchWithCheckpoints } from './helpers/extract-branch-with-checkpoints.js';
+import { applyBundledExtractions } from '../../../../../shared/bundle/bundled-extractions.js';
 
 // -------- Factory Function (primary export) --------
 
@@ -12,6 +14,7 @@ export function createDataExtractor(client, config, state = null, performanceCon
   extractor.logExtractionSummary = (data) => logExtractionSummary(data);
   extractor.extractAll = () => extractAll(extractor);
   extractor.extractBranch = (branch, mainData) => extractBranch(extractor, branch, mainData);
+  extractor.extractPullRequest = (pullRequest, mainData) => extractPullRequest(extractor, pullRequest, mainData);
 
   extractor.extractAllWithCheckpoints = (journal, cache, shutdownCheck) =>
     extractAllWithCheckpoints(extractor, journal, cache, shutdownCheck);
@@ -19,7 +22,7 @@ export function createDataExtractor(client, config, state = null, performanceCon
   extractor.extractBranchWithCheckpoints = (branch, mainData, journal, cache, shutdownCheck) =>
     extractBranchWithCheckpoints(extractor, branch, mainData, journal, cache, shutdownCheck);
 
-  return extractor;
+  return applyBundledExtractions(extractor);
 }
 
 // -------- Class Wrapper (backward compatibility) --------
@@ -1 +1 @@
-export { extractGlobalPermissions, extractProjectPermissions, extractPermissionTemplates } from './permissions/index.js';
+export { extractGlobalPermissions, extractProjectPermissions, extractPermissionTemplates, extractGlobalUserPermissions, extractProjectUserPermissions, extractTemplateUserPermissions } from './permissions/index.js';
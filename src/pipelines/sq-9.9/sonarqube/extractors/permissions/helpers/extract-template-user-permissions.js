@@ -0,0 +1,16 @@
+import logger from '../../../../../../shared/utils/logger.js';
+
+// -------- Extract Template User Permissions --------
+
+export async function extractTemplateUserPermissions(client, templateId) {
+  try {
+    const users = await client.getTemplateUserPermissions(templateId);
+    return users.map(u => ({
+      login: u.login,
+      permissions: u.permissions || []
+    }));
+  } catch (error) {
+    logger.warn(`Failed to extract user permissions for template ${templateId}: ${error.message}`);
+    return [];
+  }
+}
@@ -3,3 +3,6 @@
 export { extractGlobalPermissions } from './helpers/extract-global-permissions.js';
 export { extractProjectPermissions } from './helpers/extract-project-permissions.js';
 export { extractPermissionTemplates } from './helpers/extract-permission-templates.js';
+export { extractGlobalUserPermissions } from './helpers/extract-global-user-permissions.js';
+export { extractProjectUserPermissions } from './helpers/extract-project-user-permissions.js';
+export { extractTemplateUserPermissions } from './helpers/extract-template-user-permissions.js';
@@ -1,7 +1,9 @@
 import logger from '../../../../shared/utils/logger.js';
+import { normalizePortfolioTags, normalizeSubPortfolios, resolveTaggedPortfolioProjects } from '../../../../shared/utils/portfolio-membership.js';
 
 /**
- * Extract all portfolios with project membership and configuration
+ * Extract all portfolios with project membership and configuration.
+ * TAGS-mode portfolios and sub-portfolios also get their tagged project keys.
  * @param {import('../api-client.js').SonarQubeClient} client
  * @returns {Promise<Array>} Portfolios with details
  */
@@ -30,7 +32,10 @@ export async function extractPortfolios(client) {
           name: p.name,
           selectedBranches: p.selectedBranches || []
         })),
-        subViews: details.subViews || []
+        tags: normalizePortfolioTags(details.tags),
+        regexp: details.regexp || null,
+        subViews: details.subViews || [],
+        subPortfolios: normalizeSubPortfolios(details.subViews)
       });
     } else {
       detailed.push({
@@ -41,10 +46,13 @@ export async function extractPortfolios(client) {
         visibility: portfolio.visibility || 'public',
         selectionMode: 'MANUAL',
         projects: [],
-        subViews: []
+        tags: [],
+        regexp: null,
+        subViews: [],
+        subPortfolios: []
       });
     }
   }
 
-  return detailed;
+  return resolveTaggedPortfolioProjects(client, detailed);
 }
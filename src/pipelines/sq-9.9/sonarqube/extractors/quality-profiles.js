@@ -1 +1 @@
-export { extractQualityProfiles, buildInheritanceChains } from './quality-profiles/index.js';
+export { extractQualityProfiles, buildInheritanceChains, extractCustomRules } from './quality-profiles/index.js';
@@ -0,0 +1,10 @@
+import logger from '../../../../../../shared/utils/logger.js';
+import { toCustomRule } from '../../../../../../shared/utils/custom-rules.js';
+
+// -------- Extract Custom Rules Created from Templates --------
+
+export async function extractCustomRules(client) {
+  const rules = (await client.getCustomRules()).map(toCustomRule).filter(Boolean);
+  logger.info(`Found ${rules.length} custom rules created from templates`);
+  return rules;
+}
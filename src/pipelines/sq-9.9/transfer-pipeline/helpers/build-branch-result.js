@@ -1,6 +1,8 @@
+import { reportValidationStats } from '../../../../shared/scanner-report/validate-report-messages.js';
+
 // -------- Build Branch Transfer Result --------
 
-export function buildBranchResult(extractedData, ceTask) {
+export function buildBranchResult(extractedData, ceTask, validationLog) {
   const nclocMeasure = (extractedData.measures.measures || []).find(m => m.metric === 'ncloc');
   const hotspotCount = extractedData.issues.filter(i => i.type === 'SECURITY_HOTSPOT').length;
 
@@ -11,6 +13,7 @@ export function buildBranchResult(extractedData, ceTask) {
       componentsTransferred: extractedData.components.length,
       sourcesTransferred: extractedData.sources.length,
       linesOfCode: nclocMeasure ? Number.parseInt(nclocMeasure.value, 10) || 0 : 0,
+      ...reportValidationStats(validationLog),
     },
     ceTask,
   };
@@ -1,4 +1,5 @@
 import { checkShutdown } from '../../../../shared/utils/shutdown.js';
+import { loadRuleKeyTranslator } from '../../../../shared/utils/rule-keys.js';
 import { initClients } from './init-clients.js';
 import { initJournalSession } from './init-journal-session.js';
 import { resolveProjectName } from './resolve-project-name.js';
@@ -10,7 +11,7 @@ import logger from '../../../../shared/utils/logger.js';
 // -------- Execute Transfer (inner logic) --------
 
 export async function executeTransfer(ctx) {
-  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, skipConnectionTest, prebuiltEnrichmentMap, projectKey, shutdownCheck, isIncremental, excludeBranches, includeBranches, lockFile, stateTracker, journal, cache } = ctx;
+  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, skipConnectionTest, prebuiltEnrichmentMap, prebuiltRuleKeys, projectKey, shutdownCheck, isIncremental, excludeBranches, includeBranches, lockFile, stateTracker, journal, cache } = ctx;
   let { projectName } = ctx;
 
   const { sonarQubeClient, sonarCloudClient } = await initClients(sonarqubeConfig, sonarcloudConfig, skipConnectionTest);
@@ -25,7 +26,8 @@ export async function executeTransfer(ctx) {
   checkShutdown(shutdownCheck);
 
   const syncAllBranches = transferConfig.syncAllBranches !== false;
-  const stats = await runTransferPhases({ sonarQubeClient, sonarCloudClient, sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, isIncremental, syncAllBranches, excludeBranches, includeBranches, stateTracker, journal, cache, shutdownCheck, projectKey, prebuiltEnrichmentMap });
+  const ruleKeys = prebuiltRuleKeys || await loadRuleKeyTranslator(sonarQubeClient, sonarCloudClient);
+  const stats = await runTransferPhases({ sonarQubeClient, sonarCloudClient, sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, isIncremental, syncAllBranches, excludeBranches, includeBranches, stateTracker, journal, cache, shutdownCheck, projectKey, prebuiltEnrichmentMap, ruleKeys });
 
   if (isIncremental) await stateTracker.recordTransfer(stats);
   if (journal) await journal.markCompleted();
@@ -33,7 +35,7 @@ export async function executeTransfer(ctx) {
 
   // -------- Phase 2: Metadata Sync --------
   const metadataStats = await syncTransferMetadata({
-    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig,
+    sonarQubeClient, sonarCloudClient, sonarcloudConfig, transferConfig, performanceConfig, ruleKeys,
   });
 
   logger.info(`Transfer completed for project: ${projectKey}`);
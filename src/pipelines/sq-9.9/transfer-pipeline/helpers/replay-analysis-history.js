@@ -0,0 +1,55 @@
+import { buildProtobufMessages } from './build-protobuf-messages.js';
+import { encodeReport } from './encode-report.js';
+import { uploadReport } from './upload-report.js';
+import { buildHistorySnapshots, buildHistoryData } from '../../../../shared/utils/analysis-history.js';
+import { validateReportMessages } from '../../../../shared/scanner-report/validate-report-messages.js';
+import logger from '../../../../shared/utils/logger.js';
+
+// -------- Replay Past Analyses (backdated, before the current snapshot) --------
+
+export async function replayAnalysisHistory({ extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, journal, historyConfig, sonarCloudRepos, ruleEnrichmentMap, reportValidation = 'lenient' }) {
+  const stats = { analysesReplayed: 0, eventsCreated: 0 };
+  if (journal?.getBranchStatus(sonarCloudMainBranch) === 'completed') return stats;
+
+  // SonarCloud refuses reports older than the project's latest analysis
+  if (await sonarCloudClient.getLatestAnalysis()) {
+    logger.info('SonarCloud project already has analyses — skipping history replay');
+    return stats;
+  }
+
+  const analyses = await sonarQubeClient.getProjectAnalyses();
+  const measureHistory = await sonarQubeClient.getMeasuresHistory(historyConfig.metrics || []);
+  const snapshots = buildHistorySnapshots(analyses, measureHistory, historyConfig);
+  if (snapshots.length === 0) { logger.info('No past analyses to replay'); return stats; }
+
+  logger.info(`Replaying ${snapshots.length} past analysis(es) before the current snapshot`);
+  for (const snapshot of snapshots) {
+    const label = `history ${snapshot.date}`;
+    try {
+      const messages = buildProtobufMessages(buildHistoryData(extractedData, snapshot), sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap, label, snapshot.projectVersion);
+      validateReportMessages(messages, { mode: reportValidation, label });
+      const encodedReport = await encodeReport(messages, label);
+      const task = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, sonarCloudMainBranch, true, true, label, snapshot.projectVersion);
+      stats.analysesReplayed++;
+      stats.eventsCreated += await createHistoryEvents(sonarCloudClient, task?.analysisId, snapshot.events, label);
+    } catch (error) {
+      logger.warn(`[${label}] Replay failed, continuing with the current snapshot: ${error.message}`);
+      break;
+    }
+  }
+
+  logger.info(`Replayed ${stats.analysesReplayed}/${snapshots.length} past analysis(es), ${stats.eventsCreated} event(s)`);
+  return stats;
+}
+
+// -------- Helpers --------
+
+async function createHistoryEvents(sonarCloudClient, analysisKey, events, label) {
+  if (!analysisKey) return 0;
+  let created = 0;
+  for (const name of events) {
+    try { await sonarCloudClient.createProjectEvent(analysisKey, name); created++; }
+    catch (error) { logger.warn(`[${label}] Failed to create event '${name}': ${error.message}`); }
+  }
+  return created;
+}
@@ -1,28 +1,39 @@
 import { DataExtractor } from '../../sonarqube/extractors/index.js';
 import { checkShutdown } from '../../../../shared/utils/shutdown.js';
+import { translateExtractedRuleKeys } from '../../../../shared/utils/rule-keys.js';
 import { fetchCloudContext } from './fetch-cloud-context.js';
+import { replayAnalysisHistory } from './replay-analysis-history.js';
 import { transferMainBranch } from './transfer-main-branch.js';
 import { transferNonMainBranches } from './transfer-non-main-branches.js';
-import { aggregateBranchResults } from './aggregate-branch-stats.js';
+import { transferPullRequests } from './transfer-pull-requests.js';
+import { aggregateBranchResults, aggregatePullRequestResults } from './aggregate-branch-stats.js';
+import { recordValidationStats } from '../../../../shared/scanner-report/validate-report-messages.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Run Transfer Phases (extract, build, upload) --------
 
-export async function runTransferPhases({ sonarQubeClient, sonarCloudClient, sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, isIncremental, syncAllBranches, excludeBranches, includeBranches, stateTracker, journal, cache, shutdownCheck, projectKey, prebuiltEnrichmentMap }) {
+export async function runTransferPhases({ sonarQubeClient, sonarCloudClient, sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, isIncremental, syncAllBranches, excludeBranches, includeBranches, stateTracker, journal, cache, shutdownCheck, projectKey, prebuiltEnrichmentMap, ruleKeys = null }) {
   const config = { sonarqube: sonarqubeConfig, sonarcloud: sonarcloudConfig, transfer: transferConfig };
   const extractor = new DataExtractor(sonarQubeClient, config, isIncremental ? stateTracker : null, performanceConfig);
 
   logger.info('Starting data extraction from SonarQube (main branch)...');
-  const extractedData = (journal && cache)
+  const sourceData = (journal && cache)
     ? await extractor.extractAllWithCheckpoints(journal, cache, shutdownCheck)
     : await extractor.extractAll();
+  const extractedData = translateExtractedRuleKeys(sourceData, ruleKeys);
 
   checkShutdown(shutdownCheck);
 
   const { sonarCloudProfiles, sonarCloudMainBranch, sonarCloudRepos, ruleEnrichmentMap } = await fetchCloudContext(sonarCloudClient, prebuiltEnrichmentMap);
   checkShutdown(shutdownCheck);
 
-  const mainBranchResult = await transferMainBranch({ journal, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, extractedData, sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudRepos, ruleEnrichmentMap });
+  const reportValidation = transferConfig.reportValidation || 'lenient';
+  const historyStats = transferConfig.history?.enabled
+    ? await replayAnalysisHistory({ extractedData, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, journal, historyConfig: transferConfig.history, sonarCloudRepos, ruleEnrichmentMap, reportValidation })
+    : null;
+  checkShutdown(shutdownCheck);
+
+  const mainBranchResult = await transferMainBranch({ journal, sonarCloudMainBranch, sonarCloudClient, sonarQubeClient, extractedData, sonarcloudConfig, sonarCloudProfiles, wait, sonarCloudRepos, ruleEnrichmentMap, reportValidation });
 
   const aggregatedStats = {
     issuesTransferred: mainBranchResult.stats.issuesTransferred || 0,
@@ -32,14 +43,22 @@ export async function runTransferPhases({ sonarQubeClient, sonarCloudClient, son
     linesOfCode: mainBranchResult.stats.linesOfCode || 0,
     branchesTransferred: [sonarCloudMainBranch],
   };
+  recordValidationStats(aggregatedStats, sonarCloudMainBranch, mainBranchResult.stats);
+  if (historyStats) aggregatedStats.history = historyStats;
 
   if (isIncremental) { stateTracker.markBranchCompleted(sonarCloudMainBranch); await stateTracker.save(); }
   checkShutdown(shutdownCheck);
 
   if (syncAllBranches) {
-    const branchResults = await transferNonMainBranches({ extractedData, excludeBranches, includeBranches, sonarCloudMainBranch, mainBranchCeTaskId: mainBranchResult.ceTask?.id, wait, sonarCloudClient, sonarQubeClient, extractor, journal, cache, shutdownCheck, sonarcloudConfig, sonarCloudProfiles, sonarCloudRepos, ruleEnrichmentMap, isIncremental, stateTracker, performanceConfig });
+    const branchResults = await transferNonMainBranches({ extractedData, excludeBranches, includeBranches, sonarCloudMainBranch, mainBranchCeTaskId: mainBranchResult.ceTask?.id, wait, sonarCloudClient, sonarQubeClient, extractor, journal, cache, shutdownCheck, sonarcloudConfig, sonarCloudProfiles, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys, isIncremental, stateTracker, performanceConfig });
     aggregateBranchResults(branchResults, aggregatedStats);
   }
 
+  if (transferConfig.pullRequests?.enabled) {
+    checkShutdown(shutdownCheck);
+    const pullRequestResults = await transferPullRequests({ pullRequestsConfig: transferConfig.pullRequests, extractedData, sonarCloudMainBranch, mainBranchCeTaskId: mainBranchResult.ceTask?.id, wait, sonarCloudClient, sonarQubeClient, extractor, journal, shutdownCheck, sonarcloudConfig, sonarCloudProfiles, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys, isIncremental, stateTracker, performanceConfig });
+    aggregatePullRequestResults(pullRequestResults, aggregatedStats);
+  }
+
   return aggregatedStats;
 }
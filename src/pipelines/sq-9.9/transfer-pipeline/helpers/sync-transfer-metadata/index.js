@@ -7,18 +7,18 @@ import { fetchAndSyncHotspots } from './helpers/fetch-and-sync-hotspots.js';
 /** Sync issue and hotspot metadata after scanner report upload. */
 export async function syncTransferMetadata(opts) {
   const { sonarQubeClient, sonarCloudClient, sonarcloudConfig,
-    transferConfig = {}, performanceConfig = {} } = opts;
+    transferConfig = {}, performanceConfig = {}, ruleKeys = null } = opts;
 
   const projectKey = sonarcloudConfig.projectKey;
   logger.info('Starting metadata sync for transferred project...');
 
   const issueStats = transferConfig.skipIssueMetadataSync
     ? null
-    : await fetchAndSyncIssues({ sonarQubeClient, sonarCloudClient, projectKey, performanceConfig });
+    : await fetchAndSyncIssues({ sonarQubeClient, sonarCloudClient, projectKey, performanceConfig, ruleKeys });
 
   const hotspotStats = transferConfig.skipHotspotMetadataSync
     ? null
-    : await fetchAndSyncHotspots({ sonarQubeClient, sonarCloudClient, projectKey, performanceConfig });
+    : await fetchAndSyncHotspots({ sonarQubeClient, sonarCloudClient, projectKey, performanceConfig, ruleKeys });
 
   logger.info('Metadata sync completed');
   return { issueStats, hotspotStats };
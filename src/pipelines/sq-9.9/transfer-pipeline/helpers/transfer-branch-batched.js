@@ -2,6 +2,7 @@ import { randomBytes } from 'node:crypto';
 import { computeBatchPlan, computeBatchDate, createBatchExtractedData } from '../../../../shared/utils/batch-distributor.js';
 import { buildProtobufMessages } from './build-protobuf-messages.js';
 import { encodeReport } from './encode-report.js';
+import { validateReportMessages, createValidationLog } from '../../../../shared/scanner-report/validate-report-messages.js';
 import { uploadReport } from './upload-report.js';
 import logger from '../../../../shared/utils/logger.js';
 
@@ -11,7 +12,7 @@ import logger from '../../../../shared/utils/logger.js';
 export async function transferBranchBatched(opts) {
   const { extractedData, sonarcloudConfig, sonarCloudProfiles, branchName,
     referenceBranchName, sonarCloudClient, label, isMainBranch,
-    sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion } = opts;
+    sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest = null, validationLog = createValidationLog() } = opts;
 
   extractedData.issues.sort((a, b) => (a.component || '').localeCompare(b.component || ''));
 
@@ -28,9 +29,10 @@ export async function transferBranchBatched(opts) {
 
     logger.info(`[${batchLabel}] Issues ${batch.startIndex + 1}-${batch.endIndex} | date=${batchDate}`);
 
-    const messages = buildProtobufMessages(batchData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, batchLabel, sourceProjectVersion);
+    const messages = buildProtobufMessages(batchData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, batchLabel, sourceProjectVersion, pullRequest);
+    validateReportMessages(messages, { mode: validationLog.mode, label: batchLabel, log: validationLog });
     const encodedReport = await encodeReport(messages, batchLabel);
-    lastCeTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, true, batchLabel, sourceProjectVersion);
+    lastCeTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, true, batchLabel, sourceProjectVersion, pullRequest);
     logger.info(`[${batchLabel}] CE task completed: ${lastCeTask.id}`);
   }
 
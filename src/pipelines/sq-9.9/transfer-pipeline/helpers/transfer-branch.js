@@ -4,26 +4,29 @@ import { uploadReport } from './upload-report.js';
 import { buildBranchResult } from './build-branch-result.js';
 import { transferBranchBatched } from './transfer-branch-batched.js';
 import { shouldBatch, backdateChangesets } from '../../../../shared/utils/batch-distributor.js';
+import { validateReportMessages, createValidationLog } from '../../../../shared/scanner-report/validate-report-messages.js';
 import { resolveSourceProjectVersion } from '../../../../shared/utils/source-version/resolve-source-project-version.js';
 
 // -------- Single Branch Transfer (build, encode, upload) --------
 
-export async function transferBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, wait, sonarCloudClient, sonarQubeClient, label, isMainBranch = false, sonarCloudRepos = new Set(), ruleEnrichmentMap = new Map() }) {
-  const sourceProjectVersion = await resolveSourceProjectVersion(sonarQubeClient, sonarQubeClient?.projectKey, isMainBranch ? null : branchName);
+export async function transferBranch({ extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, wait, sonarCloudClient, sonarQubeClient, label, isMainBranch = false, sonarCloudRepos = new Set(), ruleEnrichmentMap = new Map(), pullRequest = null, reportValidation = 'lenient' }) {
+  const validationLog = createValidationLog(reportValidation);
+  const sourceProjectVersion = await resolveSourceProjectVersion(sonarQubeClient, sonarQubeClient?.projectKey, isMainBranch ? null : (pullRequest?.base || branchName));
 
   if (shouldBatch(extractedData)) {
     const ceTask = await transferBranchBatched({
       extractedData, sonarcloudConfig, sonarCloudProfiles, branchName,
       referenceBranchName, sonarCloudClient, label, isMainBranch,
-      sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion,
+      sonarCloudRepos, ruleEnrichmentMap, sourceProjectVersion, pullRequest, validationLog,
     });
-    return buildBranchResult(extractedData, ceTask);
+    return buildBranchResult(extractedData, ceTask, validationLog);
   }
 
   backdateChangesets(extractedData);
 
-  const messages = buildProtobufMessages(extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, label, sourceProjectVersion);
+  const messages = buildProtobufMessages(extractedData, sonarcloudConfig, sonarCloudProfiles, branchName, referenceBranchName, sonarCloudRepos, ruleEnrichmentMap, label, sourceProjectVersion, pullRequest);
+  validateReportMessages(messages, { mode: reportValidation, label, log: validationLog });
   const encodedReport = await encodeReport(messages, label);
-  const ceTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, wait, label, sourceProjectVersion);
-  return buildBranchResult(extractedData, ceTask);
+  const ceTask = await uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, wait, label, sourceProjectVersion, pullRequest);
+  return buildBranchResult(extractedData, ceTask, validationLog);
 }
@@ -1,10 +1,11 @@
 import { GracefulShutdownError } from '../../../../shared/utils/errors.js';
 import { transferBranch } from './transfer-branch.js';
+import { translateExtractedRuleKeys } from '../../../../shared/utils/rule-keys.js';
 import logger from '../../../../shared/utils/logger.js';
 
 // -------- Transfer a Single Non-Main Branch --------
 
-export async function transferOneBranch({ branch, extractedData, extractor, journal, cache, shutdownCheck, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, sonarCloudRepos, ruleEnrichmentMap, isIncremental, stateTracker }) {
+export async function transferOneBranch({ branch, extractedData, extractor, journal, cache, shutdownCheck, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys = null, isIncremental, stateTracker }) {
   const branchName = branch.name;
 
   if (shutdownCheck()) return { skipped: true, branchName, reason: 'shutdown' };
@@ -26,9 +27,9 @@ export async function transferOneBranch({ branch, extractedData, extractor, jour
       : await extractor.extractBranch(branchName, extractedData);
 
     const branchResult = await transferBranch({
-      extractedData: branchData, sonarcloudConfig, sonarCloudProfiles, branchName,
+      extractedData: translateExtractedRuleKeys(branchData, ruleKeys), sonarcloudConfig, sonarCloudProfiles, branchName,
       referenceBranchName: sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, label: branchName,
-      sonarCloudRepos, ruleEnrichmentMap,
+      sonarCloudRepos, ruleEnrichmentMap, reportValidation,
     });
 
     if (journal) {
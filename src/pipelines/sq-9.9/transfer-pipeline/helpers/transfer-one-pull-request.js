@@ -0,0 +1,49 @@
+import { GracefulShutdownError } from '../../../../shared/utils/errors.js';
+import { pullRequestLabel } from '../../../../shared/utils/pull-requests.js';
+import { transferBranch } from './transfer-branch.js';
+import { translateExtractedRuleKeys } from '../../../../shared/utils/rule-keys.js';
+import logger from '../../../../shared/utils/logger.js';
+
+// -------- Transfer a Single Pull Request --------
+
+export async function transferOnePullRequest({ pullRequest, extractedData, extractor, journal, shutdownCheck, sonarcloudConfig, sonarCloudProfiles, sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, sonarCloudRepos, ruleEnrichmentMap, reportValidation, ruleKeys = null, isIncremental, stateTracker }) {
+  // The journal and state file track the PR under its label ("PR #42")
+  const label = pullRequestLabel(pullRequest);
+
+  if (shutdownCheck()) return { skipped: true, branchName: label, reason: 'shutdown' };
+  if (isIncremental && stateTracker.isBranchCompleted(label)) {
+    logger.info(`${label} already completed — skipping`);
+    return { skipped: true, branchName: label, reason: 'completed' };
+  }
+  if (journal?.getBranchStatus(label) === 'completed') {
+    logger.info(`${label} already completed in journal — skipping`);
+    return { skipped: true, branchName: label, reason: 'completed', addToTransferred: true };
+  }
+
+  try {
+    if (journal) await journal.startBranch(label);
+
+    logger.info(`--- Extracting ${label}: ${pullRequest.title || pullRequest.branch} ---`);
+    const prData = await extractor.extractPullRequest(pullRequest, extractedData);
+
+    const branchResult = await transferBranch({
+      extractedData: translateExtractedRuleKeys(prData, ruleKeys), sonarcloudConfig, sonarCloudProfiles, branchName: pullRequest.branch,
+      referenceBranchName: pullRequest.target || pullRequest.base || sonarCloudMainBranch, wait, sonarCloudClient, sonarQubeClient, label,
+      sonarCloudRepos, ruleEnrichmentMap, reportValidation, pullRequest,
+    });
+
+    if (journal) {
+      await journal.recordUpload(label, branchResult.ceTask?.id);
+      await journal.markBranchCompleted(label, branchResult.ceTask?.id);
+    }
+    if (isIncremental) { stateTracker.markBranchCompleted(label); await stateTracker.save(); }
+
+    return { branchName: label, branchResult };
+  } catch (error) {
+    if (error instanceof GracefulShutdownError) throw error;
+    if (journal) await journal.markBranchFailed(label, error.message);
+    logger.error(`Failed to transfer ${label}: ${error.message}`);
+    logger.warn('Continuing with remaining pull requests...');
+    return { branchName: label, error: error.message };
+  }
+}
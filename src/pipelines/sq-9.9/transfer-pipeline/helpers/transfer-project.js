@@ -7,7 +7,7 @@ import logger from '../../../../shared/utils/logger.js';
 // -------- Transfer Project Orchestrator --------
 
 export async function transferProject(opts) {
-  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig = {}, wait = false, skipConnectionTest = false, ruleEnrichmentMap: prebuiltEnrichmentMap = null, shutdownCoordinator = null, forceRestart = false, forceFreshExtract = false, forceUnlock = false } = opts;
+  const { sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig = {}, wait = false, skipConnectionTest = false, ruleEnrichmentMap: prebuiltEnrichmentMap = null, ruleKeys: prebuiltRuleKeys = null, shutdownCoordinator = null, forceRestart = false, forceFreshExtract = false, forceUnlock = false } = opts;
   const projectName = opts.projectName || null;
   const projectKey = sonarqubeConfig.projectKey;
   logger.info(`Starting transfer for project: ${projectKey}`);
@@ -21,7 +21,7 @@ export async function transferProject(opts) {
   registerShutdownCleanup(shutdownCoordinator, { journal, stateTracker, lockFile });
 
   try {
-    return await executeTransfer({ sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, skipConnectionTest, projectName, prebuiltEnrichmentMap, projectKey, shutdownCheck, isIncremental, excludeBranches, includeBranches, lockFile, stateTracker, journal, cache });
+    return await executeTransfer({ sonarqubeConfig, sonarcloudConfig, transferConfig, performanceConfig, wait, skipConnectionTest, projectName, prebuiltEnrichmentMap, prebuiltRuleKeys, projectKey, shutdownCheck, isIncremental, excludeBranches, includeBranches, lockFile, stateTracker, journal, cache });
   } catch (error) {
     if (!(error instanceof GracefulShutdownError) && journal) await journal.markInterrupted().catch(() => {});
     await lockFile.release();
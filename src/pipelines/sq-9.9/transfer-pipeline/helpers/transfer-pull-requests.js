@@ -0,0 +1,30 @@
+import { mapConcurrent } from '../../../../shared/utils/concurrency.js';
+import { filterPullRequests, pullRequestLabel } from '../../../../shared/utils/pull-requests.js';
+import { transferOnePullRequest } from './transfer-one-pull-request.js';
+import logger from '../../../../shared/utils/logger.js';
+
+// -------- Transfer Pull Requests --------
+
+// Runs after the branches so each PR's target branch already exists in SonarCloud.
+export async function transferPullRequests({ pullRequestsConfig, mainBranchCeTaskId, wait, sonarCloudClient, sonarQubeClient, performanceConfig, ...rest }) {
+  const pullRequests = filterPullRequests(await sonarQubeClient.getPullRequests(), pullRequestsConfig);
+
+  if (pullRequests.length === 0) {
+    logger.info('No pull requests to sync');
+    return [];
+  }
+
+  if (!wait && mainBranchCeTaskId) {
+    try {
+      await sonarCloudClient.waitForAnalysis(mainBranchCeTaskId, 600);
+    } catch (error) {
+      logger.warn(`Main branch analysis did not complete: ${error.message} — attempting pull request transfers anyway...`);
+    }
+  }
+
+  logger.info(`Syncing ${pullRequests.length} pull request(s): ${pullRequests.map(pullRequestLabel).join(', ')}`);
+
+  return mapConcurrent(pullRequests, (pullRequest) => transferOnePullRequest({
+    ...rest, pullRequest, wait, sonarCloudClient, sonarQubeClient,
+  }), { concurrency: performanceConfig?.maxConcurrency || 4, settled: true });
+}
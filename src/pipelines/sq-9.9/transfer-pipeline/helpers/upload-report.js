@@ -3,14 +3,14 @@ import logger from '../../../../shared/utils/logger.js';
 
 // -------- Upload Report to SonarCloud --------
 
-export async function uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, wait, label, sourceProjectVersion) {
+export async function uploadReport(encodedReport, sonarcloudConfig, sonarCloudClient, branchName, isMainBranch, wait, label, sourceProjectVersion, pullRequest = null) {
   logger.info(`[${label}] Uploading to SonarCloud...`);
   const uploader = new ReportUploader(sonarCloudClient);
   const metadata = {
     projectKey: sonarcloudConfig.projectKey,
     organization: sonarcloudConfig.organization,
     version: sourceProjectVersion || '1.0.0',
-    ...(!isMainBranch && branchName ? { branchName } : {}),
+    ...uploadScope(branchName, isMainBranch, pullRequest),
   };
 
   if (wait) {
@@ -22,3 +22,11 @@ export async function uploadReport(encodedReport, sonarcloudConfig, sonarCloudCl
   logger.info(`[${label}] Upload complete. CE Task ID: ${ceTask.id}`);
   return ceTask;
 }
+
+// -------- Helpers --------
+
+// Pull request key, branch name for non-main branches, or nothing for the main branch.
+function uploadScope(branchName, isMainBranch, pullRequest) {
+  if (pullRequest) return { pullRequestKey: String(pullRequest.key) };
+  return !isMainBranch && branchName ? { branchName } : {};
+}
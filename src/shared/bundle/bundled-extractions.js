@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./bundled-extractions.js`
+
+export { applyBundledExtractions, startBundledExtractions, stopBundledExtractions } from './bundled-extractions/index.js';
@@ -0,0 +1,21 @@
+// -------- Index Analyses --------
+
+/**
+ * Index the analyses listed in the manifest by SonarQube project key, then by
+ * branch name or pull request key, pointing at their extracted data file.
+ * @param {Array<object>} projects - `manifest.projects`
+ * @returns {Map<string, { main: string|null, branches: Map<string, string>, pullRequests: Map<string, string> }>}
+ */
+export function indexAnalyses(projects = []) {
+  const index = new Map();
+  for (const project of projects) {
+    const entry = { main: null, branches: new Map(), pullRequests: new Map() };
+    for (const analysis of project.analyses || []) {
+      if (analysis.pullRequest !== undefined) entry.pullRequests.set(String(analysis.pullRequest), analysis.extracted);
+      else if (analysis.main) entry.main = analysis.extracted;
+      else entry.branches.set(analysis.branch, analysis.extracted);
+    }
+    index.set(project.key, entry);
+  }
+  return index;
+}
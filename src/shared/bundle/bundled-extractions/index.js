@@ -0,0 +1,47 @@
+// -------- Bundled Extractions --------
+
+import { join } from 'node:path';
+import logger from '../../utils/logger.js';
+import { readExtractedData } from '../extracted-data.js';
+import { indexAnalyses } from './helpers/index-analyses.js';
+
+// Set by `import` while it migrates from a bundle; every other command leaves
+// it unset and extractors read from SonarQube.
+let bundled = null;
+
+/** Serve extractions from the extracted data of the bundle in `bundleDir` from now on. */
+export function startBundledExtractions(bundleDir, projects) {
+  bundled = { bundleDir, projects: indexAnalyses(projects) };
+}
+
+export function stopBundledExtractions() {
+  bundled = null;
+}
+
+/**
+ * Answer an extractor's main branch, branch and pull request extractions from
+ * the bundle when it holds them for the extractor's project. Called by each
+ * pipeline's DataExtractor factory; a no-op outside `import`. Incremental
+ * extractors filter on the local sync state, so they keep extracting, as do
+ * analyses the bundle lacks — both from the recorded responses.
+ */
+export function applyBundledExtractions(extractor) {
+  const active = bundled;
+  const analyses = active && !extractor.state ? active.projects.get(extractor.config?.sonarqube?.projectKey) : null;
+  if (!analyses) return extractor;
+
+  const serve = async (file, label, extract) => {
+    if (!file) return extract();
+    logger.info(`${label}: using the extracted data from the bundle`);
+    return readExtractedData(join(active.bundleDir, file));
+  };
+
+  const { extractAll, extractAllWithCheckpoints, extractBranch, extractBranchWithCheckpoints, extractPullRequest } = extractor;
+  extractor.extractAll = () => serve(analyses.main, 'Main branch', () => extractAll());
+  extractor.extractAllWithCheckpoints = (...args) => serve(analyses.main, 'Main branch', () => extractAllWithCheckpoints(...args));
+  extractor.extractBranch = (branch, mainData) => serve(analyses.branches.get(branch), `Branch ${branch}`, () => extractBranch(branch, mainData));
+  extractor.extractBranchWithCheckpoints = (branch, ...args) => serve(analyses.branches.get(branch), `Branch ${branch}`, () => extractBranchWithCheckpoints(branch, ...args));
+  extractor.extractPullRequest = (pullRequest, mainData) =>
+    serve(analyses.pullRequests.get(String(pullRequest.key)), `Pull request ${pullRequest.key}`, () => extractPullRequest(pullRequest, mainData));
+  return extractor;
+}
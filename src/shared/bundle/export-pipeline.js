@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./export-pipeline.js`
+
+export { exportBundle } from './export-pipeline/index.js';
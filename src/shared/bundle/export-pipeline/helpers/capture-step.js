@@ -0,0 +1,18 @@
+// -------- Capture Step --------
+
+import logger from '../../../utils/logger.js';
+
+/**
+ * Run one group of SonarQube reads for the bundle. A failure is noted on the
+ * project result instead of aborting its export; import answers the missing
+ * reads with a 404 and the matching migrate step reports it.
+ */
+export async function captureStep(result, label, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    logger.warn(`[${result.sqProjectKey}] ${label} not captured: ${error.message}`);
+    result.warnings.push(`${label}: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,8 @@
+// -------- Compute Summary --------
+
+/** Count projects per export outcome. */
+export function computeSummary(results) {
+  const summary = { total: results.projects.length, exported: 0, partial: 0, failed: 0 };
+  for (const project of results.projects) summary[project.status]++;
+  results.summary = summary;
+}
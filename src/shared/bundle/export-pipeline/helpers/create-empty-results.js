@@ -0,0 +1,12 @@
+// -------- Create Empty Results --------
+
+/** Create a fresh export results object. */
+export function createEmptyResults() {
+  return {
+    startTime: null,
+    endTime: null,
+    pipelineId: null,
+    projects: [],
+    summary: { total: 0, exported: 0, partial: 0, failed: 0 },
+  };
+}
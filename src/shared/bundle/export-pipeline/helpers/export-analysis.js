@@ -0,0 +1,26 @@
+// -------- Export Analysis --------
+
+import { join } from 'node:path';
+import { writeExtractedData } from '../../extracted-data.js';
+import { EXTRACTED_DIR } from '../../manifest.js';
+
+/**
+ * Write one branch's or pull request's extracted data to the bundle and list
+ * it on the project result. No scanner report is encoded here: import builds
+ * each report from this data once the SonarCloud project key, quality profiles
+ * and rule repositories are known.
+ *
+ * @param {object} data - Extracted data of the branch or pull request
+ * @param {object} analysis - `{ branch, main }`, or `{ pullRequest }` with the SonarQube pull request
+ * @param {object} result - Project export result
+ * @param {object} ctx - bundleDir, projectDir
+ */
+export async function exportAnalysis(data, analysis, result, { bundleDir, projectDir }) {
+  const { pullRequest } = analysis;
+  const label = pullRequest ? `pr-${pullRequest.key}` : analysis.branch;
+  const file = `${EXTRACTED_DIR}/${projectDir}/${String(result.analyses.length + 1).padStart(3, '0')}-${label.replace(/[^a-zA-Z0-9_.-]/g, '_')}.json.gz`;
+  const entry = pullRequest ? { pullRequest: String(pullRequest.key) } : { branch: analysis.branch, ...(analysis.main && { main: true }) };
+
+  await writeExtractedData(join(bundleDir, file), data, { projectKey: result.sqProjectKey, ...entry });
+  result.analyses.push({ ...entry, extracted: file });
+}
@@ -0,0 +1,51 @@
+// -------- Export Project Analyses --------
+
+import { filterPullRequests } from '../../../utils/pull-requests.js';
+import { captureStep } from './capture-step.js';
+import { exportAnalysis } from './export-analysis.js';
+
+/**
+ * Extract what the transfer of one project sends: the main branch, the other
+ * branches and — when the transfer config enables them — pull requests, and
+ * read the past analyses the history replay needs. Each extraction is written
+ * to the bundle as soon as it is made. A main branch that cannot be extracted
+ * fails the project.
+ */
+export async function exportProjectAnalyses(client, extractor, result, ctx) {
+  const { transferConfig } = ctx;
+  await captureStep(result, 'Project details', () => client.getProject());
+
+  const mainData = await extractor.extractAll();
+  const branches = mainData.project?.branches || [];
+  const mainBranch = branches.find(b => b.isMain)?.name || 'main';
+  result.branches.push(mainBranch);
+  await captureStep(result, `Extracted data ${mainBranch}`, () => exportAnalysis(mainData, { branch: mainBranch, main: true }, result, ctx));
+
+  if (transferConfig.syncAllBranches !== false) {
+    const excluded = new Set(transferConfig.excludeBranches || []);
+    for (const branch of branches.filter(b => !b.isMain && !excluded.has(b.name))) {
+      const data = await captureStep(result, `Branch ${branch.name}`, () => extractor.extractBranch(branch.name, mainData));
+      if (!data) continue;
+      result.branches.push(branch.name);
+      await captureStep(result, `Extracted data ${branch.name}`, () => exportAnalysis(data, { branch: branch.name }, result, ctx));
+    }
+  }
+
+  if (transferConfig.pullRequests?.enabled) {
+    const pullRequests = await captureStep(result, 'Pull requests', async () => filterPullRequests(await client.getPullRequests(), transferConfig.pullRequests)) || [];
+    for (const pullRequest of pullRequests) {
+      const data = await captureStep(result, `Pull request ${pullRequest.key}`, () => extractor.extractPullRequest(pullRequest, mainData));
+      if (!data) continue;
+      result.pullRequests++;
+      await captureStep(result, `Extracted data pr-${pullRequest.key}`, () => exportAnalysis(data, { pullRequest }, result, ctx));
+    }
+  }
+
+  if (transferConfig.history?.enabled) {
+    await captureStep(result, 'Analysis history', async () => {
+      await client.getProjectAnalyses();
+      await client.getMeasuresHistory(transferConfig.history.metrics || []);
+      return true;
+    });
+  }
+}
@@ -0,0 +1,19 @@
+// -------- Export Project Config --------
+
+import { captureStep } from './capture-step.js';
+
+/** Read the project-level settings migrate carries over: settings, tags, links, new code, gate, permissions, webhooks. */
+export async function exportProjectConfig(client, pipeline, result) {
+  const key = result.sqProjectKey;
+  await captureStep(result, 'Project settings', () => pipeline.extractProjectSettings(client, key));
+  await captureStep(result, 'Project tags', () => pipeline.extractProjectTags(client));
+  await captureStep(result, 'Project links', () => pipeline.extractProjectLinks(client, key));
+  await captureStep(result, 'New code definitions', () => pipeline.extractNewCodePeriods(client, key));
+  await captureStep(result, 'Quality gate', () => client.getQualityGate());
+  await captureStep(result, 'Permissions', async () => {
+    await pipeline.extractProjectPermissions(client, key);
+    await pipeline.extractProjectUserPermissions(client, key);
+    return true;
+  });
+  await captureStep(result, 'Webhooks', () => pipeline.extractWebhooks(client, key));
+}
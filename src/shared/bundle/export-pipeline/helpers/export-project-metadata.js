@@ -0,0 +1,22 @@
+// -------- Export Project Metadata --------
+
+import { fetchSqChangelogs } from '../../../utils/issue-sync/fetch-sq-changelogs.js';
+import { captureStep } from './capture-step.js';
+
+/** Read the issues, comments, changelogs and hotspots the metadata sync replays onto SonarCloud. */
+export async function exportProjectMetadata(client, pipeline, result, ctx) {
+  const { perfConfig } = ctx;
+  if (!ctx.skipIssueSync) {
+    const issues = await captureStep(result, 'Issue metadata', async () => {
+      const sqIssues = await client.getIssuesWithComments();
+      await fetchSqChangelogs(sqIssues, client, perfConfig.issueSync.concurrency);
+      return sqIssues;
+    });
+    result.issues = issues ? issues.length : null;
+  }
+  if (!ctx.skipHotspotSync) {
+    const hotspots = await captureStep(result, 'Hotspot metadata', () =>
+      pipeline.extractHotspots(client, null, { concurrency: perfConfig.hotspotExtraction.concurrency }));
+    result.hotspots = hotspots ? hotspots.length : null;
+  }
+}
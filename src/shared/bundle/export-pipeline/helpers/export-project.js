@@ -0,0 +1,52 @@
+// -------- Export Project --------
+
+import { join } from 'node:path';
+import logger from '../../../utils/logger.js';
+import { emitEvent } from '../../../utils/events.js';
+import { takeRecordings } from '../../sonarqube-transport.js';
+import { writeRecordingShard } from '../../recordings.js';
+import { RECORDINGS_DIR } from '../../manifest.js';
+import { exportProjectAnalyses } from './export-project-analyses.js';
+import { exportProjectConfig } from './export-project-config.js';
+import { exportProjectMetadata } from './export-project-metadata.js';
+
+/**
+ * Make every per-project SonarQube read of a migration while the transport
+ * records, then write the responses to the project's shard. The extracted
+ * branches and pull requests are written alongside. Status is
+ * `exported`, `partial` when some reads failed, or `failed` when the main
+ * branch could not be extracted.
+ */
+export async function exportProject(ctx) {
+  const { project, idx, total, pipeline, sonarqubeConfig, rateLimitConfig, transferConfig, perfConfig, bundleDir } = ctx;
+  logger.info(`\n--- Project ${idx + 1}/${total}: ${project.key} ---`);
+  emitEvent('project.start', { project: project.key, index: idx + 1, total });
+
+  const projectDir = `project-${String(idx + 1).padStart(4, '0')}`;
+  const shard = `${RECORDINGS_DIR}/${projectDir}.ndjson.gz`;
+  const result = { sqProjectKey: project.key, name: project.name || null, status: 'exported', recordings: shard, branches: [], pullRequests: 0, analyses: [], issues: null, hotspots: null, responses: 0, warnings: [] };
+
+  const client = new pipeline.SonarQubeClient({ url: sonarqubeConfig.url, token: sonarqubeConfig.token, projectKey: project.key, rateLimit: rateLimitConfig });
+  const config = { sonarqube: { ...sonarqubeConfig, projectKey: project.key }, sonarcloud: {}, transfer: transferConfig };
+  const extractor = new pipeline.DataExtractor(client, config, null, perfConfig);
+
+  try {
+    await exportProjectAnalyses(client, extractor, result, { transferConfig, pipeline, bundleDir, projectDir });
+    await exportProjectConfig(client, pipeline, result);
+    await exportProjectMetadata(client, pipeline, result, ctx);
+    if (result.warnings.length > 0) result.status = 'partial';
+  } catch (error) {
+    logger.error(`[${project.key}] Export failed: ${error.message}`);
+    result.status = 'failed';
+    result.error = error.message;
+  }
+
+  result.responses = await writeRecordingShard(join(bundleDir, shard), takeRecordings());
+  if (result.status === 'failed') {
+    emitEvent('project.fail', { project: project.key, error: result.error });
+  } else {
+    logger.info(`[${project.key}] Captured ${result.responses} response(s): ${result.branches.length} branch(es), ${result.analyses.length} extraction(s), ${result.issues ?? 'no'} issue(s), ${result.hotspots ?? 'no'} hotspot(s)`);
+    emitEvent('project.complete', { project: project.key, status: result.status });
+  }
+  return result;
+}
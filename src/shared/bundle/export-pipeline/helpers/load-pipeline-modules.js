@@ -0,0 +1,29 @@
+// -------- Load Pipeline Modules --------
+
+/** Load the SonarQube client and extractors of the pipeline matching the server version. */
+export async function loadPipelineModules(pipelineId) {
+  const base = `../../../../pipelines/${pipelineId}/sonarqube`;
+  const [sqApi, extractors, hotspots, settings, tags, links, newCodePeriods, permissions, webhooks] = await Promise.all([
+    import(`${base}/api-client.js`),
+    import(`${base}/extractors/index.js`),
+    import(`${base}/extractors/hotspots.js`),
+    import(`${base}/extractors/project-settings.js`),
+    import(`${base}/extractors/project-tags.js`),
+    import(`${base}/extractors/project-links.js`),
+    import(`${base}/extractors/new-code-periods.js`),
+    import(`${base}/extractors/permissions.js`),
+    import(`${base}/extractors/webhooks.js`),
+  ]);
+  return {
+    SonarQubeClient: sqApi.SonarQubeClient,
+    DataExtractor: extractors.DataExtractor,
+    extractHotspots: hotspots.extractHotspots,
+    extractProjectSettings: settings.extractProjectSettings,
+    extractProjectTags: tags.extractProjectTags,
+    extractProjectLinks: links.extractProjectLinks,
+    extractNewCodePeriods: newCodePeriods.extractNewCodePeriods,
+    extractProjectPermissions: permissions.extractProjectPermissions,
+    extractProjectUserPermissions: permissions.extractProjectUserPermissions,
+    extractWebhooks: webhooks.extractWebhooks,
+  };
+}
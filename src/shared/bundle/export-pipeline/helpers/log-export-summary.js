@@ -0,0 +1,22 @@
+// -------- Log Export Summary --------
+
+import logger from '../../../utils/logger.js';
+
+/** Log per-project export outcomes and totals. */
+export function logExportSummary(results, bundleDir) {
+  const { summary } = results;
+  logger.info('\n========================================');
+  logger.info('=== Export Summary ===');
+  logger.info('========================================');
+  for (const project of results.projects) {
+    if (project.status === 'failed') {
+      logger.error(`  ${project.sqProjectKey}: failed — ${project.error}`);
+    } else {
+      const detail = `${project.branches.length} branch(es), ${project.responses} response(s)`;
+      if (project.status === 'partial') logger.warn(`  ${project.sqProjectKey}: partial — ${detail}; not captured: ${project.warnings.join('; ')}`);
+      else logger.info(`  ${project.sqProjectKey}: ${detail}`);
+    }
+  }
+  logger.info(`Projects: ${summary.exported} exported, ${summary.partial} partial, ${summary.failed} failed (${summary.total} total)`);
+  logger.info(`Bundle: ${bundleDir}`);
+}
@@ -0,0 +1,19 @@
+// -------- Prepare Bundle Directory --------
+
+import { existsSync } from 'node:fs';
+import { mkdir, readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { ConfigurationError } from '../../../utils/errors.js';
+import { RECORDINGS_DIR } from '../../manifest.js';
+
+/**
+ * Create the bundle directory. An existing non-empty directory is refused:
+ * stale files would end up checksummed into the new bundle, and a leftover
+ * org-wide cache would make the dry run skip the reads it must record.
+ */
+export async function prepareBundleDir(bundleDir) {
+  if (existsSync(bundleDir) && (await readdir(bundleDir)).length > 0) {
+    throw new ConfigurationError(`Bundle directory is not empty: ${bundleDir} — export into a new directory`);
+  }
+  await mkdir(join(bundleDir, RECORDINGS_DIR), { recursive: true });
+}
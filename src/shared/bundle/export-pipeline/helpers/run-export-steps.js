@@ -0,0 +1,63 @@
+// -------- Run Export Steps --------
+
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { detectAndRoute } from '../../../../version-router.js';
+import { emitEvent } from '../../../utils/events.js';
+import { StateError } from '../../../utils/errors.js';
+import logger from '../../../utils/logger.js';
+import { takeRecordings } from '../../sonarqube-transport.js';
+import { writeRecordingShard } from '../../recordings.js';
+import { MIGRATION_DIR, RECORDINGS_DIR } from '../../manifest.js';
+import { loadPipelineModules } from './load-pipeline-modules.js';
+import { exportProject } from './export-project.js';
+
+/**
+ * Route to the pipeline matching the SonarQube version, run its migrate dry run
+ * into the bundle for the org-wide resources and mapping CSVs, then make the
+ * per-project reads. Returns the SonarQube details recorded in the manifest.
+ */
+export async function runExportSteps(results, ctx) {
+  const { sonarqubeConfig, bundleDir } = ctx;
+  const { pipelineId, parsedVersion, migrateAll } = await detectAndRoute(sonarqubeConfig);
+  logger.info(`Using pipeline: ${pipelineId}`);
+  results.pipelineId = pipelineId;
+  const pipeline = await loadPipelineModules(pipelineId);
+
+  logger.info('=== Export step 1: Org-wide resources and mapping CSVs (migrate dry run) ===');
+  emitEvent('phase.start', { phase: 'server-wide' });
+  const migrationDir = join(bundleDir, MIGRATION_DIR);
+  await migrateAll({
+    sonarqubeConfig,
+    sonarcloudOrgs: ctx.sonarcloudOrgs,
+    enterpriseConfig: ctx.enterpriseConfig,
+    migrateConfig: { ...ctx.migrateConfig, outputDir: migrationDir, dryRun: true },
+    transferConfig: ctx.transferConfig,
+    rateLimitConfig: ctx.rateLimitConfig,
+    performanceConfig: ctx.perfConfig,
+  });
+
+  const sqClient = new pipeline.SonarQubeClient({ url: sonarqubeConfig.url, token: sonarqubeConfig.token, rateLimit: ctx.rateLimitConfig });
+  await sqClient.getServerVersion();
+  await sqClient.getDeprecatedRuleKeys().catch(error => logger.warn(`Deprecated rule keys not captured: ${error.message}`));
+  const serverResponses = await writeRecordingShard(join(bundleDir, RECORDINGS_DIR, 'server.ndjson.gz'), takeRecordings());
+  emitEvent('phase.end', { phase: 'server-wide', status: 'completed' });
+
+  const projects = await loadExportedProjects(migrationDir);
+  logger.info(`=== Export step 2: ${projects.length} project(s) ===`);
+  emitEvent('counts', { total: projects.length });
+  for (const [idx, project] of projects.entries()) {
+    results.projects.push(await exportProject({ ...ctx, project, idx, total: projects.length, pipeline }));
+  }
+
+  return { url: sonarqubeConfig.url, version: parsedVersion.raw, pipelineId, serverResponses };
+}
+
+async function loadExportedProjects(migrationDir) {
+  try {
+    const cache = JSON.parse(await readFile(join(migrationDir, 'cache', 'server-wide-data.json'), 'utf-8'));
+    return cache.allProjects || [];
+  } catch (error) {
+    throw new StateError(`The migrate dry run did not leave its server-wide data cache: ${error.message}`);
+  }
+}
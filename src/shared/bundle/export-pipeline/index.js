@@ -0,0 +1,59 @@
+// -------- Export Pipeline --------
+
+import { resolvePerformanceConfig } from '../../utils/concurrency.js';
+import { emitEvent } from '../../utils/events.js';
+import logger from '../../utils/logger.js';
+import { startRecording, stopTransport } from '../sonarqube-transport.js';
+import { writeManifest } from '../manifest.js';
+import { prepareBundleDir } from './helpers/prepare-bundle-dir.js';
+import { createEmptyResults } from './helpers/create-empty-results.js';
+import { runExportSteps } from './helpers/run-export-steps.js';
+import { computeSummary } from './helpers/compute-summary.js';
+import { logExportSummary } from './helpers/log-export-summary.js';
+
+/**
+ * Capture everything a migration reads from SonarQube into a self-contained
+ * bundle that `import` can migrate from on a machine without SonarQube access:
+ * the migrate dry-run output (org-wide resources cache, mapping CSVs), the
+ * extracted data of every branch and pull request, and every recorded
+ * SonarQube response, with a checksummed manifest.
+ *
+ * The bundle holds no scanner reports. The SonarCloud project key, profile keys
+ * and rule repositories only exist once the organization is reachable, so
+ * import encodes each report from the extracted data.
+ */
+export async function exportBundle(options) {
+  const {
+    sonarqubeConfig, sonarcloudOrgs, enterpriseConfig, migrateConfig = {}, transferConfig = {},
+    rateLimitConfig, performanceConfig: rawPerfConfig = {}, bundleDir,
+    skipIssueSync = false, skipHotspotSync = false,
+  } = options;
+
+  const perfConfig = resolvePerformanceConfig(rawPerfConfig);
+  const results = createEmptyResults();
+  results.startTime = new Date().toISOString();
+  await prepareBundleDir(bundleDir);
+
+  startRecording();
+  try {
+    const sonarqube = await runExportSteps(results, {
+      sonarqubeConfig, sonarcloudOrgs, enterpriseConfig, migrateConfig, transferConfig,
+      rateLimitConfig, perfConfig, bundleDir, skipIssueSync, skipHotspotSync,
+    });
+    const manifest = await writeManifest(bundleDir, {
+      sonarqube,
+      capture: { allBranches: transferConfig.syncAllBranches !== false, issueMetadata: !skipIssueSync, hotspotMetadata: !skipHotspotSync },
+      projects: results.projects.map(({ sqProjectKey, name, status, recordings, branches, pullRequests, analyses, issues, hotspots, warnings }) =>
+        ({ key: sqProjectKey, name, status, recordings, branches, pullRequests, analyses, issues, hotspots, warnings })),
+    });
+    logger.info(`Manifest written: ${Object.keys(manifest.files).length} checksummed file(s)`);
+  } finally {
+    stopTransport();
+    results.endTime = new Date().toISOString();
+    computeSummary(results);
+    emitEvent('summary', { projects: results.summary });
+    logExportSummary(results, bundleDir);
+  }
+
+  return results;
+}
@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./extracted-data.js`
+
+export { writeExtractedData, readExtractedData } from './extracted-data/index.js';
@@ -0,0 +1,18 @@
+// -------- Read Extracted Data --------
+
+import { readFile } from 'node:fs/promises';
+import { promisify } from 'node:util';
+import { gunzip } from 'node:zlib';
+import { fromSerializable } from '../../../state/extraction-cache.js';
+
+const gunzipAsync = promisify(gunzip);
+
+/**
+ * Read extracted data written by writeExtractedData().
+ * @param {string} filePath - File path inside the bundle
+ * @returns {Promise<object>} The extracted data, Maps restored
+ */
+export async function readExtractedData(filePath) {
+  const envelope = JSON.parse((await gunzipAsync(await readFile(filePath))).toString('utf-8'));
+  return fromSerializable(envelope.data);
+}
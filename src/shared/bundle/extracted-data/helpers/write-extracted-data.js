@@ -0,0 +1,22 @@
+// -------- Write Extracted Data --------
+
+import { createWriteStream } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { createGzip } from 'node:zlib';
+import { toSerializable } from '../../../state/extraction-cache.js';
+
+/**
+ * Write one branch's or pull request's extracted data as gzipped JSON, in the
+ * extraction cache's envelope so Maps survive the round trip.
+ * @param {string} filePath - File path inside the bundle
+ * @param {object} data - Extracted data from extractAll(), extractBranch() or extractPullRequest()
+ * @param {object} meta - Stored in `_meta` (project key, branch or pull request)
+ */
+export async function writeExtractedData(filePath, data, meta) {
+  await mkdir(dirname(filePath), { recursive: true });
+  const json = JSON.stringify({ _meta: { ...meta, version: 1 }, data: toSerializable(data) });
+  await pipeline(Readable.from([json]), createGzip({ level: 6 }), createWriteStream(filePath));
+}
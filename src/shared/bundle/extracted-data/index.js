@@ -0,0 +1,5 @@
+// -------- Bundle Extracted Data --------
+// Extracted data of each exported branch and pull request is stored as gzipped JSON under `extracted/`.
+
+export { writeExtractedData } from './helpers/write-extracted-data.js';
+export { readExtractedData } from './helpers/read-extracted-data.js';
@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./import-pipeline.js`
+
+export { importBundle } from './import-pipeline/index.js';
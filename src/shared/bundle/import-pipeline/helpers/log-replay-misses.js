@@ -0,0 +1,17 @@
+// -------- Log Replay Misses --------
+
+import logger from '../../../utils/logger.js';
+
+const MAX_LISTED = 20;
+
+/** Summarize the SonarQube requests the bundle could not answer. */
+export function logReplayMisses(misses) {
+  if (misses.length === 0) {
+    logger.info('Every SonarQube request was answered from the bundle');
+    return;
+  }
+  logger.warn(`${misses.length} SonarQube request(s) were not captured in the bundle and were answered as not found:`);
+  for (const key of misses.slice(0, MAX_LISTED)) logger.warn(`  ${key}`);
+  if (misses.length > MAX_LISTED) logger.warn(`  ... and ${misses.length - MAX_LISTED} more`);
+  logger.warn('Re-export with the same configuration and flags as this import to capture them');
+}
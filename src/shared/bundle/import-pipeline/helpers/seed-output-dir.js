@@ -0,0 +1,25 @@
+// -------- Seed Output Directory --------
+
+import { existsSync } from 'node:fs';
+import { cp } from 'node:fs/promises';
+import { join } from 'node:path';
+import logger from '../../../utils/logger.js';
+import { MIGRATION_DIR } from '../../manifest.js';
+
+const SEEDED_PATHS = ['mappings', join('cache', 'server-wide-data.json')];
+
+/**
+ * Copy the exported mapping CSVs and org-wide resources cache into the migrate
+ * output directory, where migrate picks them up as a previous dry run's output.
+ * Paths that already exist are left alone, so CSVs edited on this machine
+ * (after `import --dry-run`) and resumed runs keep their own copies.
+ */
+export async function seedOutputDir(bundleDir, outputDir) {
+  for (const path of SEEDED_PATHS) {
+    const source = join(bundleDir, MIGRATION_DIR, path);
+    const target = join(outputDir, path);
+    if (!existsSync(source) || existsSync(target)) continue;
+    await cp(source, target, { recursive: true });
+    logger.info(`Seeded ${target} from the bundle`);
+  }
+}
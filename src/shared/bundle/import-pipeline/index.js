@@ -0,0 +1,49 @@
+// -------- Import Pipeline --------
+
+import logger from '../../utils/logger.js';
+import { startReplay, stopTransport } from '../sonarqube-transport.js';
+import { startBundledExtractions, stopBundledExtractions } from '../bundled-extractions.js';
+import { verifyBundle, RECORDINGS_DIR } from '../manifest.js';
+import { loadRecordings } from '../recordings.js';
+import { seedOutputDir } from './helpers/seed-output-dir.js';
+import { logReplayMisses } from './helpers/log-replay-misses.js';
+
+/**
+ * Migrate from an export bundle without reaching SonarQube. The bundle is
+ * verified against its manifest, then the pipeline recorded at export time runs
+ * its regular `migrateAll` with every SonarQube request answered from the bundle.
+ * Branches and pull requests come from the bundle's extracted data, so each
+ * scanner report is encoded with the SonarCloud project key, quality profiles
+ * and rule repositories. Journal, resume prompt, `--dry-run` and reports
+ * therefore behave as in migrate.
+ *
+ * @param {object} options - migrateAll options plus `bundleDir`
+ * @returns {Promise<object>} Migration results, with `replayMisses` listing unanswered requests
+ */
+export async function importBundle(options) {
+  const { bundleDir, migrateConfig = {}, sonarqubeConfig = {}, ...migrateOptions } = options;
+
+  const manifest = await verifyBundle(bundleDir);
+  const { url, version, pipelineId } = manifest.sonarqube;
+  logger.info(`Bundle verified: ${Object.keys(manifest.files).length} file(s) exported ${manifest.createdAt} from ${url} (SonarQube ${version})`);
+  logger.info(`Using pipeline: ${pipelineId}`);
+
+  const outputDir = migrateConfig.outputDir || './migration-output';
+  if (!migrateConfig.dryRun) await seedOutputDir(bundleDir, outputDir);
+
+  const shards = Object.keys(manifest.files).filter(file => file.startsWith(`${RECORDINGS_DIR}/`));
+  startReplay(await loadRecordings(bundleDir, shards));
+  startBundledExtractions(bundleDir, manifest.projects);
+  const { migrateAll } = await import(`../../../pipelines/${pipelineId}/migrate-pipeline.js`);
+
+  let results = null;
+  try {
+    results = await migrateAll({ ...migrateOptions, sonarqubeConfig: { ...sonarqubeConfig, url }, migrateConfig });
+  } finally {
+    stopBundledExtractions();
+    const misses = stopTransport()?.misses || [];
+    logReplayMisses(misses);
+    if (results) results.replayMisses = misses;
+  }
+  return results;
+}
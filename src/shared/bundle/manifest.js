@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./manifest.js`
+
+export { writeManifest, verifyBundle, BUNDLE_FORMAT, BUNDLE_FORMAT_VERSION, MANIFEST_FILE, MIGRATION_DIR, RECORDINGS_DIR, EXTRACTED_DIR } from './manifest/index.js';
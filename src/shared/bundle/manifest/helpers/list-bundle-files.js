@@ -0,0 +1,23 @@
+// -------- List Bundle Files --------
+
+import { readdir } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * List every file under the bundle root as a forward-slash relative path, sorted.
+ * @param {string} bundleDir - Bundle root
+ * @param {string[]} [exclude] - Relative paths to leave out (the manifest itself)
+ */
+export async function listBundleFiles(bundleDir, exclude = []) {
+  const files = [];
+  await walk(bundleDir, '', files);
+  return files.filter(file => !exclude.includes(file)).sort();
+}
+
+async function walk(root, prefix, files) {
+  for (const entry of await readdir(join(root, prefix), { withFileTypes: true })) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) await walk(root, relative, files);
+    else if (entry.isFile()) files.push(relative);
+  }
+}
@@ -0,0 +1,79 @@
+// -------- Bundle Manifest --------
+
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { ValidationError } from '../../utils/errors.js';
+import { hashFile } from './helpers/hash-file.js';
+import { listBundleFiles } from './helpers/list-bundle-files.js';
+
+export const BUNDLE_FORMAT = 'cloudvoyager-bundle';
+export const BUNDLE_FORMAT_VERSION = 1;
+export const MANIFEST_FILE = 'manifest.json';
+/** Dry-run migrate output: org-wide resources cache, mapping CSVs and reports. */
+export const MIGRATION_DIR = 'migration';
+/** Recorded SonarQube responses, one shard for server-wide reads and one per project. */
+export const RECORDINGS_DIR = 'sonarqube';
+/** Extracted data of every exported branch and pull request, one gzipped JSON file each. */
+export const EXTRACTED_DIR = 'extracted';
+
+const PIPELINE_IDS = ['sq-9.9', 'sq-10.0', 'sq-10.4', 'sq-2025'];
+
+/**
+ * Write `manifest.json` with a SHA-256 checksum for every other file in the bundle.
+ * Call last: files added afterwards are not covered.
+ *
+ * @param {string} bundleDir - Bundle root
+ * @param {object} contents - Export details (sonarqube, capture, projects)
+ * @returns {Promise<object>} The written manifest
+ */
+export async function writeManifest(bundleDir, contents) {
+  const files = {};
+  for (const file of await listBundleFiles(bundleDir, [MANIFEST_FILE])) {
+    files[file] = await hashFile(join(bundleDir, file));
+  }
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    formatVersion: BUNDLE_FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    ...contents,
+    files,
+  };
+  await writeFile(join(bundleDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+/**
+ * Read the manifest and check every listed file against its checksum.
+ * @param {string} bundleDir - Bundle root
+ * @returns {Promise<object>} The manifest
+ * @throws {ValidationError} Unreadable or unsupported manifest, missing or altered files
+ */
+export async function verifyBundle(bundleDir) {
+  const manifestPath = join(bundleDir, MANIFEST_FILE);
+  let manifest;
+  try {
+    manifest = JSON.parse(await readFile(manifestPath, 'utf-8'));
+  } catch (error) {
+    throw new ValidationError(`Not a readable export bundle: ${manifestPath} (${error.message})`);
+  }
+
+  if (manifest.format !== BUNDLE_FORMAT || manifest.formatVersion !== BUNDLE_FORMAT_VERSION) {
+    throw new ValidationError(`Unsupported bundle format: ${manifest.format} v${manifest.formatVersion} (expected ${BUNDLE_FORMAT} v${BUNDLE_FORMAT_VERSION})`);
+  }
+  if (!PIPELINE_IDS.includes(manifest.sonarqube?.pipelineId)) {
+    throw new ValidationError(`Bundle names an unknown pipeline: ${manifest.sonarqube?.pipelineId}`);
+  }
+
+  const errors = [];
+  for (const [file, expected] of Object.entries(manifest.files || {})) {
+    const path = join(bundleDir, file);
+    if (file.startsWith('/') || file.split('/').includes('..')) errors.push(`${file}: path outside the bundle`);
+    else if (!existsSync(path)) errors.push(`${file}: missing`);
+    else if (await hashFile(path) !== expected) errors.push(`${file}: checksum mismatch`);
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(`Export bundle failed verification: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (and ${errors.length - 5} more)` : ''}`, errors);
+  }
+  return manifest;
+}
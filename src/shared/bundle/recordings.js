@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./recordings.js`
+
+export { writeRecordingShard, loadRecordings } from './recordings/index.js';
@@ -0,0 +1,27 @@
+// -------- Load Recordings --------
+
+import { createReadStream } from 'node:fs';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { createGunzip } from 'node:zlib';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Load recorded SonarQube responses from the given shards into one lookup map.
+ * @param {string} bundleDir - Bundle root
+ * @param {string[]} shards - Shard paths relative to the bundle root
+ * @returns {Promise<Map<string, { status: number, data: string }>>}
+ */
+export async function loadRecordings(bundleDir, shards) {
+  const recordings = new Map();
+  for (const shard of shards) {
+    const lines = createInterface({ input: createReadStream(join(bundleDir, shard)).pipe(createGunzip()), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      const { key, status, data } = JSON.parse(line);
+      recordings.set(key, { status, data });
+    }
+  }
+  logger.info(`Loaded ${recordings.size} recorded SonarQube response(s) from ${shards.length} shard(s)`);
+  return recordings;
+}
@@ -0,0 +1,23 @@
+// -------- Write Recording Shard --------
+
+import { createWriteStream } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { createGzip } from 'node:zlib';
+
+/**
+ * Write recorded SonarQube responses as gzipped NDJSON, one `{ key, status, data }` per line.
+ * @param {string} filePath - Shard path inside the bundle
+ * @param {Array<[string, { status: number, data: string }]>} entries - From takeRecordings()
+ * @returns {Promise<number>} Number of responses written
+ */
+export async function writeRecordingShard(filePath, entries) {
+  await mkdir(dirname(filePath), { recursive: true });
+  const lines = (function* toLines() {
+    for (const [key, entry] of entries) yield `${JSON.stringify({ key, status: entry.status, data: entry.data })}\n`;
+  })();
+  await pipeline(Readable.from(lines), createGzip({ level: 6 }), createWriteStream(filePath));
+  return entries.length;
+}
@@ -0,0 +1,5 @@
+// -------- Bundle Recordings --------
+// Recorded SonarQube responses are stored as gzipped NDJSON shards under `sonarqube/`.
+
+export { writeRecordingShard } from './helpers/write-recording-shard.js';
+export { loadRecordings } from './helpers/load-recordings.js';
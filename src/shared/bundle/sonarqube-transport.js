@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./sonarqube-transport.js`
+
+export { applySonarQubeTransport, startRecording, startReplay, stopTransport, takeRecordings, buildRequestKey } from './sonarqube-transport/index.js';
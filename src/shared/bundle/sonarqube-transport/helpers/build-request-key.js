@@ -0,0 +1,22 @@
+// -------- Build Request Key --------
+
+/**
+ * Build the lookup key of a SonarQube request: method, path relative to the
+ * server URL and the sorted query string. The server URL and credentials are
+ * left out so a bundle replays the same on a machine with a different config.
+ *
+ * @param {object} config - Axios request config as seen by the adapter
+ * @returns {string} e.g. "GET /api/issues/search?p=1&projects=my-project"
+ */
+export function buildRequestKey(config) {
+  const url = new URL(config.url || '', 'http://bundle.invalid');
+  const query = new URLSearchParams(url.search);
+  const params = config.params instanceof URLSearchParams ? [...config.params] : Object.entries(config.params || {});
+  for (const [name, value] of params) {
+    if (value === undefined || value === null) continue;
+    query.append(name, Array.isArray(value) ? value.join(',') : String(value));
+  }
+  query.sort();
+  const search = query.toString();
+  return `${(config.method || 'get').toUpperCase()} ${url.pathname}${search ? `?${search}` : ''}`;
+}
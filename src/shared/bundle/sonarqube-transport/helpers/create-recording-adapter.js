@@ -0,0 +1,27 @@
+// -------- Create Recording Adapter --------
+
+import { buildRequestKey } from './build-request-key.js';
+
+/**
+ * Wrap an axios adapter so every GET answered by the server — successful or
+ * not — is handed to `record`. Network failures are not recorded: there is no
+ * answer to replay. The raw body is kept, before axios parses it.
+ */
+export function createRecordingAdapter(adapter, record) {
+  return async (config) => {
+    try {
+      const response = await adapter(config);
+      recordResponse(config, response, record);
+      return response;
+    } catch (error) {
+      if (error.response) recordResponse(config, error.response, record);
+      throw error;
+    }
+  };
+}
+
+function recordResponse(config, response, record) {
+  if ((config.method || 'get').toLowerCase() !== 'get') return;
+  const data = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? null);
+  record(buildRequestKey(config), { status: response.status, data });
+}
@@ -0,0 +1,27 @@
+// -------- Create Replay Adapter --------
+
+import { AxiosError, AxiosHeaders } from 'axios';
+import { buildRequestKey } from './build-request-key.js';
+
+/**
+ * Create an axios adapter that answers from recorded responses and never
+ * touches the network. A request missing from the recordings is reported to
+ * `onMiss` and answered with a SonarQube-style 404, so callers that already
+ * tolerate absent resources degrade the same way they would against the server.
+ */
+export function createReplayAdapter(recordings, onMiss) {
+  return async (config) => {
+    const key = buildRequestKey(config);
+    let entry = recordings.get(key);
+    if (!entry) {
+      onMiss(key);
+      entry = { status: 404, data: JSON.stringify({ errors: [{ msg: `Not captured in the export bundle: ${key}` }] }) };
+    }
+
+    const response = { data: entry.data, status: entry.status, statusText: '', headers: new AxiosHeaders(), config, request: {} };
+    if (!config.validateStatus || config.validateStatus(response.status)) return response;
+
+    const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+    throw new AxiosError(`Request failed with status code ${response.status}`, code, config, response.request, response);
+  };
+}
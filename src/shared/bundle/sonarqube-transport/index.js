@@ -0,0 +1,70 @@
+// -------- SonarQube Transport --------
+
+import axios from 'axios';
+import logger from '../../utils/logger.js';
+import { createRecordingAdapter } from './helpers/create-recording-adapter.js';
+import { createReplayAdapter } from './helpers/create-replay-adapter.js';
+
+export { buildRequestKey } from './helpers/build-request-key.js';
+
+// One transport per process: `export` records, `import` replays, every other
+// command leaves it unset and SonarQube clients talk to the server directly.
+let transport = null;
+
+/** Record every SonarQube GET made by clients created from now on. */
+export function startRecording() {
+  transport = { mode: 'record', recordings: new Map(), taken: new Set() };
+}
+
+/** Answer every SonarQube request made by clients created from now on from `recordings`. */
+export function startReplay(recordings) {
+  transport = { mode: 'replay', recordings, misses: new Set() };
+}
+
+/**
+ * Clear the transport and return what it collected.
+ * @returns {{ mode: string, misses: string[] }|null}
+ */
+export function stopTransport() {
+  const stopped = transport;
+  transport = null;
+  if (!stopped) return null;
+  return { mode: stopped.mode, misses: stopped.misses ? [...stopped.misses] : [] };
+}
+
+/**
+ * Hand over the responses recorded since the previous call, so callers can
+ * write them out in shards instead of holding a whole export in memory.
+ * A request already handed over is not recorded again.
+ *
+ * @returns {Array<[string, { status: number, data: string }]>}
+ */
+export function takeRecordings() {
+  if (transport?.mode !== 'record') return [];
+  const entries = [...transport.recordings];
+  for (const [key] of entries) transport.taken.add(key);
+  transport.recordings.clear();
+  return entries;
+}
+
+/**
+ * Route an axios instance through the active transport. Called by each
+ * pipeline's SonarQube client factory; a no-op when no transport is active.
+ */
+export function applySonarQubeTransport(client) {
+  const active = transport;
+  if (!active) return client;
+
+  if (active.mode === 'record') {
+    client.defaults.adapter = createRecordingAdapter(axios.getAdapter(client.defaults.adapter), (key, entry) => {
+      if (!active.taken.has(key)) active.recordings.set(key, entry);
+    });
+  } else {
+    client.defaults.adapter = createReplayAdapter(active.recordings, (key) => {
+      if (active.misses.has(key)) return;
+      active.misses.add(key);
+      logger.warn(`SonarQube request not captured in the export bundle, answering 404: ${key}`);
+    });
+  }
+  return client;
+}
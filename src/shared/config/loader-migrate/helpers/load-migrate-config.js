@@ -3,6 +3,7 @@ import { readFile } from 'node:fs/promises';
 import logger from '../../../utils/logger.js';
 import { applyMigrateEnvOverrides } from './apply-migrate-env-overrides.js';
 import { validateMigrateSchema } from './validate-migrate-schema.js';
+import { validateMigrateRouting } from './validate-migrate-routing.js';
 import { applyMigrateDefaults } from './apply-migrate-defaults.js';
 import { handleConfigLoadError } from './handle-config-load-error.js';
 
@@ -13,6 +14,7 @@ export async function loadMigrateConfig(configPath) {
     const config = JSON.parse(configContent);
     applyMigrateEnvOverrides(config);
     validateMigrateSchema(config);
+    validateMigrateRouting(config);
     applyMigrateDefaults(config);
     logger.info('Migration configuration loaded and validated successfully');
     return config;
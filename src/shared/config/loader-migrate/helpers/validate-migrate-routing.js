@@ -0,0 +1,12 @@
+// -------- Validate Migrate Routing Rules --------
+import { validateRoutingRules } from '../../../mapping/routing-rules.js';
+import { ValidationError } from '../../../utils/errors.js';
+
+export function validateMigrateRouting(config) {
+  const rules = config.migrate?.routingRules;
+  if (!rules) return;
+  const errors = validateRoutingRules(rules, config.sonarcloud.organizations.map(o => o.key));
+  if (errors.length > 0) {
+    throw new ValidationError('Migration configuration validation failed', errors);
+  }
+}
@@ -1,4 +1,9 @@
 // -------- Migrate Options Schema --------
+import { migrateProjectsSchema } from './migrate-projects-schema.js';
+import { migrateRoutingRulesSchema } from './migrate-routing-schema.js';
+import { migrateProjectKeyTransformSchema } from './migrate-project-key-transform-schema.js';
+import { WEBHOOK_SECRET_MODES } from '../../../utils/webhook-secrets.js';
+
 export const migrateOptionsSchema = {
   type: 'object',
   properties: {
@@ -6,7 +11,12 @@ export const migrateOptionsSchema = {
     skipIssueMetadataSync: { type: 'boolean', default: false, description: 'Skip syncing issue metadata (statuses, assignments, comments, tags)' },
     skipHotspotMetadataSync: { type: 'boolean', default: false, description: 'Skip syncing hotspot metadata (statuses, comments)' },
     skipQualityProfileSync: { type: 'boolean', default: false, description: 'Skip syncing quality profiles (projects use default SonarCloud profiles)' },
-    dryRun: { type: 'boolean', default: false, description: 'Extract and generate mappings without migrating' }
+    dryRun: { type: 'boolean', default: false, description: 'Extract and generate mappings without migrating' },
+    strictQualityGates: { type: 'boolean', default: false, description: 'Fail a quality gate instead of migrating it weaker when a condition cannot be translated or is rejected by SonarCloud' },
+    webhookSecrets: { type: 'string', enum: WEBHOOK_SECRET_MODES, default: 'skip', description: 'How to supply secrets of migrated webhooks: prompt, env (CLOUDVOYAGER_WEBHOOK_SECRET_<NAME>) or skip' },
+    projects: migrateProjectsSchema,
+    routingRules: migrateRoutingRulesSchema,
+    projectKeyTransform: migrateProjectKeyTransformSchema
   },
   additionalProperties: false
 };
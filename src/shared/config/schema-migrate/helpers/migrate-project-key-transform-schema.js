@@ -0,0 +1,32 @@
+// -------- Migrate Project Key Transform Schema --------
+import { SC_KEY_PATTERN } from '../../../mapping/project-key-transform.js';
+
+export const migrateProjectKeyTransformSchema = {
+  type: 'object',
+  properties: {
+    mapping: {
+      type: 'object',
+      additionalProperties: { type: 'string', pattern: SC_KEY_PATTERN, maxLength: 400 },
+      description: 'Explicit SonarQube key -> SonarCloud key table. A mapped key skips all other rewrites'
+    },
+    replace: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['pattern'],
+        properties: {
+          pattern: { type: 'string', format: 'regex', description: 'Regular expression matched against the key' },
+          replacement: { type: 'string', default: '', description: 'Replacement string ($1, $2 ... refer to capture groups)' },
+          flags: { type: 'string', pattern: '^[gimsuy]*$', description: 'RegExp flags (default: g)' }
+        },
+        additionalProperties: false
+      },
+      description: 'Regex replacements applied in order'
+    },
+    lowercase: { type: 'boolean', default: false, description: 'Lowercase the key after the regex replacements' },
+    prefix: { type: 'string', description: 'Prepended to the key; {org} expands to the target organization key' },
+    suffix: { type: 'string', description: 'Appended to the key; {org} expands to the target organization key' }
+  },
+  additionalProperties: false,
+  description: 'Rewrite SonarQube project keys into SonarCloud project keys'
+};
@@ -0,0 +1,21 @@
+// -------- Migrate Project Selection Schema --------
+const stringList = (description) => ({ type: 'array', items: { type: 'string', minLength: 1 }, default: [], description });
+const regexList = (description) => ({ type: 'array', items: { type: 'string', format: 'regex' }, default: [], description });
+const dateOrDateTime = (description) => ({ type: 'string', anyOf: [{ format: 'date' }, { format: 'date-time' }], description });
+
+export const migrateProjectsSchema = {
+  type: 'object',
+  properties: {
+    include: stringList('Project keys or glob patterns (* and ?) to migrate. Empty means all projects'),
+    exclude: stringList('Project keys or glob patterns (* and ?) to skip'),
+    includeRegex: regexList('Regular expressions matched against project keys; a project must match one to be migrated'),
+    excludeRegex: regexList('Regular expressions matched against project keys; matching projects are skipped'),
+    tags: stringList('Only migrate projects carrying at least one of these SonarQube project tags'),
+    excludeTags: stringList('Skip projects carrying any of these SonarQube project tags'),
+    visibility: { type: 'string', enum: ['public', 'private'], description: 'Only migrate projects with this visibility' },
+    analyzedAfter: dateOrDateTime('Only migrate projects last analysed on or after this date (ISO 8601)'),
+    analyzedBefore: dateOrDateTime('Only migrate projects last analysed before this date (ISO 8601)')
+  },
+  additionalProperties: false,
+  description: 'Declarative project selection, evaluated before extraction'
+};
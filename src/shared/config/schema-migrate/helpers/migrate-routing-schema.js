@@ -0,0 +1,33 @@
+// -------- Migrate Routing Rules Schema --------
+const stringList = (description) => ({ type: 'array', items: { type: 'string', minLength: 1 }, description });
+
+export const migrateRoutingRuleSchema = {
+  type: 'object',
+  required: ['organization'],
+  properties: {
+    name: { type: 'string', minLength: 1, description: 'Label shown in logs and in the Routing Rule column of projects.csv' },
+    organization: { type: 'string', minLength: 1, description: 'Target SonarCloud organization key (must be listed in sonarcloud.organizations)' },
+    match: {
+      type: 'object',
+      properties: {
+        alm: stringList('DevOps platforms of the project binding (github, gitlab, azure, bitbucket, bitbucketcloud)'),
+        repository: stringList('Bound repository names or glob patterns (* and ?)'),
+        slug: stringList('Bound repository slugs or glob patterns (* and ?)'),
+        projects: stringList('Project keys or glob patterns (* and ?)'),
+        projectRegex: { type: 'array', items: { type: 'string', format: 'regex' }, description: 'Regular expressions matched against project keys' },
+        tags: stringList('SonarQube project tags; a project matches if it carries any of them'),
+        portfolios: stringList('Portfolio keys; a project matches if it is a direct member of any of them')
+      },
+      additionalProperties: false,
+      description: 'All criteria present must match. Omit to make this the catch-all rule'
+    }
+  },
+  additionalProperties: false
+};
+
+export const migrateRoutingRulesSchema = {
+  type: 'array',
+  minItems: 1,
+  items: migrateRoutingRuleSchema,
+  description: 'Ordered project-to-organization routing rules; the first matching rule wins and the last rule must be a catch-all'
+};
@@ -5,7 +5,10 @@ export const migrateSonarcloudSchema = {
   properties: {
     enterprise: {
       type: 'object',
-      properties: { key: { type: 'string', minLength: 1, description: 'SonarCloud enterprise key (required for portfolio migration)' } },
+      properties: {
+        key: { type: 'string', minLength: 1, description: 'SonarCloud enterprise key (required for portfolio migration)' },
+        subPortfolios: { type: 'string', enum: ['flatten', 'separate'], default: 'flatten', description: 'Sub-portfolio handling: flatten into the top-level portfolio, or also create each sub-portfolio as its own portfolio' }
+      },
       required: ['key'], additionalProperties: false,
       description: 'SonarCloud enterprise configuration (for portfolio migration)'
     },
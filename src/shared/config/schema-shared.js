@@ -1,2 +1,2 @@
 // -------- Re-export Shim --------
-export { performanceSchema, rateLimitSchema } from './schema-shared/index.js';
+export { performanceSchema, rateLimitSchema, pullRequestsSchema, historySchema } from './schema-shared/index.js';
@@ -0,0 +1,15 @@
+// -------- History Replay Schema --------
+export const historySchema = {
+  type: 'object', default: {},
+  description: 'Replay past analyses of the main branch before the current snapshot to keep activity and measure history',
+  properties: {
+    enabled: { type: 'boolean', default: false, description: 'Upload backdated analyses rebuilt from /api/project_analyses/search and /api/measures/search_history' },
+    maxAnalyses: { type: 'integer', minimum: 1, maximum: 100, default: 10, description: 'Number of most recent past analyses to replay' },
+    metrics: {
+      type: 'array', items: { type: 'string' },
+      default: ['ncloc', 'coverage', 'duplicated_lines_density', 'bugs', 'vulnerabilities', 'code_smells', 'security_hotspots', 'sqale_index', 'reliability_rating', 'security_rating', 'sqale_rating'],
+      description: 'Project measures to carry on each replayed analysis'
+    }
+  },
+  additionalProperties: false
+};
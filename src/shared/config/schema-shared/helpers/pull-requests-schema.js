@@ -0,0 +1,15 @@
+// -------- Pull Requests Schema --------
+export const pullRequestsSchema = {
+  type: 'object', default: {},
+  description: 'Migrate open pull request analyses after the branches of each project',
+  properties: {
+    enabled: { type: 'boolean', default: false, description: 'Transfer pull request analyses (issues and quality gate decoration)' },
+    maxAgeDays: { type: 'integer', minimum: 0, default: 30, description: 'Skip pull requests last analyzed more than this many days ago (0 = no limit)' },
+    qualityGateStatuses: {
+      type: 'array', items: { type: 'string', enum: ['OK', 'WARN', 'ERROR', 'NONE'] }, default: [],
+      description: 'Only transfer pull requests whose quality gate is in one of these states (empty = any)'
+    },
+    exclude: { type: 'array', items: { type: 'string' }, default: [], description: 'Pull request keys to skip' }
+  },
+  additionalProperties: false
+};
@@ -1,3 +1,5 @@
 // -------- Shared Schema Definitions --------
 export { performanceSchema } from './helpers/performance-schema.js';
 export { rateLimitSchema } from './helpers/rate-limit-schema.js';
+export { pullRequestsSchema } from './helpers/pull-requests-schema.js';
+export { historySchema } from './helpers/history-schema.js';
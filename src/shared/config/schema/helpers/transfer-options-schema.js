@@ -1,4 +1,6 @@
 // -------- Transfer Options Schema --------
+import { pullRequestsSchema, historySchema } from '../../schema-shared.js';
+
 export const transferOptionsSchema = {
   type: 'object',
   properties: {
@@ -7,6 +9,9 @@ export const transferOptionsSchema = {
     batchSize: { type: 'integer', minimum: 1, maximum: 500, default: 100, description: 'Number of items to process in each batch' },
     syncAllBranches: { type: 'boolean', default: true, description: 'Sync all branches of every project (default: true).' },
     excludeBranches: { type: 'array', items: { type: 'string' }, default: [], description: 'Branch names to exclude from sync when syncAllBranches is true' },
+    pullRequests: pullRequestsSchema,
+    history: historySchema,
+    reportValidation: { type: 'string', enum: ['strict', 'lenient', 'off'], default: 'lenient', description: 'Structural validation of scanner reports before upload: strict aborts, lenient repairs or drops offending items, off skips it' },
     skipIssueMetadataSync: { type: 'boolean', default: false, description: 'Skip issue status/comment/tag/assignment sync after upload' },
     skipHotspotMetadataSync: { type: 'boolean', default: false, description: 'Skip hotspot status/comment sync after upload' },
     checkpoint: {
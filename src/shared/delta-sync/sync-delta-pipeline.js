@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./sync-delta-pipeline.js`
+
+export { syncDeltaAll } from './sync-delta-pipeline/index.js';
@@ -0,0 +1,8 @@
+// -------- Compute Summary --------
+
+/** Count projects per delta sync outcome. */
+export function computeSummary(results) {
+  const summary = { total: results.projects.length, synced: 0, skipped: 0, failed: 0 };
+  for (const project of results.projects) summary[project.status]++;
+  results.summary = summary;
+}
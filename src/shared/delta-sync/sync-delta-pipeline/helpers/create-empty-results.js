@@ -0,0 +1,11 @@
+// -------- Create Empty Results --------
+
+/** Create a fresh delta sync results object. */
+export function createEmptyResults() {
+  return {
+    startTime: null,
+    endTime: null,
+    projects: [],
+    summary: { total: 0, synced: 0, skipped: 0, failed: 0 },
+  };
+}
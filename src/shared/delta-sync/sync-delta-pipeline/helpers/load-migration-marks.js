@@ -0,0 +1,23 @@
+// -------- Load Migration Marks --------
+
+import { join } from 'node:path';
+import { MigrationJournal } from '../../../state/migration-journal.js';
+
+/**
+ * Read when `migrate` started each project it completed, from its journal. `migrate`
+ * runs transfers in full mode, which records no `lastSync`, so these start times are
+ * the first high-water marks: the issue and hotspot sync ran after them.
+ *
+ * @param {string} outputDir - Migration output directory
+ * @returns {Promise<Map<string, string>>} SQ project key to ISO timestamp
+ */
+export async function loadMigrationMarks(outputDir) {
+  const marks = new Map();
+  const journal = await new MigrationJournal(join(outputDir, 'state', 'migration.journal')).peek();
+  for (const org of Object.values(journal?.organizations || {})) {
+    for (const [projectKey, project] of Object.entries(org.projects || {})) {
+      if (project.status === 'completed' && project.startedAt) marks.set(projectKey, project.startedAt);
+    }
+  }
+  return marks;
+}
@@ -0,0 +1,23 @@
+// -------- Log Delta Summary --------
+
+import logger from '../../../utils/logger.js';
+
+/** Log per-project delta sync outcomes and totals. */
+export function logDeltaSummary(results) {
+  const { summary } = results;
+  logger.info('\n========================================');
+  logger.info('=== Delta Sync Summary ===');
+  logger.info('========================================');
+  for (const project of results.projects) {
+    if (project.status === 'failed') {
+      logger.error(`  ${project.sqProjectKey}: failed — ${project.error}`);
+    } else if (project.status === 'skipped') {
+      logger.info(`  ${project.sqProjectKey}: skipped — ${project.reason}`);
+    } else {
+      const issues = project.issues ? `${project.issues.matched} issues` : 'issues skipped';
+      const hotspots = project.hotspots ? `${project.hotspots.matched} hotspots` : 'hotspots skipped';
+      logger.info(`  ${project.sqProjectKey}: ${issues}, ${hotspots} re-synced since ${project.since}`);
+    }
+  }
+  logger.info(`Projects: ${summary.synced} synced, ${summary.skipped} skipped, ${summary.failed} failed (${summary.total} total)`);
+}
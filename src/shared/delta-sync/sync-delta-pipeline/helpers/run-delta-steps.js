@@ -0,0 +1,58 @@
+// -------- Run Delta Steps --------
+
+import { detectAndRoute } from '../../../../version-router.js';
+import { mapProjectsToOrganizations } from '../../../mapping/org-mapper.js';
+import { selectProjects } from '../../../mapping/project-filter.js';
+import { compileRoutingRules } from '../../../mapping/routing-rules.js';
+import { fetchProjectBindings } from '../../../verification/verify-pipeline/helpers/fetch-project-bindings.js';
+import { emitEvent } from '../../../utils/events.js';
+import logger from '../../../utils/logger.js';
+import { syncDeltaOrganization } from './sync-delta-organization.js';
+import { loadMigrationMarks } from './load-migration-marks.js';
+
+/**
+ * Route to the pipeline matching the SonarQube version, select the projects and
+ * map them to organizations the same way migrate does, then delta-sync each org.
+ */
+export async function runDeltaSteps(results, sonarqubeConfig, sonarcloudOrgs, ctx) {
+  const { pipelineId } = await detectAndRoute(sonarqubeConfig);
+  logger.info(`Using pipeline: ${pipelineId}`);
+  const pipeline = await loadPipelineModules(pipelineId);
+
+  const sqClient = new pipeline.SonarQubeClient({ url: sonarqubeConfig.url, token: sonarqubeConfig.token, rateLimit: ctx.rateLimitConfig });
+  await sqClient.testConnection();
+
+  const allProjects = await selectProjects(sqClient, await sqClient.listAllProjects(), ctx.projectFilters);
+  const projectBindings = await fetchProjectBindings(sqClient, allProjects);
+  let portfolios = [];
+  if (ctx.routingRules?.some(r => r.match?.portfolios?.length)) {
+    const { extractPortfolios } = await import(`../../../../pipelines/${pipelineId}/sonarqube/extractors/portfolios.js`);
+    portfolios = await extractPortfolios(sqClient);
+  }
+  const compiledRules = await compileRoutingRules(sqClient, ctx.routingRules, sonarcloudOrgs, portfolios);
+  const orgMapping = mapProjectsToOrganizations(allProjects, projectBindings, sonarcloudOrgs, compiledRules);
+  emitEvent('counts', { organizations: orgMapping.orgAssignments.length, total: orgMapping.orgAssignments.reduce((sum, a) => sum + a.projects.length, 0) });
+
+  const migrationMarks = await loadMigrationMarks(ctx.outputDir);
+  for (const assignment of orgMapping.orgAssignments) {
+    await syncDeltaOrganization({ ...ctx, assignment, results, sonarqubeConfig, pipeline, migrationMarks });
+  }
+}
+
+async function loadPipelineModules(pipelineId) {
+  const base = `../../../../pipelines/${pipelineId}`;
+  const [sqApi, scApi, issueSync, hotspotSync, hotspots] = await Promise.all([
+    import(`${base}/sonarqube/api-client.js`),
+    import(`${base}/sonarcloud/api-client.js`),
+    import(`${base}/sonarcloud/migrators/issue-sync.js`),
+    import(`${base}/sonarcloud/migrators/hotspot-sync.js`),
+    import(`${base}/sonarqube/extractors/hotspots.js`),
+  ]);
+  return {
+    SonarQubeClient: sqApi.SonarQubeClient,
+    SonarCloudClient: scApi.SonarCloudClient,
+    syncIssues: issueSync.syncIssues,
+    syncHotspots: hotspotSync.syncHotspots,
+    extractHotspots: hotspots.extractHotspots,
+  };
+}
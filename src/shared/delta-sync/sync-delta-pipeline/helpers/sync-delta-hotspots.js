@@ -0,0 +1,26 @@
+// -------- Sync Delta Hotspots --------
+
+import logger from '../../../utils/logger.js';
+import { hasChangesSince } from '../../../utils/issue-sync/has-changes-since.js';
+
+/**
+ * Re-sync the project's hotspots changed since `ctx.since`. Hotspots whose details could
+ * not be fetched carry no changelog and are kept, since nothing rules them out.
+ */
+export async function syncDeltaHotspots(ctx) {
+  const { project, pipeline, perfConfig, since, scProjectKey, projectSqClient, projectScClient } = ctx;
+  logger.info(`[${project.key}] Syncing changed hotspot metadata...`);
+  const updated = await pipeline.extractHotspots(projectSqClient, null, { concurrency: perfConfig.hotspotExtraction.concurrency, updatedAfter: since });
+  const sqHotspots = updated.filter(h => !h.changelog || hasChangesSince(h, h.changelog, since));
+  if (sqHotspots.length === 0) {
+    logger.info(`[${project.key}] No hotspots changed since ${since}`);
+    return { matched: 0, statusChanged: 0, assigned: 0, commented: 0 };
+  }
+
+  const stats = await pipeline.syncHotspots(scProjectKey, sqHotspots, projectScClient, {
+    concurrency: perfConfig.hotspotSync.concurrency, sonarqubeUrl: projectSqClient.baseURL, sonarqubeProjectKey: projectSqClient.projectKey,
+    sqClient: projectSqClient, userMappings: ctx.userMappings, ruleKeys: ctx.ruleKeys,
+  });
+  logger.info(`[${project.key}] Hotspot delta: ${stats.matched} matched, ${stats.statusChanged} status changed, ${stats.assigned} assigned`);
+  return stats;
+}
@@ -0,0 +1,15 @@
+// -------- Sync Delta Issues --------
+
+import logger from '../../../utils/logger.js';
+
+/** Re-sync the project's issues changed since `ctx.since`. */
+export async function syncDeltaIssues(ctx) {
+  const { project, pipeline, perfConfig, since, scProjectKey, projectSqClient, projectScClient } = ctx;
+  logger.info(`[${project.key}] Syncing changed issue metadata...`);
+  const sqIssues = await projectSqClient.getIssuesWithComments();
+  const stats = await pipeline.syncIssues(scProjectKey, sqIssues, projectScClient, {
+    concurrency: perfConfig.issueSync.concurrency, sqClient: projectSqClient, userMappings: ctx.userMappings, ruleKeys: ctx.ruleKeys, changedSince: since,
+  });
+  logger.info(`[${project.key}] Issue delta: ${stats.matched} matched, ${stats.transitioned} transitioned, ${stats.assigned} assigned, ${stats.commented} comments added`);
+  return stats;
+}
@@ -0,0 +1,38 @@
+// -------- Sync Delta Organization --------
+
+import logger from '../../../utils/logger.js';
+import { loadRuleKeyTranslator } from '../../../utils/rule-keys.js';
+import { emitEvent } from '../../../utils/events.js';
+import { syncDeltaProject } from './sync-delta-project.js';
+
+/** Delta-sync every project assigned to one organization, one project at a time. */
+export async function syncDeltaOrganization(ctx) {
+  const { assignment, results, sonarqubeConfig, rateLimitConfig, pipeline } = ctx;
+  const { org, projects } = assignment;
+  if (projects.length === 0) return;
+
+  logger.info('\n========================================');
+  logger.info(`=== Delta sync for organization: ${org.key} (${projects.length} projects) ===`);
+  logger.info('========================================');
+  emitEvent('phase.start', { phase: 'organization', organization: org.key, projects: projects.length });
+
+  const scClient = new pipeline.SonarCloudClient({
+    url: org.url || 'https://sonarcloud.io', token: org.token, organization: org.key, rateLimit: rateLimitConfig,
+  });
+  try { await scClient.testConnection(); } catch (error) {
+    logger.error(`Failed to connect to SC org ${org.key}: ${error.message}`);
+    for (const project of projects) {
+      results.projects.push({ sqProjectKey: project.key, organization: org.key, status: 'failed', error: error.message });
+    }
+    emitEvent('phase.end', { phase: 'organization', organization: org.key, status: 'failed', error: error.message });
+    return;
+  }
+
+  const sqClient = new pipeline.SonarQubeClient({ url: sonarqubeConfig.url, token: sonarqubeConfig.token, rateLimit: rateLimitConfig });
+  const ruleKeys = await loadRuleKeyTranslator(sqClient, scClient);
+
+  for (const [idx, project] of projects.entries()) {
+    results.projects.push(await syncDeltaProject({ ...ctx, org, project, idx, total: projects.length, scClient, ruleKeys }));
+  }
+  emitEvent('phase.end', { phase: 'organization', organization: org.key, status: 'completed' });
+}
@@ -0,0 +1,76 @@
+// -------- Sync Delta Project --------
+
+import { join } from 'node:path';
+import logger from '../../../utils/logger.js';
+import { createStateTracker } from '../../../state/tracker.js';
+import { transformProjectKey } from '../../../mapping/project-key-transform.js';
+import { emitEvent } from '../../../utils/events.js';
+import { syncDeltaIssues } from './sync-delta-issues.js';
+import { syncDeltaHotspots } from './sync-delta-hotspots.js';
+
+/**
+ * Re-sync the issues and hotspots of one project that changed since its high-water mark.
+ * The new mark is taken before anything is fetched, so changes made while the sync runs
+ * are picked up by the next one. A failed sync leaves the mark where it was.
+ */
+export async function syncDeltaProject(ctx) {
+  const { org, project, idx, total, scClient, sonarqubeConfig, rateLimitConfig, pipeline, outputDir } = ctx;
+  logger.info(`\n--- Project ${idx + 1}/${total}: ${project.key} ---`);
+  emitEvent('project.start', { organization: org.key, project: project.key, index: idx + 1, total });
+
+  const result = { sqProjectKey: project.key, scProjectKey: null, organization: org.key, status: 'synced', since: null, highWaterMark: null, issues: null, hotspots: null };
+  const tracker = createStateTracker(join(outputDir, 'state', `.state.${project.key}.json`));
+
+  try {
+    await tracker.initialize({ acquireLock: true, forceUnlock: ctx.forceUnlock });
+    result.since = ctx.since || tracker.getSyncHighWaterMark() || ctx.migrationMarks?.get(project.key) || null;
+    if (!result.since) {
+      logger.warn(`[${project.key}] No recorded sync — run migrate first or pass --since`);
+      return finish(org, project, result, 'skipped', 'No recorded sync');
+    }
+
+    result.scProjectKey = await resolveScProjectKey(scClient, project.key, ctx.projectKeyTransform, org.key);
+    if (!(await scClient.projectExists(result.scProjectKey))) {
+      logger.warn(`[${project.key}] Project ${result.scProjectKey} not found in SonarCloud — skipping`);
+      return finish(org, project, result, 'skipped', 'Not found in SonarCloud');
+    }
+
+    const highWaterMark = new Date().toISOString();
+    logger.info(`[${project.key}] Syncing changes since ${result.since}`);
+    const projectSqClient = new pipeline.SonarQubeClient({ url: sonarqubeConfig.url, token: sonarqubeConfig.token, projectKey: project.key, rateLimit: rateLimitConfig });
+    const projectScClient = new pipeline.SonarCloudClient({
+      url: org.url || 'https://sonarcloud.io', token: org.token, organization: org.key, projectKey: result.scProjectKey, rateLimit: rateLimitConfig,
+    });
+
+    const syncCtx = { ...ctx, since: result.since, scProjectKey: result.scProjectKey, projectSqClient, projectScClient };
+    if (!ctx.skipIssueSync) result.issues = await syncDeltaIssues(syncCtx);
+    if (!ctx.skipHotspotSync) result.hotspots = await syncDeltaHotspots(syncCtx);
+
+    await tracker.recordDeltaSync(highWaterMark, { issues: result.issues, hotspots: result.hotspots });
+    result.highWaterMark = highWaterMark;
+    return finish(org, project, result, 'synced');
+  } catch (error) {
+    logger.error(`[${project.key}] Delta sync failed: ${error.message}`);
+    return finish(org, project, result, 'failed', error.message);
+  } finally {
+    await tracker.releaseLock();
+  }
+}
+
+async function resolveScProjectKey(scClient, projectKey, projectKeyTransform, orgKey) {
+  const baseKey = transformProjectKey(projectKey, projectKeyTransform, orgKey);
+  const globalCheck = await scClient.isProjectKeyTakenGlobally(baseKey);
+  return globalCheck.taken && globalCheck.owner !== orgKey ? `${orgKey}_${baseKey}` : baseKey;
+}
+
+function finish(org, project, result, status, reason = null) {
+  result.status = status;
+  if (status === 'failed') {
+    result.error = reason;
+    emitEvent('project.fail', { organization: org.key, project: project.key, error: reason });
+  } else {
+    if (reason) result.reason = reason;
+    emitEvent('project.complete', { organization: org.key, project: project.key, scProject: result.scProjectKey, status });
+  }
+  return result;
+}
@@ -0,0 +1,44 @@
+// -------- Delta Sync Pipeline --------
+
+import { mkdir } from 'node:fs/promises';
+import { join } from 'node:path';
+import { resolvePerformanceConfig } from '../../utils/concurrency.js';
+import { emitEvent } from '../../utils/events.js';
+import { createEmptyResults } from './helpers/create-empty-results.js';
+import { runDeltaSteps } from './helpers/run-delta-steps.js';
+import { computeSummary } from './helpers/compute-summary.js';
+import { logDeltaSummary } from './helpers/log-delta-summary.js';
+
+/**
+ * Re-sync the issues and hotspots changed in SonarQube since each project's last
+ * recorded sync. Meant for the parallel-run period of a cut-over, when teams still
+ * triage in SonarQube after the first migration. Each project's high-water mark is
+ * read from and written to its transfer state file under `<outputDir>/state/`.
+ */
+export async function syncDeltaAll(options) {
+  const {
+    sonarqubeConfig, sonarcloudOrgs, rateLimitConfig, performanceConfig: rawPerfConfig = {},
+    outputDir = './migration-output', since = null, forceUnlock = false,
+    skipIssueSync = false, skipHotspotSync = false,
+    projectFilters = null, routingRules = null, projectKeyTransform = null, userMappings = null,
+  } = options;
+
+  const perfConfig = resolvePerformanceConfig(rawPerfConfig);
+  const results = createEmptyResults();
+  results.startTime = new Date().toISOString();
+  await mkdir(join(outputDir, 'state'), { recursive: true });
+
+  try {
+    await runDeltaSteps(results, sonarqubeConfig, sonarcloudOrgs, {
+      rateLimitConfig, perfConfig, outputDir, since, forceUnlock, skipIssueSync, skipHotspotSync,
+      projectFilters, routingRules, projectKeyTransform, userMappings,
+    });
+  } finally {
+    results.endTime = new Date().toISOString();
+    computeSummary(results);
+    emitEvent('summary', { projects: results.summary });
+    logDeltaSummary(results);
+  }
+
+  return results;
+}
@@ -1,7 +1,7 @@
 // -------- Build Project CSV Row(s) --------
 import { toCsvRow } from '../../csv-tables.js';
 
-export function buildProjectRow(project, assignment, binding, meta, branches) {
+export function buildProjectRow(project, assignment, binding, meta, branches, { routedBy = '', scKey = project.key } = {}) {
   const rows = [];
   const base = [
     meta.name || project.name || project.key,
@@ -10,7 +10,9 @@ export function buildProjectRow(project, assignment, binding, meta, branches) {
     binding?.repository || '',
     binding?.monorepo || false,
     meta.visibility || 'public',
-    meta.lastAnalysisDate || ''
+    meta.lastAnalysisDate || '',
+    routedBy,
+    scKey
   ];
 
   if (branches.length > 0) {
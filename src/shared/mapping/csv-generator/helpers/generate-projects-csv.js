@@ -3,17 +3,18 @@ import { toCsvRow } from '../../csv-tables.js';
 import { buildProjectRow } from './build-project-row.js';
 
 export function generateProjectsCsv(data) {
-  const { orgAssignments, projectBindings, projectMetadata, projectBranches } = data;
+  const { orgAssignments, projectBindings, projectMetadata, projectBranches, projectRouting, plannedProjectKeys } = data;
   const rows = [toCsvRow([
     'Include', 'Project Key', 'Project Name', 'Branch', 'Target Organization', 'ALM Platform',
-    'Repository', 'Monorepo', 'Visibility', 'Last Analysis'
+    'Repository', 'Monorepo', 'Visibility', 'Last Analysis', 'Routing Rule', 'SonarCloud Key'
   ])];
   for (const assignment of orgAssignments) {
     for (const project of assignment.projects) {
       const binding = projectBindings?.get(project.key);
       const meta = projectMetadata?.get(project.key) || project;
       const branches = projectBranches?.get(project.key) || [];
-      const projRows = buildProjectRow(project, assignment, binding, meta, branches);
+      const target = { routedBy: projectRouting?.get(project.key) || '', scKey: plannedProjectKeys?.get(project.key) || project.key };
+      const projRows = buildProjectRow(project, assignment, binding, meta, branches, target);
       rows.push(...projRows);
     }
   }
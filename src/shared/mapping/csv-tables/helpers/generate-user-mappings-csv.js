@@ -2,14 +2,30 @@
 import { toCsvRow } from './csv-utils.js';
 
 export function generateUserMappingsCsv(data) {
-  const { assigneeCounts, assigneeDetails } = data;
-  const rows = [toCsvRow(['Include', 'SonarQube Login', 'SonarCloud Login', 'Display Name', 'Email', 'Issue Count'])];
+  const { assigneeCounts, assigneeDetails, extractedData } = data;
+  const rows = [toCsvRow(['Include', 'SonarQube Login', 'SonarCloud Login', 'Display Name', 'Email', 'Issue Count', 'Groups'])];
+  const groupsByLogin = collectGroupsByLogin(extractedData?.groups);
+  const pushRow = (login, count) => {
+    const details = assigneeDetails?.get(login) || { name: '', email: '' };
+    rows.push(toCsvRow(['yes', login, '', details.name, details.email, count, (groupsByLogin.get(login) || []).join(';')]));
+  };
   if (assigneeCounts) {
     const sorted = [...assigneeCounts.entries()].sort((a, b) => b[1] - a[1]);
-    for (const [login, count] of sorted) {
-      const details = assigneeDetails?.get(login) || { name: '', email: '' };
-      rows.push(toCsvRow(['yes', login, '', details.name, details.email, count]));
-    }
+    for (const [login, count] of sorted) pushRow(login, count);
   }
+  // Group members that are not issue assignees still need a mapping for group membership migration
+  const groupOnly = [...groupsByLogin.keys()].filter(login => !assigneeCounts?.has(login)).sort();
+  for (const login of groupOnly) pushRow(login, 0);
   return rows.join('\n') + '\n';
 }
+
+function collectGroupsByLogin(groups) {
+  const byLogin = new Map();
+  for (const group of groups || []) {
+    for (const login of group.members || []) {
+      if (!byLogin.has(login)) byLogin.set(login, []);
+      byLogin.get(login).push(group.name);
+    }
+  }
+  return byLogin;
+}
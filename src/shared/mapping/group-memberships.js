@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { planGroupMemberships } from './group-memberships/index.js';
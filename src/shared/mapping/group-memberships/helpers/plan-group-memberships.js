@@ -0,0 +1,42 @@
+// -------- Plan Group Memberships --------
+
+/**
+ * Resolve the SonarQube members of each group to SonarCloud logins.
+ *
+ * Logins are translated through user-mappings.csv; users without a mapping
+ * keep their SonarQube login. A user can only be added to a SonarCloud group
+ * once they are a member of the organization, so when the organization's
+ * member list is known, logins outside it are reported instead of added:
+ * `unmapped` when no mapping exists, `not-member` when the mapped login has
+ * not joined the organization.
+ *
+ * @param {Array}  groups         - Extracted groups ({ name, members: string[] })
+ * @param {Map|null} userMappings - Output of applyUserMappingsCsv()
+ * @param {Set<string>|null} orgMembers - SonarCloud logins in the organization, or null if unknown
+ * @returns {{additions: Array<{group: string, sqLogin: string, scLogin: string}>, warnings: Array<{group: string, sqLogin: string, scLogin: string|null, reason: string}>, excluded: number}}
+ */
+export function planGroupMemberships(groups, userMappings, orgMembers) {
+  const additions = [];
+  const warnings = [];
+  let excluded = 0;
+
+  for (const group of groups) {
+    for (const sqLogin of group.members || []) {
+      const mapping = userMappings?.get(sqLogin);
+      if (mapping && !mapping.include) {
+        excluded++;
+        continue;
+      }
+      const scLogin = mapping?.scLogin || sqLogin;
+      if (orgMembers && !orgMembers.has(scLogin)) {
+        warnings.push(mapping?.scLogin
+          ? { group: group.name, sqLogin, scLogin, reason: 'not-member' }
+          : { group: group.name, sqLogin, scLogin: null, reason: 'unmapped' });
+        continue;
+      }
+      additions.push({ group: group.name, sqLogin, scLogin });
+    }
+  }
+
+  return { additions, warnings, excluded };
+}
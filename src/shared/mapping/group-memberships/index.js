@@ -0,0 +1,2 @@
+// -------- Group Memberships --------
+export { planGroupMemberships } from './helpers/plan-group-memberships.js';
@@ -1,5 +1,6 @@
 // -------- Assign Binding Groups to Orgs --------
-export function assignBindingGroupsToOrgs(bindingGroups, targetOrgs, orgAssignments) {
+// Legacy routing used when no `migrate.routingRules` are configured.
+export function assignBindingGroupsToOrgs(bindingGroups, targetOrgs, orgAssignments, projectRouting = new Map()) {
   for (const [groupKey, group] of bindingGroups) {
     const matchingOrg = targetOrgs.find(org =>
       groupKey.toLowerCase().includes(org.key.toLowerCase())
@@ -8,6 +9,8 @@ export function assignBindingGroupsToOrgs(bindingGroups, targetOrgs, orgAssignme
     if (targetOrg) {
       orgAssignments.get(targetOrg.key).projects.push(...group.projects);
       orgAssignments.get(targetOrg.key).bindingGroups.push(group);
+      const reason = matchingOrg ? `(binding ${groupKey} contains org key)` : '(no org key in binding, first organization)';
+      for (const p of group.projects) projectRouting.set(p.key, reason);
     }
   }
 }
@@ -1,16 +1,17 @@
 // -------- Build Multi-Org Assignments --------
 import { assignBindingGroupsToOrgs } from './assign-binding-groups-to-orgs.js';
 
-export function buildMultiOrgAssignments(targetOrgs, bindingGroups, unboundProjects) {
+export function buildMultiOrgAssignments(targetOrgs, bindingGroups, unboundProjects, projectRouting = new Map()) {
   const orgAssignments = new Map();
   for (const org of targetOrgs) {
     orgAssignments.set(org.key, { org, projects: [], bindingGroups: [] });
   }
 
-  assignBindingGroupsToOrgs(bindingGroups, targetOrgs, orgAssignments);
+  assignBindingGroupsToOrgs(bindingGroups, targetOrgs, orgAssignments, projectRouting);
 
   if (unboundProjects.length > 0 && targetOrgs.length > 0) {
     orgAssignments.get(targetOrgs[0].key).projects.push(...unboundProjects);
+    for (const p of unboundProjects) projectRouting.set(p.key, '(no binding, first organization)');
   }
 
   return orgAssignments;
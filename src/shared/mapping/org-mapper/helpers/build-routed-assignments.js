@@ -0,0 +1,34 @@
+// -------- Build Rule-Routed Assignments --------
+import logger from '../../../utils/logger.js';
+import { routeProject } from '../../routing-rules.js';
+
+export function buildRoutedAssignments(routingRules, targetOrgs, projects, bindings, bindingGroups, projectRouting) {
+  const orgAssignments = new Map();
+  for (const org of targetOrgs) {
+    orgAssignments.set(org.key, { org, projects: [], bindingGroups: [] });
+  }
+
+  const orgByProject = new Map();
+  const ruleCounts = new Map();
+  for (const project of projects) {
+    const rule = routeProject(routingRules, project, bindings.get(project.key));
+    if (!rule) continue;
+    orgAssignments.get(rule.organization).projects.push(project);
+    orgByProject.set(project.key, rule.organization);
+    projectRouting.set(project.key, rule.label);
+    ruleCounts.set(rule.label, (ruleCounts.get(rule.label) || 0) + 1);
+  }
+
+  // A binding group can be split across orgs by rules; each org keeps the slice routed to it
+  for (const group of bindingGroups.values()) {
+    for (const [orgKey, assignment] of orgAssignments) {
+      const routed = group.projects.filter(p => orgByProject.get(p.key) === orgKey);
+      if (routed.length > 0) assignment.bindingGroups.push({ ...group, projects: routed });
+    }
+  }
+
+  for (const rule of routingRules) {
+    logger.info(`Routing rule "${rule.label}" -> ${rule.organization}: ${ruleCounts.get(rule.label) || 0} project(s)`);
+  }
+  return orgAssignments;
+}
@@ -3,18 +3,27 @@ import logger from '../../../utils/logger.js';
 import { groupProjectsByBinding } from './group-projects-by-binding.js';
 import { buildSingleOrgAssignments } from './build-single-org-assignments.js';
 import { buildMultiOrgAssignments } from './build-multi-org-assignments.js';
+import { buildRoutedAssignments } from './build-routed-assignments.js';
 
-export function mapProjectsToOrganizations(projects, bindings, targetOrgs) {
+export function mapProjectsToOrganizations(projects, bindings, targetOrgs, routingRules = null) {
   const { bindingGroups, unboundProjects } = groupProjectsByBinding(projects, bindings);
   logger.info(`Project grouping: ${bindingGroups.size} binding groups, ${unboundProjects.length} unbound projects`);
 
-  const orgAssignments = (targetOrgs.length === 1)
-    ? buildSingleOrgAssignments(targetOrgs[0], projects, bindingGroups)
-    : buildMultiOrgAssignments(targetOrgs, bindingGroups, unboundProjects);
+  const projectRouting = new Map();
+  let orgAssignments;
+  if (routingRules) {
+    orgAssignments = buildRoutedAssignments(routingRules, targetOrgs, projects, bindings, bindingGroups, projectRouting);
+  } else if (targetOrgs.length === 1) {
+    orgAssignments = buildSingleOrgAssignments(targetOrgs[0], projects, bindingGroups);
+    for (const p of projects) projectRouting.set(p.key, '(single organization)');
+  } else {
+    orgAssignments = buildMultiOrgAssignments(targetOrgs, bindingGroups, unboundProjects, projectRouting);
+  }
 
   return {
     bindingGroups: [...bindingGroups.values()],
     unboundProjects,
-    orgAssignments: [...orgAssignments.values()]
+    orgAssignments: [...orgAssignments.values()],
+    projectRouting
   };
 }
@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { selectProjects, compileKeyMatcher, compileProjectFilters, matchesProjectFilters, hasProjectFilters, sameProjectFilters, fetchTaggedProjectKeys } from './project-filter/index.js';
@@ -0,0 +1,26 @@
+// -------- Compile Project Key Matcher --------
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Compile key/glob and regex lists into a single predicate.
+ * Entries containing `*` or `?` are treated as globs, anything else as an exact key.
+ *
+ * @param {string[]} [keysOrGlobs] - Exact project keys or glob patterns
+ * @param {string[]} [regexes]     - Regular expressions (unanchored, as written)
+ * @returns {((key: string) => boolean)|null} null when both lists are empty
+ */
+export function compileKeyMatcher(keysOrGlobs = [], regexes = []) {
+  if (keysOrGlobs.length === 0 && regexes.length === 0) return null;
+
+  const exactKeys = new Set(keysOrGlobs.filter(k => !/[*?]/.test(k)));
+  const patterns = [
+    ...keysOrGlobs.filter(k => /[*?]/.test(k)).map(globToRegExp),
+    ...regexes.map(r => new RegExp(r)),
+  ];
+
+  return (key) => exactKeys.has(key) || patterns.some(re => re.test(key));
+}
@@ -0,0 +1,23 @@
+// -------- Compile Project Filters --------
+import { compileKeyMatcher } from './compile-key-matcher.js';
+import { fetchTaggedProjectKeys } from './fetch-tagged-project-keys.js';
+
+/**
+ * Turn the `migrate.projects` config block into ready-to-evaluate matchers.
+ * Tag lists are resolved against SonarQube here, once, so per-project
+ * evaluation stays synchronous.
+ */
+export async function compileProjectFilters(sqClient, filters) {
+  const tags = filters.tags || [];
+  const excludeTags = filters.excludeTags || [];
+
+  return {
+    includeMatcher: compileKeyMatcher(filters.include, filters.includeRegex),
+    excludeMatcher: compileKeyMatcher(filters.exclude, filters.excludeRegex),
+    includeTagged: tags.length > 0 ? await fetchTaggedProjectKeys(sqClient, tags) : null,
+    excludeTagged: excludeTags.length > 0 ? await fetchTaggedProjectKeys(sqClient, excludeTags) : null,
+    visibility: filters.visibility || null,
+    analyzedAfter: filters.analyzedAfter || null,
+    analyzedBefore: filters.analyzedBefore || null,
+  };
+}
@@ -0,0 +1,23 @@
+// -------- Fetch Tagged Project Keys --------
+import logger from '../../../utils/logger.js';
+
+/**
+ * Resolve which projects carry at least one of the given tags.
+ * Uses `/api/components/search_projects` so a single paginated query
+ * covers the whole server instead of one call per project.
+ *
+ * @param {object}   sqClient - SonarQube API client (must have getPaginated)
+ * @param {string[]} tags     - Project tags to look up
+ * @returns {Promise<Set<string>>} Keys of projects tagged with any of `tags`
+ */
+export async function fetchTaggedProjectKeys(sqClient, tags) {
+  if (!tags || tags.length === 0) return new Set();
+
+  logger.info(`Resolving projects tagged with: ${tags.join(', ')}`);
+  const components = await sqClient.getPaginated(
+    '/api/components/search_projects',
+    { filter: `tags IN (${tags.join(', ')})` },
+    'components',
+  );
+  return new Set(components.map(c => c.key));
+}
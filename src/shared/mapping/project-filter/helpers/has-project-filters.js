@@ -0,0 +1,16 @@
+// -------- Has Project Filters --------
+
+const FILTER_KEYS = ['include', 'exclude', 'includeRegex', 'excludeRegex', 'tags', 'excludeTags', 'visibility', 'analyzedAfter', 'analyzedBefore'];
+
+const isSet = (value) => Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+export function hasProjectFilters(filters) {
+  if (!filters) return false;
+  return FILTER_KEYS.some(k => isSet(filters[k]));
+}
+
+// Cached server-wide data is only reusable when it was produced with the same selection.
+export function sameProjectFilters(a, b) {
+  const normalize = (f) => JSON.stringify(FILTER_KEYS.filter(k => isSet(f?.[k])).map(k => [k, f[k]]));
+  return normalize(a) === normalize(b);
+}
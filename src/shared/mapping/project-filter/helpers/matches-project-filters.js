@@ -0,0 +1,29 @@
+// -------- Match Project Against Filters --------
+
+function isWithinDateWindow(lastAnalysisDate, analyzedAfter, analyzedBefore) {
+  if (!analyzedAfter && !analyzedBefore) return true;
+  // Never-analysed projects have no date to compare and never match a date window
+  const analysed = lastAnalysisDate ? Date.parse(lastAnalysisDate) : Number.NaN;
+  if (Number.isNaN(analysed)) return false;
+  if (analyzedAfter && analysed < Date.parse(analyzedAfter)) return false;
+  if (analyzedBefore && analysed >= Date.parse(analyzedBefore)) return false;
+  return true;
+}
+
+/**
+ * Decide whether a single project passes the compiled project filters.
+ *
+ * @param {object} project  - Project from /api/projects/search (key, visibility, lastAnalysisDate)
+ * @param {object} compiled - Output of compileProjectFilters()
+ * @returns {boolean}
+ */
+export function matchesProjectFilters(project, compiled) {
+  const { includeMatcher, excludeMatcher, includeTagged, excludeTagged, visibility, analyzedAfter, analyzedBefore } = compiled;
+
+  if (includeMatcher && !includeMatcher(project.key)) return false;
+  if (excludeMatcher && excludeMatcher(project.key)) return false;
+  if (includeTagged && !includeTagged.has(project.key)) return false;
+  if (excludeTagged && excludeTagged.has(project.key)) return false;
+  if (visibility && project.visibility !== visibility) return false;
+  return isWithinDateWindow(project.lastAnalysisDate, analyzedAfter, analyzedBefore);
+}
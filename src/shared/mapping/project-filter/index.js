@@ -0,0 +1,29 @@
+// -------- Project Filter --------
+import logger from '../../utils/logger.js';
+import { compileProjectFilters } from './helpers/compile-project-filters.js';
+import { matchesProjectFilters } from './helpers/matches-project-filters.js';
+import { hasProjectFilters } from './helpers/has-project-filters.js';
+
+export { compileKeyMatcher } from './helpers/compile-key-matcher.js';
+export { compileProjectFilters, matchesProjectFilters, hasProjectFilters };
+export { sameProjectFilters } from './helpers/has-project-filters.js';
+export { fetchTaggedProjectKeys } from './helpers/fetch-tagged-project-keys.js';
+
+/**
+ * Apply the `migrate.projects` selection to the full SonarQube project list.
+ * Runs before any per-project extraction so excluded projects are never fetched.
+ *
+ * @param {object} sqClient - SonarQube API client
+ * @param {Array}  allProjects - Projects from listAllProjects()
+ * @param {object} [filters] - The `migrate.projects` config block
+ * @returns {Promise<Array>} The selected projects, in their original order
+ */
+export async function selectProjects(sqClient, allProjects, filters) {
+  if (!hasProjectFilters(filters)) return allProjects;
+
+  const compiled = await compileProjectFilters(sqClient, filters);
+  const selected = allProjects.filter(p => matchesProjectFilters(p, compiled));
+  logger.info(`Project filters selected ${selected.length}/${allProjects.length} projects`);
+  if (selected.length === 0) logger.warn('Project filters matched no projects — check migrate.projects in your config');
+  return selected;
+}
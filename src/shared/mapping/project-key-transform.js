@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { transformProjectKey, planProjectKeys, completePortfolioKeyMap, isValidSonarCloudKey, SC_KEY_PATTERN } from './project-key-transform/index.js';
@@ -0,0 +1,30 @@
+// -------- Complete Portfolio Key Map --------
+import logger from '../../../utils/logger.js';
+import { transformProjectKey } from './transform-project-key.js';
+
+/**
+ * Portfolios can reference projects that were not migrated in this run.
+ * Resolve those through the key transform as well so they are looked up
+ * under their rewritten SonarCloud key instead of the raw SonarQube key.
+ *
+ * @param {Array}  portfolios    - Extracted portfolios with their project lists
+ * @param {Map<string, string>} projectKeyMap - SonarQube key -> SonarCloud key for this run
+ * @param {object} [transform]   - The `migrate.projectKeyTransform` config block
+ * @returns {Map<string, string>} A copy of `projectKeyMap` covering every portfolio member
+ */
+export function completePortfolioKeyMap(portfolios, projectKeyMap, transform) {
+  if (!transform) return projectKeyMap;
+
+  const completed = new Map(projectKeyMap);
+  for (const portfolio of portfolios) {
+    for (const { key } of portfolio.projects || []) {
+      if (completed.has(key)) continue;
+      try {
+        completed.set(key, transformProjectKey(key, transform));
+      } catch (error) {
+        logger.warn(`Portfolio "${portfolio.name}": ${error.message} — using the original key`);
+      }
+    }
+  }
+  return completed;
+}
@@ -0,0 +1,16 @@
+// -------- SonarCloud Project Key Validation --------
+
+export const SC_KEY_PATTERN = '^[a-zA-Z0-9_\\-.:]*[a-zA-Z_\\-.:][a-zA-Z0-9_\\-.:]*$';
+const SC_KEY_REGEX = new RegExp(SC_KEY_PATTERN);
+const SC_KEY_MAX_LENGTH = 400;
+
+/**
+ * SonarCloud keys may only use letters, digits, `-`, `_`, `.` and `:`,
+ * must contain at least one non-digit and are limited to 400 characters.
+ *
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isValidSonarCloudKey(key) {
+  return typeof key === 'string' && key.length <= SC_KEY_MAX_LENGTH && SC_KEY_REGEX.test(key);
+}
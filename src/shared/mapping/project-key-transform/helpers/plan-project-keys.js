@@ -0,0 +1,38 @@
+// -------- Plan Project Keys --------
+import { ValidationError } from '../../../utils/errors.js';
+import { transformProjectKey } from './transform-project-key.js';
+
+/**
+ * Compute the rewritten key of every assigned project up front so invalid
+ * rewrites and collisions fail the run before anything is created.
+ * Keys are unique across SonarCloud, so collisions are checked across orgs.
+ *
+ * @param {Array}  orgAssignments - `[{ org, projects }]` from the org mapper
+ * @param {object} [transform]    - The `migrate.projectKeyTransform` config block
+ * @returns {Map<string, string>} SonarQube key -> planned SonarCloud key
+ * @throws {ValidationError} Listing every invalid or colliding rewrite
+ */
+export function planProjectKeys(orgAssignments, transform) {
+  const planned = new Map();
+  const owners = new Map();
+  const errors = [];
+
+  for (const { org, projects } of orgAssignments) {
+    for (const project of projects) {
+      let scKey;
+      try {
+        scKey = transformProjectKey(project.key, transform, org.key);
+      } catch (error) {
+        errors.push(error.message);
+        continue;
+      }
+      const existing = owners.get(scKey);
+      if (existing) errors.push(`Projects "${existing}" and "${project.key}" both rewrite to "${scKey}"`);
+      else owners.set(scKey, project.key);
+      planned.set(project.key, scKey);
+    }
+  }
+
+  if (errors.length > 0) throw new ValidationError('Project key transform produced invalid or duplicate keys', errors);
+  return planned;
+}
@@ -0,0 +1,47 @@
+// -------- Transform Project Key --------
+import { ValidationError } from '../../../utils/errors.js';
+import { isValidSonarCloudKey } from './is-valid-sonarcloud-key.js';
+
+function expandTemplate(template, orgKey) {
+  if (!template) return '';
+  if (template.includes('{org}') && !orgKey) return '';
+  return template.replaceAll('{org}', orgKey);
+}
+
+/**
+ * Apply `migrate.projectKeyTransform` to a SonarQube project key.
+ *
+ * An explicit `mapping` entry wins outright. Otherwise the `replace` rules run
+ * in order, then `lowercase`, then the `prefix`/`suffix` templates. `{org}` in
+ * a template expands to the target organization key; when the organization is
+ * not known (e.g. portfolio members outside the current run) that template is
+ * dropped.
+ *
+ * @param {string} sqKey     - SonarQube project key
+ * @param {object} [transform] - The `migrate.projectKeyTransform` config block
+ * @param {string} [orgKey]  - Target SonarCloud organization key
+ * @returns {string} The SonarCloud project key before global-conflict handling
+ * @throws {ValidationError} When the rewritten key is not a valid SonarCloud key
+ */
+export function transformProjectKey(sqKey, transform, orgKey = null) {
+  if (!transform) return sqKey;
+
+  let key;
+  if (transform.mapping && Object.hasOwn(transform.mapping, sqKey)) {
+    key = transform.mapping[sqKey];
+  } else {
+    key = sqKey;
+    for (const rule of transform.replace || []) {
+      key = key.replace(new RegExp(rule.pattern, rule.flags ?? 'g'), rule.replacement ?? '');
+    }
+    if (transform.lowercase) key = key.toLowerCase();
+    key = `${expandTemplate(transform.prefix, orgKey)}${key}${expandTemplate(transform.suffix, orgKey)}`;
+  }
+
+  if (!isValidSonarCloudKey(key)) {
+    throw new ValidationError(`Project key "${sqKey}" rewrites to invalid SonarCloud key "${key}"`, [
+      'SonarCloud keys may only contain letters, digits, "-", "_", "." and ":", need at least one non-digit and are limited to 400 characters',
+    ]);
+  }
+  return key;
+}
@@ -0,0 +1,5 @@
+// -------- Project Key Transform --------
+export { transformProjectKey } from './helpers/transform-project-key.js';
+export { planProjectKeys } from './helpers/plan-project-keys.js';
+export { completePortfolioKeyMap } from './helpers/complete-portfolio-key-map.js';
+export { isValidSonarCloudKey, SC_KEY_PATTERN } from './helpers/is-valid-sonarcloud-key.js';
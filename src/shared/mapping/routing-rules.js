@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { compileRoutingRules, validateRoutingRules, routeProject, isCatchAllRule, describeRule } from './routing-rules/index.js';
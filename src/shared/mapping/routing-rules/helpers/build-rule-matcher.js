@@ -0,0 +1,50 @@
+// -------- Build Rule Matcher --------
+import { compileKeyMatcher, fetchTaggedProjectKeys } from '../../project-filter.js';
+
+function portfolioMembers(portfolios, keys) {
+  const wanted = new Set(keys);
+  const members = new Set();
+  for (const portfolio of portfolios) {
+    if (!wanted.has(portfolio.key)) continue;
+    for (const p of portfolio.projects || []) members.add(p.key);
+  }
+  return members;
+}
+
+/**
+ * Compile one rule's `match` block into a predicate over (project, binding).
+ * All criteria present must match; values inside a criterion are alternatives.
+ *
+ * @param {object} sqClient   - SonarQube API client (used to resolve tags)
+ * @param {object} match      - The rule's `match` block
+ * @param {Array}  portfolios - Extracted portfolios with their project lists
+ * @returns {Promise<(project: object, binding: object|undefined) => boolean>}
+ */
+export async function buildRuleMatcher(sqClient, match, portfolios) {
+  const checks = [];
+
+  if (match.alm?.length) {
+    const alms = new Set(match.alm.map(a => a.toLowerCase()));
+    checks.push((_, binding) => !!binding && alms.has(String(binding.alm).toLowerCase()));
+  }
+  if (match.repository?.length) {
+    const repoMatcher = compileKeyMatcher(match.repository);
+    checks.push((_, binding) => !!binding?.repository && repoMatcher(binding.repository));
+  }
+  if (match.slug?.length) {
+    const slugMatcher = compileKeyMatcher(match.slug);
+    checks.push((_, binding) => !!binding?.slug && slugMatcher(binding.slug));
+  }
+  const keyMatcher = compileKeyMatcher(match.projects || [], match.projectRegex || []);
+  if (keyMatcher) checks.push(project => keyMatcher(project.key));
+  if (match.tags?.length) {
+    const tagged = await fetchTaggedProjectKeys(sqClient, match.tags);
+    checks.push(project => tagged.has(project.key));
+  }
+  if (match.portfolios?.length) {
+    const members = portfolioMembers(portfolios, match.portfolios);
+    checks.push(project => members.has(project.key));
+  }
+
+  return (project, binding) => checks.every(check => check(project, binding));
+}
@@ -0,0 +1,35 @@
+// -------- Compile Routing Rules --------
+import { ConfigurationError } from '../../../utils/errors.js';
+import { buildRuleMatcher } from './build-rule-matcher.js';
+import { describeRule } from './describe-rule.js';
+import { validateRoutingRules } from './validate-routing-rules.js';
+
+/**
+ * Turn `migrate.routingRules` into an ordered list of ready-to-evaluate rules.
+ * Tags are resolved against SonarQube once here so routing stays synchronous.
+ *
+ * @param {object} sqClient   - SonarQube API client
+ * @param {Array}  [rules]    - `migrate.routingRules`
+ * @param {Array}  targetOrgs - Configured SonarCloud organizations
+ * @param {Array}  [portfolios] - Extracted portfolios (for `match.portfolios`)
+ * @returns {Promise<Array<{label: string, organization: string, matches: Function}>|null>}
+ *   null when no routing rules are configured
+ */
+export async function compileRoutingRules(sqClient, rules, targetOrgs, portfolios = []) {
+  if (!rules || rules.length === 0) return null;
+
+  const errors = validateRoutingRules(rules, targetOrgs.map(o => o.key));
+  if (errors.length > 0) {
+    throw new ConfigurationError(`Invalid routing rules: ${errors.join('; ')}`);
+  }
+
+  const compiled = [];
+  for (const [i, rule] of rules.entries()) {
+    compiled.push({
+      label: describeRule(rule, i),
+      organization: rule.organization,
+      matches: await buildRuleMatcher(sqClient, rule.match || {}, portfolios),
+    });
+  }
+  return compiled;
+}
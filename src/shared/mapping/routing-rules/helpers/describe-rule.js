@@ -0,0 +1,25 @@
+// -------- Describe Routing Rule --------
+
+export const MATCH_KEYS = ['alm', 'repository', 'slug', 'projects', 'projectRegex', 'tags', 'portfolios'];
+
+/**
+ * A rule is a catch-all when it has no match criteria at all.
+ *
+ * @param {object} rule - Entry from `migrate.routingRules`
+ * @returns {boolean}
+ */
+export function isCatchAllRule(rule) {
+  const match = rule.match || {};
+  return MATCH_KEYS.every(k => !match[k] || match[k].length === 0);
+}
+
+/**
+ * Human-readable label used in logs and in the `Routing Rule` CSV column.
+ *
+ * @param {object} rule  - Entry from `migrate.routingRules`
+ * @param {number} index - Zero-based position in the rule list
+ * @returns {string}
+ */
+export function describeRule(rule, index) {
+  return rule.name || `rule #${index + 1}${isCatchAllRule(rule) ? ' (catch-all)' : ''}`;
+}
@@ -0,0 +1,14 @@
+// -------- Route Project --------
+
+/**
+ * Find the first rule matching a project. Compiled rules always end in a
+ * catch-all, so this only returns null for an empty rule list.
+ *
+ * @param {Array}  routingRules - Output of compileRoutingRules()
+ * @param {object} project      - SonarQube project ({ key, ... })
+ * @param {object} [binding]    - The project's DevOps binding, if any
+ * @returns {{label: string, organization: string}|null}
+ */
+export function routeProject(routingRules, project, binding) {
+  return routingRules.find(rule => rule.matches(project, binding)) || null;
+}
@@ -0,0 +1,30 @@
+// -------- Validate Routing Rules --------
+import { isCatchAllRule } from './describe-rule.js';
+
+/**
+ * Semantic checks the JSON schema cannot express: every rule must target a
+ * configured organization, and the list must end in exactly one catch-all.
+ *
+ * @param {Array}    rules   - `migrate.routingRules`
+ * @param {string[]} orgKeys - Keys of the configured SonarCloud organizations
+ * @returns {string[]} Error messages (empty when the rules are valid)
+ */
+export function validateRoutingRules(rules, orgKeys) {
+  const errors = [];
+  const known = new Set(orgKeys);
+
+  rules.forEach((rule, i) => {
+    const path = `/migrate/routingRules/${i}`;
+    if (!known.has(rule.organization)) {
+      errors.push(`${path}/organization "${rule.organization}" is not one of the configured sonarcloud.organizations`);
+    }
+    if (isCatchAllRule(rule) && i < rules.length - 1) {
+      errors.push(`${path} is a catch-all, so the ${rules.length - 1 - i} rule(s) after it can never match`);
+    }
+  });
+
+  if (rules.length > 0 && !isCatchAllRule(rules[rules.length - 1])) {
+    errors.push('/migrate/routingRules must end with a catch-all rule (a rule without match criteria)');
+  }
+  return errors;
+}
@@ -0,0 +1,5 @@
+// -------- Routing Rules --------
+export { compileRoutingRules } from './helpers/compile-routing-rules.js';
+export { validateRoutingRules } from './helpers/validate-routing-rules.js';
+export { routeProject } from './helpers/route-project.js';
+export { isCatchAllRule, describeRule } from './helpers/describe-rule.js';
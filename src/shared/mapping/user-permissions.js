@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { resolveScLogin, translateUserPermissions } from './user-permissions/index.js';
@@ -0,0 +1,15 @@
+// -------- Resolve SonarCloud Login --------
+
+/**
+ * Translate a SonarQube login to its SonarCloud login via user-mappings.csv.
+ * Users without a mapping keep their SonarQube login.
+ *
+ * @param {string} sqLogin        - SonarQube login
+ * @param {Map|null} userMappings - Output of applyUserMappingsCsv()
+ * @returns {string|null} SonarCloud login, or null if the user is excluded
+ */
+export function resolveScLogin(sqLogin, userMappings) {
+  const mapping = userMappings?.get(sqLogin);
+  if (mapping && !mapping.include) return null;
+  return mapping?.scLogin || sqLogin;
+}
@@ -0,0 +1,27 @@
+import { resolveScLogin } from './resolve-sc-login.js';
+
+// -------- Translate User Permissions --------
+
+/**
+ * Translate extracted user permissions to SonarCloud logins.
+ * Users excluded in user-mappings.csv are dropped and counted.
+ *
+ * @param {Array} users           - Extracted user permissions ({ login, permissions: string[] })
+ * @param {Map|null} userMappings - Output of applyUserMappingsCsv()
+ * @returns {{users: Array<{sqLogin: string, login: string, permissions: string[]}>, excluded: number}}
+ */
+export function translateUserPermissions(users, userMappings) {
+  const translated = [];
+  let excluded = 0;
+
+  for (const user of users || []) {
+    const login = resolveScLogin(user.login, userMappings);
+    if (!login) {
+      excluded++;
+      continue;
+    }
+    translated.push({ sqLogin: user.login, login, permissions: user.permissions || [] });
+  }
+
+  return { users: translated, excluded };
+}
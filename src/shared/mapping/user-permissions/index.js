@@ -0,0 +1,3 @@
+// -------- User Permissions --------
+export { resolveScLogin } from './helpers/resolve-sc-login.js';
+export { translateUserPermissions } from './helpers/translate-user-permissions.js';
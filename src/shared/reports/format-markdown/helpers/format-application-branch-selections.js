@@ -0,0 +1,17 @@
+// -------- Format Application Branch Selections --------
+
+export function formatApplicationBranchSelections(results) {
+  const selections = results.applicationBranchSelections || [];
+  if (selections.length === 0) return null;
+  const lines = [
+    '## Application Branch Selections Not Migrated\n',
+    `> **${selections.length} selection(s)** use a non-main project branch or belong to an application branch. Applications are recreated as portfolios over the projects' main branches; recreate these branch views manually if they are still needed.\n`,
+    '| Application | Application Branch | Project | Project Branch |',
+    '|-------------|--------------------|---------|----------------|',
+  ];
+  for (const s of selections) {
+    lines.push(`| ${s.application} | ${s.applicationBranch || '(main)'} | ${s.project} | ${s.projectBranch || '-'} |`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
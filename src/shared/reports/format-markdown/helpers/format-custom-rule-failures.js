@@ -0,0 +1,17 @@
+// -------- Format Custom Rule Failures --------
+
+export function formatCustomRuleFailures(results) {
+  const failures = results.customRuleFailures || [];
+  if (failures.length === 0) return null;
+  const lines = [
+    '## Custom Rule Failures\n',
+    `> **${failures.length} custom rule(s)** could not be recreated from their rule templates. Quality profiles that activate them are restored without these rules; create them manually in SonarCloud and activate them in the affected profiles.\n`,
+    '| Organization | Rule | Template | Language | Error |',
+    '|--------------|------|----------|----------|-------|',
+  ];
+  for (const f of failures) {
+    lines.push(`| ${f.organization} | ${f.ruleKey} | ${f.templateKey} | ${f.language || ''} | ${f.error} |`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
@@ -0,0 +1,18 @@
+// -------- Format Key Rewrites --------
+import { getRewrittenProjectKeys } from '../../shared.js';
+
+export function formatKeyRewrites(results) {
+  const rewrites = getRewrittenProjectKeys(results);
+  if (rewrites.length === 0) return null;
+  const lines = [
+    '## Project Key Rewrites\n',
+    `> **${rewrites.length} project(s)** were migrated under a key rewritten by \`migrate.projectKeyTransform\`.\n`,
+    '| SonarQube Key | SonarCloud Key |',
+    '|---------------|----------------|',
+  ];
+  for (const r of rewrites) {
+    lines.push(`| \`${r.sqKey}\` | \`${r.scKey}\` |`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
@@ -0,0 +1,18 @@
+// -------- Format Group Membership Warnings --------
+import { describeMembershipWarning } from '../../shared.js';
+
+export function formatMembershipWarnings(results) {
+  const warnings = results.groupMembershipWarnings || [];
+  if (warnings.length === 0) return null;
+  const lines = [
+    '## Group Membership Warnings\n',
+    `> **${warnings.length} group membership(s)** were not migrated. Map the users in \`user-mappings.csv\` or invite them to the organization, then add them to the group manually.\n`,
+    '| Organization | Group | SQ Login | SC Login | Reason |',
+    '|--------------|-------|----------|----------|--------|',
+  ];
+  for (const w of warnings) {
+    lines.push(`| ${w.organization} | ${w.group} | ${w.sqLogin} | ${w.scLogin || ''} | ${describeMembershipWarning(w)} |`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
@@ -0,0 +1,19 @@
+// -------- Format Portfolio Membership Changes --------
+import { describePortfolioMembershipChange } from '../../shared.js';
+
+export function formatPortfolioMembershipChanges(results) {
+  const changes = results.portfolioMembershipChanges || [];
+  if (changes.length === 0) return null;
+  const lines = [
+    '## Portfolio Membership Changes\n',
+    `> **${changes.length} portfolio(s)** do not hold the same projects as in SonarQube: members renamed by key collisions or key transforms, members missing from SonarCloud, tagged projects outside this migration, or sub-portfolios folded into their parent.\n`,
+    '| Portfolio | Selection | Members | Changes |',
+    '|-----------|-----------|---------|---------|',
+  ];
+  for (const change of changes) {
+    const row = describePortfolioMembershipChange(change);
+    lines.push(`| ${row.portfolio} | ${row.selection} | ${row.members} | ${row.changes} |`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
@@ -0,0 +1,20 @@
+// -------- Format Quality Gate Compatibility --------
+import { describeGateCompatibility } from '../../shared.js';
+
+export function formatQualityGateCompatibility(results) {
+  const entries = results.qualityGateCompatibility || [];
+  if (entries.length === 0) return null;
+  const lines = [
+    '## Quality Gate Compatibility\n',
+    `> **${entries.length} quality gate(s)** had conditions SonarCloud cannot take as-is: translated to a SonarCloud metric, dropped for lack of an equivalent, or rejected by SonarCloud. Gates marked "not migrated" failed in strict mode.\n`,
+    '| Organization | Gate | Condition | Outcome | Detail |',
+    '|--------------|------|-----------|---------|--------|',
+  ];
+  for (const entry of entries) {
+    for (const row of describeGateCompatibility(entry)) {
+      lines.push(`| ${entry.organization} | ${row.gate} | ${row.condition} | ${row.outcome} | ${row.detail} |`);
+    }
+  }
+  lines.push('');
+  return lines.join('\n');
+}
@@ -0,0 +1,20 @@
+// -------- Format Quality Profile Tuning --------
+import { describeTuningDifferences } from '../../shared.js';
+
+export function formatQualityProfileTuning(results) {
+  const findings = results.qualityProfileTuning || [];
+  if (findings.length === 0) return null;
+  const lines = [
+    '## Quality Profile Tuning Differences\n',
+    `> **${findings.length} quality profile(s)** are tuned differently in SonarCloud: rules active on both sides with a different severity, parameter value or impact, or a different parent profile chain. Full details are in \`quality-profiles/quality-profile-diff.json\`.\n`,
+    '| Organization | Profile | Rule | Difference | SonarQube | SonarCloud |',
+    '|--------------|---------|------|------------|-----------|------------|',
+  ];
+  for (const f of findings) {
+    for (const row of describeTuningDifferences(f)) {
+      lines.push(`| ${f.organization} | ${f.sonarqubeProfile} (${f.language}) | ${row.rule} | ${row.difference} | ${row.sonarqube} | ${row.sonarcloud} |`);
+    }
+  }
+  lines.push('');
+  return lines.join('\n');
+}
@@ -1,5 +1,5 @@
 // -------- Format Summary --------
-import { computeProjectStats, formatNumber, computeTotalLoc } from '../../shared.js';
+import { computeProjectStats, formatNumber, computeTotalLoc, describeGateOutcomes } from '../../shared.js';
 
 export function formatSummary(results) {
   const { succeeded, partial, failed, total } = computeProjectStats(results);
@@ -11,12 +11,12 @@ export function formatSummary(results) {
     '| Resource | Result |',
     '|----------|--------|',
     `| Projects | ${projectLine} |`,
-    `| Quality Gates | ${results.qualityGates} migrated |`,
-    `| Quality Profiles | ${results.qualityProfiles} migrated |`,
-    `| Groups | ${results.groups} created |`,
-    `| Portfolios | ${results.portfolios} created |`,
-    `| Issues | ${results.issueSyncStats.matched} matched, ${results.issueSyncStats.transitioned} transitioned, ${results.issueSyncStats.assigned} assigned${results.issueSyncStats.assignmentFailed > 0 ? `, ${results.issueSyncStats.assignmentFailed} assignment-failed` : ''} |`,
-    `| Hotspots | ${results.hotspotSyncStats.matched} matched, ${results.hotspotSyncStats.statusChanged} status changed |`,
+    `| Quality Gates | ${results.qualityGates} migrated${describeGateOutcomes(results.qualityGateOutcomes)} |`,
+    `| Quality Profiles | ${results.qualityProfiles} migrated${results.customRules > 0 ? `, ${results.customRules} custom rule(s) created` : ''} |`,
+    `| Groups | ${results.groups} created${results.groupMemberships > 0 ? `, ${results.groupMemberships} member(s) added` : ''} |`,
+    `| Portfolios | ${results.portfolios} created${results.applications > 0 ? `, ${results.applications} from applications` : ''} |`,
+    `| Issues | ${results.issueSyncStats.matched} matched, ${results.issueSyncStats.transitioned} transitioned, ${results.issueSyncStats.assigned} assigned${results.issueSyncStats.assignmentFailed > 0 ? `, ${results.issueSyncStats.assignmentFailed} assignment-failed` : ''}${results.issueSyncStats.overridden > 0 ? `, ${results.issueSyncStats.overridden} overridden` : ''} |`,
+    `| Hotspots | ${results.hotspotSyncStats.matched} matched, ${results.hotspotSyncStats.statusChanged} status changed${results.hotspotSyncStats.assigned > 0 ? `, ${results.hotspotSyncStats.assigned} assigned` : ''}${results.hotspotSyncStats.assignmentFailed > 0 ? `, ${results.hotspotSyncStats.assignmentFailed} assignment-failed` : ''} |`,
   ];
   const totalLoc = computeTotalLoc(results);
   if (totalLoc > 0) lines.push(`| Lines of Code | ${formatNumber(totalLoc)} total |`);
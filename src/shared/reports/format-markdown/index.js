@@ -2,22 +2,32 @@
 import { formatHeader } from './helpers/format-header.js';
 import { formatSummary } from './helpers/format-summary.js';
 import { formatKeyConflicts } from './helpers/format-key-conflicts.js';
+import { formatKeyRewrites } from './helpers/format-key-rewrites.js';
 import { formatNewCodePeriodWarnings } from './helpers/format-ncp-warnings.js';
 import { formatServerSteps } from './helpers/format-server-steps.js';
 import { formatOrgResults } from './helpers/format-org-results.js';
 import { formatProblemProjects } from './helpers/format-problem-projects.js';
 import { formatAllProjects } from './helpers/format-all-projects.js';
 import { formatFailedAssignments } from './helpers/format-failed-assignments.js';
+import { formatMembershipWarnings } from './helpers/format-membership-warnings.js';
+import { formatCustomRuleFailures } from './helpers/format-custom-rule-failures.js';
+import { formatQualityGateCompatibility } from './helpers/format-quality-gate-compatibility.js';
+import { formatQualityProfileTuning } from './helpers/format-quality-profile-tuning.js';
+import { formatPortfolioMembershipChanges } from './helpers/format-portfolio-membership-changes.js';
+import { formatApplicationBranchSelections } from './helpers/format-application-branch-selections.js';
 import { formatEnvironment } from './helpers/format-environment.js';
 import { formatConfiguration } from './helpers/format-configuration.js';
 
 export function formatMarkdownReport(results) {
   const sections = [
     formatHeader(results), formatSummary(results),
-    formatKeyConflicts(results), formatNewCodePeriodWarnings(results),
+    formatKeyConflicts(results), formatKeyRewrites(results), formatNewCodePeriodWarnings(results),
     formatServerSteps(results), formatOrgResults(results),
     formatProblemProjects(results), formatAllProjects(results),
-    formatFailedAssignments(results), formatEnvironment(results),
+    formatFailedAssignments(results), formatMembershipWarnings(results), formatCustomRuleFailures(results),
+    formatQualityGateCompatibility(results), formatQualityProfileTuning(results),
+    formatPortfolioMembershipChanges(results), formatApplicationBranchSelections(results),
+    formatEnvironment(results),
     formatConfiguration(results), '---\n*Generated by CloudVoyager*\n',
   ];
   return sections.filter(Boolean).join('\n');
@@ -0,0 +1,16 @@
+// -------- Build Key Rewrites --------
+import { getRewrittenProjectKeys } from '../../shared.js';
+
+export function buildKeyRewrites(results) {
+  const rewrites = getRewrittenProjectKeys(results);
+  if (rewrites.length === 0) return [];
+  const body = [
+    [{ text: 'SonarQube Key', style: 'tableHeader' }, { text: 'SonarCloud Key', style: 'tableHeader' }],
+  ];
+  for (const r of rewrites) body.push([r.sqKey, r.scKey]);
+  return [
+    { text: 'Project Key Rewrites', style: 'heading' },
+    { text: `${rewrites.length} project(s) were migrated under a key rewritten by migrate.projectKeyTransform.`, style: 'small', margin: [0, 0, 0, 5] },
+    { table: { headerRows: 1, widths: ['*', '*'], body }, layout: 'lightHorizontalLines' },
+  ];
+}
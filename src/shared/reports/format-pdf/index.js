@@ -1,9 +1,10 @@
 // -------- PDF Report Generator --------
 import { generatePdfBuffer, pdfStyles } from '../pdf-helpers.js';
-import { buildServerSteps, buildOrgResults, buildProblemProjects, buildAllProjects, buildFailedAssignments } from '../pdf-sections.js';
+import { buildServerSteps, buildOrgResults, buildProblemProjects, buildAllProjects, buildFailedAssignments, buildMembershipWarnings, buildCustomRuleFailures, buildQualityGateCompatibility, buildQualityProfileTuning, buildPortfolioMembershipChanges, buildApplicationBranchSelections } from '../pdf-sections.js';
 import { buildHeader } from './helpers/build-header.js';
 import { buildSummaryTable } from './helpers/build-summary-table.js';
 import { buildKeyConflicts } from './helpers/build-key-conflicts.js';
+import { buildKeyRewrites } from './helpers/build-key-rewrites.js';
 import { buildNcpWarnings } from './helpers/build-ncp-warnings.js';
 import { buildEnvironment } from './helpers/build-environment.js';
 import { buildConfiguration } from './helpers/build-configuration.js';
@@ -11,10 +12,13 @@ import { buildConfiguration } from './helpers/build-configuration.js';
 export async function generatePdfReport(results) {
   const content = [
     ...buildHeader(results), ...buildSummaryTable(results),
-    ...buildKeyConflicts(results), ...buildNcpWarnings(results),
+    ...buildKeyConflicts(results), ...buildKeyRewrites(results), ...buildNcpWarnings(results),
     ...buildServerSteps(results), ...buildOrgResults(results),
     ...buildProblemProjects(results), ...buildAllProjects(results),
-    ...buildFailedAssignments(results), ...buildEnvironment(results),
+    ...buildFailedAssignments(results), ...buildMembershipWarnings(results), ...buildCustomRuleFailures(results),
+    ...buildQualityGateCompatibility(results), ...buildQualityProfileTuning(results),
+    ...buildPortfolioMembershipChanges(results), ...buildApplicationBranchSelections(results),
+    ...buildEnvironment(results),
     ...buildConfiguration(results),
   ];
   const docDefinition = {
@@ -0,0 +1,15 @@
+// -------- Format Custom Rule Failures --------
+
+export function formatCustomRuleFailures(lines, results, subsep) {
+  const failures = results.customRuleFailures || [];
+  if (failures.length === 0) return;
+  lines.push(
+    'CUSTOM RULE FAILURES', subsep,
+    `  ${failures.length} custom rule(s) could not be recreated from their rule templates.`,
+    '  Create them manually and activate them in the affected quality profiles.', '',
+  );
+  for (const f of failures) {
+    lines.push(`  [FAIL] ${f.organization} / ${f.ruleKey} (template ${f.templateKey}): ${f.error}`);
+  }
+  lines.push('');
+}
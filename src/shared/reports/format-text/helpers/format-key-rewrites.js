@@ -0,0 +1,15 @@
+// -------- Format Key Rewrites --------
+import { getRewrittenProjectKeys } from '../../shared.js';
+
+export function formatKeyRewrites(lines, results, subsep) {
+  const rewrites = getRewrittenProjectKeys(results);
+  if (rewrites.length === 0) return;
+  lines.push(
+    'PROJECT KEY REWRITES', subsep,
+    `  ${rewrites.length} project(s) were migrated under a key rewritten by migrate.projectKeyTransform.`, '',
+  );
+  for (const r of rewrites) {
+    lines.push(`  "${r.sqKey}" -> "${r.scKey}"`);
+  }
+  lines.push('');
+}
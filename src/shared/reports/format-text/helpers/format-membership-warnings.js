@@ -0,0 +1,17 @@
+// -------- Format Group Membership Warnings --------
+import { describeMembershipWarning } from '../../shared.js';
+
+export function formatMembershipWarnings(lines, results, subsep) {
+  const warnings = results.groupMembershipWarnings || [];
+  if (warnings.length === 0) return;
+  lines.push(
+    'GROUP MEMBERSHIP WARNINGS', subsep,
+    `  ${warnings.length} group membership(s) were not migrated. Map the users in`,
+    '  user-mappings.csv or invite them to the organization, then add them manually.', '',
+  );
+  for (const w of warnings) {
+    const login = w.scLogin && w.scLogin !== w.sqLogin ? `"${w.sqLogin}" -> "${w.scLogin}"` : `"${w.sqLogin}"`;
+    lines.push(`  [WARN] ${w.organization} / ${w.group}: ${login} -- ${describeMembershipWarning(w)}`);
+  }
+  lines.push('');
+}
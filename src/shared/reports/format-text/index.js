@@ -2,12 +2,15 @@
 import { formatReportHeader } from './helpers/format-report-header.js';
 import { formatReportSummary } from './helpers/format-report-summary.js';
 import { formatKeyConflicts } from './helpers/format-key-conflicts.js';
+import { formatKeyRewrites } from './helpers/format-key-rewrites.js';
 import { formatNewCodePeriodWarnings } from './helpers/format-ncp-warnings.js';
 import { formatServerSteps } from './helpers/format-server-steps.js';
 import { formatOrgResults } from './helpers/format-org-results.js';
 import { formatProblemProjects } from './helpers/format-problem-projects.js';
 import { formatAllProjects } from './helpers/format-all-projects.js';
 import { formatFailedAssignments } from './helpers/format-failed-assignments.js';
+import { formatMembershipWarnings } from './helpers/format-membership-warnings.js';
+import { formatCustomRuleFailures } from './helpers/format-custom-rule-failures.js';
 import { formatEnvironment } from './helpers/format-environment.js';
 import { formatConfiguration } from './helpers/format-configuration.js';
 
@@ -18,12 +21,15 @@ export function formatTextReport(results) {
   formatReportHeader(lines, results, sep);
   formatReportSummary(lines, results, subsep);
   formatKeyConflicts(lines, results, subsep);
+  formatKeyRewrites(lines, results, subsep);
   formatNewCodePeriodWarnings(lines, results, subsep);
   formatServerSteps(lines, results, subsep);
   formatOrgResults(lines, results, subsep);
   formatProblemProjects(lines, results, subsep);
   formatAllProjects(lines, results, subsep);
   formatFailedAssignments(lines, results, subsep);
+  formatMembershipWarnings(lines, results, subsep);
+  formatCustomRuleFailures(lines, results, subsep);
   formatEnvironment(lines, results, subsep);
   formatConfiguration(lines, results, subsep);
   lines.push(sep);
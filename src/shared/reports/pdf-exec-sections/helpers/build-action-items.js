@@ -1,11 +1,11 @@
 // -------- Build Action Items --------
-import { getNewCodePeriodSkippedProjects } from '../../shared.js';
+import { getNewCodePeriodSkippedProjects, getRewrittenProjectKeys } from '../../shared.js';
 
 export function buildActionItems(results, stats) {
-  const keyWarnings = results.projectKeyWarnings || [];
+  const renamedCount = (results.projectKeyWarnings || []).length + getRewrittenProjectKeys(results).length;
   const ncpSkipped = getNewCodePeriodSkippedProjects(results);
   const items = [];
-  if (keyWarnings.length > 0) items.push(`Update CI/CD pipelines for renamed project keys (${keyWarnings.length} project(s))`);
+  if (renamedCount > 0) items.push(`Update CI/CD pipelines for renamed project keys (${renamedCount} project(s))`);
   if (ncpSkipped.length > 0) items.push(`Manually configure new code periods in SonarCloud (${ncpSkipped.length} project(s))`);
   if (stats.failed > 0) items.push(`Investigate and retry failed project migrations (${stats.failed} project(s))`);
   if (stats.partial > 0) items.push(`Review partially migrated projects and fix failed steps (${stats.partial} project(s))`);
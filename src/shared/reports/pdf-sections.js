@@ -1,2 +1,2 @@
 // -------- Re-export Shim --------
-export { buildServerSteps, buildOrgResults, buildProblemProjects, buildFailedAssignments, buildAllProjects } from './pdf-sections/index.js';
+export { buildServerSteps, buildOrgResults, buildProblemProjects, buildFailedAssignments, buildMembershipWarnings, buildCustomRuleFailures, buildQualityGateCompatibility, buildQualityProfileTuning, buildPortfolioMembershipChanges, buildApplicationBranchSelections, buildAllProjects } from './pdf-sections/index.js';
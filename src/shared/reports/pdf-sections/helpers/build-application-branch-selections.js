@@ -0,0 +1,22 @@
+// -------- Build Application Branch Selections --------
+
+export function buildApplicationBranchSelections(results) {
+  const selections = results.applicationBranchSelections || [];
+  if (selections.length === 0) return [];
+  const body = [
+    [{ text: 'Application', style: 'tableHeader' }, { text: 'Application Branch', style: 'tableHeader' }, { text: 'Project', style: 'tableHeader' }, { text: 'Project Branch', style: 'tableHeader' }],
+  ];
+  for (const s of selections) {
+    body.push([
+      { text: s.application, style: 'tableCell' },
+      { text: s.applicationBranch || '(main)', style: 'tableCell' },
+      { text: s.project, style: 'tableCell' },
+      { text: s.projectBranch || '-', style: 'tableCell' },
+    ]);
+  }
+  return [
+    { text: 'Application Branch Selections Not Migrated', style: 'heading' },
+    { text: `${selections.length} selection(s) use a non-main project branch or belong to an application branch. Applications are recreated as portfolios over the projects' main branches; recreate these branch views manually if they are still needed.`, style: 'small', margin: [0, 0, 0, 5] },
+    { table: { headerRows: 1, widths: [110, 90, '*', 90], body }, layout: 'lightHorizontalLines' },
+  ];
+}
@@ -0,0 +1,23 @@
+// -------- Build Custom Rule Failures --------
+
+export function buildCustomRuleFailures(results) {
+  const failures = results.customRuleFailures || [];
+  if (failures.length === 0) return [];
+  const body = [
+    [{ text: 'Organization', style: 'tableHeader' }, { text: 'Rule', style: 'tableHeader' }, { text: 'Template', style: 'tableHeader' }, { text: 'Language', style: 'tableHeader' }, { text: 'Error', style: 'tableHeader' }],
+  ];
+  for (const f of failures) {
+    body.push([
+      { text: f.organization, style: 'tableCell' },
+      { text: f.ruleKey, style: 'tableCell' },
+      { text: f.templateKey, style: 'tableCell' },
+      { text: f.language || '', style: 'tableCell' },
+      { text: f.error, style: 'tableCell', fontSize: 8 },
+    ]);
+  }
+  return [
+    { text: 'Custom Rule Failures', style: 'heading' },
+    { text: `${failures.length} custom rule(s) could not be recreated from their rule templates. Create them manually in SonarCloud and activate them in the affected quality profiles.`, style: 'small', margin: [0, 0, 0, 5] },
+    { table: { headerRows: 1, widths: [80, 90, 90, 50, '*'], body }, layout: 'lightHorizontalLines' },
+  ];
+}
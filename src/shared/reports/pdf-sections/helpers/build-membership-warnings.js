@@ -0,0 +1,24 @@
+// -------- Build Group Membership Warnings --------
+import { describeMembershipWarning } from '../../shared.js';
+
+export function buildMembershipWarnings(results) {
+  const warnings = results.groupMembershipWarnings || [];
+  if (warnings.length === 0) return [];
+  const body = [
+    [{ text: 'Organization', style: 'tableHeader' }, { text: 'Group', style: 'tableHeader' }, { text: 'SQ Login', style: 'tableHeader' }, { text: 'SC Login', style: 'tableHeader' }, { text: 'Reason', style: 'tableHeader' }],
+  ];
+  for (const w of warnings) {
+    body.push([
+      { text: w.organization, style: 'tableCell' },
+      { text: w.group, style: 'tableCell' },
+      { text: w.sqLogin, style: 'tableCell' },
+      { text: w.scLogin || '', style: 'tableCell' },
+      { text: describeMembershipWarning(w), style: 'tableCell', fontSize: 8 },
+    ]);
+  }
+  return [
+    { text: 'Group Membership Warnings', style: 'heading' },
+    { text: `${warnings.length} group membership(s) were not migrated. Map the users in user-mappings.csv or invite them to the organization, then add them to the group manually.`, style: 'small', margin: [0, 0, 0, 5] },
+    { table: { headerRows: 1, widths: [80, 80, 80, 80, '*'], body }, layout: 'lightHorizontalLines' },
+  ];
+}
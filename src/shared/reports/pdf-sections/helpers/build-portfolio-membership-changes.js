@@ -0,0 +1,24 @@
+// -------- Build Portfolio Membership Changes --------
+import { describePortfolioMembershipChange } from '../../shared.js';
+
+export function buildPortfolioMembershipChanges(results) {
+  const changes = results.portfolioMembershipChanges || [];
+  if (changes.length === 0) return [];
+  const body = [
+    [{ text: 'Portfolio', style: 'tableHeader' }, { text: 'Selection', style: 'tableHeader' }, { text: 'Members', style: 'tableHeader' }, { text: 'Changes', style: 'tableHeader' }],
+  ];
+  for (const change of changes) {
+    const row = describePortfolioMembershipChange(change);
+    body.push([
+      { text: row.portfolio, style: 'tableCell' },
+      { text: row.selection, style: 'tableCell' },
+      { text: row.members, style: 'tableCell' },
+      { text: row.changes, style: 'tableCell', fontSize: 8 },
+    ]);
+  }
+  return [
+    { text: 'Portfolio Membership Changes', style: 'heading' },
+    { text: `${changes.length} portfolio(s) do not hold the same projects as in SonarQube: members renamed by key collisions or key transforms, members missing from SonarCloud, tagged projects outside this migration, or sub-portfolios folded into their parent.`, style: 'small', margin: [0, 0, 0, 5] },
+    { table: { headerRows: 1, widths: [110, 60, 45, '*'], body }, layout: 'lightHorizontalLines' },
+  ];
+}
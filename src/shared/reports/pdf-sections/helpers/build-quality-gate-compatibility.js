@@ -0,0 +1,26 @@
+// -------- Build Quality Gate Compatibility --------
+import { describeGateCompatibility } from '../../shared.js';
+
+export function buildQualityGateCompatibility(results) {
+  const entries = results.qualityGateCompatibility || [];
+  if (entries.length === 0) return [];
+  const body = [
+    [{ text: 'Organization', style: 'tableHeader' }, { text: 'Gate', style: 'tableHeader' }, { text: 'Condition', style: 'tableHeader' }, { text: 'Outcome', style: 'tableHeader' }, { text: 'Detail', style: 'tableHeader' }],
+  ];
+  for (const entry of entries) {
+    for (const row of describeGateCompatibility(entry)) {
+      body.push([
+        { text: entry.organization, style: 'tableCell' },
+        { text: row.gate, style: 'tableCell' },
+        { text: row.condition, style: 'tableCell', fontSize: 8 },
+        { text: row.outcome, style: 'tableCell' },
+        { text: row.detail, style: 'tableCell', fontSize: 8 },
+      ]);
+    }
+  }
+  return [
+    { text: 'Quality Gate Compatibility', style: 'heading' },
+    { text: `${entries.length} quality gate(s) had conditions SonarCloud cannot take as-is: translated to a SonarCloud metric, dropped for lack of an equivalent, or rejected by SonarCloud. Gates marked "not migrated" failed in strict mode.`, style: 'small', margin: [0, 0, 0, 5] },
+    { table: { headerRows: 1, widths: [70, 80, '*', 50, '*'], body }, layout: 'lightHorizontalLines' },
+  ];
+}
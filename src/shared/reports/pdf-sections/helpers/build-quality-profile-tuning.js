@@ -0,0 +1,27 @@
+// -------- Build Quality Profile Tuning --------
+import { describeTuningDifferences } from '../../shared.js';
+
+export function buildQualityProfileTuning(results) {
+  const findings = results.qualityProfileTuning || [];
+  if (findings.length === 0) return [];
+  const body = [
+    [{ text: 'Organization', style: 'tableHeader' }, { text: 'Profile', style: 'tableHeader' }, { text: 'Rule', style: 'tableHeader' }, { text: 'Difference', style: 'tableHeader' }, { text: 'SonarQube', style: 'tableHeader' }, { text: 'SonarCloud', style: 'tableHeader' }],
+  ];
+  for (const f of findings) {
+    for (const row of describeTuningDifferences(f)) {
+      body.push([
+        { text: f.organization, style: 'tableCell' },
+        { text: `${f.sonarqubeProfile} (${f.language})`, style: 'tableCell' },
+        { text: row.rule, style: 'tableCell' },
+        { text: row.difference, style: 'tableCell' },
+        { text: row.sonarqube, style: 'tableCell', fontSize: 8 },
+        { text: row.sonarcloud, style: 'tableCell', fontSize: 8 },
+      ]);
+    }
+  }
+  return [
+    { text: 'Quality Profile Tuning Differences', style: 'heading' },
+    { text: `${findings.length} quality profile(s) are tuned differently in SonarCloud: rules active on both sides with a different severity, parameter value or impact, or a different parent profile chain. Full details are in quality-profiles/quality-profile-diff.json.`, style: 'small', margin: [0, 0, 0, 5] },
+    { table: { headerRows: 1, widths: [70, 80, 80, 70, '*', '*'], body }, layout: 'lightHorizontalLines' },
+  ];
+}
@@ -3,4 +3,10 @@ export { buildServerSteps } from './helpers/build-server-steps.js';
 export { buildOrgResults } from './helpers/build-org-results.js';
 export { buildProblemProjects } from './helpers/build-problem-projects.js';
 export { buildFailedAssignments } from './helpers/build-failed-assignments.js';
+export { buildMembershipWarnings } from './helpers/build-membership-warnings.js';
+export { buildCustomRuleFailures } from './helpers/build-custom-rule-failures.js';
+export { buildQualityProfileTuning } from './helpers/build-quality-profile-tuning.js';
+export { buildQualityGateCompatibility } from './helpers/build-quality-gate-compatibility.js';
+export { buildPortfolioMembershipChanges } from './helpers/build-portfolio-membership-changes.js';
+export { buildApplicationBranchSelections } from './helpers/build-application-branch-selections.js';
 export { buildAllProjects } from './helpers/build-all-projects.js';
@@ -1,2 +1,2 @@
 // -------- Re-export Shim --------
-export { formatTimestamp, formatDuration, computeProjectStats, computeOverallStatus, getNewCodePeriodSkippedProjects, getProblemProjects, computeTotalDurationMs, formatNumber, computeTotalLoc, computeLocThroughput } from './shared/index.js';
+export { formatTimestamp, formatDuration, computeProjectStats, computeOverallStatus, getNewCodePeriodSkippedProjects, getProblemProjects, getRewrittenProjectKeys, describeMembershipWarning, describeTuningDifferences, describePortfolioMembershipChange, describeGateCompatibility, describeGateOutcomes, computeTotalDurationMs, formatNumber, computeTotalLoc, computeLocThroughput } from './shared/index.js';
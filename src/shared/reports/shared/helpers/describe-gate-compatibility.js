@@ -0,0 +1,16 @@
+// -------- Describe Gate Compatibility --------
+
+/**
+ * One report row per translated, dropped or rejected condition of a quality gate.
+ *
+ * @param {object} entry - Entry of results.qualityGateCompatibility
+ * @returns {Array<{ gate: string, condition: string, outcome: string, detail: string }>}
+ */
+export function describeGateCompatibility(entry) {
+  const gate = entry.migrated ? entry.gate : `${entry.gate} (not migrated)`;
+  return [
+    ...entry.translated.map(c => ({ gate, condition: `${c.from} ${c.op} ${c.error}`, outcome: 'Translated', detail: `${c.to} (${c.reason})` })),
+    ...entry.dropped.map(c => ({ gate, condition: `${c.metric} ${c.op} ${c.error}`, outcome: 'Dropped', detail: c.reason })),
+    ...entry.rejected.map(c => ({ gate, condition: `${c.metric} ${c.op} ${c.error}`, outcome: 'Rejected', detail: c.reason })),
+  ];
+}
@@ -0,0 +1,17 @@
+// -------- Describe Gate Outcomes --------
+
+/**
+ * Breakdown of migrated quality gates into created, updated and unchanged ones,
+ * e.g. " (1 created, 2 updated, 3 unchanged)". Empty when every gate was newly
+ * created, so first runs keep the plain "N migrated" summary.
+ *
+ * @param {Array<object>} outcomes - results.qualityGateOutcomes ({ gate, outcome })
+ * @returns {string}
+ */
+export function describeGateOutcomes(outcomes) {
+  const count = outcome => (outcomes || []).filter(o => o.outcome === outcome).length;
+  const updated = count('updated');
+  const unchanged = count('unchanged');
+  if (updated + unchanged === 0) return '';
+  return ` (${count('created')} created, ${updated} updated, ${unchanged} unchanged)`;
+}
@@ -0,0 +1,18 @@
+// -------- Describe Membership Warning --------
+
+const REASONS = {
+  'unmapped': 'no SonarCloud login in user-mappings.csv',
+  'not-member': 'not a member of the organization',
+  'failed': 'could not be added',
+};
+
+/**
+ * Human-readable reason for a group membership that was not migrated.
+ *
+ * @param {{reason: string, error?: string}} warning
+ * @returns {string}
+ */
+export function describeMembershipWarning(warning) {
+  const text = REASONS[warning.reason] || warning.reason;
+  return warning.error ? `${text}: ${warning.error}` : text;
+}
@@ -0,0 +1,23 @@
+// -------- Describe Portfolio Membership Change --------
+
+const SELECTION_LABELS = { MANUAL: 'Manual', TAGS: 'Tags', REGEXP: 'Key pattern', REST: 'All projects', NONE: 'None' };
+
+/**
+ * Summarize a portfolio membership change for the report tables.
+ *
+ * @param {object} change - Entry of results.portfolioMembershipChanges
+ * @returns {{ portfolio: string, selection: string, members: string, changes: string }}
+ */
+export function describePortfolioMembershipChange(change) {
+  const changes = [];
+  if (change.renamed.length > 0) changes.push(`Renamed: ${change.renamed.map(r => `${r.sonarqube} → ${r.sonarcloud}`).join(', ')}`);
+  if (change.missing.length > 0) changes.push(`Not in SonarCloud: ${change.missing.join(', ')}`);
+  if (change.excluded.length > 0) changes.push(`Tagged but not migrated: ${change.excluded.join(', ')}`);
+  if (change.inheritedFrom.length > 0) changes.push(`Includes sub-portfolios: ${change.inheritedFrom.join(', ')}`);
+  return {
+    portfolio: change.portfolio,
+    selection: SELECTION_LABELS[change.selectionMode] || change.selectionMode,
+    members: String(change.members),
+    changes: changes.join('; '),
+  };
+}
@@ -0,0 +1,26 @@
+// -------- Describe Tuning Differences --------
+
+/**
+ * Flatten a quality profile tuning finding into report rows: one per
+ * differing severity, parameter or impact, plus one for a different parent chain.
+ *
+ * @param {object} finding - Entry of results.qualityProfileTuning
+ * @returns {Array<{rule: string, difference: string, sonarqube: string, sonarcloud: string}>}
+ */
+export function describeTuningDifferences(finding) {
+  const rows = [];
+  if (finding.inheritance && !finding.inheritance.matches) {
+    rows.push({ rule: '—', difference: 'Parent profiles', sonarqube: finding.inheritance.sonarqube.join(' → '), sonarcloud: finding.inheritance.sonarcloud.join(' → ') });
+  }
+  for (const diff of finding.ruleDifferences || []) {
+    const rule = diff.sonarcloudKey && diff.sonarcloudKey !== diff.key ? `${diff.key} (${diff.sonarcloudKey})` : diff.key;
+    if (diff.severity) rows.push({ rule, difference: 'Severity', ...values(diff.severity) });
+    for (const p of diff.params) rows.push({ rule, difference: `Parameter ${p.key}`, ...values(p) });
+    for (const i of diff.impacts) rows.push({ rule, difference: `Impact ${i.softwareQuality}`, ...values(i) });
+  }
+  return rows;
+}
+
+function values(entry) {
+  return { sonarqube: entry.sonarqube ?? '(not set)', sonarcloud: entry.sonarcloud ?? '(not set)' };
+}
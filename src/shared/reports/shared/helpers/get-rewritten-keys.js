@@ -0,0 +1,12 @@
+// -------- Get Rewritten Project Keys --------
+
+/**
+ * Projects whose SonarCloud key differs from the SonarQube key because of
+ * `migrate.projectKeyTransform` (global-conflict fallbacks are reported separately).
+ */
+export function getRewrittenProjectKeys(results) {
+  const conflicted = new Set((results.projectKeyWarnings || []).map(w => w.sqKey));
+  return (results.projects || [])
+    .filter(p => p.scProjectKey && p.scProjectKey !== p.projectKey && !conflicted.has(p.projectKey))
+    .map(p => ({ sqKey: p.projectKey, scKey: p.scProjectKey }));
+}
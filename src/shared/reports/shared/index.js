@@ -5,6 +5,12 @@ export { computeProjectStats } from './helpers/compute-project-stats.js';
 export { computeOverallStatus } from './helpers/compute-overall-status.js';
 export { getNewCodePeriodSkippedProjects } from './helpers/get-ncp-skipped.js';
 export { getProblemProjects } from './helpers/get-problem-projects.js';
+export { getRewrittenProjectKeys } from './helpers/get-rewritten-keys.js';
+export { describeMembershipWarning } from './helpers/describe-membership-warning.js';
+export { describeTuningDifferences } from './helpers/describe-tuning-differences.js';
+export { describePortfolioMembershipChange } from './helpers/describe-portfolio-membership-change.js';
+export { describeGateCompatibility } from './helpers/describe-gate-compatibility.js';
+export { describeGateOutcomes } from './helpers/describe-gate-outcomes.js';
 export { computeTotalDurationMs } from './helpers/compute-duration.js';
 export { formatNumber } from './helpers/format-number.js';
 export { computeTotalLoc, computeLocThroughput } from './helpers/compute-loc.js';
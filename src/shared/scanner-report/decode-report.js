@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./decode-report.js`
+
+export { decodeReport, summarizeReport } from './decode-report/index.js';
@@ -0,0 +1,22 @@
+// -------- Decode Entry --------
+
+import protobuf from 'protobufjs';
+
+const TO_OBJECT_OPTIONS = { longs: Number, enums: String, bytes: String, oneofs: true };
+
+/**
+ * Decode one `.pb` file: a single message, or every length-prefixed message
+ * until the end of the buffer for delimited files.
+ * @returns {object|object[]} Plain JSON-ready object(s)
+ */
+export function decodeEntry(root, fileType, data) {
+  const Type = root.lookupType(fileType.type);
+  if (!fileType.delimited) return Type.toObject(Type.decode(data), TO_OBJECT_OPTIONS);
+
+  const reader = protobuf.Reader.create(data);
+  const messages = [];
+  while (reader.pos < reader.len) {
+    messages.push(Type.toObject(Type.decodeDelimited(reader), TO_OBJECT_OPTIONS));
+  }
+  return messages;
+}
@@ -0,0 +1,18 @@
+// -------- Load Report Schema --------
+
+import { createProtobufEncoder } from '../../../../pipelines/sq-2025/protobuf/encoder.js';
+
+let root = null;
+
+/**
+ * Load the inlined scanner-report.proto once. Every pipeline inlines the same
+ * schema, so the one the encoder of the newest pipeline loads decodes reports of all four.
+ */
+export async function loadReportSchema() {
+  if (!root) {
+    const encoder = createProtobufEncoder();
+    await encoder.loadSchemas();
+    root = encoder.root;
+  }
+  return root;
+}
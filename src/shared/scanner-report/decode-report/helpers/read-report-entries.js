@@ -0,0 +1,33 @@
+// -------- Read Report Entries --------
+
+import AdmZip from 'adm-zip';
+import { existsSync, statSync } from 'node:fs';
+import { readdir, readFile } from 'node:fs/promises';
+import { basename, join } from 'node:path';
+import { ValidationError } from '../../../utils/errors.js';
+
+/**
+ * Read every file of a scanner report, either a zip archive (as uploaded or
+ * saved with `--save-reports`) or a directory it was extracted to.
+ * @returns {Promise<Array<{ name: string, data: Buffer }>>} Entries sorted by name
+ */
+export async function readReportEntries(reportPath) {
+  if (!existsSync(reportPath)) throw new ValidationError(`Scanner report not found: ${reportPath}`);
+
+  let entries;
+  if (statSync(reportPath).isDirectory()) {
+    entries = [];
+    for (const entry of await readdir(reportPath, { withFileTypes: true })) {
+      if (entry.isFile()) entries.push({ name: entry.name, data: await readFile(join(reportPath, entry.name)) });
+    }
+  } else {
+    try {
+      entries = new AdmZip(reportPath).getEntries()
+        .filter(entry => !entry.isDirectory)
+        .map(entry => ({ name: basename(entry.entryName), data: entry.getData() }));
+    } catch (error) {
+      throw new ValidationError(`Not a readable scanner report zip: ${reportPath} (${error.message})`);
+    }
+  }
+  return entries.sort((a, b) => a.name.localeCompare(b.name));
+}
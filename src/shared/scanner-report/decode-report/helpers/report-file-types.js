@@ -0,0 +1,36 @@
+// -------- Scanner Report File Types --------
+
+/**
+ * File name patterns of a scanner report and the message each holds.
+ * `delimited` files are a stream of length-prefixed messages; the others hold
+ * exactly one. `perComponent` files carry the component ref in their name.
+ * Both spellings the uploaders have used for external issues and ad-hoc rules are listed.
+ */
+export const REPORT_FILE_TYPES = [
+  { pattern: /^metadata\.pb$/, section: 'metadata', type: 'Metadata', delimited: false },
+  { pattern: /^component-(\d+)\.pb$/, section: 'component', type: 'Component', delimited: false, perComponent: true },
+  { pattern: /^issues-(\d+)\.pb$/, section: 'issues', type: 'Issue', delimited: true, perComponent: true },
+  { pattern: /^external-?issues-(\d+)\.pb$/, section: 'externalIssues', type: 'ExternalIssue', delimited: true, perComponent: true },
+  { pattern: /^measures-(\d+)\.pb$/, section: 'measures', type: 'Measure', delimited: true, perComponent: true },
+  { pattern: /^changesets-(\d+)\.pb$/, section: 'changesets', type: 'Changesets', delimited: false, perComponent: true },
+  { pattern: /^duplications-(\d+)\.pb$/, section: 'duplications', type: 'Duplication', delimited: true, perComponent: true },
+  { pattern: /^syntax-highlighting-(\d+)\.pb$/, section: 'syntaxHighlightings', type: 'SyntaxHighlightingRule', delimited: true, perComponent: true },
+  { pattern: /^symbols-(\d+)\.pb$/, section: 'symbols', type: 'Symbol', delimited: true, perComponent: true },
+  { pattern: /^coverages-(\d+)\.pb$/, section: 'coverages', type: 'LineCoverage', delimited: true, perComponent: true },
+  { pattern: /^activerules\.pb$/, section: 'activeRules', type: 'ActiveRule', delimited: true },
+  { pattern: /^adho[ce]rules\.pb$/, section: 'adHocRules', type: 'AdHocRule', delimited: true },
+  { pattern: /^context-props\.pb$/, section: 'contextProperties', type: 'ContextProperty', delimited: true },
+  { pattern: /^source-(\d+)\.txt$/, section: 'source', perComponent: true },
+];
+
+/**
+ * Find the file type for an entry name.
+ * @returns {{ fileType: object, ref: number|null }|null} Null for files the report format does not define
+ */
+export function classifyReportFile(name) {
+  for (const fileType of REPORT_FILE_TYPES) {
+    const match = fileType.pattern.exec(name);
+    if (match) return { fileType, ref: fileType.perComponent ? Number(match[1]) : null };
+  }
+  return null;
+}
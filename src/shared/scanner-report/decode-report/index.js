@@ -0,0 +1,78 @@
+// -------- Decode Scanner Report --------
+
+import { readReportEntries } from './helpers/read-report-entries.js';
+import { classifyReportFile } from './helpers/report-file-types.js';
+import { loadReportSchema } from './helpers/load-report-schema.js';
+import { decodeEntry } from './helpers/decode-entry.js';
+
+const COMPONENT_SECTIONS = ['issues', 'externalIssues', 'measures', 'duplications', 'syntaxHighlightings', 'symbols', 'coverages'];
+
+/**
+ * Decode every file of a scanner report into JSON, grouped by component ref.
+ * A file that fails to decode is listed in `errors` instead of aborting, since
+ * the reports worth inspecting are usually the broken ones. Source files are
+ * reduced to their line count.
+ *
+ * @param {string} reportPath - Scanner report zip or extracted report directory
+ * @returns {Promise<object>} { source, metadata, activeRules, adHocRules, contextProperties, components, files, unknownFiles, errors }
+ */
+export async function decodeReport(reportPath) {
+  const root = await loadReportSchema();
+  const report = {
+    source: reportPath, metadata: null, activeRules: [], adHocRules: [], contextProperties: [],
+    components: [], files: [], unknownFiles: [], errors: [],
+  };
+  const components = new Map();
+  const componentEntry = (ref) => {
+    if (!components.has(ref)) {
+      components.set(ref, { ref, component: null, ...Object.fromEntries(COMPONENT_SECTIONS.map(s => [s, []])), changesets: null, sourceLines: null });
+    }
+    return components.get(ref);
+  };
+
+  for (const { name, data } of await readReportEntries(reportPath)) {
+    report.files.push({ name, size: data.length });
+    const classified = classifyReportFile(name);
+    if (!classified) {
+      report.unknownFiles.push(name);
+      continue;
+    }
+    const { fileType, ref } = classified;
+    try {
+      if (fileType.section === 'source') {
+        const text = data.toString('utf-8');
+        componentEntry(ref).sourceLines = text === '' ? 0 : text.split('\n').length;
+      } else if (fileType.section === 'component') {
+        // Uploaders number component files by position, so the decoded ref is the one other files use
+        const component = decodeEntry(root, fileType, data);
+        componentEntry(component.ref ?? ref).component = component;
+      } else if (ref === null) {
+        report[fileType.section] = decodeEntry(root, fileType, data);
+      } else {
+        componentEntry(ref)[fileType.section] = decodeEntry(root, fileType, data);
+      }
+    } catch (error) {
+      report.errors.push({ file: name, error: error.message });
+    }
+  }
+
+  report.components = [...components.values()].sort((a, b) => a.ref - b.ref);
+  return report;
+}
+
+/** Count components, files and per-component messages of a decoded report for logging. */
+export function summarizeReport(report) {
+  const count = (section) => report.components.reduce((sum, c) => sum + c[section].length, 0);
+  return {
+    files: report.files.length,
+    components: report.components.filter(c => c.component).length,
+    issues: count('issues'),
+    externalIssues: count('externalIssues'),
+    measures: count('measures'),
+    changesets: report.components.filter(c => c.changesets).length,
+    duplications: count('duplications'),
+    activeRules: report.activeRules.length,
+    unknownFiles: report.unknownFiles.length,
+    errors: report.errors.length,
+  };
+}
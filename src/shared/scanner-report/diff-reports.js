@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./diff-reports.js`
+
+export { diffReports } from './diff-reports/index.js';
@@ -0,0 +1,10 @@
+// -------- Component Identity --------
+
+/**
+ * Name a component independently of its ref, which is only stable within one
+ * report: files by their project-relative path, the project by its key.
+ */
+export function componentIdentity(entry) {
+  const component = entry.component;
+  return component?.projectRelativePath || component?.key || `ref:${entry.ref}`;
+}
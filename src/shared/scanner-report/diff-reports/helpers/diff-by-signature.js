@@ -0,0 +1,41 @@
+// -------- Diff by Signature --------
+
+/**
+ * Multiset difference of two message lists: items whose signature occurs more
+ * often on one side than the other are reported as added or removed.
+ * @returns {{ added: object[], removed: object[] }}
+ */
+export function diffBySignature(before, after, signatureOf) {
+  const remaining = new Map();
+  for (const item of before) {
+    const signature = signatureOf(item);
+    if (!remaining.has(signature)) remaining.set(signature, []);
+    remaining.get(signature).push(item);
+  }
+  const added = [];
+  for (const item of after) {
+    const matches = remaining.get(signatureOf(item));
+    if (matches?.length > 0) matches.pop();
+    else added.push(item);
+  }
+  return { added, removed: [...remaining.values()].flat() };
+}
+
+/** Signature of an issue or external issue: rule, text range and message. */
+export function issueSignature(issue) {
+  const rule = issue.ruleRepository ? `${issue.ruleRepository}:${issue.ruleKey}` : `${issue.engineId}:${issue.ruleId}`;
+  const range = issue.textRange ? `${issue.textRange.startLine}:${issue.textRange.startOffset ?? 0}-${issue.textRange.endLine}:${issue.textRange.endOffset ?? 0}` : '';
+  return `${rule}|${range}|${issue.msg ?? ''}`;
+}
+
+/**
+ * Signature of a duplication. Refs of the other files are resolved to their
+ * identity so duplications compare across reports whose refs differ.
+ */
+export function duplicationSignature(duplication, identityByRef) {
+  const range = (r) => `${r?.startLine ?? 0}-${r?.endLine ?? 0}`;
+  const duplicates = (duplication.duplicate || [])
+    .map(d => `${d.otherFileRef ? identityByRef.get(d.otherFileRef) ?? `ref:${d.otherFileRef}` : 'same'}@${range(d.range)}`)
+    .sort();
+  return `${range(duplication.originPosition)}|${duplicates.join(',')}`;
+}
@@ -0,0 +1,33 @@
+// -------- Diff Changesets --------
+
+const MAX_LISTED_LINES = 20;
+
+function describe(changesets) {
+  return changesets
+    ? { changesets: (changesets.changeset || []).length, lines: (changesets.changesetIndexByLine || []).length, copyFromPrevious: Boolean(changesets.copyFromPrevious) }
+    : null;
+}
+
+/** The changeset a line is attributed to, as a comparable string. */
+function lineAttribution(changesets, lineIndex) {
+  const changeset = changesets.changeset?.[changesets.changesetIndexByLine[lineIndex]];
+  return changeset ? `${changeset.revision ?? ''}|${changeset.author ?? ''}|${changeset.date ?? ''}` : 'none';
+}
+
+/**
+ * Compare the SCM attribution of two changesets line by line.
+ * @returns {object|null} { before, after, changedLines, firstChangedLines }, or null when identical
+ */
+export function diffChangesets(before, after) {
+  const result = { before: describe(before), after: describe(after), changedLines: 0, firstChangedLines: [] };
+  if (before && after) {
+    const lines = Math.max(result.before.lines, result.after.lines);
+    for (let i = 0; i < lines; i++) {
+      if (lineAttribution(before, i) === lineAttribution(after, i)) continue;
+      result.changedLines++;
+      if (result.firstChangedLines.length < MAX_LISTED_LINES) result.firstChangedLines.push(i + 1);
+    }
+  }
+  const same = result.changedLines === 0 && JSON.stringify(result.before) === JSON.stringify(result.after);
+  return same ? null : result;
+}
@@ -0,0 +1,26 @@
+// -------- Diff Measures --------
+
+/** Value of a decoded measure, whichever of the typed value fields is set. */
+function measureValue(measure) {
+  const field = measure.value;
+  return field ? measure[field]?.value ?? null : null;
+}
+
+/**
+ * Compare measures by metric key.
+ * @returns {{ added: object[], removed: object[], changed: object[] }} Each item is { metric, before?, after? }
+ */
+export function diffMeasures(before, after) {
+  const beforeByMetric = new Map(before.map(m => [m.metricKey, measureValue(m)]));
+  const afterByMetric = new Map(after.map(m => [m.metricKey, measureValue(m)]));
+  const result = { added: [], removed: [], changed: [] };
+
+  for (const [metric, value] of afterByMetric) {
+    if (!beforeByMetric.has(metric)) result.added.push({ metric, after: value });
+    else if (JSON.stringify(beforeByMetric.get(metric)) !== JSON.stringify(value)) result.changed.push({ metric, before: beforeByMetric.get(metric), after: value });
+  }
+  for (const [metric, value] of beforeByMetric) {
+    if (!afterByMetric.has(metric)) result.removed.push({ metric, before: value });
+  }
+  return result;
+}
@@ -0,0 +1,76 @@
+// -------- Diff Scanner Reports --------
+
+import { componentIdentity } from './helpers/component-identity.js';
+import { diffBySignature, issueSignature, duplicationSignature } from './helpers/diff-by-signature.js';
+import { diffMeasures } from './helpers/diff-measures.js';
+import { diffChangesets } from './helpers/diff-changesets.js';
+
+/**
+ * Compare two decoded scanner reports component by component. Components are
+ * matched by path (files) or key (project), not by ref. Only added, removed
+ * and changed components are listed.
+ *
+ * @param {object} before - Report returned by decodeReport
+ * @param {object} after - Report returned by decodeReport
+ * @returns {object} { before, after, metadata, summary, components }
+ */
+export function diffReports(before, after) {
+  const beforeIndex = indexComponents(before);
+  const afterIndex = indexComponents(after);
+  const result = {
+    before: before.source,
+    after: after.source,
+    metadata: diffMetadata(before.metadata, after.metadata),
+    summary: { added: 0, removed: 0, changed: 0, unchanged: 0 },
+    components: [],
+  };
+
+  const identities = [...new Set([...beforeIndex.byIdentity.keys(), ...afterIndex.byIdentity.keys()])].sort();
+  for (const identity of identities) {
+    const diff = diffComponent(beforeIndex.byIdentity.get(identity), afterIndex.byIdentity.get(identity), beforeIndex, afterIndex);
+    result.summary[diff.status]++;
+    if (diff.status !== 'unchanged') result.components.push({ component: identity, ...diff });
+  }
+  return result;
+}
+
+function indexComponents(report) {
+  const byIdentity = new Map();
+  const identityByRef = new Map();
+  for (const entry of report.components) {
+    const identity = componentIdentity(entry);
+    byIdentity.set(identity, entry);
+    identityByRef.set(entry.ref, identity);
+  }
+  return { byIdentity, identityByRef };
+}
+
+function diffComponent(before, after, beforeIndex, afterIndex) {
+  if (!before) return { status: 'added', ref: after.ref };
+  if (!after) return { status: 'removed', ref: before.ref };
+
+  const diff = {
+    refs: { before: before.ref, after: after.ref },
+    issues: diffBySignature(before.issues, after.issues, issueSignature),
+    externalIssues: diffBySignature(before.externalIssues, after.externalIssues, issueSignature),
+    measures: diffMeasures(before.measures, after.measures),
+    changesets: diffChangesets(before.changesets, after.changesets),
+    duplications: diffDuplications(before.duplications, after.duplications, beforeIndex, afterIndex),
+  };
+  const changed = diff.changesets !== null
+    || [diff.issues, diff.externalIssues, diff.measures, diff.duplications].some(d => Object.values(d).some(list => list.length > 0));
+  return { status: changed ? 'changed' : 'unchanged', ...diff };
+}
+
+function diffDuplications(before, after, beforeIndex, afterIndex) {
+  const beforeSignatures = new Map(before.map(d => [d, duplicationSignature(d, beforeIndex.identityByRef)]));
+  const afterSignatures = new Map(after.map(d => [d, duplicationSignature(d, afterIndex.identityByRef)]));
+  return diffBySignature(before, after, d => beforeSignatures.get(d) ?? afterSignatures.get(d));
+}
+
+function diffMetadata(before, after) {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])].sort();
+  return fields
+    .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map(field => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+}
@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./report-archive.js`
+
+export { enableReportArchive, disableReportArchive, archiveReport } from './report-archive/index.js';
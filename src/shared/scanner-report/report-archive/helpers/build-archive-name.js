@@ -0,0 +1,14 @@
+// -------- Build Archive Name --------
+
+const sanitize = (value) => String(value).replace(/[^A-Za-z0-9._-]+/g, '_');
+
+/**
+ * File name for a saved report: upload time, project, and the branch or pull
+ * request it was submitted for, so saved zips sort by upload order.
+ */
+export function buildArchiveName(metadata, date = new Date()) {
+  const parts = [date.toISOString().replace(/[:.]/g, '-'), metadata.projectKey || 'project'];
+  if (metadata.pullRequestKey) parts.push(`pr-${metadata.pullRequestKey}`);
+  else if (metadata.branchName) parts.push(`branch-${metadata.branchName}`);
+  return `${parts.map(sanitize).join('_')}.zip`;
+}
@@ -0,0 +1,44 @@
+// -------- Report Archive --------
+
+import { mkdirSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import logger from '../../utils/logger.js';
+import { buildArchiveName } from './helpers/build-archive-name.js';
+
+let archiveDir = null;
+
+/**
+ * Save every scanner report zip the uploaders submit to `dir` from now on.
+ * Enabled by `--save-reports`; inspect the saved zips with `inspect-report`.
+ */
+export function enableReportArchive(dir) {
+  archiveDir = resolve(dir);
+  mkdirSync(archiveDir, { recursive: true });
+  logger.info(`Saving uploaded scanner reports to ${archiveDir}`);
+}
+
+export function disableReportArchive() {
+  archiveDir = null;
+}
+
+/**
+ * Write the exact zip about to be submitted. Called before submission so a
+ * report the Compute Engine rejects is kept. A failed write only warns.
+ *
+ * @param {Buffer} reportData - Scanner report zip
+ * @param {object} metadata - Upload metadata (projectKey, branchName, pullRequestKey)
+ * @returns {Promise<string|null>} Path of the saved zip, or null when archiving is off or failed
+ */
+export async function archiveReport(reportData, metadata) {
+  if (!archiveDir) return null;
+  const path = join(archiveDir, buildArchiveName(metadata));
+  try {
+    await writeFile(path, reportData);
+    logger.info(`Saved scanner report to ${path}`);
+    return path;
+  } catch (error) {
+    logger.warn(`Could not save scanner report to ${path}: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,6 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./validate-report-messages.js`
+
+export {
+  validateReportMessages, createValidationLog, reportValidationStats, recordValidationStats, REPORT_VALIDATION_MODES,
+} from './validate-report-messages/index.js';
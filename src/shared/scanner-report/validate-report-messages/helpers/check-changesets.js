@@ -0,0 +1,43 @@
+// -------- Check Changesets --------
+
+import { dropUnknownRefs } from './check-component-map.js';
+
+/**
+ * Check changesets: the component they are on, one index per line of the file,
+ * and indexes within the changeset list. Index lists are truncated, or padded
+ * with the first changeset; out-of-range indexes point to the first changeset.
+ * Changesets with no entries to point to are dropped.
+ */
+export function checkChangesets(map, index, problems) {
+  dropUnknownRefs(map, 'changesets', index, problems);
+  map?.forEach((changesets, ref) => {
+    const { path, lineCount } = index.get(ref);
+    if (changesets.copyFromPrevious) return;
+    const repair = (message) => problems.push({ section: 'changesets', component: path, message, action: 'repaired' });
+
+    if (changesets.componentRef !== ref) {
+      repair(`component ref ${changesets.componentRef} does not match the file (ref ${ref})`);
+      changesets.componentRef = ref;
+    }
+    const entries = changesets.changeset || [];
+    const indexes = changesets.changesetIndexByLine || [];
+    if (entries.length === 0) {
+      if (indexes.length > 0 || lineCount > 0) {
+        problems.push({ section: 'changesets', component: path, message: 'no changesets to attribute lines to', action: 'dropped' });
+        map.delete(ref);
+      }
+      return;
+    }
+    if (lineCount > 0 && indexes.length !== lineCount) {
+      repair(`${indexes.length} changeset index(es) for ${lineCount} line(s)`);
+      changesets.changesetIndexByLine = indexes.length > lineCount
+        ? indexes.slice(0, lineCount)
+        : [...indexes, ...new Array(lineCount - indexes.length).fill(0)];
+    }
+    const outOfRange = changesets.changesetIndexByLine.filter(i => !Number.isInteger(i) || i < 0 || i >= entries.length).length;
+    if (outOfRange > 0) {
+      repair(`${outOfRange} line(s) point past the ${entries.length} changeset(s)`);
+      changesets.changesetIndexByLine = changesets.changesetIndexByLine.map(i => (Number.isInteger(i) && i >= 0 && i < entries.length ? i : 0));
+    }
+  });
+}
@@ -0,0 +1,16 @@
+// -------- Check Component Map --------
+
+/**
+ * Drop the entries of a ref-keyed message map whose ref is not a valid component.
+ * @returns {Map|undefined} The same map
+ */
+export function dropUnknownRefs(map, section, index, problems) {
+  if (!map) return map;
+  for (const [ref, items] of [...map]) {
+    if (index.has(ref)) continue;
+    const count = Array.isArray(items) ? items.length : 1;
+    problems.push({ section, component: `ref ${ref}`, message: `${count} item(s) reference an unknown component`, action: 'dropped' });
+    map.delete(ref);
+  }
+  return map;
+}
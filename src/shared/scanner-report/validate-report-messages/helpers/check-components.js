@@ -0,0 +1,61 @@
+// -------- Check Components --------
+
+import { ValidationError } from '../../../utils/errors.js';
+
+const PROJECT = 1;
+
+/**
+ * Check component refs, the root ref and the project's children, and file line
+ * counts against their source text. Repairs in place and returns the index of
+ * valid components: ref -> { component, path, lineCount }.
+ */
+export function checkComponents(messages, problems) {
+  const index = new Map();
+  const kept = [];
+  for (const component of messages.components || []) {
+    const path = component.projectRelativePath || component.key || `ref ${component.ref}`;
+    if (!Number.isInteger(component.ref) || component.ref < 1) {
+      problems.push({ section: 'components', component: path, message: `invalid ref ${component.ref}`, action: 'dropped' });
+    } else if (index.has(component.ref)) {
+      problems.push({ section: 'components', component: path, message: `ref ${component.ref} already used by ${index.get(component.ref).path}`, action: 'dropped' });
+    } else {
+      index.set(component.ref, { component, path, lineCount: component.lines || 0 });
+      kept.push(component);
+    }
+  }
+  messages.components = kept;
+
+  const project = kept.find(c => c.type === PROJECT);
+  if (!project) throw new ValidationError('Scanner report has no PROJECT component; it cannot be repaired');
+  if (messages.metadata && messages.metadata.rootComponentRef !== project.ref) {
+    problems.push({ section: 'metadata', component: index.get(project.ref).path, message: `root component ref ${messages.metadata.rootComponentRef} is not the project (ref ${project.ref})`, action: 'repaired' });
+    messages.metadata.rootComponentRef = project.ref;
+  }
+
+  const children = project.childRef || [];
+  const validChildren = [...new Set(children)].filter(ref => index.has(ref) && ref !== project.ref);
+  if (validChildren.length !== children.length) {
+    problems.push({ section: 'components', component: index.get(project.ref).path, message: `${children.length - validChildren.length} child ref(s) are unknown or repeated`, action: 'repaired' });
+    project.childRef = validChildren;
+  }
+
+  checkSourceFiles(messages, index, problems);
+  return index;
+}
+
+function checkSourceFiles(messages, index, problems) {
+  messages.sourceFiles = (messages.sourceFiles || []).filter(sourceFile => {
+    const entry = index.get(sourceFile.componentRef);
+    if (!entry) {
+      problems.push({ section: 'sourceFiles', component: `ref ${sourceFile.componentRef}`, message: 'source text for an unknown component', action: 'dropped' });
+      return false;
+    }
+    const lineCount = sourceFile.lines.length;
+    if (entry.component.lines !== lineCount) {
+      problems.push({ section: 'components', component: entry.path, message: `declares ${entry.component.lines ?? 0} line(s) but its source has ${lineCount}`, action: 'repaired' });
+      entry.component.lines = lineCount;
+    }
+    entry.lineCount = lineCount;
+    return true;
+  });
+}
@@ -0,0 +1,34 @@
+// -------- Check Duplications --------
+
+import { textRangeProblem } from './text-range-problem.js';
+import { dropUnknownRefs } from './check-component-map.js';
+
+/**
+ * Check duplications: the origin block against its file, and each duplicate
+ * against the file it is in (`otherFileRef` 0 is the same file). Invalid
+ * duplicates are dropped, then duplications left without any.
+ */
+export function checkDuplications(map, index, problems) {
+  dropUnknownRefs(map, 'duplications', index, problems);
+  map?.forEach((duplications, ref) => {
+    const { path, lineCount } = index.get(ref);
+    const kept = duplications.filter(duplication => {
+      const originProblem = textRangeProblem(duplication.originPosition || {}, lineCount);
+      if (originProblem) {
+        problems.push({ section: 'duplications', component: path, message: `origin block: ${originProblem}`, action: 'dropped' });
+        return false;
+      }
+      duplication.duplicate = (duplication.duplicate || []).filter(duplicate => {
+        const target = duplicate.otherFileRef ? index.get(duplicate.otherFileRef) : index.get(ref);
+        const problem = !target
+          ? `duplicate in unknown component ref ${duplicate.otherFileRef}`
+          : textRangeProblem(duplicate.range || {}, target.lineCount);
+        if (problem) problems.push({ section: 'duplications', component: path, message: `duplicate block: ${problem}`, action: 'dropped' });
+        return !problem;
+      });
+      return duplication.duplicate.length > 0;
+    });
+    if (kept.length > 0) map.set(ref, kept);
+    else map.delete(ref);
+  });
+}
@@ -0,0 +1,40 @@
+// -------- Check Issues --------
+
+import { textRangeProblem } from './text-range-problem.js';
+import { dropUnknownRefs } from './check-component-map.js';
+
+/**
+ * Check issues or external issues: the component they are on, their text
+ * range, and every secondary location. An invalid primary range is removed,
+ * which keeps the issue as a file-level issue; invalid locations are dropped.
+ */
+export function checkIssues(map, section, index, problems) {
+  dropUnknownRefs(map, section, index, problems);
+  map?.forEach((issues, ref) => {
+    const { path, lineCount } = index.get(ref);
+    for (const issue of issues) {
+      const rule = issue.ruleKey ? `${issue.ruleRepository}:${issue.ruleKey}` : `${issue.engineId}:${issue.ruleId}`;
+      const problem = issue.textRange && textRangeProblem(issue.textRange, lineCount);
+      if (problem) {
+        problems.push({ section, component: path, message: `${rule}: ${problem}`, action: 'repaired' });
+        delete issue.textRange;
+      }
+      if (issue.flow) checkFlows(issue, rule, section, path, ref, index, problems);
+    }
+  });
+}
+
+function checkFlows(issue, rule, section, path, ref, index, problems) {
+  for (const flow of issue.flow) {
+    flow.location = (flow.location || []).filter(location => {
+      const locationRef = location.componentRef || ref;
+      const target = index.get(locationRef);
+      const problem = !target
+        ? `secondary location on unknown component ref ${locationRef}`
+        : location.textRange && textRangeProblem(location.textRange, target.lineCount);
+      if (problem) problems.push({ section, component: path, message: `${rule}: ${problem}`, action: 'dropped' });
+      return !problem;
+    });
+  }
+  issue.flow = issue.flow.filter(flow => flow.location.length > 0);
+}
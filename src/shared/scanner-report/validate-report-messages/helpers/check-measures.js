@@ -0,0 +1,19 @@
+// -------- Check Measures --------
+
+import { dropUnknownRefs } from './check-component-map.js';
+
+/** Check measures: the component they are on, and one measure per metric and component. */
+export function checkMeasures(map, index, problems) {
+  dropUnknownRefs(map, 'measures', index, problems);
+  map?.forEach((measures, ref) => {
+    const seen = new Set();
+    map.set(ref, measures.filter(measure => {
+      if (!seen.has(measure.metricKey)) {
+        seen.add(measure.metricKey);
+        return true;
+      }
+      problems.push({ section: 'measures', component: index.get(ref).path, message: `metric ${measure.metricKey} is set more than once`, action: 'dropped' });
+      return false;
+    }));
+  });
+}
@@ -0,0 +1,16 @@
+// -------- Text Range Problem --------
+
+/**
+ * Describe what is wrong with a text range, or return null when it is valid.
+ * @param {object} range - { startLine, endLine, startOffset, endOffset }
+ * @param {number} lineCount - Lines in the file; 0 when unknown, which skips the bound check
+ */
+export function textRangeProblem(range, lineCount) {
+  const start = range.startLine ?? 0;
+  const end = range.endLine ?? 0;
+  if (start < 1) return `text range starts at line ${start}`;
+  if (end < start) return `text range ends at line ${end}, before its start line ${start}`;
+  if (start === end && (range.endOffset ?? 0) < (range.startOffset ?? 0)) return `text range on line ${start} ends at offset ${range.endOffset ?? 0}, before its start offset ${range.startOffset}`;
+  if (lineCount > 0 && end > lineCount) return `text range ends at line ${end}, beyond the file's ${lineCount} line(s)`;
+  return null;
+}
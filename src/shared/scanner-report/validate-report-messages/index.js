@@ -0,0 +1,81 @@
+// -------- Validate Report Messages --------
+
+import logger from '../../utils/logger.js';
+import { ValidationError } from '../../utils/errors.js';
+import { checkComponents } from './helpers/check-components.js';
+import { checkIssues } from './helpers/check-issues.js';
+import { checkMeasures } from './helpers/check-measures.js';
+import { checkDuplications } from './helpers/check-duplications.js';
+import { checkChangesets } from './helpers/check-changesets.js';
+import { dropUnknownRefs } from './helpers/check-component-map.js';
+
+export const REPORT_VALIDATION_MODES = ['strict', 'lenient', 'off'];
+
+const MAX_LISTED_PROBLEMS = 100;
+
+/** Problems found across the reports of one branch; batched transfers share one log. */
+export function createValidationLog(mode = 'lenient') {
+  return { mode, repaired: 0, dropped: 0, problems: [] };
+}
+
+/**
+ * Check the referential integrity of built scanner report messages before they
+ * are encoded: component refs, issue and external issue ranges, measures,
+ * duplications and changesets. The Compute Engine rejects these problems only
+ * after the upload, asynchronously.
+ *
+ * In lenient mode offending items are repaired or dropped in place and listed
+ * in `log`; in strict mode any problem throws. A report without a project
+ * component cannot be repaired and throws in both modes.
+ *
+ * @param {object} messages - Output of the pipeline's builder `buildAll()`
+ * @param {object} [options]
+ * @param {string} [options.mode] - 'strict', 'lenient' (default) or 'off'
+ * @param {string} [options.label] - Log prefix, usually the branch or pull request
+ * @param {object} [options.log] - Log from createValidationLog() to add problems to
+ * @returns {object} The log
+ */
+export function validateReportMessages(messages, { mode = 'lenient', label = '', log = createValidationLog(mode) } = {}) {
+  if (mode === 'off') return log;
+  const prefix = label ? `[${label}] ` : '';
+  const problems = [];
+
+  const index = checkComponents(messages, problems);
+  checkIssues(messages.issuesByComponent, 'issues', index, problems);
+  checkIssues(messages.externalIssuesByComponent, 'externalIssues', index, problems);
+  checkMeasures(messages.measuresByComponent, index, problems);
+  checkDuplications(messages.duplicationsByComponent, index, problems);
+  checkChangesets(messages.changesetsByComponent, index, problems);
+  dropUnknownRefs(messages.syntaxHighlightingsByComponent, 'syntaxHighlightings', index, problems);
+  dropUnknownRefs(messages.symbolsByComponent, 'symbols', index, problems);
+  dropUnknownRefs(messages.coveragesByComponent, 'coverages', index, problems);
+
+  if (problems.length === 0) return log;
+  const describe = (p) => `${p.component}: ${p.message}`;
+  if (mode === 'strict') {
+    const shown = problems.slice(0, 5).map(describe).join('; ');
+    const more = problems.length > 5 ? ` (and ${problems.length - 5} more)` : '';
+    throw new ValidationError(`${prefix}Scanner report failed structural validation with ${problems.length} problem(s): ${shown}${more}`, problems.map(describe));
+  }
+
+  for (const problem of problems) {
+    log[problem.action] += 1;
+    if (log.problems.length < MAX_LISTED_PROBLEMS) log.problems.push(problem);
+    logger.debug(`${prefix}Report validation (${problem.section}) ${problem.action} ${describe(problem)}`);
+  }
+  const repaired = problems.filter(p => p.action === 'repaired').length;
+  logger.warn(`${prefix}Scanner report validation repaired ${repaired} and dropped ${problems.length - repaired} item(s); see the branch stats for the list`);
+  return log;
+}
+
+/** Branch stats entry for a validation log; empty when the reports needed no changes. */
+export function reportValidationStats(log) {
+  return log && log.repaired + log.dropped > 0 ? { reportValidation: log } : {};
+}
+
+/** List a branch's validation problems in the transfer's aggregated stats. */
+export function recordValidationStats(aggregatedStats, branchName, branchStats) {
+  if (!branchStats?.reportValidation) return;
+  if (!aggregatedStats.reportValidation) aggregatedStats.reportValidation = [];
+  aggregatedStats.reportValidation.push({ branch: branchName, ...branchStats.reportValidation });
+}
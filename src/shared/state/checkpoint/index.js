@@ -7,6 +7,7 @@ import { isPhaseCompleted, createStartedPhase, createCompletedPhase, createFaile
 import { getBranchStatus, createStartedBranch, createCompletedBranch, createFailedBranch } from './helpers/branch-tracking.js';
 import { isBranchPhaseCompleted, startBranchPhase as doStartBranchPhase, failBranchPhase as doFailBranchPhase } from './helpers/branch-phase-tracking.js';
 import { initializeJournal } from './helpers/do-initialize.js';
+import { emitEvent } from '../../utils/events.js';
 
 export { createCheckpointJournal };
 export { CheckpointJournal } from './helpers/class-wrapper.js';
@@ -16,6 +17,7 @@ function createCheckpointJournal(journalPath) {
   const storage = new StateStorage(journalPath);
   const withLock = createWriteLock();
   let journal = null;
+  const emit = (type, data) => emitEvent(type, { project: journal?.sessionFingerprint?.projectKey || null, ...data });
 
   const self = {
     get journalPath() { return journalPath; },
@@ -25,19 +27,19 @@ function createCheckpointJournal(journalPath) {
     async validateFingerprint(current) { validateFingerprint(journal.sessionFingerprint, current, journal.cloudvoyagerVersion); },
     checkStrictResume(strict) { if (strict) logger.info('Strict resume mode: fingerprint validation passed'); },
     isPhaseCompleted(name) { return isPhaseCompleted(journal, name); },
-    async startPhase(name) { return withLock(async () => { journal.phases[name] = createStartedPhase(name); await self._saveUnsafe(); }); },
-    async completePhase(name, meta) { return withLock(async () => { journal.phases[name] = createCompletedPhase(journal.phases[name], meta); await self._saveUnsafe(); }); },
-    async failPhase(name, error) { return withLock(async () => { journal.phases[name] = createFailedPhase(journal.phases[name], error); await self._saveUnsafe(); }); },
+    async startPhase(name) { return withLock(async () => { journal.phases[name] = createStartedPhase(name); await self._saveUnsafe(); emit('phase.start', { phase: name }); }); },
+    async completePhase(name, meta) { return withLock(async () => { journal.phases[name] = createCompletedPhase(journal.phases[name], meta); await self._saveUnsafe(); emit('phase.end', { phase: name, status: 'completed' }); }); },
+    async failPhase(name, error) { return withLock(async () => { journal.phases[name] = createFailedPhase(journal.phases[name], error); await self._saveUnsafe(); emit('phase.end', { phase: name, status: 'failed', error }); }); },
     getResumePoint() { for (const [n, p] of Object.entries(journal.phases)) { if (p.status !== 'completed') return n; } return null; },
     getBranchStatus(name) { return getBranchStatus(journal, name); },
-    async startBranch(name) { return withLock(async () => { journal.branches[name] = createStartedBranch(); await self._saveUnsafe(); }); },
-    async markBranchCompleted(name, ceTaskId = null) { return withLock(async () => { journal.branches[name] = createCompletedBranch(journal.branches[name], ceTaskId); await self._saveUnsafe(); }); },
-    async markBranchFailed(name, error) { return withLock(async () => { journal.branches[name] = createFailedBranch(journal.branches[name], error); await self._saveUnsafe(); }); },
+    async startBranch(name) { return withLock(async () => { journal.branches[name] = createStartedBranch(); await self._saveUnsafe(); emit('branch.start', { branch: name }); }); },
+    async markBranchCompleted(name, ceTaskId = null) { return withLock(async () => { journal.branches[name] = createCompletedBranch(journal.branches[name], ceTaskId); await self._saveUnsafe(); emit('branch.complete', { branch: name, ceTaskId }); }); },
+    async markBranchFailed(name, error) { return withLock(async () => { journal.branches[name] = createFailedBranch(journal.branches[name], error); await self._saveUnsafe(); emit('branch.fail', { branch: name, error }); }); },
     isBranchPhaseCompleted(branch, phase) { return isBranchPhaseCompleted(journal, branch, phase); },
     async startBranchPhase(branch, phase) { return withLock(async () => { doStartBranchPhase(journal, branch, phase); await self._saveUnsafe(); }); },
     async failBranchPhase(branch, phase, error) { return withLock(async () => { doFailBranchPhase(journal, branch, phase, error); await self._saveUnsafe(); }); },
     async completeBranchPhase(branch, phase) { return withLock(async () => { if (journal.branches[branch]?.phases) { journal.branches[branch].phases[phase] = { status: 'completed', completedAt: new Date().toISOString() }; } await self._saveUnsafe(); }); },
-    async recordUpload(branch, taskId) { return withLock(async () => { journal.uploadedCeTasks[branch] = { taskId, submittedAt: new Date().toISOString() }; await self._saveUnsafe(); }); },
+    async recordUpload(branch, taskId) { return withLock(async () => { journal.uploadedCeTasks[branch] = { taskId, submittedAt: new Date().toISOString() }; await self._saveUnsafe(); emit('ce.task', { branch, taskId }); }); },
     getUploadedCeTask(branch) { return journal.uploadedCeTasks[branch] || null; },
     async markInterrupted() { return withLock(async () => { if (journal) { journal.status = 'interrupted'; await self._saveUnsafe(); } }); },
     async markCompleted() { return withLock(async () => { journal.status = 'completed'; journal.completedAt = new Date().toISOString(); await self._saveUnsafe(); }); },
@@ -1,4 +1,4 @@
 // -------- Re-export Shim --------
 // Preserves import path compatibility for `./extraction-cache.js`
 
-export { ExtractionCache, createExtractionCache } from './extraction-cache/index.js';
+export { ExtractionCache, createExtractionCache, toSerializable, fromSerializable } from './extraction-cache/index.js';
@@ -11,6 +11,7 @@ import { purgeStale } from './helpers/purge-stale.js';
 
 export { createExtractionCache };
 export { ExtractionCache } from './helpers/class-wrapper.js';
+export { toSerializable, fromSerializable } from './helpers/serialize.js';
 
 const DEFAULT_MAX_AGE_DAYS = 7;
 
@@ -13,7 +13,7 @@ export class MigrationJournal {
 const delegatedMethods = [
   'initialize', 'seedOrganizations', 'ensureOrg',
   'isOrgWideCompleted', 'markOrgWideCompleted', 'markOrgCompleted',
-  'getProjectStatus', 'getProjectLastStep', 'isProjectStepCompleted',
+  'getProjectStatus', 'getProjectLastStep', 'getProjectScKey', 'isProjectStepCompleted',
   'startProject', 'completeProjectStep', 'markProjectCompleted', 'markProjectFailed',
   'markInterrupted', 'markCompleted', 'save', 'exists', 'peek', 'clear', 'getData',
 ];
@@ -1,5 +1,7 @@
 // -------- Complete Project Step --------
 
+import { emitEvent } from '../../../utils/events.js';
+
 export async function doCompleteStep(withLock, journal, orgKey, projKey, step, self) {
   return withLock(async () => {
     const project = journal.organizations[orgKey]?.projects?.[projKey];
@@ -7,5 +9,6 @@ export async function doCompleteStep(withLock, journal, orgKey, projKey, step, s
     if (!project.completedSteps) project.completedSteps = [];
     if (!project.completedSteps.includes(step)) project.completedSteps.push(step);
     await self._saveUnsafe();
+    emitEvent('project.step', { organization: orgKey, project: projKey, step });
   });
 }
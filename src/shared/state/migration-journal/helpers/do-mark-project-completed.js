@@ -1,10 +1,14 @@
 // -------- Mark Project Completed --------
 
+import { emitEvent } from '../../../utils/events.js';
+import { getProjectProgress } from './project-tracking.js';
+
 export async function doMarkProjectCompleted(withLock, journal, orgKey, projKey, self) {
   return withLock(async () => {
     if (!journal.organizations[orgKey]?.projects?.[projKey]) return;
     journal.organizations[orgKey].projects[projKey].status = 'completed';
     journal.organizations[orgKey].projects[projKey].completedAt = new Date().toISOString();
     await self._saveUnsafe();
+    emitEvent('project.complete', { organization: orgKey, project: projKey, progress: getProjectProgress(journal) });
   });
 }
@@ -1,5 +1,8 @@
 // -------- Mark Project Failed --------
 
+import { emitEvent } from '../../../utils/events.js';
+import { getProjectProgress } from './project-tracking.js';
+
 export async function doMarkProjectFailed(withLock, journal, orgKey, projKey, error, self) {
   return withLock(async () => {
     if (!journal.organizations[orgKey]?.projects?.[projKey]) return;
@@ -7,5 +10,6 @@ export async function doMarkProjectFailed(withLock, journal, orgKey, projKey, er
     journal.organizations[orgKey].projects[projKey].error = error;
     journal.organizations[orgKey].projects[projKey].failedAt = new Date().toISOString();
     await self._saveUnsafe();
+    emitEvent('project.fail', { organization: orgKey, project: projKey, error, progress: getProjectProgress(journal) });
   });
 }
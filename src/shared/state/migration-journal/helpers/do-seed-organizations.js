@@ -1,6 +1,8 @@
 // -------- Seed Organizations --------
 
 import { ensureOrgUnsafe } from './org-tracking.js';
+import { getProjectProgress } from './project-tracking.js';
+import { emitEvent } from '../../../utils/events.js';
 
 export async function doSeedOrganizations(withLock, journal, orgAssignments, self) {
   return withLock(async () => {
@@ -14,5 +16,6 @@ export async function doSeedOrganizations(withLock, journal, orgAssignments, sel
       }
     }
     await self._saveUnsafe();
+    emitEvent('counts', { organizations: orgAssignments.length, ...getProjectProgress(journal) });
   });
 }
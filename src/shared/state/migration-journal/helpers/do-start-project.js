@@ -1,15 +1,18 @@
 // -------- Start Project --------
 
 import { ensureOrgUnsafe } from './org-tracking.js';
+import { emitEvent } from '../../../utils/events.js';
 
-export async function doStartProject(withLock, journal, orgKey, projKey, self) {
+export async function doStartProject(withLock, journal, orgKey, projKey, self, scProjectKey = null) {
   return withLock(async () => {
     ensureOrgUnsafe(journal, orgKey);
     journal.organizations[orgKey].projects[projKey] = {
       status: 'in_progress',
       startedAt: new Date().toISOString(),
       completedSteps: [],
+      ...(scProjectKey && { scProjectKey }),
     };
     await self._saveUnsafe();
+    emitEvent('project.start', { organization: orgKey, project: projKey, scProject: scProjectKey });
   });
 }
@@ -5,6 +5,11 @@ export function getProjectStatus(journal, orgKey, projectKey) {
   return journal.organizations[orgKey]?.projects?.[projectKey]?.status;
 }
 
+// Get the SonarCloud key a project was migrated under (recorded at start)
+export function getProjectScKey(journal, orgKey, projectKey) {
+  return journal.organizations[orgKey]?.projects?.[projectKey]?.scProjectKey || null;
+}
+
 // Get the last completed step for an in-progress project
 export function getProjectLastStep(journal, orgKey, projectKey) {
   const project = journal.organizations[orgKey]?.projects?.[projectKey];
@@ -33,3 +38,16 @@ export function isProjectStepCompleted(journal, orgKey, projectKey, stepName, st
   if (lastIdx === -1 || currentIdx === -1) return false;
   return currentIdx <= lastIdx;
 }
+
+// Count projects by status across all organizations (ETA input for progress consumers)
+export function getProjectProgress(journal) {
+  const progress = { total: 0, completed: 0, failed: 0 };
+  for (const org of Object.values(journal?.organizations || {})) {
+    for (const project of Object.values(org.projects || {})) {
+      progress.total++;
+      if (project.status === 'completed') progress.completed++;
+      else if (project.status === 'failed') progress.failed++;
+    }
+  }
+  return progress;
+}
@@ -3,13 +3,14 @@
 import { StateStorage } from '../storage.js';
 import { createWriteLock } from './helpers/with-lock.js';
 import { ensureOrgUnsafe, isOrgWideCompleted } from './helpers/org-tracking.js';
-import { getProjectStatus, getProjectLastStep, isProjectStepCompleted } from './helpers/project-tracking.js';
+import { getProjectStatus, getProjectLastStep, getProjectScKey, isProjectStepCompleted, getProjectProgress } from './helpers/project-tracking.js';
 import { doInitialize } from './helpers/do-initialize.js';
 import { doSeedOrganizations } from './helpers/do-seed-organizations.js';
 import { doStartProject } from './helpers/do-start-project.js';
 import { doCompleteStep } from './helpers/do-complete-step.js';
 import { doMarkProjectCompleted } from './helpers/do-mark-project-completed.js';
 import { doMarkProjectFailed } from './helpers/do-mark-project-failed.js';
+import { emitEvent } from '../../utils/events.js';
 
 export { createMigrationJournal };
 export { MigrationJournal } from './helpers/class-wrapper.js';
@@ -26,19 +27,20 @@ function createMigrationJournal(journalPath) {
     get journal() { return journal; },
     async initialize(meta = {}) { return doInitialize(storage, withLock, meta, self, j => { journal = j; }); },
     async seedOrganizations(orgAssignments) { return doSeedOrganizations(withLock, journal, orgAssignments, self); },
-    async ensureOrg(orgKey) { return withLock(async () => { ensureOrgUnsafe(journal, orgKey); await self._saveUnsafe(); }); },
+    async ensureOrg(orgKey) { return withLock(async () => { ensureOrgUnsafe(journal, orgKey); await self._saveUnsafe(); emitEvent('phase.start', { phase: 'organization', organization: orgKey }); }); },
     isOrgWideCompleted(orgKey) { return isOrgWideCompleted(journal, orgKey); },
-    async markOrgWideCompleted(orgKey) { return withLock(async () => { ensureOrgUnsafe(journal, orgKey); journal.organizations[orgKey].orgWideResources = 'completed'; journal.organizations[orgKey].status = 'in_progress'; await self._saveUnsafe(); }); },
-    async markOrgCompleted(orgKey) { return withLock(async () => { if (journal.organizations[orgKey]) { journal.organizations[orgKey].status = 'completed'; journal.organizations[orgKey].completedAt = new Date().toISOString(); await self._saveUnsafe(); } }); },
+    async markOrgWideCompleted(orgKey) { return withLock(async () => { ensureOrgUnsafe(journal, orgKey); journal.organizations[orgKey].orgWideResources = 'completed'; journal.organizations[orgKey].status = 'in_progress'; await self._saveUnsafe(); emitEvent('phase.end', { phase: 'org-wide-resources', organization: orgKey, status: 'completed' }); }); },
+    async markOrgCompleted(orgKey) { return withLock(async () => { if (journal.organizations[orgKey]) { journal.organizations[orgKey].status = 'completed'; journal.organizations[orgKey].completedAt = new Date().toISOString(); await self._saveUnsafe(); emitEvent('phase.end', { phase: 'organization', organization: orgKey, status: 'completed' }); } }); },
     getProjectStatus(orgKey, projKey) { return getProjectStatus(journal, orgKey, projKey); },
     getProjectLastStep(orgKey, projKey) { return getProjectLastStep(journal, orgKey, projKey); },
+    getProjectScKey(orgKey, projKey) { return getProjectScKey(journal, orgKey, projKey); },
     isProjectStepCompleted(orgKey, projKey, step, order) { return isProjectStepCompleted(journal, orgKey, projKey, step, order); },
-    async startProject(orgKey, projKey) { return doStartProject(withLock, journal, orgKey, projKey, self); },
+    async startProject(orgKey, projKey, scProjectKey) { return doStartProject(withLock, journal, orgKey, projKey, self, scProjectKey); },
     async completeProjectStep(orgKey, projKey, step) { return doCompleteStep(withLock, journal, orgKey, projKey, step, self); },
     async markProjectCompleted(orgKey, projKey) { return doMarkProjectCompleted(withLock, journal, orgKey, projKey, self); },
     async markProjectFailed(orgKey, projKey, error) { return doMarkProjectFailed(withLock, journal, orgKey, projKey, error, self); },
     async markInterrupted() { return withLock(async () => { if (journal) { journal.status = 'interrupted'; await self._saveUnsafe(); } }); },
-    async markCompleted() { return withLock(async () => { journal.status = 'completed'; journal.completedAt = new Date().toISOString(); await self._saveUnsafe(); }); },
+    async markCompleted() { return withLock(async () => { journal.status = 'completed'; journal.completedAt = new Date().toISOString(); await self._saveUnsafe(); emitEvent('phase.end', { phase: 'migration', status: 'completed', progress: getProjectProgress(journal) }); }); },
     async _saveUnsafe() { await storage.save(journal); },
     async save() { return withLock(async () => { await storage.save(journal); }); },
     exists() { return storage.exists(); },
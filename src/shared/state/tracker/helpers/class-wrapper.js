@@ -15,6 +15,7 @@ const delegatedMethods = [
   'markIssuesProcessed', 'isBranchCompleted', 'markBranchCompleted',
   'updateLastSync', 'addSyncHistory', 'save', 'saveAfterBranch',
   'releaseLock', 'reset', 'getSummary', 'recordTransfer',
+  'getSyncHighWaterMark', 'recordDeltaSync',
 ];
 
 for (const method of delegatedMethods) {
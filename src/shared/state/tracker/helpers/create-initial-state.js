@@ -7,6 +7,7 @@
 export function createInitialState() {
   return {
     lastSync: null,
+    syncHighWaterMark: null,
     processedIssues: [],
     completedBranches: [],
     syncHistory: [],
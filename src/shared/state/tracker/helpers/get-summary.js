@@ -3,6 +3,7 @@
 export function getSummary(state) {
   return {
     lastSync: state.lastSync,
+    syncHighWaterMark: state.syncHighWaterMark || null,
     processedIssuesCount: state.processedIssues.length,
     completedBranchesCount: state.completedBranches.length,
     syncHistoryCount: state.syncHistory.length,
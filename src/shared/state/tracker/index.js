@@ -38,6 +38,9 @@ function createStateTracker(stateFilePath) {
     async reset() { logger.info('Resetting state...'); state = createInitialState(); processedIssuesSet.clear(); completedBranchesSet.clear(); await storage.clear(); await lock.release(); logger.info('State reset complete'); },
     getSummary() { return getSummary(state); },
     async recordTransfer(stats) { return withLock(async () => { self.updateLastSync(); self.addSyncHistory({ success: true, stats }); await storage.save(state); logger.info('Transfer recorded in state'); }); },
+    // A project migrated before delta sync existed falls back to its last transfer
+    getSyncHighWaterMark() { return state.syncHighWaterMark || state.lastSync; },
+    async recordDeltaSync(mark, stats) { return withLock(async () => { state.syncHighWaterMark = mark; self.addSyncHistory({ mode: 'sync-delta', success: true, stats }); await storage.save(state); logger.info(`Delta sync high-water mark moved to: ${mark}`); }); },
   };
   return self;
 }
@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { buildHistorySnapshots, buildHistoryData } from './analysis-history/index.js';
@@ -0,0 +1,17 @@
+// -------- Build History Data --------
+
+/**
+ * Derive the extracted data for one replayed analysis from the main branch snapshot.
+ * Files and sources are today's; issues are left out so they are only raised once, by the
+ * current snapshot, and the recorded project measures ride along as `projectMeasures`.
+ *
+ * @param {object} extractedData - Main branch extracted data (not modified)
+ * @param {object} snapshot      - Entry from buildHistorySnapshots()
+ * @returns {object} Extracted data dated at the historical analysis
+ */
+export function buildHistoryData(extractedData, snapshot) {
+  const metadata = { ...extractedData.metadata, extractedAt: snapshot.date };
+  delete metadata.scmRevisionId;
+  if (snapshot.revision) metadata.scmRevisionId = snapshot.revision;
+  return { ...extractedData, issues: [], projectMeasures: snapshot.measures, metadata };
+}
@@ -0,0 +1,45 @@
+// -------- Build History Snapshots --------
+
+/**
+ * Turn SonarQube's analysis history into the list of backdated analyses to replay, oldest first.
+ * The most recent analysis is left out: it is what the current snapshot already represents.
+ *
+ * Only `OTHER` events are kept — version events come back from `projectVersion`, and
+ * quality gate / profile events are recomputed by SonarCloud.
+ *
+ * @param {Array<object>} analyses           - Analyses from /api/project_analyses/search
+ * @param {Array<object>} measureHistory     - Entries from /api/measures/search_history (may repeat a metric across pages)
+ * @param {object} [options]
+ * @param {number} [options.maxAnalyses=10]  - Keep only this many of the most recent past analyses
+ * @returns {Array<{ date: string, projectVersion: string|null, revision: string|null, events: string[], measures: Array<{ metric: string, value: string }> }>}
+ */
+export function buildHistorySnapshots(analyses, measureHistory, { maxAnalyses = 10 } = {}) {
+  const valuesByMetric = new Map();
+  for (const { metric, history = [] } of measureHistory) {
+    if (!valuesByMetric.has(metric)) valuesByMetric.set(metric, new Map());
+    const byDate = valuesByMetric.get(metric);
+    for (const point of history) {
+      if (point.value !== undefined) byDate.set(new Date(point.date).getTime(), point.value);
+    }
+  }
+
+  const ordered = [...analyses]
+    .filter(a => a.date)
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .slice(0, -1);
+
+  return ordered.slice(-maxAnalyses).map(analysis => {
+    const time = new Date(analysis.date).getTime();
+    const measures = [];
+    for (const [metric, byDate] of valuesByMetric) {
+      if (byDate.has(time)) measures.push({ metric, value: byDate.get(time) });
+    }
+    return {
+      date: analysis.date,
+      projectVersion: analysis.projectVersion || null,
+      revision: analysis.revision || null,
+      events: (analysis.events || []).filter(e => e.category === 'OTHER').map(e => e.name),
+      measures,
+    };
+  });
+}
@@ -0,0 +1,3 @@
+// -------- Analysis History --------
+export { buildHistorySnapshots } from './helpers/build-history-snapshots.js';
+export { buildHistoryData } from './helpers/build-history-data.js';
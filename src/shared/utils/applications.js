@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { normalizeApplicationProjects, planApplicationPortfolios, listBranchSelections } from './applications/index.js';
@@ -0,0 +1,25 @@
+// -------- List Branch Selections --------
+
+/**
+ * Portfolios created through the Enterprise V2 API only select main branches.
+ * List every application selection that cannot be reproduced: non-main
+ * project branches of the application's main branch, and every project of
+ * the application's other branches.
+ *
+ * @param {Array<object>} applications - Extracted applications
+ * @returns {Array<{application: string, applicationBranch: string|null, project: string, projectBranch: string|null}>}
+ */
+export function listBranchSelections(applications) {
+  const selections = [];
+  for (const app of applications) {
+    for (const p of app.projects) {
+      if (!p.isMainBranch) selections.push({ application: app.name, applicationBranch: null, project: p.key, projectBranch: p.branch });
+    }
+    for (const branch of app.branches || []) {
+      for (const p of branch.projects) {
+        selections.push({ application: app.name, applicationBranch: branch.name, project: p.key, projectBranch: p.branch });
+      }
+    }
+  }
+  return selections;
+}
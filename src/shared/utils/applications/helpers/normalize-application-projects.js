@@ -0,0 +1,17 @@
+// -------- Normalize Application Projects --------
+
+/**
+ * Normalize the `projects` of `/api/applications/show` to the project branch
+ * each application branch selects.
+ *
+ * @param {Array<object>} [projects] - `application.projects` from `/api/applications/show`
+ * @returns {Array<{key: string, name: string, branch: string|null, isMainBranch: boolean}>}
+ */
+export function normalizeApplicationProjects(projects) {
+  return (projects || []).map(p => ({
+    key: p.key,
+    name: p.name || p.key,
+    branch: p.branch || null,
+    isMainBranch: p.isMain !== false,
+  }));
+}
@@ -0,0 +1,26 @@
+// -------- Plan Application Portfolios --------
+
+/**
+ * SonarCloud has no applications, so each one is recreated as an enterprise
+ * portfolio selecting the projects of its main branch. The portfolio keeps the
+ * application name, suffixed with "(application)" when a SonarQube portfolio
+ * already uses that name.
+ *
+ * @param {Array<object>} applications  - Extracted applications
+ * @param {Array<object>} [portfolios]  - Extracted portfolios, to avoid name clashes
+ * @returns {Array<object>} Portfolios in the shape expected by migratePortfolios (see planPortfolios)
+ */
+export function planApplicationPortfolios(applications, portfolios = []) {
+  const portfolioNames = new Set(portfolios.map(p => p.name));
+  return applications.map(app => ({
+    key: app.key,
+    name: portfolioNames.has(app.name) ? `${app.name} (application)` : app.name,
+    description: app.description || '',
+    selectionMode: 'MANUAL',
+    parent: null,
+    application: app.key,
+    projects: app.projects.map(p => ({ key: p.key })),
+    excludedProjects: [],
+    inheritedFrom: [],
+  }));
+}
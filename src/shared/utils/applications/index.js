@@ -0,0 +1,4 @@
+// -------- Applications --------
+export { normalizeApplicationProjects } from './helpers/normalize-application-projects.js';
+export { planApplicationPortfolios } from './helpers/plan-application-portfolios.js';
+export { listBranchSelections } from './helpers/list-branch-selections.js';
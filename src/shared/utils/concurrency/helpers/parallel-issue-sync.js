@@ -1,6 +1,9 @@
 import { Worker } from 'node:worker_threads';
 import logger from '../../logger.js';
 import { createProgressLogger } from './create-progress-logger.js';
+import { planCommentSync, hasComment } from '../../issue-sync/plan-comment-sync.js';
+import { planOverrideSync } from '../../issue-sync/plan-override-sync.js';
+import { buildIssueSourceComment } from '../../source-link/build-source-comments.js';
 
 // -------- Parallel Issue Sync --------
 
@@ -97,11 +100,25 @@ async function syncIssueAssignment(sqIssue, scIssue, userMappingsMap, stats) {
   }
 }
 
-async function syncIssueComments(sqIssue, scIssue, stats) {
-  const comments = sqIssue.comments || [];
-  for (const comment of comments) {
+async function applyOverride(path, params, counter, stats) {
+  try {
+    await scPost(path, params);
+    stats[counter]++;
+  } catch { stats.overrideFailed++; }
+}
+
+async function syncIssueOverrides(overridePlan, scIssue, stats) {
+  if (overridePlan.type) await applyOverride('/api/issues/set_type', { issue: scIssue.key, type: overridePlan.type }, 'typeOverridden', stats);
+  if (overridePlan.severity) await applyOverride('/api/issues/set_severity', { issue: scIssue.key, severity: overridePlan.severity }, 'severityOverridden', stats);
+  for (const impact of overridePlan.impacts) {
+    await applyOverride('/api/issues/set_severity', { issue: scIssue.key, impact: impact.softwareQuality + '=' + impact.severity }, 'impactOverridden', stats);
+  }
+}
+
+async function syncIssueComments(commentPlan, scIssue, stats) {
+  stats.commentsAlreadyPresent += commentPlan.alreadyPresent;
+  for (const text of commentPlan.toAdd) {
     try {
-      const text = '[Migrated from SonarQube] ' + (comment.login || 'unknown') + ' (' + (comment.createdAt || '') + '): ' + (comment.markdown || comment.htmlText || '');
       await scPost('/api/issues/add_comment', { issue: scIssue.key, text });
       stats.commented++;
     } catch { stats.apiErrors++; }
@@ -124,8 +141,8 @@ async function syncIssueTags(sqIssue, scIssue, stats) {
   } catch { stats.apiErrors++; }
 }
 
-async function addSourceLink(sqIssue, scIssue, stats) {
-  if (!sqConfig || !sqConfig.baseURL || !sqConfig.projectKey) return;
+async function addSourceLink(sqIssue, scIssue, sourceLinkPresent, stats) {
+  if (!sqConfig || !sqConfig.baseURL || !sqConfig.projectKey || sourceLinkPresent) return;
   try {
     const sqUrl = sqConfig.baseURL + '/project/issues?id=' + encodeURIComponent(sqConfig.projectKey) + '&issues=' + encodeURIComponent(sqIssue.key) + '&open=' + encodeURIComponent(sqIssue.key);
     const text = 'Link to [Original issue](' + sqUrl + ')';
@@ -136,13 +153,14 @@ async function addSourceLink(sqIssue, scIssue, stats) {
 
 async function syncOneIssue(pair, userMappingsMap, stats) {
   try {
-    const { sqIssue, scIssue } = pair;
+    const { sqIssue, scIssue, overridePlan, commentPlan, sourceLinkPresent } = pair;
     const transitioned = await syncIssueStatus(scIssue, sqIssue);
     if (transitioned) stats.transitioned++;
     await syncIssueAssignment(sqIssue, scIssue, userMappingsMap, stats);
-    await syncIssueComments(sqIssue, scIssue, stats);
+    await syncIssueOverrides(overridePlan, scIssue, stats);
+    await syncIssueComments(commentPlan, scIssue, stats);
     await syncIssueTags(sqIssue, scIssue, stats);
-    await addSourceLink(sqIssue, scIssue, stats);
+    await addSourceLink(sqIssue, scIssue, sourceLinkPresent, stats);
   } catch {
     stats.failed++;
   }
@@ -165,7 +183,8 @@ async function mapConcurrentWorker(items, fn, concurrency) {
 async function run() {
   const stats = {
     matched: chunk.length, transitioned: 0, assigned: 0, assignmentMapped: 0,
-    assignmentFailed: 0, assignmentSkipped: 0, commented: 0, tagged: 0,
+    assignmentFailed: 0, assignmentSkipped: 0, commented: 0, commentsAlreadyPresent: 0, tagged: 0,
+    severityOverridden: 0, typeOverridden: 0, impactOverridden: 0, overrideFailed: 0,
     metadataSyncTagged: 0, sourceLinked: 0, failed: 0, apiErrors: 0, failedAssignments: [],
   };
 
@@ -193,7 +212,10 @@ export async function parallelSyncIssues(matchedPairs, scConfig, sqConfig, userM
 
   logger.info(`Parallel issue sync: ${totalPairs} pairs across ${workerCount} workers (${concurrencyPerWorker} concurrency each, ${workerCount * concurrencyPerWorker} total concurrent requests)`);
 
-  const chunks = partitionRoundRobin(matchedPairs, workerCount);
+  // Comment dedup and override planning run here so the worker only posts what is missing
+  const changelogMap = options.changelogMap || new Map();
+  const plannedPairs = matchedPairs.map(pair => planPairSync(pair, sqConfig, changelogMap));
+  const chunks = partitionRoundRobin(plannedPairs, workerCount);
   const serializedUserMappings = userMappings ? [...userMappings.entries()] : [];
   const onProgress = createProgressLogger('Issue sync', totalPairs);
 
@@ -238,6 +260,19 @@ export async function parallelSyncIssues(matchedPairs, scConfig, sqConfig, userM
   return merged;
 }
 
+function planPairSync({ sqIssue, scIssue }, sqConfig, changelogMap) {
+  const sourceLink = sqConfig?.baseURL && sqConfig?.projectKey
+    ? buildIssueSourceComment(sqConfig.baseURL, sqConfig.projectKey, sqIssue.key)
+    : null;
+  return {
+    sqIssue,
+    scIssue,
+    overridePlan: planOverrideSync(sqIssue, scIssue, changelogMap.get(sqIssue.key)),
+    commentPlan: planCommentSync(sqIssue.comments, scIssue.comments),
+    sourceLinkPresent: sourceLink ? hasComment(scIssue.comments, sourceLink) : false,
+  };
+}
+
 function partitionRoundRobin(items, n) {
   const chunks = Array.from({ length: n }, () => []);
   for (let i = 0; i < items.length; i++) {
@@ -249,7 +284,8 @@ function partitionRoundRobin(items, n) {
 function mergeStats(statsArray) {
   const merged = {
     matched: 0, transitioned: 0, assigned: 0, assignmentMapped: 0,
-    assignmentFailed: 0, assignmentSkipped: 0, commented: 0, tagged: 0,
+    assignmentFailed: 0, assignmentSkipped: 0, commented: 0, commentsAlreadyPresent: 0, tagged: 0,
+    severityOverridden: 0, typeOverridden: 0, impactOverridden: 0, overrideFailed: 0,
     metadataSyncTagged: 0, sourceLinked: 0, failed: 0, apiErrors: 0, failedAssignments: [],
   };
   for (const s of statsArray) {
@@ -260,7 +296,12 @@ function mergeStats(statsArray) {
     merged.assignmentFailed += s.assignmentFailed || 0;
     merged.assignmentSkipped += s.assignmentSkipped || 0;
     merged.commented += s.commented || 0;
+    merged.commentsAlreadyPresent += s.commentsAlreadyPresent || 0;
     merged.tagged += s.tagged || 0;
+    merged.severityOverridden += s.severityOverridden || 0;
+    merged.typeOverridden += s.typeOverridden || 0;
+    merged.impactOverridden += s.impactOverridden || 0;
+    merged.overrideFailed += s.overrideFailed || 0;
     merged.metadataSyncTagged += s.metadataSyncTagged || 0;
     merged.sourceLinked += s.sourceLinked || 0;
     merged.failed += s.failed || 0;
@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { toCustomRule, buildCreateRuleParams } from './custom-rules/index.js';
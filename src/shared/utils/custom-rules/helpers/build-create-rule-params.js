@@ -0,0 +1,29 @@
+// -------- Build Create Rule Params --------
+
+/**
+ * Build the /api/rules/create parameters that recreate a custom rule from its template.
+ * Parameter values are sent as `key=value` pairs separated by `;`; values that contain
+ * `;` or `"` are double-quoted, with embedded quotes escaped, as the API expects.
+ *
+ * @param {object} rule - Custom rule from toCustomRule()
+ * @returns {object} Form parameters (organization is added by the API client)
+ */
+export function buildCreateRuleParams(rule) {
+  const params = {
+    custom_key: rule.customKey,
+    template_key: rule.templateKey,
+    name: rule.name,
+    markdown_description: rule.markdownDescription,
+  };
+  if (rule.severity) params.severity = rule.severity;
+  if (rule.status) params.status = rule.status;
+  if (rule.params.length > 0) {
+    params.params = rule.params.map(p => `${p.key}=${encodeParamValue(p.value)}`).join(';');
+  }
+  return params;
+}
+
+function encodeParamValue(value) {
+  if (!/[;"]/.test(value)) return value;
+  return `"${value.replace(/"/g, '\\"')}"`;
+}
@@ -0,0 +1,30 @@
+// -------- To Custom Rule --------
+
+/**
+ * Normalize a SonarQube rule created from a rule template (XPath, regex,
+ * "track uses of disallowed classes", ...). Such rules carry a `templateKey`;
+ * rules without one are plugin rules that already exist in SonarCloud.
+ *
+ * The custom key is the part of the rule key after the repository, so the
+ * recreated rule keeps the key the profile backups refer to.
+ *
+ * @param {object} rule - Rule from /api/rules/search (f=templateKey,params,...)
+ * @returns {object|null} { key, customKey, templateKey, name, markdownDescription, severity, status, language, params }, or null for non-custom rules
+ */
+export function toCustomRule(rule) {
+  if (!rule?.templateKey) return null;
+  const separator = rule.key.indexOf(':');
+  return {
+    key: rule.key,
+    customKey: separator >= 0 ? rule.key.slice(separator + 1) : rule.key,
+    templateKey: rule.templateKey,
+    name: rule.name,
+    markdownDescription: rule.mdDesc || rule.htmlDesc || rule.name,
+    severity: rule.severity || null,
+    status: rule.status || null,
+    language: rule.lang || null,
+    params: (rule.params || [])
+      .filter(p => p.defaultValue !== undefined && p.defaultValue !== null && p.defaultValue !== '')
+      .map(p => ({ key: p.key, value: String(p.defaultValue) })),
+  };
+}
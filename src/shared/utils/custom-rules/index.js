@@ -0,0 +1,3 @@
+// -------- Custom Rules --------
+export { toCustomRule } from './helpers/to-custom-rule.js';
+export { buildCreateRuleParams } from './helpers/build-create-rule-params.js';
@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { EVENTS_SCHEMA_VERSION, openEventStream, emitEvent, isEventStreamOpen, closeEventStream, enableEventStream, parseEventsTarget } from './events/index.js';
@@ -0,0 +1,20 @@
+// -------- Create Warning Transport --------
+import winston from 'winston';
+
+const LEVEL = Symbol.for('level');
+
+/**
+ * Winston transport that forwards warnings and errors as `warning` events.
+ *
+ * @param {Function} emit - emitEvent
+ * @returns {winston.Transport}
+ */
+export function createWarningTransport(emit) {
+  class WarningTransport extends winston.Transport {
+    log(info, callback) {
+      emit('warning', { level: info[LEVEL] || info.level, message: String(info.message).trim() });
+      callback();
+    }
+  }
+  return new WarningTransport({ level: 'warn' });
+}
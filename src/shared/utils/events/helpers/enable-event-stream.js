@@ -0,0 +1,21 @@
+// -------- Enable Event Stream --------
+import logger from '../../logger.js';
+import { openEventStream, emitEvent } from './event-stream.js';
+import { createWarningTransport } from './create-warning-transport.js';
+
+let warningTransport = null;
+
+/**
+ * Open the `--events` stream for a CLI command and mirror logged warnings
+ * and errors into it.
+ *
+ * @param {string|number} target - Parsed `--events` value (path or fd)
+ * @param {string} command - CLI command name
+ */
+export function enableEventStream(target, command) {
+  openEventStream(target, { command });
+  if (!warningTransport) {
+    warningTransport = createWarningTransport(emitEvent);
+    logger.add(warningTransport);
+  }
+}
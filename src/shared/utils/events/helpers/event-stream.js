@@ -0,0 +1,69 @@
+// -------- Event Stream --------
+import fs from 'node:fs';
+
+/** Version of the event contract; bumped on breaking changes to event shapes. */
+export const EVENTS_SCHEMA_VERSION = 1;
+
+// Process-wide stream state: a single --events target per CLI run.
+const state = { fd: null, ownsFd: false, command: null, seq: 0, interrupted: false };
+
+/**
+ * Start writing NDJSON events to a file (appended) or an already open file
+ * descriptor. Writes are synchronous so no event is lost when the CLI calls
+ * process.exit(); a final `run.end` event is written on exit.
+ *
+ * @param {string|number} target - File path, or file descriptor number
+ * @param {object} [options]
+ * @param {string} [options.command] - CLI command name, stamped on every event
+ */
+export function openEventStream(target, { command = null } = {}) {
+  closeEventStream();
+  if (typeof target === 'number') fs.fstatSync(target);
+  state.fd = typeof target === 'number' ? target : fs.openSync(target, 'a');
+  state.ownsFd = typeof target !== 'number';
+  state.command = command;
+  state.seq = 0;
+  state.interrupted = false;
+  process.once('exit', writeRunEnd);
+  emitEvent('run.start', { pid: process.pid });
+}
+
+/**
+ * Write one event. A no-op unless an event stream is open, so pipelines can
+ * emit unconditionally.
+ *
+ * @param {string} type - Event type (e.g. "project.start")
+ * @param {object} [data] - Event payload
+ */
+export function emitEvent(type, data = {}) {
+  if (state.fd === null) return;
+  if (type === 'run.interrupted') state.interrupted = true;
+  const event = { v: EVENTS_SCHEMA_VERSION, seq: ++state.seq, ts: new Date().toISOString(), command: state.command, type, ...data };
+  try {
+    fs.writeSync(state.fd, `${JSON.stringify(event)}\n`);
+  } catch {
+    // The consumer went away (closed pipe, full disk): stop emitting rather than fail the run.
+    closeEventStream();
+  }
+}
+
+/** Whether an event stream is open. */
+export function isEventStreamOpen() {
+  return state.fd !== null;
+}
+
+/** Stop emitting events, closing the file if the stream opened it. */
+export function closeEventStream() {
+  if (state.fd === null) return;
+  process.removeListener('exit', writeRunEnd);
+  if (state.ownsFd) {
+    try { fs.closeSync(state.fd); } catch { /* already closed */ }
+  }
+  state.fd = null;
+}
+
+function writeRunEnd(exitCode) {
+  const status = state.interrupted ? 'interrupted' : exitCode === 0 ? 'success' : 'failed';
+  emitEvent('run.end', { status, exitCode });
+  closeEventStream();
+}
@@ -0,0 +1,14 @@
+// -------- Parse Events Target --------
+
+/**
+ * Parse the value of `--events <path|fd>`: a bare non-negative integer is a
+ * file descriptor inherited from the parent process, anything else a path.
+ *
+ * @param {string} value - Raw option value
+ * @returns {string|number}
+ */
+export function parseEventsTarget(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) throw new Error('--events requires a file path or file descriptor');
+  return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+}
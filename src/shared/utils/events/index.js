@@ -0,0 +1,4 @@
+// -------- Events --------
+export { EVENTS_SCHEMA_VERSION, openEventStream, emitEvent, isEventStreamOpen, closeEventStream } from './helpers/event-stream.js';
+export { enableEventStream } from './helpers/enable-event-stream.js';
+export { parseEventsTarget } from './helpers/parse-events-target.js';
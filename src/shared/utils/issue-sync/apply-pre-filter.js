@@ -1,26 +1,36 @@
 import logger from '../logger.js';
 import { fetchSqChangelogs } from './fetch-sq-changelogs.js';
 import { hasManualChanges } from './has-manual-changes.js';
+import { wasUpdatedSince, hasChangesSince } from './has-changes-since.js';
 
 /**
  * Pre-filter SQ issues to only those with manual changes.
  * Batch-fetches changelogs, then applies the hasManualChanges filter.
+ * With `since` (delta sync), `sqIssues` still holds every issue of the project;
+ * only those updated after it get their changelog fetched, and those are kept
+ * when their changelog or comments show a change after it.
  *
  * @param {Array}  sqIssues    - Full list of SQ issues
  * @param {object} sqClient    - SonarQube API client (must have getIssueChangelog)
  * @param {object} stats       - Mutable stats object; stats.filtered is set
  * @param {number} concurrency - Max parallel changelog fetches
+ * @param {string|null} [since] - ISO high-water mark of the last sync
  * @returns {Promise<{ issuesToSync: Array, changelogMap: Map }>}
  */
-export async function applyManualChangesPreFilter(sqIssues, sqClient, stats, concurrency) {
+export async function applyManualChangesPreFilter(sqIssues, sqClient, stats, concurrency, since = null) {
+  const candidates = since ? sqIssues.filter(issue => wasUpdatedSince(issue, since)) : sqIssues;
   const changelogMap = new Map();
-  const fetched = await fetchSqChangelogs(sqIssues, sqClient, concurrency);
+  const fetched = await fetchSqChangelogs(candidates, sqClient, concurrency);
   for (const [k, v] of fetched) changelogMap.set(k, v);
 
-  const before = sqIssues.length;
-  const issuesToSync = sqIssues.filter(issue => hasManualChanges(issue, changelogMap.get(issue.key) ?? []));
-  stats.filtered = before - issuesToSync.length;
+  const keep = since
+    ? issue => hasChangesSince(issue, changelogMap.get(issue.key) ?? [], since)
+    : issue => hasManualChanges(issue, changelogMap.get(issue.key) ?? []);
+  const issuesToSync = candidates.filter(keep);
+  stats.filtered = sqIssues.length - issuesToSync.length;
 
-  logger.info(`Pre-filtered ${stats.filtered} issues with no manual changes; ${issuesToSync.length} remaining`);
+  logger.info(since
+    ? `Pre-filtered ${stats.filtered} issues unchanged since ${since}; ${issuesToSync.length} remaining`
+    : `Pre-filtered ${stats.filtered} issues with no manual changes; ${issuesToSync.length} remaining`);
   return { issuesToSync, changelogMap };
 }
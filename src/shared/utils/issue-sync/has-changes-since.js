@@ -0,0 +1,32 @@
+/**
+ * Whether an SQ issue or hotspot was updated after a point in time, going by its
+ * `updateDate`. Items without an `updateDate` are kept, since nothing rules them out.
+ *
+ * @param {object} item  - SQ issue or hotspot (with optional .updateDate)
+ * @param {string} since - ISO timestamp
+ * @returns {boolean}
+ */
+export function wasUpdatedSince(item, since) {
+  if (!item.updateDate) return true;
+  return isAfter(item.updateDate, since);
+}
+
+/**
+ * Whether an SQ issue or hotspot has a changelog entry or a comment dated after a
+ * point in time. `updateDate` also moves when an analysis only shifts an issue's
+ * location; the changelog and comments tell whether anything worth syncing changed.
+ *
+ * @param {object} item      - SQ issue or hotspot (with optional .comments)
+ * @param {Array}  changelog - Changelog entries ({ creationDate, diffs })
+ * @param {string} since     - ISO timestamp
+ * @returns {boolean}
+ */
+export function hasChangesSince(item, changelog, since) {
+  if ((changelog || []).some(entry => isAfter(entry.creationDate, since))) return true;
+  return (item.comments || []).some(c => isAfter(c.createdAt, since));
+}
+
+function isAfter(date, since) {
+  const ms = Date.parse(date);
+  return !Number.isNaN(ms) && ms > Date.parse(since);
+}
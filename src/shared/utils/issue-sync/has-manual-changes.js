@@ -1,4 +1,4 @@
-const MIGRATED_COMMENT_PREFIX = '[Migrated from SonarQube]';
+export const MIGRATED_COMMENT_PREFIX = '[Migrated from SonarQube]';
 
 /**
  * Determines whether an SQ issue has manual (human-authored) changes that
@@ -0,0 +1,82 @@
+import { createHash } from 'node:crypto';
+import { MIGRATED_COMMENT_PREFIX } from './has-manual-changes.js';
+
+// "[Migrated from SonarQube] <login> (<createdAt>): <body>"
+const MIGRATED_COMMENT_PATTERN = /^\[Migrated from SonarQube\] (.*?) \(([^()]*)\): ([\s\S]*)$/;
+
+/**
+ * Render a SonarQube comment as the text posted on the SonarCloud issue or hotspot.
+ *
+ * @param {object} comment - SQ comment ({ login, createdAt, markdown, htmlText })
+ * @returns {string}
+ */
+export function formatMigratedComment(comment) {
+  return `${MIGRATED_COMMENT_PREFIX} ${comment.login || 'unknown'} (${comment.createdAt || ''}): ${comment.markdown || comment.htmlText || ''}`;
+}
+
+/**
+ * Fingerprint of a migrated comment: author, timestamp and a hash of the body.
+ * Whitespace is collapsed so the fingerprint survives SonarCloud's trimming.
+ *
+ * @param {string} login
+ * @param {string} createdAt
+ * @param {string} body
+ * @returns {string}
+ */
+export function commentFingerprint(login, createdAt, body) {
+  const bodyHash = createHash('sha1').update(normalizeText(body)).digest('hex');
+  return `${login}|${createdAt}|${bodyHash}`;
+}
+
+/**
+ * Decide which SonarQube comments still have to be posted on a SonarCloud issue or hotspot.
+ * Comments migrated by an earlier run are recognised by their fingerprint, so re-running
+ * a sync after a partial failure only posts what is missing. Identical SQ comments are
+ * counted individually.
+ *
+ * @param {Array<object>} sqComments       - Comments on the SonarQube issue/hotspot
+ * @param {Array<object>} existingComments - Comments already on the SonarCloud issue/hotspot
+ * @returns {{ toAdd: string[], alreadyPresent: number }}
+ */
+export function planCommentSync(sqComments, existingComments) {
+  const existing = new Map();
+  for (const comment of existingComments || []) {
+    const match = MIGRATED_COMMENT_PATTERN.exec(commentText(comment).trim());
+    if (!match) continue;
+    const fingerprint = commentFingerprint(match[1], match[2], match[3]);
+    existing.set(fingerprint, (existing.get(fingerprint) || 0) + 1);
+  }
+
+  const plan = { toAdd: [], alreadyPresent: 0 };
+  for (const comment of sqComments || []) {
+    const fingerprint = commentFingerprint(comment.login || 'unknown', comment.createdAt || '', comment.markdown || comment.htmlText || '');
+    const remaining = existing.get(fingerprint) || 0;
+    if (remaining > 0) {
+      existing.set(fingerprint, remaining - 1);
+      plan.alreadyPresent++;
+    } else {
+      plan.toAdd.push(formatMigratedComment(comment));
+    }
+  }
+  return plan;
+}
+
+/**
+ * Whether a marker comment (metadata-synchronized note, source link) was already posted.
+ *
+ * @param {Array<object>} existingComments - Comments already on the SonarCloud issue/hotspot
+ * @param {string} text                    - Marker comment text
+ * @returns {boolean}
+ */
+export function hasComment(existingComments, text) {
+  const wanted = normalizeText(text);
+  return (existingComments || []).some(c => normalizeText(commentText(c)) === wanted);
+}
+
+function commentText(comment) {
+  return comment.markdown || comment.htmlText || comment.value || '';
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,66 @@
+// Changelog diff key SonarQube 10.x+ records for a manual impact severity change;
+// values look like "MAINTAINABILITY:HIGH".
+const IMPACT_SEVERITY_DIFF_KEY = 'impactSeverity';
+
+/**
+ * Find the fields a human overrode on a SonarQube issue. Only changelog entries with
+ * a user count: severity and type changes written by the server itself (rule updates,
+ * quality profile changes) follow the rule and need no replay.
+ *
+ * @param {Array} changelog - SQ changelog entries ({ user, diffs: [{ key, oldValue, newValue }] })
+ * @returns {{ severity: boolean, type: boolean, impacts: Set<string> }} impacts holds software qualities
+ */
+export function findManualOverrides(changelog) {
+  const overrides = { severity: false, type: false, impacts: new Set() };
+  for (const entry of changelog || []) {
+    if (!entry.user) continue;
+    for (const diff of entry.diffs || []) {
+      if (diff.key === 'severity') overrides.severity = true;
+      else if (diff.key === 'type') overrides.type = true;
+      else if (diff.key === IMPACT_SEVERITY_DIFF_KEY) {
+        const quality = String(diff.newValue || diff.oldValue || '').split(':')[0];
+        if (quality) overrides.impacts.add(quality);
+      }
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Decide which manual severity, type and impact overrides still have to be applied on
+ * the SonarCloud issue. The SQ issue's current value is the one replayed, so an override
+ * that was later reverted by hand is replayed as the reverted value. Impacts are only
+ * planned for software qualities the SC issue already carries, since SonarCloud cannot
+ * add an impact the rule does not define.
+ *
+ * @param {object} sqIssue   - SQ issue (severity, type, impacts)
+ * @param {object} scIssue   - Matched SC issue (severity, type, impacts)
+ * @param {Array}  changelog - SQ changelog entries for the issue
+ * @returns {{ severity: string|null, type: string|null, impacts: Array<{ softwareQuality: string, severity: string }> }}
+ */
+export function planOverrideSync(sqIssue, scIssue, changelog) {
+  const overrides = findManualOverrides(changelog);
+  const plan = { severity: null, type: null, impacts: [] };
+
+  if (overrides.severity && sqIssue.severity && sqIssue.severity !== scIssue.severity) plan.severity = sqIssue.severity;
+  if (overrides.type && sqIssue.type && sqIssue.type !== scIssue.type) plan.type = sqIssue.type;
+
+  const scImpacts = new Map((scIssue.impacts || []).map(i => [i.softwareQuality, i.severity]));
+  for (const impact of sqIssue.impacts || []) {
+    if (!overrides.impacts.has(impact.softwareQuality) || !scImpacts.has(impact.softwareQuality)) continue;
+    if (scImpacts.get(impact.softwareQuality) !== impact.severity) {
+      plan.impacts.push({ softwareQuality: impact.softwareQuality, severity: impact.severity });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Whether an override plan has anything to apply.
+ *
+ * @param {{ severity: string|null, type: string|null, impacts: Array }} plan
+ * @returns {boolean}
+ */
+export function hasOverridesToApply(plan) {
+  return Boolean(plan && (plan.severity || plan.type || plan.impacts.length > 0));
+}
@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { normalizePortfolioTags, normalizeSubPortfolios, resolveTaggedPortfolioProjects, selectPortfolioMembers, planPortfolios, describeMembershipChange, SUB_PORTFOLIO_STRATEGIES } from './portfolio-membership/index.js';
@@ -0,0 +1,31 @@
+// -------- Describe Membership Change --------
+
+/**
+ * Compare a planned portfolio with what SonarCloud will contain: members
+ * renamed by the key mapping (key collisions, key transforms), members missing
+ * from SonarCloud, tagged projects outside the migration and members folded in
+ * from sub-portfolios. "All projects" portfolios are never reported.
+ *
+ * @param {object} portfolio                      - Planned portfolio (see planPortfolios)
+ * @param {Map<string, string>} projectKeyMapping - SonarQube key -> SonarCloud key
+ * @param {Map<string, object>} projectUuidMap    - SonarCloud key -> { id, branchId }
+ * @returns {object|null} Membership change, or null when the membership is unchanged
+ */
+export function describeMembershipChange(portfolio, projectKeyMapping, projectUuidMap) {
+  if (portfolio.selectionMode === 'REST') return null;
+
+  const renamed = [];
+  const missing = [];
+  let members = 0;
+  for (const { key } of portfolio.projects || []) {
+    const scKey = projectKeyMapping.get(key) || key;
+    if (!projectUuidMap.has(scKey)) { missing.push(scKey); continue; }
+    members++;
+    if (scKey !== key) renamed.push({ sonarqube: key, sonarcloud: scKey });
+  }
+  const excluded = portfolio.excludedProjects || [];
+  const inheritedFrom = portfolio.inheritedFrom || [];
+  if (renamed.length + missing.length + excluded.length + inheritedFrom.length === 0) return null;
+
+  return { portfolio: portfolio.name, parent: portfolio.parent || null, selectionMode: portfolio.selectionMode || 'MANUAL', members, renamed, missing, excluded, inheritedFrom };
+}
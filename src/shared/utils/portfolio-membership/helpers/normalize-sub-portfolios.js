@@ -0,0 +1,34 @@
+// -------- Normalize Sub-Portfolios --------
+
+/**
+ * SonarQube returns portfolio tags either as an array or as a comma-separated string.
+ *
+ * @param {string|string[]} [tags]
+ * @returns {string[]}
+ */
+export function normalizePortfolioTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(t => String(t).trim()).filter(Boolean);
+}
+
+/**
+ * Turn the `subViews` tree of `/api/views/show` into sub-portfolio definitions
+ * carrying their own selection mode. Sub-portfolios that reference another
+ * top-level portfolio keep its key in `refKey` so the planner can resolve them.
+ *
+ * @param {Array<object>} [subViews] - `subViews` from `/api/views/show`
+ * @returns {Array<object>} Sub-portfolios ({ key, name, description, selectionMode, tags, regexp, refKey, projects, subPortfolios })
+ */
+export function normalizeSubPortfolios(subViews) {
+  return (subViews || []).map(view => ({
+    key: view.key,
+    name: view.name || view.key,
+    description: view.desc || view.description || '',
+    selectionMode: view.selectionMode || 'MANUAL',
+    tags: normalizePortfolioTags(view.tags),
+    regexp: view.regexp || null,
+    refKey: view.originalKey || view.refKey || null,
+    projects: (view.projects || view.selectedProjects || []).map(p => ({ key: typeof p === 'string' ? p : p.key || p.projectKey })),
+    subPortfolios: normalizeSubPortfolios(view.subViews),
+  }));
+}
@@ -0,0 +1,56 @@
+// -------- Plan Portfolios --------
+import logger from '../../logger.js';
+import { selectPortfolioMembers } from './select-portfolio-members.js';
+
+export const SUB_PORTFOLIO_STRATEGIES = ['flatten', 'separate'];
+
+/**
+ * Turn extracted portfolios into the flat list of portfolios to create with the
+ * Enterprise V2 API, which has no sub-portfolios. Every top-level portfolio
+ * receives the members of its whole sub-portfolio tree. With the `separate`
+ * strategy each sub-portfolio is also created on its own, named after its
+ * path ("Parent / Child"). Top-level "all projects" portfolios keep their
+ * REST selection; sub-portfolios are always planned as MANUAL with their
+ * resolved members, since REST would select every project in the enterprise.
+ *
+ * @param {Array<object>} portfolios      - Extracted portfolios
+ * @param {Iterable<string>} migratedKeys - SonarQube keys of the migrated projects
+ * @param {string} [strategy='flatten']   - One of SUB_PORTFOLIO_STRATEGIES
+ * @returns {Array<object>} Portfolios ({ key, name, description, selectionMode, parent, projects, excludedProjects, inheritedFrom })
+ */
+export function planPortfolios(portfolios, migratedKeys, strategy = 'flatten') {
+  const ctx = { byKey: new Map(portfolios.map(p => [p.key, p])), migratedKeys: new Set(migratedKeys), strategy, planned: [] };
+  for (const portfolio of portfolios) {
+    if (portfolio.selectionMode === 'REST') {
+      ctx.planned.push({ ...portfolio, parent: null, excludedProjects: [], inheritedFrom: [] });
+      continue;
+    }
+    planNode(portfolio, portfolio.name, null, ctx, new Set([portfolio.key]));
+  }
+  return ctx.planned;
+}
+
+function planNode(node, name, parent, ctx, seen) {
+  const selectionMode = parent === null ? node.selectionMode || 'MANUAL' : 'MANUAL';
+  const planned = { key: node.key, name, description: node.description || '', selectionMode, parent, projects: [], excludedProjects: [], inheritedFrom: [] };
+  if (parent === null || ctx.strategy === 'separate') ctx.planned.push(planned);
+
+  const own = selectPortfolioMembers(node, ctx.migratedKeys);
+  const keys = new Set(own.keys);
+  const excluded = new Set(own.excluded);
+  for (const child of node.subPortfolios || []) {
+    const target = (child.refKey && ctx.byKey.get(child.refKey)) || child;
+    if (seen.has(target.key)) {
+      logger.warn(`Portfolio "${name}": sub-portfolio "${child.name}" refers back to a parent — skipping it`);
+      continue;
+    }
+    const sub = planNode(target, `${name} / ${child.name || target.name}`, name, ctx, new Set([...seen, target.key]));
+    for (const p of sub.projects) keys.add(p.key);
+    for (const k of sub.excludedProjects) excluded.add(k);
+    planned.inheritedFrom.push(sub.name, ...sub.inheritedFrom);
+  }
+
+  planned.projects = [...keys].map(key => ({ key }));
+  planned.excludedProjects = [...excluded].filter(k => !keys.has(k));
+  return planned;
+}
@@ -0,0 +1,27 @@
+// -------- Resolve Tagged Portfolio Projects --------
+import logger from '../../logger.js';
+import { fetchTaggedProjectKeys } from '../../../mapping/project-filter.js';
+
+/**
+ * Look up the projects selected by every TAGS-mode portfolio and sub-portfolio,
+ * storing them in `taggedProjectKeys`. A failed lookup leaves the portfolio empty
+ * rather than aborting the extraction.
+ *
+ * @param {object} client             - SonarQube API client (must have getPaginated)
+ * @param {Array<object>} portfolios  - Extracted portfolios (mutated in place)
+ * @returns {Promise<Array<object>>} The same portfolios
+ */
+export async function resolveTaggedPortfolioProjects(client, portfolios) {
+  for (const portfolio of portfolios) {
+    if (portfolio.selectionMode === 'TAGS') {
+      try {
+        portfolio.taggedProjectKeys = [...await fetchTaggedProjectKeys(client, portfolio.tags)];
+      } catch (error) {
+        logger.warn(`Portfolio "${portfolio.name}": failed to resolve tagged projects: ${error.message}`);
+        portfolio.taggedProjectKeys = [];
+      }
+    }
+    await resolveTaggedPortfolioProjects(client, portfolio.subPortfolios || []);
+  }
+  return portfolios;
+}
@@ -0,0 +1,44 @@
+// -------- Select Portfolio Members --------
+import logger from '../../logger.js';
+
+/**
+ * Evaluate a portfolio's own selection (sub-portfolios excluded) and return the
+ * SonarQube keys of its members. TAGS, REGEXP and REST selections are evaluated
+ * against the migrated projects only; tagged projects outside that set are
+ * returned as `excluded`. MANUAL selections keep every listed project so members
+ * migrated in an earlier run are still found.
+ *
+ * @param {object} portfolio         - Portfolio or sub-portfolio ({ name, selectionMode, projects, taggedProjectKeys, regexp })
+ * @param {Set<string>} migratedKeys - SonarQube keys of the migrated projects
+ * @returns {{ keys: string[], excluded: string[] }}
+ */
+export function selectPortfolioMembers(portfolio, migratedKeys) {
+  switch (portfolio.selectionMode) {
+  case 'TAGS': {
+    const tagged = portfolio.taggedProjectKeys || [];
+    return { keys: tagged.filter(k => migratedKeys.has(k)), excluded: tagged.filter(k => !migratedKeys.has(k)) };
+  }
+  case 'REGEXP': {
+    const pattern = compileRegexp(portfolio);
+    return { keys: pattern ? [...migratedKeys].filter(k => pattern.test(k)) : [], excluded: [] };
+  }
+  case 'REST':
+    return { keys: [...migratedKeys], excluded: [] };
+  case 'MANUAL':
+  case undefined:
+    return { keys: (portfolio.projects || []).map(p => p.key).filter(Boolean), excluded: [] };
+  default:
+    return { keys: [], excluded: [] };
+  }
+}
+
+// SonarQube matches the whole project key, so the pattern is anchored.
+function compileRegexp(portfolio) {
+  if (!portfolio.regexp) return null;
+  try {
+    return new RegExp(`^(?:${portfolio.regexp})$`);
+  } catch (error) {
+    logger.warn(`Portfolio "${portfolio.name}": invalid project key pattern "${portfolio.regexp}" — no projects selected (${error.message})`);
+    return null;
+  }
+}
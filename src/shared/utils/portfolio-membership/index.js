@@ -0,0 +1,6 @@
+// -------- Portfolio Membership --------
+export { normalizePortfolioTags, normalizeSubPortfolios } from './helpers/normalize-sub-portfolios.js';
+export { resolveTaggedPortfolioProjects } from './helpers/resolve-tagged-portfolio-projects.js';
+export { selectPortfolioMembers } from './helpers/select-portfolio-members.js';
+export { planPortfolios, SUB_PORTFOLIO_STRATEGIES } from './helpers/plan-portfolios.js';
+export { describeMembershipChange } from './helpers/describe-membership-change.js';
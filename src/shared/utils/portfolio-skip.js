@@ -3,15 +3,18 @@ import logger from './logger.js';
 /**
  * Handle the case where no enterprise key is configured.
  * Logs a warning (if portfolios exist) or info, and records skipped count.
+ * Applications are recreated as portfolios, but are counted separately in `applicationsSkipped`.
  *
- * @param {Array} portfolios - Portfolios extracted from the source SonarQube.
- * @param {object} results   - Mutable migration results object.
+ * @param {Array} portfolios         - Portfolios (or applications) extracted from the source SonarQube.
+ * @param {object} results           - Mutable migration results object.
+ * @param {string} [label='portfolio'] - What is being skipped, for the log message.
  */
-export function handleMissingEnterpriseKey(portfolios, results) {
+export function handleMissingEnterpriseKey(portfolios, results, label = 'portfolio') {
   if (portfolios.length > 0) {
-    results.portfoliosSkipped = (results.portfoliosSkipped || 0) + portfolios.length;
-    logger.warn(`No enterprise key configured — skipping ${portfolios.length} portfolio(s)`);
+    const field = label === 'application' ? 'applicationsSkipped' : 'portfoliosSkipped';
+    results[field] = (results[field] || 0) + portfolios.length;
+    logger.warn(`No enterprise key configured — skipping ${portfolios.length} ${label}(s)`);
   } else {
-    logger.info('No enterprise key configured — skipping portfolio migration');
+    logger.info(`No enterprise key configured — skipping ${label} migration`);
   }
 }
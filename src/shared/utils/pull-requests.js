@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { pullRequestLabel, filterPullRequests, buildPullRequestMetadata } from './pull-requests/index.js';
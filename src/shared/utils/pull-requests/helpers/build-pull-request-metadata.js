@@ -0,0 +1,22 @@
+// -------- Build Pull Request Metadata --------
+
+/**
+ * Scanner report Metadata fields describing a pull request analysis,
+ * mirroring what the scanner sends for `sonar.pullrequest.*`:
+ * the PR's source branch, the branch it merges into (target) and the
+ * long-lived branch it is compared against (reference).
+ *
+ * @param {object} pullRequest     - Pull request ({ key, branch, base, target })
+ * @param {string} fallbackBranch  - Branch to use when SonarQube did not report a base
+ * @returns {object} Metadata fields to merge into the report metadata
+ */
+export function buildPullRequestMetadata(pullRequest, fallbackBranch) {
+  const base = pullRequest.base || fallbackBranch;
+  return {
+    branchName: pullRequest.branch || `pr-${pullRequest.key}`,
+    branchType: 2, // BranchType.PULL_REQUEST
+    pullRequestKey: String(pullRequest.key),
+    targetBranchName: base,
+    referenceBranchName: pullRequest.target || base,
+  };
+}
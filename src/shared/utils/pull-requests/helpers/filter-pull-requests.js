@@ -0,0 +1,42 @@
+// -------- Filter Pull Requests --------
+
+import logger from '../../logger.js';
+import { pullRequestLabel } from './pull-request-label.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Select the pull requests to migrate according to `transfer.pullRequests`.
+ * Pull requests that were never analyzed have nothing to carry over and are always dropped.
+ *
+ * @param {Array<object>} pullRequests               - Pull requests from /api/project_pull_requests/list
+ * @param {object} [options]
+ * @param {number} [options.maxAgeDays=0]            - Skip PRs last analyzed more than this many days ago (0 = no limit)
+ * @param {string[]} [options.qualityGateStatuses=[]] - Only keep PRs whose quality gate is in one of these states (empty = any)
+ * @param {string[]} [options.exclude=[]]            - PR keys to skip
+ * @param {number} [now=Date.now()]                  - Reference time for the age filter
+ * @returns {Array<object>} Pull requests to migrate
+ */
+export function filterPullRequests(pullRequests, { maxAgeDays = 0, qualityGateStatuses = [], exclude = [] } = {}, now = Date.now()) {
+  const excluded = new Set(exclude.map(String));
+  const statuses = new Set(qualityGateStatuses);
+
+  return pullRequests.filter(pr => {
+    const label = pullRequestLabel(pr);
+    if (excluded.has(String(pr.key))) return false;
+    if (!pr.analysisDate) {
+      logger.debug(`${label} has never been analyzed — skipping`);
+      return false;
+    }
+    if (maxAgeDays > 0 && now - new Date(pr.analysisDate).getTime() > maxAgeDays * DAY_MS) {
+      logger.info(`${label} last analyzed ${pr.analysisDate} (older than ${maxAgeDays} days) — skipping`);
+      return false;
+    }
+    const status = pr.status?.qualityGateStatus || 'NONE';
+    if (statuses.size > 0 && !statuses.has(status)) {
+      logger.info(`${label} quality gate is ${status} — skipping`);
+      return false;
+    }
+    return true;
+  });
+}
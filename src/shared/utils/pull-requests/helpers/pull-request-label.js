@@ -0,0 +1,12 @@
+// -------- Pull Request Label --------
+
+/**
+ * Label identifying a pull request in logs, the checkpoint journal and the state file.
+ * Git refs cannot contain spaces, so the label never collides with a branch name.
+ *
+ * @param {object} pullRequest - Pull request from /api/project_pull_requests/list
+ * @returns {string} e.g. "PR #42"
+ */
+export function pullRequestLabel(pullRequest) {
+  return `PR #${pullRequest.key}`;
+}
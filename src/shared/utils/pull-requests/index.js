@@ -0,0 +1,4 @@
+// -------- Pull Requests --------
+export { pullRequestLabel } from './helpers/pull-request-label.js';
+export { filterPullRequests } from './helpers/filter-pull-requests.js';
+export { buildPullRequestMetadata } from './helpers/build-pull-request-metadata.js';
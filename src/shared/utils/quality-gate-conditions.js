@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { CONDITION_TRANSLATIONS, translateConditionMetric, translateGateConditions, planConditionChanges, hasCompatibilityFindings } from './quality-gate-conditions/index.js';
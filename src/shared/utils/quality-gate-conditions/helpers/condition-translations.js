@@ -0,0 +1,53 @@
+// -------- Condition Translations --------
+
+const NO_EQUIVALENT = 'No SonarCloud equivalent';
+
+/**
+ * SonarQube quality gate metrics that SonarCloud does not accept, keyed by
+ * SonarQube metric. `metric` is the SonarCloud metric to use instead, or null
+ * when the condition has to be dropped. The Multi-Quality Rule (MQR) mode
+ * metrics of SonarQube 10.8+ map to their Standard Experience counterparts,
+ * for overall and new code alike.
+ */
+export const CONDITION_TRANSLATIONS = {
+  software_quality_maintainability_rating: { metric: 'sqale_rating', reason: 'MQR maintainability rating' },
+  new_software_quality_maintainability_rating: { metric: 'new_maintainability_rating', reason: 'MQR maintainability rating' },
+  software_quality_reliability_rating: { metric: 'reliability_rating', reason: 'MQR reliability rating' },
+  new_software_quality_reliability_rating: { metric: 'new_reliability_rating', reason: 'MQR reliability rating' },
+  software_quality_security_rating: { metric: 'security_rating', reason: 'MQR security rating' },
+  new_software_quality_security_rating: { metric: 'new_security_rating', reason: 'MQR security rating' },
+  software_quality_security_review_rating: { metric: 'security_review_rating', reason: 'MQR security review rating' },
+  new_software_quality_security_review_rating: { metric: 'new_security_review_rating', reason: 'MQR security review rating' },
+  software_quality_maintainability_remediation_effort: { metric: 'sqale_index', reason: 'MQR technical debt' },
+  new_software_quality_maintainability_remediation_effort: { metric: 'new_technical_debt', reason: 'MQR technical debt' },
+  software_quality_maintainability_debt_ratio: { metric: 'sqale_debt_ratio', reason: 'MQR debt ratio' },
+  new_software_quality_maintainability_debt_ratio: { metric: 'new_sqale_debt_ratio', reason: 'MQR debt ratio' },
+  software_quality_reliability_remediation_effort: { metric: 'reliability_remediation_effort', reason: 'MQR reliability remediation effort' },
+  new_software_quality_reliability_remediation_effort: { metric: 'new_reliability_remediation_effort', reason: 'MQR reliability remediation effort' },
+  software_quality_security_remediation_effort: { metric: 'security_remediation_effort', reason: 'MQR security remediation effort' },
+  new_software_quality_security_remediation_effort: { metric: 'new_security_remediation_effort', reason: 'MQR security remediation effort' },
+  effort_to_reach_maintainability_rating_a: { metric: null, reason: NO_EQUIVALENT },
+  effort_to_reach_software_quality_maintainability_rating_a: { metric: null, reason: NO_EQUIVALENT },
+  software_quality_blocker_issues: { metric: null, reason: NO_EQUIVALENT },
+  new_software_quality_blocker_issues: { metric: null, reason: NO_EQUIVALENT },
+  software_quality_high_issues: { metric: null, reason: NO_EQUIVALENT },
+  new_software_quality_high_issues: { metric: null, reason: NO_EQUIVALENT },
+  software_quality_medium_issues: { metric: null, reason: NO_EQUIVALENT },
+  new_software_quality_medium_issues: { metric: null, reason: NO_EQUIVALENT },
+  software_quality_low_issues: { metric: null, reason: NO_EQUIVALENT },
+  new_software_quality_low_issues: { metric: null, reason: NO_EQUIVALENT },
+  software_quality_info_issues: { metric: null, reason: NO_EQUIVALENT },
+  new_software_quality_info_issues: { metric: null, reason: NO_EQUIVALENT },
+  prioritized_rule_issues: { metric: null, reason: 'Prioritized rules are not available in SonarCloud' },
+};
+
+/**
+ * SonarCloud metric for a SonarQube quality gate metric.
+ *
+ * @param {string} metric - SonarQube metric key
+ * @returns {string|null} SonarCloud metric key, or null if the condition cannot be migrated
+ */
+export function translateConditionMetric(metric) {
+  const translation = CONDITION_TRANSLATIONS[metric];
+  return translation ? translation.metric : metric;
+}
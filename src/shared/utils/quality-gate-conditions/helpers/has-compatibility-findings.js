@@ -0,0 +1,11 @@
+// -------- Has Compatibility Findings --------
+
+/**
+ * Whether a gate had any condition translated, dropped or rejected.
+ *
+ * @param {object} entry - Gate compatibility entry ({ translated, dropped, rejected })
+ * @returns {boolean}
+ */
+export function hasCompatibilityFindings(entry) {
+  return entry.translated.length > 0 || entry.dropped.length > 0 || entry.rejected.length > 0;
+}
@@ -0,0 +1,27 @@
+// -------- Plan Condition Changes --------
+
+/**
+ * Work out how to bring an existing SonarCloud quality gate in line with the
+ * (already translated) SonarQube conditions. Conditions are matched by metric,
+ * since a gate holds at most one condition per metric; a matched condition is
+ * updated when its operator or threshold differs. Planned conditions carry an
+ * explicit `action`; the SonarQube condition `id` is dropped, and updates take
+ * the id of the SonarCloud condition they replace.
+ *
+ * @param {Array<object>} desired  - Translated SonarQube conditions ({ id, metric, op, error })
+ * @param {Array<object>} existing - SonarCloud conditions ({ id, metric, op, error })
+ * @returns {{ toCreate: Array<object>, toUpdate: Array<object>, toDelete: Array<object> }}
+ */
+export function planConditionChanges(desired, existing) {
+  const plan = { toCreate: [], toUpdate: [], toDelete: [] };
+  const byMetric = new Map((existing || []).map(c => [c.metric, c]));
+  for (const { metric, op, error } of desired || []) {
+    const condition = { metric, op, error };
+    const current = byMetric.get(condition.metric);
+    byMetric.delete(condition.metric);
+    if (!current) plan.toCreate.push({ ...condition, action: 'create' });
+    else if (current.op !== condition.op || String(current.error) !== String(condition.error)) plan.toUpdate.push({ ...condition, id: current.id, action: 'update' });
+  }
+  plan.toDelete.push(...byMetric.values());
+  return plan;
+}
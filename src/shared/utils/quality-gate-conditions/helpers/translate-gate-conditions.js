@@ -0,0 +1,32 @@
+// -------- Translate Gate Conditions --------
+import { CONDITION_TRANSLATIONS } from './condition-translations.js';
+
+/**
+ * Translate a SonarQube quality gate's conditions to SonarCloud metrics.
+ * Conditions without an equivalent are dropped, as are conditions whose
+ * translated metric is already used by an earlier condition (SonarCloud allows
+ * one condition per metric).
+ *
+ * @param {Array<object>} conditions - SonarQube conditions ({ metric, op, error })
+ * @returns {{ conditions: Array<object>, translated: Array<object>, dropped: Array<object> }}
+ */
+export function translateGateConditions(conditions) {
+  const plan = { conditions: [], translated: [], dropped: [] };
+  const used = new Set();
+  for (const condition of conditions || []) {
+    const translation = CONDITION_TRANSLATIONS[condition.metric];
+    if (translation && !translation.metric) {
+      plan.dropped.push({ metric: condition.metric, op: condition.op, error: condition.error, reason: translation.reason });
+      continue;
+    }
+    const metric = translation ? translation.metric : condition.metric;
+    if (used.has(metric)) {
+      plan.dropped.push({ metric: condition.metric, op: condition.op, error: condition.error, reason: `Duplicates the ${metric} condition` });
+      continue;
+    }
+    used.add(metric);
+    plan.conditions.push({ ...condition, metric });
+    if (translation) plan.translated.push({ from: condition.metric, to: metric, op: condition.op, error: condition.error, reason: translation.reason });
+  }
+  return plan;
+}
@@ -0,0 +1,5 @@
+// -------- Quality Gate Conditions --------
+export { CONDITION_TRANSLATIONS, translateConditionMetric } from './helpers/condition-translations.js';
+export { translateGateConditions } from './helpers/translate-gate-conditions.js';
+export { planConditionChanges } from './helpers/plan-condition-changes.js';
+export { hasCompatibilityFindings } from './helpers/has-compatibility-findings.js';
@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { collectRuleActivations, compareRuleTuning, diffRuleTuning, loadRuleActivations, compareProfileInheritance, addTuningTotals, listTuningFindings } from './quality-profile-tuning/index.js';
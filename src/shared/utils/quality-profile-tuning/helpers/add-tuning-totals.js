@@ -0,0 +1,17 @@
+// -------- Add Tuning Totals --------
+
+/**
+ * Add one profile's tuning and inheritance differences to the diff report summary.
+ *
+ * @param {object} summary  - Report summary (totalRuleDifferences, totalSeverityDifferences, ...)
+ * @param {object} langDiff - Profile diff with ruleDifferences and inheritance
+ */
+export function addTuningTotals(summary, langDiff) {
+  for (const diff of langDiff.ruleDifferences || []) {
+    summary.totalRuleDifferences++;
+    if (diff.severity) summary.totalSeverityDifferences++;
+    summary.totalParameterDifferences += diff.params.length;
+    summary.totalImpactDifferences += diff.impacts.length;
+  }
+  if (langDiff.inheritance?.matches === false) summary.inheritanceMismatches++;
+}
@@ -0,0 +1,26 @@
+// -------- Collect Rule Activations --------
+
+/**
+ * Pick the activations of one quality profile out of the `actives` block of
+ * /api/rules/search (f=actives). The block lists every profile a rule is
+ * active in, keyed by rule key.
+ *
+ * @param {object} actives    - `actives` from the response ({ [ruleKey]: [{ qProfile, inherit, severity, params, impacts }] })
+ * @param {string} profileKey - Quality profile key
+ * @returns {Array<object>} [{ ruleKey, severity, inherit, params: { key: value }, impacts: { softwareQuality: severity } | null }]
+ */
+export function collectRuleActivations(actives, profileKey) {
+  const activations = [];
+  for (const [ruleKey, entries] of Object.entries(actives || {})) {
+    const active = (entries || []).find(a => a.qProfile === profileKey);
+    if (!active) continue;
+    activations.push({
+      ruleKey,
+      severity: active.severity || null,
+      inherit: active.inherit || 'NONE',
+      params: Object.fromEntries((active.params || []).map(p => [p.key, p.value ?? ''])),
+      impacts: Array.isArray(active.impacts) ? Object.fromEntries(active.impacts.map(i => [i.softwareQuality, i.severity])) : null,
+    });
+  }
+  return activations;
+}
@@ -0,0 +1,34 @@
+// -------- Compare Profile Inheritance --------
+
+/**
+ * Walk the parent chain of a SonarQube profile and of its SonarCloud
+ * counterpart. Built-in profiles restored under a suffixed name compare
+ * equal to their original name.
+ *
+ * @param {object} sqProfile           - SonarQube profile ({ key, name, parentKey })
+ * @param {object} scProfile           - SonarCloud profile ({ key, name, parentKey })
+ * @param {Array<object>} sqProfiles   - All SonarQube profiles
+ * @param {Array<object>} scProfiles   - All SonarCloud profiles
+ * @param {string} [migratedSuffix]    - Suffix added to restored built-in profiles
+ * @returns {{ sonarqube: string[], sonarcloud: string[], matches: boolean }} Chains from the profile up to its root
+ */
+export function compareProfileInheritance(sqProfile, scProfile, sqProfiles, scProfiles, migratedSuffix = '') {
+  const sonarqube = walkChain(sqProfile, sqProfiles);
+  const sonarcloud = walkChain(scProfile, scProfiles);
+  const strip = name => (migratedSuffix && name.endsWith(migratedSuffix) ? name.slice(0, -migratedSuffix.length) : name);
+  const matches = sonarqube.length === sonarcloud.length && sonarqube.every((name, i) => strip(name) === strip(sonarcloud[i]));
+  return { sonarqube, sonarcloud, matches };
+}
+
+function walkChain(profile, profiles) {
+  const byKey = new Map((profiles || []).map(p => [p.key, p]));
+  const chain = [];
+  const seen = new Set();
+  let current = profile;
+  while (current && !seen.has(current.key)) {
+    seen.add(current.key);
+    chain.push(current.name);
+    current = current.parentKey ? byKey.get(current.parentKey) : null;
+  }
+  return chain;
+}
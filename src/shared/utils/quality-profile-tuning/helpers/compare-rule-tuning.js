@@ -0,0 +1,28 @@
+// -------- Compare Rule Tuning --------
+
+/**
+ * Compare how a rule is tuned in a SonarQube profile and in its SonarCloud
+ * counterpart: severity, parameter values and Clean Code impact severities.
+ * Impacts are only compared when both servers report them.
+ *
+ * @param {object} sq - SonarQube activation from collectRuleActivations()
+ * @param {object} sc - SonarCloud activation from collectRuleActivations()
+ * @returns {object|null} { severity, params, impacts, inherit }, or null when the tuning matches
+ */
+export function compareRuleTuning(sq, sc) {
+  const severity = sq.severity && sc.severity && sq.severity !== sc.severity ? { sonarqube: sq.severity, sonarcloud: sc.severity } : null;
+  const params = diffEntries(sq.params, sc.params).map(([key, sonarqube, sonarcloud]) => ({ key, sonarqube, sonarcloud }));
+  const impacts = sq.impacts && sc.impacts
+    ? diffEntries(sq.impacts, sc.impacts).map(([softwareQuality, sonarqube, sonarcloud]) => ({ softwareQuality, sonarqube, sonarcloud }))
+    : [];
+  if (!severity && params.length === 0 && impacts.length === 0) return null;
+  return { severity, params, impacts, inherit: { sonarqube: sq.inherit, sonarcloud: sc.inherit } };
+}
+
+// [key, sqValue, scValue] for every key whose value differs; a missing value is null
+function diffEntries(sqValues = {}, scValues = {}) {
+  const keys = new Set([...Object.keys(sqValues), ...Object.keys(scValues)]);
+  return [...keys].sort()
+    .map(key => [key, sqValues[key] ?? null, scValues[key] ?? null])
+    .filter(([, sonarqube, sonarcloud]) => String(sonarqube ?? '') !== String(sonarcloud ?? ''));
+}
@@ -0,0 +1,24 @@
+// -------- Diff Rule Tuning --------
+
+import { compareRuleTuning } from './compare-rule-tuning.js';
+
+/**
+ * Compare the tuning of every rule active in both profiles. Activations are
+ * paired on their canonical rule key, so renamed rules are compared too.
+ *
+ * @param {Array<object>} sqActivations - From collectRuleActivations() for the SonarQube profile
+ * @param {Array<object>} scActivations - From collectRuleActivations() for the SonarCloud profile
+ * @param {function(string): string} canonical - Canonical rule key (rule key translator)
+ * @returns {Array<object>} [{ key, sonarcloudKey, severity, params, impacts, inherit }] for rules tuned differently
+ */
+export function diffRuleTuning(sqActivations, scActivations, canonical) {
+  const scByKey = new Map(scActivations.map(a => [canonical(a.ruleKey), a]));
+  const differences = [];
+  for (const sq of sqActivations) {
+    const sc = scByKey.get(canonical(sq.ruleKey));
+    if (!sc) continue;
+    const diff = compareRuleTuning(sq, sc);
+    if (diff) differences.push({ key: sq.ruleKey, sonarcloudKey: sc.ruleKey, ...diff });
+  }
+  return differences.sort((a, b) => a.key.localeCompare(b.key));
+}
@@ -0,0 +1,19 @@
+// -------- List Tuning Findings --------
+
+/**
+ * Profiles of a quality profile diff report whose rule tuning or parent
+ * chain did not survive the migration, for the migration report.
+ *
+ * @param {object} report       - Output of generateQualityProfileDiff()
+ * @param {string} organization - SonarCloud organization key
+ * @returns {Array<object>} [{ organization, language, sonarqubeProfile, sonarcloudProfile, inheritance, ruleDifferences }]
+ */
+export function listTuningFindings(report, organization) {
+  return Object.entries(report?.languages || {})
+    .filter(([, diff]) => (diff.ruleDifferences || []).length > 0 || diff.inheritance?.matches === false)
+    .map(([language, diff]) => ({
+      organization, language,
+      sonarqubeProfile: diff.sonarqubeProfile, sonarcloudProfile: diff.sonarcloudProfile,
+      inheritance: diff.inheritance || null, ruleDifferences: diff.ruleDifferences || [],
+    }));
+}
@@ -0,0 +1,22 @@
+// -------- Load Rule Activations --------
+
+import logger from '../../logger.js';
+
+/**
+ * Fetch the rule activations of a profile, or null when the server refuses.
+ * The rule presence diff does not depend on them, so a failure only skips
+ * the tuning comparison.
+ *
+ * @param {object} client     - SonarQube or SonarCloud client exposing getRuleActivations()
+ * @param {string} profileKey - Quality profile key
+ * @param {string} label      - Server name for the log
+ * @returns {Promise<Array<object>|null>}
+ */
+export async function loadRuleActivations(client, profileKey, label) {
+  try {
+    return await client.getRuleActivations(profileKey);
+  } catch (error) {
+    logger.warn(`Could not fetch rule activations of ${label} profile ${profileKey}, skipping tuning comparison: ${error.message}`);
+    return null;
+  }
+}
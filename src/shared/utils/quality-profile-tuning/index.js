@@ -0,0 +1,8 @@
+// -------- Quality Profile Tuning --------
+export { collectRuleActivations } from './helpers/collect-rule-activations.js';
+export { compareRuleTuning } from './helpers/compare-rule-tuning.js';
+export { diffRuleTuning } from './helpers/diff-rule-tuning.js';
+export { loadRuleActivations } from './helpers/load-rule-activations.js';
+export { compareProfileInheritance } from './helpers/compare-profile-inheritance.js';
+export { addTuningTotals } from './helpers/add-tuning-totals.js';
+export { listTuningFindings } from './helpers/list-tuning-findings.js';
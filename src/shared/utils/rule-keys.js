@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { normalizeRuleKey, createRuleKeyTranslator, canonicalRuleKey, loadRuleKeyTranslator, translateExtractedRuleKeys } from './rule-keys/index.js';
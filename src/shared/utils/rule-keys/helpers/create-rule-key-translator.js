@@ -0,0 +1,68 @@
+// -------- Create Rule Key Translator --------
+
+import { normalizeRuleKey, renameRepository } from './normalize-rule-key.js';
+
+/**
+ * Build a translator between SonarQube and SonarCloud rule keys from the
+ * `deprecatedKeys` both servers report in /api/rules/search. A rule renamed
+ * on either side (deprecated key, "squid:" -> "java:", "external_" prefix)
+ * resolves to the same canonical key as its other names.
+ *
+ * SonarCloud's aliases win when both servers disagree, since SonarCloud is
+ * the target of the migration.
+ *
+ * @param {object} [sources]
+ * @param {Array<object>} [sources.sonarqube]  - SQ rules ({ key, deprecatedKeys })
+ * @param {Array<object>} [sources.sonarcloud] - SC rules ({ key, deprecatedKeys })
+ * @returns {{ canonical: function(string): string, toSonarCloud: function(string): string, size: number }}
+ */
+export function createRuleKeyTranslator({ sonarqube = [], sonarcloud = [] } = {}) {
+  const aliases = new Map();
+  for (const rule of [...sonarqube, ...sonarcloud]) {
+    for (const deprecated of deprecatedKeysOf(rule)) {
+      if (normalizeRuleKey(deprecated) !== normalizeRuleKey(rule.key)) aliases.set(normalizeRuleKey(deprecated), rule.key);
+    }
+  }
+
+  const resolve = (key) => {
+    const seen = new Set();
+    let current = key;
+    let next = aliases.get(normalizeRuleKey(current));
+    while (next && !seen.has(next)) {
+      seen.add(next);
+      current = next;
+      next = aliases.get(normalizeRuleKey(current));
+    }
+    return current;
+  };
+  const canonical = (key) => (key ? normalizeRuleKey(resolve(key)) : key);
+
+  const sonarCloudKeys = new Map();
+  for (const rule of sonarcloud) {
+    if (rule.key && !rule.key.startsWith('external_')) sonarCloudKeys.set(canonical(rule.key), rule.key);
+  }
+
+  return {
+    canonical,
+    toSonarCloud: (key) => (key ? sonarCloudKeys.get(canonical(key)) || renameRepository(resolve(key)) : key),
+    size: aliases.size,
+  };
+}
+
+/**
+ * Canonical form of a rule key, through the translator when one was built.
+ *
+ * @param {string} key
+ * @param {object|null} [ruleKeys] - Translator from createRuleKeyTranslator()
+ * @returns {string}
+ */
+export function canonicalRuleKey(key, ruleKeys = null) {
+  return ruleKeys ? ruleKeys.canonical(key) : normalizeRuleKey(key);
+}
+
+// /api/rules/search returns { deprecatedKeys: { deprecatedKey: [...] } }; accept a plain array too.
+function deprecatedKeysOf(rule) {
+  const keys = rule?.deprecatedKeys;
+  if (!rule?.key || !keys) return [];
+  return Array.isArray(keys) ? keys : keys.deprecatedKey || [];
+}
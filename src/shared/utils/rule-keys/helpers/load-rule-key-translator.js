@@ -0,0 +1,32 @@
+// -------- Load Rule Key Translator --------
+
+import logger from '../../logger.js';
+import { createRuleKeyTranslator } from './create-rule-key-translator.js';
+
+/**
+ * Fetch deprecated rule keys from both servers and build the translator.
+ * A server that cannot be queried contributes no aliases; the repository
+ * renames and "external_" handling still apply.
+ *
+ * @param {object} sqClient - SonarQube client (getDeprecatedRuleKeys)
+ * @param {object} scClient - SonarCloud client (getDeprecatedRuleKeys)
+ * @returns {Promise<object>} Translator from createRuleKeyTranslator()
+ */
+export async function loadRuleKeyTranslator(sqClient, scClient) {
+  const [sonarqube, sonarcloud] = await Promise.all([
+    fetchDeprecatedKeys(sqClient, 'SonarQube'),
+    fetchDeprecatedKeys(scClient, 'SonarCloud'),
+  ]);
+  const ruleKeys = createRuleKeyTranslator({ sonarqube, sonarcloud });
+  logger.info(`Rule key translation: ${ruleKeys.size} deprecated rule key(s) mapped`);
+  return ruleKeys;
+}
+
+async function fetchDeprecatedKeys(client, label) {
+  try {
+    return await client.getDeprecatedRuleKeys();
+  } catch (error) {
+    logger.warn(`Failed to fetch deprecated rule keys from ${label}: ${error.message}`);
+    return [];
+  }
+}
@@ -0,0 +1,35 @@
+// -------- Normalize Rule Key --------
+
+// Rule repositories that were renamed by the language plugins.
+const RENAMED_REPOSITORIES = new Map([['squid', 'java']]);
+
+/**
+ * Rewrite a rule key from a renamed repository to its current repository
+ * (e.g. "squid:S1234" -> "java:S1234"). Other keys are returned unchanged.
+ *
+ * @param {string} key - Rule key ("<repository>:<rule>")
+ * @returns {string}
+ */
+export function renameRepository(key) {
+  if (!key) return key;
+  const separator = key.indexOf(':');
+  if (separator < 0) return key;
+  const renamed = RENAMED_REPOSITORIES.get(key.slice(0, separator));
+  return renamed ? `${renamed}${key.slice(separator)}` : key;
+}
+
+/**
+ * Normalize a rule key for comparison between SonarQube and SonarCloud.
+ * External rules are stored as "external_<engine>:<rule>" on one side and
+ * "<engine>:<rule>" on the other, so the "external_" prefix is dropped, and
+ * renamed repositories are mapped to their current name.
+ *
+ * @param {string} key - Rule key
+ * @returns {string}
+ */
+export function normalizeRuleKey(key) {
+  if (!key) return key;
+  let stripped = key;
+  while (stripped.startsWith('external_')) stripped = stripped.slice('external_'.length);
+  return renameRepository(stripped);
+}
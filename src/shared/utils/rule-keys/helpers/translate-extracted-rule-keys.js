@@ -0,0 +1,31 @@
+// -------- Translate Extracted Rule Keys --------
+
+/**
+ * Rewrite the rule keys of extracted SonarQube data (active rules and issues)
+ * to the keys SonarCloud knows, so renamed rules stay active and their
+ * issues are attached to the right rule in the scanner report.
+ *
+ * @param {object} extractedData - Output of DataExtractor (activeRules, issues, ...)
+ * @param {object|null} ruleKeys  - Translator from createRuleKeyTranslator()
+ * @returns {object} A shallow copy with translated activeRules and issues
+ */
+export function translateExtractedRuleKeys(extractedData, ruleKeys) {
+  if (!ruleKeys || !extractedData) return extractedData;
+  return {
+    ...extractedData,
+    activeRules: (extractedData.activeRules || []).map(rule => translateActiveRule(rule, ruleKeys)),
+    issues: (extractedData.issues || []).map(issue => {
+      const rule = ruleKeys.toSonarCloud(issue.rule);
+      return rule === issue.rule ? issue : { ...issue, rule };
+    }),
+  };
+}
+
+// Active rules carry the repository separately; ruleKey may or may not include it.
+function translateActiveRule(rule, ruleKeys) {
+  const fullKey = rule.ruleKey?.includes(':') ? rule.ruleKey : `${rule.ruleRepository}:${rule.ruleKey}`;
+  const translated = ruleKeys.toSonarCloud(fullKey);
+  if (translated === fullKey) return rule;
+  const separator = translated.indexOf(':');
+  return { ...rule, ruleRepository: translated.slice(0, separator), ruleKey: translated };
+}
@@ -0,0 +1,5 @@
+// -------- Rule Keys --------
+export { normalizeRuleKey } from './helpers/normalize-rule-key.js';
+export { createRuleKeyTranslator, canonicalRuleKey } from './helpers/create-rule-key-translator.js';
+export { loadRuleKeyTranslator } from './helpers/load-rule-key-translator.js';
+export { translateExtractedRuleKeys } from './helpers/translate-extracted-rule-keys.js';
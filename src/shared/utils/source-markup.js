@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { HIGHLIGHTING_TYPE_BY_CLASS, parseLineMarkup, parseSourceMarkup, parseLineCoverage, fetchSourceMarkup, filterRangesToSource } from './source-markup/index.js';
@@ -0,0 +1,61 @@
+// -------- Fetch Source Markup --------
+
+import logger from '../../logger.js';
+import { mapConcurrent, createProgressLogger } from '../../concurrency.js';
+import { parseSourceMarkup } from './parse-source-markup.js';
+import { parseLineCoverage } from './parse-line-coverage.js';
+
+// The symbols, syntax highlighting and line coverage extractors read the same endpoint;
+// they reuse one fetch per file list and branch instead of downloading every file again.
+const fetchesByFileList = new WeakMap();
+
+async function fetchAll(client, sourceFiles, branch, concurrency) {
+  logger.info(`Fetching highlighted source lines for ${sourceFiles.length} files with concurrency=${concurrency}`);
+  const results = await mapConcurrent(
+    sourceFiles,
+    async (file) => {
+      const lines = await client.getSourceLines(file.key, branch);
+      return { ...parseSourceMarkup(lines), coverage: parseLineCoverage(lines) };
+    },
+    { concurrency, settled: true, onProgress: createProgressLogger('Highlighted sources', sourceFiles.length) }
+  );
+
+  const markup = new Map();
+  let failed = 0;
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      markup.set(sourceFiles[index].key, result.value);
+    } else {
+      failed++;
+      logger.debug(`Failed to fetch highlighted source for ${sourceFiles[index].key}: ${result.reason?.message}`);
+    }
+  });
+  if (failed > 0) logger.warn(`Failed to fetch highlighted source for ${failed} files — they will have no highlighting, symbols or line coverage`);
+  return markup;
+}
+
+/**
+ * Fetch and parse /api/sources/lines (markup and coverage) for every source file.
+ * Files that cannot be fetched are left out of the result (non-fatal).
+ *
+ * @param {object} client - SonarQube client exposing getSourceLines(fileKey, branch)
+ * @param {Array<{ key: string }>} sourceFiles - Source files to fetch
+ * @param {string|null} [branch] - Branch name (null for the main branch)
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Parallel requests (default 10)
+ * @returns {Promise<Map<string, { rules: Array<object>, symbols: Array<object>, coverage: Array<object> }>>} Parsed lines by file key
+ */
+export function fetchSourceMarkup(client, sourceFiles, branch = null, { concurrency = 10 } = {}) {
+  if (!sourceFiles || sourceFiles.length === 0 || typeof client?.getSourceLines !== 'function') {
+    return Promise.resolve(new Map());
+  }
+  if (!fetchesByFileList.has(sourceFiles)) fetchesByFileList.set(sourceFiles, new Map());
+  const byBranch = fetchesByFileList.get(sourceFiles);
+  const cacheKey = `${client.baseURL || ''}|${branch || ''}`;
+  if (!byBranch.has(cacheKey)) {
+    const pending = fetchAll(client, sourceFiles, branch, concurrency);
+    pending.catch(() => byBranch.delete(cacheKey));
+    byBranch.set(cacheKey, pending);
+  }
+  return byBranch.get(cacheKey);
+}
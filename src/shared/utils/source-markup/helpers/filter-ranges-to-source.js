@@ -0,0 +1,20 @@
+// -------- Filter Ranges To Source --------
+
+/**
+ * Keep only the items whose text range lies within the source lines shipped in the report.
+ * SonarQube rejects the whole report when a highlighting or symbol range points past a line end,
+ * which can happen when the source changed between the raw and decorated fetches.
+ *
+ * @param {Array<object>} items - Rules or symbols
+ * @param {Function} rangesOf - Returns the TextRanges of one item
+ * @param {Array<string>} lines - Source lines of the file (1-based line N is lines[N - 1])
+ * @returns {Array<object>} The items whose ranges all fit
+ */
+export function filterRangesToSource(items, rangesOf, lines) {
+  const fits = (range) => {
+    if (!range || range.startLine < 1 || range.endLine > lines.length || range.startLine > range.endLine) return false;
+    if (range.startLine === range.endLine && range.startOffset >= range.endOffset) return false;
+    return range.startOffset <= lines[range.startLine - 1].length && range.endOffset <= lines[range.endLine - 1].length;
+  };
+  return items.filter(item => rangesOf(item).every(fits));
+}
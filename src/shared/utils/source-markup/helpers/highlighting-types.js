@@ -0,0 +1,19 @@
+// -------- Highlighting Types --------
+
+/**
+ * CSS classes emitted by SonarQube's /api/sources/lines decorator, mapped to
+ * the numeric SyntaxHighlightingRule.HighlightingType values of the scanner report.
+ * protobufjs does not convert enum names during verify/create, so numbers are used.
+ * C++ doc comments (cppd) have no dedicated type in the report schema and fall back to STRUCTURED_COMMENT.
+ */
+export const HIGHLIGHTING_TYPE_BY_CLASS = Object.freeze({
+  a: 1,    // ANNOTATION
+  c: 2,    // CONSTANT
+  cd: 3,   // COMMENT
+  cppd: 5, // STRUCTURED_COMMENT
+  j: 5,    // STRUCTURED_COMMENT
+  k: 6,    // KEYWORD
+  s: 7,    // HIGHLIGHTING_STRING
+  h: 8,    // KEYWORD_LIGHT
+  p: 9,    // PREPROCESS_DIRECTIVE
+});
@@ -0,0 +1,30 @@
+// -------- Parse Line Coverage --------
+
+function firstNumber(...values) {
+  return values.find(value => Number.isInteger(value));
+}
+
+/**
+ * Convert the coverage fields of /api/sources/lines into scanner-report LineCoverage messages.
+ * Only executable lines carry hit counts; older servers report them as utLineHits / utConditions.
+ * Conditions are only set when the line has branches, as the report schema requires them to be positive.
+ *
+ * @param {Array<object>} lines - Source lines ({ line, lineHits, conditions, coveredConditions, ... })
+ * @returns {Array<{ line: number, hits: boolean, conditions?: number, coveredConditions?: number }>} Coverage per executable line
+ */
+export function parseLineCoverage(lines) {
+  const coverage = [];
+  for (const source of lines || []) {
+    const hits = firstNumber(source.lineHits, source.utLineHits, source.itLineHits);
+    const conditions = firstNumber(source.conditions, source.utConditions, source.itConditions);
+    if (hits === undefined && !conditions) continue;
+
+    const entry = { line: source.line, hits: (hits || 0) > 0 };
+    if (conditions > 0) {
+      entry.conditions = conditions;
+      entry.coveredConditions = Math.min(firstNumber(source.coveredConditions, source.utCoveredConditions, source.itCoveredConditions) || 0, conditions);
+    }
+    coverage.push(entry);
+  }
+  return coverage.sort((a, b) => a.line - b.line);
+}
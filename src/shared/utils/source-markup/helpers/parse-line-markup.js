@@ -0,0 +1,56 @@
+// -------- Parse Line Markup --------
+
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'', nbsp: ' ' };
+const TOKEN_PATTERN = /<span\b[^>]*?class="([^"]*)"[^>]*>|<span\b[^>]*>|<\/span>|<[^>]*>|&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);|[^<&]+|[<&]/g;
+
+function decodeEntity(entity) {
+  if (entity[0] === '#') {
+    const codePoint = entity[1] === 'x' || entity[1] === 'X'
+      ? Number.parseInt(entity.slice(2), 16)
+      : Number.parseInt(entity.slice(1), 10);
+    return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : `&${entity};`;
+  }
+  return NAMED_ENTITIES[entity] ?? `&${entity};`;
+}
+
+/**
+ * Parse one line of HTML-decorated source (the `code` field of /api/sources/lines)
+ * into its plain text and the class-tagged spans it contains.
+ * Offsets are measured on the decoded text, so they line up with /api/sources/raw.
+ *
+ * @param {string} html - Decorated line content
+ * @param {Array<Array<string>>} [openClasses] - Class lists of spans left open by the previous line
+ * @returns {{ text: string, spans: Array<{ classes: Array<string>, start: number, end: number }>, open: Array<Array<string>> }}
+ *   `open` holds the class lists of spans still open at end of line, to continue on the next one
+ */
+export function parseLineMarkup(html, openClasses = []) {
+  let text = '';
+  const spans = [];
+  const stack = openClasses.map(classes => ({ classes, start: 0 }));
+
+  for (const match of (html || '').matchAll(TOKEN_PATTERN)) {
+    const [token, classAttr, entity] = match;
+    if (classAttr !== undefined) {
+      stack.push({ classes: classAttr.split(/\s+/).filter(Boolean), start: text.length });
+    } else if (token.startsWith('<span')) {
+      stack.push({ classes: [], start: text.length });
+    } else if (token === '</span>') {
+      const span = stack.pop();
+      if (span && span.classes.length > 0 && text.length > span.start) {
+        spans.push({ classes: span.classes, start: span.start, end: text.length });
+      }
+    } else if (entity !== undefined) {
+      text += decodeEntity(entity);
+    } else if (!(token.startsWith('<') && token.length > 1)) {
+      text += token;
+    }
+  }
+
+  // Spans still open at end of line cover the rest of it and carry over to the next line
+  for (const span of stack) {
+    if (span.classes.length > 0 && text.length > span.start) {
+      spans.push({ classes: span.classes, start: span.start, end: text.length });
+    }
+  }
+  return { text, spans, open: stack.map(span => span.classes) };
+}
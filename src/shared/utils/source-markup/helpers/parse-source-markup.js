@@ -0,0 +1,63 @@
+// -------- Parse Source Markup --------
+
+import { HIGHLIGHTING_TYPE_BY_CLASS } from './highlighting-types.js';
+import { parseLineMarkup } from './parse-line-markup.js';
+
+const SYMBOL_CLASS = /^sym-(\S+)$/;
+
+function compareRanges(a, b) {
+  return a.startLine - b.startLine || a.startOffset - b.startOffset;
+}
+
+function highlightingType(classes) {
+  for (const cls of classes) {
+    if (HIGHLIGHTING_TYPE_BY_CLASS[cls]) return HIGHLIGHTING_TYPE_BY_CLASS[cls];
+  }
+  return null;
+}
+
+/**
+ * Convert the decorated lines returned by /api/sources/lines into scanner-report
+ * syntax highlighting rules and symbol tables.
+ * Nested highlighting spans keep only the outermost one so rules never overlap.
+ * For each symbol, the first occurrence in the file is taken as the declaration.
+ *
+ * @param {Array<{ line: number, code: string }>} lines - Source lines with HTML markup
+ * @returns {{ rules: Array<object>, symbols: Array<object> }} Rules ({ range, type }) and symbols ({ declaration, reference })
+ */
+export function parseSourceMarkup(lines) {
+  const rules = [];
+  const occurrencesBySymbol = new Map();
+  let open = [];
+
+  const ordered = [...(lines || [])].sort((a, b) => a.line - b.line);
+  for (const { line, code } of ordered) {
+    const parsed = parseLineMarkup(code, open);
+    open = parsed.open;
+    let highlightedUntil = -1;
+
+    for (const span of [...parsed.spans].sort((a, b) => a.start - b.start || b.end - a.end)) {
+      const range = { startLine: line, endLine: line, startOffset: span.start, endOffset: span.end };
+
+      const type = highlightingType(span.classes);
+      if (type && span.start >= highlightedUntil) {
+        rules.push({ range, type });
+        highlightedUntil = span.end;
+      }
+
+      for (const cls of span.classes) {
+        const symbol = SYMBOL_CLASS.exec(cls);
+        if (!symbol) continue;
+        if (!occurrencesBySymbol.has(symbol[1])) occurrencesBySymbol.set(symbol[1], []);
+        occurrencesBySymbol.get(symbol[1]).push(range);
+      }
+    }
+  }
+
+  rules.sort((a, b) => compareRanges(a.range, b.range));
+  const symbols = [...occurrencesBySymbol.values()]
+    .map(occurrences => occurrences.sort(compareRanges))
+    .map(([declaration, ...reference]) => ({ declaration, reference }))
+    .sort((a, b) => compareRanges(a.declaration, b.declaration));
+  return { rules, symbols };
+}
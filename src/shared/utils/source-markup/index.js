@@ -0,0 +1,7 @@
+// -------- Source Markup --------
+export { HIGHLIGHTING_TYPE_BY_CLASS } from './helpers/highlighting-types.js';
+export { parseLineMarkup } from './helpers/parse-line-markup.js';
+export { parseSourceMarkup } from './helpers/parse-source-markup.js';
+export { parseLineCoverage } from './helpers/parse-line-coverage.js';
+export { fetchSourceMarkup } from './helpers/fetch-source-markup.js';
+export { filterRangesToSource } from './helpers/filter-ranges-to-source.js';
@@ -0,0 +1,2 @@
+// -------- Re-export Shim --------
+export { WEBHOOK_SECRET_MODES, webhookSecretEnvVar, resolveWebhookSecret } from './webhook-secrets/index.js';
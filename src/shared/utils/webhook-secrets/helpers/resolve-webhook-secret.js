@@ -0,0 +1,48 @@
+// -------- Resolve Webhook Secret --------
+
+import logger from '../../logger.js';
+import { ask } from '../../prompt.js';
+import { webhookSecretEnvVar } from './webhook-secret-env-var.js';
+
+// Projects migrate concurrently; prompts are queued so only one question is on screen,
+// and answers are reused for webhooks sharing the same name and URL (e.g. the same hook on several orgs).
+let promptQueue = Promise.resolve();
+const promptedSecrets = new Map();
+
+/**
+ * Obtain the secret to set on a recreated webhook.
+ * Webhooks that had no secret in SonarQube never get one.
+ *
+ * @param {object} webhook           - Extracted webhook ({ name, url, hasSecret })
+ * @param {string} mode              - 'prompt' | 'env' | 'skip'
+ * @param {object} [options]
+ * @param {string} [options.scope]   - Label used in prompts and logs (organization or project key)
+ * @param {object} [options.env]     - Environment to read from (defaults to process.env)
+ * @param {Function} [options.prompt] - Question function (defaults to the terminal prompt)
+ * @returns {Promise<string|null>} The secret, or null to create the webhook without one
+ */
+export async function resolveWebhookSecret(webhook, mode, { scope = '', env = process.env, prompt = ask } = {}) {
+  if (!webhook.hasSecret || mode === 'skip') return null;
+  const label = scope ? `"${webhook.name}" (${scope})` : `"${webhook.name}"`;
+
+  if (mode === 'env') {
+    const secret = env[webhookSecretEnvVar(webhook.name)] || env.CLOUDVOYAGER_WEBHOOK_SECRET || null;
+    if (!secret) logger.warn(`No secret found in ${webhookSecretEnvVar(webhook.name)} or CLOUDVOYAGER_WEBHOOK_SECRET for webhook ${label}`);
+    return secret;
+  }
+
+  if (mode === 'prompt') {
+    if (prompt === ask && !process.stdin.isTTY) {
+      logger.warn(`Non-interactive mode — creating webhook ${label} without its secret`);
+      return null;
+    }
+    const cacheKey = `${webhook.name}|${webhook.url}`;
+    if (!promptedSecrets.has(cacheKey)) {
+      promptQueue = promptQueue.then(() => prompt(`  Secret for webhook ${label} (leave empty for none): `)).catch(() => '');
+      promptedSecrets.set(cacheKey, promptQueue);
+    }
+    return (await promptedSecrets.get(cacheKey)) || null;
+  }
+
+  return null;
+}
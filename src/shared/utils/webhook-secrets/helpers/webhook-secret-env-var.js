@@ -0,0 +1,13 @@
+// -------- Webhook Secret Env Var --------
+
+/**
+ * Name of the environment variable holding the secret for one webhook,
+ * e.g. "Jenkins CI" -> CLOUDVOYAGER_WEBHOOK_SECRET_JENKINS_CI.
+ *
+ * @param {string} name - Webhook name
+ * @returns {string}
+ */
+export function webhookSecretEnvVar(name) {
+  const suffix = String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return `CLOUDVOYAGER_WEBHOOK_SECRET_${suffix}`;
+}
@@ -0,0 +1,10 @@
+// -------- Webhook Secret Modes --------
+
+/**
+ * How secrets of migrated webhooks are obtained (`migrate.webhookSecrets`).
+ * SonarQube never returns webhook secrets through its API, so they must be supplied again.
+ *   prompt - ask for each secret on the terminal
+ *   env    - read CLOUDVOYAGER_WEBHOOK_SECRET_<NAME>, falling back to CLOUDVOYAGER_WEBHOOK_SECRET
+ *   skip   - recreate the webhook without a secret
+ */
+export const WEBHOOK_SECRET_MODES = ['prompt', 'env', 'skip'];
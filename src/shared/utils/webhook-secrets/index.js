@@ -0,0 +1,4 @@
+// -------- Webhook Secrets --------
+export { WEBHOOK_SECRET_MODES } from './helpers/webhook-secret-modes.js';
+export { webhookSecretEnvVar } from './helpers/webhook-secret-env-var.js';
+export { resolveWebhookSecret } from './helpers/resolve-webhook-secret.js';
@@ -0,0 +1,59 @@
+import logger from '../../utils/logger.js';
+
+/**
+ * Verify that SonarQube applications were recreated as SonarCloud enterprise portfolios.
+ * Applications are matched to portfolios by name (or "<name> (application)" when the
+ * name was taken by a SonarQube portfolio). Without enterprise access the check is
+ * skipped and the SQ applications are listed for reference.
+ *
+ * @param {object} sqClient - SonarQube client
+ * @param {Array<object>|null} [scPortfolios=null] - Enterprise portfolios from SonarCloud, or null if unavailable
+ * @returns {Promise<object>} Check result
+ */
+export async function verifyApplications(sqClient, scPortfolios = null) {
+  const result = {
+    status: 'skipped',
+    sqCount: 0,
+    details: 'Application verification requires an enterprise key. SQ applications listed for reference.',
+    sqApplications: [],
+    missing: [],
+    projectCountMismatches: [],
+    unsyncable: { nonMainProjectBranches: 0, applicationBranches: 0 },
+  };
+
+  try {
+    const applications = await sqClient.getApplications();
+    for (const app of applications) {
+      const details = await sqClient.getApplicationDetails(app.key);
+      const projects = details?.projects || [];
+      result.sqApplications.push({ key: app.key, name: app.name, projectCount: projects.length });
+      result.unsyncable.nonMainProjectBranches += projects.filter(p => p.isMain === false).length;
+      result.unsyncable.applicationBranches += (details?.branches || []).filter(b => !b.isMain).length;
+    }
+    result.sqCount = result.sqApplications.length;
+  } catch (error) {
+    logger.debug(`Failed to get SQ applications: ${error.message}`);
+  }
+
+  if (!scPortfolios) {
+    logger.info(`Application verification: ${result.sqCount} SQ applications found (SC verification skipped — requires an enterprise key)`);
+    return result;
+  }
+
+  const scByName = new Map(scPortfolios.map(p => [p.name, p]));
+  for (const app of result.sqApplications) {
+    const portfolio = scByName.get(`${app.name} (application)`) || scByName.get(app.name);
+    if (!portfolio) {
+      result.missing.push(app.name);
+    } else if (Array.isArray(portfolio.projects) && portfolio.projects.length !== app.projectCount) {
+      result.projectCountMismatches.push({ application: app.name, portfolio: portfolio.name, sqProjects: app.projectCount, scProjects: portfolio.projects.length });
+    }
+  }
+
+  result.status = result.missing.length > 0 ? 'fail' : 'pass';
+  result.details = result.missing.length > 0
+    ? `${result.missing.length} of ${result.sqCount} application(s) have no matching SonarCloud portfolio`
+    : `All ${result.sqCount} application(s) have a matching SonarCloud portfolio`;
+  logger.info(`Application verification: ${result.details}`);
+  return result;
+}
@@ -1,10 +1,14 @@
 // -------- Build Hotspot Match Key --------
 
+import { canonicalRuleKey } from '../../../../utils/rule-keys.js';
+
 /**
  * Build a match key for hotspots: ruleKey + file + line.
+ * Renamed rules match through the optional rule key translator.
  */
-export function buildHotspotMatchKey(hotspot) {
-  const ruleKey = hotspot.ruleKey || hotspot.rule?.key || hotspot.securityCategory || '';
+export function buildHotspotMatchKey(hotspot, ruleKeys = null) {
+  const rawRuleKey = hotspot.ruleKey || hotspot.rule?.key;
+  const ruleKey = rawRuleKey ? canonicalRuleKey(rawRuleKey, ruleKeys) : hotspot.securityCategory || '';
   const component = hotspot.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = hotspot.line || hotspot.textRange?.startLine || 0;
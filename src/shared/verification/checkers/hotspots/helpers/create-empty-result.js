@@ -10,8 +10,8 @@ export function createEmptyHotspotResult() {
     unmatched: 0,
     statusMismatches: [],
     commentMismatches: [],
+    assignmentMismatches: [],
     unmatchedSqHotspots: [],
     scOnlyHotspots: [],
-    unsyncable: { assignments: 0, assignmentDetails: [] },
   };
 }
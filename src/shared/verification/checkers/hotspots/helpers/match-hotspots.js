@@ -3,10 +3,10 @@
 import { buildHotspotMatchKey } from './build-match-key.js';
 
 /** Match SQ hotspots to SC hotspots using rule + file + line keys. */
-export function matchHotspots(sqHotspots, scHotspots) {
+export function matchHotspots(sqHotspots, scHotspots, ruleKeys = null) {
   const scMap = new Map();
   for (const h of scHotspots) {
-    const key = buildHotspotMatchKey(h);
+    const key = buildHotspotMatchKey(h, ruleKeys);
     if (key) {
       if (!scMap.has(key)) scMap.set(key, []);
       scMap.get(key).push(h);
@@ -16,7 +16,7 @@ export function matchHotspots(sqHotspots, scHotspots) {
   const matchedPairs = [];
   const matchedSqKeys = new Set();
   for (const sqH of sqHotspots) {
-    const key = buildHotspotMatchKey(sqH);
+    const key = buildHotspotMatchKey(sqH, ruleKeys);
     if (!key) continue;
     const candidates = scMap.get(key);
     if (!candidates || candidates.length === 0) continue;
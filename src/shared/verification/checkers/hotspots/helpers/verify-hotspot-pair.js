@@ -1,10 +1,11 @@
 // -------- Verify Hotspot Pair --------
 
 import logger from '../../../../utils/logger.js';
+import { resolveScLogin } from '../../../../mapping/user-permissions.js';
 import { normalizeHotspotStatus } from './normalize-status.js';
 
 /** Verify a single matched SQ ↔ SC hotspot pair. */
-export async function verifyHotspotPair(sqH, scH, scClient, result) {
+export async function verifyHotspotPair(sqH, scH, scClient, result, userMappings = null) {
   const sqNorm = normalizeHotspotStatus(sqH.status, sqH.resolution);
   const scNorm = normalizeHotspotStatus(scH.status, scH.resolution);
   if (sqNorm !== scNorm) {
@@ -33,14 +34,13 @@ export async function verifyHotspotPair(sqH, scH, scClient, result) {
     }
   } catch (e) { logger.debug(`Failed to fetch SC hotspot details for ${scH.key}: ${e.message}`); }
 
-  // Unsyncable assignments
-  if (sqH.assignee && sqH.assignee !== (scH.assignee || null)) {
-    result.unsyncable.assignments++;
-    if (result.unsyncable.assignmentDetails.length < 50) {
-      result.unsyncable.assignmentDetails.push({
-        sqKey: sqH.key, rule: sqH.ruleKey || sqH.securityCategory,
-        file: (sqH.component || '').split(':').pop(), sqAssignee: sqH.assignee, scAssignee: scH.assignee || null,
-      });
-    }
+  // Check assignee (translated through user-mappings.csv; excluded users are not checked)
+  const expectedAssignee = sqH.assignee ? resolveScLogin(sqH.assignee, userMappings) : null;
+  if (expectedAssignee && expectedAssignee !== (scH.assignee || null)) {
+    result.assignmentMismatches.push({
+      sqKey: sqH.key, scKey: scH.key, rule: sqH.ruleKey || sqH.securityCategory,
+      file: (sqH.component || '').split(':').pop(),
+      sqAssignee: sqH.assignee, expectedAssignee, scAssignee: scH.assignee || null,
+    });
   }
 }
@@ -25,7 +25,7 @@ export async function verifyHotspots(sqClient, scClient, scProjectKey, options =
 
   if (sqHotspots.length === 0 && scHotspots.length === 0) return result;
 
-  const { matchedPairs, matchedSqKeys, scHotspotMap } = matchHotspots(sqHotspots, scHotspots);
+  const { matchedPairs, matchedSqKeys, scHotspotMap } = matchHotspots(sqHotspots, scHotspots, options.ruleKeys);
   result.matched = matchedPairs.length;
 
   const matchedRules = new Set(matchedPairs.map(p => p.sqHotspot.ruleKey || p.sqHotspot.securityCategory || ''));
@@ -38,12 +38,12 @@ export async function verifyHotspots(sqClient, scClient, scProjectKey, options =
   logger.info(`Matched ${matchedPairs.length}/${sqHotspots.length} hotspots, verifying details...`);
   const progressLogger = createProgressLogger('Hotspot verification', matchedPairs.length);
   await mapConcurrent(matchedPairs, async ({ sqHotspot, scHotspot }) => {
-    await verifyHotspotPair(sqHotspot, scHotspot, scClient, result);
+    await verifyHotspotPair(sqHotspot, scHotspot, scClient, result, options.userMappings);
   }, { concurrency, settled: true, onProgress: progressLogger });
 
   if (result.unmatched > 0 || result.statusMismatches.length > 0) result.status = 'fail';
-  else if (result.commentMismatches.length > 0) result.status = 'fail';
+  else if (result.commentMismatches.length > 0 || result.assignmentMismatches.length > 0) result.status = 'fail';
 
-  logger.info(`Hotspot verification: ${result.matched} matched, ${result.unmatched} unmatched, ${result.statusMismatches.length} status mismatches`);
+  logger.info(`Hotspot verification: ${result.matched} matched, ${result.unmatched} unmatched, ${result.statusMismatches.length} status mismatches, ${result.assignmentMismatches.length} assignment mismatches`);
   return result;
 }
@@ -4,10 +4,11 @@ import { normalizeRule } from './normalize-rule.js';
 
 /**
  * Build a match key from rule + file component + line number.
- * Rule keys are normalized so SQ "mulesoft:X" matches SC "external_mulesoft:X".
+ * Rule keys are normalized so SQ "mulesoft:X" matches SC "external_mulesoft:X",
+ * and renamed rules match through the optional rule key translator.
  */
-export function buildMatchKey(issue) {
-  const rule = normalizeRule(issue.rule);
+export function buildMatchKey(issue, ruleKeys = null) {
+  const rule = normalizeRule(issue.rule, ruleKeys);
   const component = issue.component || '';
   const filePath = component.includes(':') ? component.split(':').pop() : component;
   const line = issue.line || issue.textRange?.startLine || 0;
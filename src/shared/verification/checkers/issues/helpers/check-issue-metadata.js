@@ -1,5 +1,7 @@
 // -------- Check Issue Metadata --------
 
+import { planOverrideSync, hasOverridesToApply } from '../../../../utils/issue-sync/plan-override-sync.js';
+
 /** Check assignment mismatch between SQ and SC issue. */
 export function checkAssignment(sqIssue, scIssue, result) {
   if ((sqIssue.assignee || null) !== (scIssue.assignee || null)) {
@@ -41,3 +43,20 @@ export function checkTags(sqIssue, scIssue, result) {
     });
   }
 }
+
+/** Check that manual severity, type and impact overrides from the SQ changelog are effective on SC. */
+export function checkOverrides(sqIssue, scIssue, sqChangelog, result) {
+  if (!sqChangelog) return;
+  const plan = planOverrideSync(sqIssue, scIssue, sqChangelog);
+  if (!hasOverridesToApply(plan)) return;
+  const scImpacts = new Map((scIssue.impacts || []).map(i => [i.softwareQuality, i.severity]));
+  result.overrideMismatches.push({
+    sqKey: sqIssue.key, scKey: scIssue.key, rule: sqIssue.rule,
+    file: (sqIssue.component || '').split(':').pop(),
+    fields: [
+      ...(plan.type ? [{ field: 'type', sq: plan.type, sc: scIssue.type || null }] : []),
+      ...(plan.severity ? [{ field: 'severity', sq: plan.severity, sc: scIssue.severity || null }] : []),
+      ...plan.impacts.map(i => ({ field: i.softwareQuality, sq: i.severity, sc: scImpacts.get(i.softwareQuality) })),
+    ],
+  });
+}
@@ -1,8 +1,14 @@
 // -------- Check Unsyncable Changes --------
 
-/** Detect unsyncable type/severity changes between SQ and SC issue. */
-export function checkUnsyncable(sqIssue, scIssue, result) {
-  if (sqIssue.type && scIssue.type && sqIssue.type !== scIssue.type) {
+import { findManualOverrides } from '../../../../utils/issue-sync/plan-override-sync.js';
+
+/**
+ * Detect unsyncable type/severity changes between SQ and SC issue.
+ * Fields a human overrode in SQ are synced, so they are reported by checkOverrides instead.
+ */
+export function checkUnsyncable(sqIssue, scIssue, result, sqChangelog = null) {
+  const overrides = findManualOverrides(sqChangelog);
+  if (!overrides.type && sqIssue.type && scIssue.type && sqIssue.type !== scIssue.type) {
     result.unsyncable.typeChanges++;
     if (result.unsyncable.typeChangeDetails.length < 50) {
       result.unsyncable.typeChangeDetails.push({
@@ -12,7 +18,7 @@ export function checkUnsyncable(sqIssue, scIssue, result) {
       });
     }
   }
-  if (sqIssue.severity && scIssue.severity && sqIssue.severity !== scIssue.severity) {
+  if (!overrides.severity && sqIssue.severity && scIssue.severity && sqIssue.severity !== scIssue.severity) {
     result.unsyncable.severityChanges++;
     if (result.unsyncable.severityChangeDetails.length < 50) {
       result.unsyncable.severityChangeDetails.push({
@@ -14,6 +14,7 @@ export function createEmptyIssueResult() {
     assignmentMismatches: [],
     commentMismatches: [],
     tagMismatches: [],
+    overrideMismatches: [],
     typeBreakdown: { sq: {}, sc: {} },
     severityBreakdown: { sq: {}, sc: {} },
     unmatchedSqIssues: [],
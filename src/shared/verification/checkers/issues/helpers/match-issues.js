@@ -6,10 +6,10 @@ import { buildMatchKey } from './build-match-key.js';
  * Match SQ issues to SC issues using rule + file + line keys.
  * @returns {{ matchedPairs, matchedSqKeys, scIssueMap }}
  */
-export function matchIssues(sqIssues, scIssues) {
+export function matchIssues(sqIssues, scIssues, ruleKeys = null) {
   const scIssueMap = new Map();
   for (const issue of scIssues) {
-    const key = buildMatchKey(issue);
+    const key = buildMatchKey(issue, ruleKeys);
     if (key) {
       if (!scIssueMap.has(key)) scIssueMap.set(key, []);
       scIssueMap.get(key).push(issue);
@@ -20,7 +20,7 @@ export function matchIssues(sqIssues, scIssues) {
   const matchedSqKeys = new Set();
 
   for (const sqIssue of sqIssues) {
-    const matchKey = buildMatchKey(sqIssue);
+    const matchKey = buildMatchKey(sqIssue, ruleKeys);
     if (!matchKey) continue;
     const candidates = scIssueMap.get(matchKey);
     if (!candidates || candidates.length === 0) continue;
@@ -1,11 +1,13 @@
 // -------- Normalize Rule Key --------
 
+import { canonicalRuleKey } from '../../../../utils/rule-keys.js';
+
 /**
  * Normalize a rule key for matching.
- * SC external issues use "external_<engineId>:<ruleId>" while SQ uses "<engineId>:<ruleId>".
- * Strip the "external_" prefix so both sides produce the same key.
+ * SC external issues use "external_<engineId>:<ruleId>" while SQ uses "<engineId>:<ruleId>",
+ * and renamed rules ("squid:S00112" vs "java:S112") resolve through the rule key translator.
  */
-export function normalizeRule(rule) {
+export function normalizeRule(rule, ruleKeys = null) {
   if (!rule) return rule;
-  return rule.startsWith('external_') ? rule.slice('external_'.length) : rule;
+  return canonicalRuleKey(rule, ruleKeys);
 }
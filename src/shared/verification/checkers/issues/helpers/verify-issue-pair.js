@@ -2,18 +2,20 @@
 import logger from '../../../../utils/logger.js';
 import { extractTransitionsFromChangelog } from '../../../../../pipelines/sq-10.4/sonarcloud/migrators/issue-sync.js';
 import { normalizeStatus } from './normalize-status.js';
-import { checkAssignment, checkComments, checkTags } from './check-issue-metadata.js';
+import { checkAssignment, checkComments, checkTags, checkOverrides } from './check-issue-metadata.js';
 import { checkUnsyncable } from './check-unsyncable.js';
 
 /** Verify a single matched SQ ↔ SC issue pair. */
 export async function verifyIssuePair(sq, sc, sqClient, scClient, result) {
   checkCreationDate(sq, sc, result);
   checkStatusMatch(sq, sc, result);
-  await checkStatusHistory(sq, sc, sqClient, scClient, result);
+  const sqChangelog = await fetchChangelog(sqClient, sq.key);
+  await checkStatusHistory(sq, sc, sqChangelog, scClient, result);
   checkAssignment(sq, sc, result);
   checkComments(sq, sc, result);
   checkTags(sq, sc, result);
-  checkUnsyncable(sq, sc, result);
+  checkOverrides(sq, sc, sqChangelog, result);
+  checkUnsyncable(sq, sc, result, sqChangelog);
 }
 
 function checkCreationDate(sq, sc, result) {
@@ -43,9 +45,15 @@ function checkStatusMatch(sq, sc, result) {
   });
 }
 
-async function checkStatusHistory(sq, sc, sqClient, scClient, result) {
+async function fetchChangelog(sqClient, key) {
+  try { return await sqClient.getIssueChangelog(key); }
+  catch (e) { logger.debug(`Failed to fetch changelog for ${key}: ${e.message}`); return null; }
+}
+
+async function checkStatusHistory(sq, sc, sqChangelog, scClient, result) {
+  if (!sqChangelog) return;
   try {
-    const sqT = extractTransitionsFromChangelog(await sqClient.getIssueChangelog(sq.key));
+    const sqT = extractTransitionsFromChangelog(sqChangelog);
     if (sqT.length === 0) return;
     const scT = extractTransitionsFromChangelog(await scClient.getIssueChangelog(sc.key));
     let idx = 0;
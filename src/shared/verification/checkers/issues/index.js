@@ -25,11 +25,11 @@ export async function verifyIssues(sqClient, scClient, scProjectKey, options = {
   result.severityBreakdown = { sq: sqBd.severityBreakdown, sc: scBd.severityBreakdown };
   if (sqIssues.length === 0 && scIssues.length === 0) return result;
 
-  const { matchedPairs, matchedSqKeys, scIssueMap } = matchIssues(sqIssues, scIssues);
+  const { matchedPairs, matchedSqKeys, scIssueMap } = matchIssues(sqIssues, scIssues, options.ruleKeys);
   result.matched = matchedPairs.length;
-  const matchedRules = new Set(matchedPairs.map(p => normalizeRule(p.sqIssue.rule)));
-  const scRules = new Set(scIssues.map(i => normalizeRule(i.rule)));
-  const sqRules = new Set(sqIssues.map(i => normalizeRule(i.rule)));
+  const matchedRules = new Set(matchedPairs.map(p => normalizeRule(p.sqIssue.rule, options.ruleKeys)));
+  const scRules = new Set(scIssues.map(i => normalizeRule(i.rule, options.ruleKeys)));
+  const sqRules = new Set(sqIssues.map(i => normalizeRule(i.rule, options.ruleKeys)));
   classifyUnmatchedSq(sqIssues, matchedSqKeys, matchedRules, scRules, result);
   classifyScOnly(scIssueMap, matchedRules, sqRules, result);
 
@@ -42,5 +42,6 @@ export async function verifyIssues(sqClient, scClient, scProjectKey, options = {
   if (result.unmatched > 0 || result.statusMismatches.length > 0 || result.statusHistoryMismatches.length > 0) result.status = 'fail';
   else if (result.creationDateMismatches.length > 0) result.status = 'fail';
   else if (result.assignmentMismatches.length > 0 || result.commentMismatches.length > 0 || result.tagMismatches.length > 0) result.status = 'fail';
+  else if (result.overrideMismatches.length > 0) result.status = 'fail';
   return result;
 }
@@ -1,4 +1,4 @@
 // -------- Re-export Shim --------
 // Preserves import path compatibility for `./permissions.js`
 
-export { verifyGlobalPermissions, verifyProjectPermissions, verifyPermissionTemplates } from './permissions/index.js';
+export { verifyGlobalPermissions, verifyProjectPermissions, verifyPermissionTemplates, verifyGlobalUserPermissions, verifyProjectUserPermissions } from './permissions/index.js';
@@ -0,0 +1,35 @@
+// -------- Compare User Permissions --------
+
+import { resolveScLogin } from '../../../../mapping/user-permissions.js';
+
+/**
+ * Compare SonarQube user permissions against SonarCloud, translating logins
+ * through user-mappings.csv. Users excluded in the CSV are counted, not checked.
+ *
+ * @param {Array} sqUsers           - SonarQube users ({ login, permissions })
+ * @param {Array} scUsers           - SonarCloud users ({ login, permissions })
+ * @param {Map|null} userMappings   - Output of applyUserMappingsCsv()
+ * @param {Set<string>} [ignored]   - Permissions SonarCloud does not support
+ * @returns {{status: string, mismatches: Array, details: Array, excluded: number}}
+ */
+export function compareUserPermissions(sqUsers, scUsers, userMappings, ignored = new Set()) {
+  const result = { status: 'pass', mismatches: [], details: [], excluded: 0 };
+  const scPermMap = new Map(scUsers.map(u => [u.login, u.permissions || []]));
+
+  for (const sqUser of sqUsers) {
+    const sqPerms = (sqUser.permissions || []).filter(p => !ignored.has(p)).sort();
+    if (sqPerms.length === 0) continue;
+    const scLogin = resolveScLogin(sqUser.login, userMappings);
+    if (!scLogin) { result.excluded++; continue; }
+    const scPerms = (scPermMap.get(scLogin) || []).slice().sort();
+    const missing = sqPerms.filter(p => !scPerms.includes(p));
+    if (missing.length > 0) result.mismatches.push({ user: sqUser.login, scLogin, missingPermissions: missing });
+    result.details.push({
+      user: sqUser.login, scLogin, sqPermissions: sqPerms, scPermissions: scPerms,
+      status: missing.length === 0 ? 'pass' : 'fail',
+    });
+  }
+
+  if (result.mismatches.length > 0) result.status = 'fail';
+  return result;
+}
@@ -0,0 +1,15 @@
+// -------- Verify Global User Permissions --------
+
+import logger from '../../../../utils/logger.js';
+import { compareUserPermissions } from './compare-user-permissions.js';
+
+const SC_UNSUPPORTED_PERMISSIONS = new Set(['applicationcreator', 'portfoliocreator']);
+
+/** Verify organization-level permissions held directly by users. */
+export async function verifyGlobalUserPermissions(sqClient, scClient, userMappings = null) {
+  const sqUsers = await sqClient.getGlobalUserPermissions();
+  const scUsers = await scClient.getGlobalUserPermissions();
+  const result = compareUserPermissions(sqUsers, scUsers, userMappings, SC_UNSUPPORTED_PERMISSIONS);
+  logger.info(`Global user permission verification: ${result.mismatches.length} users with missing permissions`);
+  return result;
+}
@@ -0,0 +1,13 @@
+// -------- Verify Project User Permissions --------
+
+import logger from '../../../../utils/logger.js';
+import { compareUserPermissions } from './compare-user-permissions.js';
+
+/** Verify project-level permissions held directly by users. */
+export async function verifyProjectUserPermissions(sqClient, scClient, sqProjectKey, scProjectKey, userMappings = null) {
+  let sqUsers, scUsers;
+  try { sqUsers = await sqClient.getProjectUserPermissions(sqProjectKey); } catch (e) { logger.debug(`Failed to get SQ project user permissions: ${e.message}`); sqUsers = []; }
+  try { scUsers = await scClient.getProjectUserPermissions(scProjectKey); } catch (e) { logger.debug(`Failed to get SC project user permissions: ${e.message}`); scUsers = []; }
+
+  return compareUserPermissions(sqUsers, scUsers, userMappings);
+}
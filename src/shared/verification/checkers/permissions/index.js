@@ -3,3 +3,5 @@
 export { verifyGlobalPermissions } from './helpers/verify-global.js';
 export { verifyProjectPermissions } from './helpers/verify-project.js';
 export { verifyPermissionTemplates } from './helpers/verify-templates.js';
+export { verifyGlobalUserPermissions } from './helpers/verify-global-users.js';
+export { verifyProjectUserPermissions } from './helpers/verify-project-users.js';
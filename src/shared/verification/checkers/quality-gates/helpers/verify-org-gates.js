@@ -2,6 +2,7 @@
 
 import logger from '../../../../utils/logger.js';
 import { compareConditions } from './compare-conditions.js';
+import { translateConditionMetric } from '../../../../utils/quality-gate-conditions.js';
 
 /** Verify quality gates between SonarQube and SonarCloud at the org level. */
 export async function verifyQualityGates(sqClient, scClient) {
@@ -29,7 +30,9 @@ export async function verifyQualityGates(sqClient, scClient) {
       scClient.getQualityGateDetails(scGate.id).then(d => d.conditions || []).catch(e => { logger.debug(`Failed to get SC gate details for ${scGate.name}: ${e.message}`); return []; }),
     ]);
 
-    const condMismatches = compareConditions(sqConds, scConds);
+    // Compare against the SonarCloud metric each SQ condition was migrated to
+    const translatedSqConds = sqConds.map(c => ({ ...c, metric: translateConditionMetric(c.metric) || c.metric }));
+    const condMismatches = compareConditions(translatedSqConds, scConds);
     if (condMismatches.length > 0) result.conditionMismatches.push({ gateName: sqGate.name, mismatches: condMismatches });
     result.details.push({ name: sqGate.name, sqConditionCount: sqConds.length, scConditionCount: scConds.length, conditionMismatchCount: condMismatches.length, status: condMismatches.length === 0 ? 'pass' : 'fail' });
   }
@@ -0,0 +1,4 @@
+// -------- Re-export Shim --------
+// Preserves import path compatibility for `./webhooks.js`
+
+export { verifyWebhooks, verifyProjectWebhooks } from './webhooks/index.js';
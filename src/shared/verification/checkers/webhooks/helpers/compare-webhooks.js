@@ -0,0 +1,27 @@
+// -------- Compare Webhooks --------
+
+/**
+ * Compare SonarQube webhooks against SonarCloud webhooks by name and URL.
+ * A webhook that had a secret in SonarQube but was recreated without one is
+ * reported under `withoutSecret` without failing the check.
+ *
+ * @param {Array} sqWebhooks - SonarQube webhooks ({ name, url, hasSecret })
+ * @param {Array} scWebhooks - SonarCloud webhooks ({ name, url, hasSecret })
+ * @returns {object} Check result
+ */
+export function compareWebhooks(sqWebhooks, scWebhooks) {
+  const result = { status: 'pass', sqCount: sqWebhooks.length, scCount: scWebhooks.length, missing: [], withoutSecret: [], details: [] };
+  const scWebhookMap = new Map(scWebhooks.map(w => [`${w.name}|${w.url}`, w]));
+
+  for (const sqWebhook of sqWebhooks) {
+    const scWebhook = scWebhookMap.get(`${sqWebhook.name}|${sqWebhook.url}`);
+    if (!scWebhook) {
+      result.missing.push({ name: sqWebhook.name, url: sqWebhook.url });
+    } else if (sqWebhook.hasSecret && scWebhook.hasSecret === false) {
+      result.withoutSecret.push({ name: sqWebhook.name, url: sqWebhook.url });
+    }
+  }
+
+  if (result.missing.length > 0) result.status = 'fail';
+  return result;
+}
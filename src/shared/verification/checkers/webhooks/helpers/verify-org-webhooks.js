@@ -0,0 +1,13 @@
+// -------- Verify Organization Webhooks --------
+
+import logger from '../../../../utils/logger.js';
+import { compareWebhooks } from './compare-webhooks.js';
+
+/** Verify global SonarQube webhooks were recreated as SonarCloud organization webhooks. */
+export async function verifyWebhooks(sqClient, scClient) {
+  const sqWebhooks = await sqClient.getWebhooks();
+  let scWebhooks;
+  try { scWebhooks = await scClient.listWebhooks(); } catch (e) { logger.debug(`Failed to get SC organization webhooks: ${e.message}`); scWebhooks = []; }
+
+  return compareWebhooks(sqWebhooks, scWebhooks);
+}
@@ -0,0 +1,13 @@
+// -------- Verify Project Webhooks --------
+
+import logger from '../../../../utils/logger.js';
+import { compareWebhooks } from './compare-webhooks.js';
+
+/** Verify project webhooks between SonarQube and SonarCloud. */
+export async function verifyProjectWebhooks(sqClient, scClient, sqProjectKey, scProjectKey) {
+  let sqWebhooks, scWebhooks;
+  try { sqWebhooks = await sqClient.getWebhooks(sqProjectKey); } catch (e) { logger.debug(`Failed to get SQ project webhooks: ${e.message}`); sqWebhooks = []; }
+  try { scWebhooks = await scClient.listWebhooks(scProjectKey); } catch (e) { logger.debug(`Failed to get SC project webhooks: ${e.message}`); scWebhooks = []; }
+
+  return compareWebhooks(sqWebhooks, scWebhooks);
+}
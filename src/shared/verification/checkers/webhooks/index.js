@@ -0,0 +1,5 @@
+// -------- Webhook Checkers --------
+// Re-exports organization and project webhook verification functions.
+
+export { verifyWebhooks } from './helpers/verify-org-webhooks.js';
+export { verifyProjectWebhooks } from './helpers/verify-project-webhooks.js';
@@ -40,5 +40,13 @@ export function collectSkippedChecks(results) {
     });
   }
 
+  if (results.applications?.status === 'skipped') {
+    skipped.push({
+      checkName: 'Applications',
+      context: null,
+      reason: results.applications.details || 'No reason provided',
+    });
+  }
+
   return skipped;
 }
@@ -0,0 +1,31 @@
+// -------- Format Applications Section --------
+
+/**
+ * Format the applications section.
+ * @param {object} results - Verification results
+ * @returns {string}
+ */
+export function formatApplications(results) {
+  if (!results.applications || !results.applications.sqCount) return '';
+
+  const lines = ['## Applications\n'];
+  lines.push(`Status: ${results.applications.status} — ${results.applications.details}\n`);
+  if (results.applications.missing?.length > 0) {
+    lines.push('No matching SonarCloud portfolio:');
+    for (const name of results.applications.missing) lines.push(`- ${name}`);
+    lines.push('');
+  }
+  if (results.applications.projectCountMismatches?.length > 0) {
+    lines.push('Project count differs:');
+    for (const m of results.applications.projectCountMismatches) {
+      lines.push(`- ${m.application}: ${m.sqProjects} in SonarQube, ${m.scProjects} in SonarCloud portfolio "${m.portfolio}"`);
+    }
+    lines.push('');
+  }
+  if (results.applications.status === 'skipped' && results.applications.sqApplications?.length > 0) {
+    lines.push(`SonarQube applications (${results.applications.sqCount}):`);
+    for (const a of results.applications.sqApplications) lines.push(`- ${a.name} (\`${a.key}\`)`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
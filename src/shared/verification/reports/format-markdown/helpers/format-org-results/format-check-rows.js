@@ -22,8 +22,16 @@ export function formatCheckRows(checks, lines) {
     const p = checks.globalPermissions;
     lines.push(`| Global Permissions | ${statusIcon(p.status)} ${p.status} | ${(p.mismatches || []).length} groups with missing permissions |`);
   }
+  if (checks.globalUserPermissions) {
+    const u = checks.globalUserPermissions;
+    lines.push(`| Global User Permissions | ${statusIcon(u.status)} ${u.status} | ${(u.mismatches || []).length} users with missing permissions |`);
+  }
   if (checks.permissionTemplates) {
     const t = checks.permissionTemplates;
     lines.push(`| Permission Templates | ${statusIcon(t.status)} ${t.status} | SQ: ${t.sqCount || 0}, SC: ${t.scCount || 0}, Missing: ${(t.missing || []).length} |`);
   }
+  if (checks.webhooks) {
+    const w = checks.webhooks;
+    lines.push(`| Webhooks | ${statusIcon(w.status)} ${w.status} | SQ: ${w.sqCount || 0}, SC: ${w.scCount || 0}, Missing: ${(w.missing || []).length}, Without secret: ${(w.withoutSecret || []).length} |`);
+  }
 }
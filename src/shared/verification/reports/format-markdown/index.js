@@ -5,6 +5,7 @@ import { formatSummary } from './helpers/format-summary.js';
 import { formatUnsyncableWarnings } from './helpers/format-unsyncable.js';
 import { formatOrgResults } from './helpers/format-org-results.js';
 import { formatPortfolios } from './helpers/format-portfolios.js';
+import { formatApplications } from './helpers/format-applications.js';
 import { statusIcon } from './helpers/status-icon.js';
 import { formatProjectResults } from '../markdown-sections/project-results.js';
 
@@ -20,6 +21,7 @@ export function formatVerificationMarkdown(results) {
   sections.push(formatOrgResults(results));
   sections.push(formatProjectResults(results, statusIcon));
   sections.push(formatPortfolios(results));
+  sections.push(formatApplications(results));
 
   sections.push('---\n*Generated by CloudVoyager Verification*\n');
 
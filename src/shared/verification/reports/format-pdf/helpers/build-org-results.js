@@ -29,7 +29,9 @@ export function buildOrgResults(results) {
     if (checks.qualityProfiles) rows.push(['Quality Profiles', statusCell(checks.qualityProfiles.status), `Missing: ${(checks.qualityProfiles.missing || []).length}`]);
     if (checks.groups) rows.push(['Groups', statusCell(checks.groups.status), `Missing: ${(checks.groups.missing || []).length}`]);
     if (checks.globalPermissions) rows.push(['Global Permissions', statusCell(checks.globalPermissions.status), `${(checks.globalPermissions.mismatches || []).length} groups with gaps`]);
+    if (checks.globalUserPermissions) rows.push(['Global User Permissions', statusCell(checks.globalUserPermissions.status), `${(checks.globalUserPermissions.mismatches || []).length} users with gaps`]);
     if (checks.permissionTemplates) rows.push(['Permission Templates', statusCell(checks.permissionTemplates.status), `Missing: ${(checks.permissionTemplates.missing || []).length}`]);
+    if (checks.webhooks) rows.push(['Webhooks', statusCell(checks.webhooks.status), `Missing: ${(checks.webhooks.missing || []).length}, Without secret: ${(checks.webhooks.withoutSecret || []).length}`]);
 
     if (rows.length > 1) {
       nodes.push({
@@ -11,6 +11,6 @@ export function logProjectHotspots(hs) {
   if (hs.scOnlyHotspots?.length > 0) parts.push(`${hs.scOnlyHotspots.length} SC-only`);
   if (hs.statusMismatches?.length > 0) parts.push(`${hs.statusMismatches.length} status mismatches`);
   if (hs.commentMismatches?.length > 0) parts.push(`${hs.commentMismatches.length} comment mismatches`);
-  if (hs.unsyncable?.assignments > 0) parts.push(`${hs.unsyncable.assignments} assignment diffs (unsyncable)`);
+  if (hs.assignmentMismatches?.length > 0) parts.push(`${hs.assignmentMismatches.length} assignment mismatches`);
   logger.info(`         Hotspots: ${parts.join(', ')}`);
 }
@@ -15,6 +15,7 @@ export function logProjectIssues(iss) {
   if (iss.assignmentMismatches?.length > 0) parts.push(`${iss.assignmentMismatches.length} assignment mismatches`);
   if (iss.commentMismatches?.length > 0) parts.push(`${iss.commentMismatches.length} comment mismatches`);
   if (iss.tagMismatches?.length > 0) parts.push(`${iss.tagMismatches.length} tag mismatches`);
+  if (iss.overrideMismatches?.length > 0) parts.push(`${iss.overrideMismatches.length} severity/type override mismatches`);
   if (iss.unsyncable?.typeChanges > 0) parts.push(`${iss.unsyncable.typeChanges} type changes (unsyncable)`);
   if (iss.unsyncable?.severityChanges > 0) parts.push(`${iss.unsyncable.severityChanges} severity changes (unsyncable)`);
   logger.info(`         Issues: ${parts.join(', ')}`);
@@ -28,5 +28,9 @@ export function logSkippedChecks(results) {
     logger.info(`  Portfolios: ${results.portfolios.details || 'No reason provided'}`);
   }
 
+  if (results.applications?.status === 'skipped') {
+    logger.info(`  Applications: ${results.applications.details || 'No reason provided'}`);
+  }
+
   logger.info('');
 }
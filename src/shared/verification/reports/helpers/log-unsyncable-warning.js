@@ -8,8 +8,8 @@ import logger from '../../../utils/logger.js';
 export function logUnsyncableWarning() {
   logger.info('');
   logger.warn('=== Unsyncable Items ===');
-  logger.warn('The following differences are expected and cannot be synced via API:');
-  logger.warn('  - Issue type changes (SonarQube Standard Experience → SonarCloud): type changes are not API-syncable');
-  logger.warn('  - Issue severity changes: severity overrides are not API-syncable in either Standard or MQR mode');
-  logger.warn('  - Hotspot assignments: the hotspot sync API does not support assignment changes');
+  logger.warn('The following differences are expected (rules classified differently on SonarCloud):');
+  logger.warn('  - Issue type changes: the rule has a different type on SonarCloud');
+  logger.warn('  - Issue severity changes: the rule has a different severity on SonarCloud');
+  logger.warn('Manual type and severity overrides are synced; any still missing are reported as overrideMismatches');
 }
@@ -16,16 +16,16 @@ export function formatHotspotCommentMismatches(c, lines) {
 }
 
 /**
- * Format unsyncable hotspot assignment diffs.
+ * Format hotspot assignment mismatches.
  */
-export function formatUnsyncableAssignments(c, lines) {
-  if (!c.hotspots?.unsyncable?.assignmentDetails?.length) return;
-  lines.push(`<details><summary>Unsyncable Hotspot Assignment Diffs (${c.hotspots.unsyncable.assignments})</summary>\n`);
+export function formatHotspotAssignmentMismatches(c, lines) {
+  if (!c.hotspots?.assignmentMismatches?.length) return;
+  lines.push(`<details><summary>Hotspot Assignment Mismatches (${c.hotspots.assignmentMismatches.length})</summary>\n`);
   lines.push(`| Rule | File | SQ Assignee | SC Assignee |`);
   lines.push(`|------|------|-------------|-------------|`);
-  for (const m of c.hotspots.unsyncable.assignmentDetails.slice(0, 100)) {
+  for (const m of c.hotspots.assignmentMismatches.slice(0, 200)) {
     lines.push(`| ${m.rule} | ${m.file} | ${m.sqAssignee || 'none'} | ${m.scAssignee || 'none'} |`);
   }
-  if (c.hotspots.unsyncable.assignments > 100) lines.push(`\n*... and ${c.hotspots.unsyncable.assignments - 100} more*`);
+  if (c.hotspots.assignmentMismatches.length > 200) lines.push(`\n*... and ${c.hotspots.assignmentMismatches.length - 200} more*`);
   lines.push('\n</details>\n');
 }
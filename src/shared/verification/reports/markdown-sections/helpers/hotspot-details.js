@@ -1,5 +1,5 @@
 // -------- Hotspot Detail Sections --------
-import { formatHotspotCommentMismatches, formatUnsyncableAssignments } from './hotspot-comment-details.js';
+import { formatHotspotCommentMismatches, formatHotspotAssignmentMismatches } from './hotspot-comment-details.js';
 
 /**
  * Format hotspot-related detail sections.
@@ -11,7 +11,7 @@ export function formatHotspotDetails(c, lines) {
   formatScOnlyHotspots(c, lines);
   formatHotspotStatusMismatches(c, lines);
   formatHotspotCommentMismatches(c, lines);
-  formatUnsyncableAssignments(c, lines);
+  formatHotspotAssignmentMismatches(c, lines);
 }
 
 function formatUnmatchedSqHotspots(c, lines) {
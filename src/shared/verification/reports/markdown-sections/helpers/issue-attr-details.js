@@ -38,3 +38,15 @@ export function formatTagMismatches(c, lines) {
   if (c.issues.tagMismatches.length > 200) lines.push(`\n*... and ${c.issues.tagMismatches.length - 200} more*`);
   lines.push('\n</details>\n');
 }
+
+export function formatOverrideMismatches(c, lines) {
+  if (!c.issues?.overrideMismatches?.length) return;
+  lines.push(`<details><summary>Issue Severity/Type Override Mismatches (${c.issues.overrideMismatches.length})</summary>\n`);
+  lines.push('| Rule | File | Field | SQ Override | SC Value |');
+  lines.push('|------|------|-------|-------------|----------|');
+  for (const m of c.issues.overrideMismatches.slice(0, 200)) {
+    for (const f of m.fields) lines.push(`| ${m.rule} | ${m.file} | ${f.field} | ${f.sq} | ${f.sc || 'none'} |`);
+  }
+  if (c.issues.overrideMismatches.length > 200) lines.push(`\n*... and ${c.issues.overrideMismatches.length - 200} more*`);
+  lines.push('\n</details>\n');
+}
@@ -1,6 +1,6 @@
 // -------- Issue Detail Sections --------
 import { formatUnmatchedSqIssues, formatScOnlyIssues, formatCreationDateMismatches, formatStatusMismatches, formatHistoryMismatches } from './issue-list-details.js';
-import { formatAssignmentMismatches, formatCommentMismatches, formatTagMismatches, formatUnsyncableTypeChanges, formatUnsyncableSeverityChanges } from './issue-attr-details.js';
+import { formatAssignmentMismatches, formatCommentMismatches, formatTagMismatches, formatOverrideMismatches, formatUnsyncableTypeChanges, formatUnsyncableSeverityChanges } from './issue-attr-details.js';
 
 /**
  * Format issue-related detail sections.
@@ -18,6 +18,7 @@ export function formatIssueDetails(c, lines) {
   formatAssignmentMismatches(c, lines);
   formatCommentMismatches(c, lines);
   formatTagMismatches(c, lines);
+  formatOverrideMismatches(c, lines);
   formatUnsyncableTypeChanges(c, lines);
   formatUnsyncableSeverityChanges(c, lines);
 }
@@ -35,10 +35,20 @@ export function formatSettingsDetails(c, lines) {
  * Format permission detail sections.
  */
 export function formatPermissionDetails(c, lines) {
-  if (!c.permissions?.mismatches?.length) return;
-  lines.push(`<details><summary>Permission Mismatches (${c.permissions.mismatches.length} groups)</summary>\n`);
-  for (const m of c.permissions.mismatches) {
-    lines.push(`- **${m.group || m.groupName}**: missing \`${(m.missingPermissions || []).join('`, `')}\``);
+  if (c.permissions?.mismatches?.length > 0) {
+    lines.push(`<details><summary>Permission Mismatches (${c.permissions.mismatches.length} groups)</summary>\n`);
+    for (const m of c.permissions.mismatches) {
+      lines.push(`- **${m.group || m.groupName}**: missing \`${(m.missingPermissions || []).join('`, `')}\``);
+    }
+    lines.push('\n</details>\n');
+  }
+
+  if (c.userPermissions?.mismatches?.length > 0) {
+    lines.push(`<details><summary>User Permission Mismatches (${c.userPermissions.mismatches.length} users)</summary>\n`);
+    for (const m of c.userPermissions.mismatches) {
+      const login = m.scLogin && m.scLogin !== m.user ? `${m.user} → ${m.scLogin}` : m.user;
+      lines.push(`- **${login}**: missing \`${(m.missingPermissions || []).join('`, `')}\``);
+    }
+    lines.push('\n</details>\n');
   }
-  lines.push('\n</details>\n');
 }
@@ -24,6 +24,8 @@ export function buildCheckRows(c, statusIcon) {
   if (c.newCodePeriods) lines.push(`| New Code Periods | ${statusIcon(c.newCodePeriods.status)} ${c.newCodePeriods.status} | SQ: ${c.newCodePeriods.details?.sqProjectLevel || 'default'}, SC: ${c.newCodePeriods.details?.scProjectLevel || 'default'} |`);
   if (c.devopsBinding) lines.push(`| DevOps Binding | ${statusIcon(c.devopsBinding.status)} ${c.devopsBinding.status} | |`);
   if (c.permissions) lines.push(`| Permissions | ${statusIcon(c.permissions.status)} ${c.permissions.status} | ${(c.permissions.mismatches || []).length} groups with missing permissions |`);
+  if (c.userPermissions) lines.push(`| User Permissions | ${statusIcon(c.userPermissions.status)} ${c.userPermissions.status} | ${(c.userPermissions.mismatches || []).length} users with missing permissions |`);
+  if (c.webhooks) lines.push(`| Webhooks | ${statusIcon(c.webhooks.status)} ${c.webhooks.status} | SQ: ${c.webhooks.sqCount || 0}, SC: ${c.webhooks.scCount || 0}, Missing: ${(c.webhooks.missing || []).length}, Without secret: ${(c.webhooks.withoutSecret || []).length} |`);
 
   return lines;
 }
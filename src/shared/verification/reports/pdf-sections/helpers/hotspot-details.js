@@ -1,7 +1,7 @@
 // -------- PDF Hotspot Detail Sections --------
 
 import { h, truncate, smallTable } from './pdf-table-utils.js';
-import { buildCommentMismatches, buildUnsyncableAssignments } from './hotspot-extra-details.js';
+import { buildCommentMismatches, buildAssignmentMismatches } from './hotspot-extra-details.js';
 
 /**
  * Build hotspot-related detail PDF nodes.
@@ -11,7 +11,7 @@ export function buildHotspotDetails(c, nodes) {
   buildScOnly(c, nodes);
   buildStatusMismatches(c, nodes);
   buildCommentMismatches(c, nodes);
-  buildUnsyncableAssignments(c, nodes);
+  buildAssignmentMismatches(c, nodes);
 }
 
 function buildUnmatchedSq(c, nodes) {
@@ -13,13 +13,13 @@ export function buildCommentMismatches(c, nodes) {
   nodes.push(smallTable(rows, [80, '*', 80, 80]));
 }
 
-export function buildUnsyncableAssignments(c, nodes) {
-  if (!c.hotspots?.unsyncable?.assignmentDetails?.length) return;
-  nodes.push({ text: `Unsyncable Hotspot Assignment Diffs (${c.hotspots.unsyncable.assignments})`, style: 'subheading' });
+export function buildAssignmentMismatches(c, nodes) {
+  if (!c.hotspots?.assignmentMismatches?.length) return;
+  nodes.push({ text: `Hotspot Assignment Mismatches (${c.hotspots.assignmentMismatches.length})`, style: 'subheading' });
   const rows = [[h('Rule'), h('File'), h('SQ Assignee'), h('SC Assignee')]];
-  for (const m of c.hotspots.unsyncable.assignmentDetails.slice(0, 50)) {
+  for (const m of c.hotspots.assignmentMismatches.slice(0, 100)) {
     rows.push([m.rule, truncate(m.file, 35), m.sqAssignee || 'none', m.scAssignee || 'none']);
   }
-  if (c.hotspots.unsyncable.assignments > 50) rows.push([{ text: `... and more`, colSpan: 4, italics: true }, '', '', '']);
+  if (c.hotspots.assignmentMismatches.length > 100) rows.push([{ text: `... and ${c.hotspots.assignmentMismatches.length - 100} more`, colSpan: 4, italics: true }, '', '', '']);
   nodes.push(smallTable(rows, [80, '*', 100, 100]));
 }
@@ -36,3 +36,14 @@ export function buildTagMismatches(c, nodes) {
   if (c.issues.tagMismatches.length > 100) rows.push([{ text: `... and ${c.issues.tagMismatches.length - 100} more`, colSpan: 4, italics: true }, '', '', '']);
   nodes.push(smallTable(rows, [80, 100, '*', '*']));
 }
+
+export function buildOverrideMismatches(c, nodes) {
+  if (!c.issues?.overrideMismatches?.length) return;
+  nodes.push({ text: `Issue Severity/Type Override Mismatches (${c.issues.overrideMismatches.length})`, style: 'subheading' });
+  const rows = [[h('Rule'), h('File'), h('Field'), h('SQ Override'), h('SC Value')]];
+  for (const m of c.issues.overrideMismatches.slice(0, 100)) {
+    for (const f of m.fields) rows.push([m.rule, truncate(m.file, 30), f.field, f.sq, f.sc || 'none']);
+  }
+  if (c.issues.overrideMismatches.length > 100) rows.push([{ text: `... and ${c.issues.overrideMismatches.length - 100} more`, colSpan: 5, italics: true }, '', '', '', '']);
+  nodes.push(smallTable(rows, [80, '*', 90, 70, 70]));
+}
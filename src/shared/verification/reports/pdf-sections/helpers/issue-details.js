@@ -2,7 +2,7 @@
 
 import { h, truncate, smallTable } from './pdf-table-utils.js';
 import { buildUnmatchedSq, buildScOnly, buildStatusMismatches, buildHistoryMismatches } from './issue-list-details.js';
-import { buildAssignmentMismatches, buildCommentMismatches, buildTagMismatches, buildUnsyncableTypes, buildUnsyncableSeverity } from './issue-attr-details.js';
+import { buildAssignmentMismatches, buildCommentMismatches, buildTagMismatches, buildOverrideMismatches, buildUnsyncableTypes, buildUnsyncableSeverity } from './issue-attr-details.js';
 
 /**
  * Build issue-related detail PDF nodes.
@@ -19,6 +19,7 @@ export function buildIssueDetails(c, nodes) {
   buildAssignmentMismatches(c, nodes);
   buildCommentMismatches(c, nodes);
   buildTagMismatches(c, nodes);
+  buildOverrideMismatches(c, nodes);
   buildUnsyncableTypes(c, nodes);
   buildUnsyncableSeverity(c, nodes);
 }
@@ -30,11 +30,21 @@ export function buildSettingsDetails(c, nodes) {
 }
 
 export function buildPermissionDetails(c, nodes) {
-  if (!c.permissions?.mismatches?.length) return;
-  nodes.push({ text: `Permission Mismatches (${c.permissions.mismatches.length} groups)`, style: 'subheading' });
-  const rows = [[h('Group'), h('Missing Permissions')]];
-  for (const m of c.permissions.mismatches) {
-    rows.push([m.group || m.groupName, (m.missingPermissions || []).join(', ')]);
+  if (c.permissions?.mismatches?.length > 0) {
+    nodes.push({ text: `Permission Mismatches (${c.permissions.mismatches.length} groups)`, style: 'subheading' });
+    const rows = [[h('Group'), h('Missing Permissions')]];
+    for (const m of c.permissions.mismatches) {
+      rows.push([m.group || m.groupName, (m.missingPermissions || []).join(', ')]);
+    }
+    nodes.push(smallTable(rows, [120, '*']));
+  }
+
+  if (c.userPermissions?.mismatches?.length > 0) {
+    nodes.push({ text: `User Permission Mismatches (${c.userPermissions.mismatches.length} users)`, style: 'subheading' });
+    const rows = [[h('SQ Login'), h('SC Login'), h('Missing Permissions')]];
+    for (const m of c.userPermissions.mismatches) {
+      rows.push([m.user, m.scLogin || m.user, (m.missingPermissions || []).join(', ')]);
+    }
+    nodes.push(smallTable(rows, [100, 100, '*']));
   }
-  nodes.push(smallTable(rows, [120, '*']));
 }
@@ -21,5 +21,7 @@ export function buildPdfCheckRows(c, statusCell) {
   if (c.newCodePeriods) rows.push(['New Code Periods', statusCell(c.newCodePeriods.status), '']);
   if (c.devopsBinding) rows.push(['DevOps Binding', statusCell(c.devopsBinding.status), '']);
   if (c.permissions) rows.push(['Permissions', statusCell(c.permissions.status), `${(c.permissions.mismatches || []).length} groups with gaps`]);
+  if (c.userPermissions) rows.push(['User Permissions', statusCell(c.userPermissions.status), `${(c.userPermissions.mismatches || []).length} users with gaps`]);
+  if (c.webhooks) rows.push(['Webhooks', statusCell(c.webhooks.status), `Missing: ${(c.webhooks.missing || []).length}, Without secret: ${(c.webhooks.withoutSecret || []).length}`]);
   return rows;
 }
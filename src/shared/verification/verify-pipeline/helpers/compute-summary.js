@@ -23,6 +23,7 @@ export function computeSummary(results) {
   }
 
   if (results.portfolios) countCheck(results.portfolios, counters);
+  if (results.applications) countCheck(results.applications, counters);
 
   results.summary = {
     totalChecks: counters.total,
@@ -12,6 +12,7 @@ export function createEmptyResults() {
     orgResults: [],
     projectResults: [],
     portfolios: null,
+    applications: null,
     environment: null,
   };
 }
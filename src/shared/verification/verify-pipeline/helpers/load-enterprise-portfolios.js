@@ -0,0 +1,24 @@
+// -------- Load Enterprise Portfolios --------
+
+import logger from '../../../utils/logger.js';
+
+/**
+ * Load the SonarCloud enterprise's portfolios, used to verify migrated applications.
+ * @param {string} pipelineId - Pipeline selected by the version router
+ * @param {object|null} enterpriseConfig - `sonarcloud.enterprise` config
+ * @param {object} orgConfig - First SonarCloud organization (provides URL and token)
+ * @param {object} rateLimitConfig - Rate limit config
+ * @returns {Promise<Array|null>} Portfolios, or null when no enterprise key is configured or the lookup fails
+ */
+export async function loadEnterprisePortfolios(pipelineId, enterpriseConfig, orgConfig, rateLimitConfig) {
+  if (!enterpriseConfig?.key || !orgConfig) return null;
+  try {
+    const { EnterpriseClient } = await import(`../../../../pipelines/${pipelineId}/sonarcloud/enterprise-client.js`);
+    const client = new EnterpriseClient({ url: orgConfig.url || 'https://sonarcloud.io', token: orgConfig.token, rateLimit: rateLimitConfig });
+    const enterpriseId = await client.resolveEnterpriseId(enterpriseConfig.key);
+    return await client.listPortfolios(enterpriseId);
+  } catch (error) {
+    logger.warn(`Failed to load enterprise portfolios: ${error.message}`);
+    return null;
+  }
+}
@@ -4,7 +4,8 @@ import logger from '../../../utils/logger.js';
 import { verifyQualityGates } from '../../checkers/quality-gates.js';
 import { verifyQualityProfiles } from '../../checkers/quality-profiles.js';
 import { verifyGroups } from '../../checkers/groups.js';
-import { verifyGlobalPermissions, verifyPermissionTemplates } from '../../checkers/permissions.js';
+import { verifyGlobalPermissions, verifyGlobalUserPermissions, verifyPermissionTemplates } from '../../checkers/permissions.js';
+import { verifyWebhooks } from '../../checkers/webhooks.js';
 import { safeCheck } from './safe-check.js';
 
 /**
@@ -13,8 +14,9 @@ import { safeCheck } from './safe-check.js';
  * @param {object} scClient - SonarCloud client
  * @param {object} orgResult - Org result object to populate
  * @param {function} shouldRun - Component filter predicate
+ * @param {Map|null} [userMappings] - Output of applyUserMappingsCsv(), used to translate user logins
  */
-export async function runOrgChecks(sqClient, scClient, orgResult, shouldRun) {
+export async function runOrgChecks(sqClient, scClient, orgResult, shouldRun, userMappings = null) {
   const orgChecks = [];
 
   if (shouldRun('quality-gates')) {
@@ -35,9 +37,17 @@ export async function runOrgChecks(sqClient, scClient, orgResult, shouldRun) {
       .then(r => { orgResult.checks.groups = r; }));
     orgChecks.push(safeCheck(() => verifyGlobalPermissions(sqClient, scClient))
       .then(r => { orgResult.checks.globalPermissions = r; }));
+    orgChecks.push(safeCheck(() => verifyGlobalUserPermissions(sqClient, scClient, userMappings))
+      .then(r => { orgResult.checks.globalUserPermissions = r; }));
     orgChecks.push(safeCheck(() => verifyPermissionTemplates(sqClient, scClient))
       .then(r => { orgResult.checks.permissionTemplates = r; }));
   }
 
+  if (shouldRun('webhooks')) {
+    logger.info('--- Verifying organization webhooks ---');
+    orgChecks.push(safeCheck(() => verifyWebhooks(sqClient, scClient))
+      .then(r => { orgResult.checks.webhooks = r; }));
+  }
+
   await Promise.all(orgChecks);
 }
@@ -2,15 +2,21 @@
 
 import { detectAndRoute } from '../../../../version-router.js';
 import { mapProjectsToOrganizations } from '../../../mapping/org-mapper.js';
+import { selectProjects } from '../../../mapping/project-filter.js';
+import { compileRoutingRules } from '../../../mapping/routing-rules.js';
 import { verifyPortfolios } from '../../checkers/portfolios.js';
+import { verifyApplications } from '../../checkers/applications.js';
 import { safeCheck } from './safe-check.js';
 import { fetchProjectBindings } from './fetch-project-bindings.js';
 import { verifyOrganization } from './verify-organization.js';
+import { loadEnterprisePortfolios } from './load-enterprise-portfolios.js';
+import { emitEvent } from '../../../utils/events.js';
 
 /**
  * Execute the core pipeline steps (connect, discover, verify).
  */
-export async function runPipelineSteps(results, sonarqubeConfig, sonarcloudOrgs, rateLimitConfig, perfConfig, shouldRun) {
+export async function runPipelineSteps(results, sonarqubeConfig, sonarcloudOrgs, rateLimitConfig, perfConfig, shouldRun, selection = {}) {
+  const { projectFilters = null, routingRules = null, projectKeyTransform = null, userMappings = null, enterpriseConfig = null } = selection;
   const { pipelineId } = await detectAndRoute(sonarqubeConfig);
   const { SonarQubeClient } = await import(`../../../../pipelines/${pipelineId}/sonarqube/api-client.js`);
   const { SonarCloudClient } = await import(`../../../../pipelines/${pipelineId}/sonarcloud/api-client.js`);
@@ -18,18 +24,30 @@ export async function runPipelineSteps(results, sonarqubeConfig, sonarcloudOrgs,
   const sqClient = new SonarQubeClient({ url: sonarqubeConfig.url, token: sonarqubeConfig.token });
   await sqClient.testConnection();
 
-  const allProjects = await sqClient.listAllProjects();
+  const allProjects = await selectProjects(sqClient, await sqClient.listAllProjects(), projectFilters);
   const projectBindings = await fetchProjectBindings(sqClient, allProjects);
-  const orgMapping = mapProjectsToOrganizations(allProjects, projectBindings, sonarcloudOrgs);
+  let portfolios = [];
+  if (routingRules?.some(r => r.match?.portfolios?.length)) {
+    const { extractPortfolios } = await import(`../../../../pipelines/${pipelineId}/sonarqube/extractors/portfolios.js`);
+    portfolios = await extractPortfolios(sqClient);
+  }
+  const compiledRules = await compileRoutingRules(sqClient, routingRules, sonarcloudOrgs, portfolios);
+  const orgMapping = mapProjectsToOrganizations(allProjects, projectBindings, sonarcloudOrgs, compiledRules);
+  emitEvent('counts', { organizations: orgMapping.orgAssignments.length, total: orgMapping.orgAssignments.reduce((sum, a) => sum + a.projects.length, 0) });
 
   for (const assignment of orgMapping.orgAssignments) {
     await verifyOrganization({
       assignment, results, sonarqubeConfig, rateLimitConfig,
-      perfConfig, shouldRun, SonarQubeClient, SonarCloudClient,
+      perfConfig, shouldRun, projectKeyTransform, userMappings, SonarQubeClient, SonarCloudClient,
     });
   }
 
   if (shouldRun('portfolios')) {
     results.portfolios = await safeCheck(() => verifyPortfolios(sqClient));
   }
+
+  if (shouldRun('applications')) {
+    const scPortfolios = await loadEnterprisePortfolios(pipelineId, enterpriseConfig, sonarcloudOrgs[0], rateLimitConfig);
+    results.applications = await safeCheck(() => verifyApplications(sqClient, scPortfolios));
+  }
 }
@@ -6,20 +6,21 @@ import { verifyBranches } from '../../checkers/branches.js';
 import { verifyMeasures } from '../../checkers/measures.js';
 import { verifyProjectQualityGate } from '../../checkers/quality-gates.js';
 import { verifyProjectQualityProfiles } from '../../checkers/quality-profiles.js';
-import { verifyProjectPermissions } from '../../checkers/permissions.js';
+import { verifyProjectPermissions, verifyProjectUserPermissions } from '../../checkers/permissions.js';
 import { verifyProjectSettings, verifyProjectTags, verifyProjectLinks, verifyNewCodePeriods, verifyDevOpsBinding } from '../../checkers/project-config.js';
+import { verifyProjectWebhooks } from '../../checkers/webhooks.js';
 import { safeCheck } from './safe-check.js';
 
 /** Queue all per-project checks into an array of promises. */
-export function queueProjectChecks(sqC, scC, projectKey, scKey, result, shouldRun, perfConfig) {
+export function queueProjectChecks(sqC, scC, projectKey, scKey, result, shouldRun, perfConfig, userMappings = null, ruleKeys = null) {
   const checks = [];
   const c = result.checks;
   if (shouldRun('scan-data') || shouldRun('scan-data-all-branches'))
     checks.push(safeCheck(() => verifyBranches(sqC, scC, scKey)).then(r => { c.branches = r; }));
   if (shouldRun('issue-metadata'))
-    checks.push(safeCheck(() => verifyIssues(sqC, scC, scKey, { concurrency: perfConfig.issueSync?.concurrency || 5 })).then(r => { c.issues = r; }));
+    checks.push(safeCheck(() => verifyIssues(sqC, scC, scKey, { concurrency: perfConfig.issueSync?.concurrency || 5, ruleKeys })).then(r => { c.issues = r; }));
   if (shouldRun('hotspot-metadata'))
-    checks.push(safeCheck(() => verifyHotspots(sqC, scC, scKey, { concurrency: perfConfig.hotspotSync?.concurrency || 3 })).then(r => { c.hotspots = r; }));
+    checks.push(safeCheck(() => verifyHotspots(sqC, scC, scKey, { concurrency: perfConfig.hotspotSync?.concurrency || 3, userMappings, ruleKeys })).then(r => { c.hotspots = r; }));
   if (shouldRun('scan-data'))
     checks.push(safeCheck(() => verifyMeasures(sqC, scC, scKey)).then(r => { c.measures = r; }));
   if (shouldRun('quality-gates'))
@@ -35,7 +36,13 @@ export function queueProjectChecks(sqC, scC, projectKey, scKey, result, shouldRu
       safeCheck(() => verifyDevOpsBinding(sqC, scC, projectKey, scKey)).then(r => { c.devopsBinding = r; }),
     );
   }
-  if (shouldRun('permissions'))
-    checks.push(safeCheck(() => verifyProjectPermissions(sqC, scC, projectKey, scKey)).then(r => { c.permissions = r; }));
+  if (shouldRun('permissions')) {
+    checks.push(
+      safeCheck(() => verifyProjectPermissions(sqC, scC, projectKey, scKey)).then(r => { c.permissions = r; }),
+      safeCheck(() => verifyProjectUserPermissions(sqC, scC, projectKey, scKey, userMappings)).then(r => { c.userPermissions = r; }),
+    );
+  }
+  if (shouldRun('webhooks'))
+    checks.push(safeCheck(() => verifyProjectWebhooks(sqC, scC, projectKey, scKey)).then(r => { c.webhooks = r; }));
   return checks;
 }
@@ -2,18 +2,21 @@
 
 import { mapConcurrent } from '../../../utils/concurrency.js';
 import logger from '../../../utils/logger.js';
+import { loadRuleKeyTranslator } from '../../../utils/rule-keys.js';
 import { runOrgChecks } from './run-org-checks.js';
 import { verifySingleProject } from './verify-single-project.js';
+import { emitEvent } from '../../../utils/events.js';
 
 /** Run all checks for a single organization and its projects. */
 export async function verifyOrganization(params) {
-  const { assignment, results, sonarqubeConfig, rateLimitConfig, perfConfig, shouldRun, SonarQubeClient, SonarCloudClient } = params;
+  const { assignment, results, sonarqubeConfig, rateLimitConfig, perfConfig, shouldRun, projectKeyTransform, userMappings = null, SonarQubeClient, SonarCloudClient } = params;
   const { org, projects } = assignment;
   if (projects.length === 0) return;
 
   logger.info('\n========================================');
   logger.info(`=== Verifying organization: ${org.key} (${projects.length} projects) ===`);
   logger.info('========================================');
+  emitEvent('phase.start', { phase: 'organization', organization: org.key, projects: projects.length });
 
   const scClient = new SonarCloudClient({
     url: org.url || 'https://sonarcloud.io', token: org.token, organization: org.key, rateLimit: rateLimitConfig,
@@ -21,13 +24,15 @@ export async function verifyOrganization(params) {
   try { await scClient.testConnection(); } catch (error) {
     logger.error(`Failed to connect to SC org ${org.key}: ${error.message}`);
     results.orgResults.push({ orgKey: org.key, error: error.message, checks: {} });
+    emitEvent('phase.end', { phase: 'organization', organization: org.key, status: 'failed', error: error.message });
     return;
   }
 
   const sqClient = new SonarQubeClient({ url: sonarqubeConfig.url, token: sonarqubeConfig.token, rateLimit: rateLimitConfig });
   const orgResult = { orgKey: org.key, checks: {} };
-  await runOrgChecks(sqClient, scClient, orgResult, shouldRun);
+  await runOrgChecks(sqClient, scClient, orgResult, shouldRun, userMappings);
   results.orgResults.push(orgResult);
+  const ruleKeys = shouldRun('issue-metadata') || shouldRun('hotspot-metadata') ? await loadRuleKeyTranslator(sqClient, scClient) : null;
 
   const scProjects = await scClient.listProjects();
   const scProjectKeys = new Set(scProjects.map(p => p.key));
@@ -35,7 +40,7 @@ export async function verifyOrganization(params) {
   const projectResults = await mapConcurrent(projects, async (project, idx) => {
     return verifySingleProject({
       project, idx, total: projects.length, org, sonarqubeConfig, rateLimitConfig,
-      scProjectKeys, shouldRun, perfConfig, SonarQubeClient, SonarCloudClient,
+      scProjectKeys, shouldRun, perfConfig, projectKeyTransform, userMappings, ruleKeys, SonarQubeClient, SonarCloudClient,
     });
   }, { concurrency: projectConcurrency, settled: true });
 
@@ -43,4 +48,5 @@ export async function verifyOrganization(params) {
     if (r.status === 'fulfilled') results.projectResults.push(r.value);
     else logger.error(`Project verification failed: ${r.reason?.message || r.reason}`);
   }
+  emitEvent('phase.end', { phase: 'organization', organization: org.key, status: 'completed' });
 }
@@ -1,21 +1,26 @@
 // -------- Verify Single Project --------
 
 import logger from '../../../utils/logger.js';
+import { transformProjectKey } from '../../../mapping/project-key-transform.js';
 import { queueProjectChecks } from './run-project-checks.js';
+import { countCheck } from './count-check.js';
+import { emitEvent } from '../../../utils/events.js';
 
 /** Run all checks for a single project. */
 export async function verifySingleProject(params) {
-  const { project, idx, total, org, sonarqubeConfig, rateLimitConfig, scProjectKeys, shouldRun, perfConfig, SonarQubeClient, SonarCloudClient } = params;
+  const { project, idx, total, org, sonarqubeConfig, rateLimitConfig, scProjectKeys, shouldRun, perfConfig, projectKeyTransform, userMappings = null, ruleKeys = null, SonarQubeClient, SonarCloudClient } = params;
   logger.info(`\n--- Project ${idx + 1}/${total}: ${project.key} ---`);
+  emitEvent('project.start', { organization: org.key, project: project.key, index: idx + 1, total });
 
   const scClient = new SonarCloudClient({
     url: org.url || 'https://sonarcloud.io', token: org.token, organization: org.key, rateLimit: rateLimitConfig,
   });
 
-  // Resolve SC project key
-  let scProjectKey = project.key;
-  const globalCheck = await scClient.isProjectKeyTakenGlobally(project.key);
-  if (globalCheck.taken && globalCheck.owner !== org.key) scProjectKey = `${org.key}_${project.key}`;
+  // Resolve SC project key the same way migrate does
+  const baseKey = transformProjectKey(project.key, projectKeyTransform, org.key);
+  let scProjectKey = baseKey;
+  const globalCheck = await scClient.isProjectKeyTakenGlobally(baseKey);
+  if (globalCheck.taken && globalCheck.owner !== org.key) scProjectKey = `${org.key}_${baseKey}`;
 
   const projectResult = { sqProjectKey: project.key, scProjectKey, checks: {} };
   const exists = scProjectKeys.has(scProjectKey) || await scClient.projectExists(scProjectKey);
@@ -23,6 +28,7 @@ export async function verifySingleProject(params) {
 
   if (!exists) {
     logger.warn(`Project ${scProjectKey} not found in SonarCloud — skipping all checks`);
+    emitProjectComplete(org, project, projectResult);
     return projectResult;
   }
 
@@ -34,7 +40,14 @@ export async function verifySingleProject(params) {
     organization: org.key, projectKey: scProjectKey, rateLimit: rateLimitConfig,
   });
 
-  const checks = queueProjectChecks(projectSqClient, projectScClient, project.key, scProjectKey, projectResult, shouldRun, perfConfig);
+  const checks = queueProjectChecks(projectSqClient, projectScClient, project.key, scProjectKey, projectResult, shouldRun, perfConfig, userMappings, ruleKeys);
   await Promise.all(checks);
+  emitProjectComplete(org, project, projectResult);
   return projectResult;
 }
+
+function emitProjectComplete(org, project, projectResult) {
+  const checks = { total: 0, passed: 0, failed: 0, warnings: 0, skipped: 0, errors: 0 };
+  for (const check of Object.values(projectResult.checks)) countCheck(check, checks);
+  emitEvent('project.complete', { organization: org.key, project: project.key, scProject: projectResult.scProjectKey, checks });
+}
@@ -7,6 +7,7 @@ import { writeVerificationReports, logVerificationSummary } from '../reports/ind
 import { createEmptyResults } from './helpers/create-empty-results.js';
 import { computeSummary } from './helpers/compute-summary.js';
 import { runPipelineSteps } from './helpers/run-pipeline-steps.js';
+import { emitEvent } from '../../utils/events.js';
 
 /**
  * Run the full verification pipeline.
@@ -15,6 +16,7 @@ export async function verifyAll(options) {
   const {
     sonarqubeConfig, sonarcloudOrgs, rateLimitConfig,
     performanceConfig: rawPerfConfig = {}, outputDir = './verification-output', onlyComponents = null,
+    projectFilters = null, routingRules = null, projectKeyTransform = null, userMappings = null, enterpriseConfig = null,
   } = options;
 
   const perfConfig = resolvePerformanceConfig(rawPerfConfig);
@@ -25,10 +27,11 @@ export async function verifyAll(options) {
   const shouldRun = (comp) => !onlyComponents || onlyComponents.includes(comp);
 
   try {
-    await runPipelineSteps(results, sonarqubeConfig, sonarcloudOrgs, rateLimitConfig, perfConfig, shouldRun);
+    await runPipelineSteps(results, sonarqubeConfig, sonarcloudOrgs, rateLimitConfig, perfConfig, shouldRun, { projectFilters, routingRules, projectKeyTransform, userMappings, enterpriseConfig });
   } finally {
     results.endTime = new Date().toISOString();
     computeSummary(results);
+    emitEvent('summary', { checks: results.summary });
     logVerificationSummary(results);
     try { await writeVerificationReports(results, outputDir); } catch (e) { logger.error(`Failed to write reports: ${e.message}`); }
   }
@@ -0,0 +1,264 @@
+import test from 'ava';
+import sinon from 'sinon';
+import axios, { AxiosError } from 'axios';
+import { mkdir, rm, writeFile, readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import {
+  applySonarQubeTransport, startRecording, startReplay, stopTransport, takeRecordings, buildRequestKey,
+} from '../src/shared/bundle/sonarqube-transport.js';
+import { writeRecordingShard, loadRecordings } from '../src/shared/bundle/recordings.js';
+import { writeExtractedData, readExtractedData } from '../src/shared/bundle/extracted-data.js';
+import { applyBundledExtractions, startBundledExtractions, stopBundledExtractions } from '../src/shared/bundle/bundled-extractions.js';
+import { writeManifest, verifyBundle } from '../src/shared/bundle/manifest.js';
+import { seedOutputDir } from '../src/shared/bundle/import-pipeline/helpers/seed-output-dir.js';
+import { exportProject } from '../src/shared/bundle/export-pipeline/helpers/export-project.js';
+import { ValidationError } from '../src/shared/utils/errors.js';
+
+// -------- Helpers --------
+
+function createClient(adapter) {
+  const client = axios.create({ baseURL: 'http://sq.example/sonar' });
+  client.defaults.adapter = adapter;
+  return applySonarQubeTransport(client);
+}
+
+function serverAdapter(config) {
+  if (config.url === '/api/missing') {
+    const response = { data: '{"errors":[{"msg":"not found"}]}', status: 404, statusText: '', headers: {}, config };
+    return Promise.reject(new AxiosError('Request failed with status code 404', AxiosError.ERR_BAD_REQUEST, config, {}, response));
+  }
+  return Promise.resolve({ data: JSON.stringify({ url: config.url, params: config.params }), status: 200, statusText: 'OK', headers: {}, config });
+}
+
+function createPipeline(overrides = {}) {
+  const mainData = { project: { branches: [{ name: 'main', isMain: true }, { name: 'develop', isMain: false }, { name: 'old', isMain: false }] } };
+  const extractor = { extractAll: sinon.stub().resolves(mainData), extractBranch: sinon.stub().resolves({}), extractPullRequest: sinon.stub().resolves({}) };
+  const client = {
+    getProject: sinon.stub().resolves({ name: 'Proj' }),
+    getQualityGate: sinon.stub().resolves(null),
+    getIssuesWithComments: sinon.stub().resolves([{ key: 'i1' }, { key: 'i2' }]),
+    getIssueChangelog: sinon.stub().resolves([]),
+  };
+  return {
+    client, extractor,
+    pipeline: {
+      SonarQubeClient: sinon.stub().returns(client),
+      DataExtractor: sinon.stub().returns(extractor),
+      extractHotspots: sinon.stub().resolves([{ key: 'h1' }]),
+      extractProjectSettings: sinon.stub().resolves([]),
+      extractProjectTags: sinon.stub().resolves([]),
+      extractProjectLinks: sinon.stub().resolves([]),
+      extractNewCodePeriods: sinon.stub().resolves({}),
+      extractProjectPermissions: sinon.stub().resolves([]),
+      extractProjectUserPermissions: sinon.stub().resolves([]),
+      extractWebhooks: sinon.stub().resolves([]),
+      ...overrides,
+    },
+  };
+}
+
+test.beforeEach(t => {
+  t.context.dir = join(tmpdir(), `cloudvoyager-bundle-${randomUUID()}`);
+});
+
+test.afterEach.always(async t => {
+  stopTransport();
+  stopBundledExtractions();
+  await rm(t.context.dir, { recursive: true, force: true });
+});
+
+// -------- buildRequestKey --------
+
+test('buildRequestKey sorts parameters and leaves out the server URL', t => {
+  const key = buildRequestKey({ method: 'get', url: '/api/issues/search?ps=500', params: { projects: 'p', p: 2, tags: ['a', 'b'], branch: undefined } });
+  t.is(key, 'GET /api/issues/search?p=2&projects=p&ps=500&tags=a%2Cb');
+  t.is(buildRequestKey({ url: '/api/system/status' }), 'GET /api/system/status');
+});
+
+// -------- Record and replay --------
+
+test.serial('a recorded response replays without the server, including error responses', async t => {
+  startRecording();
+  const recorder = createClient(serverAdapter);
+  await recorder.get('/api/components/show', { params: { component: 'p' } });
+  await t.throwsAsync(() => recorder.get('/api/missing'), { instanceOf: AxiosError });
+  const recordings = new Map(takeRecordings());
+  t.deepEqual([...recordings.keys()].sort(), ['GET /api/components/show?component=p', 'GET /api/missing']);
+  t.deepEqual(takeRecordings(), []);
+  stopTransport();
+
+  const offline = sinon.stub().rejects(new Error('network'));
+  startReplay(recordings);
+  const replayer = createClient(offline);
+  const { data } = await replayer.get('/api/components/show', { params: { component: 'p' } });
+  t.deepEqual(data, { url: '/api/components/show', params: { component: 'p' } });
+  const error = await t.throwsAsync(() => replayer.get('/api/missing'));
+  t.is(error.response.status, 404);
+  t.is(error.response.data.errors[0].msg, 'not found');
+  t.true(offline.notCalled);
+});
+
+test.serial('replay answers requests missing from the bundle with a 404 and reports them', async t => {
+  startReplay(new Map());
+  const client = createClient(sinon.stub().rejects(new Error('network')));
+
+  const error = await t.throwsAsync(() => client.get('/api/settings/values', { params: { component: 'p' } }));
+
+  t.is(error.response.status, 404);
+  t.regex(error.response.data.errors[0].msg, /Not captured in the export bundle/);
+  t.deepEqual(stopTransport().misses, ['GET /api/settings/values?component=p']);
+});
+
+test.serial('clients are left untouched when no transport is active', t => {
+  const adapter = sinon.stub();
+  t.is(createClient(adapter).defaults.adapter, adapter);
+});
+
+// -------- Recordings --------
+
+test('writeRecordingShard and loadRecordings round-trip responses', async t => {
+  const { dir } = t.context;
+  await writeRecordingShard(join(dir, 'sonarqube', 'a.ndjson.gz'), [['GET /api/a', { status: 200, data: '{"a":1}' }]]);
+  await writeRecordingShard(join(dir, 'sonarqube', 'b.ndjson.gz'), [['GET /api/b', { status: 404, data: 'gone' }]]);
+
+  const recordings = await loadRecordings(dir, ['sonarqube/a.ndjson.gz', 'sonarqube/b.ndjson.gz']);
+
+  t.deepEqual(recordings.get('GET /api/a'), { status: 200, data: '{"a":1}' });
+  t.deepEqual(recordings.get('GET /api/b'), { status: 404, data: 'gone' });
+});
+
+// -------- Extracted data --------
+
+test('writeExtractedData and readExtractedData round-trip extracted data, Maps included', async t => {
+  const path = join(t.context.dir, 'extracted', 'p', '001-main.json.gz');
+  const data = { issues: [{ key: 'i1' }], changesets: new Map([['p:a.js', { changesetIndexByLine: [0] }]]) };
+
+  await writeExtractedData(path, data, { projectKey: 'p', branch: 'main' });
+
+  t.deepEqual(await readExtractedData(path), data);
+});
+
+test.serial('bundled extractions answer the bundle\'s branches and pull requests and fall back otherwise', async t => {
+  const { dir } = t.context;
+  await writeExtractedData(join(dir, 'extracted', 'main.json.gz'), { from: 'main' }, {});
+  await writeExtractedData(join(dir, 'extracted', 'develop.json.gz'), { from: 'develop' }, {});
+  await writeExtractedData(join(dir, 'extracted', 'pr-7.json.gz'), { from: 'pr-7' }, {});
+  startBundledExtractions(dir, [{ key: 'proj', analyses: [
+    { branch: 'main', main: true, extracted: 'extracted/main.json.gz' },
+    { branch: 'develop', extracted: 'extracted/develop.json.gz' },
+    { pullRequest: '7', extracted: 'extracted/pr-7.json.gz' },
+  ] }]);
+  const createExtractor = (projectKey, state = null) => applyBundledExtractions({
+    config: { sonarqube: { projectKey } }, state,
+    extractAll: sinon.stub().resolves({ from: 'sonarqube' }),
+    extractAllWithCheckpoints: sinon.stub().resolves({ from: 'sonarqube' }),
+    extractBranch: sinon.stub().resolves({ from: 'sonarqube' }),
+    extractBranchWithCheckpoints: sinon.stub().resolves({ from: 'sonarqube' }),
+    extractPullRequest: sinon.stub().resolves({ from: 'sonarqube' }),
+  });
+
+  const extractor = createExtractor('proj');
+  t.deepEqual(await extractor.extractAll(), { from: 'main' });
+  t.deepEqual(await extractor.extractAllWithCheckpoints({}, {}, () => false), { from: 'main' });
+  t.deepEqual(await extractor.extractBranch('develop', {}), { from: 'develop' });
+  t.deepEqual(await extractor.extractBranchWithCheckpoints('feature', {}, {}, {}, () => false), { from: 'sonarqube' });
+  t.deepEqual(await extractor.extractPullRequest({ key: 7 }, {}), { from: 'pr-7' });
+  t.deepEqual(await createExtractor('other').extractAll(), { from: 'sonarqube' });
+  t.deepEqual(await createExtractor('proj', { lastSync: 'x' }).extractAll(), { from: 'sonarqube' }, 'incremental extractions are not served');
+
+  stopBundledExtractions();
+  t.deepEqual(await createExtractor('proj').extractAll(), { from: 'sonarqube' });
+});
+
+// -------- Manifest --------
+
+test('verifyBundle accepts an intact bundle and rejects altered or missing files', async t => {
+  const { dir } = t.context;
+  await mkdir(join(dir, 'migration', 'mappings'), { recursive: true });
+  await writeFile(join(dir, 'migration', 'mappings', 'projects.csv'), 'Include,Key\nyes,p\n');
+  await writeFile(join(dir, 'server.ndjson.gz'), 'x');
+  const manifest = await writeManifest(dir, { sonarqube: { url: 'http://sq', version: '2025.1', pipelineId: 'sq-2025' }, projects: [] });
+
+  t.deepEqual(Object.keys(manifest.files), ['migration/mappings/projects.csv', 'server.ndjson.gz']);
+  t.is((await verifyBundle(dir)).sonarqube.pipelineId, 'sq-2025');
+
+  await writeFile(join(dir, 'migration', 'mappings', 'projects.csv'), 'Include,Key\nno,p\n');
+  await rm(join(dir, 'server.ndjson.gz'));
+  const error = await t.throwsAsync(() => verifyBundle(dir), { instanceOf: ValidationError });
+  t.deepEqual(error.errors, ['migration/mappings/projects.csv: checksum mismatch', 'server.ndjson.gz: missing']);
+});
+
+test('verifyBundle rejects a directory without a manifest and an unknown pipeline', async t => {
+  const { dir } = t.context;
+  await mkdir(dir, { recursive: true });
+  await t.throwsAsync(() => verifyBundle(dir), { instanceOf: ValidationError, message: /Not a readable export bundle/ });
+
+  await writeManifest(dir, { sonarqube: { pipelineId: '../../evil' } });
+  await t.throwsAsync(() => verifyBundle(dir), { instanceOf: ValidationError, message: /unknown pipeline/ });
+});
+
+// -------- seedOutputDir --------
+
+test('seedOutputDir copies mappings and the server-wide cache without overwriting local copies', async t => {
+  const { dir } = t.context;
+  const bundleDir = join(dir, 'bundle');
+  const outputDir = join(dir, 'out');
+  await mkdir(join(bundleDir, 'migration', 'mappings'), { recursive: true });
+  await mkdir(join(bundleDir, 'migration', 'cache'), { recursive: true });
+  await writeFile(join(bundleDir, 'migration', 'mappings', 'projects.csv'), 'bundle');
+  await writeFile(join(bundleDir, 'migration', 'cache', 'server-wide-data.json'), '{}');
+  await mkdir(join(outputDir, 'mappings'), { recursive: true });
+  await writeFile(join(outputDir, 'mappings', 'projects.csv'), 'edited');
+
+  await seedOutputDir(bundleDir, outputDir);
+
+  t.is(await readFile(join(outputDir, 'mappings', 'projects.csv'), 'utf-8'), 'edited');
+  t.true(existsSync(join(outputDir, 'cache', 'server-wide-data.json')));
+});
+
+// -------- exportProject --------
+
+test.serial('exportProject reads branches, config and metadata and writes the project shard', async t => {
+  const { dir } = t.context;
+  const { pipeline, extractor, client } = createPipeline({ extractWebhooks: sinon.stub().rejects(new Error('Insufficient privileges')) });
+  startRecording();
+
+  const result = await exportProject({
+    project: { key: 'proj', name: 'Proj' }, idx: 0, total: 1, pipeline, bundleDir: dir,
+    sonarqubeConfig: { url: 'http://sq', token: 't' }, transferConfig: { excludeBranches: ['old'] },
+    perfConfig: { issueSync: { concurrency: 2 }, hotspotExtraction: { concurrency: 2 } },
+  });
+
+  t.is(result.status, 'partial');
+  t.deepEqual(result.branches, ['main', 'develop']);
+  t.is(extractor.extractBranch.callCount, 1);
+  t.is(client.getIssueChangelog.callCount, 2);
+  t.is(result.issues, 2);
+  t.is(result.hotspots, 1);
+  t.deepEqual(result.warnings, ['Webhooks: Insufficient privileges']);
+  t.true(existsSync(join(dir, 'sonarqube', 'project-0001.ndjson.gz')));
+  t.deepEqual(result.analyses, [
+    { branch: 'main', main: true, extracted: 'extracted/project-0001/001-main.json.gz' },
+    { branch: 'develop', extracted: 'extracted/project-0001/002-develop.json.gz' },
+  ]);
+  t.deepEqual((await readExtractedData(join(dir, 'extracted', 'project-0001', '001-main.json.gz'))).project.branches.map(b => b.name), ['main', 'develop', 'old']);
+});
+
+test.serial('exportProject fails the project when the main branch cannot be extracted', async t => {
+  const { pipeline } = createPipeline();
+  pipeline.DataExtractor.returns({ extractAll: sinon.stub().rejects(new Error('Project not found')) });
+  startRecording();
+
+  const result = await exportProject({
+    project: { key: 'proj' }, idx: 0, total: 1, pipeline, bundleDir: t.context.dir,
+    sonarqubeConfig: { url: 'http://sq', token: 't' }, transferConfig: {},
+    perfConfig: { issueSync: { concurrency: 2 }, hotspotExtraction: { concurrency: 2 } },
+  });
+
+  t.is(result.status, 'failed');
+  t.is(result.error, 'Project not found');
+  t.true(pipeline.extractHotspots.notCalled);
+});
@@ -10,6 +10,10 @@ import { randomUUID } from 'node:crypto';
 import { registerTransferCommand } from '../../src/commands/transfer.js';
 import { registerMigrateCommand, VALID_ONLY_COMPONENTS } from '../../src/commands/migrate.js';
 import { registerSyncMetadataCommand } from '../../src/commands/sync-metadata.js';
+import { registerSyncDeltaCommand } from '../../src/commands/sync-delta.js';
+import { registerExportCommand } from '../../src/commands/export.js';
+import { registerImportCommand } from '../../src/commands/import.js';
+import { registerInspectReportCommand } from '../../src/commands/inspect-report.js';
 
 import { SonarQubeClient } from '../../src/pipelines/sq-10.4/sonarqube/api-client.js';
 import { SonarCloudClient } from '../../src/pipelines/sq-10.4/sonarcloud/api-client.js';
@@ -130,6 +134,7 @@ function setupAllStubs() {
   s.scSetBitbucketBinding = sinon.stub(SonarCloudClient.prototype, 'setBitbucketBinding').resolves();
   s.scSearchQualityProfiles = sinon.stub(SonarCloudClient.prototype, 'searchQualityProfiles').resolves([]);
   s.scSearchIssues = sinon.stub(SonarCloudClient.prototype, 'searchIssues').resolves([]);
+  s.scSearchIssuesWithComments = sinon.stub(SonarCloudClient.prototype, 'searchIssuesWithComments').resolves([]);
   s.scSearchHotspots = sinon.stub(SonarCloudClient.prototype, 'searchHotspots').resolves([]);
   s.scTransitionIssue = sinon.stub(SonarCloudClient.prototype, 'transitionIssue').resolves();
   s.scAddIssueComment = sinon.stub(SonarCloudClient.prototype, 'addIssueComment').resolves();
@@ -251,18 +256,20 @@ test.serial('migrate: has all expected options', t => {
   t.true(optionNames.includes('--project-concurrency'));
   t.true(optionNames.includes('--auto-tune'));
   t.true(optionNames.includes('--skip-all-branch-sync'));
+  t.true(optionNames.includes('--webhook-secrets'));
+  t.true(optionNames.includes('--events'));
 });
 
 test.serial('VALID_ONLY_COMPONENTS has all expected values', t => {
   t.deepEqual(VALID_ONLY_COMPONENTS, [
-    'scan-data', 'scan-data-all-branches', 'portfolios', 'quality-gates',
+    'scan-data', 'scan-data-all-branches', 'portfolios', 'applications', 'quality-gates',
     'quality-profiles', 'permission-templates', 'permissions',
-    'issue-metadata', 'hotspot-metadata', 'project-settings'
+    'issue-metadata', 'hotspot-metadata', 'project-settings', 'webhooks'
   ]);
 });
 
-test.serial('VALID_ONLY_COMPONENTS contains 10 items', t => {
-  t.is(VALID_ONLY_COMPONENTS.length, 10);
+test.serial('VALID_ONLY_COMPONENTS contains 12 items', t => {
+  t.is(VALID_ONLY_COMPONENTS.length, 12);
 });
 
 test.serial('migrate: successful migration exits(0)', async t => {
@@ -380,6 +387,17 @@ test.serial('migrate: --only with empty string exits(1)', async t => {
   t.true(t.context.exitStub.calledWith(1), 'should exit(1) on empty --only');
 });
 
+test.serial('migrate: --webhook-secrets with invalid mode exits(1)', async t => {
+  const { tmpDir } = t.context;
+  const configPath = await writeMigrateConfig(tmpDir);
+  const program = createProgram();
+  registerMigrateCommand(program);
+
+  await program.parseAsync(['node', 'test', 'migrate', '-c', configPath, '--webhook-secrets', 'ask-nicely']);
+
+  t.true(t.context.exitStub.calledWith(1), 'should exit(1) on invalid --webhook-secrets mode');
+});
+
 test.serial('migrate: handles CloudVoyagerError', async t => {
   const { tmpDir, stubs } = t.context;
   stubs.sqTestConnection.rejects(new CloudVoyagerError('SQ auth failed'));
@@ -407,7 +425,7 @@ test.serial('migrate: handles unexpected error', async t => {
 test.serial('migrate: partial/failed projects cause exit(1)', async t => {
   const { tmpDir, stubs } = t.context;
   // Make issue search fail to create a partial migration
-  stubs.scSearchIssues.rejects(new Error('Issue sync failed'));
+  stubs.scSearchIssuesWithComments.rejects(new Error('Issue sync failed'));
   const configPath = await writeMigrateConfig(tmpDir);
   const program = createProgram();
   registerMigrateCommand(program);
@@ -705,6 +723,88 @@ test.serial('sync-metadata: sets dryRun=false explicitly', async t => {
   t.true(t.context.stubs.scTestConnection.called, 'should test SC connection since dryRun is forced false');
 });
 
+// ===== sync-delta.js =====
+
+test.serial('registerSyncDeltaCommand registers the sync-delta command with its options', t => {
+  const program = createProgram();
+  registerSyncDeltaCommand(program);
+  const cmd = program.commands.find(c => c.name() === 'sync-delta');
+  t.truthy(cmd, 'sync-delta command should be registered');
+  const optionNames = cmd.options.map(o => o.long);
+  for (const name of ['--config', '--verbose', '--since', '--skip-issue-metadata-sync', '--skip-hotspot-metadata-sync', '--force-unlock', '--concurrency', '--max-memory', '--events', '--auto-tune']) {
+    t.true(optionNames.includes(name), `${name} should be an option`);
+  }
+  t.true(cmd.options.find(o => o.long === '--config').required);
+});
+
+test.serial('sync-delta: --since rejects a value that is not a timestamp', async t => {
+  const program = createProgram();
+  registerSyncDeltaCommand(program);
+
+  await t.throwsAsync(
+    () => program.parseAsync(['node', 'test', 'sync-delta', '-c', 'config.json', '--since', 'yesterday']),
+    { message: /--since must be an ISO 8601 timestamp/ },
+  );
+});
+
+// ===== export.js / import.js =====
+
+test.serial('registerExportCommand registers the export command with a required bundle directory', t => {
+  const program = createProgram();
+  registerExportCommand(program);
+  const cmd = program.commands.find(c => c.name() === 'export');
+  t.truthy(cmd, 'export command should be registered');
+  const optionNames = cmd.options.map(o => o.long);
+  for (const name of ['--config', '--bundle', '--verbose', '--skip-issue-metadata-sync', '--skip-hotspot-metadata-sync', '--skip-all-branch-sync', '--concurrency', '--max-memory', '--auto-tune', '--events']) {
+    t.true(optionNames.includes(name), `${name} should be an option`);
+  }
+  t.true(cmd.options.find(o => o.long === '--bundle').required);
+});
+
+test.serial('registerImportCommand registers the import command with the migrate options', t => {
+  const program = createProgram();
+  registerMigrateCommand(program);
+  registerImportCommand(program);
+  const migrateOptions = program.commands.find(c => c.name() === 'migrate').options.map(o => o.long);
+  const cmd = program.commands.find(c => c.name() === 'import');
+  t.truthy(cmd, 'import command should be registered');
+  const optionNames = cmd.options.map(o => o.long);
+  for (const name of migrateOptions) t.true(optionNames.includes(name), `${name} should be an option`);
+  t.true(cmd.options.find(o => o.long === '--bundle').required);
+});
+
+test.serial('registerInspectReportCommand registers inspect-report with a report argument and diff option', t => {
+  const program = createProgram();
+  registerInspectReportCommand(program);
+  const cmd = program.commands.find(c => c.name() === 'inspect-report');
+  t.truthy(cmd, 'inspect-report command should be registered');
+  t.deepEqual(cmd.registeredArguments.map(a => a.name()), ['report']);
+  const optionNames = cmd.options.map(o => o.long);
+  for (const name of ['--diff', '--output', '--verbose']) t.true(optionNames.includes(name), `${name} should be an option`);
+});
+
+test.serial('transfer, migrate and import accept --save-reports', t => {
+  const program = createProgram();
+  registerTransferCommand(program);
+  registerMigrateCommand(program);
+  registerImportCommand(program);
+  for (const name of ['transfer', 'migrate', 'import']) {
+    const cmd = program.commands.find(c => c.name() === name);
+    t.truthy(cmd.options.find(o => o.long === '--save-reports'), `${name} should accept --save-reports`);
+  }
+});
+
+test.serial('transfer, migrate and import accept --strict-report-validation', t => {
+  const program = createProgram();
+  registerTransferCommand(program);
+  registerMigrateCommand(program);
+  registerImportCommand(program);
+  for (const name of ['transfer', 'migrate', 'import']) {
+    const cmd = program.commands.find(c => c.name() === name);
+    t.truthy(cmd.options.find(o => o.long === '--strict-report-validation'), `${name} should accept --strict-report-validation`);
+  }
+});
+
 // ===== Cross-command registration tests =====
 
 test.serial('all commands can be registered on the same program', t => {
@@ -1137,3 +1237,26 @@ test.serial('sync-metadata (esmock): config with transfer exercises truthy left
 
   t.false(t.context.exitStub.calledWith(1), 'should succeed with explicit transfer config');
 });
+
+test.serial('import (esmock): requests missing from the bundle cause exit(1)', async t => {
+  const migrateConfig = {
+    sonarqube: { url: 'http://localhost:9000', token: 'sq-token' },
+    sonarcloud: { organizations: [{ key: 'org1', token: 'sc-token', url: 'https://sonarcloud.io' }] },
+    migrate: { outputDir: '/tmp/output' }
+  };
+  const importBundle = sinon.stub().resolves({ projects: [{ status: 'success' }], replayMisses: [] });
+  const { handleImportAction } = await esmock(
+    '../../src/commands/import/helpers/handle-import-action.js',
+    {
+      '../../src/shared/config/loader.js': { loadMigrateConfig: async () => migrateConfig },
+      '../../src/shared/bundle/import-pipeline.js': { importBundle }
+    }
+  );
+
+  await handleImportAction({ config: 'dummy.json', bundle: 'bundle' });
+  t.false(t.context.exitStub.called, 'should succeed when every request was replayed');
+
+  importBundle.resolves({ projects: [{ status: 'success' }], replayMisses: ['GET /api/issues/changelog?issue=AX1'] });
+  await handleImportAction({ config: 'dummy.json', bundle: 'bundle' });
+  t.true(t.context.exitStub.calledWith(1), 'should exit(1) when the bundle lacked requests');
+});
@@ -207,6 +207,24 @@ test('loadMigrateConfig throws ValidationError for invalid schema', async t => {
   await rm(dir, { recursive: true });
 });
 
+test('loadMigrateConfig rejects routing rules without a catch-all', async t => {
+  const dir = getTmpDir();
+  const path = await writeConfig(dir, 'migrate.json', {
+    ...validMigrateConfig,
+    migrate: { routingRules: [{ organization: 'org1', match: { alm: ['github'] } }] },
+  });
+  const err = await t.throwsAsync(() => loadMigrateConfig(path), { instanceOf: ValidationError });
+  t.true(err.errors.some(e => e.includes('must end with a catch-all rule')));
+  await rm(dir, { recursive: true });
+});
+
+test('loadMigrateConfig rejects an unknown webhookSecrets mode', async t => {
+  const dir = getTmpDir();
+  const path = await writeConfig(dir, 'migrate.json', { ...validMigrateConfig, migrate: { webhookSecrets: 'vault' } });
+  await t.throwsAsync(() => loadMigrateConfig(path), { instanceOf: ValidationError });
+  await rm(dir, { recursive: true });
+});
+
 test.serial('loadMigrateConfig applies env overrides', async t => {
   const dir = getTmpDir();
   const path = await writeConfig(dir, 'migrate.json', validMigrateConfig);
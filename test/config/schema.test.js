@@ -83,3 +83,11 @@ test('migrateConfigSchema has transfer, migrate, rateLimit, performance', t => {
   t.truthy(migrateConfigSchema.properties.rateLimit);
   t.truthy(migrateConfigSchema.properties.performance);
 });
+
+test('transfer.reportValidation defaults to lenient in both schemas', t => {
+  for (const schema of [configSchema, migrateConfigSchema]) {
+    const reportValidation = schema.properties.transfer.properties.reportValidation;
+    t.deepEqual(reportValidation.enum, ['strict', 'lenient', 'off']);
+    t.is(reportValidation.default, 'lenient');
+  }
+});
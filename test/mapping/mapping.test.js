@@ -2,6 +2,13 @@ import test from 'ava';
 import sinon from 'sinon';
 import { mapProjectsToOrganizations, mapResourcesToOrganizations } from '../../src/shared/mapping/org-mapper.js';
 import { generateMappingCsvs } from '../../src/shared/mapping/csv-generator.js';
+import { selectProjects, compileKeyMatcher, sameProjectFilters } from '../../src/shared/mapping/project-filter.js';
+import { compileRoutingRules, validateRoutingRules } from '../../src/shared/mapping/routing-rules.js';
+import { transformProjectKey, planProjectKeys, completePortfolioKeyMap } from '../../src/shared/mapping/project-key-transform.js';
+import { planGroupMemberships } from '../../src/shared/mapping/group-memberships.js';
+import { resolveScLogin, translateUserPermissions } from '../../src/shared/mapping/user-permissions.js';
+import { generateUserMappingsCsv } from '../../src/shared/mapping/csv-tables.js';
+import { ConfigurationError, ValidationError } from '../../src/shared/utils/errors.js';
 import { writeFile, mkdir } from 'node:fs/promises';
 
 // ---------------------------------------------------------------------------
@@ -508,7 +515,7 @@ test('generateMappingCsvs: projects.csv contains project data', async t => {
   const content = await readFile(`${tmpDir}/projects.csv`, 'utf-8');
   const lines = content.trim().split('\n');
 
-  t.is(lines[0], 'Include,Project Key,Project Name,Branch,Target Organization,ALM Platform,Repository,Monorepo,Visibility,Last Analysis');
+  t.is(lines[0], 'Include,Project Key,Project Name,Branch,Target Organization,ALM Platform,Repository,Monorepo,Visibility,Last Analysis,Routing Rule,SonarCloud Key');
   // At least header + project rows
   t.true(lines.length >= 2);
   // Check one project is listed
@@ -2418,7 +2425,7 @@ test('generateMappingCsvs: projects.csv emits one row per branch when projectBra
   const content = await readFile(`${tmpDir}/projects.csv`, 'utf-8');
   const lines = content.trim().split('\n');
 
-  t.is(lines[0], 'Include,Project Key,Project Name,Branch,Target Organization,ALM Platform,Repository,Monorepo,Visibility,Last Analysis');
+  t.is(lines[0], 'Include,Project Key,Project Name,Branch,Target Organization,ALM Platform,Repository,Monorepo,Visibility,Last Analysis,Routing Rule,SonarCloud Key');
   // 1 header + 3 branch rows
   t.is(lines.length, 4);
   // Main branch first
@@ -2578,3 +2585,310 @@ test('applyCsvOverrides: projects.csv without Branch column returns empty projec
   t.is(result.filteredOrgAssignments[0].projects.length, 1);
   t.is(result.projectBranchIncludes.size, 0);
 });
+
+// ---------------------------------------------------------------------------
+// selectProjects -- declarative migrate.projects filters
+// ---------------------------------------------------------------------------
+
+function makeSqProject(key, extras = {}) {
+  return { key, name: key, visibility: 'private', lastAnalysisDate: '2024-06-01T10:00:00+0000', ...extras };
+}
+
+test('selectProjects: returns all projects when no filters are configured', async t => {
+  const projects = [makeSqProject('a'), makeSqProject('b')];
+  t.is(await selectProjects({}, projects, null), projects);
+  t.is(await selectProjects({}, projects, { include: [], exclude: [] }), projects);
+});
+
+test('selectProjects: include and exclude accept exact keys and globs', async t => {
+  const projects = ['team-a-api', 'team-a-web', 'team-b-api', 'legacy'].map(k => makeSqProject(k));
+  const selected = await selectProjects({}, projects, { include: ['team-a-*', 'legacy'], exclude: ['*-web'] });
+  t.deepEqual(selected.map(p => p.key), ['team-a-api', 'legacy']);
+});
+
+test('selectProjects: regex filters match Maven-style keys', async t => {
+  const projects = ['com.acme:core', 'com.acme:ui', 'org.other:lib'].map(k => makeSqProject(k));
+  const selected = await selectProjects({}, projects, { includeRegex: ['^com\\.acme:'], excludeRegex: [':ui$'] });
+  t.deepEqual(selected.map(p => p.key), ['com.acme:core']);
+});
+
+test('selectProjects: visibility and last-analysis window', async t => {
+  const projects = [
+    makeSqProject('recent', { lastAnalysisDate: '2024-09-01T00:00:00+0000' }),
+    makeSqProject('old', { lastAnalysisDate: '2022-01-01T00:00:00+0000' }),
+    makeSqProject('public', { visibility: 'public', lastAnalysisDate: '2024-09-01T00:00:00+0000' }),
+    makeSqProject('never', { lastAnalysisDate: undefined }),
+  ];
+  const selected = await selectProjects({}, projects, { visibility: 'private', analyzedAfter: '2024-01-01', analyzedBefore: '2025-01-01' });
+  t.deepEqual(selected.map(p => p.key), ['recent']);
+});
+
+test('selectProjects: tag filters resolve tagged projects in one search per tag list', async t => {
+  const sqClient = { getPaginated: sinon.stub() };
+  sqClient.getPaginated.withArgs('/api/components/search_projects', { filter: 'tags IN (backend, java)' }).resolves([{ key: 'a' }, { key: 'b' }]);
+  sqClient.getPaginated.withArgs('/api/components/search_projects', { filter: 'tags IN (deprecated)' }).resolves([{ key: 'b' }]);
+  const projects = ['a', 'b', 'c'].map(k => makeSqProject(k));
+
+  const selected = await selectProjects(sqClient, projects, { tags: ['backend', 'java'], excludeTags: ['deprecated'] });
+
+  t.deepEqual(selected.map(p => p.key), ['a']);
+  t.is(sqClient.getPaginated.callCount, 2);
+});
+
+test('compileKeyMatcher: returns null for empty lists and escapes regex metacharacters in globs', t => {
+  t.is(compileKeyMatcher([], []), null);
+  const match = compileKeyMatcher(['com.acme:*']);
+  t.true(match('com.acme:core'));
+  t.false(match('comXacme:core'));
+});
+
+test('sameProjectFilters: ignores empty defaults and detects changed selections', t => {
+  t.true(sameProjectFilters(undefined, null));
+  t.true(sameProjectFilters({ include: [] }, null));
+  t.true(sameProjectFilters({ include: ['a'] }, { include: ['a'], exclude: [] }));
+  t.false(sameProjectFilters({ include: ['a'] }, { include: ['b'] }));
+});
+
+// ---------------------------------------------------------------------------
+// Routing rules -- migrate.routingRules
+// ---------------------------------------------------------------------------
+
+test('routing rules: first matching rule wins and the catch-all takes the rest', async t => {
+  const projects = ['pay-api', 'pay-web', 'legacy', 'docs'].map(k => makeProject(k));
+  const bindings = new Map([
+    ['pay-api', makeBinding('github', 'acme/payments-api')],
+    ['pay-web', makeBinding('gitlab', 'acme/payments-web')],
+    ['legacy', makeBinding('github', 'acme/legacy')],
+  ]);
+  const targetOrgs = [makeTargetOrg('payments'), makeTargetOrg('platform')];
+  const rules = await compileRoutingRules({}, [
+    { name: 'payments on github', organization: 'payments', match: { alm: ['GitHub'], repository: ['acme/payments-*'] } },
+    { organization: 'payments', match: { projects: ['pay-*'] } },
+    { organization: 'platform' },
+  ], targetOrgs);
+
+  const result = mapProjectsToOrganizations(projects, bindings, targetOrgs, rules);
+
+  const payments = result.orgAssignments.find(a => a.org.key === 'payments');
+  const platform = result.orgAssignments.find(a => a.org.key === 'platform');
+  t.deepEqual(payments.projects.map(p => p.key), ['pay-api', 'pay-web']);
+  t.deepEqual(platform.projects.map(p => p.key), ['legacy', 'docs']);
+  t.is(result.projectRouting.get('pay-api'), 'payments on github');
+  t.is(result.projectRouting.get('pay-web'), 'rule #2');
+  t.is(result.projectRouting.get('docs'), 'rule #3 (catch-all)');
+});
+
+test('routing rules: binding groups split across orgs keep only their routed projects', async t => {
+  const projects = [makeProject('a'), makeProject('b')];
+  const bindings = new Map([
+    ['a', makeBinding('github', 'acme/one')],
+    ['b', makeBinding('github', 'acme/two')],
+  ]);
+  const targetOrgs = [makeTargetOrg('org1'), makeTargetOrg('org2')];
+  const rules = await compileRoutingRules({}, [
+    { organization: 'org2', match: { projects: ['b'] } },
+    { organization: 'org1' },
+  ], targetOrgs);
+
+  const result = mapProjectsToOrganizations(projects, bindings, targetOrgs, rules);
+
+  const org1 = result.orgAssignments.find(a => a.org.key === 'org1');
+  const org2 = result.orgAssignments.find(a => a.org.key === 'org2');
+  t.deepEqual(org1.bindingGroups.map(g => g.projects.map(p => p.key)), [['a']]);
+  t.deepEqual(org2.bindingGroups.map(g => g.projects.map(p => p.key)), [['b']]);
+  t.is(result.bindingGroups[0].projects.length, 2);
+});
+
+test('routing rules: tags and portfolio membership', async t => {
+  const sqClient = { getPaginated: sinon.stub().resolves([{ key: 'tagged' }]) };
+  const projects = ['tagged', 'in-portfolio', 'other'].map(k => makeProject(k));
+  const targetOrgs = [makeTargetOrg('org1'), makeTargetOrg('org2'), makeTargetOrg('org3')];
+  const portfolios = [{ key: 'PF_RETAIL', projects: [{ key: 'in-portfolio' }] }];
+  const rules = await compileRoutingRules(sqClient, [
+    { organization: 'org2', match: { tags: ['retail'] } },
+    { organization: 'org3', match: { portfolios: ['PF_RETAIL'] } },
+    { organization: 'org1' },
+  ], targetOrgs, portfolios);
+
+  const result = mapProjectsToOrganizations(projects, new Map(), targetOrgs, rules);
+
+  t.deepEqual(result.orgAssignments.map(a => a.projects.map(p => p.key)), [['other'], ['tagged'], ['in-portfolio']]);
+  t.true(sqClient.getPaginated.calledWith('/api/components/search_projects', { filter: 'tags IN (retail)' }));
+});
+
+test('routing rules: no rules configured keeps legacy binding-key routing', async t => {
+  t.is(await compileRoutingRules({}, undefined, [makeTargetOrg('org1')]), null);
+  const result = mapProjectsToOrganizations([makeProject('x')], new Map(), [makeTargetOrg('org1'), makeTargetOrg('org2')]);
+  t.is(result.projectRouting.get('x'), '(no binding, first organization)');
+});
+
+test('validateRoutingRules: requires a trailing catch-all and known organizations', t => {
+  t.deepEqual(validateRoutingRules([{ organization: 'org1' }], ['org1']), []);
+  const errors = validateRoutingRules([
+    { organization: 'org1' },
+    { organization: 'nope', match: { projects: ['a'] } },
+  ], ['org1']);
+  t.is(errors.length, 3);
+  t.regex(errors[0], /catch-all, so the 1 rule\(s\) after it can never match/);
+  t.regex(errors[1], /"nope" is not one of the configured/);
+  t.regex(errors[2], /must end with a catch-all rule/);
+});
+
+test('compileRoutingRules: rejects invalid rules with ConfigurationError', async t => {
+  await t.throwsAsync(
+    () => compileRoutingRules({}, [{ organization: 'org1', match: { alm: ['github'] } }], [makeTargetOrg('org1')]),
+    { instanceOf: ConfigurationError, message: /must end with a catch-all/ },
+  );
+});
+
+test('generateMappingCsvs: projects.csv shows which routing rule placed each project', async t => {
+  const tmpDir = `/tmp/cloudvoyager-test-routing-csv-${Date.now()}`;
+  const targetOrgs = [makeTargetOrg('org1')];
+  const projects = [makeProject('a')];
+  const rules = await compileRoutingRules({}, [{ name: 'everything', organization: 'org1' }], targetOrgs);
+  const orgMapping = mapProjectsToOrganizations(projects, new Map(), targetOrgs, rules);
+
+  await generateMappingCsvs({
+    orgAssignments: orgMapping.orgAssignments,
+    bindingGroups: orgMapping.bindingGroups,
+    projectRouting: orgMapping.projectRouting,
+    projectBindings: new Map(),
+    projectMetadata: new Map(),
+    projectBranches: new Map(),
+    resourceMappings: { groupsByOrg: new Map(), profilesByOrg: new Map(), gatesByOrg: new Map(), portfoliosByOrg: new Map(), templatesByOrg: new Map() },
+  }, tmpDir);
+
+  const { readFile, rm } = await import('node:fs/promises');
+  const lines = (await readFile(`${tmpDir}/projects.csv`, 'utf-8')).trim().split('\n');
+  t.true(lines[1].endsWith(',everything,a'));
+
+  await rm(tmpDir, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// Project key transform -- migrate.projectKeyTransform
+// ---------------------------------------------------------------------------
+
+test('transformProjectKey: returns the key unchanged without a transform', t => {
+  t.is(transformProjectKey('com.acme:core', null, 'org1'), 'com.acme:core');
+});
+
+test('transformProjectKey: replace, lowercase, then prefix/suffix templates', t => {
+  const transform = {
+    replace: [{ pattern: '^com\\.acme:(.*)$', replacement: 'acme-$1' }],
+    lowercase: true,
+    prefix: '{org}_',
+    suffix: '-sq',
+  };
+  t.is(transformProjectKey('com.acme:Billing-API', transform, 'payments'), 'payments_acme-billing-api-sq');
+});
+
+test('transformProjectKey: mapping table wins over every other rewrite', t => {
+  const transform = { mapping: { 'com.acme:core': 'core-platform' }, lowercase: true, prefix: 'x-' };
+  t.is(transformProjectKey('com.acme:core', transform, 'org1'), 'core-platform');
+  t.is(transformProjectKey('Other', transform, 'org1'), 'x-other');
+});
+
+test('transformProjectKey: drops {org} templates when the org is unknown', t => {
+  t.is(transformProjectKey('core', { prefix: '{org}_', suffix: '-v2' }), 'core-v2');
+});
+
+test('transformProjectKey: rejects keys SonarCloud would refuse', t => {
+  t.throws(() => transformProjectKey('a b', { lowercase: true }), { instanceOf: ValidationError, message: /invalid SonarCloud key "a b"/ });
+  t.throws(() => transformProjectKey('v1', { replace: [{ pattern: 'v', replacement: '' }] }), { instanceOf: ValidationError });
+});
+
+test('planProjectKeys: reports collisions across organizations', t => {
+  const transform = { replace: [{ pattern: '^com\\.acme:', replacement: '' }] };
+  const assignments = [
+    { org: makeTargetOrg('org1'), projects: [makeProject('com.acme:core'), makeProject('web')] },
+    { org: makeTargetOrg('org2'), projects: [makeProject('core')] },
+  ];
+  const error = t.throws(() => planProjectKeys(assignments, transform), { instanceOf: ValidationError });
+  t.deepEqual(error.errors, ['Projects "com.acme:core" and "core" both rewrite to "core"']);
+
+  const planned = planProjectKeys(assignments.slice(0, 1), transform);
+  t.deepEqual([...planned], [['com.acme:core', 'core'], ['web', 'web']]);
+});
+
+test('completePortfolioKeyMap: rewrites portfolio members missing from the run', t => {
+  const portfolios = [{ name: 'P', projects: [{ key: 'migrated' }, { key: 'Earlier.Wave' }] }];
+  const runMap = new Map([['migrated', 'org1_migrated']]);
+
+  t.is(completePortfolioKeyMap(portfolios, runMap, null), runMap);
+  const completed = completePortfolioKeyMap(portfolios, runMap, { lowercase: true });
+  t.is(completed.get('migrated'), 'org1_migrated');
+  t.is(completed.get('Earlier.Wave'), 'earlier.wave');
+});
+
+// ---------------------------------------------------------------------------
+// Group memberships -- planGroupMemberships / user-mappings.csv
+// ---------------------------------------------------------------------------
+
+test('planGroupMemberships: maps logins and reports users outside the organization', t => {
+  const groups = [{ name: 'devs', members: ['alice', 'bob', 'carol', 'svc'] }];
+  const userMappings = new Map([
+    ['alice', { scLogin: 'alice@github', include: true }],
+    ['bob', { scLogin: 'bob@github', include: true }],
+    ['svc', { scLogin: null, include: false }],
+  ]);
+  const plan = planGroupMemberships(groups, userMappings, new Set(['alice@github']));
+  t.deepEqual(plan.additions, [{ group: 'devs', sqLogin: 'alice', scLogin: 'alice@github' }]);
+  t.deepEqual(plan.warnings, [
+    { group: 'devs', sqLogin: 'bob', scLogin: 'bob@github', reason: 'not-member' },
+    { group: 'devs', sqLogin: 'carol', scLogin: null, reason: 'unmapped' },
+  ]);
+  t.is(plan.excluded, 1);
+});
+
+test('planGroupMemberships: keeps unmapped logins when organization members are unknown', t => {
+  const plan = planGroupMemberships([{ name: 'devs', members: ['carol'] }], null, null);
+  t.deepEqual(plan.additions, [{ group: 'devs', sqLogin: 'carol', scLogin: 'carol' }]);
+  t.deepEqual(plan.warnings, []);
+});
+
+test('generateUserMappingsCsv: lists group members after issue assignees with their groups', t => {
+  const csv = generateUserMappingsCsv({
+    assigneeCounts: new Map([['alice', 3]]),
+    assigneeDetails: new Map([['alice', { name: 'Alice', email: 'alice@example.com' }]]),
+    extractedData: { groups: [{ name: 'devs', members: ['carol', 'alice'] }, { name: 'ops', members: ['carol'] }] },
+  });
+  const lines = csv.trim().split('\n');
+  t.is(lines[0], 'Include,SonarQube Login,SonarCloud Login,Display Name,Email,Issue Count,Groups');
+  t.is(lines[1], 'yes,alice,,Alice,alice@example.com,3,devs');
+  t.is(lines[2], 'yes,carol,,,,0,devs;ops');
+});
+
+// ---------------------------------------------------------------------------
+// User permissions -- resolveScLogin / translateUserPermissions
+// ---------------------------------------------------------------------------
+
+test('resolveScLogin: maps, passes through and excludes logins', t => {
+  const userMappings = new Map([
+    ['alice', { scLogin: 'alice@github', include: true }],
+    ['bob', { scLogin: '', include: true }],
+    ['svc', { scLogin: 'svc@github', include: false }],
+  ]);
+  t.is(resolveScLogin('alice', userMappings), 'alice@github');
+  t.is(resolveScLogin('bob', userMappings), 'bob');
+  t.is(resolveScLogin('carol', userMappings), 'carol');
+  t.is(resolveScLogin('svc', userMappings), null);
+  t.is(resolveScLogin('carol', null), 'carol');
+});
+
+test('translateUserPermissions: drops excluded users and keeps SonarQube login for reference', t => {
+  const userMappings = new Map([
+    ['alice', { scLogin: 'alice@github', include: true }],
+    ['svc', { scLogin: null, include: false }],
+  ]);
+  const result = translateUserPermissions([
+    { login: 'alice', permissions: ['admin'] },
+    { login: 'svc', permissions: ['scan'] },
+    { login: 'carol' },
+  ], userMappings);
+  t.deepEqual(result.users, [
+    { sqLogin: 'alice', login: 'alice@github', permissions: ['admin'] },
+    { sqLogin: 'carol', login: 'carol', permissions: [] },
+  ]);
+  t.is(result.excluded, 1);
+});
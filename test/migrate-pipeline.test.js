@@ -35,6 +35,8 @@ function setupAllStubs() {
   sq.getPermissionTemplates = sinon.stub(SonarQubeClient.prototype, 'getPermissionTemplates').resolves({ templates: [], defaultTemplates: [] });
   sq.getPortfolios = sinon.stub(SonarQubeClient.prototype, 'getPortfolios').resolves([]);
   sq.getPortfolioDetails = sinon.stub(SonarQubeClient.prototype, 'getPortfolioDetails').resolves({});
+  sq.getApplications = sinon.stub(SonarQubeClient.prototype, 'getApplications').resolves([]);
+  sq.getApplicationDetails = sinon.stub(SonarQubeClient.prototype, 'getApplicationDetails').resolves(null);
   sq.getAlmSettings = sinon.stub(SonarQubeClient.prototype, 'getAlmSettings').resolves({ github: [], gitlab: [], azure: [], bitbucket: [], bitbucketcloud: [] });
   sq.getProjectBinding = sinon.stub(SonarQubeClient.prototype, 'getProjectBinding').resolves(null);
   sq.getSystemInfo = sinon.stub(SonarQubeClient.prototype, 'getSystemInfo').resolves({ System: { Version: '9.9' } });
@@ -88,6 +90,7 @@ function setupAllStubs() {
   sc.setBitbucketBinding = sinon.stub(SonarCloudClient.prototype, 'setBitbucketBinding').resolves();
   sc.searchQualityProfiles = sinon.stub(SonarCloudClient.prototype, 'searchQualityProfiles').resolves([]);
   sc.searchIssues = sinon.stub(SonarCloudClient.prototype, 'searchIssues').resolves([]);
+  sc.searchIssuesWithComments = sinon.stub(SonarCloudClient.prototype, 'searchIssuesWithComments').resolves([]);
   sc.searchHotspots = sinon.stub(SonarCloudClient.prototype, 'searchHotspots').resolves([]);
   sc.transitionIssue = sinon.stub(SonarCloudClient.prototype, 'transitionIssue').resolves();
   sc.addIssueComment = sinon.stub(SonarCloudClient.prototype, 'addIssueComment').resolves();
@@ -209,6 +212,31 @@ test.serial('migrateAll skips org with no projects', async t => {
   t.false(stubs.sc.testConnection.called);
 });
 
+test.serial('migrateAll applies migrate.projects filters before per-project extraction', async t => {
+  const { stubs, outputDir } = t.context;
+  stubs.sq.listAllProjects.resolves([
+    { key: 'proj1', name: 'Project One' },
+    { key: 'legacy-app', name: 'Legacy App' }
+  ]);
+  const opts = baseMigrateOptions(outputDir);
+  opts.migrateConfig.projects = { exclude: ['legacy-*'] };
+  const results = await migrateAll(opts);
+  t.deepEqual(results.projects.map(p => p.projectKey), ['proj1']);
+  t.false(stubs.sq.getBranches.calledWith('legacy-app'));
+  const step = results.serverSteps.find(s => s.step === 'Extract projects');
+  t.is(step.detail, '1/2 selected by project filters');
+});
+
+test.serial('migrateAll migrates projects under keys rewritten by migrate.projectKeyTransform', async t => {
+  const { stubs, outputDir } = t.context;
+  stubs.sq.listAllProjects.resolves([{ key: 'com.acme:Proj1', name: 'Project One' }]);
+  const opts = baseMigrateOptions(outputDir);
+  opts.migrateConfig.projectKeyTransform = { replace: [{ pattern: '^com\\.acme:', replacement: 'acme-' }], lowercase: true };
+  const results = await migrateAll(opts);
+  t.is(results.projects[0].scProjectKey, 'acme-proj1');
+  t.true(stubs.sc.isProjectKeyTakenGlobally.calledWith('acme-proj1'));
+});
+
 test.serial('migrateAll with skipIssueSync skips issue sync step', async t => {
   const { outputDir } = t.context;
   const opts = baseMigrateOptions(outputDir);
@@ -297,7 +325,7 @@ test.serial('migrateAll uses skipHotspotMetadataSync config alias', async t => {
 test.serial('migrateAll partial project status when some steps fail', async t => {
   const { stubs, outputDir } = t.context;
   // Make issue sync fail but let everything else succeed
-  stubs.sc.searchIssues.rejects(new Error('Issue sync failed'));
+  stubs.sc.searchIssuesWithComments.rejects(new Error('Issue sync failed'));
   const opts = baseMigrateOptions(outputDir);
   const results = await migrateAll(opts);
   const proj = results.projects[0];
@@ -406,6 +434,23 @@ test.serial('migrateAll skips portfolio migration when --only excludes portfolio
   t.false(stubs.ec.resolveEnterpriseId.called);
 });
 
+test.serial('migrateAll recreates applications as enterprise portfolios', async t => {
+  const { stubs, outputDir } = t.context;
+  stubs.sq.getApplications.resolves([{ key: 'app1', name: 'App One' }]);
+  stubs.sq.getApplicationDetails.resolves({
+    projects: [{ key: 'proj1', isMain: true }],
+    branches: [{ name: 'main', isMain: true }],
+  });
+
+  const opts = baseMigrateOptions(outputDir);
+  opts.enterpriseConfig = { key: 'my-enterprise' };
+  opts.migrateConfig.onlyComponents = ['applications'];
+  const results = await migrateAll(opts);
+  t.true(stubs.ec.createPortfolio.calledWithMatch({ name: 'App One' }));
+  t.is(results.applications, 1);
+  t.is(results.portfolios, 0);
+});
+
 // ===== Test for migrate-pipeline.js report writing error (lines 160-161) =====
 
 test.serial('migrateAll handles report writing errors gracefully', async t => {
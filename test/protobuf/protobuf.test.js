@@ -243,6 +243,21 @@ test('ProtobufBuilder.buildMetadata: returns correct metadata structure', t => {
   t.truthy(metadata.analyzedIndexedFileCountPerType);
 });
 
+test('ProtobufBuilder.buildMetadata: describes a pull request analysis when a pullRequest is given', t => {
+  const builder = createProtobufBuilder(createExtractedData(), createSonarCloudConfig(), createSonarCloudProfiles(), {
+    referenceBranchName: 'main',
+    pullRequest: { key: 42, branch: 'feature/login', base: 'develop', target: 'main' },
+  });
+
+  const metadata = builder.buildMetadata();
+
+  t.is(metadata.branchType, 2); // PULL_REQUEST
+  t.is(metadata.branchName, 'feature/login');
+  t.is(metadata.pullRequestKey, '42');
+  t.is(metadata.targetBranchName, 'develop');
+  t.is(metadata.referenceBranchName, 'main');
+});
+
 test('ProtobufBuilder.buildMetadata: uses analysisDate from metadata', t => {
   const data = createExtractedData();
   const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
@@ -641,6 +656,16 @@ test('ProtobufBuilder.buildMeasures: creates measures for FILE components only',
   t.is(measuresByComponent.size, 2);
 });
 
+test('ProtobufBuilder.buildMeasures: adds replayed project measures to the root component', t => {
+  const data = createExtractedData({ projectMeasures: [{ metric: 'ncloc', value: '1200' }] });
+  const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
+  builder.buildComponents();
+
+  const measuresByComponent = builder.buildMeasures();
+
+  t.deepEqual(measuresByComponent.get(builder.getComponentRef('my-project')), [{ metricKey: 'ncloc', intValue: { value: 1200 } }]);
+});
+
 test('ProtobufBuilder.buildMeasures: skips directory components', t => {
   const data = createExtractedData();
   const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
@@ -994,6 +1019,80 @@ test('ProtobufBuilder.buildChangesets: handles empty changeset map', t => {
   t.is(changesetsByComponent.size, 0);
 });
 
+// ---------------------------------------------------------------------------
+// buildSyntaxHighlightings / buildSymbols
+// ---------------------------------------------------------------------------
+
+test('ProtobufBuilder.buildSyntaxHighlightings: keys rules by component ref and drops out-of-source ranges', t => {
+  const data = createExtractedData({
+    syntaxHighlightings: new Map([
+      ['my-project:src/index.js', {
+        fileRef: null,
+        rules: [
+          { range: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 5 }, type: 6 },
+          { range: { startLine: 2, endLine: 2, startOffset: 0, endOffset: 99 }, type: 7 }
+        ]
+      }],
+      ['unknown-component', { fileRef: null, rules: [{ range: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 1 }, type: 6 }] }]
+    ])
+  });
+  const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
+  builder.buildComponents();
+
+  const highlightingsByComponent = builder.buildSyntaxHighlightings();
+  t.is(highlightingsByComponent.size, 1);
+  const rules = highlightingsByComponent.get(builder.componentRefMap.get('my-project:src/index.js'));
+  t.deepEqual(rules, [{ range: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 5 }, type: 6 }]);
+});
+
+test('ProtobufBuilder.buildSymbols: keeps symbols whose declaration and references fit the source', t => {
+  const data = createExtractedData({
+    symbols: new Map([
+      ['my-project:src/index.js', {
+        fileRef: null,
+        symbols: [
+          { declaration: { startLine: 1, endLine: 1, startOffset: 6, endOffset: 7 }, reference: [{ startLine: 2, endLine: 2, startOffset: 12, endOffset: 13 }] },
+          { declaration: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 1 }, reference: [{ startLine: 9, endLine: 9, startOffset: 0, endOffset: 1 }] }
+        ]
+      }]
+    ])
+  });
+  const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
+  builder.buildComponents();
+
+  const symbolsByComponent = builder.buildSymbols();
+  const symbols = symbolsByComponent.get(builder.componentRefMap.get('my-project:src/index.js'));
+  t.is(symbols.length, 1);
+  t.is(symbols[0].declaration.startOffset, 6);
+});
+
+// ---------------------------------------------------------------------------
+// buildLineCoverages
+// ---------------------------------------------------------------------------
+
+test('ProtobufBuilder.buildLineCoverages: keys coverage by component ref and drops lines past the source', t => {
+  const data = createExtractedData({
+    lineCoverage: new Map([
+      ['my-project:src/index.js', {
+        fileRef: null,
+        lines: [
+          { line: 1, hits: true },
+          { line: 2, hits: false, conditions: 2, coveredConditions: 1 },
+          { line: 7, hits: true }
+        ]
+      }],
+      ['unknown-component', { fileRef: null, lines: [{ line: 1, hits: true }] }]
+    ])
+  });
+  const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
+  builder.buildComponents();
+
+  const coveragesByComponent = builder.buildLineCoverages();
+  t.is(coveragesByComponent.size, 1);
+  const lines = coveragesByComponent.get(builder.componentRefMap.get('my-project:src/index.js'));
+  t.deepEqual(lines.map(l => l.line), [1, 2]);
+});
+
 // ---------------------------------------------------------------------------
 // buildAll
 // ---------------------------------------------------------------------------
@@ -1937,6 +2036,33 @@ test('ProtobufEncoder.encodeChangeset: encodes changeset message', async t => {
   t.deepEqual(Array.from(decoded.changesetIndexByLine), [0, 0, 0]);
 });
 
+test('ProtobufEncoder.encodeSyntaxHighlightingRuleDelimited: encodes rule with length prefix', async t => {
+  const encoder = createProtobufEncoder();
+  await encoder.loadSchemas();
+
+  const buffer = encoder.encodeSyntaxHighlightingRuleDelimited({ range: { startLine: 3, endLine: 3, startOffset: 2, endOffset: 8 }, type: 3 });
+  const decoded = encoder.root.lookupType('SyntaxHighlightingRule').decodeDelimited(buffer);
+
+  t.is(decoded.range.startLine, 3);
+  t.is(decoded.range.endOffset, 8);
+  t.is(decoded.type, 3);
+});
+
+test('ProtobufEncoder.encodeSymbolDelimited: encodes declaration and references', async t => {
+  const encoder = createProtobufEncoder();
+  await encoder.loadSchemas();
+
+  const buffer = encoder.encodeSymbolDelimited({
+    declaration: { startLine: 1, endLine: 1, startOffset: 4, endOffset: 7 },
+    reference: [{ startLine: 5, endLine: 5, startOffset: 0, endOffset: 3 }]
+  });
+  const decoded = encoder.root.lookupType('Symbol').decodeDelimited(buffer);
+
+  t.is(decoded.declaration.startOffset, 4);
+  t.is(decoded.reference.length, 1);
+  t.is(decoded.reference[0].startLine, 5);
+});
+
 // ---------------------------------------------------------------------------
 // encodeAll
 // ---------------------------------------------------------------------------
@@ -2072,6 +2198,64 @@ test('ProtobufEncoder.encodeAll: changesets are encoded per component', async t
   t.is(decoded.changeset[0].revision, 'rev1');
 });
 
+test('ProtobufEncoder.encodeAll: line coverage is encoded per component', async t => {
+  const encoder = createProtobufEncoder();
+  await encoder.loadSchemas();
+
+  const data = createExtractedData({
+    lineCoverage: new Map([['my-project:src/index.js', {
+      fileRef: null,
+      lines: [{ line: 1, hits: true }, { line: 2, hits: false, conditions: 4, coveredConditions: 3 }]
+    }]])
+  });
+  const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
+  const encoded = encoder.encodeAll(builder.buildAll());
+  const indexJsRef = builder.componentRefMap.get('my-project:src/index.js');
+
+  const reader = protobuf.Reader.create(encoded.coverages.get(indexJsRef));
+  const LineCoverage = encoder.root.lookupType('LineCoverage');
+  const lines = [];
+  while (reader.pos < reader.len) lines.push(LineCoverage.decodeDelimited(reader));
+  t.is(lines.length, 2);
+  t.true(lines[0].hits);
+  t.false(lines[1].hits);
+  t.is(lines[1].conditions, 4);
+  t.is(lines[1].coveredConditions, 3);
+});
+
+test('ProtobufEncoder.encodeAll: syntax highlighting and symbols are encoded per component', async t => {
+  const encoder = createProtobufEncoder();
+  await encoder.loadSchemas();
+
+  const data = createExtractedData({
+    syntaxHighlightings: new Map([['my-project:src/utils.js', {
+      fileRef: null,
+      rules: [
+        { range: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 8 }, type: 6 },
+        { range: { startLine: 2, endLine: 2, startOffset: 0, endOffset: 6 }, type: 6 }
+      ]
+    }]]),
+    symbols: new Map([['my-project:src/utils.js', {
+      fileRef: null,
+      symbols: [{ declaration: { startLine: 1, endLine: 1, startOffset: 9, endOffset: 15 }, reference: [{ startLine: 2, endLine: 2, startOffset: 19, endOffset: 25 }] }]
+    }]])
+  });
+  const builder = createProtobufBuilder(data, createSonarCloudConfig(), createSonarCloudProfiles());
+  const encoded = encoder.encodeAll(builder.buildAll());
+  const utilsRef = builder.componentRefMap.get('my-project:src/utils.js');
+
+  const reader = protobuf.Reader.create(encoded.syntaxHighlightings.get(utilsRef));
+  const Rule = encoder.root.lookupType('SyntaxHighlightingRule');
+  const rules = [];
+  while (reader.pos < reader.len) rules.push(Rule.decodeDelimited(reader));
+  t.is(rules.length, 2);
+  t.is(rules[1].range.startLine, 2);
+
+  const symbol = encoder.root.lookupType('Symbol').decodeDelimited(encoded.symbols.get(utilsRef));
+  t.is(symbol.reference[0].startOffset, 19);
+  t.false(encoded.symbols.has(builder.componentRefMap.get('my-project:src/index.js')));
+});
+
 // ---------------------------------------------------------------------------
 // End-to-end: build then encode
 // ---------------------------------------------------------------------------
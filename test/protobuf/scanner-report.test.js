@@ -0,0 +1,268 @@
+import test from 'ava';
+import { mkdir, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import AdmZip from 'adm-zip';
+import { createProtobufEncoder } from '../../src/pipelines/sq-2025/protobuf/encoder.js';
+import { prepareReportData } from '../../src/pipelines/sq-2025/sonarcloud/uploader/helpers/prepare-report-data.js';
+import { decodeReport, summarizeReport } from '../../src/shared/scanner-report/decode-report.js';
+import { diffReports } from '../../src/shared/scanner-report/diff-reports.js';
+import { enableReportArchive, disableReportArchive, archiveReport } from '../../src/shared/scanner-report/report-archive.js';
+import { buildArchiveName } from '../../src/shared/scanner-report/report-archive/helpers/build-archive-name.js';
+import {
+  validateReportMessages, createValidationLog, reportValidationStats, recordValidationStats,
+} from '../../src/shared/scanner-report/validate-report-messages.js';
+import { ValidationError } from '../../src/shared/utils/errors.js';
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Messages as the builder produces them; `variant` changes one of each section. */
+function createMessages(variant = 0) {
+  return {
+    metadata: { analysisDate: 1700000000000 + variant, projectKey: 'proj', rootComponentRef: 1 },
+    components: [
+      { ref: 1, type: 1, key: 'proj', childRef: [2, 3] },
+      { ref: 2, type: 4, projectRelativePath: 'src/a.js', lines: 3, language: 'js' },
+      { ref: 3, type: 4, projectRelativePath: 'src/b.js', lines: 2, language: 'js' },
+    ],
+    issuesByComponent: new Map([[2, [
+      { ruleRepository: 'javascript', ruleKey: 'S1', msg: 'kept', textRange: { startLine: 1, endLine: 1 } },
+      variant ? { ruleRepository: 'javascript', ruleKey: 'S3', msg: 'new' } : { ruleRepository: 'javascript', ruleKey: 'S2', msg: 'old' },
+    ]]]),
+    measuresByComponent: new Map([[2, [{ metricKey: 'ncloc', intValue: { value: 3 + variant } }, { metricKey: 'complexity', intValue: { value: 1 } }]]]),
+    sourceFiles: [{ componentRef: 2, lines: [{ source: 'a' }, { source: 'b' }, { source: 'c' }] }],
+    activeRules: [],
+    externalIssuesByComponent: new Map([[3, [{ engineId: 'eslint', ruleId: 'no-var', msg: 'var' }]]]),
+    changesetsByComponent: new Map([[2, {
+      componentRef: 2,
+      changeset: [{ revision: 'r1', author: 'ann', date: 1 }, { revision: 'r2', author: 'bob', date: 2 }],
+      changesetIndexByLine: [0, variant, 0],
+    }]]),
+    duplicationsByComponent: new Map([[2, [{ originPosition: { startLine: 1, endLine: 2 }, duplicate: [{ otherFileRef: 3, range: { startLine: 1, endLine: 2 } }] }]]]),
+  };
+}
+
+async function writeReportZip(path, messages) {
+  const encoder = createProtobufEncoder();
+  await encoder.loadSchemas();
+  await writeFile(path, prepareReportData(encoder.encodeAll(messages)));
+  return path;
+}
+
+test.beforeEach(async t => {
+  t.context.dir = join(tmpdir(), `cv-scanner-report-${randomUUID()}`);
+  await mkdir(t.context.dir, { recursive: true });
+});
+
+test.afterEach.always(async t => {
+  disableReportArchive();
+  await rm(t.context.dir, { recursive: true, force: true });
+});
+
+// ---------------------------------------------------------------------------
+// decodeReport
+// ---------------------------------------------------------------------------
+
+test('decodeReport decodes every file of an uploaded zip, grouped by component', async t => {
+  const report = await decodeReport(await writeReportZip(join(t.context.dir, 'r.zip'), createMessages()));
+
+  t.is(report.metadata.projectKey, 'proj');
+  t.deepEqual(report.components.map(c => c.ref), [1, 2, 3]);
+  const file = report.components[1];
+  t.is(file.component.type, 'FILE');
+  t.is(file.component.projectRelativePath, 'src/a.js');
+  t.deepEqual(file.issues.map(i => i.ruleKey), ['S1', 'S2']);
+  t.is(file.measures[0].intValue.value, 3);
+  t.deepEqual(file.changesets.changesetIndexByLine, [0, 0, 0]);
+  t.is(file.duplications[0].duplicate[0].otherFileRef, 3);
+  t.is(file.sourceLines, 3);
+  t.is(report.components[2].externalIssues[0].ruleId, 'no-var');
+  t.deepEqual(report.errors, []);
+  t.deepEqual(summarizeReport(report), {
+    files: report.files.length, components: 3, issues: 2, externalIssues: 1, measures: 2,
+    changesets: 1, duplications: 1, activeRules: 0, unknownFiles: 0, errors: 0,
+  });
+});
+
+test('decodeReport reads an extracted directory and lists unknown and undecodable files', async t => {
+  const { dir } = t.context;
+  const extracted = join(dir, 'extracted');
+  new AdmZip(await writeReportZip(join(dir, 'r.zip'), createMessages())).extractAllTo(extracted);
+  await writeFile(join(extracted, 'notes.txt'), 'hello');
+  await writeFile(join(extracted, 'issues-3.pb'), Buffer.from([0x0a, 0xff, 0xff]));
+
+  const report = await decodeReport(extracted);
+
+  t.is(report.components[1].issues.length, 2);
+  t.deepEqual(report.unknownFiles, ['notes.txt']);
+  t.is(report.errors.length, 1);
+  t.is(report.errors[0].file, 'issues-3.pb');
+});
+
+test('decodeReport rejects a missing path and a file that is not a zip', async t => {
+  const { dir } = t.context;
+  await t.throwsAsync(() => decodeReport(join(dir, 'missing.zip')), { instanceOf: ValidationError, message: /not found/ });
+  await writeFile(join(dir, 'bad.zip'), 'not a zip');
+  await t.throwsAsync(() => decodeReport(join(dir, 'bad.zip')), { instanceOf: ValidationError, message: /Not a readable scanner report zip/ });
+});
+
+// ---------------------------------------------------------------------------
+// diffReports
+// ---------------------------------------------------------------------------
+
+test('diffReports lists issue, measure and changeset differences by file path', async t => {
+  const { dir } = t.context;
+  const before = await decodeReport(await writeReportZip(join(dir, 'a.zip'), createMessages(0)));
+  const after = await decodeReport(await writeReportZip(join(dir, 'b.zip'), createMessages(1)));
+
+  const diff = diffReports(before, after);
+
+  t.deepEqual(diff.summary, { added: 0, removed: 0, changed: 1, unchanged: 2 });
+  t.deepEqual(diff.metadata.map(m => m.field), ['analysisDate']);
+  const [file] = diff.components;
+  t.is(file.component, 'src/a.js');
+  t.deepEqual(file.issues.added.map(i => i.ruleKey), ['S3']);
+  t.deepEqual(file.issues.removed.map(i => i.ruleKey), ['S2']);
+  t.deepEqual(file.measures.changed, [{ metric: 'ncloc', before: 3, after: 4 }]);
+  t.deepEqual(file.changesets.firstChangedLines, [2]);
+  t.deepEqual(file.duplications, { added: [], removed: [] });
+});
+
+test('diffReports matches components across reports whose refs differ', async t => {
+  const { dir } = t.context;
+  const renumbered = createMessages();
+  renumbered.components = [
+    { ref: 1, type: 1, key: 'proj', childRef: [5, 7] },
+    { ref: 5, type: 4, projectRelativePath: 'src/b.js', lines: 2, language: 'js' },
+    { ref: 7, type: 4, projectRelativePath: 'src/a.js', lines: 3, language: 'js' },
+    { ref: 9, type: 4, projectRelativePath: 'src/c.js', lines: 1, language: 'js' },
+  ];
+  const remap = (map) => new Map([...map].map(([ref, items]) => [ref === 2 ? 7 : 5, items]));
+  renumbered.issuesByComponent = remap(renumbered.issuesByComponent);
+  renumbered.measuresByComponent = remap(renumbered.measuresByComponent);
+  renumbered.externalIssuesByComponent = remap(renumbered.externalIssuesByComponent);
+  renumbered.changesetsByComponent = new Map([[7, { ...renumbered.changesetsByComponent.get(2), componentRef: 7 }]]);
+  renumbered.duplicationsByComponent = new Map([[7, [{ originPosition: { startLine: 1, endLine: 2 }, duplicate: [{ otherFileRef: 5, range: { startLine: 1, endLine: 2 } }] }]]]);
+  renumbered.sourceFiles = [{ componentRef: 7, lines: renumbered.sourceFiles[0].lines }];
+
+  const before = await decodeReport(await writeReportZip(join(dir, 'a.zip'), createMessages()));
+  const after = await decodeReport(await writeReportZip(join(dir, 'b.zip'), renumbered));
+  const diff = diffReports(before, after);
+
+  t.deepEqual(diff.summary, { added: 1, removed: 0, changed: 0, unchanged: 3 });
+  t.deepEqual(diff.components.map(c => [c.component, c.status]), [['src/c.js', 'added']]);
+});
+
+// ---------------------------------------------------------------------------
+// Report archive
+// ---------------------------------------------------------------------------
+
+test('buildArchiveName names the zip after upload time, project and branch or pull request', t => {
+  const date = new Date('2026-10-19T08:30:00.123Z');
+  t.is(buildArchiveName({ projectKey: 'org_proj', branchName: 'feature/x' }, date), '2026-10-19T08-30-00-123Z_org_proj_branch-feature_x.zip');
+  t.is(buildArchiveName({ projectKey: 'p', pullRequestKey: '42', branchName: 'b' }, date), '2026-10-19T08-30-00-123Z_p_pr-42.zip');
+});
+
+test.serial('archiveReport saves the exact zip only while the archive is enabled', async t => {
+  const archiveDir = join(t.context.dir, 'saved');
+  t.is(await archiveReport(Buffer.from('zip'), { projectKey: 'p' }), null);
+
+  enableReportArchive(archiveDir);
+  const path = await archiveReport(Buffer.from('zip-bytes'), { projectKey: 'p' });
+
+  t.deepEqual(await readdir(archiveDir), [path.slice(archiveDir.length + 1)]);
+  t.is(await readFile(path, 'utf-8'), 'zip-bytes');
+});
+
+// ---------------------------------------------------------------------------
+// validateReportMessages
+// ---------------------------------------------------------------------------
+
+/** Messages with one problem of each kind the Compute Engine rejects after upload. */
+function createBrokenMessages() {
+  const messages = createMessages();
+  messages.metadata.rootComponentRef = 9;
+  messages.components.push({ ref: 3, type: 4, projectRelativePath: 'src/dup.js', lines: 1 });
+  messages.components[0].childRef = [2, 3, 3, 8];
+  messages.components[1].lines = 5;
+  messages.issuesByComponent.get(2).push(
+    { ruleRepository: 'javascript', ruleKey: 'S4', textRange: { startLine: 3, endLine: 2 } },
+    { ruleRepository: 'javascript', ruleKey: 'S5', textRange: { startLine: 2, endLine: 9 } },
+    { ruleRepository: 'javascript', ruleKey: 'S6', textRange: { startLine: 1, endLine: 1 }, flow: [{ location: [{ componentRef: 8, textRange: { startLine: 1, endLine: 1 } }] }] },
+  );
+  messages.issuesByComponent.set(8, [{ ruleRepository: 'javascript', ruleKey: 'S1' }]);
+  messages.externalIssuesByComponent.get(3).push({ engineId: 'eslint', ruleId: 'eqeqeq', textRange: { startLine: 1, endLine: 1, startOffset: 8, endOffset: 2 } });
+  messages.measuresByComponent.get(2).push({ metricKey: 'ncloc', intValue: { value: 9 } });
+  messages.changesetsByComponent.get(2).changesetIndexByLine = [0, 1, 5, 0];
+  messages.duplicationsByComponent.get(2).push({ originPosition: { startLine: 2, endLine: 3 }, duplicate: [{ otherFileRef: 3, range: { startLine: 2, endLine: 4 } }] });
+  return messages;
+}
+
+test('validateReportMessages passes a consistent report unchanged', t => {
+  const messages = createMessages();
+  const log = validateReportMessages(messages, { mode: 'strict' });
+  t.deepEqual(log, createValidationLog('strict'));
+  t.deepEqual(messages.components, createMessages().components);
+  t.deepEqual(reportValidationStats(log), {});
+});
+
+test('validateReportMessages in lenient mode repairs or drops what the Compute Engine would reject', async t => {
+  const messages = createBrokenMessages();
+  const log = validateReportMessages(messages, { label: 'main' });
+
+  t.deepEqual(messages.components.map(c => c.ref), [1, 2, 3]);
+  t.is(messages.metadata.rootComponentRef, 1);
+  t.deepEqual(messages.components[0].childRef, [2, 3]);
+  t.is(messages.components[1].lines, 3);
+  t.false(messages.issuesByComponent.has(8));
+  const issues = messages.issuesByComponent.get(2);
+  t.deepEqual(issues.map(i => i.ruleKey), ['S1', 'S2', 'S4', 'S5', 'S6']);
+  t.is(issues[2].textRange, undefined);
+  t.is(issues[3].textRange, undefined);
+  t.deepEqual(issues[4].flow, []);
+  t.is(messages.externalIssuesByComponent.get(3)[1].textRange, undefined);
+  t.deepEqual(messages.measuresByComponent.get(2).map(m => m.intValue.value), [3, 1]);
+  t.deepEqual(messages.changesetsByComponent.get(2).changesetIndexByLine, [0, 1, 0]);
+  t.is(messages.duplicationsByComponent.get(2).length, 1);
+
+  t.is(log.mode, 'lenient');
+  t.is(log.repaired, 8);
+  t.is(log.dropped, 5);
+  t.truthy(log.problems.find(p => p.section === 'issues' && p.component === 'src/a.js' && /S4: text range ends at line 2, before its start line 3/.test(p.message)));
+  t.truthy(log.problems.find(p => p.section === 'changesets' && p.action === 'repaired' && /4 changeset index\(es\) for 3 line/.test(p.message)));
+
+  const report = await decodeReport(await writeReportZip(join(t.context.dir, 'r.zip'), messages));
+  t.deepEqual(report.errors, []);
+  t.is(report.components[1].issues.length, 5);
+});
+
+test('validateReportMessages in strict mode throws listing the problems', t => {
+  const error = t.throws(() => validateReportMessages(createBrokenMessages(), { mode: 'strict', label: 'main' }), { instanceOf: ValidationError });
+  t.regex(error.message, /^\[main\] Scanner report failed structural validation with 13 problem\(s\): .* \(and 8 more\)$/);
+  t.is(error.errors.length, 13);
+});
+
+test('validateReportMessages skips checks when off and cannot repair a report without a project', t => {
+  const messages = createBrokenMessages();
+  t.deepEqual(validateReportMessages(messages, { mode: 'off' }), createValidationLog('off'));
+  t.is(messages.components.length, 4);
+
+  const noProject = createMessages();
+  noProject.components.shift();
+  t.throws(() => validateReportMessages(noProject), { instanceOf: ValidationError, message: /no PROJECT component/ });
+});
+
+test('validation logs are shared across batches and listed per branch in aggregated stats', t => {
+  const log = createValidationLog();
+  validateReportMessages(createBrokenMessages(), { log });
+  validateReportMessages(createBrokenMessages(), { log });
+  t.is(log.repaired + log.dropped, 26);
+
+  const aggregatedStats = {};
+  recordValidationStats(aggregatedStats, 'main', { issuesTransferred: 1 });
+  recordValidationStats(aggregatedStats, 'develop', { issuesTransferred: 1, ...reportValidationStats(log) });
+  t.deepEqual(aggregatedStats.reportValidation.map(r => [r.branch, r.dropped]), [['develop', 10]]);
+});
@@ -554,6 +554,148 @@ test('formatMarkdownReport omits key conflicts when none', t => {
   t.false(md.includes('## Project Key Conflicts'));
 });
 
+test('reports list keys rewritten by projectKeyTransform separately from conflicts', t => {
+  const results = makeResults({
+    projects: [
+      makeSuccessProject({ projectKey: 'com.acme:billing', scProjectKey: 'acme-billing' }),
+      makeSuccessProject({ projectKey: 'old-key-1', scProjectKey: 'org_old-key-1' }),
+      makeSuccessProject(),
+    ],
+    projectKeyWarnings: [{ sqKey: 'old-key-1', scKey: 'org_old-key-1', owner: 'other-org' }],
+  });
+
+  const md = formatMarkdownReport(results);
+  t.true(md.includes('## Project Key Rewrites'));
+  t.true(md.includes('| `com.acme:billing` | `acme-billing` |'));
+  t.false(md.includes('| `old-key-1` | `org_old-key-1` |\n'));
+  const text = formatTextReport(results);
+  t.true(text.includes('PROJECT KEY REWRITES'));
+  t.true(text.includes('"com.acme:billing" -> "acme-billing"'));
+  t.true(formatExecutiveSummaryMarkdown(results).includes('renamed project keys (2 project(s))'));
+  t.false(formatMarkdownReport(makeResults()).includes('## Project Key Rewrites'));
+});
+
+test('reports list group memberships that were not migrated', t => {
+  const results = makeResults({
+    groupMemberships: 4,
+    groupMembershipWarnings: [
+      { organization: 'my-org', group: 'devs', sqLogin: 'alice', scLogin: null, reason: 'unmapped' },
+      { organization: 'my-org', group: 'devs', sqLogin: 'bob', scLogin: 'bob@github', reason: 'not-member' },
+    ],
+  });
+
+  const md = formatMarkdownReport(results);
+  t.true(md.includes('## Group Membership Warnings'));
+  t.true(md.includes('| my-org | devs | alice |  | no SonarCloud login in user-mappings.csv |'));
+  t.true(md.includes('| my-org | devs | bob | bob@github | not a member of the organization |'));
+  t.true(md.includes('4 member(s) added'));
+  const text = formatTextReport(results);
+  t.true(text.includes('GROUP MEMBERSHIP WARNINGS'));
+  t.true(text.includes('[WARN] my-org / devs: "bob" -> "bob@github" -- not a member of the organization'));
+  t.false(formatMarkdownReport(makeResults()).includes('## Group Membership Warnings'));
+});
+
+test('reports list custom rules that could not be recreated', t => {
+  const results = makeResults({
+    customRules: 2,
+    customRuleFailures: [{ organization: 'my-org', ruleKey: 'xml:no_foo', templateKey: 'xml:XPathCheck', name: 'No foo', language: 'xml', error: 'Template not found' }],
+  });
+
+  const md = formatMarkdownReport(results);
+  t.true(md.includes('## Custom Rule Failures'));
+  t.true(md.includes('| my-org | xml:no_foo | xml:XPathCheck | xml | Template not found |'));
+  t.true(md.includes('2 custom rule(s) created'));
+  t.true(formatTextReport(results).includes('[FAIL] my-org / xml:no_foo (template xml:XPathCheck): Template not found'));
+  t.false(formatMarkdownReport(makeResults()).includes('## Custom Rule Failures'));
+});
+
+test('reports list quality profile tuning differences', async t => {
+  const results = makeResults({
+    qualityProfileTuning: [{
+      organization: 'my-org', language: 'java', sonarqubeProfile: 'Strict Java', sonarcloudProfile: 'Strict Java',
+      inheritance: { sonarqube: ['Strict Java', 'Sonar way'], sonarcloud: ['Strict Java'], matches: false },
+      ruleDifferences: [{
+        key: 'java:S107', sonarcloudKey: 'java:S107', severity: { sonarqube: 'CRITICAL', sonarcloud: 'MAJOR' },
+        params: [{ key: 'max', sonarqube: '5', sonarcloud: '7' }], impacts: [], inherit: { sonarqube: 'OVERRIDES', sonarcloud: 'NONE' },
+      }],
+    }],
+  });
+
+  const md = formatMarkdownReport(results);
+  t.true(md.includes('## Quality Profile Tuning Differences'));
+  t.true(md.includes('| my-org | Strict Java (java) | — | Parent profiles | Strict Java → Sonar way | Strict Java |'));
+  t.true(md.includes('| my-org | Strict Java (java) | java:S107 | Severity | CRITICAL | MAJOR |'));
+  t.true(md.includes('| my-org | Strict Java (java) | java:S107 | Parameter max | 5 | 7 |'));
+  t.false(formatMarkdownReport(makeResults()).includes('## Quality Profile Tuning Differences'));
+  t.true((await generatePdfReport(results)).length > 0);
+});
+
+test('reports list translated, dropped and rejected quality gate conditions', async t => {
+  const results = makeResults({
+    qualityGateCompatibility: [{
+      organization: 'my-org', gate: 'Modern', migrated: false,
+      translated: [{ from: 'new_software_quality_reliability_rating', to: 'new_reliability_rating', op: 'GT', error: '1', reason: 'MQR reliability rating' }],
+      dropped: [{ metric: 'prioritized_rule_issues', op: 'GT', error: '0', reason: 'Prioritized rules are not available in SonarCloud' }],
+      rejected: [],
+    }],
+  });
+
+  const md = formatMarkdownReport(results);
+  t.true(md.includes('## Quality Gate Compatibility'));
+  t.true(md.includes('| my-org | Modern (not migrated) | new_software_quality_reliability_rating GT 1 | Translated | new_reliability_rating (MQR reliability rating) |'));
+  t.true(md.includes('| my-org | Modern (not migrated) | prioritized_rule_issues GT 0 | Dropped | Prioritized rules are not available in SonarCloud |'));
+  t.false(formatMarkdownReport(makeResults()).includes('## Quality Gate Compatibility'));
+  t.true((await generatePdfReport(results)).length > 0);
+});
+
+test('report summaries break quality gates down by outcome on re-runs', t => {
+  const results = makeResults({
+    qualityGateOutcomes: [
+      { organization: 'my-org', gate: 'A', outcome: 'created' },
+      { organization: 'my-org', gate: 'B', outcome: 'updated' },
+      { organization: 'my-org', gate: 'C', outcome: 'unchanged' },
+    ],
+  });
+
+  t.true(formatMarkdownReport(results).includes('| Quality Gates | 3 migrated (1 created, 1 updated, 1 unchanged) |'));
+  t.true(formatTextReport(results).includes('Quality Gates:    3 migrated (1 created, 1 updated, 1 unchanged)'));
+  t.true(formatMarkdownReport(makeResults({ qualityGateOutcomes: [{ gate: 'A', outcome: 'created' }] })).includes('| Quality Gates | 3 migrated |'));
+});
+
+test('reports list portfolios whose membership changed', async t => {
+  const results = makeResults({
+    portfolioMembershipChanges: [{
+      portfolio: 'Company', parent: null, selectionMode: 'TAGS', members: 2,
+      renamed: [{ sonarqube: 'billing', sonarcloud: 'acme_billing' }], missing: [], excluded: ['archived'], inheritedFrom: ['Company / Shop'],
+    }],
+  });
+
+  const md = formatMarkdownReport(results);
+  t.true(md.includes('## Portfolio Membership Changes'));
+  t.true(md.includes('| Company | Tags | 2 | Renamed: billing → acme_billing; Tagged but not migrated: archived; Includes sub-portfolios: Company / Shop |'));
+  t.false(formatMarkdownReport(makeResults()).includes('## Portfolio Membership Changes'));
+  t.true((await generatePdfReport(results)).length > 0);
+});
+
+test('reports count applications and list branch selections that were not migrated', async t => {
+  const results = makeResults({
+    applications: 2,
+    applicationBranchSelections: [
+      { application: 'Shop', applicationBranch: null, project: 'api', projectBranch: 'develop' },
+      { application: 'Shop', applicationBranch: 'release', project: 'web', projectBranch: 'release-1' },
+    ],
+  });
+
+  const md = formatMarkdownReport(results);
+  t.true(md.includes('created, 2 from applications |'));
+  t.true(md.includes('## Application Branch Selections Not Migrated'));
+  t.true(md.includes('| Shop | (main) | api | develop |'));
+  t.true(md.includes('| Shop | release | web | release-1 |'));
+  t.true(formatTextReport(results).includes('2 from applications'));
+  t.false(formatMarkdownReport(makeResults()).includes('## Application Branch Selections Not Migrated'));
+  t.true((await generatePdfReport(results)).length > 0);
+});
+
 test('formatMarkdownReport includes NCP warnings table', t => {
   const md = formatMarkdownReport(makeResults());
   t.true(md.includes('## New Code Period Not Set'));
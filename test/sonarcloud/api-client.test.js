@@ -634,6 +634,13 @@ test('addHotspotComment calls correctly', async t => {
   t.true(stub.called);
 });
 
+test('assignHotspot calls correctly', async t => {
+  const client = createClient();
+  const stub = sinon.stub(client, 'assignHotspot').resolves();
+  await client.assignHotspot('H1', 'alice');
+  t.true(stub.calledWith('H1', 'alice'));
+});
+
 // -------- Project config --------
 
 test('setProjectSetting calls correctly', async t => {
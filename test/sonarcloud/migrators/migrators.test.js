@@ -5,20 +5,24 @@ import sinon from 'sinon';
 import { migrateQualityGates, assignQualityGatesToProjects } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/quality-gates.js';
 
 // Quality Profiles
-import { migrateQualityProfiles } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/quality-profiles.js';
+import { migrateQualityProfiles, migrateCustomRules } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/quality-profiles.js';
 
 // Quality Profile Diff
 import { generateQualityProfileDiff } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/quality-profile-diff.js';
+import { createRuleKeyTranslator } from '../../../src/shared/utils/rule-keys.js';
 
 // Groups
-import { migrateGroups } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/groups.js';
+import { migrateGroups, migrateGroupMemberships } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/groups.js';
 
 // Permissions
-import { migrateGlobalPermissions, migrateProjectPermissions, migratePermissionTemplates } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/permissions.js';
+import { migrateGlobalPermissions, migrateProjectPermissions, migratePermissionTemplates, migrateGlobalUserPermissions, migrateProjectUserPermissions } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/permissions.js';
 
 // Project Config
 import { migrateProjectSettings, migrateProjectTags, migrateProjectLinks, migrateNewCodePeriods, migrateDevOpsBinding } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/project-config.js';
 
+// Webhooks
+import { migrateWebhooks } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/webhooks.js';
+
 // Portfolios
 import { migratePortfolios } from '../../../src/pipelines/sq-10.4/sonarcloud/migrators/portfolios.js';
 
@@ -40,11 +44,18 @@ function mockClient(overrides = {}) {
     createQualityGate: sinon.stub().resolves({ id: '1', name: 'Gate' }),
     createQualityGateCondition: sinon.stub().resolves({}),
     setDefaultQualityGate: sinon.stub().resolves({}),
+    deleteQualityGate: sinon.stub().resolves(),
+    listQualityGates: sinon.stub().resolves({ qualitygates: [] }),
+    getQualityGateDetails: sinon.stub().resolves({ conditions: [] }),
+    updateQualityGateCondition: sinon.stub().resolves(),
+    deleteQualityGateCondition: sinon.stub().resolves(),
     assignQualityGateToProject: sinon.stub().resolves({}),
 
     // Permissions (shared by gates, profiles, global, project)
     addGroupPermission: sinon.stub().resolves({}),
     addProjectGroupPermission: sinon.stub().resolves({}),
+    addUserPermission: sinon.stub().resolves({}),
+    addProjectUserPermission: sinon.stub().resolves({}),
 
     // Quality Profiles
     restoreQualityProfile: sinon.stub().resolves({}),
@@ -53,13 +64,18 @@ function mockClient(overrides = {}) {
     addQualityProfileUserPermission: sinon.stub().resolves({}),
     searchQualityProfiles: sinon.stub().resolves([]),
     getActiveRules: sinon.stub().resolves([]),
+    getRuleActivations: sinon.stub().resolves([]),
+    createRule: sinon.stub().resolves({}),
 
     // Groups
     createGroup: sinon.stub().resolves({ name: 'group', id: '1' }),
+    addGroupMember: sinon.stub().resolves(),
+    getOrganizationMembers: sinon.stub().resolves([]),
 
     // Permission Templates
     createPermissionTemplate: sinon.stub().resolves({ id: 'tpl1' }),
     addGroupToTemplate: sinon.stub().resolves({}),
+    addUserToTemplate: sinon.stub().resolves({}),
     setDefaultTemplate: sinon.stub().resolves({}),
 
     // Project Config
@@ -70,18 +86,25 @@ function mockClient(overrides = {}) {
     setGitlabBinding: sinon.stub().resolves({}),
     setAzureBinding: sinon.stub().resolves({}),
     setBitbucketBinding: sinon.stub().resolves({}),
+    createWebhook: sinon.stub().resolves({}),
+    listWebhooks: sinon.stub().resolves([]),
 
     // Issues
     searchIssues: sinon.stub().resolves([]),
+    searchIssuesWithComments: sinon.stub().resolves([]),
     transitionIssue: sinon.stub().resolves({}),
     assignIssue: sinon.stub().resolves({}),
     addIssueComment: sinon.stub().resolves({}),
     setIssueTags: sinon.stub().resolves({}),
+    setIssueSeverity: sinon.stub().resolves({}),
+    setIssueType: sinon.stub().resolves({}),
+    setIssueImpactSeverity: sinon.stub().resolves({}),
 
     // Hotspots
     searchHotspots: sinon.stub().resolves([]),
     changeHotspotStatus: sinon.stub().resolves({}),
     addHotspotComment: sinon.stub().resolves({}),
+    assignHotspot: sinon.stub().resolves({}),
 
     ...overrides
   };
@@ -159,6 +182,90 @@ test('migrateQualityGates sets default gate', async t => {
   t.is(client.setDefaultQualityGate.firstCall.args[0], '1');
 });
 
+test('migrateQualityGates translates MQR conditions and reports dropped and rejected ones', async t => {
+  const client = mockClient();
+  client.createQualityGateCondition.withArgs('1', 'coverage').rejects(new Error('Metric not supported'));
+  const gates = [{
+    name: 'Modern', isBuiltIn: false, isDefault: false, permissions: { groups: [] },
+    conditions: [
+      { metric: 'new_software_quality_reliability_rating', op: 'GT', error: '1' },
+      { metric: 'software_quality_blocker_issues', op: 'GT', error: '0' },
+      { metric: 'coverage', op: 'LT', error: '80' },
+    ],
+  }];
+  const compatibility = [];
+
+  const result = await migrateQualityGates(gates, client, { compatibility });
+
+  t.is(result.size, 1);
+  t.true(client.createQualityGateCondition.calledWith('1', 'new_reliability_rating', 'GT', '1'));
+  t.false(client.createQualityGateCondition.calledWith('1', 'software_quality_blocker_issues'));
+  t.is(compatibility.length, 1);
+  t.true(compatibility[0].migrated);
+  t.deepEqual(compatibility[0].translated.map(c => c.to), ['new_reliability_rating']);
+  t.deepEqual(compatibility[0].dropped.map(c => c.metric), ['software_quality_blocker_issues']);
+  t.deepEqual(compatibility[0].rejected, [{ metric: 'coverage', op: 'LT', error: '80', reason: 'Metric not supported' }]);
+});
+
+test('migrateQualityGates in strict mode fails gates that cannot be migrated whole', async t => {
+  const client = mockClient();
+  client.createQualityGateCondition.withArgs('1', 'coverage').rejects(new Error('Metric not supported'));
+  const gates = [
+    { name: 'Unmappable', isBuiltIn: false, isDefault: false, permissions: { groups: [] }, conditions: [{ metric: 'prioritized_rule_issues', op: 'GT', error: '0' }] },
+    { name: 'Rejected', isBuiltIn: false, isDefault: true, permissions: { groups: [] }, conditions: [{ metric: 'coverage', op: 'LT', error: '80' }] },
+  ];
+  const compatibility = [];
+
+  const result = await migrateQualityGates(gates, client, { strict: true, compatibility });
+
+  t.is(result.size, 0);
+  t.is(client.createQualityGate.callCount, 1);
+  t.true(client.deleteQualityGate.calledOnceWith('1'));
+  t.is(client.setDefaultQualityGate.callCount, 0);
+  t.deepEqual(compatibility.map(c => [c.gate, c.migrated]), [['Unmappable', false], ['Rejected', false]]);
+});
+
+test('migrateQualityGates reconciles gates that already exist in SonarCloud', async t => {
+  const client = mockClient({
+    listQualityGates: sinon.stub().resolves({ qualitygates: [{ id: 9, name: 'Strict', isDefault: false }, { id: 8, name: 'Same', isDefault: true }] }),
+  });
+  client.getQualityGateDetails.withArgs(9).resolves({ conditions: [{ id: 'c1', metric: 'coverage', op: 'LT', error: '70' }, { id: 'c2', metric: 'duplicated_lines_density', op: 'GT', error: '3' }] });
+  client.getQualityGateDetails.withArgs(8).resolves({ conditions: [{ id: 'c3', metric: 'new_coverage', op: 'LT', error: '80' }] });
+  const gates = [
+    { name: 'Strict', isBuiltIn: false, isDefault: true, permissions: { groups: [] }, conditions: [{ id: 'sq1', metric: 'coverage', op: 'LT', error: '80' }, { id: 'sq2', metric: 'new_software_quality_security_rating', op: 'GT', error: '1' }] },
+    { name: 'Same', isBuiltIn: false, isDefault: true, permissions: { groups: [] }, conditions: [{ id: 'sq3', metric: 'new_coverage', op: 'LT', error: '80' }] },
+    { name: 'Fresh', isBuiltIn: false, isDefault: false, permissions: { groups: [] }, conditions: [] },
+  ];
+  const outcomes = [];
+
+  const result = await migrateQualityGates(gates, client, { outcomes });
+
+  t.deepEqual([...result.entries()], [['Strict', '9'], ['Same', '8'], ['Fresh', '1']]);
+  t.true(client.createQualityGate.calledOnceWith('Fresh'));
+  t.true(client.updateQualityGateCondition.calledOnceWith('c1', 'coverage', 'LT', '80'));
+  t.true(client.createQualityGateCondition.calledOnceWith(9, 'new_security_rating', 'GT', '1'));
+  t.false(client.updateQualityGateCondition.calledWith('sq2'), 'a missing condition is created, not updated by its SonarQube id');
+  t.true(client.deleteQualityGateCondition.calledOnceWith('c2'));
+  t.true(client.setDefaultQualityGate.calledOnceWith(9));
+  t.deepEqual(outcomes, [{ gate: 'Strict', outcome: 'updated' }, { gate: 'Same', outcome: 'unchanged' }, { gate: 'Fresh', outcome: 'created' }]);
+});
+
+test('migrateQualityGates in strict mode keeps an existing gate whose conditions are rejected', async t => {
+  const client = mockClient({ listQualityGates: sinon.stub().resolves({ qualitygates: [{ id: 9, name: 'Strict' }] }) });
+  client.getQualityGateDetails.withArgs(9).resolves({ conditions: [{ id: 'c2', metric: 'duplicated_lines_density', op: 'GT', error: '3' }] });
+  client.createQualityGateCondition.rejects(new Error('Metric not supported'));
+  const gates = [{ name: 'Strict', isBuiltIn: false, isDefault: true, permissions: { groups: [] }, conditions: [{ id: 'sq1', metric: 'coverage', op: 'LT', error: '80' }] }];
+  const outcomes = [];
+
+  const result = await migrateQualityGates(gates, client, { strict: true, outcomes });
+
+  t.is(result.size, 0);
+  t.is(client.deleteQualityGate.callCount, 0);
+  t.is(client.deleteQualityGateCondition.callCount, 0, 'conditions are not deleted from a gate whose reconcile was rejected');
+  t.is(client.setDefaultQualityGate.callCount, 0);
+  t.deepEqual(outcomes, [{ gate: 'Strict', outcome: 'failed' }]);
+});
+
 test('migrateQualityGates does not set default for non-default gate', async t => {
   const client = mockClient();
   const gates = [
@@ -673,6 +780,38 @@ test('migrateQualityProfiles handles permission failures gracefully', async t =>
   t.is(result.profileMapping.size, 1);
 });
 
+// ============================================================================
+// quality-profiles.js - migrateCustomRules
+// ============================================================================
+
+const customRule = { key: 'xml:no_foo', customKey: 'no_foo', templateKey: 'xml:XPathCheck', name: 'No foo', markdownDescription: 'Avoid foo', severity: 'MAJOR', status: 'READY', language: 'xml', params: [{ key: 'expression', value: '//foo;//bar' }] };
+
+test('migrateCustomRules recreates custom rules from their templates', async t => {
+  const client = mockClient();
+
+  const result = await migrateCustomRules([customRule], client);
+
+  t.is(result.created, 1);
+  t.deepEqual(client.createRule.firstCall.args[0], {
+    custom_key: 'no_foo', template_key: 'xml:XPathCheck', name: 'No foo', markdown_description: 'Avoid foo',
+    severity: 'MAJOR', status: 'READY', params: 'expression="//foo;//bar"',
+  });
+});
+
+test('migrateCustomRules counts existing rules and records failures', async t => {
+  const client = mockClient({
+    createRule: sinon.stub()
+      .onFirstCall().rejects(new Error("A rule with the key 'no_foo' already exists"))
+      .onSecondCall().rejects(new Error('Template not found')),
+  });
+
+  const result = await migrateCustomRules([customRule, { ...customRule, key: 'xml:no_bar', customKey: 'no_bar' }], client);
+
+  t.is(result.created, 0);
+  t.is(result.alreadyPresent, 1);
+  t.deepEqual(result.failures, [{ ruleKey: 'xml:no_bar', templateKey: 'xml:XPathCheck', name: 'No foo', language: 'xml', error: 'Template not found' }]);
+});
+
 // ============================================================================
 // quality-profile-diff.js - generateQualityProfileDiff
 // ============================================================================
@@ -709,6 +848,53 @@ test('generateQualityProfileDiff compares profiles and reports missing/added rul
   t.is(report.languages.js.addedRules.length, 1);
 });
 
+test('generateQualityProfileDiff matches rules renamed between SonarQube and SonarCloud', async t => {
+  const scClient = mockClient({
+    searchQualityProfiles: sinon.stub().resolves([{ key: 'sc-p1', name: 'Custom Java', language: 'java' }]),
+    getActiveRules: sinon.stub().resolves([
+      { key: 'java:S112', name: 'Generic exceptions should never be thrown', deprecatedKeys: { deprecatedKey: ['squid:S00112'] } },
+      { key: 'java:S100', name: 'Method names' },
+    ]),
+  });
+  const sqClient = {
+    getActiveRules: sinon.stub().resolves([
+      { key: 'squid:S00112', name: 'Generic exceptions should never be thrown' },
+      { key: 'squid:S100', name: 'Method names' },
+    ]),
+  };
+
+  const report = await generateQualityProfileDiff([{ key: 'sq-p1', name: 'Custom Java', language: 'java' }], sqClient, scClient);
+
+  t.is(report.summary.totalMissingRules, 0);
+  t.is(report.summary.totalAddedRules, 0);
+  t.is(report.summary.totalRenamedRules, 2);
+  t.deepEqual(report.languages.java.renamedRules[0], { sonarqubeKey: 'squid:S00112', sonarcloudKey: 'java:S112', name: 'Generic exceptions should never be thrown' });
+});
+
+test('generateQualityProfileDiff compares rule tuning and parent profiles', async t => {
+  const scClient = mockClient({
+    searchQualityProfiles: sinon.stub().resolves([{ key: 'sc-p1', name: 'Strict Java', language: 'java' }]),
+    getActiveRules: sinon.stub().resolves([{ key: 'java:S107', name: 'Too many parameters' }]),
+    getRuleActivations: sinon.stub().resolves([{ ruleKey: 'java:S107', severity: 'MAJOR', inherit: 'NONE', params: { max: '7' }, impacts: null }]),
+  });
+  const sqClient = {
+    getActiveRules: sinon.stub().resolves([{ key: 'java:S107', name: 'Too many parameters' }]),
+    getRuleActivations: sinon.stub().resolves([{ ruleKey: 'java:S107', severity: 'CRITICAL', inherit: 'OVERRIDES', params: { max: '5' }, impacts: null }]),
+  };
+  const extractedProfiles = [{ key: 'sq-p1', name: 'Strict Java', language: 'java', parentKey: 'sq-p0' }, { key: 'sq-p0', name: 'Base Java', language: 'java' }];
+
+  const report = await generateQualityProfileDiff(extractedProfiles, sqClient, scClient);
+
+  const java = report.languages.java;
+  t.true(java.tuningCompared);
+  t.deepEqual(java.ruleDifferences[0].severity, { sonarqube: 'CRITICAL', sonarcloud: 'MAJOR' });
+  t.deepEqual(java.ruleDifferences[0].params, [{ key: 'max', sonarqube: '5', sonarcloud: '7' }]);
+  t.deepEqual(java.inheritance, { sonarqube: ['Strict Java', 'Base Java'], sonarcloud: ['Strict Java'], matches: false });
+  t.is(report.summary.totalRuleDifferences, 1);
+  t.is(report.summary.totalParameterDifferences, 1);
+  t.is(report.summary.inheritanceMismatches, 1);
+});
+
 test('generateQualityProfileDiff matches migrated built-in profile with suffix', async t => {
   const scClient = mockClient({
     searchQualityProfiles: sinon.stub().resolves([
@@ -901,6 +1087,73 @@ test('migrateGroups returns empty map for only system groups', async t => {
   t.is(client.createGroup.callCount, 0);
 });
 
+// ============================================================================
+// groups.js - migrateGroupMemberships
+// ============================================================================
+
+test('migrateGroupMemberships adds mapped members to migrated groups', async t => {
+  const client = mockClient({
+    getOrganizationMembers: sinon.stub().resolves(['alice@github', 'bob'])
+  });
+  const groups = [
+    { name: 'devs', members: ['alice', 'bob'] },
+    { name: 'not-migrated', members: ['bob'] }
+  ];
+  const userMappings = new Map([['alice', { scLogin: 'alice@github', include: true }]]);
+
+  const result = await migrateGroupMemberships(groups, new Map([['devs', {}]]), client, userMappings);
+
+  t.is(result.added, 2);
+  t.deepEqual(result.warnings, []);
+  t.deepEqual(client.addGroupMember.args, [['devs', 'alice@github'], ['devs', 'bob']]);
+});
+
+test('migrateGroupMemberships reports unmapped, non-member and excluded users', async t => {
+  const client = mockClient({
+    getOrganizationMembers: sinon.stub().resolves(['carol'])
+  });
+  const groups = [{ name: 'devs', members: ['alice', 'bob', 'carol', 'svc'] }];
+  const userMappings = new Map([
+    ['bob', { scLogin: 'bob@github', include: true }],
+    ['svc', { scLogin: null, include: false }]
+  ]);
+
+  const result = await migrateGroupMemberships(groups, new Map([['devs', {}]]), client, userMappings);
+
+  t.is(result.added, 1);
+  t.is(result.excluded, 1);
+  t.deepEqual(result.warnings, [
+    { group: 'devs', sqLogin: 'alice', scLogin: null, reason: 'unmapped' },
+    { group: 'devs', sqLogin: 'bob', scLogin: 'bob@github', reason: 'not-member' }
+  ]);
+  t.deepEqual(client.addGroupMember.args, [['devs', 'carol']]);
+});
+
+test('migrateGroupMemberships adds members unchecked when organization members cannot be listed', async t => {
+  const addGroupMember = sinon.stub().resolves();
+  addGroupMember.withArgs('devs', 'ghost').rejects(new Error('User not found'));
+  const client = mockClient({
+    getOrganizationMembers: sinon.stub().rejects(new Error('forbidden')),
+    addGroupMember
+  });
+  const groups = [{ name: 'devs', members: ['alice', 'ghost'] }];
+
+  const result = await migrateGroupMemberships(groups, new Map([['devs', {}]]), client);
+
+  t.is(result.added, 1);
+  t.deepEqual(result.warnings, [
+    { group: 'devs', sqLogin: 'ghost', scLogin: 'ghost', reason: 'failed', error: 'User not found' }
+  ]);
+});
+
+test('migrateGroupMemberships skips the API when no group has members', async t => {
+  const client = mockClient();
+  const result = await migrateGroupMemberships([{ name: 'devs', members: [] }], new Map([['devs', {}]]), client);
+
+  t.deepEqual(result, { added: 0, excluded: 0, warnings: [] });
+  t.is(client.getOrganizationMembers.callCount, 0);
+});
+
 // ============================================================================
 // permissions.js - migrateGlobalPermissions
 // ============================================================================
@@ -980,6 +1233,64 @@ test('migrateProjectPermissions handles empty permissions', async t => {
   t.is(client.addProjectGroupPermission.callCount, 0);
 });
 
+// ============================================================================
+// permissions.js - user permissions
+// ============================================================================
+
+test('migrateGlobalUserPermissions grants permissions to mapped logins and skips excluded users', async t => {
+  const client = mockClient();
+  const userMappings = new Map([
+    ['alice', { scLogin: 'alice@github', include: true }],
+    ['bob', { scLogin: '', include: false }]
+  ]);
+  const users = [
+    { login: 'alice', permissions: ['admin', 'scan'] },
+    { login: 'bob', permissions: ['admin'] },
+    { login: 'carol', permissions: ['provisioning'] }
+  ];
+
+  const result = await migrateGlobalUserPermissions(users, client, userMappings);
+
+  t.deepEqual(result, { granted: 3, failed: 0, excluded: 1 });
+  t.deepEqual(client.addUserPermission.args, [['alice@github', 'admin'], ['alice@github', 'scan'], ['carol', 'provisioning']]);
+});
+
+test('migrateGlobalUserPermissions counts failed grants without throwing', async t => {
+  const client = mockClient({ addUserPermission: sinon.stub().rejects(new Error('user not in organization')) });
+
+  const result = await migrateGlobalUserPermissions([{ login: 'ghost', permissions: ['admin'] }], client);
+
+  t.deepEqual(result, { granted: 0, failed: 1, excluded: 0 });
+});
+
+test('migrateProjectUserPermissions grants project permissions to mapped logins', async t => {
+  const client = mockClient();
+  const userMappings = new Map([['alice', { scLogin: 'alice@github', include: true }]]);
+  const users = [{ login: 'alice', permissions: ['issueadmin', 'securityhotspotadmin'] }];
+
+  const result = await migrateProjectUserPermissions('proj-key', users, client, userMappings);
+
+  t.is(result.granted, 2);
+  t.deepEqual(client.addProjectUserPermission.firstCall.args, ['alice@github', 'proj-key', 'issueadmin']);
+  t.deepEqual(client.addProjectUserPermission.secondCall.args, ['alice@github', 'proj-key', 'securityhotspotadmin']);
+});
+
+test('migratePermissionTemplates adds template users with translated logins', async t => {
+  const client = mockClient();
+  const userMappings = new Map([['alice', { scLogin: 'alice@github', include: true }]]);
+  const templateData = {
+    templates: [
+      { id: 't1', name: 'Template', description: '', projectKeyPattern: '', permissions: [], users: [{ login: 'alice', permissions: ['admin'] }] }
+    ],
+    defaultTemplates: []
+  };
+
+  await migratePermissionTemplates(templateData, client, userMappings);
+
+  t.is(client.addUserToTemplate.callCount, 1);
+  t.deepEqual(client.addUserToTemplate.firstCall.args, ['tpl1', 'alice@github', 'admin']);
+});
+
 // ============================================================================
 // permissions.js - migratePermissionTemplates
 // ============================================================================
@@ -1344,6 +1655,50 @@ test('migrateProjectLinks handles link creation failure gracefully', async t =>
   await t.notThrowsAsync(() => migrateProjectLinks('proj', links, client));
 });
 
+// ============================================================================
+// webhooks.js - migrateWebhooks
+// ============================================================================
+
+test('migrateWebhooks creates organization webhooks without secrets in skip mode', async t => {
+  const client = mockClient();
+  const webhooks = [
+    { name: 'Jenkins', url: 'https://jenkins.example.com/sonarqube-webhook/', hasSecret: true },
+    { name: 'Slack', url: 'https://hooks.slack.com/x', hasSecret: false },
+  ];
+  const result = await migrateWebhooks(webhooks, client);
+  t.is(client.createWebhook.callCount, 2);
+  t.deepEqual(client.createWebhook.firstCall.args, ['Jenkins', 'https://jenkins.example.com/sonarqube-webhook/', null, null]);
+  t.deepEqual(result, { created: 2, skipped: 0, failed: 0, withoutSecret: 1 });
+});
+
+test('migrateWebhooks skips webhooks already present on the project', async t => {
+  const client = mockClient({ listWebhooks: sinon.stub().resolves([{ name: 'Jenkins', url: 'https://ci/hook' }]) });
+  const result = await migrateWebhooks([{ name: 'Jenkins', url: 'https://ci/hook', hasSecret: false }], client, { projectKey: 'proj' });
+  t.true(client.listWebhooks.calledWith('proj'));
+  t.true(client.createWebhook.notCalled);
+  t.is(result.skipped, 1);
+});
+
+test('migrateWebhooks reads secrets from the environment in env mode', async t => {
+  const client = mockClient();
+  const original = process.env.CLOUDVOYAGER_WEBHOOK_SECRET_RELEASE_BOT;
+  process.env.CLOUDVOYAGER_WEBHOOK_SECRET_RELEASE_BOT = 's3cret';
+  try {
+    await migrateWebhooks([{ name: 'release-bot', url: 'https://bot/hook', hasSecret: true }], client, { projectKey: 'proj', secretMode: 'env' });
+  } finally {
+    if (original === undefined) delete process.env.CLOUDVOYAGER_WEBHOOK_SECRET_RELEASE_BOT;
+    else process.env.CLOUDVOYAGER_WEBHOOK_SECRET_RELEASE_BOT = original;
+  }
+  t.deepEqual(client.createWebhook.firstCall.args, ['release-bot', 'https://bot/hook', 's3cret', 'proj']);
+});
+
+test('migrateWebhooks counts creation failures without throwing', async t => {
+  const client = mockClient({ createWebhook: sinon.stub().rejects(new Error('Maximum number of webhooks reached')) });
+  const result = await migrateWebhooks([{ name: 'Jenkins', url: 'https://ci/hook', hasSecret: false }], client);
+  t.is(result.failed, 1);
+  t.is(result.created, 0);
+});
+
 // ============================================================================
 // project-config.js - migrateNewCodePeriods
 // ============================================================================
@@ -1604,7 +1959,7 @@ test('migratePortfolios returns 0 for empty input', async t => {
 
 test('syncIssues matches issues by rule+component+line and syncs metadata', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 10, status: 'OPEN' }
     ])
   });
@@ -1639,9 +1994,22 @@ test('syncIssues matches issues by rule+component+line and syncs metadata', asyn
   t.true(client.setIssueTags.firstCall.args[1].includes('bug'));
 });
 
+test('syncIssues matches issues raised under a renamed rule key', async t => {
+  const client = mockClient({
+    searchIssuesWithComments: sinon.stub().resolves([
+      { key: 'sc-i1', rule: 'java:S112', component: 'proj:src/A.java', line: 3, status: 'OPEN' }
+    ])
+  });
+  const sqIssues = [{ key: 'sq-i1', rule: 'squid:S00112', component: 'proj:src/A.java', line: 3, status: 'CONFIRMED', comments: [], tags: [] }];
+  const ruleKeys = createRuleKeyTranslator({ sonarcloud: [{ key: 'java:S112', deprecatedKeys: ['squid:S00112'] }] });
+
+  t.is((await syncIssues('proj', sqIssues, client, { concurrency: 1 })).matched, 0);
+  t.is((await syncIssues('proj', sqIssues, client, { concurrency: 1, ruleKeys })).matched, 1);
+});
+
 test('syncIssues handles FALSE-POSITIVE resolution', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1664,7 +2032,7 @@ test('syncIssues handles FALSE-POSITIVE resolution', async t => {
 
 test('syncIssues handles WONTFIX resolution', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1687,7 +2055,7 @@ test('syncIssues handles WONTFIX resolution', async t => {
 
 test('syncIssues handles RESOLVED status', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1710,7 +2078,7 @@ test('syncIssues handles RESOLVED status', async t => {
 
 test('syncIssues filters out CLOSED issues (no transition propagation)', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1733,7 +2101,7 @@ test('syncIssues filters out CLOSED issues (no transition propagation)', async t
 
 test('syncIssues handles ACCEPTED status', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1756,7 +2124,7 @@ test('syncIssues handles ACCEPTED status', async t => {
 
 test('syncIssues does not transition when statuses match', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1779,7 +2147,7 @@ test('syncIssues does not transition when statuses match', async t => {
 
 test('syncIssues does not assign when assignees match', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN', assignee: 'alice' }
     ])
   });
@@ -1802,7 +2170,7 @@ test('syncIssues does not assign when assignees match', async t => {
 
 test('syncIssues does not assign when SQ assignee is null', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1824,7 +2192,7 @@ test('syncIssues does not assign when SQ assignee is null', async t => {
 
 test('syncIssues skips tags when SQ issue has no tags', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -1847,7 +2215,7 @@ test('syncIssues skips tags when SQ issue has no tags', async t => {
 
 test('syncIssues returns zero stats when no matches', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 10, status: 'OPEN' }
     ])
   });
@@ -1869,7 +2237,7 @@ test('syncIssues returns zero stats when no matches', async t => {
 
 test('syncIssues returns zero stats for empty SC and SQ issues', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([])
+    searchIssuesWithComments: sinon.stub().resolves([])
   });
 
   const stats = await syncIssues('proj', [], client, { concurrency: 1 });
@@ -1881,7 +2249,7 @@ test('syncIssues returns zero stats for empty SC and SQ issues', async t => {
 
 test('syncIssues handles transition failure gracefully', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ]),
     transitionIssue: sinon.stub().rejects(new Error('transition fail'))
@@ -1905,7 +2273,7 @@ test('syncIssues handles transition failure gracefully', async t => {
 
 test('syncIssues handles assign failure gracefully', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ]),
     assignIssue: sinon.stub().rejects(new Error('assign fail'))
@@ -1933,7 +2301,7 @@ test('syncIssues handles assign failure gracefully', async t => {
 
 test('syncIssues handles comment failure gracefully', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ]),
     addIssueComment: sinon.stub().rejects(new Error('comment fail'))
@@ -1956,7 +2324,7 @@ test('syncIssues handles comment failure gracefully', async t => {
 
 test('syncIssues handles tags failure gracefully', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ]),
     setIssueTags: sinon.stub().rejects(new Error('tags fail'))
@@ -1979,7 +2347,7 @@ test('syncIssues handles tags failure gracefully', async t => {
 
 test('syncIssues uses default concurrency of 5', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([])
+    searchIssuesWithComments: sinon.stub().resolves([])
   });
 
   // Call without options to exercise default
@@ -1990,7 +2358,7 @@ test('syncIssues uses default concurrency of 5', async t => {
 
 test('syncIssues matches by textRange.startLine when line is absent', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', textRange: { startLine: 15 }, status: 'OPEN' }
     ])
   });
@@ -2011,7 +2379,7 @@ test('syncIssues matches by textRange.startLine when line is absent', async t =>
 
 test('syncIssues skips issues without rule or component', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: null, component: 'proj:src/a.js', line: 5, status: 'OPEN' },
       { key: 'sc-i2', rule: 'js:S1001', component: '', line: 5, status: 'OPEN' }
     ])
@@ -2028,7 +2396,7 @@ test('syncIssues skips issues without rule or component', async t => {
 
 test('syncIssues handles multiple SC issues at same location', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' },
       { key: 'sc-i2', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
@@ -2045,7 +2413,7 @@ test('syncIssues handles multiple SC issues at same location', async t => {
 
 test('syncIssues handles REOPENED status via fallback', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -2068,7 +2436,7 @@ test('syncIssues handles REOPENED status via fallback', async t => {
 
 test('syncIssues does not transition for unknown/unmapped status', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -2091,7 +2459,7 @@ test('syncIssues does not transition for unknown/unmapped status', async t => {
 
 test('syncIssues syncs multiple comments', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN' }
     ])
   });
@@ -2116,6 +2484,72 @@ test('syncIssues syncs multiple comments', async t => {
   t.is(client.addIssueComment.callCount, 3);
 });
 
+test('syncIssues skips comments and source link already migrated by an earlier run', async t => {
+  const client = mockClient({
+    searchIssuesWithComments: sinon.stub().resolves([
+      {
+        key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN',
+        comments: [
+          { markdown: '[Migrated from SonarQube] alice (2024-01-01): Comment 1' },
+          { markdown: 'Link to [Original issue](http://sq/project/issues?id=sqproj&issues=sq-i1&open=sq-i1)' },
+        ],
+      }
+    ])
+  });
+  const sqClient = { baseURL: 'http://sq', projectKey: 'sqproj', getIssueChangelog: sinon.stub().resolves([{ user: 'alice', diffs: [] }]) };
+  const sqIssues = [
+    {
+      key: 'sq-i1',
+      rule: 'js:S1001',
+      component: 'proj:src/a.js',
+      line: 5,
+      status: 'OPEN',
+      comments: [
+        { login: 'alice', createdAt: '2024-01-01', markdown: 'Comment 1' },
+        { login: 'bob', createdAt: '2024-01-02', markdown: 'Comment 2' }
+      ]
+    }
+  ];
+
+  const stats = await syncIssues('proj', sqIssues, client, { concurrency: 1, sqClient });
+
+  t.true(client.searchIssuesWithComments.calledOnceWith('proj'));
+  t.is(stats.commented, 1);
+  t.is(stats.commentsAlreadyPresent, 1);
+  t.is(stats.sourceLinked, 0);
+  t.is(client.addIssueComment.callCount, 1);
+  t.is(client.addIssueComment.firstCall.args[1], '[Migrated from SonarQube] bob (2024-01-02): Comment 2');
+});
+
+test('syncIssues re-applies manual severity, type and impact overrides from the SQ changelog', async t => {
+  const client = mockClient({
+    searchIssuesWithComments: sinon.stub().resolves([{
+      key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN',
+      severity: 'MAJOR', type: 'CODE_SMELL', impacts: [{ softwareQuality: 'MAINTAINABILITY', severity: 'MEDIUM' }],
+    }]),
+    setIssueType: sinon.stub().rejects(new Error('forbidden')),
+  });
+  const changelog = [
+    { user: 'alice', diffs: [{ key: 'severity', oldValue: 'MAJOR', newValue: 'BLOCKER' }, { key: 'type', oldValue: 'CODE_SMELL', newValue: 'BUG' }] },
+    { user: 'bob', diffs: [{ key: 'impactSeverity', oldValue: 'MAINTAINABILITY:MEDIUM', newValue: 'MAINTAINABILITY:HIGH' }] },
+  ];
+  const sqClient = { getIssueChangelog: sinon.stub().resolves(changelog) };
+  const sqIssues = [{
+    key: 'sq-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'OPEN',
+    severity: 'BLOCKER', type: 'BUG', impacts: [{ softwareQuality: 'MAINTAINABILITY', severity: 'HIGH' }],
+  }];
+
+  const stats = await syncIssues('proj', sqIssues, client, { concurrency: 1, sqClient });
+
+  t.deepEqual(client.setIssueSeverity.firstCall.args, ['sc-i1', 'BLOCKER']);
+  t.deepEqual(client.setIssueImpactSeverity.firstCall.args, ['sc-i1', 'MAINTAINABILITY', 'HIGH']);
+  t.is(stats.severityOverridden, 1);
+  t.is(stats.impactOverridden, 1);
+  t.is(stats.typeOverridden, 0);
+  t.is(stats.overrideFailed, 1);
+  t.is(stats.failed, 0);
+});
+
 // ============================================================================
 // issue-sync.js - mapChangelogDiffToTransition
 // ============================================================================
@@ -2240,7 +2674,7 @@ test('syncIssues applies a single transition derived from current SQ status, ign
   // (later ones rejected by SC's state machine). After the fix we apply exactly one
   // transition based on the current source status -> 'reopen'.
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 10, status: 'OPEN' }
     ])
   });
@@ -2267,7 +2701,7 @@ test('syncIssues applies a single transition derived from current SQ status, ign
 
 test('syncIssues with sqClient returns not transitioned when transition fails', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 10, status: 'OPEN' }
     ]),
     transitionIssue: sinon.stub().rejects(new Error('transition rejected'))
@@ -2288,7 +2722,7 @@ test('syncIssues with sqClient returns not transitioned when transition fails',
 
 test('syncIssues skips transition when SC and SQ statuses already match', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 5, status: 'CONFIRMED' }
     ])
   });
@@ -3128,6 +3562,82 @@ test('syncHotspots syncs multiple comments', async t => {
   t.true(client.addHotspotComment.callCount >= 2);
 });
 
+test('syncHotspots assigns hotspots through user mappings and skips excluded users', async t => {
+  const client = mockClient({
+    searchHotspots: sinon.stub().resolves([
+      { key: 'sc-h1', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 10, status: 'TO_REVIEW' },
+      { key: 'sc-h2', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 20, status: 'TO_REVIEW', assignee: 'bob' },
+      { key: 'sc-h3', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 30, status: 'TO_REVIEW' },
+    ])
+  });
+  const sqHotspots = [
+    { key: 'sq-h1', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 10, status: 'TO_REVIEW', assignee: 'alice' },
+    { key: 'sq-h2', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 20, status: 'TO_REVIEW', assignee: 'bob' },
+    { key: 'sq-h3', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 30, status: 'TO_REVIEW', assignee: 'svc' },
+  ];
+  const userMappings = new Map([
+    ['alice', { scLogin: 'alice@github', include: true }],
+    ['svc', { scLogin: null, include: false }],
+  ]);
+
+  const stats = await syncHotspots('proj', sqHotspots, client, { concurrency: 1, userMappings });
+
+  t.is(stats.assigned, 1);
+  t.is(stats.assignmentMapped, 1);
+  t.is(stats.assignmentSkipped, 1);
+  t.deepEqual(client.assignHotspot.firstCall.args, ['sc-h1', 'alice@github']);
+  t.is(client.assignHotspot.callCount, 1);
+});
+
+test('syncHotspots counts failed hotspot assignments without failing the hotspot', async t => {
+  const client = mockClient({
+    searchHotspots: sinon.stub().resolves([
+      { key: 'sc-h1', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 10, status: 'TO_REVIEW' }
+    ]),
+    assignHotspot: sinon.stub().rejects(new Error('unknown user')),
+  });
+  const sqHotspots = [
+    { key: 'sq-h1', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 10, status: 'TO_REVIEW', assignee: 'ghost' },
+  ];
+
+  const stats = await syncHotspots('proj', sqHotspots, client, { concurrency: 1 });
+
+  t.is(stats.assigned, 0);
+  t.is(stats.assignmentFailed, 1);
+  t.is(stats.failed, 0);
+});
+
+test('syncHotspots skips comments and metadata marker already on the SonarCloud hotspot', async t => {
+  const client = mockClient({
+    searchHotspots: sinon.stub().resolves([
+      { key: 'sc-h1', ruleKey: 'java:S1234', component: 'proj:src/Main.java', line: 10, status: 'TO_REVIEW' }
+    ]),
+    getHotspotDetails: sinon.stub().resolves({
+      comment: [
+        { markdown: '[Migrated from SonarQube] alice (2024-01-01): Comment 1' },
+        { markdown: '[Metadata Synchronized] This hotspot\'s metadata has been synced from SonarQube.' },
+      ],
+    }),
+  });
+  const sqHotspots = [
+    {
+      key: 'sq-h1',
+      ruleKey: 'java:S1234',
+      component: 'proj:src/Main.java',
+      line: 10,
+      status: 'TO_REVIEW',
+      comments: [{ login: 'alice', createdAt: '2024-01-01', markdown: 'Comment 1' }]
+    }
+  ];
+
+  const stats = await syncHotspots('proj', sqHotspots, client, { concurrency: 1 });
+
+  t.is(stats.commented, 0);
+  t.is(stats.commentsAlreadyPresent, 1);
+  t.is(stats.metadataSyncCommented, 0);
+  t.is(client.addHotspotComment.callCount, 0);
+});
+
 test('syncHotspots handles multiple hotspots at same location', async t => {
   const client = mockClient({
     searchHotspots: sinon.stub().resolves([
@@ -3228,7 +3738,7 @@ test('syncIssues increments failed when outer processing throws', async t => {
   });
 
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([scIssue])
+    searchIssuesWithComments: sinon.stub().resolves([scIssue])
   });
 
   const sqIssues = [
@@ -3381,7 +3891,7 @@ test('syncHotspots uses line 0 when neither line nor textRange exists', async t
 
 test('syncIssues comment uses unknown for missing login and empty for missing createdAt', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 10, status: 'OPEN' }
     ])
   });
@@ -3407,7 +3917,7 @@ test('syncIssues comment uses unknown for missing login and empty for missing cr
 
 test('syncIssues comment falls back to empty when no markdown or htmlText', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', line: 10, status: 'OPEN' }
     ])
   });
@@ -3435,7 +3945,7 @@ test('syncIssues comment falls back to empty when no markdown or htmlText', asyn
 
 test('syncIssues uses line 0 when neither line nor textRange exists', async t => {
   const client = mockClient({
-    searchIssues: sinon.stub().resolves([
+    searchIssuesWithComments: sinon.stub().resolves([
       { key: 'sc-i1', rule: 'js:S1001', component: 'proj:src/a.js', status: 'OPEN' }
     ])
   });
@@ -109,6 +109,15 @@ test('submitToComputeEngine includes branch characteristics for non-main branche
   t.true(bodyStr.includes('branchType=BRANCH'), 'should include branchType characteristic');
 });
 
+test('submitToComputeEngine sends the pullRequest characteristic instead of branch ones for pull requests', async t => {
+  const client = mockClient();
+  const uploader = new ReportUploader(client);
+  await uploader.submitToComputeEngine(Buffer.from('data'), { version: '1.0', pullRequestKey: '42', branchName: 'feature/login' });
+  const bodyStr = client.client.post.getCall(0).args[1].toString('utf-8');
+  t.true(bodyStr.includes('pullRequest=42'));
+  t.false(bodyStr.includes('branch=feature/login'));
+});
+
 test('submitToComputeEngine handles response without ceTask', async t => {
   const client = mockClient();
   client.client.post.resolves({ data: { taskId: 'task-2' } });
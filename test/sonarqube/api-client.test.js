@@ -1,6 +1,7 @@
 import test from 'ava';
 import sinon from 'sinon';
 import { SonarQubeClient } from '../../src/pipelines/sq-10.4/sonarqube/api-client.js';
+import { getGroupMembers as getGroupMembers2025 } from '../../src/pipelines/sq-2025/sonarqube/api/permissions.js';
 import { SonarQubeAPIError, AuthenticationError } from '../../src/shared/utils/errors.js';
 
 function createClient(overrides = {}) {
@@ -221,6 +222,29 @@ test('getBranches returns branches', async t => {
   t.is(branches[0].name, 'main');
 });
 
+// getPullRequests
+test('getPullRequests lists pull requests of the project', async t => {
+  const client = createClient();
+  const stub = mockGet(client, { data: { pullRequests: [{ key: '42', branch: 'feature/x', base: 'main' }] } });
+
+  const pullRequests = await client.getPullRequests();
+  t.is(stub.firstCall.args[0], '/api/project_pull_requests/list');
+  t.deepEqual(stub.firstCall.args[1].params, { project: 'test-project' });
+  t.is(pullRequests[0].key, '42');
+});
+
+// getMeasuresHistory
+test('getMeasuresHistory requests the given metrics for the project', async t => {
+  const client = createClient();
+  const stub = mockGet(client, { data: { paging: { total: 1 }, measures: [{ metric: 'ncloc', history: [{ date: '2026-01-01T00:00:00+0000', value: '10' }] }] } });
+
+  const history = await client.getMeasuresHistory(['ncloc', 'coverage']);
+  t.is(stub.firstCall.args[0], '/api/measures/search_history');
+  t.is(stub.firstCall.args[1].params.component, 'test-project');
+  t.is(stub.firstCall.args[1].params.metrics, 'ncloc,coverage');
+  t.is(history[0].metric, 'ncloc');
+});
+
 // getQualityGate
 test('getQualityGate returns quality gate', async t => {
   const client = createClient();
@@ -606,6 +630,30 @@ test('getGroups fetches groups', async t => {
   t.is(groups.length, 1);
 });
 
+// getGroupMembers (sq-2025)
+test('getGroupMembers (sq-2025) reads logins from the v2 users filtered by group, page by page', async t => {
+  const get = sinon.stub();
+  get.onFirstCall().resolves({ data: { users: Array.from({ length: 100 }, (_, i) => ({ id: `u${i}`, login: `user${i}` })), page: { total: 101 } } });
+  get.onSecondCall().resolves({ data: { users: [{ id: 'u100', login: 'user100' }], page: { total: 101 } } });
+  const getPaginated = sinon.stub();
+
+  const logins = await getGroupMembers2025({ get }, getPaginated, 'devs', 'g1');
+  t.is(logins.length, 101);
+  t.is(logins[100], 'user100');
+  t.is(get.callCount, 2);
+  t.deepEqual(get.secondCall.args, ['/api/v2/users-management/users', { params: { groupId: 'g1', pageIndex: 2, pageSize: 100 } }]);
+  t.is(getPaginated.callCount, 0);
+});
+
+test('getGroupMembers (sq-2025) falls back to /api/user_groups/users when the v2 API fails', async t => {
+  const get = sinon.stub().rejects(new Error('Not found'));
+  const getPaginated = sinon.stub().resolves([{ login: 'alice' }]);
+
+  const logins = await getGroupMembers2025({ get }, getPaginated, 'devs', 'g1');
+  t.deepEqual(logins, ['alice']);
+  t.deepEqual(getPaginated.firstCall.args, ['/api/user_groups/users', { name: 'devs', ps: 100 }, 'users']);
+});
+
 // getGlobalPermissions
 test('getGlobalPermissions fetches permissions', async t => {
   const client = createClient();
@@ -6,15 +6,17 @@ import { extractMetrics, getCommonMetricKeys, COMMON_METRICS } from '../../../sr
 import { extractMeasures, extractComponentMeasures } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/measures.js';
 import { extractSources } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/sources.js';
 import { extractQualityGates, extractProjectQualityGate } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/quality-gates.js';
-import { extractQualityProfiles, buildInheritanceChains } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/quality-profiles.js';
+import { extractQualityProfiles, buildInheritanceChains, extractCustomRules } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/quality-profiles.js';
 import { extractActiveRules } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/rules.js';
 import { extractGroups } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/groups.js';
-import { extractGlobalPermissions, extractProjectPermissions, extractPermissionTemplates } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/permissions.js';
+import { extractGlobalPermissions, extractProjectPermissions, extractPermissionTemplates, extractGlobalUserPermissions, extractProjectUserPermissions } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/permissions.js';
 import { extractPortfolios } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/portfolios.js';
+import { extractApplications } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/applications.js';
 import { extractHotspots } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/hotspots.js';
 import { extractChangesets } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/changesets.js';
 import { extractSymbols } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/symbols.js';
 import { extractSyntaxHighlighting } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/syntax-highlighting.js';
+import { extractLineCoverage } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/line-coverage.js';
 import { extractProjectSettings } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/project-settings.js';
 import { extractProjectTags } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/project-tags.js';
 import { extractProjectLinks } from '../../../src/pipelines/sq-10.4/sonarqube/extractors/project-links.js';
@@ -53,6 +55,8 @@ function mockClient(overrides = {}) {
     getPermissionTemplates: sinon.stub().resolves({ permissionTemplates: [], defaultTemplates: [] }),
     getPortfolios: sinon.stub().resolves([]),
     getPortfolioDetails: sinon.stub().resolves(null),
+    getApplications: sinon.stub().resolves([]),
+    getApplicationDetails: sinon.stub().resolves(null),
     getQualityGates: sinon.stub().resolves({ qualitygates: [] }),
     getQualityGateDetails: sinon.stub().resolves({ conditions: [] }),
     getQualityGatePermissions: sinon.stub().resolves({ users: [], groups: [] }),
@@ -309,6 +313,20 @@ test('buildInheritanceChains returns empty for no inheritance', t => {
   t.is(chains.length, 0);
 });
 
+test('extractCustomRules keeps only rules created from templates', async t => {
+  const client = mockClient({
+    getCustomRules: sinon.stub().resolves([
+      { key: 'xml:no_foo', name: 'No foo', templateKey: 'xml:XPathCheck', mdDesc: 'Avoid foo', severity: 'MAJOR', status: 'READY', lang: 'xml', params: [{ key: 'expression', defaultValue: '//foo' }, { key: 'message' }] },
+      { key: 'xml:S100', name: 'Plugin rule', lang: 'xml' }
+    ])
+  });
+  const result = await extractCustomRules(client);
+  t.is(result.length, 1);
+  t.is(result[0].customKey, 'no_foo');
+  t.is(result[0].templateKey, 'xml:XPathCheck');
+  t.deepEqual(result[0].params, [{ key: 'expression', value: '//foo' }]);
+});
+
 // === rules.js ===
 test('extractActiveRules extracts rules from profiles', async t => {
   const client = mockClient({
@@ -464,6 +482,31 @@ test('extractGroups handles missing optional fields', async t => {
   t.is(result[0].default, false);
 });
 
+test('extractGroups fetches member logins for non-default groups', async t => {
+  const client = mockClient({
+    getGroups: sinon.stub().resolves([
+      { id: 'g1', name: 'devs', membersCount: 2, default: false },
+      { id: 'g2', name: 'sonar-users', membersCount: 10, default: true },
+      { id: 'g3', name: 'empty', membersCount: 0, default: false }
+    ]),
+    getGroupMembers: sinon.stub().resolves(['alice', 'bob'])
+  });
+  const result = await extractGroups(client);
+  t.deepEqual(result.map(g => g.members), [['alice', 'bob'], [], []]);
+  t.is(client.getGroupMembers.callCount, 1);
+  t.deepEqual(client.getGroupMembers.firstCall.args, ['devs', 'g1']);
+});
+
+test('extractGroups keeps the group when member lookup fails', async t => {
+  const client = mockClient({
+    getGroups: sinon.stub().resolves([{ id: 'g1', name: 'devs', membersCount: 2 }]),
+    getGroupMembers: sinon.stub().rejects(new Error('forbidden'))
+  });
+  const result = await extractGroups(client);
+  t.is(result.length, 1);
+  t.deepEqual(result[0].members, []);
+});
+
 // === permissions.js ===
 test('extractGlobalPermissions extracts permissions', async t => {
   const client = mockClient({
@@ -507,6 +550,39 @@ test('extractPermissionTemplates handles missing fields', async t => {
   t.is(result.defaultTemplates.length, 0);
 });
 
+test('extractGlobalUserPermissions extracts users holding permissions directly', async t => {
+  const client = mockClient({
+    getGlobalUserPermissions: sinon.stub().resolves([
+      { login: 'alice', name: 'Alice', permissions: ['admin'] },
+      { login: 'bob' }
+    ])
+  });
+  const result = await extractGlobalUserPermissions(client);
+  t.deepEqual(result, [{ login: 'alice', permissions: ['admin'] }, { login: 'bob', permissions: [] }]);
+});
+
+test('extractProjectUserPermissions extracts project user perms', async t => {
+  const client = mockClient({
+    getProjectUserPermissions: sinon.stub().resolves([{ login: 'alice', permissions: ['issueadmin'] }])
+  });
+  const result = await extractProjectUserPermissions(client, 'proj');
+  t.deepEqual(result, [{ login: 'alice', permissions: ['issueadmin'] }]);
+});
+
+test('extractPermissionTemplates attaches template users and tolerates lookup failures', async t => {
+  const client = mockClient({
+    getPermissionTemplates: sinon.stub().resolves({
+      permissionTemplates: [{ id: '1', name: 'Default', permissions: [] }, { id: '2', name: 'Other', permissions: [] }]
+    }),
+    getTemplateUserPermissions: sinon.stub()
+  });
+  client.getTemplateUserPermissions.withArgs('1').resolves([{ login: 'alice', permissions: ['admin'] }]);
+  client.getTemplateUserPermissions.withArgs('2').rejects(new Error('forbidden'));
+  const result = await extractPermissionTemplates(client);
+  t.deepEqual(result.templates[0].users, [{ login: 'alice', permissions: ['admin'] }]);
+  t.deepEqual(result.templates[1].users, []);
+});
+
 // === portfolios.js ===
 test('extractPortfolios returns empty for no portfolios', async t => {
   const client = mockClient();
@@ -527,6 +603,23 @@ test('extractPortfolios extracts portfolio details', async t => {
   t.is(result[0].projects.length, 1);
 });
 
+test('extractPortfolios captures tag and pattern selections and nested sub-portfolios', async t => {
+  const getPaginated = sinon.stub().resolves([{ key: 'tagged-1' }]);
+  const client = mockClient({
+    getPaginated,
+    getPortfolios: sinon.stub().resolves([{ key: 'v1', name: 'Tagged', qualifier: 'VW' }]),
+    getPortfolioDetails: sinon.stub().resolves({
+      selectionMode: 'TAGS', tags: ['team-a'],
+      subViews: [{ key: 'sv1', name: 'Apis', selectionMode: 'REGEXP', regexp: '.*-api' }]
+    })
+  });
+  const [portfolio] = await extractPortfolios(client);
+  t.deepEqual(portfolio.tags, ['team-a']);
+  t.deepEqual(portfolio.taggedProjectKeys, ['tagged-1']);
+  t.is(portfolio.subPortfolios[0].regexp, '.*-api');
+  t.is(portfolio.subPortfolios[0].selectionMode, 'REGEXP');
+});
+
 test('extractPortfolios handles null details', async t => {
   const client = mockClient({
     getPortfolios: sinon.stub().resolves([{ key: 'v1', name: 'P1', qualifier: 'VW' }]),
@@ -537,6 +630,23 @@ test('extractPortfolios handles null details', async t => {
   t.deepEqual(result[0].projects, []);
 });
 
+// === applications.js ===
+test('extractApplications reads the projects of every application branch', async t => {
+  const getApplicationDetails = sinon.stub();
+  getApplicationDetails.withArgs('app1').resolves({
+    description: 'Shop', visibility: 'private',
+    projects: [{ key: 'web', name: 'Web', branch: 'main', isMain: true }, { key: 'api', name: 'API', branch: 'develop', isMain: false }],
+    branches: [{ name: 'main', isMain: true }, { name: 'release', isMain: false }],
+  });
+  getApplicationDetails.withArgs('app1', 'release').resolves({ projects: [{ key: 'web', branch: 'release-1', isMain: false }] });
+  const client = mockClient({ getApplications: sinon.stub().resolves([{ key: 'app1', name: 'Shop' }]), getApplicationDetails });
+
+  const [app] = await extractApplications(client);
+  t.is(app.visibility, 'private');
+  t.deepEqual(app.projects.map(p => [p.key, p.isMainBranch]), [['web', true], ['api', false]]);
+  t.deepEqual(app.branches, [{ name: 'release', projects: [{ key: 'web', name: 'web', branch: 'release-1', isMainBranch: false }] }]);
+});
+
 // === hotspots.js ===
 test('extractHotspots returns empty for no hotspots', async t => {
   const client = mockClient();
@@ -696,19 +806,64 @@ test('extractChangesets handles files without lines', async t => {
 });
 
 // === symbols.js ===
-test('extractSymbols creates empty symbol data', async t => {
-  const sourceFiles = [{ key: 'f1' }, { key: 'f2' }];
-  const result = await extractSymbols(null, sourceFiles);
-  t.is(result.size, 2);
-  t.deepEqual(result.get('f1').symbols, []);
+test('extractSymbols reads symbol tables from decorated source lines', async t => {
+  const client = mockClient({
+    getSourceLines: sinon.stub().resolves([
+      { line: 1, code: '<span class="k">const</span> <span class="sym-7 sym">x</span> = <span class="c">1</span>;' },
+      { line: 2, code: 'log(<span class="sym-7 sym">x</span>);' }
+    ])
+  });
+  const result = await extractSymbols(client, [{ key: 'f1' }], 'feature', { concurrency: 2 });
+  t.is(result.size, 1);
+  t.deepEqual(result.get('f1').symbols, [{
+    declaration: { startLine: 1, endLine: 1, startOffset: 6, endOffset: 7 },
+    reference: [{ startLine: 2, endLine: 2, startOffset: 4, endOffset: 5 }]
+  }]);
+  t.true(client.getSourceLines.calledWith('f1', 'feature'));
 });
 
 // === syntax-highlighting.js ===
-test('extractSyntaxHighlighting creates empty highlighting data', async t => {
-  const sourceFiles = [{ key: 'f1' }];
-  const result = await extractSyntaxHighlighting(null, sourceFiles);
-  t.is(result.size, 1);
-  t.deepEqual(result.get('f1').rules, []);
+test('extractSyntaxHighlighting maps markup classes to highlighting types', async t => {
+  const client = mockClient({
+    getSourceLines: sinon.stub().resolves([
+      { line: 1, code: '<span class="cd">/* a &lt;b&gt;</span>' },
+      { line: 2, code: '<span class="cd">end */</span> <span class="k">return</span> <span class="s">&quot;s&quot;</span>' }
+    ])
+  });
+  const result = await extractSyntaxHighlighting(client, [{ key: 'f1' }]);
+  t.deepEqual(result.get('f1').rules, [
+    { range: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 8 }, type: 3 },
+    { range: { startLine: 2, endLine: 2, startOffset: 0, endOffset: 6 }, type: 3 },
+    { range: { startLine: 2, endLine: 2, startOffset: 7, endOffset: 13 }, type: 6 },
+    { range: { startLine: 2, endLine: 2, startOffset: 14, endOffset: 17 }, type: 7 }
+  ]);
+});
+
+// === line-coverage.js ===
+test('extractLineCoverage keeps executable lines with hits and conditions', async t => {
+  const client = mockClient({
+    getSourceLines: sinon.stub().resolves([
+      { line: 1, code: 'import x;' },
+      { line: 2, code: 'if (a) {', lineHits: 3, conditions: 2, coveredConditions: 1 },
+      { line: 3, code: 'b();', lineHits: 0 }
+    ])
+  });
+  const result = await extractLineCoverage(client, [{ key: 'f1' }], 'feature');
+  t.deepEqual(result.get('f1').lines, [
+    { line: 2, hits: true, conditions: 2, coveredConditions: 1 },
+    { line: 3, hits: false }
+  ]);
+  t.true(client.getSourceLines.calledWith('f1', 'feature'));
+});
+
+test('extractSymbols and extractSyntaxHighlighting share one fetch per file', async t => {
+  const client = mockClient({ getSourceLines: sinon.stub().resolves([{ line: 1, code: '<span class="k sym-1 sym">x</span>' }]) });
+  const sourceFiles = [{ key: 'f1' }, { key: 'f2' }];
+  const symbols = await extractSymbols(client, sourceFiles);
+  const highlighting = await extractSyntaxHighlighting(client, sourceFiles);
+  t.is(client.getSourceLines.callCount, 2);
+  t.is(symbols.size, 2);
+  t.is(highlighting.get('f2').rules[0].type, 6);
 });
 
 // === project-settings.js ===
@@ -1107,44 +1262,19 @@ test('extractChangesets handles error in file processing', async t => {
   t.falsy(result.get('bad-file'));
 });
 
-test('extractSymbols handles error in file processing', async t => {
-  // Use a getter on 'key' that throws only on the first access (in the try block)
-  // and returns a fallback string on subsequent accesses (in the catch block's logger.warn)
-  let symAccessCount = 0;
-  const badSymFile = {};
-  Object.defineProperty(badSymFile, 'key', {
-    get() {
-      symAccessCount++;
-      if (symAccessCount === 1) throw new Error('key access error');
-      return 'bad-sym-file';
-    },
-    enumerable: true
-  });
-  const goodFile = { key: 'good-file' };
-  const result = await extractSymbols(null, [badSymFile, goodFile]);
-  // badFile should be skipped (caught), goodFile should succeed
+test('extractSymbols skips files whose source lines cannot be fetched', async t => {
+  const getSourceLines = sinon.stub();
+  getSourceLines.withArgs('bad-file').rejects(new Error('404'));
+  getSourceLines.withArgs('good-file').resolves([{ line: 1, code: '<span class="sym-1 sym">a</span>' }]);
+  const client = mockClient({ getSourceLines });
+  const result = await extractSymbols(client, [{ key: 'bad-file' }, { key: 'good-file' }]);
   t.is(result.size, 1);
   t.truthy(result.get('good-file'));
 });
 
-test('extractSyntaxHighlighting handles error in file processing', async t => {
-  // Use a getter on 'key' that throws only on the first access (in the try block)
-  // and returns a fallback string on subsequent accesses (in the catch block's logger.warn)
-  let hlAccessCount = 0;
-  const badHlFile = {};
-  Object.defineProperty(badHlFile, 'key', {
-    get() {
-      hlAccessCount++;
-      if (hlAccessCount === 1) throw new Error('key access error');
-      return 'bad-hl-file';
-    },
-    enumerable: true
-  });
-  const goodFile = { key: 'good-file' };
-  const result = await extractSyntaxHighlighting(null, [badHlFile, goodFile]);
-  // badFile should be skipped (caught), goodFile should succeed
-  t.is(result.size, 1);
-  t.truthy(result.get('good-file'));
+test('extractSyntaxHighlighting returns empty map when client cannot read source lines', async t => {
+  const result = await extractSyntaxHighlighting(null, [{ key: 'f1' }]);
+  t.is(result.size, 0);
 });
 
 // =============================================================================
@@ -1230,6 +1360,16 @@ test('quality.getQualityGatePermissions: groups response has no groups => falls
   t.deepEqual(result.groups, []);
 });
 
+test('quality.getCustomRules searches the instances of each rule template', async t => {
+  const getPaginated = sinon.stub();
+  getPaginated.onFirstCall().resolves([{ key: 'xml:XPathCheck' }]);
+  getPaginated.onSecondCall().resolves([{ key: 'xml:no_foo', templateKey: 'xml:XPathCheck' }]);
+  const result = await quality.getCustomRules(getPaginated);
+  t.is(result.length, 1);
+  t.is(getPaginated.firstCall.args[1].is_template, 'true');
+  t.is(getPaginated.secondCall.args[1].template_key, 'xml:XPathCheck');
+});
+
 test('quality.getAllQualityProfiles: response.data.profiles is undefined => falls back to []', async t => {
   const client = mockAxiosClient(sinon.stub().resolves({ data: {} }));
   const result = await quality.getAllQualityProfiles(client);
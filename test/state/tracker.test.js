@@ -203,3 +203,29 @@ test('StateTracker.recordTransfer updates sync and saves', async t => {
   t.truthy(JSON.parse(content).lastSync);
   await rm(dir, { recursive: true });
 });
+
+test('StateTracker.getSyncHighWaterMark falls back to lastSync', t => {
+  const tracker = new StateTracker('/tmp/test.json');
+  t.is(tracker.getSyncHighWaterMark(), null);
+  tracker.updateLastSync('2024-01-01T00:00:00.000Z');
+  t.is(tracker.getSyncHighWaterMark(), '2024-01-01T00:00:00.000Z');
+});
+
+test('StateTracker.recordDeltaSync moves the high-water mark and saves', async t => {
+  const dir = getTmpDir();
+  await mkdir(dir, { recursive: true });
+  const path = join(dir, 'state.json');
+
+  const tracker = new StateTracker(path);
+  tracker.updateLastSync('2024-01-01T00:00:00.000Z');
+  await tracker.recordDeltaSync('2024-02-01T00:00:00.000Z', { issuesSynced: 3 });
+
+  t.is(tracker.getSyncHighWaterMark(), '2024-02-01T00:00:00.000Z');
+  t.is(tracker.getLastSync(), '2024-01-01T00:00:00.000Z');
+  t.is(tracker.getSummary().syncHighWaterMark, '2024-02-01T00:00:00.000Z');
+
+  const saved = JSON.parse(await readFile(path, 'utf-8'));
+  t.is(saved.syncHighWaterMark, '2024-02-01T00:00:00.000Z');
+  t.is(saved.syncHistory[0].mode, 'sync-delta');
+  await rm(dir, { recursive: true });
+});
@@ -0,0 +1,140 @@
+import test from 'ava';
+import sinon from 'sinon';
+import { mkdir, rm, writeFile, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import { syncDeltaProject } from '../src/shared/delta-sync/sync-delta-pipeline/helpers/sync-delta-project.js';
+import { loadMigrationMarks } from '../src/shared/delta-sync/sync-delta-pipeline/helpers/load-migration-marks.js';
+
+// -------- Helpers --------
+
+const SINCE = '2024-03-01T00:00:00.000Z';
+
+function createPipeline(overrides = {}) {
+  const sq = { baseURL: 'http://sq', projectKey: 'proj', getIssuesWithComments: sinon.stub().resolves([{ key: 'i1' }]) };
+  const pipeline = {
+    SonarQubeClient: sinon.stub().returns(sq),
+    SonarCloudClient: sinon.stub().returns({}),
+    syncIssues: sinon.stub().resolves({ matched: 1, transitioned: 1, assigned: 0, commented: 0 }),
+    syncHotspots: sinon.stub().resolves({ matched: 1, statusChanged: 1, assigned: 0 }),
+    extractHotspots: sinon.stub().resolves([
+      { key: 'h1', changelog: [{ creationDate: '2024-03-02T00:00:00+0000' }], comments: [] },
+      { key: 'h2', changelog: [{ creationDate: '2024-02-01T00:00:00+0000' }], comments: [] },
+    ]),
+    ...overrides,
+  };
+  return { pipeline, sq };
+}
+
+function createCtx(outputDir, pipeline, extra = {}) {
+  return {
+    org: { key: 'org1', token: 't' },
+    project: { key: 'proj' },
+    idx: 0, total: 1,
+    scClient: { isProjectKeyTakenGlobally: sinon.stub().resolves({ taken: false }), projectExists: sinon.stub().resolves(true) },
+    sonarqubeConfig: { url: 'http://sq', token: 't' },
+    perfConfig: { issueSync: { concurrency: 2 }, hotspotSync: { concurrency: 1 }, hotspotExtraction: { concurrency: 2 } },
+    pipeline, outputDir, since: null, projectKeyTransform: null,
+    ...extra,
+  };
+}
+
+async function writeState(outputDir, state) {
+  await mkdir(join(outputDir, 'state'), { recursive: true });
+  await writeFile(join(outputDir, 'state', '.state.proj.json'), JSON.stringify({ processedIssues: [], completedBranches: [], syncHistory: [], ...state }));
+}
+
+async function readState(outputDir) {
+  return JSON.parse(await readFile(join(outputDir, 'state', '.state.proj.json'), 'utf-8'));
+}
+
+test.beforeEach(async t => {
+  t.context.outputDir = join(tmpdir(), `cloudvoyager-delta-${randomUUID()}`);
+  await mkdir(join(t.context.outputDir, 'state'), { recursive: true });
+});
+
+test.afterEach.always(async t => {
+  await rm(t.context.outputDir, { recursive: true, force: true });
+});
+
+// -------- syncDeltaProject --------
+
+test('syncDeltaProject re-syncs changes since lastSync and records the high-water mark', async t => {
+  const { outputDir } = t.context;
+  await writeState(outputDir, { lastSync: SINCE });
+  const { pipeline } = createPipeline();
+
+  const result = await syncDeltaProject(createCtx(outputDir, pipeline));
+
+  t.is(result.status, 'synced');
+  t.is(result.since, SINCE);
+  t.is(pipeline.syncIssues.firstCall.args[3].changedSince, SINCE);
+  t.is(pipeline.extractHotspots.firstCall.args[2].updatedAfter, SINCE);
+  t.deepEqual(pipeline.syncHotspots.firstCall.args[1].map(h => h.key), ['h1']);
+
+  const state = await readState(outputDir);
+  t.is(state.syncHighWaterMark, result.highWaterMark);
+  t.is(state.lastSync, SINCE);
+  t.is(state.syncHistory.at(-1).mode, 'sync-delta');
+});
+
+test('syncDeltaProject skips projects with no recorded sync', async t => {
+  const { pipeline } = createPipeline();
+
+  const result = await syncDeltaProject(createCtx(t.context.outputDir, pipeline));
+
+  t.is(result.status, 'skipped');
+  t.true(pipeline.syncIssues.notCalled);
+});
+
+test('syncDeltaProject does not advance the high-water mark when a sync fails', async t => {
+  const { outputDir } = t.context;
+  await writeState(outputDir, { lastSync: SINCE, syncHighWaterMark: '2024-04-01T00:00:00.000Z' });
+  const { pipeline } = createPipeline({ syncIssues: sinon.stub().rejects(new Error('SC unavailable')) });
+
+  const result = await syncDeltaProject(createCtx(outputDir, pipeline));
+
+  t.is(result.status, 'failed');
+  t.is(result.error, 'SC unavailable');
+  t.is((await readState(outputDir)).syncHighWaterMark, '2024-04-01T00:00:00.000Z');
+});
+
+test('syncDeltaProject prefers --since over the recorded mark and skips the hotspot sync when nothing changed', async t => {
+  const { outputDir } = t.context;
+  await writeState(outputDir, { lastSync: SINCE });
+  const { pipeline } = createPipeline({ extractHotspots: sinon.stub().resolves([]) });
+
+  const result = await syncDeltaProject(createCtx(outputDir, pipeline, { since: '2024-05-01T00:00:00.000Z' }));
+
+  t.is(result.status, 'synced');
+  t.is(pipeline.syncIssues.firstCall.args[3].changedSince, '2024-05-01T00:00:00.000Z');
+  t.true(pipeline.syncHotspots.notCalled);
+});
+
+test('syncDeltaProject falls back to the time migrate started the project', async t => {
+  const { pipeline } = createPipeline();
+  const migrationMarks = new Map([['proj', SINCE]]);
+
+  const result = await syncDeltaProject(createCtx(t.context.outputDir, pipeline, { migrationMarks }));
+
+  t.is(result.status, 'synced');
+  t.is(result.since, SINCE);
+});
+
+// -------- loadMigrationMarks --------
+
+test('loadMigrationMarks reads the start time of completed projects from the journal', async t => {
+  const { outputDir } = t.context;
+  await writeFile(join(outputDir, 'state', 'migration.journal'), JSON.stringify({
+    organizations: { org1: { projects: {
+      proj: { status: 'completed', startedAt: SINCE },
+      other: { status: 'failed', startedAt: SINCE },
+    } } },
+  }));
+
+  const marks = await loadMigrationMarks(outputDir);
+
+  t.deepEqual([...marks], [['proj', SINCE]]);
+  t.is((await loadMigrationMarks(join(outputDir, 'missing'))).size, 0);
+});
@@ -0,0 +1,51 @@
+import test from 'ava';
+import { buildHistorySnapshots, buildHistoryData } from '../../src/shared/utils/analysis-history.js';
+
+// ============================================================================
+// buildHistorySnapshots
+// ============================================================================
+
+const analyses = [
+  { key: 'A3', date: '2026-03-01T10:00:00+0000', projectVersion: '1.2' },
+  { key: 'A1', date: '2026-01-01T10:00:00+0000', projectVersion: '1.0', revision: 'r1', events: [{ category: 'OTHER', name: 'Release' }, { category: 'QUALITY_GATE', name: 'Red' }] },
+  { key: 'A2', date: '2026-02-01T10:00:00+0000', projectVersion: '1.1' },
+];
+
+test('buildHistorySnapshots replays past analyses oldest first, leaving out the latest', t => {
+  const snapshots = buildHistorySnapshots(analyses, []);
+  t.deepEqual(snapshots.map(s => s.date), ['2026-01-01T10:00:00+0000', '2026-02-01T10:00:00+0000']);
+  t.is(snapshots[0].revision, 'r1');
+  t.deepEqual(snapshots[0].events, ['Release']);
+  t.is(snapshots[1].revision, null);
+});
+
+test('buildHistorySnapshots keeps the most recent maxAnalyses', t => {
+  const snapshots = buildHistorySnapshots(analyses, [], { maxAnalyses: 1 });
+  t.deepEqual(snapshots.map(s => s.projectVersion), ['1.1']);
+});
+
+test('buildHistorySnapshots matches measure history pages to analysis dates', t => {
+  const history = [
+    { metric: 'ncloc', history: [{ date: '2026-01-01T10:00:00+0000', value: '100' }] },
+    { metric: 'ncloc', history: [{ date: '2026-02-01T10:00:00+0000', value: '120' }] },
+    { metric: 'coverage', history: [{ date: '2026-02-01T10:00:00+0000' }] },
+  ];
+  const snapshots = buildHistorySnapshots(analyses, history);
+  t.deepEqual(snapshots[0].measures, [{ metric: 'ncloc', value: '100' }]);
+  t.deepEqual(snapshots[1].measures, [{ metric: 'ncloc', value: '120' }]);
+});
+
+// ============================================================================
+// buildHistoryData
+// ============================================================================
+
+test('buildHistoryData dates the snapshot and drops issues without touching the original', t => {
+  const extractedData = { issues: [{ key: 'I1' }], components: [], metadata: { extractedAt: 'now', mode: 'full', scmRevisionId: 'head' } };
+  const data = buildHistoryData(extractedData, { date: '2026-01-01T10:00:00+0000', revision: null, measures: [{ metric: 'ncloc', value: '100' }] });
+
+  t.deepEqual(data.issues, []);
+  t.deepEqual(data.projectMeasures, [{ metric: 'ncloc', value: '100' }]);
+  t.deepEqual(data.metadata, { extractedAt: '2026-01-01T10:00:00+0000', mode: 'full' });
+  t.is(extractedData.issues.length, 1);
+  t.is(extractedData.metadata.scmRevisionId, 'head');
+});
@@ -0,0 +1,64 @@
+import test from 'ava';
+import { normalizeApplicationProjects, planApplicationPortfolios, listBranchSelections } from '../../src/shared/utils/applications.js';
+import { handleMissingEnterpriseKey } from '../../src/shared/utils/portfolio-skip.js';
+
+const shop = {
+  key: 'shop-app', name: 'Shop', description: 'Storefront',
+  projects: normalizeApplicationProjects([
+    { key: 'web', name: 'Web', branch: 'main', isMain: true },
+    { key: 'api', branch: 'develop', isMain: false },
+  ]),
+  branches: [{ name: 'release', projects: normalizeApplicationProjects([{ key: 'web', branch: 'release-1', isMain: false }]) }],
+};
+
+// ============================================================================
+// normalizeApplicationProjects
+// ============================================================================
+
+test('normalizeApplicationProjects records the selected project branch', t => {
+  t.deepEqual(shop.projects, [
+    { key: 'web', name: 'Web', branch: 'main', isMainBranch: true },
+    { key: 'api', name: 'api', branch: 'develop', isMainBranch: false },
+  ]);
+  t.deepEqual(normalizeApplicationProjects(undefined), []);
+});
+
+// ============================================================================
+// planApplicationPortfolios
+// ============================================================================
+
+test('planApplicationPortfolios plans a manual portfolio over the application projects', t => {
+  const [portfolio] = planApplicationPortfolios([shop]);
+  t.is(portfolio.name, 'Shop');
+  t.is(portfolio.selectionMode, 'MANUAL');
+  t.is(portfolio.application, 'shop-app');
+  t.deepEqual(portfolio.projects, [{ key: 'web' }, { key: 'api' }]);
+});
+
+test('planApplicationPortfolios suffixes names already used by a portfolio', t => {
+  const [portfolio] = planApplicationPortfolios([shop], [{ key: 'pf', name: 'Shop' }]);
+  t.is(portfolio.name, 'Shop (application)');
+});
+
+// ============================================================================
+// listBranchSelections
+// ============================================================================
+
+test('listBranchSelections lists non-main project branches and application branches', t => {
+  t.deepEqual(listBranchSelections([shop]), [
+    { application: 'Shop', applicationBranch: null, project: 'api', projectBranch: 'develop' },
+    { application: 'Shop', applicationBranch: 'release', project: 'web', projectBranch: 'release-1' },
+  ]);
+});
+
+// ============================================================================
+// handleMissingEnterpriseKey
+// ============================================================================
+
+test('handleMissingEnterpriseKey counts skipped applications apart from portfolios', t => {
+  const results = { portfoliosSkipped: 0, applicationsSkipped: 0 };
+  handleMissingEnterpriseKey([{ key: 'pf' }], results);
+  handleMissingEnterpriseKey([shop, { key: 'other-app' }], results, 'application');
+  t.is(results.portfoliosSkipped, 1);
+  t.is(results.applicationsSkipped, 2);
+});
@@ -0,0 +1,36 @@
+import test from 'ava';
+import { toCustomRule, buildCreateRuleParams } from '../../src/shared/utils/custom-rules.js';
+
+// ============================================================================
+// toCustomRule
+// ============================================================================
+
+test('toCustomRule ignores rules without a template', t => {
+  t.is(toCustomRule({ key: 'java:S100', name: 'Plugin rule' }), null);
+});
+
+test('toCustomRule keeps the custom key and configured parameter values', t => {
+  const rule = toCustomRule({
+    key: 'java:no_legacy_dates', name: 'No legacy dates', templateKey: 'java:S3688', htmlDesc: '<p>Use java.time</p>',
+    lang: 'java', params: [{ key: 'className', defaultValue: 'java.util.Date' }, { key: 'unused', defaultValue: '' }],
+  });
+  t.is(rule.customKey, 'no_legacy_dates');
+  t.is(rule.markdownDescription, '<p>Use java.time</p>');
+  t.is(rule.severity, null);
+  t.deepEqual(rule.params, [{ key: 'className', value: 'java.util.Date' }]);
+});
+
+// ============================================================================
+// buildCreateRuleParams
+// ============================================================================
+
+test('buildCreateRuleParams quotes parameter values containing separators', t => {
+  const params = buildCreateRuleParams({
+    customKey: 'no_foo', templateKey: 'xml:XPathCheck', name: 'No foo', markdownDescription: 'Avoid foo', severity: null, status: null,
+    params: [{ key: 'expression', value: '//foo[@a="x;y"]' }, { key: 'message', value: 'Remove foo' }],
+  });
+  t.deepEqual(params, {
+    custom_key: 'no_foo', template_key: 'xml:XPathCheck', name: 'No foo', markdown_description: 'Avoid foo',
+    params: 'expression="//foo[@a=\\"x;y\\"]";message=Remove foo',
+  });
+});
@@ -0,0 +1,90 @@
+import test from 'ava';
+import { mkdir, rm, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import { openEventStream, emitEvent, closeEventStream, isEventStreamOpen, parseEventsTarget, EVENTS_SCHEMA_VERSION } from '../../src/shared/utils/events.js';
+import { MigrationJournal } from '../../src/shared/state/migration-journal.js';
+import { CheckpointJournal } from '../../src/shared/state/checkpoint.js';
+
+async function withEventFile(fn) {
+  const dir = join(tmpdir(), `cloudvoyager-test-${randomUUID()}`);
+  await mkdir(dir, { recursive: true });
+  const path = join(dir, 'events.ndjson');
+  try {
+    openEventStream(path, { command: 'migrate' });
+    await fn(dir);
+    closeEventStream();
+    return (await readFile(path, 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+  } finally {
+    closeEventStream();
+    await rm(dir, { recursive: true });
+  }
+}
+
+// ============================================================================
+// parseEventsTarget
+// ============================================================================
+
+test('parseEventsTarget treats bare integers as file descriptors', t => {
+  t.is(parseEventsTarget('3'), 3);
+  t.is(parseEventsTarget('./events.ndjson'), './events.ndjson');
+  t.throws(() => parseEventsTarget(' '), { message: /requires a file path/ });
+});
+
+// ============================================================================
+// emitEvent
+// ============================================================================
+
+test.serial('emitEvent writes versioned, sequenced NDJSON only while a stream is open', async t => {
+  emitEvent('ignored');
+  const events = await withEventFile(async () => {
+    t.true(isEventStreamOpen());
+    emitEvent('counts', { total: 2 });
+  });
+  t.false(isEventStreamOpen());
+  t.deepEqual(events.map(e => [e.seq, e.type]), [[1, 'run.start'], [2, 'counts']]);
+  t.is(events[1].v, EVENTS_SCHEMA_VERSION);
+  t.is(events[1].command, 'migrate');
+  t.is(events[1].total, 2);
+});
+
+// ============================================================================
+// Journal hooks
+// ============================================================================
+
+test.serial('migration journal emits project lifecycle events with progress', async t => {
+  const events = await withEventFile(async dir => {
+    const journal = new MigrationJournal(join(dir, 'migration.journal'));
+    await journal.initialize({});
+    await journal.seedOrganizations([{ org: { key: 'org1' }, projects: [{ key: 'a' }, { key: 'b' }] }]);
+    await journal.startProject('org1', 'a', 'org1_a');
+    await journal.completeProjectStep('org1', 'a', 'Upload scanner report');
+    await journal.markProjectCompleted('org1', 'a');
+    await journal.startProject('org1', 'b');
+    await journal.markProjectFailed('org1', 'b', 'boom');
+  });
+  const byType = events.filter(e => e.type !== 'run.start');
+  t.deepEqual(byType.map(e => e.type), ['counts', 'project.start', 'project.step', 'project.complete', 'project.start', 'project.fail']);
+  t.like(byType[0], { organizations: 1, total: 2, completed: 0 });
+  t.like(byType[1], { organization: 'org1', project: 'a', scProject: 'org1_a' });
+  t.is(byType[2].step, 'Upload scanner report');
+  t.deepEqual(byType[5].progress, { total: 2, completed: 1, failed: 1 });
+  t.is(byType[5].error, 'boom');
+});
+
+test.serial('checkpoint journal emits phase, branch and CE task events for its project', async t => {
+  const events = await withEventFile(async dir => {
+    const journal = new CheckpointJournal(join(dir, 'state.journal'));
+    await journal.initialize({ projectKey: 'my-project' });
+    await journal.startPhase('extract');
+    await journal.completePhase('extract');
+    await journal.startBranch('main');
+    await journal.recordUpload('main', 'AX-1');
+    await journal.markBranchCompleted('main', 'AX-1');
+  });
+  const byType = events.filter(e => e.type !== 'run.start');
+  t.deepEqual(byType.map(e => e.type), ['phase.start', 'phase.end', 'branch.start', 'ce.task', 'branch.complete']);
+  t.true(byType.every(e => e.project === 'my-project'));
+  t.like(byType[3], { branch: 'main', taskId: 'AX-1' });
+});
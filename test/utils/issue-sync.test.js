@@ -3,6 +3,9 @@ import sinon from 'sinon';
 import { hasManualChanges } from '../../src/shared/utils/issue-sync/has-manual-changes.js';
 import { fetchSqChangelogs } from '../../src/shared/utils/issue-sync/fetch-sq-changelogs.js';
 import { applyManualChangesPreFilter } from '../../src/shared/utils/issue-sync/apply-pre-filter.js';
+import { wasUpdatedSince, hasChangesSince } from '../../src/shared/utils/issue-sync/has-changes-since.js';
+import { planCommentSync, hasComment, formatMigratedComment } from '../../src/shared/utils/issue-sync/plan-comment-sync.js';
+import { findManualOverrides, planOverrideSync, hasOverridesToApply } from '../../src/shared/utils/issue-sync/plan-override-sync.js';
 
 test.afterEach(() => sinon.restore());
 
@@ -345,6 +348,48 @@ test('applyManualChangesPreFilter sets filtered to total when no issues qualify'
   t.is(changelogMap.size, 2);
 });
 
+test('applyManualChangesPreFilter with since only keeps issues changed after it', async t => {
+  const since = '2024-03-01T00:00:00.000Z';
+  const sqClient = {
+    getIssueChangelog: sinon.stub().callsFake(async key => (key === 'i2'
+      ? [{ user: 'alice', creationDate: '2024-03-02T10:00:00+0000', diffs: [{ key: 'status' }] }]
+      : [{ user: 'alice', creationDate: '2024-01-10T10:00:00+0000', diffs: [{ key: 'status' }] }])),
+  };
+  const issues = [
+    { key: 'i1', updateDate: '2024-02-01T00:00:00+0000' },
+    { key: 'i2', updateDate: '2024-03-02T10:00:00+0000' },
+    { key: 'i3', updateDate: '2024-03-05T00:00:00+0000', comments: [{ createdAt: '2024-03-04T00:00:00+0000' }] },
+    { key: 'i4', updateDate: '2024-03-05T00:00:00+0000' },
+  ];
+  const stats = { filtered: 0 };
+
+  const { issuesToSync, changelogMap } = await applyManualChangesPreFilter(issues, sqClient, stats, 5, since);
+
+  t.deepEqual(issuesToSync.map(i => i.key), ['i2', 'i3']);
+  t.is(stats.filtered, 2);
+  t.is(sqClient.getIssueChangelog.callCount, 3, 'issues not updated since are not fetched');
+  t.false(changelogMap.has('i1'));
+});
+
+// ============================================================================
+// wasUpdatedSince / hasChangesSince
+// ============================================================================
+
+test('wasUpdatedSince compares updateDate and keeps items without one', t => {
+  const since = '2024-03-01T00:00:00.000Z';
+  t.true(wasUpdatedSince({ updateDate: '2024-03-01T00:00:01+0000' }, since));
+  t.false(wasUpdatedSince({ updateDate: '2024-03-01T00:00:00+0000' }, since));
+  t.true(wasUpdatedSince({}, since));
+});
+
+test('hasChangesSince looks at changelog entries and comments', t => {
+  const since = '2024-03-01T00:00:00.000Z';
+  t.true(hasChangesSince({}, [{ creationDate: '2024-03-02T00:00:00+0000' }], since));
+  t.true(hasChangesSince({ comments: [{ createdAt: '2024-03-02T00:00:00+0000' }] }, [], since));
+  t.false(hasChangesSince({ comments: [{ createdAt: '2024-02-02T00:00:00+0000' }] }, [{ creationDate: '2024-02-01T00:00:00+0000' }], since));
+  t.false(hasChangesSince({}, null, since));
+});
+
 // ============================================================================
 // Performance regression: pre-filter eliminates unnecessary work
 // ============================================================================
@@ -436,3 +481,84 @@ test('pre-filter with realistic mixed data stays within performance tolerance',
     `Filtering ${totalIssues} issues took ${elapsed.toFixed(0)}ms, expected <1000ms`,
   );
 });
+
+// ============================================================================
+// planCommentSync - Idempotent comment migration
+// ============================================================================
+
+test('planCommentSync only plans comments missing from SonarCloud', t => {
+  const sqComments = [
+    { login: 'alice', createdAt: '2024-01-01T10:00:00+0000', markdown: 'First' },
+    { login: 'bob', createdAt: '2024-01-02T10:00:00+0000', htmlText: 'Second' },
+  ];
+  const existing = [
+    { markdown: formatMigratedComment(sqComments[0]) },
+    { markdown: 'A comment written directly in SonarCloud' },
+  ];
+
+  const plan = planCommentSync(sqComments, existing);
+
+  t.is(plan.alreadyPresent, 1);
+  t.deepEqual(plan.toAdd, ['[Migrated from SonarQube] bob (2024-01-02T10:00:00+0000): Second']);
+});
+
+test('planCommentSync matches bodies regardless of whitespace and counts duplicates separately', t => {
+  const comment = { login: 'alice', createdAt: '2024-01-01', markdown: 'Same\ntext' };
+  const existing = [{ markdown: '[Migrated from SonarQube] alice (2024-01-01): Same  text ' }];
+
+  const plan = planCommentSync([comment, comment], existing);
+
+  t.is(plan.alreadyPresent, 1);
+  t.is(plan.toAdd.length, 1);
+});
+
+test('planCommentSync plans everything when nothing was migrated yet', t => {
+  const plan = planCommentSync([{ markdown: 'x' }], undefined);
+  t.deepEqual(plan, { toAdd: ['[Migrated from SonarQube] unknown (): x'], alreadyPresent: 0 });
+});
+
+test('hasComment finds marker comments by their text', t => {
+  const existing = [{ htmlText: 'Link to [Original issue](http://sq/x)' }];
+  t.true(hasComment(existing, 'Link to [Original issue](http://sq/x)'));
+  t.false(hasComment(existing, 'Link to [Original issue](http://sq/y)'));
+  t.false(hasComment(undefined, 'anything'));
+});
+
+// ============================================================================
+// planOverrideSync - Manual severity, type and impact overrides
+// ============================================================================
+
+test('findManualOverrides only counts changes made by a user', t => {
+  const overrides = findManualOverrides([
+    { user: 'alice', diffs: [{ key: 'severity', newValue: 'MINOR' }, { key: 'impactSeverity', newValue: 'SECURITY:LOW' }] },
+    { diffs: [{ key: 'type', newValue: 'BUG' }] },
+  ]);
+  t.true(overrides.severity);
+  t.false(overrides.type);
+  t.deepEqual([...overrides.impacts], ['SECURITY']);
+  t.deepEqual(findManualOverrides(undefined), { severity: false, type: false, impacts: new Set() });
+});
+
+test('planOverrideSync replays the current SQ values that differ on SonarCloud', t => {
+  const changelog = [{ user: 'alice', diffs: [
+    { key: 'severity', newValue: 'MINOR' },
+    { key: 'type', newValue: 'BUG' },
+    { key: 'impactSeverity', newValue: 'MAINTAINABILITY:LOW' },
+    { key: 'impactSeverity', newValue: 'SECURITY:HIGH' },
+  ] }];
+  const sqIssue = {
+    severity: 'MINOR', type: 'CODE_SMELL',
+    impacts: [{ softwareQuality: 'MAINTAINABILITY', severity: 'LOW' }, { softwareQuality: 'SECURITY', severity: 'HIGH' }],
+  };
+  const scIssue = { severity: 'MAJOR', type: 'CODE_SMELL', impacts: [{ softwareQuality: 'MAINTAINABILITY', severity: 'MEDIUM' }] };
+
+  const plan = planOverrideSync(sqIssue, scIssue, changelog);
+
+  t.deepEqual(plan, { severity: 'MINOR', type: null, impacts: [{ softwareQuality: 'MAINTAINABILITY', severity: 'LOW' }] });
+  t.true(hasOverridesToApply(plan));
+});
+
+test('planOverrideSync ignores differences nobody overrode by hand', t => {
+  const plan = planOverrideSync({ severity: 'MINOR', type: 'BUG' }, { severity: 'MAJOR', type: 'CODE_SMELL' }, [{ user: 'alice', diffs: [{ key: 'status' }] }]);
+  t.false(hasOverridesToApply(plan));
+});
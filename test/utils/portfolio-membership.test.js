@@ -0,0 +1,128 @@
+import test from 'ava';
+import sinon from 'sinon';
+import { normalizeSubPortfolios, resolveTaggedPortfolioProjects, selectPortfolioMembers, planPortfolios, describeMembershipChange } from '../../src/shared/utils/portfolio-membership.js';
+
+// ============================================================================
+// normalizeSubPortfolios
+// ============================================================================
+
+test('normalizeSubPortfolios keeps selection modes and nested sub-portfolios', t => {
+  const subs = normalizeSubPortfolios([
+    { key: 'sv1', name: 'Backend', selectionMode: 'TAGS', tags: 'backend, api', subViews: [{ key: 'sv2', name: 'Core', selectionMode: 'MANUAL', selectedProjects: ['core-a'] }] },
+    { key: 'ref', name: 'Shared', qualifier: 'VW', originalKey: 'PF_SHARED' },
+  ]);
+  t.deepEqual(subs[0].tags, ['backend', 'api']);
+  t.deepEqual(subs[0].subPortfolios[0].projects, [{ key: 'core-a' }]);
+  t.is(subs[1].refKey, 'PF_SHARED');
+  t.is(subs[1].selectionMode, 'MANUAL');
+});
+
+// ============================================================================
+// resolveTaggedPortfolioProjects
+// ============================================================================
+
+test('resolveTaggedPortfolioProjects looks up tagged projects for portfolios and sub-portfolios', async t => {
+  const getPaginated = sinon.stub().resolves([{ key: 'p1' }, { key: 'p2' }]);
+  const portfolios = [{ name: 'Top', selectionMode: 'MANUAL', subPortfolios: [{ name: 'Sub', selectionMode: 'TAGS', tags: ['team-a'], subPortfolios: [] }] }];
+  await resolveTaggedPortfolioProjects({ getPaginated }, portfolios);
+  t.deepEqual(portfolios[0].subPortfolios[0].taggedProjectKeys, ['p1', 'p2']);
+  t.is(portfolios[0].taggedProjectKeys, undefined);
+  t.is(getPaginated.firstCall.args[1].filter, 'tags IN (team-a)');
+});
+
+test('resolveTaggedPortfolioProjects leaves a portfolio empty when the lookup fails', async t => {
+  const portfolios = [{ name: 'Top', selectionMode: 'TAGS', tags: ['x'] }];
+  await resolveTaggedPortfolioProjects({ getPaginated: sinon.stub().rejects(new Error('boom')) }, portfolios);
+  t.deepEqual(portfolios[0].taggedProjectKeys, []);
+});
+
+// ============================================================================
+// selectPortfolioMembers
+// ============================================================================
+
+const migrated = new Set(['shop-api', 'shop-web', 'billing']);
+
+test('selectPortfolioMembers evaluates tags against the migrated projects', t => {
+  const result = selectPortfolioMembers({ selectionMode: 'TAGS', taggedProjectKeys: ['shop-api', 'legacy'] }, migrated);
+  t.deepEqual(result, { keys: ['shop-api'], excluded: ['legacy'] });
+});
+
+test('selectPortfolioMembers matches the whole key for REGEXP selections', t => {
+  t.deepEqual(selectPortfolioMembers({ selectionMode: 'REGEXP', regexp: 'shop-.*' }, migrated).keys, ['shop-api', 'shop-web']);
+  t.deepEqual(selectPortfolioMembers({ selectionMode: 'REGEXP', regexp: 'shop' }, migrated).keys, []);
+  t.deepEqual(selectPortfolioMembers({ name: 'Bad', selectionMode: 'REGEXP', regexp: '(' }, migrated).keys, []);
+});
+
+test('selectPortfolioMembers keeps every MANUAL project and selects nothing for NONE', t => {
+  t.deepEqual(selectPortfolioMembers({ selectionMode: 'MANUAL', projects: [{ key: 'old-project' }] }, migrated).keys, ['old-project']);
+  t.deepEqual(selectPortfolioMembers({ selectionMode: 'NONE' }, migrated).keys, []);
+});
+
+// ============================================================================
+// planPortfolios
+// ============================================================================
+
+const hierarchy = [
+  {
+    key: 'PF', name: 'Company', selectionMode: 'MANUAL', projects: [{ key: 'billing' }],
+    subPortfolios: [
+      { key: 'SV_SHOP', name: 'Shop', selectionMode: 'REGEXP', regexp: 'shop-.*', projects: [], subPortfolios: [] },
+      { key: 'SV_REF', name: 'Linked', refKey: 'PF_OTHER', subPortfolios: [] },
+    ],
+  },
+  { key: 'PF_OTHER', name: 'Other', selectionMode: 'TAGS', taggedProjectKeys: ['shop-web', 'archived'], subPortfolios: [] },
+  { key: 'PF_ALL', name: 'Everything', selectionMode: 'REST', projects: [] },
+];
+
+test('planPortfolios flattens sub-portfolios into their top-level portfolio', t => {
+  const planned = planPortfolios(hierarchy, migrated);
+  t.deepEqual(planned.map(p => p.name), ['Company', 'Other', 'Everything']);
+  t.deepEqual(planned[0].projects.map(p => p.key).sort(), ['billing', 'shop-api', 'shop-web']);
+  t.deepEqual(planned[0].inheritedFrom, ['Company / Shop', 'Company / Linked']);
+  t.deepEqual(planned[0].excludedProjects, ['archived']);
+  t.is(planned[2].selectionMode, 'REST');
+});
+
+test('planPortfolios with the separate strategy also creates each sub-portfolio', t => {
+  const planned = planPortfolios(hierarchy, migrated, 'separate');
+  t.deepEqual(planned.map(p => p.name), ['Company', 'Company / Shop', 'Company / Linked', 'Other', 'Everything']);
+  t.is(planned[1].parent, 'Company');
+  t.is(planned[1].selectionMode, 'MANUAL');
+  t.deepEqual(planned[1].projects, [{ key: 'shop-api' }, { key: 'shop-web' }]);
+});
+
+test('planPortfolios plans an "all projects" sub-portfolio as MANUAL with the migrated projects', t => {
+  const planned = planPortfolios([
+    { key: 'PF', name: 'Company', selectionMode: 'MANUAL', projects: [], subPortfolios: [{ key: 'SV_ALL', name: 'All', selectionMode: 'REST', projects: [], subPortfolios: [] }] },
+  ], migrated, 'separate');
+  t.deepEqual(planned.map(p => [p.name, p.selectionMode]), [['Company', 'MANUAL'], ['Company / All', 'MANUAL']]);
+  t.deepEqual(planned[1].projects.map(p => p.key).sort(), [...migrated].sort());
+});
+
+test('planPortfolios skips sub-portfolios that refer back to a parent', t => {
+  const planned = planPortfolios([{ key: 'A', name: 'A', selectionMode: 'MANUAL', projects: [], subPortfolios: [{ key: 'R', name: 'Loop', refKey: 'A' }] }], migrated);
+  t.is(planned.length, 1);
+  t.deepEqual(planned[0].inheritedFrom, []);
+});
+
+// ============================================================================
+// describeMembershipChange
+// ============================================================================
+
+test('describeMembershipChange reports renamed, missing, excluded and inherited members', t => {
+  const change = describeMembershipChange(
+    { name: 'Company', selectionMode: 'MANUAL', projects: [{ key: 'billing' }, { key: 'shop-api' }, { key: 'gone' }], excludedProjects: ['archived'], inheritedFrom: ['Company / Shop'] },
+    new Map([['billing', 'acme_billing']]),
+    new Map([['acme_billing', { id: '1' }], ['shop-api', { id: '2' }]]),
+  );
+  t.is(change.members, 2);
+  t.deepEqual(change.renamed, [{ sonarqube: 'billing', sonarcloud: 'acme_billing' }]);
+  t.deepEqual(change.missing, ['gone']);
+  t.deepEqual(change.excluded, ['archived']);
+});
+
+test('describeMembershipChange returns null for unchanged and "all projects" portfolios', t => {
+  const uuids = new Map([['p1', { id: '1' }]]);
+  t.is(describeMembershipChange({ name: 'Same', selectionMode: 'MANUAL', projects: [{ key: 'p1' }] }, new Map(), uuids), null);
+  t.is(describeMembershipChange({ name: 'All', selectionMode: 'REST', projects: [] }, new Map(), uuids), null);
+});
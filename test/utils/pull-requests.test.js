@@ -0,0 +1,33 @@
+import test from 'ava';
+import { filterPullRequests, buildPullRequestMetadata, pullRequestLabel } from '../../src/shared/utils/pull-requests.js';
+
+const NOW = Date.parse('2026-10-18T00:00:00Z');
+
+const pr = (key, analysisDate, qualityGateStatus = 'OK') => ({ key, branch: `feature/${key}`, base: 'main', analysisDate, status: { qualityGateStatus } });
+
+// ============================================================================
+// filterPullRequests
+// ============================================================================
+
+test('filterPullRequests drops never-analyzed, stale and excluded pull requests', t => {
+  const prs = [pr('1', '2026-10-10T00:00:00Z'), pr('2', '2026-08-01T00:00:00Z'), pr('3', null), pr('4', '2026-10-17T00:00:00Z')];
+  const kept = filterPullRequests(prs, { maxAgeDays: 30, exclude: ['4'] }, NOW);
+  t.deepEqual(kept.map(p => p.key), ['1']);
+});
+
+test('filterPullRequests keeps only the requested quality gate states', t => {
+  const prs = [pr('1', '2026-10-10T00:00:00Z', 'ERROR'), pr('2', '2026-10-10T00:00:00Z', 'OK'), { ...pr('3', '2026-10-10T00:00:00Z'), status: undefined }];
+  t.deepEqual(filterPullRequests(prs, { qualityGateStatuses: ['ERROR', 'NONE'] }, NOW).map(p => p.key), ['1', '3']);
+  t.is(filterPullRequests(prs, {}, NOW).length, 3);
+});
+
+// ============================================================================
+// buildPullRequestMetadata / pullRequestLabel
+// ============================================================================
+
+test('buildPullRequestMetadata falls back to the given branch when SonarQube reports no base', t => {
+  t.deepEqual(buildPullRequestMetadata({ key: 7, branch: 'fix' }, 'main'), {
+    branchName: 'fix', branchType: 2, pullRequestKey: '7', targetBranchName: 'main', referenceBranchName: 'main',
+  });
+  t.is(pullRequestLabel({ key: 7 }), 'PR #7');
+});
@@ -0,0 +1,62 @@
+import test from 'ava';
+import { translateConditionMetric, translateGateConditions, planConditionChanges, hasCompatibilityFindings } from '../../src/shared/utils/quality-gate-conditions.js';
+
+// ============================================================================
+// translateConditionMetric
+// ============================================================================
+
+test('translateConditionMetric maps MQR metrics and keeps supported ones', t => {
+  t.is(translateConditionMetric('software_quality_maintainability_rating'), 'sqale_rating');
+  t.is(translateConditionMetric('new_software_quality_security_rating'), 'new_security_rating');
+  t.is(translateConditionMetric('software_quality_high_issues'), null);
+  t.is(translateConditionMetric('new_coverage'), 'new_coverage');
+});
+
+// ============================================================================
+// translateGateConditions
+// ============================================================================
+
+test('translateGateConditions translates, drops unmappable conditions and keeps the rest', t => {
+  const plan = translateGateConditions([
+    { metric: 'new_software_quality_maintainability_rating', op: 'GT', error: '1' },
+    { metric: 'prioritized_rule_issues', op: 'GT', error: '0' },
+    { metric: 'new_coverage', op: 'LT', error: '80' },
+  ]);
+  t.deepEqual(plan.conditions.map(c => c.metric), ['new_maintainability_rating', 'new_coverage']);
+  t.deepEqual(plan.translated.map(c => [c.from, c.to]), [['new_software_quality_maintainability_rating', 'new_maintainability_rating']]);
+  t.deepEqual(plan.dropped.map(c => c.metric), ['prioritized_rule_issues']);
+});
+
+test('translateGateConditions drops a condition that duplicates a translated metric', t => {
+  const plan = translateGateConditions([
+    { metric: 'new_reliability_rating', op: 'GT', error: '1' },
+    { metric: 'new_software_quality_reliability_rating', op: 'GT', error: '2' },
+  ]);
+  t.is(plan.conditions.length, 1);
+  t.is(plan.dropped[0].reason, 'Duplicates the new_reliability_rating condition');
+  t.deepEqual(translateGateConditions(undefined), { conditions: [], translated: [], dropped: [] });
+});
+
+// ============================================================================
+// planConditionChanges
+// ============================================================================
+
+test('planConditionChanges matches conditions by metric and plans creates, updates and deletes', t => {
+  const plan = planConditionChanges(
+    [{ id: 'sq1', metric: 'coverage', op: 'LT', error: '80' }, { id: 'sq2', metric: 'new_coverage', op: 'LT', error: '90' }, { id: 'sq3', metric: 'sqale_rating', op: 'GT', error: '1' }],
+    [{ id: 'c1', metric: 'coverage', op: 'LT', error: '70' }, { id: 'c2', metric: 'sqale_rating', op: 'GT', error: 1 }, { id: 'c3', metric: 'duplicated_lines_density', op: 'GT', error: '3' }],
+  );
+  t.deepEqual(plan.toCreate, [{ metric: 'new_coverage', op: 'LT', error: '90', action: 'create' }], 'the SonarQube id is not carried over');
+  t.deepEqual(plan.toUpdate, [{ id: 'c1', metric: 'coverage', op: 'LT', error: '80', action: 'update' }]);
+  t.deepEqual(plan.toDelete.map(c => c.id), ['c3']);
+  t.deepEqual(planConditionChanges([], undefined), { toCreate: [], toUpdate: [], toDelete: [] });
+});
+
+// ============================================================================
+// hasCompatibilityFindings
+// ============================================================================
+
+test('hasCompatibilityFindings is false for gates migrated as-is', t => {
+  t.false(hasCompatibilityFindings({ translated: [], dropped: [], rejected: [] }));
+  t.true(hasCompatibilityFindings({ translated: [], dropped: [], rejected: [{ metric: 'coverage' }] }));
+});
@@ -0,0 +1,85 @@
+import test from 'ava';
+import { collectRuleActivations, diffRuleTuning, compareProfileInheritance, addTuningTotals, listTuningFindings } from '../../src/shared/utils/quality-profile-tuning.js';
+import { createRuleKeyTranslator } from '../../src/shared/utils/rule-keys.js';
+
+// ============================================================================
+// collectRuleActivations
+// ============================================================================
+
+test('collectRuleActivations keeps the activation of the requested profile', t => {
+  const actives = {
+    'java:S107': [
+      { qProfile: 'other', severity: 'MINOR', params: [] },
+      { qProfile: 'p1', inherit: 'OVERRIDES', severity: 'CRITICAL', params: [{ key: 'max', value: '5' }], impacts: [{ softwareQuality: 'MAINTAINABILITY', severity: 'HIGH' }] },
+    ],
+    'java:S100': [{ qProfile: 'other', severity: 'MINOR' }],
+  };
+  t.deepEqual(collectRuleActivations(actives, 'p1'), [
+    { ruleKey: 'java:S107', severity: 'CRITICAL', inherit: 'OVERRIDES', params: { max: '5' }, impacts: { MAINTAINABILITY: 'HIGH' } },
+  ]);
+  t.deepEqual(collectRuleActivations(undefined, 'p1'), []);
+});
+
+// ============================================================================
+// diffRuleTuning
+// ============================================================================
+
+test('diffRuleTuning reports severity, parameter and impact differences of shared rules', t => {
+  const keys = createRuleKeyTranslator();
+  const sq = [
+    { ruleKey: 'squid:S107', severity: 'CRITICAL', inherit: 'NONE', params: { max: '5', unused: '' }, impacts: { MAINTAINABILITY: 'HIGH' } },
+    { ruleKey: 'java:S100', severity: 'MINOR', inherit: 'NONE', params: { format: '^[a-z]+$' }, impacts: null },
+    { ruleKey: 'java:S1', severity: 'MAJOR', inherit: 'NONE', params: {}, impacts: null },
+  ];
+  const sc = [
+    { ruleKey: 'java:S107', severity: 'MAJOR', inherit: 'INHERITED', params: { max: '7' }, impacts: { MAINTAINABILITY: 'MEDIUM' } },
+    { ruleKey: 'java:S100', severity: 'MINOR', inherit: 'NONE', params: { format: '^[a-z]+$' }, impacts: { MAINTAINABILITY: 'LOW' } },
+  ];
+
+  const differences = diffRuleTuning(sq, sc, keys.canonical);
+
+  t.is(differences.length, 1);
+  t.deepEqual(differences[0], {
+    key: 'squid:S107', sonarcloudKey: 'java:S107',
+    severity: { sonarqube: 'CRITICAL', sonarcloud: 'MAJOR' },
+    params: [{ key: 'max', sonarqube: '5', sonarcloud: '7' }],
+    impacts: [{ softwareQuality: 'MAINTAINABILITY', sonarqube: 'HIGH', sonarcloud: 'MEDIUM' }],
+    inherit: { sonarqube: 'NONE', sonarcloud: 'INHERITED' },
+  });
+});
+
+// ============================================================================
+// compareProfileInheritance
+// ============================================================================
+
+test('compareProfileInheritance walks both parent chains, ignoring the migrated suffix', t => {
+  const sqProfiles = [{ key: 'a', name: 'Child', parentKey: 'b' }, { key: 'b', name: 'Sonar way' }];
+  const scProfiles = [{ key: 'x', name: 'Child', parentKey: 'y' }, { key: 'y', name: 'Sonar way (SonarQube Migrated)' }, { key: 'z', name: 'Child' }];
+
+  const same = compareProfileInheritance(sqProfiles[0], scProfiles[0], sqProfiles, scProfiles, ' (SonarQube Migrated)');
+  t.deepEqual(same, { sonarqube: ['Child', 'Sonar way'], sonarcloud: ['Child', 'Sonar way (SonarQube Migrated)'], matches: true });
+  t.false(compareProfileInheritance(sqProfiles[0], scProfiles[2], sqProfiles, scProfiles, ' (SonarQube Migrated)').matches);
+});
+
+// ============================================================================
+// addTuningTotals / listTuningFindings
+// ============================================================================
+
+test('addTuningTotals and listTuningFindings summarize profiles tuned differently', t => {
+  const report = {
+    languages: {
+      java: {
+        sonarqubeProfile: 'Strict', sonarcloudProfile: 'Strict', inheritance: { matches: true },
+        ruleDifferences: [{ key: 'java:S107', severity: { sonarqube: 'CRITICAL', sonarcloud: 'MAJOR' }, params: [{ key: 'max' }, { key: 'min' }], impacts: [] }],
+      },
+      js: { sonarqubeProfile: 'Web', sonarcloudProfile: 'Web', inheritance: { matches: false }, ruleDifferences: [] },
+      py: { sonarqubeProfile: 'Py', sonarcloudProfile: 'Py', inheritance: { matches: true }, ruleDifferences: [] },
+    },
+  };
+  const summary = { totalRuleDifferences: 0, totalSeverityDifferences: 0, totalParameterDifferences: 0, totalImpactDifferences: 0, inheritanceMismatches: 0 };
+  for (const langDiff of Object.values(report.languages)) addTuningTotals(summary, langDiff);
+
+  t.deepEqual(summary, { totalRuleDifferences: 1, totalSeverityDifferences: 1, totalParameterDifferences: 2, totalImpactDifferences: 0, inheritanceMismatches: 1 });
+  t.deepEqual(listTuningFindings(report, 'my-org').map(f => f.language), ['java', 'js']);
+  t.is(listTuningFindings(report, 'my-org')[0].organization, 'my-org');
+});
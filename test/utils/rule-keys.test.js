@@ -0,0 +1,67 @@
+import test from 'ava';
+import { normalizeRuleKey, createRuleKeyTranslator, canonicalRuleKey, translateExtractedRuleKeys } from '../../src/shared/utils/rule-keys.js';
+
+// ============================================================================
+// normalizeRuleKey
+// ============================================================================
+
+test('normalizeRuleKey drops the external_ prefix and renames legacy repositories', t => {
+  t.is(normalizeRuleKey('external_mulesoft:MS001'), 'mulesoft:MS001');
+  t.is(normalizeRuleKey('squid:S1234'), 'java:S1234');
+  t.is(normalizeRuleKey('javascript:S1481'), 'javascript:S1481');
+  t.is(normalizeRuleKey(null), null);
+});
+
+// ============================================================================
+// createRuleKeyTranslator
+// ============================================================================
+
+test('createRuleKeyTranslator resolves deprecated keys from both servers to one canonical key', t => {
+  const keys = createRuleKeyTranslator({
+    sonarqube: [{ key: 'java:S112', deprecatedKeys: { deprecatedKey: ['squid:S00112'] } }],
+    sonarcloud: [{ key: 'java:S112' }, { key: 'python:S5754', deprecatedKeys: ['python:BareExcept'] }],
+  });
+  t.is(keys.canonical('squid:S00112'), 'java:S112');
+  t.is(keys.canonical('java:S112'), 'java:S112');
+  t.is(keys.canonical('python:BareExcept'), 'python:S5754');
+  t.is(canonicalRuleKey('squid:S00112', keys), 'java:S112');
+  t.is(canonicalRuleKey('squid:S00112'), 'java:S00112');
+  t.is(keys.size, 2);
+});
+
+test('createRuleKeyTranslator lets SonarCloud aliases win and maps keys to SonarCloud', t => {
+  const keys = createRuleKeyTranslator({
+    sonarqube: [{ key: 'js:OldName', deprecatedKeys: ['js:Legacy'] }],
+    sonarcloud: [{ key: 'javascript:S1000', deprecatedKeys: ['js:Legacy', 'js:OldName'] }],
+  });
+  t.is(keys.toSonarCloud('js:Legacy'), 'javascript:S1000');
+  t.is(keys.toSonarCloud('js:OldName'), 'javascript:S1000');
+  t.is(keys.toSonarCloud('squid:S100'), 'java:S100');
+  t.is(keys.toSonarCloud('external_eslint:no-var'), 'external_eslint:no-var');
+});
+
+test('createRuleKeyTranslator stops on alias cycles', t => {
+  const keys = createRuleKeyTranslator({
+    sonarqube: [{ key: 'java:A', deprecatedKeys: ['java:B'] }, { key: 'java:B', deprecatedKeys: ['java:A'] }],
+  });
+  t.truthy(keys.canonical('java:A'));
+  t.truthy(keys.canonical('java:B'));
+});
+
+// ============================================================================
+// translateExtractedRuleKeys
+// ============================================================================
+
+test('translateExtractedRuleKeys rewrites active rules and issue rules without touching the original', t => {
+  const keys = createRuleKeyTranslator({ sonarcloud: [{ key: 'java:S112', deprecatedKeys: ['squid:S00112'] }] });
+  const extractedData = {
+    activeRules: [{ ruleRepository: 'squid', ruleKey: 'squid:S00112' }, { ruleRepository: 'java', ruleKey: 'java:S100' }],
+    issues: [{ key: 'I1', rule: 'squid:S00112' }],
+  };
+  const data = translateExtractedRuleKeys(extractedData, keys);
+  t.deepEqual(data.activeRules[0], { ruleRepository: 'java', ruleKey: 'java:S112' });
+  t.is(data.activeRules[1], extractedData.activeRules[1]);
+  t.is(data.issues[0].rule, 'java:S112');
+  t.is(extractedData.issues[0].rule, 'squid:S00112');
+  t.is(translateExtractedRuleKeys(extractedData, null), extractedData);
+});
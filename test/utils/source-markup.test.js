@@ -0,0 +1,72 @@
+import test from 'ava';
+import { parseLineMarkup, parseSourceMarkup, parseLineCoverage, filterRangesToSource } from '../../src/shared/utils/source-markup.js';
+
+// ============================================================================
+// parseLineMarkup
+// ============================================================================
+
+test('parseLineMarkup decodes entities so offsets match the raw source', t => {
+  const { text, spans } = parseLineMarkup('a &lt; <span class="s">&quot;&#39;&#x41;&quot;</span> &amp;');
+  t.is(text, 'a < "\'A" &');
+  t.deepEqual(spans, [{ classes: ['s'], start: 4, end: 8 }]);
+});
+
+test('parseLineMarkup reports spans left open so they continue on the next line', t => {
+  const first = parseLineMarkup('x <span class="cd">/* open');
+  t.deepEqual(first.spans, [{ classes: ['cd'], start: 2, end: 9 }]);
+  t.deepEqual(first.open, [['cd']]);
+
+  const second = parseLineMarkup('close */</span> y', first.open);
+  t.deepEqual(second.spans, [{ classes: ['cd'], start: 0, end: 8 }]);
+  t.deepEqual(second.open, []);
+});
+
+// ============================================================================
+// parseSourceMarkup
+// ============================================================================
+
+test('parseSourceMarkup keeps only the outermost of nested highlighting spans', t => {
+  const { rules } = parseSourceMarkup([{ line: 1, code: '<span class="a">@A(<span class="s">"v"</span>)</span>' }]);
+  t.deepEqual(rules, [{ range: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 7 }, type: 1 }]);
+});
+
+test('parseSourceMarkup treats the first occurrence of a symbol as its declaration', t => {
+  const { symbols } = parseSourceMarkup([
+    { line: 2, code: 'use(<span class="sym-9 sym">n</span>)' },
+    { line: 1, code: 'let <span class="sym-9 sym">n</span>' },
+  ]);
+  t.deepEqual(symbols, [{
+    declaration: { startLine: 1, endLine: 1, startOffset: 4, endOffset: 5 },
+    reference: [{ startLine: 2, endLine: 2, startOffset: 4, endOffset: 5 }],
+  }]);
+});
+
+// ============================================================================
+// parseLineCoverage
+// ============================================================================
+
+test('parseLineCoverage falls back to unit-test fields and caps covered conditions', t => {
+  const coverage = parseLineCoverage([
+    { line: 4, utLineHits: 1, utConditions: 2, utCoveredConditions: 5 },
+    { line: 2, lineHits: 0, conditions: 0 },
+    { line: 3 },
+  ]);
+  t.deepEqual(coverage, [
+    { line: 2, hits: false },
+    { line: 4, hits: true, conditions: 2, coveredConditions: 2 },
+  ]);
+});
+
+// ============================================================================
+// filterRangesToSource
+// ============================================================================
+
+test('filterRangesToSource drops items pointing past the end of a line or file', t => {
+  const lines = ['abc', 'de'];
+  const items = [
+    { range: { startLine: 1, endLine: 1, startOffset: 0, endOffset: 3 } },
+    { range: { startLine: 2, endLine: 2, startOffset: 0, endOffset: 3 } },
+    { range: { startLine: 3, endLine: 3, startOffset: 0, endOffset: 1 } },
+  ];
+  t.deepEqual(filterRangesToSource(items, item => [item.range], lines), [items[0]]);
+});
@@ -0,0 +1,43 @@
+import test from 'ava';
+import sinon from 'sinon';
+import { webhookSecretEnvVar, resolveWebhookSecret } from '../../src/shared/utils/webhook-secrets.js';
+
+test.afterEach(() => sinon.restore());
+
+// ============================================================================
+// webhookSecretEnvVar
+// ============================================================================
+
+test('webhookSecretEnvVar upper-cases the name and replaces separators', t => {
+  t.is(webhookSecretEnvVar('Jenkins CI'), 'CLOUDVOYAGER_WEBHOOK_SECRET_JENKINS_CI');
+  t.is(webhookSecretEnvVar('slack-notify.v2'), 'CLOUDVOYAGER_WEBHOOK_SECRET_SLACK_NOTIFY_V2');
+});
+
+// ============================================================================
+// resolveWebhookSecret
+// ============================================================================
+
+test('resolveWebhookSecret returns null for webhooks without a secret', async t => {
+  const prompt = sinon.stub().resolves('ignored');
+  t.is(await resolveWebhookSecret({ name: 'a', url: 'u', hasSecret: false }, 'prompt', { prompt }), null);
+  t.true(prompt.notCalled);
+});
+
+test('resolveWebhookSecret returns null in skip mode', async t => {
+  t.is(await resolveWebhookSecret({ name: 'a', url: 'u', hasSecret: true }, 'skip', { env: { CLOUDVOYAGER_WEBHOOK_SECRET: 'x' } }), null);
+});
+
+test('resolveWebhookSecret prefers the per-webhook env var over the shared one', async t => {
+  const env = { CLOUDVOYAGER_WEBHOOK_SECRET_JENKINS: 'specific', CLOUDVOYAGER_WEBHOOK_SECRET: 'shared' };
+  t.is(await resolveWebhookSecret({ name: 'Jenkins', url: 'u', hasSecret: true }, 'env', { env }), 'specific');
+  t.is(await resolveWebhookSecret({ name: 'Other', url: 'u', hasSecret: true }, 'env', { env }), 'shared');
+  t.is(await resolveWebhookSecret({ name: 'Other', url: 'u', hasSecret: true }, 'env', { env: {} }), null);
+});
+
+test('resolveWebhookSecret prompts once per webhook name and url', async t => {
+  const prompt = sinon.stub().resolves('typed-secret');
+  const webhook = { name: 'prompted-hook', url: 'https://ci/prompted', hasSecret: true };
+  t.is(await resolveWebhookSecret(webhook, 'prompt', { scope: 'organization', prompt }), 'typed-secret');
+  t.is(await resolveWebhookSecret(webhook, 'prompt', { scope: 'project p1', prompt }), 'typed-secret');
+  t.is(prompt.callCount, 1);
+});